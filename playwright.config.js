@@ -1,6 +1,8 @@
 const { defineConfig, devices } = require('@playwright/test');
 
 const baseURL = process.env.PLAYWRIGHT_BASE_URL || 'http://127.0.0.1:3000';
+// 外部アカウントでのログインは scripts/mock-oidc-provider.js を相手に試す
+const mockOidcIssuer = 'http://localhost:4010';
 
 module.exports = defineConfig({
   testDir: './tests/e2e',
@@ -18,12 +20,29 @@ module.exports = defineConfig({
   },
   webServer: process.env.PLAYWRIGHT_BASE_URL
     ? undefined
-    : {
-        command: 'npx next dev -H 127.0.0.1 -p 3000',
-        url: baseURL,
-        reuseExistingServer: true,
-        timeout: 120000,
-      },
+    : [
+        {
+          command: 'node scripts/mock-oidc-provider.js --port 4010',
+          url: `${mockOidcIssuer}/.well-known/openid-configuration`,
+          reuseExistingServer: true,
+          timeout: 30000,
+        },
+        {
+          command: 'npx next dev -H 127.0.0.1 -p 3000',
+          url: baseURL,
+          reuseExistingServer: true,
+          timeout: 120000,
+          env: {
+            // コールバックの redirect_uri をテストと同じホストにして、フローの Cookie が送られるようにする
+            NEXT_PUBLIC_SITE_URL: baseURL,
+            OIDC_PROVIDERS: 'mock',
+            OIDC_MOCK_ISSUER: mockOidcIssuer,
+            OIDC_MOCK_CLIENT_ID: 'local-client',
+            OIDC_MOCK_CLIENT_SECRET: 'local-secret',
+            OIDC_MOCK_NAME: 'テスト用プロバイダー',
+          },
+        },
+      ],
   projects: [
     {
       name: 'chromium',
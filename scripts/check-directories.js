@@ -6,8 +6,8 @@ async function checkAndCreateDirectories() {
   const directories = [
     path.join(process.cwd(), 'content'),
     path.join(process.cwd(), 'content/units'),
-    path.join(process.cwd(), 'public/pdf'),
-    path.join(process.cwd(), 'public/audio'),
+    path.join(process.cwd(), 'data/assets/pdf'),
+    path.join(process.cwd(), 'data/assets/audio'),
     path.join(process.cwd(), 'temp')
   ];
 
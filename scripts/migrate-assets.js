@@ -0,0 +1,160 @@
+// public/audio・public/pdf にある既存の資料を保護領域（data/assets）へ移し、
+// 単元メタデータの audioUrl / pdfUrl を /api/assets/... に書き換える移行スクリプト
+//
+// 使い方:
+//   node scripts/migrate-assets.js [--database data/gyoseishoshi.db] [--dry-run]
+//
+// 移行前の値もアプリ側で読み替えるので、実行前でもリンクは切れません。
+// ただし public/ に残っている間は URL を知っていれば誰でも取得できるため、早めに実行してください。
+const fs = require('fs');
+const path = require('path');
+const {
+  ASSET_TYPES,
+  getAssetDirectory,
+  getLegacyAssetDirectory,
+  toAssetUrl,
+} = require('../src/server/storage/assets');
+const { DEFAULT_DATABASE_PATH, getDatabase, closeDatabase } = require('../src/server/storage/sqlite');
+
+const CONTENT_DIR = path.join(process.cwd(), 'content', 'units');
+const ASSET_FIELDS = ['audioUrl', 'pdfUrl'];
+
+function parseArgs(argv) {
+  const options = { databasePath: undefined, dryRun: false };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--database') {
+      options.databasePath = argv[index + 1];
+      index += 1;
+    } else if (arg.startsWith('--database=')) {
+      options.databasePath = arg.slice('--database='.length);
+    }
+  }
+
+  return options;
+}
+
+function rewriteAssetFields(meta) {
+  let changed = false;
+  const next = { ...meta };
+
+  ASSET_FIELDS.forEach((field) => {
+    if (meta[field] && toAssetUrl(meta[field]) !== meta[field]) {
+      next[field] = toAssetUrl(meta[field]);
+      changed = true;
+    }
+  });
+
+  return changed ? next : null;
+}
+
+function moveFiles(dryRun) {
+  let moved = 0;
+
+  ASSET_TYPES.forEach((type) => {
+    const legacyDirectory = getLegacyAssetDirectory(type);
+    if (!fs.existsSync(legacyDirectory)) {
+      return;
+    }
+
+    const targetDirectory = getAssetDirectory(type);
+    fs.readdirSync(legacyDirectory)
+      .filter((fileName) => !fileName.startsWith('.'))
+      .forEach((fileName) => {
+        const from = path.join(legacyDirectory, fileName);
+        const to = path.join(targetDirectory, fileName);
+        console.log(`   - ${type}/${fileName}`);
+        if (!dryRun) {
+          fs.mkdirSync(targetDirectory, { recursive: true });
+          fs.copyFileSync(from, to);
+          fs.unlinkSync(from);
+        }
+        moved += 1;
+      });
+  });
+
+  return moved;
+}
+
+function rewriteMetaFiles(dryRun) {
+  if (!fs.existsSync(CONTENT_DIR)) {
+    return 0;
+  }
+
+  let rewritten = 0;
+  fs.readdirSync(CONTENT_DIR)
+    .filter((fileName) => fileName.endsWith('.meta.json'))
+    .forEach((fileName) => {
+      const filePath = path.join(CONTENT_DIR, fileName);
+      const next = rewriteAssetFields(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      if (!next) {
+        return;
+      }
+
+      console.log(`   - ${fileName}`);
+      if (!dryRun) {
+        fs.writeFileSync(filePath, JSON.stringify(next, null, 2));
+      }
+      rewritten += 1;
+    });
+
+  return rewritten;
+}
+
+function rewriteDatabaseRows(databasePath, dryRun) {
+  const resolvedPath = path.resolve(databasePath || process.env.SQLITE_DATABASE_PATH || DEFAULT_DATABASE_PATH);
+  if (!fs.existsSync(resolvedPath)) {
+    return 0;
+  }
+
+  const db = getDatabase(resolvedPath);
+  const rows = db.prepare('SELECT id, meta_json FROM units').all();
+  const update = db.prepare('UPDATE units SET meta_json = ? WHERE id = ?');
+  let rewritten = 0;
+
+  db.transaction(() => {
+    rows.forEach((row) => {
+      const next = rewriteAssetFields(JSON.parse(row.meta_json || '{}'));
+      if (!next) {
+        return;
+      }
+
+      console.log(`   - units.${row.id}`);
+      if (!dryRun) {
+        update.run(JSON.stringify(next), row.id);
+      }
+      rewritten += 1;
+    });
+  })();
+
+  closeDatabase(resolvedPath);
+  return rewritten;
+}
+
+function migrate() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('📦 Moving files out of public/');
+  const moved = moveFiles(options.dryRun);
+  console.log('📝 Rewriting content/units/*.meta.json');
+  const metaFiles = rewriteMetaFiles(options.dryRun);
+  console.log('🗄️  Rewriting SQLite units');
+  const rows = rewriteDatabaseRows(options.databasePath, options.dryRun);
+
+  if (options.dryRun) {
+    console.log('✨ Dry run completed, nothing was written');
+    return;
+  }
+
+  console.log(`✅ Moved ${moved} files, rewrote ${metaFiles} meta files and ${rows} database rows`);
+}
+
+try {
+  migrate();
+} catch (error) {
+  console.error('❌ Asset migration failed:', error.message);
+  process.exit(1);
+}
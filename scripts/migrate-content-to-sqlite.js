@@ -0,0 +1,115 @@
+// content/units の単元ファイル（と content/subjects.json の科目データ）を SQLite へ取り込む一回限りの移行スクリプト
+//
+// 使い方:
+//   node scripts/migrate-content-to-sqlite.js [--database data/gyoseishoshi.db] [--dry-run]
+//
+// 取り込み後は CONTENT_STORAGE=sqlite で起動すると、初回起動時に一覧用の
+// summary / sections が本文から再生成されます。
+const fs = require('fs');
+const path = require('path');
+const { getDatabase, closeDatabase } = require('../src/server/storage/sqlite');
+const { toUnitRow, UPSERT_UNIT_SQL } = require('../src/server/storage/content/unitRows');
+const { replaceSubjectRows } = require('../src/server/storage/content/subjectRows');
+
+const CONTENT_DIR = path.join(process.cwd(), 'content', 'units');
+// 管理画面で科目データを編集していればファイルストアが書き出している（なければ既定の科目データのまま）
+const SUBJECTS_PATH = path.join(process.cwd(), 'content', 'subjects.json');
+
+function parseArgs(argv) {
+  const options = { databasePath: undefined, dryRun: false };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--database') {
+      options.databasePath = argv[index + 1];
+      index += 1;
+    } else if (arg.startsWith('--database=')) {
+      options.databasePath = arg.slice('--database='.length);
+    }
+  }
+
+  return options;
+}
+
+function readTextIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+function readUnitFromFiles(id) {
+  const meta = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, `${id}.meta.json`), 'utf8'));
+  const contentFormat = meta.contentFormat === 'html' ? 'html' : 'markdown';
+  const body = contentFormat === 'html'
+    ? readTextIfExists(path.join(CONTENT_DIR, `${id}.html`))
+    : meta.markdown ?? readTextIfExists(path.join(CONTENT_DIR, `${id}.md`));
+
+  return {
+    meta: { ...meta, id, contentFormat },
+    body,
+  };
+}
+
+function migrate() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(CONTENT_DIR)) {
+    console.error(`❌ Content directory not found: ${CONTENT_DIR}`);
+    process.exit(1);
+  }
+
+  const fileNames = fs.readdirSync(CONTENT_DIR);
+  const unitIds = fileNames
+    .filter((fileName) => fileName.endsWith('.meta.json'))
+    .map((fileName) => fileName.replace(/\.meta\.json$/, ''));
+  const orphanBodies = fileNames
+    .filter((fileName) => /\.(html|md)$/.test(fileName))
+    .filter((fileName) => !unitIds.includes(fileName.replace(/\.(html|md)$/, '')));
+
+  console.log(`🔍 Found ${unitIds.length} units with metadata in ${CONTENT_DIR}`);
+  if (orphanBodies.length) {
+    console.log(`⚠️  Skipping ${orphanBodies.length} body files without .meta.json (not visible in the file store either)`);
+  }
+
+  const units = unitIds.map((id) => readUnitFromFiles(id));
+  const subjects = fs.existsSync(SUBJECTS_PATH) ? JSON.parse(fs.readFileSync(SUBJECTS_PATH, 'utf8')) : null;
+  if (subjects) {
+    console.log(`🔍 Found ${subjects.length} subjects in ${SUBJECTS_PATH}`);
+  }
+
+  if (options.dryRun) {
+    units.forEach(({ meta, body }) => {
+      console.log(`   - ${meta.id} (${meta.contentFormat}, ${body ? body.length : 0} chars)`);
+    });
+    console.log('✨ Dry run completed, nothing was written');
+    return;
+  }
+
+  const db = getDatabase(options.databasePath);
+  const upsert = db.prepare(UPSERT_UNIT_SQL);
+
+  db.transaction(() => {
+    units.forEach(({ meta, body }) => {
+      // index_version 0 で書き込み、summary / sections はアプリ側の初回起動時に導出させる
+      upsert.run(toUnitRow(meta, { meta, body }));
+    });
+  })();
+
+  if (subjects) {
+    replaceSubjectRows(db, subjects);
+  }
+
+  closeDatabase(options.databasePath);
+  console.log(`✅ Imported ${units.length} units into SQLite`);
+  if (subjects) {
+    console.log(`✅ Imported ${subjects.length} subjects into SQLite`);
+  }
+  console.log('💡 Set CONTENT_STORAGE=sqlite to serve content from the database');
+}
+
+try {
+  migrate();
+} catch (error) {
+  console.error('❌ Content migration failed:', error.message);
+  process.exit(1);
+}
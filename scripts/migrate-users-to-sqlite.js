@@ -0,0 +1,43 @@
+// data/users.json（旧形式）のユーザーと学習進捗を SQLite へ取り込む移行スクリプト
+//
+// 使い方:
+//   node scripts/migrate-users-to-sqlite.js [--file data/users.json] [--database data/gyoseishoshi.db]
+//
+// アプリは初回アクセス時に同じ取り込みを自動で行います。既に存在する ID / メールアドレスは上書きしません。
+// 取り込み後も users.json は削除しないので、バックアップとして保管してください。
+const path = require('path');
+const { getDatabase, closeDatabase } = require('../src/server/storage/sqlite');
+const { LEGACY_USERS_FILE, importLegacyUsers } = require('../src/server/storage/legacyUsers');
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+
+  const inline = argv.find((arg) => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+function migrate() {
+  const argv = process.argv.slice(2);
+  const filePath = path.resolve(process.cwd(), readOption(argv, '--file') || LEGACY_USERS_FILE);
+  const databasePath = readOption(argv, '--database');
+
+  console.log(`🔍 Importing users from ${filePath}`);
+  const db = getDatabase(databasePath);
+  const result = importLegacyUsers(db, { filePath });
+  closeDatabase(databasePath);
+
+  console.log(`✅ Imported ${result.users} users and ${result.progress} unit progress records`);
+  if (result.skipped) {
+    console.log(`⚠️  Skipped ${result.skipped} users (already present or missing id/email)`);
+  }
+}
+
+try {
+  migrate();
+} catch (error) {
+  console.error('❌ User migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,267 @@
+// 開発・テスト用の OpenID Connect プロバイダー（外部アカウントでのログインを手元で試すためのもの）
+//
+// 使い方:
+//   node scripts/mock-oidc-provider.js [--port 4010] [--client-id local-client] [--client-secret local-secret]
+//
+// .env.local に次を設定してから開発サーバーを起動すると、ログイン画面に「テスト用プロバイダーでログイン」が出ます。
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=local-client
+//   OIDC_MOCK_CLIENT_SECRET=local-secret
+//   OIDC_MOCK_NAME=テスト用プロバイダー
+//
+// 認可画面ではパスワードを確かめず、入力したメールアドレス・名前・email_verified の ID トークンを発行します。
+// 同じメールアドレスには同じ sub を返すので、連携済みのアカウントでのログインも試せます。本番では使わないでください。
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+
+  const inline = argv.find((arg) => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+const argv = process.argv.slice(2);
+const port = Number(readOption(argv, '--port') || process.env.MOCK_OIDC_PORT || 4010);
+const clientId = readOption(argv, '--client-id') || 'local-client';
+const clientSecret = readOption(argv, '--client-secret') || 'local-secret';
+const issuer = `http://localhost:${port}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const keyId = crypto.randomBytes(8).toString('hex');
+// 発行した認可コード・アクセストークン（どちらもメモリに持つだけ）
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function subjectFor(email) {
+  return `mock-${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16)}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+function discovery() {
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+    code_challenge_methods_supported: ['S256'],
+  };
+}
+
+// 認可リクエストを確かめる。問題があればエラーの文言
+function validateAuthorizeParams(params) {
+  if (params.client_id !== clientId) {
+    return 'client_id が違います';
+  }
+  if (!params.redirect_uri) {
+    return 'redirect_uri がありません';
+  }
+  if (params.response_type !== 'code') {
+    return 'response_type は code だけに対応しています';
+  }
+  if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+    return 'PKCE（code_challenge_method=S256）が必要です';
+  }
+  return null;
+}
+
+function renderAuthorizePage(params) {
+  const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="utf-8"><title>テスト用 OIDC プロバイダー</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 3rem auto;">
+  <h1>テスト用 OIDC プロバイダー</h1>
+  <p>ログインするアカウントの情報を入力してください（パスワードは確かめません）。</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>メールアドレス<br><input name="email" type="email" value="learner@example.com" required style="width: 100%;"></label></p>
+    <p><label>名前<br><input name="name" value="テスト 太郎" style="width: 100%;"></label></p>
+    <p><label>sub（空欄ならメールアドレスから決める）<br><input name="sub" style="width: 100%;"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> メールアドレスは確認済み（email_verified）</label></p>
+    <p>
+      <button type="submit" name="decision" value="allow">ログイン</button>
+      <button type="submit" name="decision" value="deny">拒否</button>
+    </p>
+  </form>
+</body>
+</html>`;
+}
+
+function withParams(uri, params) {
+  const url = new URL(uri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+}
+
+async function handleAuthorize(req, res, url) {
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(url.searchParams);
+  const problem = validateAuthorizeParams(params);
+  if (problem) {
+    return sendHtml(res, 400, `<p>${escapeHtml(problem)}</p>`);
+  }
+  if (req.method === 'GET') {
+    return sendHtml(res, 200, renderAuthorizePage(params));
+  }
+
+  if (params.decision !== 'allow') {
+    return redirect(res, withParams(params.redirect_uri, { error: 'access_denied', state: params.state }));
+  }
+
+  const email = String(params.email || '').trim();
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: params.sub || subjectFor(email),
+      email,
+      email_verified: params.email_verified === 'true',
+      name: params.name || undefined,
+    },
+  });
+  console.log(`🔑 Authorized ${email}`);
+  return redirect(res, withParams(params.redirect_uri, { code, state: params.state }));
+}
+
+// client_secret_post と client_secret_basic のどちらでも受け付ける
+function readClientCredentials(req, form) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: form.client_id, secret: form.client_secret };
+}
+
+async function handleToken(req, res) {
+  const form = await readForm(req);
+  const client = readClientCredentials(req, form);
+  if (client.id !== clientId || client.secret !== clientSecret) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (form.grant_type !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  // 認可コードは1回だけ使える
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(form.code_verifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: keyId,
+    issuer,
+    audience: clientId,
+    expiresIn: TOKEN_TTL_SECONDS,
+  });
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims: grant.claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  return sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken,
+  });
+}
+
+function handleUserInfo(req, res) {
+  const header = req.headers.authorization || '';
+  const grant = header.startsWith('Bearer ') ? accessTokens.get(header.slice(7)) : null;
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+  return sendJson(res, 200, grant.claims);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, issuer);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, discovery());
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'RS256', use: 'sig' }] });
+    }
+    if (url.pathname === '/authorize' && (req.method === 'GET' || req.method === 'POST')) {
+      return await handleAuthorize(req, res, url);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      return handleUserInfo(req, res);
+    }
+    return sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('❌ Mock OIDC provider error:', error);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`✅ Mock OIDC provider listening on ${issuer}`);
+  console.log(`   client_id=${clientId} client_secret=${clientSecret}`);
+});
@@ -0,0 +1,62 @@
+// 登録済みユーザーの権限（role）を変更するスクリプト
+//
+// 使い方:
+//   node scripts/set-user-role.js --email admin@example.com --role admin [--verify] [--database data/gyoseishoshi.db]
+//
+// 最初の管理者を作るときなど、管理画面から権限を変更できない場合に使用します。
+// --verify を付けると、メールアドレスの確認待ち（pending_verification）のアカウントを確認済みにします
+// （確認待ちのアカウントは管理画面を使えません。メールを受け取れない環境やテストで使います）。
+const { getDatabase, closeDatabase } = require('../src/server/storage/sqlite');
+
+const ROLES = ['user', 'admin', 'editor', 'support'];
+
+function readOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+
+  const inline = argv.find((arg) => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+function setRole() {
+  const argv = process.argv.slice(2);
+  const email = (readOption(argv, '--email') || '').toLowerCase().trim();
+  const role = readOption(argv, '--role');
+  const databasePath = readOption(argv, '--database');
+  const verify = argv.includes('--verify');
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`❌ Usage: node scripts/set-user-role.js --email <email> --role <${ROLES.join('|')}> [--verify]`);
+    process.exit(1);
+  }
+
+  const db = getDatabase(databasePath);
+  const now = new Date().toISOString();
+  const result = db.prepare(`
+    UPDATE users SET role = ?, version = version + 1, updated_at = ? WHERE email = ?
+  `).run(role, now, email);
+  // 確認待ちのときだけ確認済みにする（停止中などの状態は変えない）
+  const verified = result.changes && verify
+    ? db.prepare(`
+      UPDATE users SET status = 'active', data_json = json_set(data_json, '$.emailVerifiedAt', ?)
+      WHERE email = ? AND status = 'pending_verification'
+    `).run(now, email).changes
+    : 0;
+  closeDatabase(databasePath);
+
+  if (!result.changes) {
+    console.error(`❌ User not found: ${email}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${email} is now "${role}"${verified ? ' (email verified)' : ''}`);
+}
+
+try {
+  setRole();
+} catch (error) {
+  console.error('❌ Failed to update role:', error.message);
+  process.exit(1);
+}
@@ -7,8 +7,8 @@ async function setup() {
   const directories = [
     'content',
     'content/units',
-    'public/audio',
-    'public/pdf',
+    'data/assets/audio',
+    'data/assets/pdf',
     'temp'
   ];
 
@@ -12,8 +12,8 @@ async function testApi() {
   // 1. ディレクトリ構造を確認
   const directories = [
     path.join(process.cwd(), 'content/units'),
-    path.join(process.cwd(), 'public/pdf'),
-    path.join(process.cwd(), 'public/audio'),
+    path.join(process.cwd(), 'data/assets/pdf'),
+    path.join(process.cwd(), 'data/assets/audio'),
     path.join(process.cwd(), 'temp')
   ];
   
@@ -25,8 +25,8 @@ async function testApi() {
   
   // 2. サンプルファイルの存在を確認
   const sampleFiles = [
-    path.join(process.cwd(), 'public/pdf/101_constitutional_overview.pdf'),
-    path.join(process.cwd(), 'public/audio/101_constitutional_overview.mp3')
+    path.join(process.cwd(), 'data/assets/pdf/101_constitutional_overview.pdf'),
+    path.join(process.cwd(), 'data/assets/audio/101_constitutional_overview.mp3')
   ];
   
   console.log('📄 サンプルファイルの存在確認:');
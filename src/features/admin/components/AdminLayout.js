@@ -16,32 +16,43 @@ import {
   BarChart3,
   Bell
 } from 'lucide-react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { PERMISSIONS, getRoleLabel } from '@/shared/lib/permissions';
 
 const menuItems = [
   {
     title: 'ダッシュボード',
     href: '/admin',
-    icon: LayoutDashboard
+    icon: LayoutDashboard,
+    permission: PERMISSIONS.ADMIN_ACCESS
   },
   {
     title: 'コンテンツ管理',
     icon: BookOpen,
+    permission: PERMISSIONS.CONTENT_READ,
     submenu: [
-      { title: 'コンテンツ一覧', href: '/admin/content' },
-      { title: '新規作成', href: '/admin/content/create' }
+      { title: 'コンテンツ一覧', href: '/admin/content', permission: PERMISSIONS.CONTENT_READ },
+      { title: '新規作成', href: '/admin/content/create', permission: PERMISSIONS.CONTENT_EDIT },
+      { title: '科目管理', href: '/admin/subjects', permission: PERMISSIONS.CONTENT_READ },
+      { title: '問題バンク', href: '/admin/questions', permission: PERMISSIONS.CONTENT_READ },
+      { title: '条文リンクの確認', href: '/admin/content/citations', permission: PERMISSIONS.CONTENT_READ },
+      { title: '法改正の影響', href: '/admin/content/amendments', permission: PERMISSIONS.CONTENT_READ },
+      { title: '削除した単元', href: '/admin/content/deleted', permission: PERMISSIONS.CONTENT_READ }
     ]
   },
   {
     title: 'ファイル管理',
     icon: Upload,
+    permission: PERMISSIONS.ASSETS_READ,
     submenu: [
-      { title: 'アップロード', href: '/admin/upload' }
+      { title: 'アップロード', href: '/admin/upload', permission: PERMISSIONS.ASSETS_READ }
     ]
   },
   {
     title: 'ユーザー管理',
     href: '/admin/users',
-    icon: Users
+    icon: Users,
+    permission: PERMISSIONS.USERS_READ
   },
   {
     title: 'アカウント設定',
@@ -52,6 +63,7 @@ const menuItems = [
 
 export default function AdminLayout({ children, title = '管理画面' }) {
   const router = useRouter();
+  const { user, logout, hasPermission } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [expandedMenus, setExpandedMenus] = useState(['コンテンツ管理']);
@@ -64,6 +76,13 @@ export default function AdminLayout({ children, title = '管理画面' }) {
     );
   };
 
+  // 権限のないメニューは表示しない
+  const visibleMenuItems = menuItems
+    .filter((item) => !item.permission || hasPermission(item.permission))
+    .map((item) => (item.submenu
+      ? { ...item, submenu: item.submenu.filter((subItem) => !subItem.permission || hasPermission(subItem.permission)) }
+      : item));
+
   const isActiveRoute = (href) => {
     if (href === '/admin') {
       return router.pathname === '/admin';
@@ -174,7 +193,7 @@ export default function AdminLayout({ children, title = '管理画面' }) {
 
         {/* Navigation */}
         <nav className="p-4 overflow-y-auto h-[calc(100%-8rem)]">
-          {menuItems.map((item) => (
+          {visibleMenuItems.map((item) => (
             <NavItem key={item.title} item={item} />
           ))}
         </nav>
@@ -188,7 +207,7 @@ export default function AdminLayout({ children, title = '管理画面' }) {
             <Home className="w-5 h-5" />
             {sidebarOpen && <span>サイトを表示</span>}
           </Link>
-          <button className="flex items-center gap-3 px-4 py-2 text-gray-400 hover:text-white rounded-lg transition-colors w-full">
+          <button onClick={logout} className="flex items-center gap-3 px-4 py-2 text-gray-400 hover:text-white rounded-lg transition-colors w-full">
             <LogOut className="w-5 h-5" />
             {sidebarOpen && <span>ログアウト</span>}
           </button>
@@ -222,9 +241,11 @@ export default function AdminLayout({ children, title = '管理画面' }) {
             </button>
             <div className="flex items-center gap-2">
               <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center">
-                <span className="text-white text-sm font-medium">A</span>
+                <span className="text-white text-sm font-medium">{user?.name?.charAt(0) || 'A'}</span>
               </div>
-              <span className="hidden sm:block text-sm text-gray-700">管理者</span>
+              <span className="hidden sm:block text-sm text-gray-700">
+                {user ? `${user.name}（${getRoleLabel(user.role)}）` : '管理者'}
+              </span>
             </div>
           </div>
         </header>
@@ -0,0 +1,125 @@
+import { useCallback, useEffect, useState } from 'react';
+import { STUDY_EVENT_TYPE_LABELS, describeStudyEvent } from '@/features/progress/lib/studyEvents';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { History, Loader2, X } from 'lucide-react';
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP') : '';
+}
+
+/**
+ * 管理画面のユーザー一覧から開く、学習者の学習履歴（学習のイベントを新しい順に）。
+ * 単元の行を押すと、その単元のイベントだけに絞り込む。
+ */
+export default function StudyEventLogDialog({ user, onClose }) {
+  const [unitId, setUnitId] = useState('');
+  const [events, setEvents] = useState([]);
+  const [units, setUnits] = useState({});
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadEvents = useCallback(async (before) => {
+    setLoading(true);
+    setError('');
+
+    const params = new URLSearchParams();
+    if (unitId) {
+      params.set('unitId', unitId);
+    }
+    if (before) {
+      params.set('before', String(before));
+    }
+
+    try {
+      const res = await authFetch(`/api/admin/users/${encodeURIComponent(user.id)}/study-events?${params.toString()}`);
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setEvents((previous) => (before ? [...previous, ...data.events] : data.events));
+        setUnits((previous) => ({ ...previous, ...data.units }));
+        setNextBefore(data.nextBefore);
+      } else {
+        setError(data.error || '学習履歴の取得に失敗しました');
+      }
+    } catch (loadError) {
+      setError('学習履歴の取得に失敗しました');
+    } finally {
+      setLoading(false);
+    }
+  }, [unitId, user.id]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-xl bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-100 px-6 py-4">
+          <div>
+            <h3 className="flex items-center gap-2 font-semibold text-gray-800">
+              <History className="h-5 w-5 text-blue-600" />
+              {user.name} の学習履歴
+            </h3>
+            {unitId && (
+              <p className="text-xs text-gray-500">
+                {units[unitId]?.title || `単元 ${unitId}`} のみ表示中
+                <button type="button" onClick={() => setUnitId('')} className="ml-2 text-blue-600 hover:text-blue-700">
+                  すべて表示
+                </button>
+              </p>
+            )}
+          </div>
+          <button type="button" onClick={onClose} aria-label="閉じる" className="rounded-lg p-1.5 text-gray-500 hover:bg-gray-100">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="overflow-auto p-6">
+          {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+          {!loading && !error && events.length === 0 && (
+            <p className="py-8 text-center text-sm text-gray-500">学習の記録はまだありません</p>
+          )}
+          {events.length > 0 && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-100 text-left text-xs text-gray-500">
+                  <th className="py-2 pr-4 font-medium">日時</th>
+                  <th className="py-2 pr-4 font-medium">単元</th>
+                  <th className="py-2 pr-4 font-medium">内容</th>
+                  <th className="py-2 font-medium">詳細</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-50">
+                {events.map((event) => (
+                  <tr key={event.id}>
+                    <td className="whitespace-nowrap py-2 pr-4 text-gray-500">{formatDateTime(event.occurredAt)}</td>
+                    <td className="py-2 pr-4">
+                      <button type="button" onClick={() => setUnitId(event.unitId)} className="text-left text-gray-800 hover:text-blue-600">
+                        {units[event.unitId]?.title || `単元 ${event.unitId}`}
+                      </button>
+                    </td>
+                    <td className="whitespace-nowrap py-2 pr-4 text-gray-700">{STUDY_EVENT_TYPE_LABELS[event.type] || event.type}</td>
+                    <td className="py-2 text-gray-500">{describeStudyEvent(event)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {loading && (
+            <div className="flex h-16 items-center justify-center">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+          {!loading && nextBefore && (
+            <div className="mt-4 text-center">
+              <button type="button" onClick={() => loadEvents(nextBefore)} className="text-sm text-blue-600 hover:text-blue-700">
+                さらに読み込む
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { HEATMAP_LEVEL_CLASSES, WEAK_REASON_LABELS } from '@/features/analytics/lib/learningAnalytics';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { Activity, AlertTriangle, Flame, Minus, TrendingDown, TrendingUp } from 'lucide-react';
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 32;
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}時間${minutes % 60}分` : `${minutes}分`;
+}
+
+function formatShortDate(date) {
+  return new Date(date).toLocaleDateString('ja-JP', { month: 'numeric', day: 'numeric' });
+}
+
+function chunkWeeks(days) {
+  const weeks = [];
+  for (let index = 0; index < days.length; index += 7) {
+    weeks.push(days.slice(index, index + 7));
+  }
+  return weeks;
+}
+
+// 週平均点（0〜100）の折れ線
+function Sparkline({ points }) {
+  const step = points.length > 1 ? SPARKLINE_WIDTH / (points.length - 1) : 0;
+  const coordinates = points.map((point, index) => {
+    const x = points.length > 1 ? index * step : SPARKLINE_WIDTH / 2;
+    const y = SPARKLINE_HEIGHT - (point.averageScore / 100) * SPARKLINE_HEIGHT;
+    return [x, y];
+  });
+
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} viewBox={`0 -2 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT + 4}`} className="flex-shrink-0">
+      <polyline
+        points={coordinates.map(([x, y]) => `${x},${y}`).join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="2"
+        className="text-blue-500"
+      />
+      {coordinates.map(([x, y], index) => (
+        <circle key={index} cx={x} cy={y} r="2" className="fill-blue-600" />
+      ))}
+    </svg>
+  );
+}
+
+function TrendChange({ change }) {
+  if (change > 0) {
+    return (
+      <span className="flex items-center gap-1 text-xs text-green-600">
+        <TrendingUp className="h-4 w-4" />+{change}
+      </span>
+    );
+  }
+  if (change < 0) {
+    return (
+      <span className="flex items-center gap-1 text-xs text-red-600">
+        <TrendingDown className="h-4 w-4" />{change}
+      </span>
+    );
+  }
+  return (
+    <span className="flex items-center gap-1 text-xs text-gray-500">
+      <Minus className="h-4 w-4" />±0
+    </span>
+  );
+}
+
+// 例: 「得点が低い・しばらく開いていない（45点、最後に開いたのは20日前）」
+function describeWeakUnit({ reasons, score, gapDays }) {
+  const details = [
+    score !== null ? `${score}点` : null,
+    gapDays !== null ? `最後に開いたのは${gapDays}日前` : null,
+  ].filter(Boolean);
+  const labels = reasons.map((reason) => WEAK_REASON_LABELS[reason]).join('・');
+  return details.length ? `${labels}（${details.join('、')}）` : labels;
+}
+
+/**
+ * マイページの「学習の分析」。/api/user/analytics の連続学習日数・学習時間・ヒートマップ・
+ * 科目ごとの得点の推移・苦手な単元と科目を表示する。
+ */
+export default function LearningAnalyticsPanel() {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchAnalytics() {
+      try {
+        const res = await authFetch('/api/user/analytics');
+        const data = await res.json();
+        if (res.ok && data.success) {
+          setAnalytics(data.analytics);
+        }
+      } catch (error) {
+        console.error('Failed to fetch analytics:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchAnalytics();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+        <div className="py-4 text-center text-sm text-gray-500">読み込み中...</div>
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return null;
+  }
+
+  const maxDailySeconds = Math.max(...analytics.daily.map((day) => day.seconds), 1);
+  const { streak, totals, weakAreas } = analytics;
+
+  return (
+    <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h2 className="mb-6 flex items-center gap-2 text-lg font-bold text-gray-900">
+        <Activity className="h-5 w-5 text-blue-600" />
+        学習の分析
+      </h2>
+
+      <div className="mb-6 grid grid-cols-2 gap-3 text-center sm:grid-cols-4">
+        <div className="rounded-xl bg-orange-50 p-3">
+          <p className="flex items-center justify-center gap-1 text-xs text-orange-700">
+            <Flame className="h-4 w-4" />
+            連続学習
+          </p>
+          <p className="text-xl font-bold text-gray-900">{streak.current}日</p>
+          <p className="text-xs text-gray-500">
+            {streak.current > 0 && !streak.studiedToday ? '今日学習すると続きます' : `最長 ${streak.longest}日`}
+          </p>
+        </div>
+        <div className="rounded-xl bg-gray-50 p-3">
+          <p className="text-xs text-gray-500">今日</p>
+          <p className="text-xl font-bold text-gray-900">{formatDuration(totals.today)}</p>
+        </div>
+        <div className="rounded-xl bg-gray-50 p-3">
+          <p className="text-xs text-gray-500">直近7日</p>
+          <p className="text-xl font-bold text-gray-900">{formatDuration(totals.last7Days)}</p>
+        </div>
+        <div className="rounded-xl bg-gray-50 p-3">
+          <p className="text-xs text-gray-500">直近30日</p>
+          <p className="text-xl font-bold text-gray-900">{formatDuration(totals.last30Days)}</p>
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <h3 className="mb-3 text-sm font-medium text-gray-700">日ごとの学習時間</h3>
+        <div className="flex h-24 items-end gap-1">
+          {analytics.daily.map((day) => (
+            <div key={day.date} className="flex h-full flex-1 flex-col justify-end" title={`${formatShortDate(day.date)} ${formatDuration(day.seconds)}`}>
+              <div
+                className={`rounded-t ${day.date === analytics.today ? 'bg-blue-600' : 'bg-blue-300'}`}
+                style={{ height: `${Math.round((day.seconds / maxDailySeconds) * 100)}%` }}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="mt-1 flex justify-between text-xs text-gray-400">
+          <span>{formatShortDate(analytics.daily[0].date)}</span>
+          <span>今日</span>
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <h3 className="mb-3 text-sm font-medium text-gray-700">学習カレンダー</h3>
+        <div className="flex gap-1 overflow-x-auto pb-1">
+          {chunkWeeks(analytics.heatmap).map((week) => (
+            <div key={week[0].date} className="flex flex-col gap-1">
+              {week.map((day) => (
+                <div
+                  key={day.date}
+                  className={`h-3 w-3 rounded-sm ${HEATMAP_LEVEL_CLASSES[day.level]}`}
+                  title={`${formatShortDate(day.date)} ${formatDuration(day.seconds)}`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+        <div className="mt-2 flex items-center justify-end gap-1 text-xs text-gray-400">
+          少ない
+          {HEATMAP_LEVEL_CLASSES.map((className) => (
+            <span key={className} className={`h-3 w-3 rounded-sm ${className}`} />
+          ))}
+          多い
+        </div>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <div>
+          <h3 className="mb-3 text-sm font-medium text-gray-700">科目ごとの得点の推移（週平均）</h3>
+          {analytics.scoreTrends.length ? (
+            <ul className="space-y-2">
+              {analytics.scoreTrends.map((trend) => (
+                <li key={trend.subjectId} className="flex items-center justify-between gap-3 rounded-xl bg-gray-50 p-3">
+                  <div className="min-w-0">
+                    <p className="truncate text-sm text-gray-700">{getSubjectById(trend.subjectId)?.name || trend.subjectId}</p>
+                    <p className="text-xs text-gray-500">直近 {trend.latestScore}点</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Sparkline points={trend.points} />
+                    <TrendChange change={trend.change} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">演習を提出すると、科目ごとの得点の推移を表示します。</p>
+          )}
+        </div>
+
+        <div>
+          <h3 className="mb-3 flex items-center gap-2 text-sm font-medium text-gray-700">
+            <AlertTriangle className="h-4 w-4 text-orange-500" />
+            苦手な分野
+          </h3>
+          {weakAreas.units.length || weakAreas.subjects.length ? (
+            <div className="space-y-3">
+              {weakAreas.subjects.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {weakAreas.subjects.map((subject) => (
+                    <Link
+                      key={subject.subjectId}
+                      href={`/subjects/${subject.subjectId}`}
+                      className="rounded-full bg-orange-100 px-3 py-1 text-xs text-orange-700 hover:bg-orange-200"
+                    >
+                      {getSubjectById(subject.subjectId)?.name || subject.subjectId}
+                      {subject.averageScore !== null && ` ${subject.averageScore}点`}
+                    </Link>
+                  ))}
+                </div>
+              )}
+              <ul className="space-y-2">
+                {weakAreas.units.map((unit) => (
+                  <li key={unit.unitId}>
+                    <Link
+                      href={`/subjects/${unit.subjectId}/${unit.unitId}`}
+                      className="block rounded-xl bg-gray-50 p-3 transition-colors hover:bg-gray-100"
+                    >
+                      <p className="truncate text-sm text-gray-700">{unit.title}</p>
+                      <p className="text-xs text-gray-500">{describeWeakUnit(unit)}</p>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">得点の低い単元や、しばらく開いていない単元はありません。</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
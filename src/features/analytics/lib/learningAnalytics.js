@@ -0,0 +1,213 @@
+import { addStudyDays } from '@/features/flashcards/lib/scheduler';
+
+// ヒートマップに出す週数（今日を含む週まで）
+export const HEATMAP_WEEKS = 26;
+// 日ごとの学習時間のグラフに出す日数
+export const DAILY_CHART_DAYS = 14;
+// 得点の推移に出す週数
+export const SCORE_TREND_WEEKS = 8;
+// 苦手の判定: この得点（100点満点）未満か、この日数以上開いていない未完了の単元を候補にする
+export const WEAK_SCORE_THRESHOLD = 70;
+export const STALE_DAYS = 14;
+// この日数開いていなければ「間隔」の重みを最大にする
+const MAX_GAP_DAYS = 60;
+const SCORE_WEIGHT = 0.7;
+const GAP_WEIGHT = 0.3;
+
+// ヒートマップの濃さ（分）。0 は学習なし
+const HEATMAP_LEVEL_MINUTES = [1, 15, 30, 60];
+
+export const HEATMAP_LEVEL_CLASSES = ['bg-gray-100', 'bg-green-200', 'bg-green-400', 'bg-green-600', 'bg-green-800'];
+
+export const WEAK_REASONS = {
+  LOW_SCORE: 'low-score',
+  STALE: 'stale',
+};
+
+export const WEAK_REASON_LABELS = {
+  'low-score': '得点が低い',
+  stale: 'しばらく開いていない',
+};
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// 週の始まり（月曜日）の日付
+export function getWeekStart(studyDate) {
+  const weekday = new Date(`${studyDate}T00:00:00Z`).getUTCDay();
+  return addStudyDays(studyDate, -((weekday + 6) % 7));
+}
+
+export function getHeatmapLevel(seconds) {
+  const minutes = seconds / 60;
+  return HEATMAP_LEVEL_MINUTES.filter((threshold) => minutes >= threshold).length;
+}
+
+/**
+ * from から to までの毎日の学習時間（秒）。rows は studyTimeRepository.listSince の結果で、
+ * 学習しなかった日は 0 で埋める。
+ */
+export function buildDailySeries(rows, { from, to }) {
+  const totals = new Map();
+  rows.forEach((row) => {
+    totals.set(row.studyDate, (totals.get(row.studyDate) || 0) + row.seconds);
+  });
+
+  return Array.from({ length: daysBetween(from, to) + 1 }, (_, index) => {
+    const date = addStudyDays(from, index);
+    return { date, seconds: totals.get(date) || 0 };
+  });
+}
+
+/**
+ * 連続学習日数。studyDates は学習した日（重複なし・昇順）。
+ * 今日まだ学習していなくても、昨日まで続いていれば current はその日数のまま（今日学習すれば続く）。
+ */
+export function computeStreak(studyDates, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  studyDates.forEach((date) => {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  const last = studyDates[studyDates.length - 1];
+  const alive = last && daysBetween(last, today) <= 1;
+  return {
+    current: alive ? run : 0,
+    longest,
+    studiedToday: last === today,
+  };
+}
+
+/**
+ * 科目ごとの演習の得点の推移。attempts は quizAttemptRepository.listAttempts の結果、
+ * getSubjectId は単元 ID → 科目 ID。週（月曜始まり）ごとの平均点を古い順に、直近 SCORE_TREND_WEEKS 週分返す。
+ * change は最初の週から最後の週への平均点の変化。
+ */
+export function buildScoreTrends(attempts, { getSubjectId, toDate }) {
+  const bySubject = new Map();
+  attempts.forEach((attempt) => {
+    const subjectId = getSubjectId(attempt.unitId);
+    if (!subjectId) {
+      return;
+    }
+
+    const weekStart = getWeekStart(toDate(attempt.submittedAt));
+    const weeks = bySubject.get(subjectId) || new Map();
+    const week = weeks.get(weekStart) || { weekStart, total: 0, attempts: 0 };
+    week.total += attempt.score;
+    week.attempts += 1;
+    weeks.set(weekStart, week);
+    bySubject.set(subjectId, weeks);
+  });
+
+  return [...bySubject].map(([subjectId, weeks]) => {
+    const points = [...weeks.values()]
+      .sort((left, right) => left.weekStart.localeCompare(right.weekStart))
+      .slice(-SCORE_TREND_WEEKS)
+      .map((week) => ({ weekStart: week.weekStart, averageScore: Math.round(week.total / week.attempts), attempts: week.attempts }));
+
+    return {
+      subjectId,
+      points,
+      latestScore: points[points.length - 1].averageScore,
+      change: points[points.length - 1].averageScore - points[0].averageScore,
+    };
+  });
+}
+
+function getGapDays(lastAccessed, today, toDate) {
+  return lastAccessed ? Math.max(0, daysBetween(toDate(lastAccessed), today)) : null;
+}
+
+function weaknessOf(score, gapDays) {
+  const scorePart = score === undefined || score === null ? 0 : (100 - Number(score)) / 100;
+  const gapPart = Math.min(gapDays ?? 0, MAX_GAP_DAYS) / MAX_GAP_DAYS;
+  return Math.round((SCORE_WEIGHT * scorePart + GAP_WEIGHT * gapPart) * 100);
+}
+
+/**
+ * 苦手な単元と科目。学習したことのある単元のうち、得点が WEAK_SCORE_THRESHOLD 未満のものと、
+ * 完了していないまま STALE_DAYS 日以上開いていないものを、得点の低さ（7割）と開いていない日数（3割）で順位付けする。
+ * 科目は、学習した単元の平均点と、その科目を最後に開いてからの日数で同じように順位付けする。
+ */
+export function rankWeakAreas({ units, progressByUnit, today, toDate, limit = 5 }) {
+  const studied = units
+    .filter((unit) => progressByUnit[unit.id])
+    .map((unit) => {
+      const progress = progressByUnit[unit.id];
+      return {
+        unit,
+        score: progress.score ?? null,
+        completed: Boolean(progress.completed),
+        lastAccessed: progress.lastAccessed || null,
+        gapDays: getGapDays(progress.lastAccessed, today, toDate),
+      };
+    });
+
+  const weakUnits = studied
+    .map((entry) => {
+      const reasons = [];
+      if (entry.score !== null && entry.score < WEAK_SCORE_THRESHOLD) {
+        reasons.push(WEAK_REASONS.LOW_SCORE);
+      }
+      if (!entry.completed && entry.gapDays !== null && entry.gapDays >= STALE_DAYS) {
+        reasons.push(WEAK_REASONS.STALE);
+      }
+      return { ...entry, reasons, weakness: weaknessOf(entry.score, entry.gapDays) };
+    })
+    .filter((entry) => entry.reasons.length)
+    .sort((left, right) => right.weakness - left.weakness)
+    .slice(0, limit)
+    .map((entry) => ({
+      unitId: entry.unit.id,
+      title: entry.unit.title,
+      subjectId: entry.unit.subjectId,
+      score: entry.score,
+      gapDays: entry.gapDays,
+      reasons: entry.reasons,
+      weakness: entry.weakness,
+    }));
+
+  const subjectEntries = new Map();
+  studied.forEach((entry) => {
+    const subject = subjectEntries.get(entry.unit.subjectId) || { subjectId: entry.unit.subjectId, scores: [], gapDays: null };
+    if (entry.score !== null) {
+      subject.scores.push(Number(entry.score));
+    }
+    if (entry.gapDays !== null) {
+      subject.gapDays = subject.gapDays === null ? entry.gapDays : Math.min(subject.gapDays, entry.gapDays);
+    }
+    subjectEntries.set(entry.unit.subjectId, subject);
+  });
+
+  const weakSubjects = [...subjectEntries.values()]
+    .map((subject) => {
+      const averageScore = subject.scores.length
+        ? Math.round(subject.scores.reduce((sum, score) => sum + score, 0) / subject.scores.length)
+        : null;
+      const reasons = [];
+      if (averageScore !== null && averageScore < WEAK_SCORE_THRESHOLD) {
+        reasons.push(WEAK_REASONS.LOW_SCORE);
+      }
+      if (subject.gapDays !== null && subject.gapDays >= STALE_DAYS) {
+        reasons.push(WEAK_REASONS.STALE);
+      }
+      return {
+        subjectId: subject.subjectId,
+        averageScore,
+        gapDays: subject.gapDays,
+        reasons,
+        weakness: weaknessOf(averageScore, subject.gapDays),
+      };
+    })
+    .filter((subject) => subject.reasons.length)
+    .sort((left, right) => right.weakness - left.weakness)
+    .slice(0, limit);
+
+  return { units: weakUnits, subjects: weakSubjects };
+}
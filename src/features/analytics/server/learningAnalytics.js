@@ -0,0 +1,73 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import progressRepository from '@/server/repositories/progressRepository';
+import quizAttemptRepository from '@/server/repositories/quizAttemptRepository';
+import studyTimeRepository from '@/server/repositories/studyTimeRepository';
+import { addStudyDays, toStudyDate } from '@/features/flashcards/lib/scheduler';
+import {
+  DAILY_CHART_DAYS,
+  HEATMAP_WEEKS,
+  SCORE_TREND_WEEKS,
+  buildDailySeries,
+  buildScoreTrends,
+  computeStreak,
+  getHeatmapLevel,
+  getWeekStart,
+  rankWeakAreas,
+} from '@/features/analytics/lib/learningAnalytics';
+
+function sumSeconds(days) {
+  return days.reduce((total, day) => total + day.seconds, 0);
+}
+
+// 日本時間の日付の 0 時を ISO 日時にする
+function toStudyDateStart(studyDate) {
+  return new Date(Date.parse(`${studyDate}T00:00:00+09:00`)).toISOString();
+}
+
+/**
+ * マイページの学習の分析。
+ * - streak: 連続学習日数（学習時間の記録か演習の提出がある日を数える）
+ * - totals: 今日・直近7日・直近30日の学習時間（秒）
+ * - daily: 直近 DAILY_CHART_DAYS 日の日ごとの学習時間
+ * - heatmap: 直近 HEATMAP_WEEKS 週（月曜始まり、今日まで）の日ごとの学習時間と濃さ
+ * - scoreTrends: 科目ごとの演習の週平均点の推移
+ * - weakAreas: 苦手な単元と科目（公開中の単元のみ）
+ */
+export function getLearningAnalytics(userId, { today = toStudyDate() } = {}) {
+  const heatmapFrom = addStudyDays(getWeekStart(today), -(HEATMAP_WEEKS - 1) * 7);
+  const heatmapDays = buildDailySeries(studyTimeRepository.listSince(userId, heatmapFrom), { from: heatmapFrom, to: today });
+
+  const trendFrom = addStudyDays(getWeekStart(today), -(SCORE_TREND_WEEKS - 1) * 7);
+  const attempts = quizAttemptRepository.listAttemptsSince(userId, toStudyDateStart(trendFrom));
+  const units = contentRepository.listUnits({}, { includeDraft: false }).units;
+  const unitsById = new Map(units.map((unit) => [unit.id, unit]));
+
+  const studyDates = new Set([
+    ...studyTimeRepository.listStudyDates(userId),
+    ...quizAttemptRepository.listAttemptDates(userId),
+  ]);
+
+  const weakAreas = rankWeakAreas({
+    units,
+    progressByUnit: progressRepository.getByUser(userId),
+    today,
+    toDate: toStudyDate,
+  });
+
+  return {
+    today,
+    streak: computeStreak([...studyDates].sort(), today),
+    totals: {
+      today: heatmapDays[heatmapDays.length - 1].seconds,
+      last7Days: sumSeconds(heatmapDays.slice(-7)),
+      last30Days: sumSeconds(heatmapDays.slice(-30)),
+    },
+    daily: heatmapDays.slice(-DAILY_CHART_DAYS),
+    heatmap: heatmapDays.map((day) => ({ ...day, level: getHeatmapLevel(day.seconds) })),
+    scoreTrends: buildScoreTrends(attempts, {
+      getSubjectId: (unitId) => unitsById.get(String(unitId))?.subjectId,
+      toDate: toStudyDate,
+    }),
+    weakAreas,
+  };
+}
@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { Loader2, LogOut, Monitor, Smartphone } from 'lucide-react';
+
+const MOBILE_PATTERN = /iPhone|iPad|Android/;
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString('ja-JP', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * 設定画面の「ログイン中の端末」。/api/user/sessions の端末ごとにログアウトでき、
+ * この端末を選んだときはそのままログアウトする。onMessage(type, text) で結果を知らせる。
+ */
+export default function ActiveSessionsPanel({ onMessage }) {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // ログアウト中の端末の id（ほかの端末をまとめてなら 'others'）
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await authFetch('/api/user/sessions');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setSessions(data.sessions);
+      }
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revokeSession = async (session) => {
+    if (session.current && !window.confirm('この端末からログアウトしますか？')) {
+      return;
+    }
+
+    setRevoking(session.id);
+    try {
+      const res = await authFetch(`/api/user/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        if (data.current) {
+          await logout();
+          return;
+        }
+        onMessage('success', `${session.device}をログアウトしました`);
+        await fetchSessions();
+      } else {
+        onMessage('error', data.error || '端末のログアウトに失敗しました');
+      }
+    } catch (error) {
+      onMessage('error', '端末のログアウトに失敗しました');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    setRevoking('others');
+    try {
+      const res = await authFetch('/api/user/sessions', { method: 'DELETE' });
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        onMessage('success', data.message);
+        await fetchSessions();
+      } else {
+        onMessage('error', data.error || '端末のログアウトに失敗しました');
+      }
+    } catch (error) {
+      onMessage('error', '端末のログアウトに失敗しました');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        このアカウントでログインしている端末です。心当たりのない端末があれば、ログアウトさせてからパスワードを変更してください。
+      </p>
+
+      <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200">
+        {sessions.map((session) => {
+          const Icon = MOBILE_PATTERN.test(session.userAgent || '') ? Smartphone : Monitor;
+          return (
+            <li key={session.id} className="flex items-center justify-between gap-4 p-4">
+              <div className="flex items-start gap-3 min-w-0">
+                <Icon className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-700 flex items-center gap-2">
+                    {session.device}
+                    {session.current && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700">
+                        この端末
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    最終利用: {formatDateTime(session.lastUsedAt)}
+                    {session.ipAddress && ` ・ ${session.ipAddress}`}
+                  </p>
+                  <p className="text-xs text-gray-400">ログイン: {formatDateTime(session.createdAt)}</p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => revokeSession(session)}
+                disabled={revoking !== null}
+                className="inline-flex items-center gap-1 px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors flex-shrink-0"
+              >
+                {revoking === session.id ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <LogOut className="w-4 h-4" />
+                )}
+                ログアウト
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={revokeOtherSessions}
+          disabled={revoking !== null || !hasOtherSessions}
+          className="inline-flex items-center gap-2 px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 disabled:opacity-50 transition-colors"
+        >
+          {revoking === 'others' ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            <LogOut className="w-5 h-5" />
+          )}
+          他の端末をすべてログアウト
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertCircle, Loader2, Mail } from 'lucide-react';
+
+/**
+ * メールアドレスを確認していないユーザーへの案内と、確認メールの再送ボタン。確認済みなら何も表示しない。
+ */
+export default function EmailVerificationNotice({ className = '' }) {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const resend = async () => {
+    setSending(true);
+    setMessage(null);
+    try {
+      const res = await authFetch('/api/auth/resend-verification', { method: 'POST' });
+      const data = await res.json();
+      setMessage(res.ok && data.success
+        ? { type: 'success', text: `${user.email} に確認メールを送信しました` }
+        : { type: 'error', text: data.error || '確認メールの送信に失敗しました' });
+    } catch (error) {
+      setMessage({ type: 'error', text: '確認メールの送信に失敗しました' });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className={`rounded-xl border border-yellow-200 bg-yellow-50 p-4 ${className}`}>
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-start gap-3">
+          <AlertCircle className="mt-0.5 h-5 w-5 flex-shrink-0 text-yellow-600" />
+          <div>
+            <p className="text-sm font-medium text-yellow-800">メールアドレスの確認が完了していません</p>
+            <p className="mt-1 text-sm text-yellow-700">
+              {user.email} に届いたリンクを開いてください。確認が済むまで、プレミアムプランの申し込みとプレミアムの機能は利用できません。
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={resend}
+          disabled={sending}
+          className="inline-flex flex-shrink-0 items-center justify-center gap-2 rounded-lg border border-yellow-300 bg-white px-4 py-2 text-sm font-medium text-yellow-800 transition-colors hover:bg-yellow-100 disabled:opacity-50"
+        >
+          {sending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Mail className="h-4 w-4" />}
+          確認メールを再送
+        </button>
+      </div>
+      {message && (
+        <p className={`mt-3 text-sm ${message.type === 'success' ? 'text-green-700' : 'text-red-700'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * ログイン・登録画面の「Google でログイン」などのボタン。/api/auth/oidc に設定されたプロバイダーだけを出し、
+ * ひとつもなければ区切り線ごと何も表示しない。redirect はログイン後に戻るパス。
+ */
+export default function ExternalLoginButtons({ redirect, label = 'ログイン' }) {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+
+    async function fetchProviders() {
+      try {
+        const res = await fetch('/api/auth/oidc');
+        const data = await res.json();
+        if (active && res.ok && data.success) {
+          setProviders(data.providers);
+        }
+      } catch (error) {
+        console.error('Failed to fetch login providers:', error);
+      }
+    }
+
+    fetchProviders();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  const query = redirect ? `?redirect=${encodeURIComponent(redirect)}` : '';
+
+  return (
+    <>
+      {/* Divider */}
+      <div className="mt-6">
+        <div className="relative">
+          <div className="absolute inset-0 flex items-center">
+            <div className="w-full border-t border-gray-300" />
+          </div>
+          <div className="relative flex justify-center text-sm">
+            <span className="px-2 bg-white text-gray-500">または</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-6 space-y-3">
+        {providers.map((provider) => (
+          // プロバイダーの画面へ移動するので、クライアント側のルーティングは使わない
+          <a
+            key={provider.id}
+            href={`/api/auth/oidc/${encodeURIComponent(provider.id)}${query}`}
+            className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-gray-300 rounded-xl shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            {provider.name}で{label}
+          </a>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useState } from 'react';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { Link2, Link2Off, Loader2 } from 'lucide-react';
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('ja-JP', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+  });
+}
+
+/**
+ * 設定画面の「連携アカウント」。/api/user/identities の外部アカウント（Google・LINE など）と連携・解除する。
+ * 連携はプロバイダーの画面へ移動して行い、戻ってきた結果は設定画面が ?linked / ?oidcError で表示する。
+ * onMessage(type, text) で結果を知らせる。
+ */
+export default function LinkedAccountsPanel({ onMessage }) {
+  const [accounts, setAccounts] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // 連携・解除の途中のプロバイダーの id
+  const [pending, setPending] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const res = await authFetch('/api/user/identities');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setAccounts({ providers: data.providers, hasPassword: data.hasPassword });
+      }
+    } catch (error) {
+      console.error('Failed to fetch linked accounts:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const link = async (provider) => {
+    setPending(provider.id);
+    try {
+      const res = await authFetch('/api/user/identities', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ provider: provider.id }),
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        window.location.assign(data.authorizationUrl);
+        return;
+      }
+      onMessage('error', data.error || '連携を始められませんでした');
+    } catch (error) {
+      onMessage('error', '連携を始められませんでした');
+    }
+    setPending(null);
+  };
+
+  const unlink = async (provider) => {
+    if (!window.confirm(`${provider.name}との連携を解除しますか？`)) {
+      return;
+    }
+
+    setPending(provider.id);
+    try {
+      const res = await authFetch(`/api/user/identities/${encodeURIComponent(provider.id)}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        onMessage('success', `${provider.name}との連携を解除しました`);
+        await fetchAccounts();
+      } else {
+        onMessage('error', data.error || '連携の解除に失敗しました');
+      }
+    } catch (error) {
+      onMessage('error', '連携の解除に失敗しました');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!accounts) {
+    return <p className="text-sm text-gray-600">連携アカウントを読み込めませんでした。</p>;
+  }
+
+  if (accounts.providers.length === 0) {
+    return <p className="text-sm text-gray-600">連携できる外部アカウントはありません。</p>;
+  }
+
+  const linkedCount = accounts.providers.filter((provider) => provider.linked).length;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        連携すると、メールアドレスとパスワードの代わりに外部アカウントでログインできます。
+      </p>
+      {!accounts.hasPassword && (
+        <p className="text-sm text-blue-700">
+          パスワードを設定していないため、最後の連携は解除できません。パスワードはログイン画面の「パスワードを忘れた方」から設定できます。
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-200 rounded-xl border border-gray-200">
+        {accounts.providers.map((provider) => {
+          const locked = provider.linked && !accounts.hasPassword && linkedCount <= 1;
+          return (
+            <li key={provider.id} className="flex items-center justify-between gap-4 p-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">{provider.name}</p>
+                <p className="mt-1 text-sm text-gray-500 truncate">
+                  {provider.linked
+                    ? `${provider.email || '連携済み'}・${formatDate(provider.linkedAt)}に連携`
+                    : '連携していません'}
+                </p>
+              </div>
+              {provider.linked ? (
+                <button
+                  type="button"
+                  onClick={() => unlink(provider)}
+                  disabled={pending !== null || locked}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {pending === provider.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2Off className="w-4 h-4" />}
+                  解除
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => link(provider)}
+                  disabled={pending !== null}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                >
+                  {pending === provider.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Link2 className="w-4 h-4" />}
+                  連携する
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
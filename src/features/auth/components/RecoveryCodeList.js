@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { Check, Copy, Download } from 'lucide-react';
+
+/**
+ * 作ったばかりのリカバリーコード。サーバーはハッシュしか持たないので、表示はこのときだけ。
+ */
+export default function RecoveryCodeList({ codes }) {
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy recovery codes:', error);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="rounded-xl border border-yellow-200 bg-yellow-50 p-4">
+      <p className="text-sm font-medium text-yellow-800">リカバリーコードを安全な場所に保管してください</p>
+      <p className="mt-1 text-sm text-yellow-700">
+        認証アプリを使えなくなったときに、確認コードの代わりに入力できます。各コードは1回だけ使え、この画面を閉じると二度と表示されません。
+      </p>
+      <ul className="mt-4 grid grid-cols-2 gap-2 font-mono text-sm text-gray-800">
+        {codes.map((code) => (
+          <li key={code} className="rounded-lg bg-white px-3 py-2 text-center">{code}</li>
+        ))}
+      </ul>
+      <div className="mt-4 flex gap-2">
+        <button
+          type="button"
+          onClick={copy}
+          className="inline-flex items-center gap-2 rounded-lg border border-yellow-300 bg-white px-4 py-2 text-sm font-medium text-yellow-800 transition-colors hover:bg-yellow-100"
+        >
+          {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+          {copied ? 'コピーしました' : 'コピー'}
+        </button>
+        <button
+          type="button"
+          onClick={download}
+          className="inline-flex items-center gap-2 rounded-lg border border-yellow-300 bg-white px-4 py-2 text-sm font-medium text-yellow-800 transition-colors hover:bg-yellow-100"
+        >
+          <Download className="h-4 w-4" />
+          ダウンロード
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import RecoveryCodeList from '@/features/auth/components/RecoveryCodeList';
+import TwoFactorQrCode from '@/features/auth/components/TwoFactorQrCode';
+import { AlertCircle, ArrowRight, KeyRound, Loader2, ShieldCheck } from 'lucide-react';
+
+/**
+ * ログインの2段階目。challenge はログイン API が返した { step, token }。
+ * - verify: 認証アプリの確認コード（またはリカバリーコード）を入力する
+ * - setup: 二段階認証が必須で未設定のアカウント。QR コードを読み取って有効にし、リカバリーコードを表示する
+ * ログインできたら onSignedIn、最初からやり直すときは onCancel を呼ぶ。
+ */
+export default function TwoFactorLoginStep({ challenge, onSignedIn, onCancel }) {
+  const { completeTwoFactorLogin } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const isSetup = challenge.step === 'setup';
+
+  useEffect(() => {
+    if (!isSetup) {
+      return;
+    }
+
+    async function startSetup() {
+      try {
+        const res = await fetch('/api/auth/two-factor-setup', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ twoFactorToken: challenge.token }),
+        });
+        const data = await res.json();
+        if (res.ok && data.success) {
+          setSetup(data.setup);
+        } else {
+          setError(data.error || '二段階認証の設定を始められませんでした');
+        }
+      } catch (err) {
+        setError('二段階認証の設定を始められませんでした');
+      }
+    }
+
+    startSetup();
+  }, [challenge.token, isSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const value = code.trim();
+      const result = await completeTwoFactorLogin(
+        challenge.token,
+        useRecoveryCode ? { recoveryCode: value } : { code: value }
+      );
+
+      if (result.success && result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else if (result.success) {
+        onSignedIn();
+      } else if (result.expired) {
+        onCancel(result.error);
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-6">
+        <div className="flex items-center gap-2 text-green-700">
+          <ShieldCheck className="w-5 h-5" />
+          <p className="text-sm font-medium">二段階認証を有効にしました</p>
+        </div>
+        <RecoveryCodeList codes={recoveryCodes} />
+        <button
+          type="button"
+          onClick={onSignedIn}
+          className="w-full flex justify-center items-center gap-2 py-3 px-4 rounded-xl text-base font-medium text-white bg-blue-600 hover:bg-blue-700 transition-all"
+        >
+          保管して続ける
+          <ArrowRight className="w-5 h-5" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">
+          {isSetup ? '二段階認証の設定' : '二段階認証'}
+        </h3>
+        <p className="mt-1 text-sm text-gray-600">
+          {isSetup
+            ? '管理画面を使う権限のあるアカウントは、認証アプリによる二段階認証が必須です。'
+            : useRecoveryCode
+              ? '保管しておいたリカバリーコードを入力してください。'
+              : '認証アプリに表示されている6桁の確認コードを入力してください。'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isSetup && !setup && !error && (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      )}
+      {isSetup && setup && <TwoFactorQrCode setup={setup} />}
+
+      <div>
+        <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'リカバリーコード' : '確認コード'}
+        </label>
+        <div className="mt-1 relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <KeyRound className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            id="two-factor-code"
+            type="text"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="appearance-none block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          />
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || (isSetup && !setup)}
+        className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-xl shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+      >
+        {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : <ShieldCheck className="w-5 h-5" />}
+        {isSetup ? '有効にしてログイン' : '確認してログイン'}
+      </button>
+
+      <div className="flex items-center justify-between text-sm">
+        <button type="button" onClick={() => onCancel()} className="text-gray-600 hover:text-blue-600">
+          ← 最初からやり直す
+        </button>
+        {!isSetup && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+              setError('');
+            }}
+            className="font-medium text-blue-600 hover:text-blue-500"
+          >
+            {useRecoveryCode ? '確認コードを使う' : 'リカバリーコードを使う'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,249 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import RecoveryCodeList from '@/features/auth/components/RecoveryCodeList';
+import TwoFactorQrCode from '@/features/auth/components/TwoFactorQrCode';
+import { KeyRound, Loader2, RefreshCw, ShieldCheck, ShieldOff } from 'lucide-react';
+
+const TOTP_CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * 設定画面の「二段階認証」。/api/user/two-factor で認証アプリを登録して有効にし、
+ * リカバリーコードの作り直しと無効化（必須のロールではできない）を行う。onMessage(type, text) で結果を知らせる。
+ */
+export default function TwoFactorPanel({ onMessage }) {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await authFetch('/api/user/two-factor');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setStatus(data.twoFactor);
+      }
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // method と body で API を呼び、成功したら data を返す（失敗は onMessage で知らせて null）
+  const request = async (path, method, body, failureMessage) => {
+    setSubmitting(true);
+    try {
+      const res = await authFetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        return data;
+      }
+      onMessage('error', data.error || failureMessage);
+    } catch (error) {
+      onMessage('error', failureMessage);
+    } finally {
+      setSubmitting(false);
+    }
+    return null;
+  };
+
+  const startSetup = async () => {
+    const data = await request('/api/user/two-factor', 'POST', null, '二段階認証の設定を始められませんでした');
+    if (data) {
+      setSetup(data.setup);
+      setCode('');
+    }
+  };
+
+  const confirmSetup = async (event) => {
+    event.preventDefault();
+    const data = await request('/api/user/two-factor', 'PUT', { code: code.trim() }, '二段階認証を有効にできませんでした');
+    if (data) {
+      setSetup(null);
+      setCode('');
+      setStatus(data.twoFactor);
+      setRecoveryCodes(data.recoveryCodes);
+      onMessage('success', data.message);
+      await refreshUser();
+    }
+  };
+
+  const regenerate = async () => {
+    const data = await request('/api/user/two-factor/recovery-codes', 'POST', { code: code.trim() }, 'リカバリーコードの作り直しに失敗しました');
+    if (data) {
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      await fetchStatus();
+      onMessage('success', data.message);
+    }
+  };
+
+  const disable = async () => {
+    if (!window.confirm('二段階認証を無効にしますか？')) {
+      return;
+    }
+
+    // 6桁の数字なら認証アプリのコード、それ以外はリカバリーコードとして送る
+    const value = code.trim();
+    const body = TOTP_CODE_PATTERN.test(value) ? { code: value } : { recoveryCode: value };
+    const data = await request('/api/user/two-factor', 'DELETE', body, '二段階認証を無効にできませんでした');
+    if (data) {
+      setCode('');
+      setStatus(data.twoFactor);
+      onMessage('success', data.message);
+      await refreshUser();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!status) {
+    return <p className="text-sm text-gray-600">二段階認証の設定を読み込めませんでした。</p>;
+  }
+
+  const codeInput = (placeholder) => (
+    <div className="relative">
+      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+        <KeyRound className="h-5 w-5 text-gray-400" />
+      </div>
+      <input
+        type="text"
+        inputMode={status.enabled ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={placeholder}
+        className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {recoveryCodes && (
+        <div className="space-y-3">
+          <RecoveryCodeList codes={recoveryCodes} />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              保管しました
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className={`flex items-start gap-3 p-4 rounded-xl ${status.enabled ? 'bg-green-50 border border-green-200' : 'bg-gray-50 border border-gray-200'}`}>
+        {status.enabled ? (
+          <ShieldCheck className="w-6 h-6 text-green-600 flex-shrink-0" />
+        ) : (
+          <ShieldOff className="w-6 h-6 text-gray-400 flex-shrink-0" />
+        )}
+        <div>
+          <p className="font-medium text-gray-800">
+            {status.enabled ? '二段階認証は有効です' : '二段階認証は無効です'}
+          </p>
+          <p className="mt-1 text-sm text-gray-600">
+            {status.enabled
+              ? `ログインのときに認証アプリの確認コードを入力します。使っていないリカバリーコード: ${status.recoveryCodesRemaining}個`
+              : 'ログインのときに、パスワードに加えて認証アプリの確認コードを入力するようにします。'}
+          </p>
+          {status.required && (
+            <p className="mt-1 text-sm text-blue-700">管理画面を使う権限のあるアカウントは、二段階認証が必須です。</p>
+          )}
+        </div>
+      </div>
+
+      {!status.enabled && !setup && (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={startSetup}
+            disabled={submitting}
+            className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : <ShieldCheck className="w-5 h-5" />}
+            設定を始める
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={confirmSetup} className="space-y-4">
+          <TwoFactorQrCode setup={setup} />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              認証アプリに表示された6桁のコード
+            </label>
+            {codeInput('123456')}
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={submitting || !code.trim()}
+              className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : <ShieldCheck className="w-5 h-5" />}
+              有効にする
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              確認コード
+            </label>
+            {codeInput(status.required ? '認証アプリの6桁のコード' : '認証アプリのコードまたはリカバリーコード')}
+            <p className="mt-1 text-xs text-gray-500">リカバリーコードの作り直しには、認証アプリのコードが必要です</p>
+          </div>
+          <div className="flex flex-wrap justify-end gap-3">
+            <button
+              type="button"
+              onClick={regenerate}
+              disabled={submitting || !code.trim()}
+              className="inline-flex items-center gap-2 px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              <RefreshCw className="w-5 h-5" />
+              リカバリーコードを作り直す
+            </button>
+            {!status.required && (
+              <button
+                type="button"
+                onClick={disable}
+                disabled={submitting || !code.trim()}
+                className="inline-flex items-center gap-2 px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                <ShieldOff className="w-5 h-5" />
+                無効にする
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
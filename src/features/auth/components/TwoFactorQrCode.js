@@ -0,0 +1,28 @@
+import Image from 'next/image';
+
+/**
+ * 二段階認証を始めるときに、認証アプリで読み取る QR コード（サーバーで作った data URL）と、
+ * 読み取れないとき手で入力する秘密鍵を表示する。setup は beginTwoFactorSetup の戻り値。
+ */
+export default function TwoFactorQrCode({ setup }) {
+  // 4文字ずつ区切ると書き写しやすい
+  const groupedSecret = setup.secret.match(/.{1,4}/g).join(' ');
+
+  return (
+    <div className="flex flex-col items-center gap-4 sm:flex-row sm:items-start">
+      <Image
+        src={setup.qrCode}
+        alt="認証アプリで読み取る QR コード"
+        width={192}
+        height={192}
+        unoptimized
+        className="rounded-lg border border-gray-200"
+      />
+      <div className="text-sm text-gray-600">
+        <p>Google Authenticator などの認証アプリで QR コードを読み取ってください。</p>
+        <p className="mt-3">読み取れない場合は、次のキーを入力してください。</p>
+        <p className="mt-1 break-all rounded-lg bg-gray-50 px-3 py-2 font-mono text-gray-800">{groupedSecret}</p>
+      </div>
+    </div>
+  );
+}
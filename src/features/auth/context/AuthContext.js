@@ -1,5 +1,11 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
+import { hasPermission as userHasPermission } from '@/shared/lib/permissions';
+import {
+  forgetAccessTokenExpiry,
+  refreshAccessToken,
+  rememberAccessTokenExpiry
+} from '@/features/auth/lib/authFetch';
 
 // 認証コンテキスト
 const AuthContext = createContext({
@@ -7,9 +13,11 @@ const AuthContext = createContext({
   loading: true,
   isAuthenticated: false,
   login: async () => {},
+  completeTwoFactorLogin: async () => {},
   register: async () => {},
   logout: async () => {},
-  refreshUser: async () => {}
+  refreshUser: async () => {},
+  hasPermission: () => false
 });
 
 // 認証プロバイダー
@@ -18,47 +26,22 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const router = useRouter();
 
-  // トークンをローカルストレージから取得
-  const getStoredToken = () => {
-    if (typeof window !== 'undefined') {
-      return localStorage.getItem('token');
-    }
-    return null;
-  };
-
-  // トークンをローカルストレージに保存
-  const setStoredToken = (token) => {
-    if (typeof window !== 'undefined') {
-      if (token) {
-        localStorage.setItem('token', token);
-      } else {
-        localStorage.removeItem('token');
-      }
-    }
-  };
-
-  // 現在のユーザー情報を取得
+  // 現在のユーザー情報を取得（トークンは HttpOnly Cookie で送られる）。アクセストークンが切れていれば、
+  // 期限の目安が残っていなくてもリフレッシュトークンで取り替えてから読み直す
   const fetchUser = useCallback(async () => {
-    const token = getStoredToken();
-    if (!token) {
-      setUser(null);
-      setLoading(false);
-      return null;
-    }
-
     try {
-      const res = await fetch('/api/auth/me', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      let res = await fetch('/api/auth/me');
+      if (res.status === 401 && await refreshAccessToken()) {
+        res = await fetch('/api/auth/me');
+      }
 
       if (res.ok) {
         const data = await res.json();
+        rememberAccessTokenExpiry(data.accessTokenExpiresAt);
         setUser(data.user);
         return data.user;
       } else {
-        setStoredToken(null);
+        forgetAccessTokenExpiry();
         setUser(null);
         return null;
       }
@@ -73,10 +56,12 @@ export function AuthProvider({ children }) {
 
   // 初回マウント時にユーザー情報を取得
   useEffect(() => {
+    // 以前はトークンをローカルストレージに保存していたので、残っていれば消す
+    localStorage.removeItem('token');
     fetchUser();
   }, [fetchUser]);
 
-  // ログイン
+  // ログイン。二段階認証の2段階目が要るときは { success: false, twoFactor: { step, token } } を返す
   const login = async (email, password) => {
     try {
       const res = await fetch('/api/auth/login', {
@@ -89,8 +74,10 @@ export function AuthProvider({ children }) {
 
       const data = await res.json();
 
-      if (res.ok && data.success) {
-        setStoredToken(data.token);
+      if (res.ok && data.success && data.twoFactor) {
+        return { success: false, twoFactor: data.twoFactor };
+      } else if (res.ok && data.success) {
+        rememberAccessTokenExpiry(data.accessTokenExpiresAt);
         setUser(data.user);
         return { success: true, user: data.user };
       } else {
@@ -102,6 +89,33 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // 二段階認証の2段階目（認証アプリの code かリカバリーコード）。設定したときは recoveryCodes も返す
+  const completeTwoFactorLogin = async (twoFactorToken, { code, recoveryCode }) => {
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ twoFactorToken, code, recoveryCode })
+      });
+
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        rememberAccessTokenExpiry(data.accessTokenExpiresAt);
+        setUser(data.user);
+        return { success: true, user: data.user, recoveryCodes: data.recoveryCodes || null };
+      } else {
+        // expired ならパスワードの入力からやり直す
+        return { success: false, error: data.error || 'ログインに失敗しました', expired: data.code === 'TWO_FACTOR_CHALLENGE_EXPIRED' };
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, error: 'ログインに失敗しました' };
+    }
+  };
+
   // ユーザー登録
   const register = async (email, password, name) => {
     try {
@@ -116,7 +130,7 @@ export function AuthProvider({ children }) {
       const data = await res.json();
 
       if (res.ok && data.success) {
-        setStoredToken(data.token);
+        rememberAccessTokenExpiry(data.accessTokenExpiresAt);
         setUser(data.user);
         return { success: true, user: data.user };
       } else {
@@ -137,25 +151,25 @@ export function AuthProvider({ children }) {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      setStoredToken(null);
+      forgetAccessTokenExpiry();
       setUser(null);
       router.push('/');
     }
   };
 
-  // ユーザー情報の更新
-  const refreshUser = async () => {
-    return fetchUser();
-  };
+  // ユーザー情報の更新。fetchUser と同じく描画ごとには作り直さないので、useEffect の依存に使える
+  const refreshUser = useCallback(() => fetchUser(), [fetchUser]);
 
   const value = {
     user,
     loading,
     isAuthenticated: !!user,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
-    refreshUser
+    refreshUser,
+    hasPermission: (permission) => userHasPermission(user, permission)
   };
 
   return (
@@ -234,4 +248,68 @@ export function withPremium(Component) {
   };
 }
 
+// 権限が必要なページラッパー（未ログインならログインへ、権限がなければ 403 を表示）
+export function withPermission(Component, permission) {
+  return function PermissionComponent(props) {
+    const { user, loading, isAuthenticated } = useAuth();
+    const router = useRouter();
+
+    useEffect(() => {
+      if (!loading && !isAuthenticated) {
+        router.push('/auth/login?redirect=' + encodeURIComponent(router.asPath));
+      }
+    }, [loading, isAuthenticated, router]);
+
+    if (loading) {
+      return (
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      );
+    }
+
+    if (!isAuthenticated) {
+      return null;
+    }
+
+    if (!userHasPermission(user, permission)) {
+      return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
+          <div className="max-w-md rounded-xl bg-white p-8 text-center shadow-sm">
+            <p className="text-5xl font-bold text-gray-300">403</p>
+            <h1 className="mt-4 text-xl font-semibold text-gray-800">このページを表示する権限がありません</h1>
+            <p className="mt-2 text-sm text-gray-600">必要な権限が付与されているか、管理者に確認してください。</p>
+            <button
+              onClick={() => router.push('/')}
+              className="mt-6 rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700"
+            >
+              トップページへ戻る
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    // 管理画面を使うロールは二段階認証が必須（API も設定するまで 403 を返す）
+    if (user.twoFactorRequired && !user.twoFactorEnabled) {
+      return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
+          <div className="max-w-md rounded-xl bg-white p-8 text-center shadow-sm">
+            <h1 className="text-xl font-semibold text-gray-800">二段階認証の設定が必要です</h1>
+            <p className="mt-2 text-sm text-gray-600">管理画面を使うには、アカウント設定で認証アプリによる二段階認証を有効にしてください。</p>
+            <button
+              onClick={() => router.push('/mypage/settings?tab=two-factor')}
+              className="mt-6 rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700"
+            >
+              二段階認証を設定する
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return <Component {...props} />;
+  };
+}
+
 export default AuthContext;
@@ -0,0 +1,73 @@
+// アクセストークンの期限（ミリ秒）。トークンそのものは HttpOnly Cookie にあり、ここには期限の目安だけを置く
+const EXPIRY_STORAGE_KEY = 'accessTokenExpiresAt';
+// 期限のこれだけ前になったら、API を呼ぶ前にリフレッシュしておく
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// 同時に呼ばれたリフレッシュは1回にまとめる
+let pendingRefresh = null;
+
+export function rememberAccessTokenExpiry(expiresAt) {
+  if (typeof window !== 'undefined' && expiresAt) {
+    localStorage.setItem(EXPIRY_STORAGE_KEY, String(expiresAt));
+  }
+}
+
+export function forgetAccessTokenExpiry() {
+  if (typeof window !== 'undefined') {
+    localStorage.removeItem(EXPIRY_STORAGE_KEY);
+  }
+}
+
+/**
+ * HttpOnly Cookie のリフレッシュトークンで、アクセストークンを取り替える。成功したら true。
+ */
+export function refreshAccessToken() {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch('/api/auth/refresh', { method: 'POST' })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (res.ok && data.success) {
+          rememberAccessTokenExpiry(data.accessTokenExpiresAt);
+          return true;
+        }
+
+        forgetAccessTokenExpiry();
+        return false;
+      })
+      .catch(() => false)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return pendingRefresh;
+}
+
+// 期限の目安がなければ、この端末ではログインしていない
+function getAccessTokenExpiry() {
+  return typeof window !== 'undefined' ? Number(localStorage.getItem(EXPIRY_STORAGE_KEY)) || 0 : 0;
+}
+
+// この端末でログインしているか（AuthContext がユーザーを読み込む前に判断したいとき用）
+export function hasStoredSession() {
+  return getAccessTokenExpiry() > 0;
+}
+
+/**
+ * ログインしたユーザーとして API を呼ぶ fetch。トークンは Cookie で送られるので、ヘッダーには付けない。
+ * ログイン中なら、期限が近いときは先にリフレッシュし（ログインしていなくても使える API が、期限切れで
+ * 未ログイン扱いにならないように）、401 ならリフレッシュして1回だけやり直す。
+ */
+export async function authFetch(input, init) {
+  const expiresAt = getAccessTokenExpiry();
+  if (expiresAt && Date.now() > expiresAt - REFRESH_MARGIN_MS) {
+    await refreshAccessToken();
+  }
+
+  const res = await fetch(input, init);
+  if (res.status !== 401 || !getAccessTokenExpiry() || !(await refreshAccessToken())) {
+    return res;
+  }
+
+  return fetch(input, init);
+}
@@ -0,0 +1,31 @@
+/**
+ * 外部アカウント（OpenID Connect）でのログイン・連携に失敗したときの理由。
+ * コールバックはリダイレクトで終わるので、理由は ?oidcError=<コード> で画面に渡し、ここのメッセージを表示する。
+ */
+export const OIDC_ERRORS = {
+  PROVIDER_UNAVAILABLE: 'provider_unavailable',
+  FLOW_EXPIRED: 'flow_expired',
+  ACCESS_DENIED: 'access_denied',
+  AUTHENTICATION_FAILED: 'authentication_failed',
+  EMAIL_NOT_VERIFIED: 'email_not_verified',
+  ACCOUNT_NOT_VERIFIED: 'account_not_verified',
+  ACCOUNT_DISABLED: 'account_disabled',
+  ALREADY_LINKED: 'already_linked',
+  LINKED_TO_OTHER_ACCOUNT: 'linked_to_other_account',
+};
+
+const OIDC_ERROR_MESSAGES = {
+  [OIDC_ERRORS.PROVIDER_UNAVAILABLE]: 'このログイン方法は現在利用できません',
+  [OIDC_ERRORS.FLOW_EXPIRED]: 'ログインの有効期限が切れました。もう一度お試しください',
+  [OIDC_ERRORS.ACCESS_DENIED]: 'ログインがキャンセルされました',
+  [OIDC_ERRORS.AUTHENTICATION_FAILED]: '外部アカウントでの認証に失敗しました。もう一度お試しください',
+  [OIDC_ERRORS.EMAIL_NOT_VERIFIED]: '確認済みのメールアドレスを取得できなかったため、ログインできません。連携先のアカウントでメールアドレスを確認してください',
+  [OIDC_ERRORS.ACCOUNT_NOT_VERIFIED]: 'このメールアドレスのアカウントは確認が済んでいません。確認のメールのリンクを開いてから、もう一度お試しください',
+  [OIDC_ERRORS.ACCOUNT_DISABLED]: 'このアカウントではログインできません',
+  [OIDC_ERRORS.ALREADY_LINKED]: 'このサービスのほかのアカウントと連携済みです。連携を解除してからお試しください',
+  [OIDC_ERRORS.LINKED_TO_OTHER_ACCOUNT]: 'この外部アカウントは、ほかのユーザーと連携済みです',
+};
+
+export function getOidcErrorMessage(code) {
+  return OIDC_ERROR_MESSAGES[code] || OIDC_ERROR_MESSAGES[OIDC_ERRORS.AUTHENTICATION_FAILED];
+}
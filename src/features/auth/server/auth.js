@@ -1,9 +1,14 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import sessionRepository from '@/server/repositories/sessionRepository';
 
 // JWT設定
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+
+// アクセストークン（JWT）は短く、リフレッシュトークンで取り替えながら使う
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+export const REFRESH_TOKEN_COOKIE = 'refresh_token';
 
 // パスワードのハッシュ化
 export async function hashPassword(password) {
@@ -16,22 +21,42 @@ export async function verifyPassword(password, hashedPassword) {
   return bcrypt.compare(password, hashedPassword);
 }
 
-// JWTトークンの生成
-export function generateToken(user) {
+// アクセストークンの生成（sid はログインのセッション ID）
+export function generateToken(user, sessionId) {
   const payload = {
     userId: user.id,
     email: user.email,
     name: user.name,
-    isPremium: user.isPremium || false
+    isPremium: user.isPremium || false,
+    sid: sessionId
   };
 
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
-// JWTトークンの検証
+// アクセストークンの検証。ログアウトや端末の削除で無効にしたセッションのトークンは、期限内でも通さない
+// （メール確認などの用途を限定したトークンや、セッションのない古いトークンもログインに使えない）
 export function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose || !decoded.sid || !sessionRepository.isActive(decoded.sid)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+// メールのリンクなどに載せる、用途（purpose）を限定した署名付きトークン
+export function generatePurposeToken(purpose, payload, expiresIn) {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+}
+
+export function verifyPurposeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
   } catch (error) {
     return null;
   }
@@ -95,17 +120,34 @@ export function withPremium(handler) {
   });
 }
 
-// Cookie設定のヘルパー
-export function setAuthCookie(res, token) {
-  // HttpOnly Cookie として設定
-  res.setHeader('Set-Cookie', [
-    `token=${token}; HttpOnly; Path=/; Max-Age=${7 * 24 * 60 * 60}; SameSite=Lax${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`
-  ]);
+// 本番では Cookie を HTTPS でだけ送らせる
+export function cookieSuffix() {
+  return process.env.NODE_ENV === 'production' ? '; Secure' : '';
+}
+
+// リクエストの Cookie からリフレッシュトークンを取り出す
+export function getRefreshTokenFromRequest(req) {
+  return req.cookies?.[REFRESH_TOKEN_COOKIE] || null;
+}
+
+/**
+ * Cookie設定のヘルパー（どちらも HttpOnly）。リフレッシュトークンは認証の API（/api/auth）にだけ送らせる。
+ * refreshToken を省くとアクセストークンだけを設定する。
+ */
+export function setAuthCookies(res, { accessToken, refreshToken }) {
+  const cookies = [
+    `token=${accessToken}; HttpOnly; Path=/; Max-Age=${ACCESS_TOKEN_TTL_SECONDS}; SameSite=Lax${cookieSuffix()}`
+  ];
+  if (refreshToken) {
+    cookies.push(`${REFRESH_TOKEN_COOKIE}=${refreshToken}; HttpOnly; Path=/api/auth; Max-Age=${REFRESH_TOKEN_TTL_SECONDS}; SameSite=Strict${cookieSuffix()}`);
+  }
+  res.setHeader('Set-Cookie', cookies);
 }
 
 // Cookie削除のヘルパー
-export function clearAuthCookie(res) {
+export function clearAuthCookies(res) {
   res.setHeader('Set-Cookie', [
-    'token=; HttpOnly; Path=/; Max-Age=0; SameSite=Lax'
+    'token=; HttpOnly; Path=/; Max-Age=0; SameSite=Lax',
+    `${REFRESH_TOKEN_COOKIE}=; HttpOnly; Path=/api/auth; Max-Age=0; SameSite=Strict`
   ]);
 }
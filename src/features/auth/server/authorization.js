@@ -0,0 +1,124 @@
+import userRepository from '@/server/repositories/userRepository';
+import { isTwoFactorEnabled } from '@/features/auth/server/twoFactor';
+import { withAuth, getTokenFromRequest, verifyToken } from '@/features/auth/server/auth';
+import { getRole, getPermissions, hasPermission, requiresTwoFactor } from '@/shared/lib/permissions';
+import { USER_STATUSES, canSignIn } from '@/shared/lib/userStatus';
+
+function forbidden(res, error = 'この操作を行う権限がありません') {
+  return res.status(403).json({
+    success: false,
+    error
+  });
+}
+
+// ログインしていれば保存済みのユーザー（role 付き）を返す。未ログインや無効なトークン、停止中のアカウントなら null
+export function getOptionalRequestUser(req) {
+  const token = getTokenFromRequest(req);
+  const decoded = token ? verifyToken(token) : null;
+  if (!decoded) {
+    return null;
+  }
+
+  const user = userRepository.findById(decoded.userId);
+  if (!canSignIn(user)) {
+    return null;
+  }
+
+  return {
+    ...decoded,
+    ...user,
+    role: getRole(user)
+  };
+}
+
+// 版の履歴などに残す操作者。withPermission / withRole を通したリクエストで使う
+export function getRequestAuthor(req) {
+  return req.user ? { id: req.user.userId, name: req.user.name || req.user.email || null } : null;
+}
+
+// トークンではなく保存済みのユーザーから role を引くので、権限変更は次のリクエストから反映される
+function withCurrentUser(handler) {
+  return withAuth(async (req, res) => {
+    const user = userRepository.findById(req.user.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'ユーザーが見つかりません'
+      });
+    }
+
+    if (user.status === USER_STATUSES.PENDING_VERIFICATION) {
+      return forbidden(res, 'メールアドレスの確認が完了していません。確認メールのリンクを開いてください');
+    }
+
+    if (user.status && user.status !== USER_STATUSES.ACTIVE) {
+      return forbidden(res, 'このアカウントは現在利用できません');
+    }
+
+    // 二段階認証を必須にする前からのログインや、あとから権限を付けたユーザーは、設定するまで管理 API を使えない
+    if (requiresTwoFactor(user) && !isTwoFactorEnabled(user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: '管理画面を使うには二段階認証の設定が必要です。アカウント設定から設定してください',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    req.user = {
+      ...req.user,
+      role: getRole(user),
+      permissions: getPermissions(user)
+    };
+
+    return handler(req, res);
+  });
+}
+
+// 指定したロールのいずれかを持つユーザーに限定するミドルウェア
+export function withRole(roles, handler) {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return withCurrentUser(async (req, res) => {
+    if (!allowedRoles.includes(req.user.role)) {
+      return forbidden(res);
+    }
+
+    return handler(req, res);
+  });
+}
+
+/**
+ * 権限を持つユーザーに限定するミドルウェア
+ *
+ * permission には権限名、または HTTP メソッドごとの権限名を渡す。
+ * メソッド別に指定した場合、記載のないメソッドは 405 を返す。
+ *
+ *   export default withPermission({ GET: PERMISSIONS.USERS_READ }, handler);
+ */
+export function withPermission(permission, handler) {
+  return withCurrentUser(async (req, res) => {
+    const required = typeof permission === 'string' ? permission : permission[req.method];
+
+    if (!required) {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+    }
+
+    if (!hasPermission(req.user, required)) {
+      return forbidden(res);
+    }
+
+    return handler(req, res);
+  });
+}
+
+export function assertPermission(req, res, permission) {
+  if (hasPermission(req.user, permission)) {
+    return true;
+  }
+
+  forbidden(res);
+  return false;
+}
@@ -0,0 +1,74 @@
+import userRepository from '@/server/repositories/userRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { generatePurposeToken, verifyPurposeToken } from '@/features/auth/server/auth';
+import { getMailer } from '@/server/mail';
+import { isEmailVerified } from '@/shared/lib/userStatus';
+
+export const EMAIL_VERIFICATION_TOKEN_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+
+function getSiteUrl() {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+function buildVerificationMail(user, verifyUrl) {
+  return [
+    `${user.name} 様`,
+    '',
+    '行政書士試験対策へのご登録ありがとうございます。',
+    `次のリンクを${EMAIL_VERIFICATION_TOKEN_TTL_HOURS}時間以内に開いて、メールアドレスの確認を完了してください。`,
+    '',
+    verifyUrl,
+    '',
+    'ご登録に心当たりがない場合は、このメールを破棄してください。',
+    '',
+    '行政書士試験対策',
+  ].join('\n');
+}
+
+/**
+ * 確認のリンクをメールで送る。リンクはユーザー ID とメールアドレスに署名したもので、保存はしない
+ * （アドレスが変わったり確認が済んだりすれば、古いリンクは使えなくなる）。
+ */
+export async function sendVerificationEmail(user) {
+  const token = generatePurposeToken(
+    EMAIL_VERIFICATION_PURPOSE,
+    { userId: user.id, email: user.email },
+    `${EMAIL_VERIFICATION_TOKEN_TTL_HOURS}h`
+  );
+  const verifyUrl = `${getSiteUrl()}/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  await getMailer().send({
+    to: user.email,
+    subject: '【行政書士試験対策】メールアドレスの確認',
+    text: buildVerificationMail(user, verifyUrl),
+  });
+}
+
+/**
+ * ログイン中のユーザーに確認のリンクを送り直す。確認済みなら ValidationError。
+ */
+export async function resendVerificationEmail(userId) {
+  const user = userRepository.findById(userId);
+  if (!user) {
+    throw new ValidationError('ユーザーが見つかりません');
+  }
+  if (isEmailVerified(user)) {
+    throw new ValidationError('メールアドレスは確認済みです');
+  }
+
+  await sendVerificationEmail(user);
+}
+
+/**
+ * リンクのトークンを確かめてメールアドレスを確認済みにする。使えないリンクなら ValidationError。
+ */
+export async function verifyEmail(token) {
+  const decoded = typeof token === 'string' && token ? verifyPurposeToken(token, EMAIL_VERIFICATION_PURPOSE) : null;
+  const user = decoded ? await userRepository.markEmailVerified(decoded.userId, decoded.email) : null;
+  if (!user) {
+    throw new ValidationError('確認のリンクが無効か、有効期限が切れています。確認メールを再送してください');
+  }
+
+  return user;
+}
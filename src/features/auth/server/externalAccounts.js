@@ -0,0 +1,105 @@
+import userRepository from '@/server/repositories/userRepository';
+import identityRepository from '@/server/repositories/identityRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { OIDC_ERRORS } from '@/features/auth/lib/oidcErrors';
+import { OidcLoginError, getVerifiedEmail, listOidcProviders } from '@/features/auth/server/oidc';
+import { canSignIn, isEmailVerified } from '@/shared/lib/userStatus';
+
+function defaultName(claims, email) {
+  const name = typeof claims.name === 'string' ? claims.name.trim() : '';
+  return name || email.split('@')[0];
+}
+
+/**
+ * 外部アカウントでログインするユーザーを決める。
+ * 1. 連携済みならそのユーザー
+ * 2. プロバイダーが確認済みのメールアドレスと同じアドレスのユーザーがいれば、連携してそのユーザー
+ *    （メールアドレスの確認が済んでいないユーザーには連携しない。先に他人がそのアドレスで登録していた場合の乗っ取りを防ぐ）
+ * 3. いなければ、確認済みのアドレスでパスワードなしのユーザーを作って連携する
+ * ログインできないアカウントや、確認済みのメールアドレスがないときは OidcLoginError。
+ */
+export async function resolveExternalSignIn(provider, claims) {
+  const identity = identityRepository.find(provider.id, claims.sub);
+  const email = getVerifiedEmail(provider, claims);
+  if (identity) {
+    const user = userRepository.findById(identity.userId);
+    if (!canSignIn(user)) {
+      throw new OidcLoginError(OIDC_ERRORS.ACCOUNT_DISABLED);
+    }
+    identityRepository.recordUse(provider.id, claims.sub, { email });
+    return user;
+  }
+
+  if (!email) {
+    throw new OidcLoginError(OIDC_ERRORS.EMAIL_NOT_VERIFIED);
+  }
+
+  let user = userRepository.findByEmail(email);
+  if (user && !isEmailVerified(user)) {
+    throw new OidcLoginError(OIDC_ERRORS.ACCOUNT_NOT_VERIFIED);
+  }
+  if (user && !canSignIn(user)) {
+    throw new OidcLoginError(OIDC_ERRORS.ACCOUNT_DISABLED);
+  }
+  if (!user) {
+    user = await userRepository.create({ email, name: defaultName(claims, email) }, { emailVerified: true });
+  }
+
+  if (!identityRepository.link(user.id, provider.id, claims.sub, { email })) {
+    throw new OidcLoginError(OIDC_ERRORS.ALREADY_LINKED);
+  }
+  return userRepository.findById(user.id);
+}
+
+/**
+ * ログイン中のユーザーに外部アカウントを連携する。本人が外部アカウントでログインしてきたので、
+ * メールアドレスが違っていても連携できる。ほかのユーザーと連携済みなら OidcLoginError。
+ */
+export function linkExternalIdentity(userId, provider, claims) {
+  const identity = identityRepository.find(provider.id, claims.sub);
+  if (identity) {
+    if (identity.userId !== String(userId)) {
+      throw new OidcLoginError(OIDC_ERRORS.LINKED_TO_OTHER_ACCOUNT);
+    }
+    return;
+  }
+
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null;
+  if (!identityRepository.link(userId, provider.id, claims.sub, { email })) {
+    throw new OidcLoginError(OIDC_ERRORS.ALREADY_LINKED);
+  }
+}
+
+// 設定画面に出す、使えるプロバイダーと連携の状態
+export function getLinkedAccounts(user) {
+  const identities = identityRepository.listByUser(user.id);
+  return {
+    hasPassword: Boolean(user.password),
+    providers: listOidcProviders().map((provider) => {
+      const identity = identities.find((item) => item.provider === provider.id);
+      return {
+        ...provider,
+        linked: Boolean(identity),
+        email: identity?.email || null,
+        linkedAt: identity?.createdAt || null,
+        lastUsedAt: identity?.lastUsedAt || null,
+      };
+    }),
+  };
+}
+
+/**
+ * 連携を解除する。パスワードがなく、ほかに連携もなければログインできなくなるので ValidationError。
+ * 連携していなければ false。
+ */
+export function unlinkExternalIdentity(user, providerId) {
+  const identities = identityRepository.listByUser(user.id);
+  if (!identities.some((identity) => identity.provider === providerId)) {
+    return false;
+  }
+  if (!user.password && identities.length <= 1) {
+    throw new ValidationError('ほかにログインする方法がないため、連携を解除できません。先にパスワードを設定してください');
+  }
+
+  return identityRepository.unlink(user.id, providerId);
+}
@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { cookieSuffix, generatePurposeToken, verifyPurposeToken } from '@/features/auth/server/auth';
+import { OIDC_ERRORS, getOidcErrorMessage } from '@/features/auth/lib/oidcErrors';
+
+export const OIDC_FLOW_TTL_MINUTES = 10;
+export const OIDC_FLOW_MODES = {
+  LOGIN: 'login',
+  LINK: 'link',
+};
+
+const FLOW_COOKIE = 'oidc_flow';
+const FLOW_COOKIE_PATH = '/api/auth/oidc';
+const FLOW_PURPOSE = 'oidc-flow';
+const DEFAULT_REDIRECT = '/subjects';
+const DEFAULT_SCOPES = 'openid email profile';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// 鍵が見つからないときに JWKS を取り直す間隔の下限（プロバイダーの鍵の入れ替えに追従する）
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// よく使うプロバイダーは issuer と表示名を省略できる。LINE は email_verified を返さないが、
+// LINE が確認したメールアドレスしか返さないので確認済みとして扱う（OIDC_LINE_TRUST_EMAIL=false で無効）
+const KNOWN_PROVIDERS = {
+  google: { issuer: 'https://accounts.google.com', name: 'Google' },
+  line: { issuer: 'https://access.line.me', name: 'LINE', trustEmail: true },
+};
+
+/**
+ * 外部アカウントのログインで、ユーザーに見せる理由（OIDC_ERRORS のコード）付きの失敗。
+ * コールバックは reason を ?oidcError= に載せて画面へリダイレクトする。
+ */
+export class OidcLoginError extends Error {
+  constructor(reason, cause) {
+    super(getOidcErrorMessage(reason));
+    this.name = 'OidcLoginError';
+    this.code = 'OIDC_LOGIN_ERROR';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+export function isOidcLoginError(error) {
+  return error instanceof OidcLoginError || error?.code === 'OIDC_LOGIN_ERROR';
+}
+
+function readProviderConfig(id) {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (name) => process.env[`${prefix}${name}`];
+  const known = KNOWN_PROVIDERS[id] || {};
+  const issuer = env('ISSUER') || known.issuer;
+  const clientId = env('CLIENT_ID');
+  if (!issuer || !clientId) {
+    console.warn(`OIDC provider "${id}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and is disabled`);
+    return null;
+  }
+
+  const trustEmail = env('TRUST_EMAIL');
+  return {
+    id,
+    name: env('NAME') || known.name || id,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: env('CLIENT_SECRET') || null,
+    scopes: env('SCOPES') || DEFAULT_SCOPES,
+    trustEmail: trustEmail === undefined ? Boolean(known.trustEmail) : trustEmail === 'true',
+  };
+}
+
+/**
+ * OIDC_PROVIDERS（カンマ区切りの ID）に並べたプロバイダーの設定。ID ごとに
+ * OIDC_<ID>_ISSUER / _CLIENT_ID / _CLIENT_SECRET / _NAME / _SCOPES / _TRUST_EMAIL を読む。
+ */
+export function getOidcProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter((id) => /^[a-z0-9-]+$/.test(id))
+    .map(readProviderConfig)
+    .filter(Boolean);
+}
+
+export function getOidcProvider(id) {
+  return getOidcProviders().find((provider) => provider.id === id) || null;
+}
+
+// 画面に出すプロバイダーの一覧（秘密の設定は含めない）
+export function listOidcProviders() {
+  return getOidcProviders().map(({ id, name }) => ({ id, name }));
+}
+
+function getSiteUrl() {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+export function getOidcCallbackUrl(providerId) {
+  return `${getSiteUrl()}/api/auth/oidc/${encodeURIComponent(providerId)}/callback`;
+}
+
+// ログイン後に戻る先。ほかのサイトへ飛ばされないよう、サイト内のパスだけを受け付ける
+export function getSafeRedirectPath(value) {
+  if (typeof value !== 'string' || !/^\/(?![/\\])/.test(value) || /[\\\r\n]/.test(value)) {
+    return DEFAULT_REDIRECT;
+  }
+  return value;
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`OIDC request to ${url} failed with status ${response.status}`);
+  }
+  return body;
+}
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// issuer の /.well-known/openid-configuration。issuer が設定と違うものは使わない
+async function getProviderMetadata(provider) {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer).replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for provider "${provider.id}": ${metadata.issuer}`);
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+    throw new Error(`OIDC provider "${provider.id}" has no authorization or token endpoint`);
+  }
+
+  metadataCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+async function getSigningKey(jwksUri, kid, alg) {
+  const findKey = (keys) => {
+    const candidates = keys.filter((key) => key.use !== 'enc' && (!key.alg || key.alg === alg));
+    return kid ? candidates.find((key) => key.kid === kid) : (candidates.length === 1 ? candidates[0] : null);
+  };
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS ? findKey(cached.keys) : null;
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt >= JWKS_REFETCH_INTERVAL_MS)) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+  if (!jwk) {
+    throw new Error(`No signing key "${kid}" in ${jwksUri}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// ID トークンの署名（JWKS の公開鍵か、HS256 ならクライアントシークレット）と iss / aud / exp / nonce を確かめる
+async function verifyIdToken(provider, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  const alg = decoded?.header?.alg;
+
+  let key;
+  if (alg === 'HS256' && provider.clientSecret) {
+    key = provider.clientSecret;
+  } else if (ASYMMETRIC_ALGORITHMS.includes(alg) && metadata.jwks_uri) {
+    key = await getSigningKey(metadata.jwks_uri, decoded.header.kid, alg);
+  } else {
+    throw new Error(`Unsupported ID token algorithm: ${alg}`);
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    audience: provider.clientId,
+    issuer: [provider.issuer, metadata.issuer],
+    clockTolerance: 60,
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+}
+
+async function exchangeCode(provider, metadata, { code, codeVerifier }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getOidcCallbackUrl(provider.id),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString(),
+  });
+}
+
+// ID トークンにメールアドレスを載せないプロバイダーは、UserInfo エンドポイントから補う
+async function fetchUserInfo(metadata, accessToken, subject) {
+  if (!metadata.userinfo_endpoint || !accessToken) {
+    return {};
+  }
+
+  const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return userInfo.sub === subject ? userInfo : {};
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function appendCookie(res, cookie) {
+  const current = res.getHeader('Set-Cookie');
+  const cookies = current ? [].concat(current) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+/**
+ * 認可コードフロー（PKCE S256）を始める。state / nonce / code_verifier と、戻ったあとの扱い
+ * （mode: login か link、link なら userId、戻る先の redirect）を署名付きの Cookie に入れ、
+ * プロバイダーの認可画面の URL を返す。
+ */
+export async function beginOidcFlow(res, provider, { mode = OIDC_FLOW_MODES.LOGIN, userId = null, redirect } = {}) {
+  let metadata;
+  try {
+    metadata = await getProviderMetadata(provider);
+  } catch (error) {
+    throw new OidcLoginError(OIDC_ERRORS.PROVIDER_UNAVAILABLE, error);
+  }
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const flowToken = generatePurposeToken(FLOW_PURPOSE, {
+    provider: provider.id,
+    state,
+    nonce,
+    codeVerifier,
+    mode,
+    userId,
+    redirect: getSafeRedirectPath(redirect),
+  }, `${OIDC_FLOW_TTL_MINUTES}m`);
+
+  // プロバイダーからのリダイレクト（サイトをまたぐ GET）でも送られるよう SameSite=Lax
+  appendCookie(res, `${FLOW_COOKIE}=${flowToken}; HttpOnly; Path=${FLOW_COOKIE_PATH}; Max-Age=${OIDC_FLOW_TTL_MINUTES * 60}; SameSite=Lax${cookieSuffix()}`);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getOidcCallbackUrl(provider.id),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+// フローの Cookie を読む（失敗したときも戻る先を決めるのに使う）。使えなければ null
+export function readOidcFlow(req, providerId) {
+  const flow = verifyPurposeToken(req.cookies?.[FLOW_COOKIE], FLOW_PURPOSE);
+  return flow && flow.provider === providerId ? flow : null;
+}
+
+export function clearOidcFlow(res) {
+  appendCookie(res, `${FLOW_COOKIE}=; HttpOnly; Path=${FLOW_COOKIE_PATH}; Max-Age=0; SameSite=Lax`);
+}
+
+/**
+ * プロバイダーから戻ってきたコールバック（?code&state か ?error）を確かめ、コードをトークンに替えて
+ * 検証済みの ID トークンのクレーム（sub / email / email_verified / name など）を返す。
+ * 失敗はすべて OidcLoginError。
+ */
+export async function completeOidcFlow(provider, flow, query) {
+  if (!flow || typeof query.state !== 'string' || query.state !== flow.state) {
+    throw new OidcLoginError(OIDC_ERRORS.FLOW_EXPIRED);
+  }
+  if (query.error) {
+    throw new OidcLoginError(query.error === 'access_denied' ? OIDC_ERRORS.ACCESS_DENIED : OIDC_ERRORS.AUTHENTICATION_FAILED);
+  }
+  if (typeof query.code !== 'string' || !query.code) {
+    throw new OidcLoginError(OIDC_ERRORS.AUTHENTICATION_FAILED);
+  }
+
+  try {
+    const metadata = await getProviderMetadata(provider);
+    const tokens = await exchangeCode(provider, metadata, { code: query.code, codeVerifier: flow.codeVerifier });
+    if (!tokens.id_token) {
+      throw new Error('Token response has no id_token');
+    }
+
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, flow.nonce);
+    if (claims.email) {
+      return claims;
+    }
+    return { ...(await fetchUserInfo(metadata, tokens.access_token, claims.sub)), ...claims };
+  } catch (error) {
+    throw new OidcLoginError(OIDC_ERRORS.AUTHENTICATION_FAILED, error);
+  }
+}
+
+/**
+ * プロバイダーが確認済みとしたメールアドレス（小文字）。email_verified が true のもの、
+ * または TRUST_EMAIL を設定したプロバイダーのものだけで、それ以外は null。
+ */
+export function getVerifiedEmail(provider, claims) {
+  if (typeof claims.email !== 'string' || !claims.email.includes('@')) {
+    return null;
+  }
+  const verified = claims.email_verified === true || claims.email_verified === 'true' || provider.trustEmail;
+  return verified ? claims.email.toLowerCase().trim() : null;
+}
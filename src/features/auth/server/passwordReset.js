@@ -0,0 +1,74 @@
+import userRepository from '@/server/repositories/userRepository';
+import passwordResetRepository from '@/server/repositories/passwordResetRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { getMailer } from '@/server/mail';
+import { revokeSessionsAfterPasswordChange } from '@/features/auth/server/sessions';
+
+export const PASSWORD_RESET_TOKEN_TTL_MINUTES = 30;
+export const MIN_PASSWORD_LENGTH = 8;
+
+function getSiteUrl() {
+  return (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+function buildPasswordResetMail(user, resetUrl) {
+  return [
+    `${user.name} 様`,
+    '',
+    'パスワード再設定のお申し込みを受け付けました。',
+    `次のリンクから、${PASSWORD_RESET_TOKEN_TTL_MINUTES}分以内に新しいパスワードを設定してください（リンクは1回だけ使えます）。`,
+    '',
+    resetUrl,
+    '',
+    'お申し込みに心当たりがない場合は、このメールを破棄してください。パスワードは変更されません。',
+    '',
+    '行政書士試験対策',
+  ].join('\n');
+}
+
+/**
+ * 再設定のリンクをメールで送る。登録のないアドレスや停止中のユーザーには何もしない
+ * （登録の有無がわからないよう、API はどちらでも同じ応答を返す）。送り始めたら true。
+ * 送信は待たない。メールサーバーの応答を待つと、応答までの時間で登録の有無がわかってしまうため。送信の失敗はログに残す。
+ */
+export function requestPasswordReset(email) {
+  const user = userRepository.findByEmail(email);
+  if (!user || user.status === 'suspended') {
+    return false;
+  }
+
+  const token = passwordResetRepository.issue(user.id, { ttlMs: PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000 });
+  const resetUrl = `${getSiteUrl()}/auth/reset-password?token=${encodeURIComponent(token)}`;
+
+  getMailer().send({
+    to: user.email,
+    subject: '【行政書士試験対策】パスワード再設定のご案内',
+    text: buildPasswordResetMail(user, resetUrl),
+  }).catch((error) => {
+    console.error('Password reset mail error:', error);
+  });
+  return true;
+}
+
+export function isPasswordResetTokenValid(token) {
+  return typeof token === 'string' && Boolean(token) && Boolean(passwordResetRepository.findUserId(token));
+}
+
+/**
+ * トークンを使って新しいパスワードを設定し、すべての端末をログアウトさせる。パスワードが短い・トークンが使えないときは ValidationError。
+ */
+export async function resetPassword(token, password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`パスワードは${MIN_PASSWORD_LENGTH}文字以上で設定してください`);
+  }
+
+  const userId = typeof token === 'string' && token ? passwordResetRepository.consume(token) : null;
+  if (!userId) {
+    throw new ValidationError('再設定のリンクが無効か、有効期限が切れています。もう一度お手続きください');
+  }
+
+  // リンクを開けたのでメールアドレスは本人のもの。確認待ちなら確認済みにする
+  const updated = await userRepository.update(userId, { password });
+  revokeSessionsAfterPasswordChange(userId);
+  return (await userRepository.markEmailVerified(updated.id, updated.email)) || updated;
+}
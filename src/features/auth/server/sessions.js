@@ -0,0 +1,148 @@
+import userRepository from '@/server/repositories/userRepository';
+import sessionRepository, { SESSION_REVOKE_REASONS } from '@/server/repositories/sessionRepository';
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  clearAuthCookies,
+  generateToken,
+  getRefreshTokenFromRequest,
+  getTokenFromRequest,
+  setAuthCookies,
+  verifyToken
+} from '@/features/auth/server/auth';
+import { PROXY_CONFIG } from '@/security/config/rateLimits';
+import { canSignIn } from '@/shared/lib/userStatus';
+
+// 取り替えた直後の古いリフレッシュトークンを受け付ける時間（同時に開いたタブが同じトークンで更新する場合）
+const REFRESH_GRACE_MS = 30 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Chrome\//, 'Chrome'],
+  [/Firefox\//, 'Firefox'],
+  [/Safari\//, 'Safari'],
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux'],
+];
+
+// 端末の一覧に出す名前（例: Chrome（Windows））
+export function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return '不明な端末';
+  }
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (!browser && !platform) {
+    return '不明な端末';
+  }
+  return platform ? `${browser || 'ブラウザ'}（${platform}）` : browser;
+}
+
+// accessTokenExpiresAt（ミリ秒）はブラウザが期限前にリフレッシュするための目安
+function issueTokens(res, user, sessionId, refreshToken) {
+  const accessToken = generateToken(user, sessionId);
+  setAuthCookies(res, { accessToken, refreshToken });
+  return { accessToken, accessTokenExpiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000 };
+}
+
+/**
+ * ログイン・登録のあとに、この端末のセッションを作ってアクセストークンとリフレッシュトークンを Cookie に設定する。
+ * アクセストークン（API から使うクライアント向けにレスポンスにも載せる）とその期限を返す。
+ */
+export function startSession(req, res, user) {
+  const { session, refreshToken } = sessionRepository.create(user.id, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: PROXY_CONFIG.keyGenerator(req),
+    ttlMs: REFRESH_TOKEN_TTL_SECONDS * 1000,
+  });
+  return issueTokens(res, user, session.id, refreshToken);
+}
+
+/**
+ * リフレッシュトークンを取り替えて、新しいアクセストークン（プレミアムの状態などを読み直したもの）を発行する。
+ * 使えないトークンや、停止中のアカウントなら Cookie を消して null。
+ */
+export async function refreshSession(req, res) {
+  const refreshToken = getRefreshTokenFromRequest(req);
+  const result = refreshToken
+    ? sessionRepository.rotate(refreshToken, {
+      ttlMs: REFRESH_TOKEN_TTL_SECONDS * 1000,
+      graceMs: REFRESH_GRACE_MS,
+      ipAddress: PROXY_CONFIG.keyGenerator(req),
+    })
+    : null;
+
+  if (!result || result.status === 'reused') {
+    if (result) {
+      console.warn(`Refresh token reuse detected for session ${result.session.id}`);
+    }
+    clearAuthCookies(res);
+    return null;
+  }
+
+  const { userId } = result.session;
+  if (!canSignIn(userRepository.findById(userId))) {
+    sessionRepository.revokeAll(userId, { reason: SESSION_REVOKE_REASONS.ACCOUNT_DISABLED });
+    clearAuthCookies(res);
+    return null;
+  }
+
+  await userRepository.checkPremiumStatus(userId);
+  const user = userRepository.findById(userId);
+  // grace のときは新しいリフレッシュトークンを先の応答で設定済みなので、アクセストークンだけ設定する
+  return { user, ...issueTokens(res, user, result.session.id, result.refreshToken) };
+}
+
+// この端末のセッションを無効にして Cookie を消す
+export function endSession(req, res) {
+  const accessToken = getTokenFromRequest(req);
+  const decoded = accessToken ? verifyToken(accessToken) : null;
+  const refreshToken = getRefreshTokenFromRequest(req);
+  const session = decoded
+    ? sessionRepository.get(decoded.sid)
+    : refreshToken && sessionRepository.findByRefreshToken(refreshToken);
+
+  if (session) {
+    sessionRepository.revoke(session.userId, session.id, SESSION_REVOKE_REASONS.LOGOUT);
+  }
+  clearAuthCookies(res);
+}
+
+// ログイン中の端末の一覧。currentSessionId の端末に current: true を付ける
+export function listSessions(userId, currentSessionId) {
+  return sessionRepository.listActive(userId).map((session) => ({
+    id: session.id,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session.id === currentSessionId,
+  }));
+}
+
+export function revokeSession(userId, sessionId) {
+  return sessionRepository.revoke(userId, sessionId, SESSION_REVOKE_REASONS.REVOKED);
+}
+
+export function revokeOtherSessions(userId, currentSessionId) {
+  return sessionRepository.revokeAll(userId, { exceptId: currentSessionId, reason: SESSION_REVOKE_REASONS.REVOKED });
+}
+
+// パスワードを変えたら、ほかの端末（currentSessionId を省けばすべての端末）をログアウトさせる
+export function revokeSessionsAfterPasswordChange(userId, currentSessionId = null) {
+  return sessionRepository.revokeAll(userId, { exceptId: currentSessionId, reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED });
+}
+
+// 停止・非アクティブにしたアカウントのセッションをすべて無効にする
+export function revokeSessionsForDisabledAccount(userId) {
+  return sessionRepository.revokeAll(userId, { reason: SESSION_REVOKE_REASONS.ACCOUNT_DISABLED });
+}
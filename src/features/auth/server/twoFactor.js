@@ -0,0 +1,154 @@
+import QRCode from 'qrcode';
+import twoFactorRepository from '@/server/repositories/twoFactorRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { generatePurposeToken, verifyPurposeToken } from '@/features/auth/server/auth';
+import { buildOtpAuthUri, generateTotpSecret, verifyTotpCode } from '@/features/auth/server/totp';
+import { requiresTwoFactor } from '@/shared/lib/permissions';
+
+export const TWO_FACTOR_ISSUER = '行政書士試験対策';
+export const RECOVERY_CODE_COUNT = 10;
+export const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 10;
+
+// パスワードを確かめたあと、2段階目（コードの入力・設定）に進むためのトークンの用途
+export const TWO_FACTOR_STEPS = {
+  VERIFY: 'verify',
+  SETUP: 'setup',
+};
+const CHALLENGE_PURPOSES = {
+  [TWO_FACTOR_STEPS.VERIFY]: 'two-factor-login',
+  [TWO_FACTOR_STEPS.SETUP]: 'two-factor-setup',
+};
+
+const INVALID_CODE_MESSAGE = '確認コードが正しくありません';
+
+export function isTwoFactorEnabled(userId) {
+  return Boolean(twoFactorRepository.get(userId)?.enabled);
+}
+
+// 設定画面に出す状態
+export function getTwoFactorStatus(user) {
+  const enabled = isTwoFactorEnabled(user.id);
+  return {
+    enabled,
+    required: requiresTwoFactor(user),
+    recoveryCodesRemaining: enabled ? twoFactorRepository.countRemainingRecoveryCodes(user.id) : 0,
+  };
+}
+
+/**
+ * 設定を始める。新しい秘密鍵を保存し、認証アプリに読み取らせる QR コード（data URL。外部のサービスは使わない）と
+ * 手で入力するための秘密鍵を返す。有効にしているあいだは ValidationError。
+ */
+export async function beginTwoFactorSetup(user) {
+  if (isTwoFactorEnabled(user.id)) {
+    throw new ValidationError('二段階認証はすでに有効です');
+  }
+
+  const secret = generateTotpSecret();
+  twoFactorRepository.saveSecret(user.id, secret);
+  const otpauthUri = buildOtpAuthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri, { margin: 1, width: 192 }),
+  };
+}
+
+/**
+ * 認証アプリのコードを確かめて有効にし、リカバリーコード（このときだけ表示する）を返す。
+ */
+export function confirmTwoFactorSetup(userId, code) {
+  const twoFactor = twoFactorRepository.get(userId);
+  if (!twoFactor || twoFactor.enabled) {
+    throw new ValidationError('二段階認証の設定を最初からやり直してください');
+  }
+
+  const step = verifyTotpCode(twoFactor.secret, code);
+  if (step === null) {
+    throw new ValidationError(INVALID_CODE_MESSAGE);
+  }
+
+  return twoFactorRepository.enable(userId, step, { count: RECOVERY_CODE_COUNT });
+}
+
+/**
+ * 認証アプリのコード（code）かリカバリーコード（recoveryCode）を確かめる。
+ * 合っていれば使った方法（'totp' / 'recovery_code'）、合わなければ null。どちらも1回しか使えない。
+ */
+export function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const twoFactor = twoFactorRepository.get(userId);
+  if (!twoFactor?.enabled) {
+    return null;
+  }
+
+  if (recoveryCode) {
+    return twoFactorRepository.consumeRecoveryCode(userId, recoveryCode) ? 'recovery_code' : null;
+  }
+
+  const step = verifyTotpCode(twoFactor.secret, code);
+  return step !== null && twoFactorRepository.useStep(userId, step) ? 'totp' : null;
+}
+
+// 認証アプリのコードを確かめてから、リカバリーコードを作り直す
+export function regenerateRecoveryCodes(userId, code) {
+  if (verifySecondFactor(userId, { code }) !== 'totp') {
+    throw new ValidationError(INVALID_CODE_MESSAGE);
+  }
+
+  return twoFactorRepository.replaceRecoveryCodes(userId, { count: RECOVERY_CODE_COUNT });
+}
+
+// 本人が無効にする。管理画面を使うロールは無効にできない
+export function disableTwoFactor(user, { code, recoveryCode } = {}) {
+  if (requiresTwoFactor(user)) {
+    throw new ValidationError('管理画面を使う権限のあるアカウントは、二段階認証を無効にできません');
+  }
+  if (!verifySecondFactor(user.id, { code, recoveryCode })) {
+    throw new ValidationError(INVALID_CODE_MESSAGE);
+  }
+
+  twoFactorRepository.remove(user.id);
+}
+
+// 管理者による解除（認証アプリをなくしたときなど）。必須のロールなら、次のログインで設定し直す
+export function resetTwoFactor(userId) {
+  return twoFactorRepository.remove(userId);
+}
+
+/**
+ * パスワードを確かめたあとに呼ぶ。2段階目が要らなければ null、要れば
+ * { step: 'verify'（コードの入力）| 'setup'（必須のロールで未設定）, token } を返す。
+ */
+export function issueTwoFactorChallenge(user) {
+  let step = null;
+  if (isTwoFactorEnabled(user.id)) {
+    step = TWO_FACTOR_STEPS.VERIFY;
+  } else if (requiresTwoFactor(user)) {
+    step = TWO_FACTOR_STEPS.SETUP;
+  }
+
+  if (!step) {
+    return null;
+  }
+
+  return {
+    step,
+    token: generatePurposeToken(CHALLENGE_PURPOSES[step], { userId: user.id }, `${TWO_FACTOR_CHALLENGE_TTL_MINUTES}m`),
+  };
+}
+
+// 2段階目のトークンを読む。{ step, userId }、使えないトークンなら null
+export function readTwoFactorChallenge(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  for (const [step, purpose] of Object.entries(CHALLENGE_PURPOSES)) {
+    const decoded = verifyPurposeToken(token, purpose);
+    if (decoded) {
+      return { step, userId: decoded.userId };
+    }
+  }
+  return null;
+}
@@ -1,5 +1,7 @@
 import userRepository from '@/server/repositories/userRepository';
 import progressRepository from '@/server/repositories/progressRepository';
+import { EmailNotVerifiedError } from '@/server/repositories/errors';
+import { isEmailVerified } from '@/shared/lib/userStatus';
 
 class UserManager {
   async findByEmail(email) {
@@ -24,16 +26,19 @@ class UserManager {
     return userRepository.findById(user.id);
   }
 
-  async update(id, updates) {
-    return userRepository.update(id, updates);
+  async update(id, updates, options = {}) {
+    return userRepository.update(id, updates, options);
   }
 
   async getProgress(userId) {
     return progressRepository.getByUser(userId);
   }
 
-  async updateProgress(userId, unitId, progressData) {
-    const unitProgress = await progressRepository.upsertUnitProgress(userId, unitId, progressData);
+  // events は学習のイベントの配列。progressData（以前の形式の累計の進捗）を渡すと、今の進捗との差をイベントにする
+  async updateProgress(userId, unitId, { events, progressData }) {
+    const unitProgress = events
+      ? progressRepository.recordEvents(userId, unitId, () => events)
+      : progressRepository.recordProgressUpdate(userId, unitId, progressData);
     return {
       ...(await this.getProgress(userId)),
       [unitId]: unitProgress,
@@ -44,7 +49,12 @@ class UserManager {
     return progressRepository.getSummary(userId).overall;
   }
 
+  // プレミアムへの申し込みはメールアドレスを確認したアカウントに限る
   async upgradeToPremium(userId, expiresAt) {
+    if (!isEmailVerified(userRepository.findById(userId))) {
+      throw new EmailNotVerifiedError('メールアドレスの確認が完了していないため、プレミアムプランに申し込めません');
+    }
+
     return userRepository.updateMembership(userId, 'premium_monthly', expiresAt);
   }
 
@@ -0,0 +1,252 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { STATUS_BADGE_CLASSES, getStatusLabel } from '@/features/content/lib/contentMetadata';
+import {
+  CONTENT_STATUSES,
+  MAX_REVIEW_COMMENT_LENGTH,
+  STATUS_TRANSITIONS,
+  getStatusPermission,
+  getTransitionLabel,
+  normalizePublishAt,
+  toDateTimeLocalValue,
+} from '@/features/content/lib/editorialWorkflow';
+import { GitPullRequest, Loader2, MessageSquare, Send } from 'lucide-react';
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP') : '';
+}
+
+function CommentItem({ comment }) {
+  return (
+    <li className="rounded-lg bg-gray-50 px-3 py-2">
+      <p className="text-xs text-gray-500">
+        {comment.author?.name || 'システム'} / {formatDateTime(comment.createdAt)}
+      </p>
+      {comment.toStatus && (
+        <p className="mt-1 text-xs font-medium text-gray-700">
+          {comment.fromStatus ? `${getStatusLabel(comment.fromStatus)} → ` : '作成: '}
+          {getStatusLabel(comment.toStatus)}
+        </p>
+      )}
+      {comment.body && <p className="mt-1 whitespace-pre-wrap text-gray-800">{comment.body}</p>}
+    </li>
+  );
+}
+
+/**
+ * 管理画面の単元編集で使う編集ワークフロー。状態の変更（コメント・公開日時つき）、
+ * レビュー担当者の指定、レビューコメントのやりとりを扱う。状態を変えると onStatusChanged(unit) を呼ぶ。
+ */
+export default function EditorialWorkflowPanel({ unitId, onStatusChanged }) {
+  const { user, hasPermission } = useAuth();
+  const canEdit = hasPermission(PERMISSIONS.CONTENT_EDIT);
+  const [workflow, setWorkflow] = useState(null);
+  const [reviewers, setReviewers] = useState([]);
+  const [error, setError] = useState('');
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [transitionComment, setTransitionComment] = useState('');
+  const [publishAt, setPublishAt] = useState(null);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadWorkflow = useCallback(async () => {
+    const res = await authFetch(`/api/admin/content/${encodeURIComponent(unitId)}/workflow`);
+    const data = await res.json();
+    if (res.ok && data.success) {
+      setWorkflow(data.workflow);
+      setReviewers(data.reviewers);
+      setError('');
+    } else {
+      setError(data.error || 'ワークフローの取得に失敗しました');
+    }
+  }, [unitId]);
+
+  useEffect(() => {
+    loadWorkflow();
+  }, [loadWorkflow]);
+
+  async function sendJson(path, method, body) {
+    setSubmitting(true);
+    setError('');
+    try {
+      const res = await authFetch(`/api/admin/content/${encodeURIComponent(unitId)}/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error || '操作に失敗しました');
+      }
+      return data;
+    } catch (requestError) {
+      setError(requestError.message);
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  function startTransition(status) {
+    setPendingStatus(status);
+    setTransitionComment('');
+    setPublishAt(status === CONTENT_STATUSES.SCHEDULED ? workflow.publishAt : null);
+  }
+
+  async function handleTransition(event) {
+    event.preventDefault();
+    const data = await sendJson('workflow', 'POST', {
+      status: pendingStatus,
+      publishAt,
+      comment: transitionComment,
+    });
+    if (data) {
+      setWorkflow(data.workflow);
+      setPendingStatus(null);
+      onStatusChanged?.(data.unit);
+    }
+  }
+
+  async function handleReviewerChange(reviewerId) {
+    const data = await sendJson('reviewer', 'PUT', { reviewerId: reviewerId || null });
+    if (data) {
+      setWorkflow((prev) => ({ ...prev, assignment: data.assignment }));
+    }
+  }
+
+  async function handleComment(event) {
+    event.preventDefault();
+    const data = await sendJson('comments', 'POST', { body: comment });
+    if (data) {
+      setWorkflow((prev) => ({ ...prev, comments: [...prev.comments, data.comment] }));
+      setComment('');
+    }
+  }
+
+  if (!workflow) {
+    return (
+      <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader2 className="h-5 w-5 animate-spin text-blue-600" />}
+      </div>
+    );
+  }
+
+  const transitions = (STATUS_TRANSITIONS[workflow.status] || [])
+    .filter((status) => hasPermission(getStatusPermission(status)));
+  const reviewer = workflow.assignment?.reviewer;
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h3 className="mb-4 flex items-center gap-2 text-sm font-medium text-gray-700">
+        <GitPullRequest className="h-4 w-4" />
+        ワークフロー
+      </h3>
+
+      <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+        <span className={`rounded-full px-2 py-1 text-xs font-medium ${STATUS_BADGE_CLASSES[workflow.status] || 'bg-gray-100 text-gray-700'}`}>
+          {getStatusLabel(workflow.status)}
+        </span>
+        {workflow.status === CONTENT_STATUSES.SCHEDULED && workflow.publishAt && (
+          <span className="text-xs text-gray-500">{formatDateTime(workflow.publishAt)} に公開</span>
+        )}
+      </div>
+
+      <label className="mb-4 block text-xs text-gray-500">
+        レビュー担当者
+        <select
+          value={reviewer?.id || ''}
+          onChange={(event) => handleReviewerChange(event.target.value)}
+          disabled={!canEdit || submitting}
+          className="mt-1 w-full rounded-lg border border-gray-200 px-3 py-2 text-sm text-gray-800"
+        >
+          <option value="">担当者なし</option>
+          {reviewers.map((candidate) => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.name}{candidate.id === user?.id ? '（自分）' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {transitions.length > 0 && (
+        <div className="mb-4 flex flex-wrap gap-2">
+          {transitions.map((status) => (
+            <button
+              key={status}
+              type="button"
+              onClick={() => startTransition(status)}
+              className={`rounded-lg border px-3 py-1.5 text-sm ${pendingStatus === status ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-700 hover:bg-gray-50'}`}
+            >
+              {getTransitionLabel(workflow.status, status)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {pendingStatus && (
+        <form onSubmit={handleTransition} className="mb-4 space-y-2 rounded-lg border border-blue-100 bg-blue-50 p-3">
+          {pendingStatus === CONTENT_STATUSES.SCHEDULED && (
+            <label className="block text-xs text-gray-600">
+              公開日時
+              <input
+                type="datetime-local"
+                value={toDateTimeLocalValue(publishAt)}
+                onChange={(event) => setPublishAt(normalizePublishAt(event.target.value))}
+                required
+                className="mt-1 w-full rounded-lg border border-gray-200 px-3 py-2 text-sm"
+              />
+            </label>
+          )}
+          <textarea
+            value={transitionComment}
+            onChange={(event) => setTransitionComment(event.target.value)}
+            maxLength={MAX_REVIEW_COMMENT_LENGTH}
+            rows={2}
+            placeholder="コメント（任意）"
+            className="w-full rounded-lg border border-gray-200 px-3 py-2 text-sm"
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setPendingStatus(null)} className="rounded-lg px-3 py-1.5 text-sm text-gray-600 hover:bg-white">
+              やめる
+            </button>
+            <button type="submit" disabled={submitting} className="rounded-lg bg-blue-600 px-3 py-1.5 text-sm text-white hover:bg-blue-700 disabled:opacity-50">
+              {getTransitionLabel(workflow.status, pendingStatus)}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      <h4 className="mb-2 flex items-center gap-2 text-xs font-medium text-gray-500">
+        <MessageSquare className="h-4 w-4" />
+        経緯とコメント
+      </h4>
+      {workflow.comments.length ? (
+        <ul className="mb-3 max-h-80 space-y-2 overflow-y-auto text-sm">
+          {workflow.comments.map((item) => <CommentItem key={item.id} comment={item} />)}
+        </ul>
+      ) : (
+        <p className="mb-3 text-sm text-gray-500">まだ記録はありません</p>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleComment} className="flex items-end gap-2">
+          <textarea
+            value={comment}
+            onChange={(event) => setComment(event.target.value)}
+            maxLength={MAX_REVIEW_COMMENT_LENGTH}
+            rows={2}
+            placeholder="レビューコメントを書く"
+            className="flex-1 rounded-lg border border-gray-200 px-3 py-2 text-sm"
+          />
+          <button type="submit" disabled={submitting || !comment.trim()} aria-label="コメントを投稿" className="rounded-lg bg-blue-600 p-2 text-white hover:bg-blue-700 disabled:opacity-50">
+            <Send className="h-4 w-4" />
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,14 @@
-import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
+import { normalizeTermKey } from '@/features/glossary/lib/terms';
+import { formatCitation, getArticleHref, splitByStatuteCitations } from '@/features/statutes/lib/citations';
+import { NOTE_HIGHLIGHT_CSS } from '@/features/notes/lib/highlightRanges';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 const DEFAULT_SCROLL_OFFSET = 112;
+const GLOSSARY_CARD_WIDTH = 320;
+const GLOSSARY_CARD_HIDE_DELAY_MS = 200;
+const NO_GLOSSARY = [];
 
 const MATERIAL_ICON_DEFINITIONS = {
   gavel: [
@@ -156,6 +163,91 @@ function replaceMaterialIcons(root) {
   });
 }
 
+// 用語集に定義がある kw 語にだけ印を付け、キーボードでもホバーカードを開けるようにする
+function markGlossaryTerms(root, glossaryByKey) {
+  root.querySelectorAll('mark.kw').forEach((mark) => {
+    const key = normalizeTermKey(mark.textContent || '');
+    if (!glossaryByKey.has(key)) {
+      return;
+    }
+
+    mark.setAttribute('data-glossary-key', key);
+    mark.setAttribute('tabindex', '0');
+  });
+}
+
+// 見出しやコード、既存のリンクの中の引用はリンクにしない
+const STATUTE_LINK_SKIP_SELECTOR = 'a, code, pre, h1, h2, h3, h4, h5, h6, style, script';
+
+// 本文中の「民法93条1項」などを条文索引へのリンクにする
+function linkStatuteCitations(root) {
+  const container = root.querySelector('.unit-html-root');
+  if (!container) {
+    return;
+  }
+
+  const document = root.ownerDocument;
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest(STATUTE_LINK_SKIP_SELECTOR)) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  textNodes.forEach((node) => {
+    const segments = splitByStatuteCitations(node.data);
+    if (!segments.some((segment) => segment.citation)) {
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    segments.forEach((segment) => {
+      if (!segment.citation) {
+        fragment.appendChild(document.createTextNode(segment.text));
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.className = 'statute-ref';
+      link.href = getArticleHref(segment.citation);
+      link.title = formatCitation(segment.citation);
+      link.textContent = segment.text;
+      fragment.appendChild(link);
+    });
+    node.replaceWith(fragment);
+  });
+}
+
+function GlossaryHoverCard({ card, onMouseEnter, onMouseLeave }) {
+  const { entry, top, left } = card;
+  const definitionHref = `/subjects/${entry.subjectId}/${entry.unitId}${entry.sectionId ? `#${encodeURIComponent(entry.sectionId)}` : ''}`;
+
+  return (
+    <div
+      role="tooltip"
+      onMouseEnter={onMouseEnter}
+      onMouseLeave={onMouseLeave}
+      style={{ top, left, width: GLOSSARY_CARD_WIDTH }}
+      className="fixed z-50 rounded-xl border border-gray-200 bg-white p-4 text-left shadow-xl"
+    >
+      <p className="font-bold text-gray-900">{entry.term}</p>
+      {entry.reading && <p className="text-xs text-gray-500">{entry.reading}</p>}
+      <p className="mt-2 text-sm leading-relaxed text-gray-700">
+        {entry.locked ? 'この用語の解説はプレミアム会員限定の単元にあります。' : entry.summary}
+      </p>
+      <div className="mt-3 flex items-center justify-between gap-2 text-xs">
+        <Link href={definitionHref} className="truncate text-blue-600 hover:text-blue-700">
+          {entry.unitTitle}で確認
+        </Link>
+        <Link href={`/glossary#term-${encodeURIComponent(entry.key)}`} className="shrink-0 text-gray-500 hover:text-gray-700">
+          用語集
+        </Link>
+      </div>
+    </div>
+  );
+}
+
 function escapeHtmlAttribute(value = '') {
   return String(value)
     .replace(/&/g, '&amp;')
@@ -255,6 +347,21 @@ function getInitialMarkup(stylesheets, css, html) {
         scroll-margin-top: ${DEFAULT_SCROLL_OFFSET}px;
       }
 
+      .unit-html-root a.statute-ref {
+        color: inherit;
+        text-decoration: underline;
+        text-decoration-color: #93c5fd;
+        text-underline-offset: 3px;
+      }
+
+      .unit-html-root mark[data-glossary-key] {
+        cursor: help;
+        text-decoration: underline dotted;
+        text-underline-offset: 3px;
+      }
+
+      ${NOTE_HIGHLIGHT_CSS}
+
       ${documentCss}
     </style>
     <div class="html-document-body">
@@ -264,11 +371,17 @@ function getInitialMarkup(stylesheets, css, html) {
 }
 
 const HtmlContentRenderer = forwardRef(function HtmlContentRenderer(
-  { html, css, stylesheets = [], className = '' },
+  { html, css, stylesheets = [], className = '', glossary = NO_GLOSSARY, onRender },
   ref,
 ) {
   const hostRef = useRef(null);
   const shadowRootRef = useRef(null);
+  const hideTimerRef = useRef(null);
+  const onRenderRef = useRef(onRender);
+  const [glossaryCard, setGlossaryCard] = useState(null);
+  const glossaryByKey = useMemo(() => new Map(glossary.map((entry) => [entry.key, entry])), [glossary]);
+
+  onRenderRef.current = onRender;
 
   useImperativeHandle(ref, () => ({
     scrollToHeading(id, offset = DEFAULT_SCROLL_OFFSET) {
@@ -284,6 +397,10 @@ const HtmlContentRenderer = forwardRef(function HtmlContentRenderer(
       });
       return true;
     },
+    // 本文の要素（メモのハイライトで選択範囲や文字の位置を調べるのに使う）
+    getContentRoot() {
+      return shadowRootRef.current?.querySelector('.unit-html-root') || null;
+    },
   }), []);
 
   useEffect(() => {
@@ -309,6 +426,9 @@ const HtmlContentRenderer = forwardRef(function HtmlContentRenderer(
 
       shadowRootRef.current.innerHTML = getInitialMarkup(stylesheets, css, safeHtml);
       replaceMaterialIcons(shadowRootRef.current);
+      linkStatuteCitations(shadowRootRef.current);
+      markGlossaryTerms(shadowRootRef.current, glossaryByKey);
+      onRenderRef.current?.();
     }
 
     renderContent();
@@ -316,9 +436,68 @@ const HtmlContentRenderer = forwardRef(function HtmlContentRenderer(
     return () => {
       cancelled = true;
     };
-  }, [css, html, stylesheets]);
+  }, [css, html, stylesheets, glossaryByKey]);
+
+  useEffect(() => {
+    const root = shadowRootRef.current;
+    if (!root || !glossaryByKey.size) {
+      return undefined;
+    }
+
+    const cancelHide = () => window.clearTimeout(hideTimerRef.current);
+    const scheduleHide = () => {
+      cancelHide();
+      hideTimerRef.current = window.setTimeout(() => setGlossaryCard(null), GLOSSARY_CARD_HIDE_DELAY_MS);
+    };
+    const show = (event) => {
+      const mark = event.target.closest?.('[data-glossary-key]');
+      const entry = mark && glossaryByKey.get(mark.getAttribute('data-glossary-key'));
+      if (!entry) {
+        return;
+      }
+
+      cancelHide();
+      const rect = mark.getBoundingClientRect();
+      setGlossaryCard({
+        entry,
+        top: rect.bottom + 8,
+        left: Math.max(8, Math.min(rect.left, window.innerWidth - GLOSSARY_CARD_WIDTH - 8)),
+      });
+    };
+    const hide = (event) => {
+      if (event.target.closest?.('[data-glossary-key]')) {
+        scheduleHide();
+      }
+    };
+
+    root.addEventListener('mouseover', show);
+    root.addEventListener('focusin', show);
+    root.addEventListener('mouseout', hide);
+    root.addEventListener('focusout', hide);
+    window.addEventListener('scroll', scheduleHide, { passive: true });
 
-  return <div ref={hostRef} className={className} />;
+    return () => {
+      cancelHide();
+      root.removeEventListener('mouseover', show);
+      root.removeEventListener('focusin', show);
+      root.removeEventListener('mouseout', hide);
+      root.removeEventListener('focusout', hide);
+      window.removeEventListener('scroll', scheduleHide);
+    };
+  }, [glossaryByKey]);
+
+  return (
+    <>
+      <div ref={hostRef} className={className} />
+      {glossaryCard && (
+        <GlossaryHoverCard
+          card={glossaryCard}
+          onMouseEnter={() => window.clearTimeout(hideTimerRef.current)}
+          onMouseLeave={() => setGlossaryCard(null)}
+        />
+      )}
+    </>
+  );
 });
 
 export default HtmlContentRenderer;
@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import {
+  RECOMMENDATION_REASON_LABELS,
+  UNIT_PATH_STATE_LABELS,
+  UNIT_PATH_STATES,
+} from '@/features/content/lib/prerequisites';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { ChevronRight, Compass } from 'lucide-react';
+
+const REASON_BADGE_CLASSES = {
+  continue: 'bg-blue-100 text-blue-700',
+  review: 'bg-orange-100 text-orange-700',
+  next: 'bg-green-100 text-green-700',
+};
+
+/**
+ * マイページの「次のおすすめ」。/api/user/learning-path のおすすめと、単元の状態ごとの件数を表示する。
+ */
+export default function LearningPathCard() {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [learningPath, setLearningPath] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchLearningPath() {
+      try {
+        const res = await authFetch('/api/user/learning-path');
+        const data = await res.json();
+        if (res.ok && data.success) {
+          setLearningPath(data);
+        }
+      } catch (error) {
+        console.error('Failed to fetch learning path:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchLearningPath();
+  }, []);
+
+  return (
+    <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h2 className="mb-4 flex items-center gap-2 text-lg font-bold text-gray-900">
+        <Compass className="h-5 w-5 text-blue-600" />
+        次のおすすめ
+      </h2>
+
+      {loading ? (
+        <div className="py-4 text-center text-sm text-gray-500">読み込み中...</div>
+      ) : learningPath?.recommendations?.length ? (
+        <>
+          <div className="mb-4 space-y-2">
+            {learningPath.recommendations.map(({ unit, reason, score, unlocks }) => (
+              <Link
+                key={unit.id}
+                href={`/subjects/${unit.subjectId}/${unit.id}`}
+                className="flex items-center justify-between gap-3 rounded-xl bg-gray-50 p-3 transition-colors hover:bg-gray-100"
+              >
+                <div className="min-w-0">
+                  <div className="mb-1 flex flex-wrap items-center gap-2">
+                    <span className={`rounded px-2 py-0.5 text-xs font-medium ${REASON_BADGE_CLASSES[reason]}`}>
+                      {RECOMMENDATION_REASON_LABELS[reason]}
+                    </span>
+                    <span className="text-xs text-gray-500">{getSubjectById(unit.subjectId)?.name || unit.subjectId}</span>
+                  </div>
+                  <p className="truncate text-sm text-gray-800">{unit.title}</p>
+                  <p className="text-xs text-gray-500">
+                    約{unit.estimatedTime}分
+                    {score !== null && ` ・ 前回 ${score}点`}
+                    {unlocks > 0 && ` ・ 完了すると${unlocks}単元に進めます`}
+                  </p>
+                </div>
+                <ChevronRight className="h-4 w-4 flex-shrink-0 text-gray-400" />
+              </Link>
+            ))}
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-center">
+            {[UNIT_PATH_STATES.COMPLETED, UNIT_PATH_STATES.READY, UNIT_PATH_STATES.LOCKED].map((state) => (
+              <div key={state} className="rounded-xl bg-gray-50 p-2">
+                <p className="text-lg font-bold text-gray-900">{learningPath.counts[state]}</p>
+                <p className="text-xs text-gray-500">{UNIT_PATH_STATE_LABELS[state]}</p>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">公開中の単元をすべて学習しました。</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useEffect, useMemo, useState } from 'react';
+import { MAX_PREREQUISITES } from '@/features/content/lib/prerequisites';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { Plus, X } from 'lucide-react';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * 単元編集の「前提の単元」。先に学習しておくべき単元を選ぶ。
+ * formData.prerequisites（単元 ID の配列）を onChange(field, value) で更新する。循環していれば保存時にエラーになる。
+ */
+export default function PrerequisiteFields({ unitId = null, formData, onChange }) {
+  const { subjects, getSubjectById } = useSubjectCatalogue();
+  const [units, setUnits] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    async function loadUnits() {
+      try {
+        const res = await authFetch('/api/admin/content');
+        const data = await res.json();
+        if (active && res.ok && data.success) {
+          setUnits(data.units);
+        }
+      } catch (error) {
+        console.error('Prerequisite units load error:', error);
+      }
+    }
+
+    loadUnits();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const prerequisites = useMemo(() => formData.prerequisites || [], [formData.prerequisites]);
+  const unitMap = useMemo(() => new Map(units.map((unit) => [unit.id, unit])), [units]);
+  const groups = useMemo(() => subjects
+    .map((subject) => ({
+      subject,
+      units: units.filter((unit) => unit.subjectId === subject.id && unit.id !== unitId && !prerequisites.includes(unit.id)),
+    }))
+    .filter((group) => group.units.length), [subjects, units, unitId, prerequisites]);
+
+  function addPrerequisite() {
+    if (!selectedId) {
+      return;
+    }
+    onChange('prerequisites', [...prerequisites, selectedId]);
+    setSelectedId('');
+  }
+
+  function removePrerequisite(id) {
+    onChange('prerequisites', prerequisites.filter((prerequisiteId) => prerequisiteId !== id));
+  }
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h3 className="mb-1 text-sm font-medium text-gray-700">前提の単元</h3>
+      <p className="mb-4 text-xs text-gray-500">先に学習しておくべき単元。受講者の「次のおすすめ」と、科目ページの単元の状態に使います。</p>
+      <div className="space-y-3">
+        {prerequisites.length > 0 && (
+          <ul className="space-y-2">
+            {prerequisites.map((id) => {
+              const unit = unitMap.get(id);
+              return (
+                <li key={id} className="flex items-center justify-between gap-2 rounded-lg bg-gray-50 px-3 py-2 text-sm">
+                  <span className="min-w-0">
+                    <span className="block truncate text-gray-900">{unit?.title || id}</span>
+                    {unit && <span className="text-xs text-gray-500">{getSubjectById(unit.subjectId)?.name || unit.subjectId}</span>}
+                  </span>
+                  <button type="button" onClick={() => removePrerequisite(id)} aria-label="前提の単元を削除" className="p-1 text-gray-400 hover:text-red-600">
+                    <X className="h-4 w-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {prerequisites.length < MAX_PREREQUISITES && groups.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select value={selectedId} onChange={(event) => setSelectedId(event.target.value)} aria-label="前提にする単元" className={INPUT_CLASS}>
+              <option value="">単元を選択</option>
+              {groups.map(({ subject, units: subjectUnits }) => (
+                <optgroup key={subject.id} label={subject.name}>
+                  {subjectUnits.map((unit) => <option key={unit.id} value={unit.id}>{unit.title}</option>)}
+                </optgroup>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={addPrerequisite}
+              disabled={!selectedId}
+              className="inline-flex shrink-0 items-center gap-1 text-sm text-blue-600 hover:text-blue-700 disabled:text-gray-300"
+            >
+              <Plus className="h-4 w-4" />
+              追加
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
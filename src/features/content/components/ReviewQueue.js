@@ -0,0 +1,99 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { getSubjectName } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { CalendarClock, ClipboardCheck, GitPullRequest } from 'lucide-react';
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP') : '';
+}
+
+function QueueColumn({ icon: Icon, title, items, emptyText, renderDetail }) {
+  const { getSubjectById } = useSubjectCatalogue();
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-white p-4 shadow-sm">
+      <h3 className="mb-3 flex items-center gap-2 text-sm font-medium text-gray-700">
+        <Icon className="h-4 w-4" />
+        {title}
+        <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600">{items.length}</span>
+      </h3>
+      {items.length ? (
+        <ul className="max-h-64 space-y-2 overflow-y-auto">
+          {items.map((item) => (
+            <li key={item.id}>
+              <Link href={`/admin/content/${item.id}`} className="block rounded-lg px-3 py-2 hover:bg-gray-50">
+                <span className="block text-sm font-medium text-gray-800">{item.title}</span>
+                <span className="block text-xs text-gray-500">{getSubjectName(item.subjectId, getSubjectById)} / {renderDetail(item)}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400">{emptyText}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * コンテンツ一覧の上に出すレビュー待ち・承認済み・公開予約の単元
+ */
+export default function ReviewQueue() {
+  const { user } = useAuth();
+  const [queue, setQueue] = useState(null);
+
+  useEffect(() => {
+    async function loadQueue() {
+      const res = await authFetch('/api/admin/content/review-queue');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setQueue(data);
+      }
+    }
+
+    loadQueue();
+  }, []);
+
+  if (!queue) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 grid gap-4 lg:grid-cols-3">
+      <QueueColumn
+        icon={GitPullRequest}
+        title="レビュー待ち"
+        items={queue.inReview}
+        emptyText="レビュー待ちの単元はありません"
+        renderDetail={(item) => (
+          <>
+            {formatDateTime(item.submittedAt || item.updatedAt)}{item.submittedBy ? `（${item.submittedBy}）` : ''}
+            {' / '}
+            {item.reviewer ? (
+              <span className={item.reviewer.id === user?.id ? 'font-medium text-blue-600' : ''}>
+                担当: {item.reviewer.id === user?.id ? 'あなた' : item.reviewer.name}
+              </span>
+            ) : '担当者なし'}
+          </>
+        )}
+      />
+      <QueueColumn
+        icon={ClipboardCheck}
+        title="承認済み（公開待ち）"
+        items={queue.approved}
+        emptyText="承認済みの単元はありません"
+        renderDetail={(item) => `更新 ${formatDateTime(item.updatedAt)}`}
+      />
+      <QueueColumn
+        icon={CalendarClock}
+        title="公開予約"
+        items={queue.scheduled}
+        emptyText="公開予約の単元はありません"
+        renderDetail={(item) => `${formatDateTime(item.publishAt)} に公開`}
+      />
+    </div>
+  );
+}
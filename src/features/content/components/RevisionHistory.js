@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useState } from 'react';
+import { REVISION_ACTION_LABELS } from '@/features/content/lib/revisionDiff';
+import { getStatusLabel } from '@/features/content/lib/contentMetadata';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { History, Loader2, RotateCcw, X } from 'lucide-react';
+
+const ROW_CLASSES = {
+  change: { left: 'bg-red-50', right: 'bg-green-50' },
+  delete: { left: 'bg-red-50', right: 'bg-gray-50' },
+  insert: { left: 'bg-gray-50', right: 'bg-green-50' },
+  equal: { left: '', right: '' },
+};
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP') : '';
+}
+
+function DiffCell({ line, className }) {
+  return (
+    <>
+      <td className={`w-10 select-none border-r border-gray-100 px-2 text-right align-top text-gray-400 ${className}`}>{line?.number ?? ''}</td>
+      <td className={`whitespace-pre-wrap break-all px-2 align-top ${className}`}>{line?.text ?? ''}</td>
+    </>
+  );
+}
+
+function RevisionDiffDialog({ unitId, revision, canRollback, onClose, onRollback }) {
+  const [compare, setCompare] = useState('previous');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [rollingBack, setRollingBack] = useState(false);
+
+  useEffect(() => {
+    async function loadDiff() {
+      setData(null);
+      setError('');
+      const res = await authFetch(`/api/admin/content/${encodeURIComponent(unitId)}/revisions/${encodeURIComponent(revision.id)}?compare=${compare}`);
+      const payload = await res.json();
+      if (res.ok && payload.success) {
+        setData(payload);
+      } else {
+        setError(payload.error || '版の比較に失敗しました');
+      }
+    }
+
+    loadDiff();
+  }, [unitId, revision.id, compare]);
+
+  async function handleRollback() {
+    if (!confirm(`版 ${revision.number} の内容に戻しますか？（今の内容も版として残ります）`)) {
+      return;
+    }
+
+    setRollingBack(true);
+    try {
+      await onRollback(revision);
+    } finally {
+      setRollingBack(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className="flex max-h-full w-full max-w-6xl flex-col rounded-xl bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-gray-100 px-6 py-4">
+          <div>
+            <h3 className="font-semibold text-gray-800">版 {revision.number}（{REVISION_ACTION_LABELS[revision.action] || revision.action}）</h3>
+            <p className="text-xs text-gray-500">{formatDateTime(revision.createdAt)}{revision.author?.name ? ` / ${revision.author.name}` : ''}</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select value={compare} onChange={(event) => setCompare(event.target.value)} className="rounded-lg border border-gray-200 px-3 py-1.5 text-sm">
+              <option value="previous">直前の版と比較</option>
+              <option value="current">現在の内容と比較</option>
+            </select>
+            {canRollback && (
+              <button
+                type="button"
+                onClick={handleRollback}
+                disabled={rollingBack}
+                className="flex items-center gap-2 rounded-lg bg-blue-600 px-3 py-1.5 text-sm text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {rollingBack ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+                この版に戻す
+              </button>
+            )}
+            <button type="button" onClick={onClose} aria-label="閉じる" className="rounded-lg p-1.5 text-gray-500 hover:bg-gray-100">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="overflow-auto p-6">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!data && !error && (
+            <div className="flex h-32 items-center justify-center">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+          {data && (
+            <>
+              <p className="mb-4 text-sm text-gray-600">
+                {data.base ? `${data.base.label} → 版 ${revision.number}` : '比較する版がありません（すべて追加として表示）'}
+                <span className="ml-3 text-green-700">+{data.diff.body.added}</span>
+                <span className="ml-2 text-red-700">-{data.diff.body.removed}</span>
+              </p>
+
+              {data.diff.meta.length > 0 && (
+                <table className="mb-6 w-full text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {data.diff.meta.map((change) => (
+                      <tr key={change.key}>
+                        <th className="w-32 py-2 text-left font-medium text-gray-600">{change.label}</th>
+                        <td className="py-2 text-red-700 line-through">{change.before ?? '（なし）'}</td>
+                        <td className="py-2 text-green-700">{change.after ?? '（なし）'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {data.diff.body.rows.length ? (
+                <table className="w-full table-fixed border border-gray-100 font-mono text-xs">
+                  <colgroup>
+                    <col className="w-10" />
+                    <col />
+                    <col className="w-10" />
+                    <col />
+                  </colgroup>
+                  <tbody>
+                    {data.diff.body.rows.map((row, index) => (row.type === 'skip' ? (
+                      <tr key={index} className="bg-gray-50 text-center text-gray-400">
+                        <td colSpan={4} className="py-1">… 変更のない {row.count} 行 …</td>
+                      </tr>
+                    ) : (
+                      <tr key={index} className="border-t border-gray-50">
+                        <DiffCell line={row.left} className={ROW_CLASSES[row.type].left} />
+                        <DiffCell line={row.right} className={ROW_CLASSES[row.type].right} />
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">本文に変更はありません</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 管理画面の単元編集で使う版の履歴。版を選ぶと差分を左右に並べて表示し、その版に戻せる。
+ * refreshKey が変わると一覧を読み直す（保存のあとに使う）。canRollback(status) はその状態の版に戻せるかどうか。
+ */
+export default function RevisionHistory({ unitId, refreshKey, canRollback, onRolledBack }) {
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const loadRevisions = useCallback(async () => {
+    const res = await authFetch(`/api/admin/content/${encodeURIComponent(unitId)}/revisions`);
+    const data = await res.json();
+    if (res.ok && data.success) {
+      setRevisions(data.revisions);
+      setError('');
+    } else {
+      setError(data.error || '版の履歴の取得に失敗しました');
+    }
+  }, [unitId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions, refreshKey]);
+
+  async function handleRollback(revision) {
+    const res = await authFetch(`/api/admin/content/${encodeURIComponent(unitId)}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ revisionId: revision.id }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      alert(data.error || '版の復元に失敗しました');
+      return;
+    }
+
+    setSelected(null);
+    await loadRevisions();
+    onRolledBack?.(data.unit, revision);
+  }
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h3 className="mb-4 flex items-center gap-2 text-sm font-medium text-gray-700">
+        <History className="h-4 w-4" />
+        版の履歴
+      </h3>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!revisions && !error ? (
+        <Loader2 className="h-5 w-5 animate-spin text-blue-600" />
+      ) : revisions?.length ? (
+        <ul className="max-h-80 space-y-1 overflow-y-auto text-sm">
+          {revisions.map((revision, index) => (
+            <li key={revision.id}>
+              <button
+                type="button"
+                onClick={() => setSelected(revision)}
+                className="w-full rounded-lg px-3 py-2 text-left hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-800">版 {revision.number}</span>
+                {index === 0 && <span className="ml-2 rounded-full bg-blue-100 px-2 py-0.5 text-xs text-blue-700">最新</span>}
+                <span className="ml-2 text-xs text-gray-500">{REVISION_ACTION_LABELS[revision.action] || revision.action}</span>
+                <span className="block text-xs text-gray-500">
+                  {formatDateTime(revision.createdAt)}
+                  {revision.author?.name ? ` / ${revision.author.name}` : ''}
+                  {revision.status ? ` / ${getStatusLabel(revision.status)}` : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">まだ版がありません。保存すると版が記録されます。</p>
+      )}
+
+      {selected && (
+        <RevisionDiffDialog
+          unitId={unitId}
+          revision={selected}
+          canRollback={canRollback(selected.status)}
+          onClose={() => setSelected(null)}
+          onRollback={handleRollback}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+// 単元 HTML から切り出した断片（用語の定義、判例の判旨など）。単元ページと同じく DOMPurify を通してから描画する
+export default function UnitHtmlFragment({ html, className = '' }) {
+  const [safeHtml, setSafeHtml] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    import('dompurify').then(({ default: DOMPurify }) => {
+      if (!cancelled) {
+        setSafeHtml(DOMPurify.sanitize(html || '', { USE_PROFILES: { html: true } }));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [html]);
+
+  return (
+    <div
+      className={`prose prose-sm max-w-none prose-p:my-2 [&_mark]:bg-yellow-100 ${className}`}
+      dangerouslySetInnerHTML={{ __html: safeHtml }}
+    />
+  );
+}
@@ -0,0 +1,58 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { getActiveSubjects, getDefaultSubjects } from '@/features/content/lib/subjects';
+
+function createCatalogueValue(catalogue, { loaded = false, reload = async () => {} } = {}) {
+  return {
+    catalogue,
+    subjects: getActiveSubjects(catalogue),
+    getSubjectById: (id) => catalogue.find((subject) => subject.id === id),
+    loaded,
+    reload,
+  };
+}
+
+// 科目データのコンテキスト。Provider の外では既定の科目データを返す
+const SubjectCatalogueContext = createContext(createCatalogueValue(getDefaultSubjects()));
+
+/**
+ * 保存された科目データを /api/content/subjects から読み込み、state に持つ。
+ * 読み込むまでは既定の科目データ（src/features/content/data/subjects.json）で表示する。
+ */
+export function SubjectCatalogueProvider({ children }) {
+  const [catalogue, setCatalogue] = useState(getDefaultSubjects);
+  const [loaded, setLoaded] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await fetch('/api/content/subjects');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setCatalogue(data.catalogue);
+      }
+    } catch (error) {
+      console.error('Subject catalogue load error:', error);
+    } finally {
+      setLoaded(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const value = useMemo(() => createCatalogueValue(catalogue, { loaded, reload }), [catalogue, loaded, reload]);
+
+  return (
+    <SubjectCatalogueContext.Provider value={value}>
+      {children}
+    </SubjectCatalogueContext.Provider>
+  );
+}
+
+/**
+ * 科目データを使うコンポーネントで呼ぶ。subjects は廃止していない科目の一覧、catalogue は廃止した科目も含めた一覧、
+ * getSubjectById は廃止した科目も返す。どれも科目データを読み込み直したときだけ新しくなるので、useMemo などの依存に使える。
+ */
+export function useSubjectCatalogue() {
+  return useContext(SubjectCatalogueContext);
+}
@@ -1,4 +1,4 @@
-import { subjects } from './subjects';
+import { getSubjectById, subjects } from './subjects';
 
 export const CONTENT_TYPE_OPTIONS = [
   { value: 'lecture', label: '講義' },
@@ -17,10 +17,17 @@ export const ACCESS_LEVEL_OPTIONS = [
 ];
 
 export const STATUS_OPTIONS = [
-  { value: 'published', label: '公開中' },
   { value: 'draft', label: '下書き' },
+  { value: 'in_review', label: 'レビュー中' },
+  { value: 'approved', label: '承認済み' },
+  { value: 'scheduled', label: '公開予約' },
+  { value: 'published', label: '公開中' },
+  { value: 'archived', label: 'アーカイブ' },
 ];
 
+// 問題バンクなど、編集ワークフローを持たないデータの状態
+export const PUBLICATION_STATUS_OPTIONS = STATUS_OPTIONS.filter((option) => ['published', 'draft'].includes(option.value));
+
 export const CONTENT_FORMAT_OPTIONS = [
   { value: 'markdown', label: 'Markdown' },
   { value: 'html', label: 'HTML' },
@@ -34,6 +41,10 @@ export const DIFFICULTY_LABELS = Object.fromEntries(
   DIFFICULTY_OPTIONS.map((option) => [option.value, option.label])
 );
 
+export const STATUS_LABELS = Object.fromEntries(
+  STATUS_OPTIONS.map((option) => [option.value, option.label])
+);
+
 export const CONTENT_TYPE_BADGE_CLASSES = {
   lecture: 'bg-blue-100 text-blue-700',
   practice: 'bg-purple-100 text-purple-700',
@@ -51,8 +62,12 @@ export const ACCESS_LEVEL_BADGE_CLASSES = {
 };
 
 export const STATUS_BADGE_CLASSES = {
-  published: 'bg-blue-100 text-blue-700',
   draft: 'bg-gray-100 text-gray-700',
+  in_review: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-teal-100 text-teal-700',
+  scheduled: 'bg-indigo-100 text-indigo-700',
+  published: 'bg-blue-100 text-blue-700',
+  archived: 'bg-stone-200 text-stone-600',
 };
 
 export const CONTENT_MARKDOWN_TEMPLATE = `# タイトル
@@ -123,8 +138,9 @@ export const CONTENT_HTML_TEMPLATE = `<!DOCTYPE html>
 </html>
 `;
 
-export function getSubjectOptions({ includeAll = false, allLabel = 'すべての科目' } = {}) {
-  const options = subjects.map((subject) => ({
+// subjectList には useSubjectCatalogue の subjects を渡す（省略するとこのモジュールの科目データ）
+export function getSubjectOptions({ subjects: subjectList = subjects, includeAll = false, allLabel = 'すべての科目' } = {}) {
+  const options = subjectList.map((subject) => ({
     value: subject.id,
     label: subject.name,
   }));
@@ -132,8 +148,8 @@ export function getSubjectOptions({ includeAll = false, allLabel = 'すべての
   return includeAll ? [{ value: '', label: allLabel }, ...options] : options;
 }
 
-export function getSubjectName(subjectId) {
-  return subjects.find((subject) => subject.id === subjectId)?.name || subjectId;
+export function getSubjectName(subjectId, getSubject = getSubjectById) {
+  return getSubject(subjectId)?.name || subjectId;
 }
 
 export function getTypeLabel(type) {
@@ -149,7 +165,7 @@ export function getAccessLevelLabel(accessLevel) {
 }
 
 export function getStatusLabel(status) {
-  return status === 'draft' ? '下書き' : '公開中';
+  return STATUS_LABELS[status] || status;
 }
 
 export function getContentFormatLabel(contentFormat) {
@@ -205,15 +221,20 @@ export function unitContentToMarkdown(content = {}, title = 'タイトル') {
   return sections.filter(Boolean).join('\n\n');
 }
 
-export function createEmptyContentFormData() {
+export function createEmptyContentFormData({ subjectId = subjects[0]?.id || '' } = {}) {
   return {
     title: '',
-    subjectId: subjects[0]?.id || '',
+    subjectId,
     type: 'lecture',
     difficulty: 'beginner',
     estimatedTime: 30,
     accessLevel: 'free',
     status: 'draft',
+    publishAt: null,
+    lawVersion: '',
+    effectiveFrom: '',
+    sectionLawVersions: [],
+    prerequisites: [],
     contentFormat: 'markdown',
     content: CONTENT_MARKDOWN_TEMPLATE,
     keyPoints: [''],
@@ -234,6 +255,11 @@ export function unitToEditorFormData(unit) {
     estimatedTime: unit?.estimatedTime || 30,
     accessLevel: unit?.accessLevel || 'free',
     status: unit?.status || 'draft',
+    publishAt: unit?.publishAt || null,
+    lawVersion: unit?.lawVersion || '',
+    effectiveFrom: unit?.effectiveFrom || '',
+    sectionLawVersions: unit?.sectionLawVersions || [],
+    prerequisites: unit?.prerequisites || [],
     contentFormat: unit?.contentFormat || 'markdown',
     content: unit?.contentFormat === 'html'
       ? (unit?.content?.raw || CONTENT_HTML_TEMPLATE.replace('<title>タイトル</title>', `<title>${unit?.title || 'タイトル'}</title>`))
@@ -0,0 +1,128 @@
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { getStatusLabel } from '@/features/content/lib/contentMetadata';
+
+export const CONTENT_STATUSES = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  SCHEDULED: 'scheduled',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+};
+
+export const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+// 各状態から移れる状態。公開権限があれば下書きから直接公開もできる
+export const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'published', 'archived'],
+  in_review: ['draft', 'approved'],
+  approved: ['draft', 'scheduled', 'published'],
+  scheduled: ['approved', 'draft', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft'],
+};
+
+// その状態で保存する（その状態に移す）のに必要な権限
+const STATUS_PERMISSIONS = {
+  draft: PERMISSIONS.CONTENT_EDIT,
+  in_review: PERMISSIONS.CONTENT_EDIT,
+  approved: PERMISSIONS.CONTENT_REVIEW,
+  scheduled: PERMISSIONS.CONTENT_PUBLISH,
+  published: PERMISSIONS.CONTENT_PUBLISH,
+  archived: PERMISSIONS.CONTENT_PUBLISH,
+};
+
+const TRANSITION_LABELS = {
+  'in_review:draft': '差し戻す',
+  'scheduled:approved': '予約を取り消す',
+  'archived:draft': '下書きに戻して再編集',
+};
+
+const TARGET_LABELS = {
+  draft: '下書きに戻す',
+  in_review: 'レビューに出す',
+  approved: '承認する',
+  scheduled: '公開を予約',
+  published: '公開する',
+  archived: 'アーカイブする',
+};
+
+export function isContentStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status);
+}
+
+export function getStatusPermission(status) {
+  return STATUS_PERMISSIONS[status] || PERMISSIONS.CONTENT_PUBLISH;
+}
+
+export function canTransitionStatus(from, to) {
+  return from === to || Boolean(STATUS_TRANSITIONS[from]?.includes(to));
+}
+
+// 編集画面の状態の選択肢（今の状態と、そこから移れる状態）
+export function getSelectableStatuses(from) {
+  return [from, ...(STATUS_TRANSITIONS[from] || [])].filter(isContentStatus);
+}
+
+export function getTransitionLabel(from, to) {
+  return TRANSITION_LABELS[`${from}:${to}`] || TARGET_LABELS[to] || getStatusLabel(to);
+}
+
+export function normalizePublishAt(value) {
+  if (!value) {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// <input type="datetime-local"> に入れる値（ローカル時刻）。入力値は normalizePublishAt で ISO 文字列に戻す
+export function toDateTimeLocalValue(value) {
+  const normalized = normalizePublishAt(value);
+  if (!normalized) {
+    return '';
+  }
+
+  const date = new Date(normalized);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// 公開予約の日時を過ぎた単元は公開中として扱う（保存し直さなくても時刻が来れば公開される）
+export function resolveUnitStatus(unit, now = new Date()) {
+  if (unit?.status === CONTENT_STATUSES.SCHEDULED && unit.publishAt && new Date(unit.publishAt) <= now) {
+    return CONTENT_STATUSES.PUBLISHED;
+  }
+
+  return unit?.status;
+}
+
+export function isUnitLive(unit, now = new Date()) {
+  return resolveUnitStatus(unit, now) === CONTENT_STATUSES.PUBLISHED;
+}
+
+/**
+ * 状態の変更が許されるかを確かめ、だめならエラーメッセージを返す（権限は呼び出し側で確認する）。
+ * from は今の状態（新規作成なら draft）。公開予約には現在より後の publishAt が必要。
+ */
+export function validateStatusChange({ from, to, publishAt, now = new Date() }) {
+  if (!isContentStatus(to)) {
+    return '不明な状態です';
+  }
+
+  if (!canTransitionStatus(from, to)) {
+    return `「${getStatusLabel(from)}」から「${getStatusLabel(to)}」には変更できません`;
+  }
+
+  if (to === CONTENT_STATUSES.SCHEDULED) {
+    const normalized = normalizePublishAt(publishAt);
+    if (!normalized) {
+      return '公開予約には公開日時が必要です';
+    }
+    if (new Date(normalized) <= now) {
+      return '公開日時は現在より後にしてください';
+    }
+  }
+
+  return null;
+}
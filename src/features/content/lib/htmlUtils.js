@@ -154,6 +154,260 @@ function ensureHeadingIds(html = '') {
   };
 }
 
+function hasClassName(attrs = '', className) {
+  const classMatch = attrs.match(/\bclass=(['"])(.*?)\1/i);
+  return Boolean(classMatch) && classMatch[2].split(/\s+/).includes(className);
+}
+
+// class を持つ要素を、同名タグの入れ子を数えて閉じタグまで切り出す
+function findElementsByClass(html = '', className, tagName = 'div') {
+  const elements = [];
+  const openPattern = new RegExp(`<${tagName}\\b([^>]*)>`, 'gi');
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  let openMatch;
+
+  while ((openMatch = openPattern.exec(html))) {
+    if (!hasClassName(openMatch[1], className)) {
+      continue;
+    }
+
+    const innerStart = openPattern.lastIndex;
+    let depth = 1;
+    let innerEnd = html.length;
+    let tagMatch;
+    tagPattern.lastIndex = innerStart;
+    while ((tagMatch = tagPattern.exec(html))) {
+      depth += tagMatch[1] ? -1 : 1;
+      if (depth === 0) {
+        innerEnd = tagMatch.index;
+        break;
+      }
+    }
+
+    elements.push({ offset: openMatch.index, attrs: openMatch[1], inner: html.slice(innerStart, innerEnd) });
+    openPattern.lastIndex = innerEnd;
+  }
+
+  return elements;
+}
+
+// 「心裡留保（しんりりゅうほ）」のように用語の後ろに括弧書きで添えた読み
+const TERM_READING_PATTERN = /^(.+?)\s*[（(]([\p{Script=Hiragana}\p{Script=Katakana}ー・\s]+)[）)]$/u;
+
+function splitTermReading(value = '') {
+  const match = value.match(TERM_READING_PATTERN);
+  return match
+    ? { term: match[1].trim(), reading: match[2].replace(/\s+/g, '') }
+    : { term: value, reading: null };
+}
+
+function getDataReading(attrs = '') {
+  const match = attrs.match(/\bdata-reading=(['"])(.*?)\1/i);
+  return match?.[2]?.trim() || null;
+}
+
+// 文中の強調タグで語が区切られないよう、インライン要素は空白を挟まずに外す
+function toPlainText(html = '') {
+  return stripTags(
+    stripMaterialIconSpans(html).replace(/<\/?(?:strong|b|em|i|u|mark|span|a|code|small|sub|sup|ruby|rb)\b[^>]*>/gi, ''),
+  );
+}
+
+function extractFirstSentence(html = '', maxLength = 120) {
+  const text = toPlainText(html);
+  const sentence = text.match(/^[\s\S]*?。/)?.[0] || text;
+  return sentence.length > maxLength ? `${sentence.slice(0, maxLength)}…` : sentence;
+}
+
+function prepareTermSource(rawHtml = '') {
+  const body = removeDangerousTags(extractBodyHtml(String(rawHtml || '')));
+  const { html } = ensureHeadingIds(body);
+  const headings = Array.from(html.matchAll(/<h([23])\b[^>]*\sid=(['"])(.*?)\2[^>]*>([\s\S]*?)<\/h\1>/gi))
+    .map((match) => ({
+      offset: match.index,
+      level: Number(match[1]),
+      id: match[3],
+      title: stripTags(stripMaterialIconSpans(match[4])),
+    }));
+  const sectionHeadings = headings.filter((heading) => heading.level === 2);
+
+  return {
+    html,
+    headings,
+    findSection: (offset) => sectionHeadings.filter((heading) => heading.offset < offset).at(-1) || null,
+  };
+}
+
+function collectDefinitionCards({ html, findSection }) {
+  const keyCounts = new Map();
+
+  return findElementsByClass(html, 'box--definition')
+    .map(({ offset, inner }) => {
+      const termElement = findElementsByClass(inner, 'box__term', 'span')[0];
+      const bodyElement = findElementsByClass(inner, 'box__bd')[0];
+      const { term, reading } = splitTermReading(stripTags(stripMaterialIconSpans(termElement?.inner || '')));
+      if (!term || !bodyElement) {
+        return null;
+      }
+
+      const baseKey = slugifyHeading(term) || 'term';
+      const count = (keyCounts.get(baseKey) || 0) + 1;
+      keyCounts.set(baseKey, count);
+
+      const badgeElement = findElementsByClass(inner, 'badge--freq', 'span')[0];
+      const section = findSection(offset);
+
+      return {
+        key: count > 1 ? `${baseKey}-${count}` : baseKey,
+        term,
+        reading: reading || getDataReading(termElement.attrs),
+        frequency: badgeElement ? stripTags(stripMaterialIconSpans(badgeElement.inner)) || null : null,
+        sectionId: section?.id || null,
+        sectionTitle: section?.title || null,
+        summary: extractFirstSentence(bodyElement.inner),
+        definitionHtml: bodyElement.inner.trim(),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 単元 HTML の用語定義ボックス（`box box--definition`）を暗記カード用に取り出す。
+ * 見出しに `box__term`、本文に `box__bd`、頻出度に `badge--freq` を使う教材テンプレートの構造が前提。
+ * key は単元内で一意（同じ用語が複数回あれば連番を付ける）。sectionId は直前の h2 の id。
+ */
+export function extractDefinitionCards(rawHtml = '') {
+  return collectDefinitionCards(prepareTermSource(rawHtml));
+}
+
+/**
+ * 用語集の索引用に、定義（box--definition）と言及（`<mark class="kw">`）を取り出す。
+ * mentions は同じ語の2回目以降を省き、最初に出てくる節を sectionId にする。
+ */
+export function extractGlossaryTerms(rawHtml = '') {
+  const source = prepareTermSource(rawHtml);
+  const seen = new Set();
+  const mentions = findElementsByClass(source.html, 'kw', 'mark')
+    .map(({ offset, attrs, inner }) => ({
+      term: toPlainText(inner),
+      reading: getDataReading(attrs),
+      sectionId: source.findSection(offset)?.id || null,
+    }))
+    .filter((mention) => {
+      if (!mention.term || seen.has(mention.term)) {
+        return false;
+      }
+      seen.add(mention.term);
+      return true;
+    });
+
+  return {
+    definitions: collectDefinitionCards(source),
+    mentions,
+  };
+}
+
+// case-card__bd を h4 の小見出しごとに分ける（「事実の概要」「判旨」「試験上の意義」など）
+function splitByH4(html = '') {
+  const parts = [];
+  const pattern = /<h4\b[^>]*>([\s\S]*?)<\/h4>/gi;
+  let current = null;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    if (current) {
+      current.html = html.slice(lastIndex, match.index).trim();
+      parts.push(current);
+    }
+    current = { heading: toPlainText(match[1]) };
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (current) {
+    current.html = html.slice(lastIndex).trim();
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+function joinParts(parts, headingPrefix) {
+  const html = parts
+    .filter((part) => part.heading.startsWith(headingPrefix))
+    .map((part) => part.html)
+    .join('\n');
+  return html || null;
+}
+
+function getBadgeTexts(html, className) {
+  return findElementsByClass(html, className, 'span')
+    .map((badge) => stripTags(stripMaterialIconSpans(badge.inner)))
+    .filter(Boolean);
+}
+
+/**
+ * 単元 HTML の判例カード（`case-card`）を判例集用に取り出す。
+ * `case-card__meta` は裁判所・日付・事件番号などをまとめた原文のまま返し、解釈は呼び出し側に任せる。
+ * 本文は h4 の小見出しで分け、「判旨」で始まる節を holdingHtml にする。
+ */
+export function extractCaseCards(rawHtml = '') {
+  const { html, findSection } = prepareTermSource(rawHtml);
+  const keyCounts = new Map();
+
+  return findElementsByClass(html, 'case-card')
+    .map(({ offset, inner }) => {
+      const title = toPlainText(findElementsByClass(inner, 'case-card__title')[0]?.inner || '');
+      if (!title) {
+        return null;
+      }
+
+      const baseKey = slugifyHeading(title) || 'case';
+      const count = (keyCounts.get(baseKey) || 0) + 1;
+      keyCounts.set(baseKey, count);
+
+      const badgesHtml = findElementsByClass(inner, 'case-card__badges')[0]?.inner || '';
+      const stars = getBadgeTexts(badgesHtml, 'badge--stars')[0] || '';
+      const parts = splitByH4(findElementsByClass(inner, 'case-card__bd')[0]?.inner || '');
+      const section = findSection(offset);
+
+      return {
+        key: count > 1 ? `${baseKey}-${count}` : baseKey,
+        title,
+        meta: toPlainText(findElementsByClass(inner, 'case-card__meta')[0]?.inner || ''),
+        importance: (stars.match(/★/g) || []).length,
+        frequency: getBadgeTexts(badgesHtml, 'badge--freq')[0] || null,
+        laws: getBadgeTexts(badgesHtml, 'badge--law'),
+        sectionId: section?.id || null,
+        sectionTitle: section?.title || null,
+        factsHtml: joinParts(parts, '事実'),
+        holdingHtml: joinParts(parts, '判旨'),
+        significanceHtml: joinParts(parts, '試験上の意義'),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 本文を見出しごとの平文に分ける（条文索引や全文検索で「どの節で触れているか」を出すため）。
+ * 既定では h2 で区切り、headingLevels: [2, 3] なら h3 でも区切る。最初の見出しより前の部分は sectionId が null になる。
+ */
+export function extractSectionTexts(rawHtml = '', { headingLevels = [2] } = {}) {
+  const { html, headings } = prepareTermSource(rawHtml);
+  const boundaries = [
+    { offset: 0, id: null, title: null },
+    ...headings.filter((heading) => headingLevels.includes(heading.level)),
+  ];
+
+  return boundaries
+    .map((heading, index) => ({
+      sectionId: heading.id,
+      sectionTitle: heading.title,
+      text: toPlainText(html.slice(heading.offset, boundaries[index + 1]?.offset ?? html.length)),
+    }))
+    .filter((section) => section.text);
+}
+
 export function sanitizeEmbeddedCss(css = '') {
   return String(css)
     .replace(/<\/style/gi, '')
@@ -41,3 +41,39 @@ export function extractMarkdownSummary(markdown = '') {
   const summary = lines.find((line) => line && !line.startsWith('#'));
   return summary || '';
 }
+
+// 見出し記号・強調・リンク記法などを外して平文にする
+function toPlainMarkdownLine(line = '') {
+  return line
+    .replace(/^\s{0,3}(?:#{1,6}\s+|>\s?|[-*+]\s+|\d+\.\s+)/, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/:?-{3,}:?/g, ' ')
+    .replace(/[*_`~|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Markdown の本文を見出しごとの平文に分ける（HTML 単元の extractSectionTexts と同じ形）。
+ * sectionId は単元ページが見出しに振る id と同じ規則で作る。
+ */
+export function extractMarkdownSectionTexts(markdown = '', { headingLevels = [2] } = {}) {
+  const sections = [{ sectionId: null, sectionTitle: null, lines: [] }];
+
+  markdown.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^(#{2,3})\s+(.+)$/);
+    if (match && headingLevels.includes(match[1].length)) {
+      const title = match[2].trim();
+      sections.push({ sectionId: slugifyHeading(title), sectionTitle: title, lines: [] });
+    }
+
+    if (!/^\s*```/.test(line)) {
+      sections.at(-1).lines.push(toPlainMarkdownLine(line));
+    }
+  });
+
+  return sections
+    .map(({ lines, ...section }) => ({ ...section, text: lines.filter(Boolean).join(' ') }))
+    .filter((section) => section.text);
+}
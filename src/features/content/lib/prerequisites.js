@@ -0,0 +1,138 @@
+// 単元の前提（prerequisites）。単元 → 先に学習しておくべき単元の有向グラフとして扱う
+
+export const MAX_PREREQUISITES = 10;
+
+export const UNIT_PATH_STATES = {
+  LOCKED: 'locked',
+  READY: 'ready',
+  COMPLETED: 'completed',
+};
+
+export const UNIT_PATH_STATE_LABELS = {
+  locked: '前提の単元が未完了',
+  ready: '学習できます',
+  completed: '完了',
+};
+
+export const UNIT_PATH_STATE_BADGE_CLASSES = {
+  locked: 'bg-gray-100 text-gray-600',
+  ready: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+};
+
+// 「次のおすすめ」に挙げる理由。continue: 学習途中 / review: 得点が低く、後の単元の前に復習したい / next: 前提がそろった未学習の単元
+export const RECOMMENDATION_REASONS = {
+  CONTINUE: 'continue',
+  REVIEW: 'review',
+  NEXT: 'next',
+};
+
+export const RECOMMENDATION_REASON_LABELS = {
+  continue: '学習の続き',
+  review: '復習がおすすめ',
+  next: '次に進める単元',
+};
+
+// 完了していてもこの得点（100点満点）未満なら、その単元を前提にする単元の前に復習をすすめる
+export const REVIEW_SCORE_THRESHOLD = 60;
+
+/**
+ * 前提の単元 ID の一覧にそろえる。フォームからは JSON 文字列やカンマ区切りでも受け取る。
+ * 重複と自分自身は除き、MAX_PREREQUISITES 件までにする（存在するかどうかは確かめない）。
+ */
+export function normalizePrerequisites(value, unitId = null) {
+  let ids = value;
+  if (typeof value === 'string') {
+    try {
+      ids = JSON.parse(value);
+    } catch {
+      ids = value.split(',');
+    }
+  }
+
+  if (!Array.isArray(ids)) {
+    return [];
+  }
+
+  return [...new Set(ids.map((id) => String(id ?? '').trim()).filter(Boolean))]
+    .filter((id) => id !== String(unitId))
+    .slice(0, MAX_PREREQUISITES);
+}
+
+// units（{ id, prerequisites }）から 単元 ID → 前提の単元 ID の Map を作る。一覧にない単元への辺は捨てる
+export function buildPrerequisiteGraph(units) {
+  const ids = new Set(units.map((unit) => String(unit.id)));
+  return new Map(units.map((unit) => [
+    String(unit.id),
+    normalizePrerequisites(unit.prerequisites, unit.id).filter((id) => ids.has(id)),
+  ]));
+}
+
+/**
+ * グラフの循環を探す。見つかった循環ごとに [A, B, ..., A] の形で返す（循環がなければ空配列）。
+ * 同じ強連結成分に複数の循環があっても、深さ優先探索で見つかった後退辺ごとに1つだけ返す。
+ */
+export function findPrerequisiteCycles(graph) {
+  const VISITING = 1;
+  const DONE = 2;
+  const marks = new Map();
+  const stack = [];
+  const cycles = [];
+
+  function visit(id) {
+    marks.set(id, VISITING);
+    stack.push(id);
+
+    (graph.get(id) || []).forEach((next) => {
+      if (marks.get(next) === VISITING) {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!marks.has(next) && graph.has(next)) {
+        visit(next);
+      }
+    });
+
+    stack.pop();
+    marks.set(id, DONE);
+  }
+
+  graph.forEach((_, id) => {
+    if (!marks.has(id)) {
+      visit(id);
+    }
+  });
+
+  return cycles;
+}
+
+// 単元 ID → その単元を前提にしている単元 ID の一覧（逆向きの辺）
+export function buildDependentsMap(graph) {
+  const dependents = new Map([...graph.keys()].map((id) => [id, []]));
+  graph.forEach((prerequisites, id) => {
+    prerequisites.forEach((prerequisiteId) => {
+      dependents.get(prerequisiteId)?.push(id);
+    });
+  });
+  return dependents;
+}
+
+/**
+ * 単元ごとの学習の状態。完了していれば completed、前提の単元に未完了のものがあれば locked、それ以外は ready。
+ * progressByUnit は progressRepository.getByUser の結果（単元 ID → { completed, score, lastAccessed }）。
+ */
+export function resolveUnitPathStates(graph, progressByUnit = {}) {
+  return Object.fromEntries([...graph.entries()].map(([id, prerequisites]) => {
+    const missingPrerequisites = prerequisites.filter((prerequisiteId) => !progressByUnit[prerequisiteId]?.completed);
+    let state = UNIT_PATH_STATES.READY;
+    if (progressByUnit[id]?.completed) {
+      state = UNIT_PATH_STATES.COMPLETED;
+    } else if (missingPrerequisites.length) {
+      state = UNIT_PATH_STATES.LOCKED;
+    }
+
+    return [id, { state, missingPrerequisites }];
+  }));
+}
+
+export function formatPrerequisiteCycle(cycle, getTitle = (id) => id) {
+  return cycle.map((id) => getTitle(id)).join(' → ');
+}
@@ -0,0 +1,226 @@
+import {
+  getAccessLevelLabel,
+  getContentFormatLabel,
+  getDifficultyLabel,
+  getStatusLabel,
+  getSubjectName,
+  getTypeLabel,
+} from '@/features/content/lib/contentMetadata';
+
+// LCS の表の大きさの上限（行数の積）。超えたら変更部分を丸ごと置き換えとして扱う
+const MAX_LCS_CELLS = 4000000;
+const DEFAULT_CONTEXT_LINES = 3;
+
+export const REVISION_META_FIELDS = [
+  { key: 'title', label: 'タイトル' },
+  { key: 'subjectId', label: '科目', format: getSubjectName },
+  { key: 'type', label: '種別', format: getTypeLabel },
+  { key: 'difficulty', label: '難易度', format: getDifficultyLabel },
+  { key: 'estimatedTime', label: '学習時間（分）' },
+  { key: 'accessLevel', label: '公開範囲', format: getAccessLevelLabel },
+  { key: 'status', label: '状態', format: getStatusLabel },
+  { key: 'publishAt', label: '公開予約日時' },
+  { key: 'lawVersion', label: '法令の版' },
+  { key: 'effectiveFrom', label: '法令の基準日' },
+  { key: 'sectionLawVersions', label: '節ごとの法令の基準日', format: formatSectionLawVersions },
+  { key: 'prerequisites', label: '前提の単元', format: (ids) => ids.join('、') || null },
+  { key: 'contentFormat', label: '形式', format: getContentFormatLabel },
+];
+
+export const REVISION_ACTION_LABELS = {
+  baseline: '履歴開始前の内容',
+  save: '保存',
+  rollback: '以前の版に戻す',
+  restore: '削除から復元',
+  status: '状態の変更',
+};
+
+function formatSectionLawVersions(entries) {
+  return entries.map((entry) => `${entry.sectionId}: ${[entry.effectiveFrom, entry.lawVersion].filter(Boolean).join(' ')}`).join('、') || null;
+}
+
+// 比較用の文字列。配列の項目（節ごとの基準日・前提の単元）は空なら未設定と同じに扱う
+function toComparable(value) {
+  if (Array.isArray(value)) {
+    return value.length ? JSON.stringify(value) : '';
+  }
+
+  return String(value ?? '');
+}
+
+/**
+ * 2つの版のメタ情報のうち、変わった項目だけを表示用のラベル付きで返す
+ */
+export function diffRevisionMeta(before = {}, after = {}) {
+  return REVISION_META_FIELDS
+    .filter(({ key }) => toComparable(before?.[key]) !== toComparable(after?.[key]))
+    .map(({ key, label, format }) => ({
+      key,
+      label,
+      before: before?.[key] == null ? null : (format ? format(before[key]) : String(before[key])),
+      after: after?.[key] == null ? null : (format ? format(after[key]) : String(after[key])),
+    }));
+}
+
+function splitLines(text = '') {
+  return text ? String(text).replace(/\r\n?/g, '\n').split('\n') : [];
+}
+
+// 共通部分列の表を後ろから埋め、先頭からたどって equal / delete / insert の列にする
+function diffByLcs(left, right) {
+  const width = right.length + 1;
+  const table = new Uint32Array((left.length + 1) * width);
+
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      table[i * width + j] = left[i] === right[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      operations.push({ type: 'equal', left: i, right: j });
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      operations.push({ type: 'delete', left: i });
+      i += 1;
+    } else {
+      operations.push({ type: 'insert', right: j });
+      j += 1;
+    }
+  }
+  for (; i < left.length; i += 1) operations.push({ type: 'delete', left: i });
+  for (; j < right.length; j += 1) operations.push({ type: 'insert', right: j });
+
+  return operations;
+}
+
+function diffLineOperations(left, right) {
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    start += 1;
+  }
+
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd -= 1;
+    rightEnd -= 1;
+  }
+
+  const leftMiddle = left.slice(start, leftEnd);
+  const rightMiddle = right.slice(start, rightEnd);
+  const middle = leftMiddle.length * rightMiddle.length <= MAX_LCS_CELLS
+    ? diffByLcs(leftMiddle, rightMiddle)
+    : [
+      ...leftMiddle.map((line, index) => ({ type: 'delete', left: index })),
+      ...rightMiddle.map((line, index) => ({ type: 'insert', right: index })),
+    ];
+
+  return [
+    ...Array.from({ length: start }, (value, index) => ({ type: 'equal', left: index, right: index })),
+    ...middle.map((operation) => ({
+      ...operation,
+      left: operation.left === undefined ? undefined : operation.left + start,
+      right: operation.right === undefined ? undefined : operation.right + start,
+    })),
+    ...Array.from({ length: left.length - leftEnd }, (value, index) => ({
+      type: 'equal',
+      left: leftEnd + index,
+      right: rightEnd + index,
+    })),
+  ];
+}
+
+function toLine(lines, index) {
+  return index === undefined ? null : { number: index + 1, text: lines[index] };
+}
+
+// 連続する削除と追加を横に並べ、対になった行は change にする
+function toSideBySideRows(operations, left, right) {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    for (let index = 0; index < Math.max(deleted.length, inserted.length); index += 1) {
+      const leftLine = toLine(left, deleted[index]);
+      const rightLine = toLine(right, inserted[index]);
+      rows.push({
+        type: leftLine && rightLine ? 'change' : leftLine ? 'delete' : 'insert',
+        left: leftLine,
+        right: rightLine,
+      });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  operations.forEach((operation) => {
+    if (operation.type === 'delete') {
+      deleted.push(operation.left);
+    } else if (operation.type === 'insert') {
+      inserted.push(operation.right);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: toLine(left, operation.left), right: toLine(right, operation.right) });
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+// 変更のない行が続くところは前後 context 行だけ残して skip にまとめる
+function collapseUnchanged(rows, context) {
+  const collapsed = [];
+  let index = 0;
+
+  while (index < rows.length) {
+    if (rows[index].type !== 'equal') {
+      collapsed.push(rows[index]);
+      index += 1;
+      continue;
+    }
+
+    let end = index;
+    while (end < rows.length && rows[end].type === 'equal') {
+      end += 1;
+    }
+
+    const keepBefore = index === 0 ? 0 : context;
+    const keepAfter = end === rows.length ? 0 : context;
+    if (end - index > keepBefore + keepAfter) {
+      collapsed.push(...rows.slice(index, index + keepBefore));
+      collapsed.push({ type: 'skip', count: end - index - keepBefore - keepAfter });
+      collapsed.push(...rows.slice(end - keepAfter, end));
+    } else {
+      collapsed.push(...rows.slice(index, end));
+    }
+    index = end;
+  }
+
+  return collapsed;
+}
+
+/**
+ * 本文の行単位の差分を左右に並べた行の列で返す。
+ * rows の type は equal / change / delete / insert / skip（変更のない行をまとめたもの。count に行数）。
+ */
+export function diffRevisionBodies(before = '', after = '', { context = DEFAULT_CONTEXT_LINES } = {}) {
+  const left = splitLines(before);
+  const right = splitLines(after);
+  const operations = diffLineOperations(left, right);
+
+  return {
+    rows: collapseUnchanged(toSideBySideRows(operations, left, right), context),
+    added: operations.filter((operation) => operation.type === 'insert').length,
+    removed: operations.filter((operation) => operation.type === 'delete').length,
+  };
+}
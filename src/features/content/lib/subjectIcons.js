@@ -0,0 +1,46 @@
+import {
+  BookOpen,
+  Briefcase,
+  Building,
+  FileText,
+  Gavel,
+  Globe,
+  GraduationCap,
+  Home,
+  Landmark,
+  Laptop,
+  Library,
+  Plane,
+  Scale,
+  Shield,
+  Stamp,
+  Users,
+} from 'lucide-react';
+
+// 科目データの icon（名前）から表示するアイコン。科目データに使える名前はここにあるものだけ
+export const SUBJECT_ICONS = {
+  BookOpen,
+  Briefcase,
+  Building,
+  FileText,
+  Gavel,
+  Globe,
+  GraduationCap,
+  Home,
+  Landmark,
+  Laptop,
+  Library,
+  Plane,
+  Scale,
+  Shield,
+  Stamp,
+  Users,
+};
+
+export const SUBJECT_ICON_NAMES = Object.keys(SUBJECT_ICONS);
+
+export const DEFAULT_SUBJECT_ICON = 'BookOpen';
+
+export function getSubjectIcon(name) {
+  return SUBJECT_ICONS[name] || SUBJECT_ICONS[DEFAULT_SUBJECT_ICON];
+}
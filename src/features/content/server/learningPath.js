@@ -0,0 +1,118 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import progressRepository from '@/server/repositories/progressRepository';
+import {
+  RECOMMENDATION_REASONS,
+  REVIEW_SCORE_THRESHOLD,
+  UNIT_PATH_STATES,
+  buildDependentsMap,
+  buildPrerequisiteGraph,
+  findPrerequisiteCycles,
+  resolveUnitPathStates,
+} from '@/features/content/lib/prerequisites';
+
+const DEFAULT_RECOMMENDATION_LIMIT = 5;
+
+function toUnitRef(unit) {
+  return { id: unit.id, title: unit.title, subjectId: unit.subjectId };
+}
+
+function byLastAccessedDesc(left, right) {
+  return new Date(right.progress?.lastAccessed || 0) - new Date(left.progress?.lastAccessed || 0);
+}
+
+// 公開中の単元だけで作った前提のグラフ。下書きの単元への前提は、公開されるまでないものとして扱う
+function loadPublishedGraph() {
+  const units = contentRepository.listUnits({}, { includeDraft: false }).units;
+  return { units, graph: buildPrerequisiteGraph(units) };
+}
+
+/**
+ * 公開中の単元の前提のグラフ。保存時に循環は弾いているが、公開・削除の組み合わせで
+ * 残ったものがあれば cycles に [A, B, ..., A] の形で返す。
+ */
+export function getPrerequisiteGraphReport() {
+  const { units, graph } = loadPublishedGraph();
+  const cycles = findPrerequisiteCycles(graph);
+
+  return {
+    valid: cycles.length === 0,
+    cycles,
+    units: units.map((unit) => ({ ...toUnitRef(unit), prerequisites: graph.get(unit.id) })),
+  };
+}
+
+/**
+ * ユーザーの学習の道筋。単元ごとの状態（locked / ready / completed）と「次のおすすめ」を返す。
+ *
+ * おすすめは、学習途中の単元（最近開いた順に2件まで）→ 得点が低いまま後の単元が残っている単元（1件）
+ * → 前提がそろった未学習の単元の順に並べる。未学習の単元は、最後に開いた単元と同じ科目のもの、
+ * 完了すると学習できるようになる単元が多いもの、科目データの並び順の順に優先する。
+ */
+export function getLearningPath(userId, { limit = DEFAULT_RECOMMENDATION_LIMIT } = {}) {
+  const progressByUnit = progressRepository.getByUser(userId);
+  const { units, graph } = loadPublishedGraph();
+  const unitMap = new Map(units.map((unit) => [unit.id, unit]));
+  const dependents = buildDependentsMap(graph);
+  const resolved = resolveUnitPathStates(graph, progressByUnit);
+
+  const states = Object.fromEntries(Object.entries(resolved).map(([id, entry]) => [id, {
+    state: entry.state,
+    missingPrerequisites: entry.missingPrerequisites.map((prerequisiteId) => toUnitRef(unitMap.get(prerequisiteId))),
+  }]));
+
+  const counts = Object.values(UNIT_PATH_STATES).reduce((accumulator, state) => ({ ...accumulator, [state]: 0 }), {});
+  Object.values(resolved).forEach((entry) => {
+    counts[entry.state] += 1;
+  });
+
+  const candidates = units.map((unit, position) => ({
+    unit,
+    position,
+    progress: progressByUnit[unit.id] || null,
+    state: resolved[unit.id].state,
+    // 完了していない、この単元を前提にする単元の数
+    pendingDependents: dependents.get(unit.id).filter((id) => resolved[id].state !== UNIT_PATH_STATES.COMPLETED).length,
+  }));
+
+  const lastAccessed = candidates.filter((candidate) => candidate.progress?.lastAccessed).sort(byLastAccessedDesc)[0];
+  const currentSubjectId = lastAccessed?.unit.subjectId || null;
+
+  const inProgress = candidates
+    .filter((candidate) => candidate.state === UNIT_PATH_STATES.READY && candidate.progress)
+    .sort(byLastAccessedDesc)
+    .map((candidate) => ({ ...candidate, reason: RECOMMENDATION_REASONS.CONTINUE }));
+
+  const review = candidates
+    .filter((candidate) => candidate.state === UNIT_PATH_STATES.COMPLETED
+      && candidate.progress.score !== undefined
+      && Number(candidate.progress.score) < REVIEW_SCORE_THRESHOLD
+      && candidate.pendingDependents > 0)
+    .sort((left, right) => Number(left.progress.score) - Number(right.progress.score))
+    .map((candidate) => ({ ...candidate, reason: RECOMMENDATION_REASONS.REVIEW }));
+
+  const next = candidates
+    .filter((candidate) => candidate.state === UNIT_PATH_STATES.READY && !candidate.progress)
+    .sort((left, right) => (
+      Number(right.unit.subjectId === currentSubjectId) - Number(left.unit.subjectId === currentSubjectId)
+      || right.pendingDependents - left.pendingDependents
+      || left.position - right.position
+    ))
+    .map((candidate) => ({ ...candidate, reason: RECOMMENDATION_REASONS.NEXT }));
+
+  const ordered = [...inProgress.slice(0, 2), ...review.slice(0, 1), ...next, ...inProgress.slice(2), ...review.slice(1)];
+  const recommendations = ordered.slice(0, Math.max(1, Number(limit) || DEFAULT_RECOMMENDATION_LIMIT)).map((candidate) => ({
+    unit: {
+      ...toUnitRef(candidate.unit),
+      type: candidate.unit.type,
+      difficulty: candidate.unit.difficulty,
+      estimatedTime: candidate.unit.estimatedTime,
+      accessLevel: candidate.unit.accessLevel,
+    },
+    reason: candidate.reason,
+    score: candidate.progress?.score ?? null,
+    lastAccessed: candidate.progress?.lastAccessed || null,
+    unlocks: candidate.pendingDependents,
+  }));
+
+  return { states, counts, recommendations };
+}
@@ -0,0 +1,102 @@
+// 暗記カードの復習スケジュール（SM-2 方式）。画面側で次回の間隔を表示するためクライアントからも使う
+
+export const REVIEW_GRADES = {
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5,
+};
+
+export const REVIEW_GRADE_OPTIONS = [
+  { value: REVIEW_GRADES.AGAIN, label: 'もう一度', className: 'bg-red-600 hover:bg-red-700' },
+  { value: REVIEW_GRADES.HARD, label: '難しい', className: 'bg-orange-500 hover:bg-orange-600' },
+  { value: REVIEW_GRADES.GOOD, label: '正解', className: 'bg-blue-600 hover:bg-blue-700' },
+  { value: REVIEW_GRADES.EASY, label: '簡単', className: 'bg-green-600 hover:bg-green-700' },
+];
+
+export const INITIAL_EASE_FACTOR = 2.5;
+export const MINIMUM_EASE_FACTOR = 1.3;
+export const NEW_CARDS_PER_DAY = 20;
+
+// badge--freq の表記ごとの優先度。大きいほど先に出題する
+export const FREQUENCY_PRIORITY = {
+  最頻出: 3,
+  最重要: 3,
+  頻出: 2,
+  重要: 1,
+};
+
+export function getFrequencyPriority(frequency) {
+  return FREQUENCY_PRIORITY[frequency] || 0;
+}
+
+// 学習日は日本時間の日付で区切る（サーバーのタイムゾーンに依存させない）
+const STUDY_DAY_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+export function toStudyDate(date = new Date()) {
+  return new Date(new Date(date).getTime() + STUDY_DAY_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+export function addStudyDays(studyDate, days) {
+  const date = new Date(`${studyDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+export function isValidReviewGrade(value) {
+  return Object.values(REVIEW_GRADES).includes(Number(value));
+}
+
+/**
+ * 評価（SM-2 の quality）から次の復習日を決める。
+ * 3 未満は覚え直しとして連続正解数をリセットし、同じ日のうちにもう一度出題する。
+ */
+export function scheduleReview(state, grade, { today = toStudyDate() } = {}) {
+  const quality = Number(grade);
+  const previousEase = state?.easeFactor ?? INITIAL_EASE_FACTOR;
+  const previousInterval = state?.intervalDays ?? 0;
+  let repetitions = state?.repetitions ?? 0;
+  let lapses = state?.lapses ?? 0;
+  let intervalDays;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 0;
+    lapses += state ? 1 : 0;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.max(1, Math.round(previousInterval * previousEase));
+    }
+  }
+
+  const easeFactor = Math.max(
+    MINIMUM_EASE_FACTOR,
+    Math.round((previousEase + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100,
+  );
+
+  return {
+    easeFactor,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueDate: addStudyDays(today, intervalDays),
+  };
+}
+
+export function formatInterval(days) {
+  if (days <= 0) {
+    return '今日';
+  }
+  if (days < 30) {
+    return `${days}日後`;
+  }
+  if (days < 365) {
+    return `${Math.round(days / 30)}か月後`;
+  }
+  return `${Math.round((days / 365) * 10) / 10}年後`;
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import contentRepository from '@/server/repositories/contentRepository';
+import flashcardReviewRepository from '@/server/repositories/flashcardReviewRepository';
+import { extractDefinitionCards } from '@/features/content/lib/htmlUtils';
+import { getFrequencyPriority, NEW_CARDS_PER_DAY, scheduleReview, toStudyDate } from '@/features/flashcards/lib/scheduler';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+
+// 単元ごとの抽出結果。本文のハッシュが変わったときだけ HTML を解析し直す
+const unitCardCache = new Map();
+
+function getUnitCards(unit) {
+  const body = unit.contentFormat === 'html' ? contentRepository.getUnitBody(unit.id) : null;
+  if (!body) {
+    unitCardCache.delete(unit.id);
+    return [];
+  }
+
+  const signature = crypto.createHash('sha1').update(body).digest('hex');
+  const cached = unitCardCache.get(unit.id);
+  if (cached?.signature === signature) {
+    return cached.cards;
+  }
+
+  const cards = extractDefinitionCards(body).map((card) => ({
+    id: `${unit.id}:${card.key}`,
+    term: card.term,
+    reading: card.reading,
+    frequency: card.frequency,
+    priority: getFrequencyPriority(card.frequency),
+    sectionId: card.sectionId,
+    sectionTitle: card.sectionTitle,
+    definitionHtml: card.definitionHtml,
+  }));
+  unitCardCache.set(unit.id, { signature, cards });
+  return cards;
+}
+
+/**
+ * 公開中の HTML 単元から作った暗記カードのうち、ユーザーが閲覧できる単元のものを単元順に返す。
+ * カード ID は `{unitId}:{用語のキー}` で、本文を編集しても用語が変わらなければ復習状態が引き継がれる。
+ */
+export function getDeck(user, { subjectId } = {}) {
+  return contentRepository.listUnits({ subjectId }).units
+    .filter((unit) => canAccessUnit(user, unit))
+    .flatMap((unit) => getUnitCards(unit).map((card) => ({
+      ...card,
+      unitId: unit.id,
+      unitTitle: unit.title,
+      subjectId: unit.subjectId,
+    })));
+}
+
+function compareDueCards(left, right) {
+  return right.priority - left.priority
+    || left.state.dueDate.localeCompare(right.state.dueDate)
+    || left.state.lastReviewedAt.localeCompare(right.state.lastReviewedAt);
+}
+
+/**
+ * 今日の復習キュー。期限が来たカード → 未学習カード（1日 NEW_CARDS_PER_DAY 枚まで）の順で、
+ * どちらも頻出度の高い用語を先に出す。単元から消えた用語の復習状態は無視する。
+ */
+export function getReviewQueue(user, { subjectId, now = new Date() } = {}) {
+  const today = toStudyDate(now);
+  const cards = getDeck(user, { subjectId });
+  const states = flashcardReviewRepository.getStates(user.id);
+
+  const dueCards = cards
+    .filter((card) => states.get(card.id)?.dueDate <= today)
+    .map((card) => ({ ...card, state: states.get(card.id), isNew: false }))
+    .sort(compareDueCards);
+  const unseenCards = cards.filter((card) => !states.has(card.id));
+  const newLimit = Math.max(0, NEW_CARDS_PER_DAY - flashcardReviewRepository.countIntroducedOn(user.id, today));
+  const newCards = [...unseenCards]
+    .sort((left, right) => right.priority - left.priority)
+    .slice(0, newLimit)
+    .map((card) => ({ ...card, state: null, isNew: true }));
+
+  return {
+    today,
+    queue: [...dueCards, ...newCards],
+    counts: {
+      due: dueCards.length,
+      new: newCards.length,
+      unseen: unseenCards.length,
+      learned: cards.length - unseenCards.length,
+      total: cards.length,
+    },
+  };
+}
+
+export function reviewFlashcard(user, cardId, grade, { now = new Date() } = {}) {
+  const card = getDeck(user).find((candidate) => candidate.id === cardId);
+  if (!card) {
+    return null;
+  }
+
+  const today = toStudyDate(now);
+  const schedule = scheduleReview(flashcardReviewRepository.getState(user.id, card.id), grade, { today });
+
+  return flashcardReviewRepository.saveState(user.id, {
+    cardId: card.id,
+    unitId: card.unitId,
+    grade: Number(grade),
+    schedule,
+    studyDate: today,
+    reviewedAt: new Date(now).toISOString(),
+  });
+}
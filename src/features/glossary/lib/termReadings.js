@@ -0,0 +1,306 @@
+// 用語集の五十音分けに使う読み。単元 HTML 側で読みを添えていない用語（box__term の括弧書き・data-reading がないもの）を補う
+// キーは normalizeTermKey 済みの用語
+export const TERM_READINGS = {
+  私的自治の原則: 'してきじちのげんそく',
+  契約自由の原則: 'けいやくじゆうのげんそく',
+  公共の福祉: 'こうきょうのふくし',
+  信義誠実の原則: 'しんぎせいじつのげんそく',
+  権利濫用の禁止: 'けんりらんようのきんし',
+  公序良俗と解釈の基準: 'こうじょりょうぞくとかいしゃくのきじゅん',
+  権利能力: 'けんりのうりょく',
+  出生: 'しゅっしょう',
+  胎児の権利能力: 'たいじのけんりのうりょく',
+  死亡と同時死亡の推定: 'しぼうとどうじしぼうのすいてい',
+  失踪宣告: 'しっそうせんこく',
+  法人: 'ほうじん',
+  社団法人と財団法人: 'しゃだんほうじんとざいだんほうじん',
+  営利法人と非営利法人: 'えいりほうじんとひえいりほうじん',
+  目的の範囲内: 'もくてきのはんいない',
+  代表機関と代表者責任: 'だいひょうきかんとだいひょうしゃせきにん',
+  行為能力: 'こういのうりょく',
+  意思能力: 'いしのうりょく',
+  未成年者: 'みせいねんしゃ',
+  成年被後見人: 'せいねんひこうけんにん',
+  被保佐人: 'ひほさにん',
+  被補助人: 'ひほじょにん',
+  催告権: 'さいこくけん',
+  詐術: 'さじゅつ',
+  法律行為: 'ほうりつこうい',
+  意思表示: 'いしひょうじ',
+  動機: 'どうき',
+  効果意思: 'こうかいし',
+  表示意思: 'ひょうじいし',
+  表示行為: 'ひょうじこうい',
+  意思の欠缺: 'いしのけんけつ',
+  詐欺による意思表示: 'さぎによるいしひょうじ',
+  強迫による意思表示: 'きょうはくによるいしひょうじ',
+  代理: 'だいり',
+  任意代理と法定代理: 'にんいだいりとほうていだいり',
+  顕名: 'けんめい',
+  代理行為の瑕疵: 'だいりこういのかし',
+  '代理権の濫用・自己契約・双方代理': 'だいりけんのらんよう・じこけいやく・そうほうだいり',
+  無権代理: 'むけんだいり',
+  表見代理: 'ひょうけんだいり',
+  無効: 'むこう',
+  取消し: 'とりけし',
+  取消権者: 'とりけしけんじゃ',
+  追認: 'ついにん',
+  法定追認: 'ほうていついにん',
+  無効行為の追認と転換: 'むこうこういのついにんとてんかん',
+  条件: 'じょうけん',
+  停止条件: 'ていしじょうけん',
+  解除条件: 'かいじょじょうけん',
+  '既成条件・不法条件・不能条件': 'きせいじょうけん・ふほうじょうけん・ふのうじょうけん',
+  随意条件: 'ずいいじょうけん',
+  期限: 'きげん',
+  期限の利益: 'きげんのりえき',
+  時効: 'じこう',
+  取得時効: 'しゅとくじこう',
+  消滅時効: 'しょうめつじこう',
+  時効の援用: 'じこうのえんよう',
+  完成猶予: 'かんせいゆうよ',
+  更新: 'こうしん',
+  '時効の効力・放棄・完成後の承認': 'じこうのこうりょく・ほうき・かんせいごのしょうにん',
+  意思主義: 'いししゅぎ',
+  対抗要件: 'たいこうようけん',
+  民法177条の第三者: 'みんぽうひゃくななじゅうななじょうのだいさんしゃ',
+  背信的悪意者: 'はいしんてきあくいしゃ',
+  即時取得: 'そくじしゅとく',
+  '公示の原則・公信の原則': 'こうじのげんそく・こうしんのげんそく',
+  占有権: 'せんゆうけん',
+  自主占有と他主占有: 'じしゅせんゆうとたしゅせんゆう',
+  善意占有と悪意占有: 'ぜんいせんゆうとあくいせんゆう',
+  代理占有と占有補助者: 'だいりせんゆうとせんゆうほじょしゃ',
+  占有の承継: 'せんゆうのしょうけい',
+  占有訴権: 'せんゆうそけん',
+  所有権: 'しょゆうけん',
+  所有権の制限: 'しょゆうけんのせいげん',
+  物権的請求権: 'ぶっけんてきせいきゅうけん',
+  相隣関係: 'そうりんかんけい',
+  '共有・持分': 'きょうゆう・もちぶん',
+  '変更・管理・保存': 'へんこう・かんり・ほぞん',
+  共有物分割: 'きょうゆうぶつぶんかつ',
+  用益物権: 'ようえきぶっけん',
+  地上権: 'ちじょうけん',
+  区分地上権: 'くぶんちじょうけん',
+  永小作権: 'えいこさくけん',
+  地役権: 'ちえきけん',
+  '付従性・不可分性': 'ふじゅうせい・ふかぶんせい',
+  地役権の時効取得: 'ちえきけんのじこうしゅとく',
+  担保物権: 'たんぽぶっけん',
+  物的担保と人的担保: 'ぶってきたんぽとじんてきたんぽ',
+  付従性: 'ふじゅうせい',
+  随伴性: 'ずいはんせい',
+  不可分性: 'ふかぶんせい',
+  物上代位性: 'ぶつじょうだいいせい',
+  優先弁済的効力と留置的効力: 'ゆうせんべんさいてきこうりょくとりゅうちてきこうりょく',
+  留置権: 'りゅうちけん',
+  先取特権: 'さきどりとっけん',
+  質権: 'しちけん',
+  抵当権: 'ていとうけん',
+  根抵当権: 'ねていとうけん',
+  非典型担保: 'ひてんけいたんぽ',
+  債権の目的: 'さいけんのもくてき',
+  特定物債権: 'とくていぶつさいけん',
+  種類債権: 'しゅるいさいけん',
+  種類債権の特定: 'しゅるいさいけんのとくてい',
+  制限種類債権: 'せいげんしゅるいさいけん',
+  '金銭債権・法定利率': 'きんせんさいけん・ほうていりりつ',
+  選択債権: 'せんたくさいけん',
+  '履行請求権・履行の強制': 'りこうせいきゅうけん・りこうのきょうせい',
+  債務不履行: 'さいむふりこう',
+  履行遅滞: 'りこうちたい',
+  履行不能: 'りこうふのう',
+  不完全履行: 'ふかんぜんりこう',
+  損害賠償の範囲: 'そんがいばいしょうのはんい',
+  金銭債務の特則: 'きんせんさいむのとくそく',
+  損害賠償額の予定: 'そんがいばいしょうがくのよてい',
+  弁済: 'べんさい',
+  第三者弁済: 'だいさんしゃべんさい',
+  受領権者としての外観を有する者への弁済: 'じゅりょうけんじゃとしてのがいかんをゆうするものへのべんさい',
+  '代物弁済・弁済充当・供託': 'だいぶつべんさい・べんさいじゅうとう・きょうたく',
+  弁済による代位: 'べんさいによるだいい',
+  相殺: 'そうさい',
+  '更改・免除・混同': 'こうかい・めんじょ・こんどう',
+  '分割債権・分割債務': 'ぶんかつさいけん・ぶんかつさいむ',
+  '不可分債権・不可分債務': 'ふかぶんさいけん・ふかぶんさいむ',
+  連帯債務: 'れんたいさいむ',
+  相対的効力の原則と絶対効: 'そうたいてきこうりょくのげんそくとぜったいこう',
+  求償権と負担部分: 'きゅうしょうけんとふたんぶぶん',
+  保証債務: 'ほしょうさいむ',
+  '連帯保証・共同保証・個人根保証': 'れんたいほしょう・きょうどうほしょう・こじんねほしょう',
+  債権譲渡: 'さいけんじょうと',
+  譲渡制限の意思表示: 'じょうとせいげんのいしひょうじ',
+  債務者対抗要件と第三者対抗要件: 'さいむしゃたいこうようけんとだいさんしゃたいこうようけん',
+  対抗要件具備時と債務者の抗弁: 'たいこうようけんぐびじとさいむしゃのこうべん',
+  債権譲渡と相殺: 'さいけんじょうととそうさい',
+  将来債権譲渡: 'しょうらいさいけんじょうと',
+  併存的債務引受: 'へいぞんてきさいむひきうけ',
+  免責的債務引受: 'めんせきてきさいむひきうけ',
+  債権者代位権: 'さいけんしゃだいいけん',
+  被保全債権: 'ひほぜんさいけん',
+  被代位権利: 'ひだいいけんり',
+  保全の必要性と無資力要件: 'ほぜんのひつようせいとむしりょくようけん',
+  代位行使の範囲と直接請求: 'だいいこうしのはんいとちょくせつせいきゅう',
+  債務者の処分権限と訴訟告知: 'さいむしゃのしょぶんけんげんとそしょうこくち',
+  転用型債権者代位権: 'てんようがたさいけんしゃだいいけん',
+  詐害行為取消権: 'さがいこういとりけしけん',
+  詐害行為と詐害意思: 'さがいこういとさがいいし',
+  受益者と転得者: 'じゅえきしゃとてんとくしゃ',
+  '相当対価処分・偏頗行為・過大な代物弁済': 'そうとうたいかしょぶん・へんぱこうい・かだいなだいぶつべんさい',
+  '返還・価額償還・直接支払': 'へんかん・かがくしょうかん・ちょくせつしはらい',
+  認容判決の効力と期間制限: 'にんようはんけつのこうりょくときかんせいげん',
+  申込み: 'もうしこみ',
+  承諾: 'しょうだく',
+  諾成契約と要式契約: 'だくせいけいやくとようしきけいやく',
+  承諾期間のある申込み: 'しょうだくきかんのあるもうしこみ',
+  承諾期間のない申込みと対話者: 'しょうだくきかんのないもうしこみとたいわしゃ',
+  到達主義と発信主義の改正: 'とうたつしゅぎとはっしんしゅぎのかいせい',
+  契約の解釈: 'けいやくのかいしゃく',
+  双務契約の牽連性: 'そうむけいやくのけんれんせい',
+  同時履行の抗弁権: 'どうじりこうのこうべんけん',
+  履行の提供: 'りこうのていきょう',
+  履行遅滞阻却効: 'りこうちたいそきゃくこう',
+  危険負担: 'きけんふたん',
+  債権者の責めに帰すべき事由: 'さいけんしゃのせめにきすべきじゆう',
+  危険の移転: 'きけんのいてん',
+  解除権: 'かいじょけん',
+  催告解除: 'さいこくかいじょ',
+  軽微な不履行: 'けいびなふりこう',
+  無催告解除: 'むさいこくかいじょ',
+  定期行為: 'ていきこうい',
+  解除の効果と原状回復義務: 'かいじょのこうかとげんじょうかいふくぎむ',
+  売買契約: 'ばいばいけいやく',
+  手付: 'てつけ',
+  履行の着手: 'りこうのちゃくしゅ',
+  契約不適合責任: 'けいやくふてきごうせきにん',
+  追完請求権: 'ついかんせいきゅうけん',
+  代金減額請求権: 'だいきんげんがくせいきゅうけん',
+  通知期間制限: 'つうちきかんせいげん',
+  贈与契約: 'ぞうよけいやく',
+  書面によらない贈与: 'しょめんによらないぞうよ',
+  履行の終わった部分: 'りこうのおわったぶぶん',
+  贈与者の担保責任: 'ぞうよしゃのたんぽせきにん',
+  負担付贈与: 'ふたんつきぞうよ',
+  定期贈与: 'ていきぞうよ',
+  死因贈与: 'しいんぞうよ',
+  消費貸借契約: 'しょうひたいしゃくけいやく',
+  書面でする消費貸借: 'しょめんでするしょうひたいしゃく',
+  準消費貸借: 'じゅんしょうひたいしゃく',
+  利息付消費貸借: 'りそくつきしょうひたいしゃく',
+  使用貸借契約: 'しようたいしゃくけいやく',
+  用法遵守義務と第三者使用禁止: 'ようほうじゅんしゅぎむとだいさんしゃしようきんし',
+  使用貸借の終了: 'しようたいしゃくのしゅうりょう',
+  賃貸借契約: 'ちんたいしゃくけいやく',
+  不動産賃貸借の対抗力: 'ふどうさんちんたいしゃくのたいこうりょく',
+  賃貸人たる地位の移転: 'ちんたいにんたるちいのいてん',
+  修繕義務と賃料減額: 'しゅうぜんぎむとちんりょうげんがく',
+  '賃借権の譲渡・転貸': 'ちんしゃくけんのじょうと・てんたい',
+  賃貸借の終了と信頼関係破壊: 'ちんたいしゃくのしゅうりょうとしんらいかんけいはかい',
+  敷金: 'しききん',
+  借地借家法の基本: 'しゃくちしゃっかほうのきほん',
+  雇用契約: 'こようけいやく',
+  請負契約: 'うけおいけいやく',
+  委任契約: 'いにんけいやく',
+  準委任: 'じゅんいにん',
+  善管注意義務: 'ぜんかんちゅういぎむ',
+  任意解除: 'にんいかいじょ',
+  履行割合に応じた報酬: 'りこうわりあいにおうじたほうしゅう',
+  寄託契約: 'きたくけいやく',
+  受寄者の保管義務: 'じゅきしゃのほかんぎむ',
+  '寄託物の使用・再寄託': 'きたくぶつのしよう・さいきたく',
+  返還請求と第三者の権利主張: 'へんかんせいきゅうとだいさんしゃのけんりしゅちょう',
+  消費寄託: 'しょうひきたく',
+  組合契約: 'くみあいけいやく',
+  組合財産: 'くみあいざいさん',
+  業務執行者と組合代理: 'ぎょうむしっこうしゃとくみあいだいり',
+  '組合員の脱退・解散・清算': 'くみあいいんのだったい・かいさん・せいさん',
+  和解契約: 'わかいけいやく',
+  互譲: 'ごじょう',
+  確定効: 'かくていこう',
+  示談: 'じだん',
+  訴訟上の和解: 'そしょうじょうのわかい',
+  錯誤と和解: 'さくごとわかい',
+  清算条項: 'せいさんじょうこう',
+  不当利得: 'ふとうりとく',
+  法律上の原因: 'ほうりつじょうのげんいん',
+  '善意の受益者・現存利益': 'ぜんいのじゅえきしゃ・げんぞんりえき',
+  悪意の受益者: 'あくいのじゅえきしゃ',
+  非債弁済: 'ひさいべんさい',
+  期限前弁済: 'きげんまえべんさい',
+  他人の債務の弁済: 'たにんのさいむのべんさい',
+  不法原因給付: 'ふほうげんいんきゅうふ',
+  不法行為: 'ふほうこうい',
+  '故意・過失': 'こい・かしつ',
+  権利又は法律上保護される利益: 'けんりまたはほうりつじょうほごされるりえき',
+  '因果関係・相当因果関係': 'いんがかんけい・そうとういんがかんけい',
+  責任能力: 'せきにんのうりょく',
+  使用者責任: 'しようしゃせきにん',
+  工作物責任: 'こうさくぶつせきにん',
+  共同不法行為: 'きょうどうふほうこうい',
+  婚姻意思: 'こんいんいし',
+  婚姻の形式的成立要件: 'こんいんのけいしきてきせいりつようけん',
+  婚姻障害: 'こんいんしょうがい',
+  婚姻の無効と取消し: 'こんいんのむこうととりけし',
+  '夫婦同氏・同居協力扶助義務': 'ふうふどうし・どうきょきょうりょくふじょぎむ',
+  婚姻費用分担義務: 'こんいんひようぶんたんぎむ',
+  日常家事債務: 'にちじょうかじさいむ',
+  '夫婦財産制・特有財産': 'ふうふざいさんせい・とくゆうざいさん',
+  '協議離婚・裁判離婚・財産分与': 'きょうぎりこん・さいばんりこん・ざいさんぶんよ',
+  '実子・嫡出である子・嫡出でない子': 'じっし・ちゃくしゅつであるこ・ちゃくしゅつでないこ',
+  分娩主義: 'ぶんべんしゅぎ',
+  嫡出推定: 'ちゃくしゅつすいてい',
+  嫡出否認の訴え: 'ちゃくしゅつひにんのうったえ',
+  '認知・認知の訴え': 'にんち・にんちのうったえ',
+  '認知無効・準正': 'にんちむこう・じゅんせい',
+  普通養子縁組: 'ふつうようしえんぐみ',
+  特別養子縁組: 'とくべつようしえんぐみ',
+  親権: 'しんけん',
+  '親の責務・子の人格尊重': 'おやのせきむ・このじんかくそんちょう',
+  '親権者の指定・変更': 'しんけんしゃのしてい・へんこう',
+  親権の共同行使と単独行使: 'しんけんのきょうどうこうしとたんどくこうし',
+  身上監護権: 'しんじょうかんごけん',
+  '財産管理権・法定代理権': 'ざいさんかんりけん・ほうていだいりけん',
+  '利益相反行為・特別代理人': 'りえきそうはんこうい・とくべつだいりにん',
+  '親権喪失・親権停止・管理権喪失': 'しんけんそうしつ・しんけんていし・かんりけんそうしつ',
+  扶養: 'ふよう',
+  生活保持義務: 'せいかつほじぎむ',
+  生活扶助義務: 'せいかつふじょぎむ',
+  扶養義務者: 'ふようぎむしゃ',
+  扶養の順位: 'ふようのじゅんい',
+  扶養の程度又は方法: 'ふようのていどまたはほうほう',
+  扶養請求権の処分禁止: 'ふようせいきゅうけんのしょぶんきんし',
+  '婚姻費用・養育費': 'こんいんひよう・よういくひ',
+  法定相続人: 'ほうていそうぞくにん',
+  相続順位: 'そうぞくじゅんい',
+  代襲相続: 'だいしゅうそうぞく',
+  法定相続分: 'ほうていそうぞくぶん',
+  指定相続分: 'していそうぞくぶん',
+  '特別受益・寄与分との関係': 'とくべつじゅえき・きよぶんとのかんけい',
+  包括承継: 'ほうかつしょうけい',
+  一身専属権: 'いっしんせんぞくけん',
+  相続財産: 'そうぞくざいさん',
+  祭祀財産: 'さいしざいさん',
+  遺産共有: 'いさんきょうゆう',
+  '可分債権・可分債務': 'かぶんさいけん・かぶんさいむ',
+  共同相続における対抗要件: 'きょうどうそうぞくにおけるたいこうようけん',
+  国民主権: 'こくみんしゅけん',
+  平和主義: 'へいわしゅぎ',
+  基本的人権の尊重: 'きほんてきじんけんのそんちょう',
+  統治行為論: 'とうちこういろん',
+  表現の自由: 'ひょうげんのじゆう',
+  表現の自由の優越的地位: 'ひょうげんのじゆうのゆうえつてきちい',
+  知る権利: 'しるけんり',
+  '報道の自由・取材の自由': 'ほうどうのじゆう・しゅざいのじゆう',
+  検閲の禁止: 'けんえつのきんし',
+  事前抑制: 'じぜんよくせい',
+  '名誉・プライバシーとの調整': 'めいよ・ぷらいばしーとのちょうせい',
+  命令: 'めいれい',
+  '条例・規則': 'じょうれい・きそく',
+  法の一般原則: 'ほうのいっぱんげんそく',
+  行政指導: 'ぎょうせいしどう',
+  任意性原則: 'にんいせいげんそく',
+  申請に関連する行政指導: 'しんせいにかんれんするぎょうせいしどう',
+  行政指導の方式と書面交付請求: 'ぎょうせいしどうのほうしきとしょめんこうふせいきゅう',
+  行政指導指針と中止等の求め: 'ぎょうせいしどうししんとちゅうしとうのもとめ',
+};
@@ -0,0 +1,63 @@
+import { TERM_READINGS } from '@/features/glossary/lib/termReadings';
+
+export const KANA_ROWS = [
+  { key: 'a', label: 'あ行', initials: 'あいうえおゔ' },
+  { key: 'ka', label: 'か行', initials: 'かきくけこがぎぐげご' },
+  { key: 'sa', label: 'さ行', initials: 'さしすせそざじずぜぞ' },
+  { key: 'ta', label: 'た行', initials: 'たちつてとだぢづでど' },
+  { key: 'na', label: 'な行', initials: 'なにぬねの' },
+  { key: 'ha', label: 'は行', initials: 'はひふへほばびぶべぼぱぴぷぺぽ' },
+  { key: 'ma', label: 'ま行', initials: 'まみむめも' },
+  { key: 'ya', label: 'や行', initials: 'やゆよ' },
+  { key: 'ra', label: 'ら行', initials: 'らりるれろ' },
+  { key: 'wa', label: 'わ行', initials: 'わをん' },
+];
+
+export const OTHER_KANA_ROW = { key: 'other', label: 'その他' };
+
+// 括弧書き（読み・英訳）は別表記として扱わない。「公共の福祉（Public Welfare）」も「公共の福祉」と同じ用語
+const PARENTHETICAL_PATTERN = /\([^()]*\)/g;
+
+export function getDisplayTerm(term = '') {
+  return String(term).normalize('NFKC').replace(PARENTHETICAL_PATTERN, '').replace(/\s+/g, ' ').trim();
+}
+
+export function normalizeTermKey(term = '') {
+  return getDisplayTerm(term).replace(/\s+/g, '');
+}
+
+export function toHiragana(value = '') {
+  return String(value)
+    .normalize('NFKC')
+    .replace(/[ァ-ヶ]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+function isKana(value) {
+  return /^[\p{Script=Hiragana}\p{Script=Katakana}ー・]+$/u.test(value);
+}
+
+// HTML 側の読み → 読み辞書 → 用語自体がかなならそのまま、の順で決める
+export function resolveTermReading(term, reading) {
+  if (reading) {
+    return toHiragana(reading).replace(/\s+/g, '');
+  }
+
+  const key = normalizeTermKey(term);
+  if (TERM_READINGS[key]) {
+    return TERM_READINGS[key];
+  }
+
+  return isKana(key) ? toHiragana(key) : null;
+}
+
+export function getKanaRow(reading) {
+  const initial = toHiragana(reading || '').replace(/^[ー・]+/, '').charAt(0);
+  // 小書きのかな（ぁ など）は通常のかなとして扱う
+  const base = initial.replace(/[ぁぃぅぇぉっゃゅょゎ]/, (char) => String.fromCharCode(char.charCodeAt(0) + 1));
+  return (base && KANA_ROWS.find((row) => row.initials.includes(base))) || OTHER_KANA_ROW;
+}
+
+export function compareReadings(left, right) {
+  return (left.reading || '\uffff').localeCompare(right.reading || '\uffff', 'ja')
+    || left.term.localeCompare(right.term, 'ja');
+}
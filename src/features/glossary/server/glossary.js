@@ -0,0 +1,125 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import glossaryRepository, { GLOSSARY_OCCURRENCE_KINDS } from '@/server/repositories/glossaryRepository';
+import { KANA_ROWS, OTHER_KANA_ROW, compareReadings, getKanaRow } from '@/features/glossary/lib/terms';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+
+// 索引が未作成か、抽出方法の変更で古くなっていれば全単元から作り直す
+function ensureGlossaryIndex() {
+  if (glossaryRepository.isIndexCurrent()) {
+    return;
+  }
+
+  glossaryRepository.rebuild(
+    contentRepository.listUnits({}, { includeDraft: true }).units.map((unit) => ({
+      id: unit.id,
+      contentFormat: unit.contentFormat,
+      body: contentRepository.getUnitBody(unit.id),
+    }))
+  );
+}
+
+function getPublishedUnits() {
+  return new Map(contentRepository.listUnits().units.map((unit) => [unit.id, unit]));
+}
+
+// 閲覧できない単元の定義は要約を伏せ、リンク先だけ示す
+function toDefinitionLink(occurrence, unit, user) {
+  const locked = !canAccessUnit(user, unit);
+  return {
+    unitId: unit.id,
+    unitTitle: unit.title,
+    subjectId: unit.subjectId,
+    sectionId: occurrence.sectionId,
+    frequency: occurrence.frequency,
+    summary: locked ? null : occurrence.summary,
+    locked,
+  };
+}
+
+function toMentionLink(occurrence, unit) {
+  return {
+    unitId: unit.id,
+    unitTitle: unit.title,
+    subjectId: unit.subjectId,
+    sectionId: occurrence.sectionId,
+  };
+}
+
+function pickHeadline(definitions) {
+  return definitions.find((definition) => definition.reading) || definitions[0];
+}
+
+/**
+ * 公開中の単元で定義されている用語の一覧を五十音の行ごとに返す。
+ * 各用語には定義している単元と、`<mark class="kw">` で言及しているほかの単元へのリンクが付く。
+ */
+export function getGlossary(user) {
+  ensureGlossaryIndex();
+  const units = getPublishedUnits();
+  const byTerm = new Map();
+
+  glossaryRepository.listOccurrences()
+    .filter((occurrence) => units.has(occurrence.unitId))
+    .forEach((occurrence) => {
+      const entry = byTerm.get(occurrence.termKey) || { definitions: [], mentions: [] };
+      entry[occurrence.kind === GLOSSARY_OCCURRENCE_KINDS.DEFINITION ? 'definitions' : 'mentions'].push(occurrence);
+      byTerm.set(occurrence.termKey, entry);
+    });
+
+  const entries = [...byTerm.entries()]
+    .filter(([, entry]) => entry.definitions.length)
+    .map(([key, entry]) => {
+      const headline = pickHeadline(entry.definitions);
+      const definingUnitIds = new Set(entry.definitions.map((definition) => definition.unitId));
+      return {
+        key,
+        term: headline.term,
+        reading: headline.reading,
+        definitions: entry.definitions.map((definition) => toDefinitionLink(definition, units.get(definition.unitId), user)),
+        mentions: entry.mentions
+          .filter((mention) => !definingUnitIds.has(mention.unitId))
+          .map((mention) => toMentionLink(mention, units.get(mention.unitId))),
+      };
+    })
+    .sort(compareReadings);
+
+  const rows = [...KANA_ROWS, OTHER_KANA_ROW]
+    .map((row) => ({
+      key: row.key,
+      label: row.label,
+      entries: entries.filter((entry) => getKanaRow(entry.reading).key === row.key),
+    }))
+    .filter((row) => row.entries.length);
+
+  return {
+    total: entries.length,
+    rows,
+  };
+}
+
+/**
+ * 単元ページのホバーカード用。単元内で言及している用語のうち、どこかで定義されているものを返す。
+ * 定義はその単元自身のものを優先する。
+ */
+export function getUnitGlossary(user, unitId) {
+  ensureGlossaryIndex();
+  const units = getPublishedUnits();
+  const mentionedKeys = [...new Set(glossaryRepository.listOccurrences({ unitId }).map((occurrence) => occurrence.termKey))];
+  const definitionsByKey = new Map();
+
+  glossaryRepository.listDefinitions(mentionedKeys)
+    .filter((definition) => units.has(definition.unitId))
+    .forEach((definition) => {
+      const current = definitionsByKey.get(definition.termKey);
+      if (!current || (definition.unitId === String(unitId) && current.unitId !== String(unitId))) {
+        definitionsByKey.set(definition.termKey, definition);
+      }
+    });
+
+  return [...definitionsByKey.values()].map((definition) => ({
+    key: definition.termKey,
+    term: definition.term,
+    reading: definition.reading,
+    ...toDefinitionLink(definition, units.get(definition.unitId), user),
+  }));
+}
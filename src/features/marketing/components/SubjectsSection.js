@@ -1,6 +1,8 @@
 import Link from 'next/link';
 import { ArrowRight, BookOpen, Clock3, FileText, PlayCircle, Sparkles } from 'lucide-react';
-import { subjects, getTotalEstimatedHours, getTotalUnits } from '@/features/content/lib/subjects';
+import { getTotalEstimatedHours, getTotalUnits } from '@/features/content/lib/subjects';
+import { getSubjectIcon } from '@/features/content/lib/subjectIcons';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
 import { getDifficultyLabel } from '@/features/content/lib/contentMetadata';
 
 const categoryDefinitions = {
@@ -17,7 +19,7 @@ const categoryDefinitions = {
 };
 
 function SubjectCard({ subject }) {
-  const Icon = subject.icon;
+  const Icon = getSubjectIcon(subject.icon);
   const lectureUnits = subject.units?.filter((unit) => unit.type === 'lecture') || [];
   const practiceUnits = subject.units?.filter((unit) => unit.type === 'practice') || [];
   const previewUnits = subject.units?.slice(0, 4) || [];
@@ -104,6 +106,7 @@ function SubjectCard({ subject }) {
 }
 
 export default function SubjectsSection() {
+  const { subjects } = useSubjectCatalogue();
   const groupedCategories = Object.entries(categoryDefinitions)
     .map(([categoryId, meta]) => ({
       ...meta,
@@ -133,11 +136,11 @@ export default function SubjectsSection() {
           </div>
           <div className="rounded-3xl bg-white p-6 shadow-sm ring-1 ring-gray-100">
             <p className="text-sm text-gray-500">公開単元数</p>
-            <p className="mt-2 text-3xl font-bold text-gray-900">{getTotalUnits()}</p>
+            <p className="mt-2 text-3xl font-bold text-gray-900">{getTotalUnits(subjects)}</p>
           </div>
           <div className="rounded-3xl bg-white p-6 shadow-sm ring-1 ring-gray-100">
             <p className="text-sm text-gray-500">推定学習時間</p>
-            <p className="mt-2 text-3xl font-bold text-gray-900">{getTotalEstimatedHours()}h</p>
+            <p className="mt-2 text-3xl font-bold text-gray-900">{getTotalEstimatedHours(subjects)}h</p>
           </div>
         </div>
 
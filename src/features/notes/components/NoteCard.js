@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import {
+  MAX_NOTE_LENGTH,
+  NOTE_ANCHOR_STATUSES,
+  NOTE_COLORS,
+  NOTE_COLOR_CLASSES,
+  NOTE_COLOR_LABELS,
+} from '@/features/notes/lib/textQuote';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertTriangle, Loader2, Pencil, Trash2 } from 'lucide-react';
+
+/**
+ * メモ1件（引用・メモ本文・色）。本文と色の編集と削除は /api/user/notes/[id] へ送り、
+ * 結果を onUpdated(note) / onDeleted(id) で返す。onSelect を渡すと引用を押して本文のその位置へ移れる。
+ */
+export default function NoteCard({ note, onSelect, onUpdated, onDeleted }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(note.body);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const orphaned = note.status === NOTE_ANCHOR_STATUSES.ORPHANED;
+
+  const save = async (changes) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const res = await authFetch(`/api/user/notes/${encodeURIComponent(note.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        onUpdated(data.note);
+        setEditing(false);
+      } else {
+        setError(data.error || 'メモの更新に失敗しました');
+      }
+    } catch (saveError) {
+      setError('メモの更新に失敗しました');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm('このメモを削除しますか？')) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await authFetch(`/api/user/notes/${encodeURIComponent(note.id)}`, {
+        method: 'DELETE',
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        onDeleted(note.id);
+      } else {
+        setError(data.error || 'メモの削除に失敗しました');
+        setSaving(false);
+      }
+    } catch (removeError) {
+      setError('メモの削除に失敗しました');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className="rounded-xl border border-gray-100 p-4">
+      {orphaned && (
+        <p className="mb-2 flex items-center gap-1 text-xs text-amber-700">
+          <AlertTriangle className="h-3.5 w-3.5" />
+          単元の改訂で本文から見つからなくなりました
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={() => onSelect?.(note)}
+        disabled={!onSelect || orphaned}
+        className="block w-full text-left disabled:cursor-default"
+      >
+        <span className={`box-decoration-clone px-1 text-sm leading-relaxed text-gray-800 ${NOTE_COLOR_CLASSES[note.color]}`}>
+          {note.text}
+        </span>
+      </button>
+
+      {editing ? (
+        <div className="mt-3">
+          <textarea
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            maxLength={MAX_NOTE_LENGTH}
+            rows={3}
+            className="w-full rounded-lg border border-gray-200 p-2 text-sm focus:border-blue-500 focus:outline-none"
+            placeholder="メモを入力"
+          />
+          <div className="mt-2 flex justify-end gap-2">
+            <button type="button" onClick={() => { setDraft(note.body); setEditing(false); }} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+              キャンセル
+            </button>
+            <button
+              type="button"
+              onClick={() => save({ body: draft })}
+              disabled={saving}
+              className="inline-flex items-center gap-1 rounded-lg bg-blue-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+              保存
+            </button>
+          </div>
+        </div>
+      ) : (
+        note.body && <p className="mt-2 whitespace-pre-wrap text-sm text-gray-600">{note.body}</p>
+      )}
+
+      <div className="mt-3 flex items-center justify-between">
+        <div className="flex items-center gap-1">
+          {NOTE_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => color !== note.color && save({ color })}
+              disabled={saving}
+              aria-label={`${NOTE_COLOR_LABELS[color]}にする`}
+              className={`h-4 w-4 rounded-full ${NOTE_COLOR_CLASSES[color]} ${color === note.color ? 'ring-2 ring-gray-400 ring-offset-1' : ''}`}
+            />
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          {!editing && (
+            <button type="button" onClick={() => setEditing(true)} aria-label="メモを編集" className="rounded p-1 text-gray-400 hover:text-gray-600">
+              <Pencil className="h-4 w-4" />
+            </button>
+          )}
+          <button type="button" onClick={remove} disabled={saving} aria-label="メモを削除" className="rounded p-1 text-gray-400 hover:text-red-600">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </li>
+  );
+}
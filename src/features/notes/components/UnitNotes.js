@@ -0,0 +1,285 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import NoteCard from '@/features/notes/components/NoteCard';
+import {
+  DEFAULT_NOTE_COLOR,
+  MAX_NOTE_LENGTH,
+  NOTE_ANCHOR_STATUSES,
+  NOTE_COLORS,
+  NOTE_COLOR_CLASSES,
+  NOTE_COLOR_LABELS,
+} from '@/features/notes/lib/textQuote';
+import { clearNoteHighlights, describeRange, getSelectionRange, paintNoteHighlights } from '@/features/notes/lib/highlightRanges';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { Bookmark, Loader2, MessageSquarePlus, X } from 'lucide-react';
+
+const TOOLBAR_HEIGHT = 44;
+const TOOLBAR_WIDTH = 240;
+const SCROLL_OFFSET = 112;
+
+function clearSelection(root) {
+  window.getSelection()?.removeAllRanges();
+  const shadowRoot = root?.getRootNode();
+  if (shadowRoot && typeof shadowRoot.getSelection === 'function') {
+    shadowRoot.getSelection()?.removeAllRanges();
+  }
+}
+
+/**
+ * 単元のページのハイライトとメモ。本文で文章を選ぶと色とメモの入力を出し、保存したメモを本文に塗る。
+ * open のときはこの単元のメモの一覧を出す。getContentRoot は本文の要素を返す関数、
+ * renderKey は本文を描画し直したら変わる値（変わるたびに塗り直す）。onCountChange(件数) で一覧の件数を知らせる。
+ */
+export default function UnitNotes({ unitId, isAuthenticated, open, onClose, getContentRoot, renderKey, onCountChange }) {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [toolbar, setToolbar] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const rangesRef = useRef(new Map());
+  const toolbarRef = useRef(null);
+
+  useEffect(() => {
+    setNotes([]);
+    setToolbar(null);
+    if (!isAuthenticated || !unitId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    async function fetchNotes() {
+      setLoading(true);
+      try {
+        const res = await authFetch(`/api/user/notes?unitId=${encodeURIComponent(unitId)}`);
+        const data = await res.json();
+        if (!cancelled && res.ok && data.success) {
+          setNotes(data.notes);
+        }
+      } catch (fetchError) {
+        console.error('Failed to fetch notes:', fetchError);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }
+
+    fetchNotes();
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, unitId]);
+
+  useEffect(() => {
+    onCountChange?.(notes.length);
+  }, [notes.length, onCountChange]);
+
+  useEffect(() => {
+    const anchored = notes.filter((note) => note.status === NOTE_ANCHOR_STATUSES.ANCHORED);
+    rangesRef.current = paintNoteHighlights(getContentRoot(), anchored);
+  }, [getContentRoot, notes, renderKey]);
+
+  useEffect(() => clearNoteHighlights, []);
+
+  // 本文で文章を選んだら、その上に色とメモの入力を出す
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return undefined;
+    }
+
+    const handleSelectionEnd = (event) => {
+      if (toolbarRef.current?.contains(event.target)) {
+        return;
+      }
+
+      window.setTimeout(() => {
+        const root = getContentRoot();
+        const range = root && getSelectionRange(root);
+        const selection = range && describeRange(root, range);
+        if (!selection) {
+          setToolbar((current) => (current?.pinned ? current : null));
+          return;
+        }
+
+        const rect = range.getBoundingClientRect();
+        setToolbar({
+          selection,
+          top: rect.top > TOOLBAR_HEIGHT + 8 ? rect.top - TOOLBAR_HEIGHT - 8 : rect.bottom + 8,
+          left: Math.max(8, Math.min(rect.left, window.innerWidth - TOOLBAR_WIDTH - 8)),
+        });
+        setDraft(null);
+        setError('');
+      }, 0);
+    };
+    const hideToolbar = () => setToolbar((current) => (current && !current.pinned ? null : current));
+
+    document.addEventListener('mouseup', handleSelectionEnd);
+    document.addEventListener('keyup', handleSelectionEnd);
+    window.addEventListener('scroll', hideToolbar, { passive: true });
+    return () => {
+      document.removeEventListener('mouseup', handleSelectionEnd);
+      document.removeEventListener('keyup', handleSelectionEnd);
+      window.removeEventListener('scroll', hideToolbar);
+    };
+  }, [getContentRoot, isAuthenticated]);
+
+  const createNote = async ({ color, body = '' }) => {
+    if (!toolbar) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const res = await authFetch('/api/user/notes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ unitId, ...toolbar.selection, color, body }),
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setNotes((previous) => [...previous, data.note]);
+        setToolbar(null);
+        setDraft(null);
+        clearSelection(getContentRoot());
+      } else {
+        setError(data.error || 'メモの追加に失敗しました');
+      }
+    } catch (createError) {
+      setError('メモの追加に失敗しました');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const scrollToNote = useCallback((note) => {
+    const range = rangesRef.current.get(note.id);
+    if (!range) {
+      return;
+    }
+
+    const top = range.getBoundingClientRect().top + window.scrollY - SCROLL_OFFSET;
+    window.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+  }, []);
+
+  const orphanedCount = notes.filter((note) => note.status === NOTE_ANCHOR_STATUSES.ORPHANED).length;
+
+  return (
+    <>
+      {toolbar && (
+        <div
+          ref={toolbarRef}
+          onMouseDown={(event) => !draft && event.preventDefault()}
+          className="fixed z-50 rounded-xl border border-gray-200 bg-white p-2 shadow-lg"
+          style={{ top: toolbar.top, left: toolbar.left, width: draft ? TOOLBAR_WIDTH + 80 : undefined }}
+        >
+          {draft ? (
+            <div>
+              <textarea
+                autoFocus
+                value={draft.body}
+                onChange={(event) => setDraft({ ...draft, body: event.target.value })}
+                maxLength={MAX_NOTE_LENGTH}
+                rows={3}
+                className="w-full rounded-lg border border-gray-200 p-2 text-sm focus:border-blue-500 focus:outline-none"
+                placeholder="メモを入力"
+              />
+              <div className="mt-2 flex items-center justify-end gap-2">
+                <button type="button" onClick={() => { setToolbar(null); setDraft(null); }} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+                  キャンセル
+                </button>
+                <button
+                  type="button"
+                  onClick={() => createNote(draft)}
+                  disabled={saving}
+                  className="inline-flex items-center gap-1 rounded-lg bg-blue-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                  保存
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">
+              {NOTE_COLORS.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  onClick={() => createNote({ color })}
+                  disabled={saving}
+                  aria-label={`${NOTE_COLOR_LABELS[color]}でハイライト`}
+                  className={`h-6 w-6 rounded-full border border-gray-200 ${NOTE_COLOR_CLASSES[color]}`}
+                />
+              ))}
+              <button
+                type="button"
+                onClick={() => {
+                  setDraft({ color: DEFAULT_NOTE_COLOR, body: '' });
+                  setToolbar({ ...toolbar, pinned: true });
+                }}
+                className="ml-1 inline-flex items-center gap-1 rounded-lg px-2 py-1 text-sm text-gray-700 hover:bg-gray-100"
+              >
+                <MessageSquarePlus className="h-4 w-4" />
+                メモを追加
+              </button>
+            </div>
+          )}
+          {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+
+      {open && (
+        <div className="mb-6 rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+          <div className="mb-4 flex items-center justify-between">
+            <h2 className="flex items-center gap-2 font-semibold text-gray-800">
+              <Bookmark className="h-5 w-5 text-blue-600" />
+              この単元のメモ
+              {notes.length > 0 && <span className="text-sm font-normal text-gray-500">{notes.length}件</span>}
+            </h2>
+            <div className="flex items-center gap-3">
+              {isAuthenticated && (
+                <Link href="/mypage/notes" className="text-sm text-blue-600 hover:text-blue-700">
+                  すべてのメモ
+                </Link>
+              )}
+              <button type="button" onClick={onClose} aria-label="閉じる" className="rounded-lg p-1 text-gray-500 hover:bg-gray-100">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          {!isAuthenticated && (
+            <p className="text-sm text-gray-600">ログインすると、本文にハイライトとメモを残せます。</p>
+          )}
+          {isAuthenticated && loading && (
+            <div className="flex h-16 items-center justify-center">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+          {isAuthenticated && !loading && notes.length === 0 && (
+            <p className="text-sm text-gray-600">本文の文章を選択すると、ハイライトやメモを付けられます。</p>
+          )}
+          {orphanedCount > 0 && (
+            <p className="mb-3 rounded-lg bg-amber-50 p-3 text-sm text-amber-800">
+              単元の改訂により、{orphanedCount}件のメモの位置が本文から見つからなくなりました。
+            </p>
+          )}
+          {notes.length > 0 && (
+            <ul className="space-y-3">
+              {notes.map((note) => (
+                <NoteCard
+                  key={note.id}
+                  note={note}
+                  onSelect={scrollToNote}
+                  onUpdated={(updated) => setNotes((previous) => previous.map((candidate) => (candidate.id === updated.id ? updated : candidate)))}
+                  onDeleted={(id) => setNotes((previous) => previous.filter((candidate) => candidate.id !== id))}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,206 @@
+import { NOTE_COLORS, createTextQuote, findTextQuote, normalizeQuoteText, toDisplayQuote } from '@/features/notes/lib/textQuote';
+
+// ブラウザで本文の DOM と引用を行き来する処理。本文の DOM は書き換えず、
+// CSS Custom Highlight API（CSS.highlights）で色を付ける（React が描画した Markdown の本文もそのまま使える）
+
+const SKIP_TEXT_SELECTOR = 'style, script, noscript';
+const SECTION_HEADING_PATTERN = /^H[23]$/;
+
+export function getHighlightName(color) {
+  return `user-note-${color}`;
+}
+
+// 本文に付けるハイライトの色。HTML 単元のシャドウ DOM の中にも同じものを入れる
+export const NOTE_HIGHLIGHT_CSS = `
+  ::highlight(user-note-yellow) { background-color: #fef08a; }
+  ::highlight(user-note-green) { background-color: #bbf7d0; }
+  ::highlight(user-note-blue) { background-color: #bfdbfe; }
+  ::highlight(user-note-pink) { background-color: #fbcfe8; }
+`;
+
+export function supportsNoteHighlights() {
+  return typeof window !== 'undefined' && typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof Highlight === 'function';
+}
+
+/**
+ * container の文字を空白を除いてつないだ text と、その位置から DOM の位置へ戻すための表、
+ * 見出し（h2・h3 の id と text の中の開始位置）を作る。
+ */
+export function buildTextIndex(container) {
+  const document = container.ownerDocument;
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  const headings = [];
+  let text = '';
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (SECTION_HEADING_PATTERN.test(node.tagName) && node.id) {
+        headings.push({ id: node.id, start: text.length });
+      }
+      continue;
+    }
+    if (node.parentElement?.closest(SKIP_TEXT_SELECTOR)) {
+      continue;
+    }
+
+    const offsets = [];
+    for (let index = 0; index < node.data.length; index += 1) {
+      if (!/\s/.test(node.data[index])) {
+        offsets.push(index);
+      }
+    }
+    if (offsets.length) {
+      nodes.push({ node, start: text.length, offsets });
+      text += normalizeQuoteText(node.data);
+    }
+  }
+
+  return { text, nodes, headings };
+}
+
+function findSectionBounds(index, sectionId) {
+  const headingIndex = index.headings.findIndex((heading) => heading.id === sectionId);
+  if (sectionId && headingIndex === -1) {
+    return null;
+  }
+
+  return {
+    start: sectionId ? index.headings[headingIndex].start : 0,
+    end: index.headings[headingIndex + 1]?.start ?? index.text.length,
+  };
+}
+
+// text の中の位置 → DOM の位置（end は直前の文字の後ろ）
+function toDomPosition(index, offset, { isEnd = false } = {}) {
+  const target = isEnd ? offset - 1 : offset;
+  const entry = index.nodes.find((candidate) => target >= candidate.start && target < candidate.start + candidate.offsets.length);
+  if (!entry) {
+    return null;
+  }
+
+  const rawOffset = entry.offsets[target - entry.start];
+  return { node: entry.node, offset: isEnd ? rawOffset + 1 : rawOffset };
+}
+
+// DOM の位置 → text の中の位置
+function toTextOffset(index, node, offset) {
+  const entry = index.nodes.find((candidate) => candidate.node === node);
+  if (entry) {
+    return entry.start + entry.offsets.filter((rawOffset) => rawOffset < offset).length;
+  }
+
+  // 要素の境目が選ばれたときは、その位置より前にある文字の数を数える
+  const range = node.ownerDocument.createRange();
+  const following = index.nodes.find((candidate) => {
+    range.setStart(node, offset);
+    range.setEnd(node, offset);
+    return range.comparePoint(candidate.node, 0) >= 0;
+  });
+  return following ? following.start : index.text.length;
+}
+
+/**
+ * 今の選択範囲（container の中に収まっているときだけ）。HTML 単元はシャドウ DOM の中にあるので、
+ * ShadowRoot.getSelection か Selection.getComposedRanges で中の位置を取り出す。
+ */
+export function getSelectionRange(container) {
+  const root = container.getRootNode();
+  const selection = typeof root.getSelection === 'function' ? root.getSelection() : window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) {
+    return null;
+  }
+
+  let range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) && typeof selection.getComposedRanges === 'function' && root !== container.ownerDocument) {
+    const [composed] = selection.getComposedRanges({ shadowRoots: [root] });
+    if (!composed) {
+      return null;
+    }
+    range = container.ownerDocument.createRange();
+    range.setStart(composed.startContainer, composed.startOffset);
+    range.setEnd(composed.endContainer, composed.endOffset);
+  }
+
+  return container.contains(range.startContainer) && container.contains(range.endContainer) ? range : null;
+}
+
+/**
+ * 選択範囲を保存する形（見出しの id・引用・画面に出す文章）にする。文字を含まなければ null。
+ */
+export function describeRange(container, range) {
+  const index = buildTextIndex(container);
+  const start = toTextOffset(index, range.startContainer, range.startOffset);
+  const end = toTextOffset(index, range.endContainer, range.endOffset);
+  if (end <= start) {
+    return null;
+  }
+
+  const heading = index.headings.filter((candidate) => candidate.start <= start).at(-1);
+  return {
+    sectionId: heading?.id || null,
+    quote: createTextQuote(index.text, start, end),
+    text: toDisplayQuote(range.toString()),
+  };
+}
+
+/**
+ * 保存したメモの本文の中の範囲。元の見出しの中を先に探し、なければ本文全体から探す。見つからなければ null。
+ */
+export function locateNoteRange(container, note, index = buildTextIndex(container)) {
+  const bounds = findSectionBounds(index, note.sectionId);
+  let match = null;
+  if (bounds) {
+    const found = findTextQuote(index.text.slice(bounds.start, bounds.end), note.quote);
+    match = found && { start: found.start + bounds.start, end: found.end + bounds.start };
+  }
+  match = match || findTextQuote(index.text, note.quote);
+  if (!match) {
+    return null;
+  }
+
+  const start = toDomPosition(index, match.start);
+  const end = toDomPosition(index, match.end, { isEnd: true });
+  if (!start || !end) {
+    return null;
+  }
+
+  const range = container.ownerDocument.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+}
+
+/**
+ * メモを本文に塗る。返り値は見つかったメモの id → Range（一覧から本文へ移るのに使う）。
+ */
+export function paintNoteHighlights(container, notes) {
+  const ranges = new Map();
+  if (!container) {
+    return ranges;
+  }
+
+  const index = buildTextIndex(container);
+  notes.forEach((note) => {
+    const range = locateNoteRange(container, note, index);
+    if (range) {
+      ranges.set(note.id, range);
+    }
+  });
+
+  if (supportsNoteHighlights()) {
+    NOTE_COLORS.forEach((color) => {
+      const colorRanges = notes.filter((note) => note.color === color && ranges.has(note.id)).map((note) => ranges.get(note.id));
+      CSS.highlights.set(getHighlightName(color), new Highlight(...colorRanges));
+    });
+  }
+
+  return ranges;
+}
+
+export function clearNoteHighlights() {
+  if (supportsNoteHighlights()) {
+    NOTE_COLORS.forEach((color) => CSS.highlights.delete(getHighlightName(color)));
+  }
+}
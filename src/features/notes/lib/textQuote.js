@@ -0,0 +1,127 @@
+// メモ・ハイライトの位置は「見出しの id」と「選んだ文章とその前後の文字（テキスト引用）」で持つ。
+// 本文の空白や改行は描画の仕方で変わるので、照合はすべての空白を除いた文字で行う
+
+// 前後の文字として保存する長さ
+export const QUOTE_CONTEXT_LENGTH = 32;
+export const MAX_QUOTE_LENGTH = 500;
+export const MAX_NOTE_LENGTH = 2000;
+
+export const NOTE_COLORS = ['yellow', 'green', 'blue', 'pink'];
+export const DEFAULT_NOTE_COLOR = 'yellow';
+
+export const NOTE_COLOR_LABELS = {
+  yellow: '黄',
+  green: '緑',
+  blue: '青',
+  pink: 'ピンク',
+};
+
+// 一覧や色の選択に使う Tailwind のクラス（本文のハイライトは ::highlight(user-note-{色}) で塗る）
+export const NOTE_COLOR_CLASSES = {
+  yellow: 'bg-yellow-200',
+  green: 'bg-green-200',
+  blue: 'bg-blue-200',
+  pink: 'bg-pink-200',
+};
+
+export const NOTE_ANCHOR_STATUSES = {
+  ANCHORED: 'anchored',
+  ORPHANED: 'orphaned',
+};
+
+export function normalizeQuoteText(text = '') {
+  return String(text).replace(/\s+/g, '');
+}
+
+// 画面に出す引用文（空白をまとめて前後を落とす）
+export function toDisplayQuote(text = '') {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function commonSuffixLength(left, right) {
+  let length = 0;
+  while (length < left.length && length < right.length && left[left.length - 1 - length] === right[right.length - 1 - length]) {
+    length += 1;
+  }
+  return length;
+}
+
+function commonPrefixLength(left, right) {
+  let length = 0;
+  while (length < left.length && length < right.length && left[length] === right[length]) {
+    length += 1;
+  }
+  return length;
+}
+
+/**
+ * 空白を除いた本文 text の中で、引用 { exact, prefix, suffix } に最もよく合う位置。
+ * 同じ文章が複数あるときは、前後の文字が長く一致するものを選ぶ。見つからなければ null。
+ * 返す start / end は text の中の位置、score は前後の文字が一致した長さ。
+ */
+export function findTextQuote(text, { exact, prefix = '', suffix = '' }) {
+  const needle = normalizeQuoteText(exact);
+  if (!needle) {
+    return null;
+  }
+
+  const normalizedPrefix = normalizeQuoteText(prefix);
+  const normalizedSuffix = normalizeQuoteText(suffix);
+  let best = null;
+  for (let start = text.indexOf(needle); start !== -1; start = text.indexOf(needle, start + 1)) {
+    const end = start + needle.length;
+    const score = commonSuffixLength(text.slice(Math.max(0, start - normalizedPrefix.length), start), normalizedPrefix)
+      + commonPrefixLength(text.slice(end, end + normalizedSuffix.length), normalizedSuffix);
+    if (!best || score > best.score) {
+      best = { start, end, score };
+    }
+  }
+
+  return best;
+}
+
+// 空白を除いた本文 text の start〜end を引用にする
+export function createTextQuote(text, start, end) {
+  return {
+    exact: text.slice(start, end),
+    prefix: text.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + QUOTE_CONTEXT_LENGTH),
+  };
+}
+
+/**
+ * 本文を改訂したあとの引用の位置。sections は extractSectionTexts / extractMarkdownSectionTexts の結果。
+ * 元の見出しの中で見つかればそのまま、ほかの見出しの中で見つかればその見出しへ移し、
+ * どこにもなければ orphaned（位置がわからなくなった）にする。
+ */
+export function anchorTextQuote(sections, { sectionId, quote }) {
+  const candidates = sections
+    .map((section) => ({ sectionId: section.sectionId, match: findTextQuote(normalizeQuoteText(section.text), quote) }))
+    .filter((candidate) => candidate.match);
+
+  const sameSection = candidates.find((candidate) => candidate.sectionId === sectionId);
+  const best = sameSection || candidates.sort((left, right) => right.match.score - left.match.score)[0];
+
+  return best
+    ? { status: NOTE_ANCHOR_STATUSES.ANCHORED, sectionId: best.sectionId }
+    : { status: NOTE_ANCHOR_STATUSES.ORPHANED, sectionId };
+}
+
+// 保存する前の誤り（なければ null）
+export function getNoteInputError({ quote, body, color }, { requireQuote = true } = {}) {
+  if (requireQuote) {
+    if (!quote || typeof quote.exact !== 'string' || !normalizeQuoteText(quote.exact)) {
+      return 'ハイライトする文章を選択してください';
+    }
+    if (quote.exact.length > MAX_QUOTE_LENGTH) {
+      return `ハイライトできるのは${MAX_QUOTE_LENGTH}文字までです`;
+    }
+  }
+  if (body !== undefined && (typeof body !== 'string' || body.length > MAX_NOTE_LENGTH)) {
+    return `メモは${MAX_NOTE_LENGTH}文字以内で入力してください`;
+  }
+  if (color !== undefined && !NOTE_COLORS.includes(color)) {
+    return '不正な色です';
+  }
+  return null;
+}
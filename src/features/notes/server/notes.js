@@ -0,0 +1,34 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import noteRepository, { extractNoteSections } from '@/server/repositories/noteRepository';
+import subjectRepository from '@/server/repositories/subjectRepository';
+import { NOTE_ANCHOR_STATUSES } from '@/features/notes/lib/textQuote';
+
+// メモを付けた単元の表示用の情報。削除や非公開で見られなくなった単元は null
+function collectUnits(notes) {
+  const ids = new Set(notes.map((note) => note.unitId));
+  return Object.fromEntries([...ids].map((id) => {
+    const unit = contentRepository.getUnit(id);
+    return [id, unit ? { id, title: unit.title, subjectId: unit.subjectId, subjectName: subjectRepository.getSubject(unit.subjectId)?.name || null } : null];
+  }));
+}
+
+/**
+ * 学習者のメモ（unitId を渡せばその単元のものだけ）と、単元の情報、位置がわからなくなったメモの数。
+ */
+export function listNotes(userId, { unitId } = {}) {
+  const notes = noteRepository.list(userId, { unitId });
+  return {
+    notes,
+    units: collectUnits(notes),
+    orphanedCount: notes.filter((note) => note.status === NOTE_ANCHOR_STATUSES.ORPHANED).length,
+  };
+}
+
+// 学習者が見ている本文（unit は contentRepository.getUnit の結果）に選んだ文章があるか確かめてから保存する（なければ ValidationError）
+export function createNote(userId, unit, input) {
+  const sections = extractNoteSections({
+    contentFormat: unit.contentFormat,
+    body: unit.contentFormat === 'html' ? unit.content?.html : unit.content?.markdown,
+  });
+  return noteRepository.create(userId, unit.id, input, sections);
+}
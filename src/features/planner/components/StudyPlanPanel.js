@@ -0,0 +1,277 @@
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import {
+  MAX_WEEKLY_HOURS,
+  MIN_WEEKLY_HOURS,
+  PLAN_ITEM_KINDS,
+  PLAN_ITEM_KIND_LABELS,
+  countDaysBetween,
+  describePlanItem,
+  formatPlanMinutes,
+  getDefaultExamDate,
+} from '@/features/planner/lib/studyPlan';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertCircle, CalendarDays, CheckCircle, Download, Loader2, Save, Trash2 } from 'lucide-react';
+
+const PREVIEW_DAYS = 7;
+const DEFAULT_WEEKLY_HOURS = 10;
+
+/**
+ * 設定画面の「学習計画」。試験日と1週間に使える時間から /api/user/study-plan で計画を作り、
+ * この先1週間の予定と .ics の書き出しを表示する。onMessage(type, text) で結果を知らせる。
+ */
+export default function StudyPlanPanel({ onMessage }) {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [studyPlan, setStudyPlan] = useState(null);
+  const [form, setForm] = useState({ examDate: getDefaultExamDate(), weeklyHours: DEFAULT_WEEKLY_HOURS });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const applyStudyPlan = useCallback((plan) => {
+    setStudyPlan(plan);
+    if (plan) {
+      setForm(plan.settings);
+    }
+  }, []);
+
+  useEffect(() => {
+    async function fetchStudyPlan() {
+      try {
+        const res = await authFetch('/api/user/study-plan');
+        const data = await res.json();
+        if (res.ok && data.success) {
+          applyStudyPlan(data.studyPlan);
+        }
+      } catch (error) {
+        console.error('Failed to fetch study plan:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchStudyPlan();
+  }, [applyStudyPlan]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+
+    try {
+      const res = await authFetch('/api/user/study-plan', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ examDate: form.examDate, weeklyHours: Number(form.weeklyHours) }),
+      });
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        applyStudyPlan(data.studyPlan);
+        onMessage('success', '学習計画を作成しました');
+      } else {
+        onMessage('error', data.error || '学習計画の作成に失敗しました');
+      }
+    } catch (error) {
+      onMessage('error', '学習計画の作成に失敗しました');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('学習計画を削除しますか？')) {
+      return;
+    }
+
+    try {
+      const res = await authFetch('/api/user/study-plan', { method: 'DELETE' });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setStudyPlan(null);
+        onMessage('success', '学習計画を削除しました');
+      } else {
+        onMessage('error', data.error || '学習計画の削除に失敗しました');
+      }
+    } catch (error) {
+      onMessage('error', '学習計画の削除に失敗しました');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const res = await authFetch('/api/user/study-plan/calendar');
+      if (!res.ok) {
+        const data = await res.json();
+        onMessage('error', data.error || '書き出しに失敗しました');
+        return;
+      }
+
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'study-plan.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      onMessage('error', '書き出しに失敗しました');
+    }
+  };
+
+  if (loading) {
+    return <div className="py-8 text-center text-gray-500">読み込み中...</div>;
+  }
+
+  const summary = studyPlan?.summary;
+  const today = studyPlan?.days[0]?.date;
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label className="mb-2 block text-sm font-medium text-gray-700">試験日</label>
+            <input
+              type="date"
+              value={form.examDate}
+              onChange={(event) => setForm({ ...form, examDate: event.target.value })}
+              className="block w-full rounded-xl border border-gray-300 px-3 py-3 focus:border-transparent focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="mb-2 block text-sm font-medium text-gray-700">1週間に使える時間</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min={MIN_WEEKLY_HOURS}
+                max={MAX_WEEKLY_HOURS}
+                step="0.5"
+                value={form.weeklyHours}
+                onChange={(event) => setForm({ ...form, weeklyHours: event.target.value })}
+                className="block w-full rounded-xl border border-gray-300 px-3 py-3 focus:border-transparent focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-sm text-gray-500">時間</span>
+            </div>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">
+          公開中の単元を、科目の目安の学習時間に応じて試験日までの毎日に割り振ります。毎日の2割は復習、試験前の2週間は総復習にあてます。
+          予定の日を過ぎても完了していない単元があると、計画を自動で作り直します。
+        </p>
+        <div className="flex flex-wrap justify-end gap-3">
+          {studyPlan && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="inline-flex items-center gap-2 rounded-xl border border-gray-200 px-4 py-3 text-gray-600 transition-colors hover:bg-gray-50"
+            >
+              <Trash2 className="h-5 w-5" />
+              計画を削除
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center gap-2 rounded-xl bg-blue-600 px-6 py-3 text-white transition-colors hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="h-5 w-5 animate-spin" /> : <Save className="h-5 w-5" />}
+            {studyPlan ? '計画を作り直す' : '計画を作成する'}
+          </button>
+        </div>
+      </form>
+
+      {studyPlan && (
+        <div className="space-y-4 border-t border-gray-100 pt-6">
+          {studyPlan.expired ? (
+            <p className="rounded-xl bg-gray-50 p-4 text-sm text-gray-600">試験日を過ぎました。次の試験日を入力して計画を作り直してください。</p>
+          ) : (
+            <>
+              {studyPlan.replanned && (
+                <div className="flex items-start gap-3 rounded-xl border border-orange-200 bg-orange-50 p-4 text-sm text-orange-800">
+                  <AlertCircle className="mt-0.5 h-5 w-5 flex-shrink-0" />
+                  <p>予定より遅れている単元が{studyPlan.overdueUnits.length}件あったため、今日からの計画に作り直しました。</p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-3 text-center sm:grid-cols-4">
+                <div className="rounded-xl bg-gray-50 p-3">
+                  <p className="text-xs text-gray-500">試験まで</p>
+                  <p className="text-xl font-bold text-gray-900">{countDaysBetween(today, studyPlan.settings.examDate)}日</p>
+                </div>
+                <div className="rounded-xl bg-gray-50 p-3">
+                  <p className="text-xs text-gray-500">1日あたり</p>
+                  <p className="text-xl font-bold text-gray-900">{formatPlanMinutes(summary.dailyMinutes)}</p>
+                </div>
+                <div className="rounded-xl bg-gray-50 p-3">
+                  <p className="text-xs text-gray-500">残りの単元</p>
+                  <p className="text-xl font-bold text-gray-900">{summary.plannedUnits}</p>
+                </div>
+                <div className="rounded-xl bg-gray-50 p-3">
+                  <p className="text-xs text-gray-500">単元を終える日</p>
+                  <p className="text-xl font-bold text-gray-900">
+                    {summary.finishDate ? new Date(summary.finishDate).toLocaleDateString('ja-JP', { month: 'short', day: 'numeric' }) : '-'}
+                  </p>
+                </div>
+              </div>
+
+              {summary.compressed ? (
+                <div className="flex items-start gap-3 rounded-xl border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+                  <AlertCircle className="mt-0.5 h-5 w-5 flex-shrink-0" />
+                  <p>
+                    目安どおりに学習するには{formatPlanMinutes(summary.requiredMinutes)}必要ですが、試験日までに使える時間は
+                    {formatPlanMinutes(summary.capacityMinutes)}です。単元ごとの時間を縮めて計画しました。
+                    {summary.unscheduledUnitIds.length > 0 && `${summary.unscheduledUnitIds.length}単元は試験日までに入りきりません。`}
+                  </p>
+                </div>
+              ) : (
+                <div className="flex items-start gap-3 rounded-xl border border-green-200 bg-green-50 p-4 text-sm text-green-700">
+                  <CheckCircle className="mt-0.5 h-5 w-5 flex-shrink-0" />
+                  <p>
+                    試験日までにすべての単元を学習できます。
+                    {summary.finalReviewFrom && `${new Date(summary.finalReviewFrom).toLocaleDateString('ja-JP')}からは総復習にあてます。`}
+                  </p>
+                </div>
+              )}
+
+              <div>
+                <div className="mb-3 flex items-center justify-between">
+                  <h3 className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <CalendarDays className="h-4 w-4 text-blue-600" />
+                    この先1週間の予定
+                  </h3>
+                  <button type="button" onClick={handleExport} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+                    <Download className="h-4 w-4" />
+                    カレンダーに書き出す（.ics）
+                  </button>
+                </div>
+                <div className="space-y-3">
+                  {studyPlan.days.slice(0, PREVIEW_DAYS).map((day) => (
+                    <div key={day.date} className="rounded-xl border border-gray-100 p-3">
+                      <p className="mb-2 text-sm font-medium text-gray-900">
+                        {new Date(day.date).toLocaleDateString('ja-JP', { month: 'short', day: 'numeric', weekday: 'short' })}
+                      </p>
+                      <ul className="space-y-1 text-sm">
+                        {day.items.map((item, index) => (
+                          <li key={index} className="flex items-center justify-between gap-3">
+                            <span className={`min-w-0 truncate ${item.completed ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                              <span className="mr-2 text-xs text-gray-500">{PLAN_ITEM_KIND_LABELS[item.kind]}</span>
+                              {item.kind === PLAN_ITEM_KINDS.STUDY && studyPlan.units[item.unitId] ? (
+                                <Link href={`/subjects/${studyPlan.units[item.unitId].subjectId}/${item.unitId}`} className="hover:text-blue-600">
+                                  {describePlanItem(item, studyPlan.units, getSubjectById)}
+                                </Link>
+                              ) : describePlanItem(item, studyPlan.units, getSubjectById)}
+                            </span>
+                            <span className="flex-shrink-0 text-xs text-gray-500">{formatPlanMinutes(item.minutes)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import {
+  PLAN_ITEM_KINDS,
+  PLAN_ITEM_KIND_LABELS,
+  countDaysBetween,
+  describePlanItem,
+  formatPlanMinutes,
+} from '@/features/planner/lib/studyPlan';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { CalendarDays, CheckCircle, ChevronRight } from 'lucide-react';
+
+/**
+ * マイページの「今日の学習計画」。計画がなければ設定画面の学習計画へ案内する。
+ */
+export default function TodayPlanCard() {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [studyPlan, setStudyPlan] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchStudyPlan() {
+      try {
+        const res = await authFetch('/api/user/study-plan');
+        const data = await res.json();
+        if (res.ok && data.success) {
+          setStudyPlan(data.studyPlan);
+        }
+      } catch (error) {
+        console.error('Failed to fetch study plan:', error);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchStudyPlan();
+  }, []);
+
+  const today = studyPlan?.days?.[0];
+
+  return (
+    <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900">
+          <CalendarDays className="h-5 w-5 text-blue-600" />
+          今日の学習計画
+        </h2>
+        <Link href="/mypage/settings?tab=study-plan" className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+          {studyPlan ? '計画を見る' : '計画を作る'}
+          <ChevronRight className="h-4 w-4" />
+        </Link>
+      </div>
+
+      {loading ? (
+        <div className="py-4 text-center text-sm text-gray-500">読み込み中...</div>
+      ) : !studyPlan || studyPlan.expired || !today ? (
+        <p className="text-sm text-gray-500">試験日と1週間に使える時間を入力すると、試験日から逆算した毎日の予定を作ります。</p>
+      ) : (
+        <>
+          {studyPlan.replanned && (
+            <p className="mb-3 rounded-xl bg-orange-50 p-3 text-xs text-orange-700">予定より遅れていたため、計画を作り直しました。</p>
+          )}
+          <ul className="mb-3 space-y-2 text-sm">
+            {today.items.map((item, index) => (
+              <li key={index} className="flex items-center justify-between gap-3 rounded-xl bg-gray-50 p-3">
+                <span className={`min-w-0 truncate ${item.completed ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                  {item.completed && <CheckCircle className="mr-1 inline h-4 w-4 text-green-500" />}
+                  <span className="mr-2 text-xs text-gray-500">{PLAN_ITEM_KIND_LABELS[item.kind]}</span>
+                  {item.kind === PLAN_ITEM_KINDS.STUDY && studyPlan.units[item.unitId] ? (
+                    <Link href={`/subjects/${studyPlan.units[item.unitId].subjectId}/${item.unitId}`} className="hover:text-blue-600">
+                      {describePlanItem(item, studyPlan.units, getSubjectById)}
+                    </Link>
+                  ) : describePlanItem(item, studyPlan.units, getSubjectById)}
+                </span>
+                <span className="flex-shrink-0 text-xs text-gray-500">{formatPlanMinutes(item.minutes)}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500">試験まであと{countDaysBetween(today.date, studyPlan.settings.examDate)}日</p>
+        </>
+      )}
+    </div>
+  );
+}
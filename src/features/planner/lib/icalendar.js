@@ -0,0 +1,120 @@
+import { PLAN_ITEM_KINDS, PLAN_ITEM_KIND_LABELS } from '@/features/planner/lib/studyPlan';
+
+// iCalendar（RFC 5545）の行は CRLF 区切りで、75オクテットを超える行は折り返す
+const LINE_BREAK = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 文字の途中で切らないよう、1文字ずつ UTF-8 のバイト数を数えて折り返す
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join(`${LINE_BREAK} `);
+}
+
+function toDateValue(date) {
+  return date.replace(/-/g, '');
+}
+
+function toTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function nextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function buildAllDayEvent({ uid, date, summary, description, url, stamp }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toDateValue(date)}`,
+    `DTEND;VALUE=DATE:${toDateValue(nextDate(date))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    url ? `URL:${url}` : null,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+function describeItem(item, { getUnitTitle, getSubjectName }) {
+  const label = PLAN_ITEM_KIND_LABELS[item.kind];
+  if (item.kind === PLAN_ITEM_KINDS.STUDY) {
+    return `${label}: ${getUnitTitle(item.unitId)}（${item.minutes}分）`;
+  }
+  if (item.kind === PLAN_ITEM_KINDS.REVIEW) {
+    const targets = item.unitIds.length ? item.unitIds.map(getUnitTitle).join('、') : '暗記カード';
+    return `${label}: ${targets}（${item.minutes}分）`;
+  }
+  return `${label}: ${getSubjectName(item.subjectId)}（${item.minutes}分）`;
+}
+
+/**
+ * 学習計画を iCalendar 形式の文字列にする。学習する日ごとに終日の予定を1件、試験日にも1件入れる。
+ * UID は `{日付}-{userId}@{host}` なので、書き出し直したファイルを読み込むと同じ日の予定が置き換わる。
+ */
+export function buildStudyPlanCalendar(plan, { userId, host, siteUrl, getUnitTitle, getSubjectName, now = new Date() }) {
+  const stamp = toTimestamp(now);
+  const events = plan.days
+    .filter((day) => day.items.length)
+    .flatMap((day) => {
+      const minutes = day.items.reduce((sum, item) => sum + item.minutes, 0);
+      const studyCount = day.items.filter((item) => item.kind === PLAN_ITEM_KINDS.STUDY).length;
+      const summary = studyCount
+        ? `行政書士 学習 ${studyCount}単元（${minutes}分）`
+        : `行政書士 ${PLAN_ITEM_KIND_LABELS[day.items[0].kind]}（${minutes}分）`;
+
+      return buildAllDayEvent({
+        uid: `${toDateValue(day.date)}-${userId}@${host}`,
+        date: day.date,
+        summary,
+        description: day.items.map((item) => describeItem(item, { getUnitTitle, getSubjectName })).join('\n'),
+        url: siteUrl ? `${siteUrl}/mypage` : null,
+        stamp,
+      });
+    });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${host}//Study Plan//JA`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText('行政書士試験 学習計画')}`,
+    ...events,
+    ...buildAllDayEvent({
+      uid: `exam-${toDateValue(plan.examDate)}-${userId}@${host}`,
+      date: plan.examDate,
+      summary: '行政書士試験',
+      stamp,
+    }),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join(LINE_BREAK)}${LINE_BREAK}`;
+}
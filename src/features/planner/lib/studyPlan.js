@@ -0,0 +1,298 @@
+import { addStudyDays } from '@/features/flashcards/lib/scheduler';
+import { getCurrentExamYear } from '@/features/statutes/lib/amendments';
+import { REVIEW_SCORE_THRESHOLD, buildPrerequisiteGraph } from '@/features/content/lib/prerequisites';
+import { getSubjectById } from '@/features/content/lib/subjects';
+
+export const MIN_WEEKLY_HOURS = 1;
+export const MAX_WEEKLY_HOURS = 80;
+// 試験日は今日から2年以内
+export const MAX_PLAN_DAYS = 730;
+// 1日の学習時間のうち、学習済みの単元の復習にあてる割合
+export const REVIEW_SHARE = 0.2;
+// 試験前の総復習の日数。計画の期間が短いときは期間の15%までにする
+export const FINAL_REVIEW_DAYS = 14;
+const FINAL_REVIEW_SHARE = 0.15;
+// 単元を学習し終えてから復習する日（1日後・1週間後・4週間後）
+export const REVIEW_INTERVALS = [1, 7, 28];
+// これより短い時間しか残っていない日には、新しい単元を分けて入れない
+const MIN_SESSION_MINUTES = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PLAN_ITEM_KINDS = {
+  STUDY: 'study',
+  REVIEW: 'review',
+  FINAL_REVIEW: 'final-review',
+};
+
+export const PLAN_ITEM_KIND_LABELS = {
+  study: '学習',
+  review: '復習',
+  'final-review': '総復習',
+};
+
+export function countDaysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// 本試験は例年11月の第2日曜日
+export function getDefaultExamDate(now = new Date()) {
+  const year = getCurrentExamYear(now);
+  const firstDay = new Date(Date.UTC(year, 10, 1)).getUTCDay();
+  const secondSunday = 1 + ((7 - firstDay) % 7) + 7;
+  return `${year}-11-${String(secondSunday).padStart(2, '0')}`;
+}
+
+export function formatPlanMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) {
+    return `${rest}分`;
+  }
+  return rest ? `${hours}時間${rest}分` : `${hours}時間`;
+}
+
+// 予定の内容（学習する単元・復習する単元・総復習する科目）。units は getStudyPlan の units、
+// getSubject はブラウザでは useSubjectCatalogue の getSubjectById
+export function describePlanItem(item, units, getSubject = getSubjectById) {
+  if (item.kind === PLAN_ITEM_KINDS.STUDY) {
+    return units[item.unitId]?.title || `単元 ${item.unitId}`;
+  }
+  if (item.kind === PLAN_ITEM_KINDS.REVIEW) {
+    return item.unitIds.length
+      ? item.unitIds.map((id) => units[id]?.title || `単元 ${id}`).join('、')
+      : '暗記カード・苦手な単元';
+  }
+  return getSubject(item.subjectId)?.name || item.subjectId;
+}
+
+/**
+ * 試験日と1週間に使える時間を確かめる。問題があればエラーメッセージ、なければ null を返す。
+ * today は日本時間の日付（toStudyDate）。
+ */
+export function getStudyPlanSettingsError({ examDate, weeklyHours }, today) {
+  if (!DATE_PATTERN.test(String(examDate || '')) || Number.isNaN(Date.parse(`${examDate}T00:00:00Z`))) {
+    return '試験日を入力してください';
+  }
+
+  const days = countDaysBetween(today, examDate);
+  if (days < 1) {
+    return '試験日は明日以降の日付を入力してください';
+  }
+  if (days > MAX_PLAN_DAYS) {
+    return '試験日は2年以内の日付を入力してください';
+  }
+
+  const hours = Number(weeklyHours);
+  if (!Number.isFinite(hours) || hours < MIN_WEEKLY_HOURS || hours > MAX_WEEKLY_HOURS) {
+    return `1週間に使える時間は${MIN_WEEKLY_HOURS}〜${MAX_WEEKLY_HOURS}時間で入力してください`;
+  }
+
+  return null;
+}
+
+// 1週間に使える時間は30分単位にそろえる
+export function normalizeWeeklyHours(weeklyHours) {
+  return Math.round(Number(weeklyHours) * 2) / 2;
+}
+
+/**
+ * 未完了の単元ごとの予定時間（分）。単元の目安時間を、科目の目安の学習時間（estimatedHours）に合わせて
+ * 引き伸ばす（科目の重み）。学習途中の単元は、これまでの学習時間（秒）を差し引く。
+ * base は時間が足りないときに縮めてよい下限（単元の目安時間）。
+ */
+function planUnitMinutes(units, subjects, progressByUnit) {
+  const factors = new Map(subjects.map((subject) => {
+    const unitMinutes = units
+      .filter((unit) => unit.subjectId === subject.id)
+      .reduce((sum, unit) => sum + Number(unit.estimatedTime || 0), 0);
+    return [subject.id, unitMinutes ? Math.max(1, (Number(subject.estimatedHours || 0) * 60) / unitMinutes) : 1];
+  }));
+
+  return new Map(units
+    .filter((unit) => !progressByUnit[unit.id]?.completed)
+    .map((unit) => {
+      const estimated = Number(unit.estimatedTime || 0) || 30;
+      const spent = Math.floor(Number(progressByUnit[unit.id]?.timeSpent || 0) / 60);
+      const planned = Math.max(MIN_SESSION_MINUTES, Math.round(estimated * (factors.get(unit.subjectId) || 1)) - spent);
+      return [unit.id, { planned, base: Math.max(MIN_SESSION_MINUTES, Math.min(planned, estimated - spent)) }];
+    }));
+}
+
+/**
+ * 学習する順番。前提の単元を先にしたうえで、予定時間に占める割合がいちばん遅れている科目の単元を
+ * 1つずつ取る（重い科目ほど多く、科目が偏らないように混ぜる）。科目の中では科目データの並び順。
+ */
+function orderUnitsForPlan(units, minutesByUnit, progressByUnit) {
+  const pending = units.filter((unit) => minutesByUnit.has(unit.id));
+  const graph = buildPrerequisiteGraph(units);
+  const totals = new Map();
+  pending.forEach((unit) => {
+    totals.set(unit.subjectId, (totals.get(unit.subjectId) || 0) + minutesByUnit.get(unit.id));
+  });
+
+  const placed = new Set();
+  const scheduled = new Map([...totals.keys()].map((subjectId) => [subjectId, 0]));
+  const ordered = [];
+  const isReady = (unit) => graph.get(unit.id).every((id) => placed.has(id) || progressByUnit[id]?.completed || !minutesByUnit.has(id));
+
+  while (ordered.length < pending.length) {
+    const remaining = pending.filter((unit) => !placed.has(unit.id));
+    const candidates = [...new Set(remaining.map((unit) => unit.subjectId))]
+      .map((subjectId) => remaining.find((unit) => unit.subjectId === subjectId && isReady(unit)))
+      .filter(Boolean);
+    // 前提が循環していて選べないときは、残りの先頭から進める
+    const next = candidates.length
+      ? candidates.reduce((best, unit) => (
+        scheduled.get(unit.subjectId) / totals.get(unit.subjectId) < scheduled.get(best.subjectId) / totals.get(best.subjectId) ? unit : best
+      ))
+      : remaining[0];
+
+    placed.add(next.id);
+    scheduled.set(next.subjectId, scheduled.get(next.subjectId) + minutesByUnit.get(next.id));
+    ordered.push(next);
+  }
+
+  return ordered;
+}
+
+// 総復習の日を科目の重み（目安の学習時間）に応じて割り振る
+function assignFinalReviewSubjects(subjects, dayCount) {
+  const weighted = subjects.filter((subject) => Number(subject.estimatedHours) > 0);
+  if (!weighted.length) {
+    return [];
+  }
+
+  const assigned = new Map(weighted.map((subject) => [subject.id, 0]));
+  return Array.from({ length: dayCount }, () => {
+    const subject = weighted.reduce((best, candidate) => (
+      assigned.get(candidate.id) / candidate.estimatedHours < assigned.get(best.id) / best.estimatedHours ? candidate : best
+    ));
+    assigned.set(subject.id, assigned.get(subject.id) + 1);
+    return subject.id;
+  });
+}
+
+/**
+ * 試験日から逆算した日ごとの学習計画。
+ *
+ * - units は公開中の単元（科目データの並び順）、subjects は科目（estimatedHours を重みに使う）、
+ *   progressByUnit は progressRepository.getByUser の結果。完了した単元は計画に入れない
+ * - 1日の時間は weeklyHours / 7。そのうち REVIEW_SHARE を復習（学習し終えた単元を REVIEW_INTERVALS 日後に、
+ *   得点の低い完了済みの単元は計画の初めに）にあて、試験前の FINAL_REVIEW_DAYS 日は総復習だけにする
+ * - 時間が足りなければ、科目の重みで引き伸ばした分から縮め、それでも入らない単元は unscheduledUnitIds に返す
+ *
+ * 返す days は today から試験日の前日までの [{ date, items }]。items は
+ * { kind: 'study', unitId, minutes } / { kind: 'review', unitIds, minutes }（unitIds が空なら暗記カードなど）/
+ * { kind: 'final-review', subjectId, minutes }。
+ */
+export function buildStudyPlan({ units, subjects, progressByUnit = {}, examDate, weeklyHours, today }) {
+  const totalDays = Math.max(0, countDaysBetween(today, examDate));
+  const dailyMinutes = Math.round((normalizeWeeklyHours(weeklyHours) * 60) / 7);
+  const reviewMinutes = Math.round(dailyMinutes * REVIEW_SHARE);
+  const studyMinutesPerDay = dailyMinutes - reviewMinutes;
+  const finalReviewDays = Math.min(FINAL_REVIEW_DAYS, Math.floor(totalDays * FINAL_REVIEW_SHARE));
+  const studyDayCount = totalDays - finalReviewDays;
+  const days = Array.from({ length: totalDays }, (_, index) => ({ date: addStudyDays(today, index), items: [] }));
+
+  const minutesByUnit = planUnitMinutes(units, subjects, progressByUnit);
+  const entries = [...minutesByUnit.values()];
+  const requiredMinutes = entries.reduce((sum, entry) => sum + entry.planned, 0);
+  const capacityMinutes = studyDayCount * studyMinutesPerDay;
+  const compressed = requiredMinutes > capacityMinutes;
+  if (compressed) {
+    const baseMinutes = entries.reduce((sum, entry) => sum + entry.base, 0);
+    const stretch = requiredMinutes - baseMinutes;
+    const ratio = stretch > 0 ? Math.max(0, (capacityMinutes - baseMinutes) / stretch) : 0;
+    entries.forEach((entry) => {
+      entry.planned = entry.base + Math.floor((entry.planned - entry.base) * ratio);
+    });
+  }
+
+  const plannedMinutes = new Map([...minutesByUnit].map(([id, entry]) => [id, entry.planned]));
+  const finishedOn = new Map();
+  const unscheduledUnitIds = [];
+  let dayIndex = 0;
+  let used = 0;
+
+  orderUnitsForPlan(units, plannedMinutes, progressByUnit).forEach((unit) => {
+    let left = plannedMinutes.get(unit.id);
+    while (left > 0 && dayIndex < studyDayCount) {
+      const free = studyMinutesPerDay - used;
+      // 時間が足りないときは、短い残り時間にも詰めて入れる
+      if (!compressed && used > 0 && free < MIN_SESSION_MINUTES && left > free) {
+        dayIndex += 1;
+        used = 0;
+        continue;
+      }
+
+      const minutes = Math.min(left, free);
+      days[dayIndex].items.push({ kind: PLAN_ITEM_KINDS.STUDY, unitId: unit.id, minutes });
+      left -= minutes;
+      used += minutes;
+      if (left === 0) {
+        finishedOn.set(unit.id, dayIndex);
+      }
+      if (used >= studyMinutesPerDay) {
+        dayIndex += 1;
+        used = 0;
+      }
+    }
+
+    if (left > 0) {
+      unscheduledUnitIds.push(unit.id);
+    }
+  });
+
+  const reviewTargets = Array.from({ length: studyDayCount }, () => []);
+  finishedOn.forEach((index, unitId) => {
+    REVIEW_INTERVALS.forEach((interval) => reviewTargets[index + interval]?.push(unitId));
+  });
+  units
+    .filter((unit) => progressByUnit[unit.id]?.completed
+      && progressByUnit[unit.id].score !== undefined
+      && Number(progressByUnit[unit.id].score) < REVIEW_SCORE_THRESHOLD)
+    .forEach((unit, index) => reviewTargets[index]?.push(unit.id));
+  reviewTargets.forEach((unitIds, index) => {
+    if (reviewMinutes > 0) {
+      days[index].items.push({ kind: PLAN_ITEM_KINDS.REVIEW, unitIds: [...new Set(unitIds)], minutes: reviewMinutes });
+    }
+  });
+
+  assignFinalReviewSubjects(subjects, finalReviewDays).forEach((subjectId, index) => {
+    days[studyDayCount + index].items.push({ kind: PLAN_ITEM_KINDS.FINAL_REVIEW, subjectId, minutes: dailyMinutes });
+  });
+
+  const lastStudyIndex = finishedOn.size ? Math.max(...finishedOn.values()) : null;
+  return {
+    days,
+    summary: {
+      dailyMinutes,
+      totalDays,
+      requiredMinutes,
+      capacityMinutes,
+      compressed,
+      unscheduledUnitIds,
+      plannedUnits: minutesByUnit.size,
+      finishDate: lastStudyIndex === null ? null : days[lastStudyIndex].date,
+      finalReviewFrom: finalReviewDays ? days[studyDayCount].date : null,
+    },
+  };
+}
+
+/**
+ * 予定より遅れている単元。学習の予定日（分けて入れた単元は最後の日）が today より前なのに完了していないもの。
+ */
+export function findOverdueUnitIds(plan, progressByUnit, today) {
+  const lastDates = new Map();
+  (plan?.days || []).forEach((day) => {
+    day.items
+      .filter((item) => item.kind === PLAN_ITEM_KINDS.STUDY)
+      .forEach((item) => lastDates.set(item.unitId, day.date));
+  });
+
+  return [...lastDates]
+    .filter(([unitId, date]) => date < today && !progressByUnit[unitId]?.completed)
+    .map(([unitId]) => unitId);
+}
@@ -0,0 +1,116 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import progressRepository from '@/server/repositories/progressRepository';
+import subjectRepository from '@/server/repositories/subjectRepository';
+import studyPlanRepository from '@/server/repositories/studyPlanRepository';
+import { toStudyDate } from '@/features/flashcards/lib/scheduler';
+import { getSubjectById } from '@/features/content/lib/subjects';
+import { PLAN_ITEM_KINDS, buildStudyPlan, findOverdueUnitIds } from '@/features/planner/lib/studyPlan';
+import { buildStudyPlanCalendar } from '@/features/planner/lib/icalendar';
+
+function generatePlan(userId, { examDate, weeklyHours }, { today, replanned = false }) {
+  const plan = buildStudyPlan({
+    units: contentRepository.listUnits({}, { includeDraft: false }).units,
+    subjects: subjectRepository.listSubjects({ includeRetired: false }),
+    progressByUnit: progressRepository.getByUser(userId),
+    examDate,
+    weeklyHours,
+    today,
+  });
+
+  return studyPlanRepository.save(userId, {
+    examDate,
+    weeklyHours,
+    plan: { startDate: today, ...plan },
+    replanned,
+  });
+}
+
+// 計画に出てくる単元の表示用の情報。公開をやめた単元は null
+function collectUnits(days) {
+  const ids = new Set(days.flatMap((day) => day.items.flatMap((item) => item.unitIds || (item.unitId ? [item.unitId] : []))));
+  return Object.fromEntries([...ids].map((id) => {
+    const unit = contentRepository.getUnit(id);
+    return [id, unit ? { id, title: unit.title, subjectId: unit.subjectId, estimatedTime: unit.estimatedTime } : null];
+  }));
+}
+
+/**
+ * 試験日と1週間に使える時間を保存し、今日から計画を作り直す。値が不正なら ValidationError。
+ */
+export function saveStudyPlanSettings(userId, input, { today = toStudyDate() } = {}) {
+  const settings = studyPlanRepository.normalizeSettings(input, today);
+  generatePlan(userId, settings, { today });
+  return getStudyPlan(userId, { today });
+}
+
+/**
+ * 保存した学習計画（なければ null）。予定の日を過ぎても完了していない単元があれば、
+ * 今日からの計画に作り直して保存し、replanned と overdueUnits（遅れていた単元）を付けて返す。
+ * days は今日以降の分だけ返し、学習の予定には完了済みかどうか（completed）を付ける。
+ */
+export function getStudyPlan(userId, { today = toStudyDate() } = {}) {
+  let plan = studyPlanRepository.get(userId);
+  if (!plan) {
+    return null;
+  }
+
+  const progressByUnit = progressRepository.getByUser(userId);
+  const expired = plan.examDate <= today;
+  const overdueUnitIds = expired ? [] : findOverdueUnitIds(plan, progressByUnit, today);
+  if (overdueUnitIds.length) {
+    plan = generatePlan(userId, plan, { today, replanned: true });
+  }
+
+  const days = plan.days
+    .filter((day) => day.date >= today)
+    .map((day) => ({
+      ...day,
+      items: day.items.map((item) => (item.kind === PLAN_ITEM_KINDS.STUDY
+        ? { ...item, completed: Boolean(progressByUnit[item.unitId]?.completed) }
+        : item)),
+    }));
+  const units = collectUnits(days);
+
+  return {
+    settings: { examDate: plan.examDate, weeklyHours: plan.weeklyHours },
+    startDate: plan.startDate,
+    generatedAt: plan.generatedAt,
+    replannedAt: plan.replannedAt,
+    summary: plan.summary,
+    days,
+    units,
+    expired,
+    replanned: overdueUnitIds.length > 0,
+    overdueUnits: overdueUnitIds.map((id) => {
+      const unit = contentRepository.getUnit(id);
+      return { id, title: unit?.title || id, subjectId: unit?.subjectId || null };
+    }),
+  };
+}
+
+export function deleteStudyPlan(userId) {
+  return studyPlanRepository.delete(userId);
+}
+
+/**
+ * 学習計画の iCalendar ファイルの中身（計画がなければ null）。今日以降の予定と試験日を入れる。
+ */
+export function getStudyPlanCalendar(userId, { today = toStudyDate(), now = new Date() } = {}) {
+  const studyPlan = getStudyPlan(userId, { today });
+  if (!studyPlan) {
+    return null;
+  }
+
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return buildStudyPlanCalendar(
+    { examDate: studyPlan.settings.examDate, days: studyPlan.days },
+    {
+      userId,
+      host: new URL(siteUrl).hostname,
+      siteUrl,
+      getUnitTitle: (id) => studyPlan.units[id]?.title || `単元 ${id}`,
+      getSubjectName: (id) => getSubjectById(id)?.name || id,
+      now,
+    }
+  );
+}
@@ -0,0 +1,143 @@
+import { JAPANESE_NUMBER_PATTERN, parseJapaneseNumber } from '@/shared/lib/japaneseNumbers';
+
+// 判例カードの `case-card__meta`（「最高裁判所第二小法廷　平成元年10月27日　昭和60年(オ)第1270号　民集43巻9号1070頁」など）を読み解く
+
+export const COURT_LEVELS = [
+  { key: 'supreme-grand', label: '最高裁大法廷' },
+  { key: 'supreme', label: '最高裁判所' },
+  { key: 'great-court', label: '大審院' },
+  { key: 'high', label: '高等裁判所' },
+  { key: 'district', label: '地方裁判所' },
+  { key: 'family', label: '家庭裁判所' },
+  { key: 'other', label: 'その他' },
+];
+
+const ERA_BASE_YEARS = {
+  明治: 1867,
+  大正: 1911,
+  昭和: 1925,
+  平成: 1988,
+  令和: 2018,
+};
+
+const NUMBER = JAPANESE_NUMBER_PATTERN;
+
+const DATE_PATTERN = new RegExp(`(明治|大正|昭和|平成|令和)(元|${NUMBER})年(${NUMBER})月(${NUMBER})日`, 'gu');
+const DOCKET_PATTERN = new RegExp(`(明治|大正|昭和|平成|令和)(元|${NUMBER})年?\\(([^()]+)\\)第?(${NUMBER})号?`, 'u');
+const REPORTER_PATTERN = new RegExp(`(大審院民事判例集|裁判集民事|高民集|民集|集民|刑集|民録|刑録|判例時報|判時)(?:(${NUMBER})([巻輯]))?(?:(${NUMBER})号)?(${NUMBER})頁`, 'u');
+const COURT_PATTERN = /(最高裁(?:判所)?|大審院|[\p{Script=Han}]{1,4}?(?:高等裁判所|地方裁判所|家庭裁判所|高裁|地裁|家裁))(大法廷|第[一二三]小法廷|第[一二三四五]?[民刑]事部|[民刑]事連合部)?/gu;
+
+const COURT_NAME_ABBREVIATIONS = [
+  [/^最高裁$/, '最高裁判所'],
+  [/高裁$/, '高等裁判所'],
+  [/地裁$/, '地方裁判所'],
+  [/家裁$/, '家庭裁判所'],
+];
+
+function toEraYear(year) {
+  return year === '元' ? 1 : parseJapaneseNumber(year);
+}
+
+function formatEraYear(era, eraYear) {
+  return `${era}${eraYear === 1 ? '元' : eraYear}年`;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function normalizeCourtName(name) {
+  const match = COURT_NAME_ABBREVIATIONS.find(([pattern]) => pattern.test(name));
+  return match ? name.replace(match[0], match[1]) : name;
+}
+
+export function getCourtLevel(court = '') {
+  if (court.startsWith('最高裁判所')) {
+    return court.includes('大法廷') ? 'supreme-grand' : 'supreme';
+  }
+  if (court.startsWith('大審院')) {
+    return 'great-court';
+  }
+  if (court.includes('高等裁判所')) {
+    return 'high';
+  }
+  if (court.includes('地方裁判所')) {
+    return 'district';
+  }
+  if (court.includes('家庭裁判所')) {
+    return 'family';
+  }
+  return 'other';
+}
+
+export function getCourtLevelLabel(levelKey) {
+  return COURT_LEVELS.find((level) => level.key === levelKey)?.label || 'その他';
+}
+
+/**
+ * meta の文字列から裁判所・判決日・事件番号を取り出す。
+ * 「一審：…　控訴審：…　上告審：…」のように審級が並ぶときは最後（最上級審）の判断を採る。
+ * 読めなかった項目は null。
+ */
+export function parseCaseMeta(meta = '') {
+  const text = String(meta).normalize('NFKC');
+  const dates = [...text.matchAll(DATE_PATTERN)];
+  const lastDate = dates.at(-1);
+  const courts = [...text.matchAll(COURT_PATTERN)]
+    .filter((match) => !lastDate || match.index < lastDate.index);
+  const lastCourt = courts.at(-1);
+
+  const court = lastCourt ? `${normalizeCourtName(lastCourt[1])}${lastCourt[2] || ''}` : null;
+  const docketMatch = text.match(DOCKET_PATTERN);
+  const reporterMatch = text.match(REPORTER_PATTERN);
+
+  let decidedOn = null;
+  let decisionDate = null;
+  if (lastDate) {
+    const [, era, year, month, day] = lastDate;
+    const eraYear = toEraYear(year);
+    decidedOn = `${ERA_BASE_YEARS[era] + eraYear}-${pad(parseJapaneseNumber(month))}-${pad(parseJapaneseNumber(day))}`;
+    decisionDate = `${formatEraYear(era, eraYear)}${parseJapaneseNumber(month)}月${parseJapaneseNumber(day)}日`;
+  }
+
+  return {
+    court,
+    courtLevel: getCourtLevel(court || ''),
+    decidedOn,
+    decisionDate,
+    docketNumber: docketMatch
+      ? `${formatEraYear(docketMatch[1], toEraYear(docketMatch[2]))}(${docketMatch[3]})第${parseJapaneseNumber(docketMatch[4])}号`
+      : null,
+    reporter: reporterMatch
+      ? [
+        reporterMatch[1],
+        reporterMatch[2] ? `${parseJapaneseNumber(reporterMatch[2])}${reporterMatch[3]}` : '',
+        reporterMatch[4] ? `${parseJapaneseNumber(reporterMatch[4])}号` : '',
+        `${parseJapaneseNumber(reporterMatch[5])}頁`,
+      ].join('')
+      : null,
+  };
+}
+
+function normalizeTitle(title = '') {
+  return String(title).normalize('NFKC').replace(/[\s()（）]/g, '');
+}
+
+/**
+ * 複数の単元に載っている判例が同じ判決かどうか。裁判所（法廷まで）と判決日が一致し、
+ * 事件番号・判例集の掲載箇所が両方に書かれていればそれも一致する必要がある
+ * （同じ日の大法廷判決が2件ある、といった場合を分けるため）。日付が読めない判例は事件名で比べる。
+ */
+export function isSameCase(left, right) {
+  if (!left.decidedOn || !right.decidedOn) {
+    return !left.decidedOn && !right.decidedOn && normalizeTitle(left.title) === normalizeTitle(right.title);
+  }
+
+  if (left.decidedOn !== right.decidedOn || left.court !== right.court) {
+    return false;
+  }
+
+  const leftIds = [left.docketNumber, left.reporter].filter(Boolean);
+  const rightIds = [right.docketNumber, right.reporter].filter(Boolean);
+  return !leftIds.length || !rightIds.length || leftIds.some((id) => rightIds.includes(id));
+}
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import contentRepository from '@/server/repositories/contentRepository';
+import { extractCaseCards } from '@/features/content/lib/htmlUtils';
+import { COURT_LEVELS, isSameCase, parseCaseMeta } from '@/features/precedents/lib/caseMeta';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+
+// 単元ごとの抽出結果。本文のハッシュが変わったときだけ HTML を解析し直す
+const unitCaseCache = new Map();
+
+function getUnitCases(unit) {
+  const body = unit.contentFormat === 'html' ? contentRepository.getUnitBody(unit.id) : null;
+  if (!body) {
+    unitCaseCache.delete(unit.id);
+    return [];
+  }
+
+  const signature = crypto.createHash('sha1').update(body).digest('hex');
+  const cached = unitCaseCache.get(unit.id);
+  if (cached?.signature === signature) {
+    return cached.cases;
+  }
+
+  const cases = extractCaseCards(body).map((card) => ({
+    ...card,
+    ...parseCaseMeta(card.meta),
+    id: `${unit.id}:${card.key}`,
+  }));
+  unitCaseCache.set(unit.id, { signature, cases });
+  return cases;
+}
+
+function toPrecedent(citations, user) {
+  // 見出しには重要度の最も高いカードを使い、本文は閲覧できる単元のカードから取る
+  const [headline] = [...citations].sort((left, right) => right.card.importance - left.card.importance);
+  const readable = citations.find(({ card, unit }) => card.holdingHtml && canAccessUnit(user, unit));
+
+  return {
+    id: headline.card.id,
+    title: headline.card.title,
+    court: headline.card.court,
+    courtLevel: headline.card.courtLevel,
+    decidedOn: headline.card.decidedOn,
+    decisionDate: headline.card.decisionDate,
+    docketNumber: citations.map(({ card }) => card.docketNumber).find(Boolean) || null,
+    reporter: citations.map(({ card }) => card.reporter).find(Boolean) || null,
+    meta: headline.card.meta,
+    importance: headline.card.importance,
+    frequency: citations.map(({ card }) => card.frequency).find(Boolean) || null,
+    laws: [...new Set(citations.flatMap(({ card }) => card.laws))],
+    subjectIds: [...new Set(citations.map(({ unit }) => unit.subjectId))],
+    factsHtml: readable?.card.factsHtml || null,
+    holdingHtml: readable?.card.holdingHtml || null,
+    significanceHtml: readable?.card.significanceHtml || null,
+    locked: !readable,
+    citations: citations.map(({ card, unit }) => ({
+      unitId: unit.id,
+      unitTitle: unit.title,
+      subjectId: unit.subjectId,
+      sectionId: card.sectionId,
+      title: card.title,
+    })),
+  };
+}
+
+function compareDecisionDates(left, right) {
+  if (!left.decidedOn || !right.decidedOn) {
+    return (left.decidedOn ? -1 : 0) + (right.decidedOn ? 1 : 0);
+  }
+  return left.decidedOn.localeCompare(right.decidedOn);
+}
+
+function matchesQuery(precedent, query) {
+  if (!query) {
+    return true;
+  }
+
+  const normalizedQuery = query.normalize('NFKC');
+  return [precedent.title, precedent.meta, precedent.court, ...precedent.laws, ...precedent.citations.map((citation) => citation.title)]
+    .some((value) => String(value || '').normalize('NFKC').includes(normalizedQuery));
+}
+
+function countBy(precedents, getKeys) {
+  const counts = new Map();
+  precedents.forEach((precedent) => {
+    getKeys(precedent).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return counts;
+}
+
+/**
+ * 公開中の HTML 単元の判例カード（`case-card`）から作る判例集。
+ * 複数の単元に載っている同じ判決は1件にまとめ、載っている単元を citations に並べる。
+ * 判決日の古い順。subjectId・court（COURT_LEVELS の key）・q で絞り込み、
+ * facets には「その条件以外の絞り込みを適用したときの件数」を返す。total は絞り込み前の件数。
+ */
+export function getPrecedents(user, { subjectId, court, q } = {}) {
+  const groups = [];
+  contentRepository.listUnits().units.forEach((unit) => {
+    getUnitCases(unit).forEach((card) => {
+      const group = groups.find((citations) => isSameCase(citations[0].card, card));
+      if (group) {
+        group.push({ card, unit });
+      } else {
+        groups.push([{ card, unit }]);
+      }
+    });
+  });
+
+  const allPrecedents = groups.map((citations) => toPrecedent(citations, user));
+  const precedents = allPrecedents
+    .filter((precedent) => matchesQuery(precedent, q))
+    .sort(compareDecisionDates);
+
+  const inSubject = precedents.filter((precedent) => !subjectId || precedent.subjectIds.includes(subjectId));
+  const inCourt = precedents.filter((precedent) => !court || precedent.courtLevel === court);
+  const courtCounts = countBy(inSubject, (precedent) => [precedent.courtLevel]);
+  const subjectCounts = countBy(inCourt, (precedent) => precedent.subjectIds);
+
+  return {
+    total: allPrecedents.length,
+    precedents: inSubject.filter((precedent) => !court || precedent.courtLevel === court),
+    facets: {
+      courts: COURT_LEVELS
+        .filter((level) => courtCounts.has(level.key))
+        .map((level) => ({ ...level, count: courtCounts.get(level.key) })),
+      subjects: [...subjectCounts.entries()].map(([id, count]) => ({ id, count })),
+    },
+  };
+}
@@ -0,0 +1,156 @@
+// 学習のイベント。単元ごとの進捗は、そのユーザー・単元のイベントを古い順に applyStudyEvent で畳み込んだもの
+export const STUDY_EVENT_TYPES = {
+  IMPORTED: 'imported',
+  OPENED: 'opened',
+  SECTION_VIEWED: 'section-viewed',
+  AUDIO_PLAYED: 'audio-played',
+  QUIZ_SUBMITTED: 'quiz-submitted',
+  COMPLETED: 'completed',
+};
+
+export const STUDY_EVENT_TYPE_LABELS = {
+  imported: '記録開始前の進捗',
+  opened: '単元を開いた',
+  'section-viewed': 'セクションを閲覧',
+  'audio-played': '音声を再生',
+  'quiz-submitted': '演習を提出',
+  completed: '完了の記録',
+};
+
+// 学習者の画面から送れるイベント。演習の提出は採点 API だけが記録する
+export const CLIENT_STUDY_EVENT_TYPES = [
+  STUDY_EVENT_TYPES.OPENED,
+  STUDY_EVENT_TYPES.SECTION_VIEWED,
+  STUDY_EVENT_TYPES.AUDIO_PLAYED,
+  STUDY_EVENT_TYPES.COMPLETED,
+];
+
+// 1回のリクエストで送れるイベントの数
+export const MAX_EVENTS_PER_REQUEST = 20;
+// 1件のイベントで計上する学習時間の上限（開いたままの画面などで長すぎる時間が入らないように）
+export const MAX_EVENT_SECONDS = 4 * 60 * 60;
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * 学習者の画面から送られたイベントの誤り（なければ null）。
+ * section-viewed は { section: セクションの番号, seconds: そのセクションで過ごした秒数 }、
+ * audio-played は { position: 再生を始めた位置（秒） }、completed は { completed: true / false }。
+ */
+export function getStudyEventError(event) {
+  if (!event || typeof event !== 'object' || !CLIENT_STUDY_EVENT_TYPES.includes(event.type)) {
+    return '不正なイベントです';
+  }
+
+  switch (event.type) {
+    case STUDY_EVENT_TYPES.SECTION_VIEWED:
+      if (!isNonNegativeInteger(event.section)) {
+        return 'セクションの番号が不正です';
+      }
+      if (event.seconds !== undefined && (!isNonNegativeInteger(event.seconds) || event.seconds > MAX_EVENT_SECONDS)) {
+        return `学習時間は0〜${MAX_EVENT_SECONDS}秒の整数で入力してください`;
+      }
+      return null;
+    case STUDY_EVENT_TYPES.AUDIO_PLAYED:
+      return event.position !== undefined && !(Number(event.position) >= 0) ? '再生位置が不正です' : null;
+    case STUDY_EVENT_TYPES.COMPLETED:
+      return typeof event.completed === 'boolean' ? null : '完了かどうかを指定してください';
+    default:
+      return null;
+  }
+}
+
+// getStudyEventError を通ったイベントの、保存する中身
+export function toStudyEventPayload(event) {
+  switch (event.type) {
+    case STUDY_EVENT_TYPES.SECTION_VIEWED:
+      return { section: event.section, seconds: event.seconds || 0 };
+    case STUDY_EVENT_TYPES.AUDIO_PLAYED:
+      return event.position !== undefined ? { position: Math.floor(Number(event.position)) } : {};
+    case STUDY_EVENT_TYPES.COMPLETED:
+      return { completed: event.completed };
+    default:
+      return {};
+  }
+}
+
+/**
+ * 以前の形式の進捗の更新（累計の timeSpent・currentPosition・completed）を、今の進捗との差のイベントに直す。
+ * 何も変わらなければ、開いたことだけを記録する。
+ */
+export function eventsFromProgressUpdate(current, { completed, timeSpent, currentPosition }) {
+  const events = [];
+  const seconds = timeSpent !== undefined
+    ? Math.min(Math.max(0, Math.floor(Number(timeSpent) - Number(current?.timeSpent || 0))), MAX_EVENT_SECONDS)
+    : 0;
+  const section = currentPosition !== undefined ? currentPosition : current?.currentPosition;
+
+  if (seconds > 0 || (currentPosition !== undefined && currentPosition !== current?.currentPosition)) {
+    events.push({ type: STUDY_EVENT_TYPES.SECTION_VIEWED, payload: { section: section ?? 0, seconds } });
+  }
+  if (completed !== undefined && Boolean(completed) !== Boolean(current?.completed)) {
+    events.push({ type: STUDY_EVENT_TYPES.COMPLETED, payload: { completed: Boolean(completed) } });
+  }
+
+  return events.length ? events : [{ type: STUDY_EVENT_TYPES.OPENED, payload: {} }];
+}
+
+/**
+ * 進捗にイベントを1件当てはめた結果。event は { type, payload, occurredAt }。
+ * 演習の得点は最新の score のほかに、最初の得点（firstScore）と最高点（bestScore）を残す。
+ */
+export function applyStudyEvent(progress, event) {
+  const { payload } = event;
+  const next = { timeSpent: 0, ...progress, lastAccessed: event.occurredAt };
+
+  switch (event.type) {
+    case STUDY_EVENT_TYPES.IMPORTED:
+      return { timeSpent: 0, ...payload, lastAccessed: payload.lastAccessed || event.occurredAt };
+    case STUDY_EVENT_TYPES.SECTION_VIEWED:
+      return { ...next, timeSpent: next.timeSpent + (payload.seconds || 0), currentPosition: payload.section };
+    case STUDY_EVENT_TYPES.AUDIO_PLAYED:
+      return { ...next, audioPlays: Number(next.audioPlays || 0) + 1 };
+    case STUDY_EVENT_TYPES.QUIZ_SUBMITTED:
+      return {
+        ...next,
+        score: payload.score,
+        firstScore: next.firstScore ?? next.score ?? payload.score,
+        bestScore: Math.max(next.bestScore ?? next.score ?? payload.score, payload.score),
+        quizAttempts: Number(next.quizAttempts || 0) + 1,
+        lastQuizAt: event.occurredAt,
+      };
+    case STUDY_EVENT_TYPES.COMPLETED:
+      return {
+        ...next,
+        completed: payload.completed,
+        completedAt: payload.completed ? (next.completed && next.completedAt) || event.occurredAt : undefined,
+      };
+    default:
+      return next;
+  }
+}
+
+// 管理画面の学習履歴に出す、イベントの中身の説明
+export function describeStudyEvent(event) {
+  const { payload } = event;
+  switch (event.type) {
+    case STUDY_EVENT_TYPES.SECTION_VIEWED:
+      return `セクション ${typeof payload.section === 'number' ? payload.section + 1 : payload.section}${payload.seconds ? `・${payload.seconds}秒` : ''}`;
+    case STUDY_EVENT_TYPES.AUDIO_PLAYED:
+      return payload.position !== undefined ? `${payload.position}秒から` : '';
+    case STUDY_EVENT_TYPES.QUIZ_SUBMITTED:
+      return `${payload.score}点`;
+    case STUDY_EVENT_TYPES.COMPLETED:
+      return payload.completed ? '完了' : '未完了に戻した';
+    case STUDY_EVENT_TYPES.IMPORTED:
+      return [
+        payload.completed ? '完了' : null,
+        typeof payload.score === 'number' ? `${payload.score}点` : null,
+        payload.timeSpent ? `${payload.timeSpent}秒` : null,
+      ].filter(Boolean).join('・');
+    default:
+      return '';
+  }
+}
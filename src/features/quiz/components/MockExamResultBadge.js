@@ -0,0 +1,11 @@
+export default function MockExamResultBadge({ attempt }) {
+  if (attempt.status !== 'completed') {
+    return <span className="rounded-full bg-blue-100 px-2 py-1 text-xs font-medium text-blue-700">受験中</span>;
+  }
+
+  return attempt.passed ? (
+    <span className="rounded-full bg-green-100 px-2 py-1 text-xs font-medium text-green-700">合格</span>
+  ) : (
+    <span className="rounded-full bg-red-100 px-2 py-1 text-xs font-medium text-red-700">不合格</span>
+  );
+}
@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { RotateCcw, ClipboardList } from 'lucide-react';
+import { QUESTION_TYPE_BADGE_CLASSES, getQuestionTypeLabel } from '@/features/quiz/lib/questionTypes';
+import { QUESTION_INPUTS, QuestionResult } from '@/features/quiz/components/QuestionInputs';
+
+export default function PracticeQuiz({ unitId, isAuthenticated, showEmpty = false, onSubmitted }) {
+  const [quiz, setQuiz] = useState(null);
+  const [lastAttempt, setLastAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!unitId) {
+      return;
+    }
+
+    setQuiz(null);
+    setAnswers({});
+    setResult(null);
+    setError('');
+
+    authFetch(`/api/content/units/${encodeURIComponent(unitId)}/quiz`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.success) {
+          setQuiz(data.quiz);
+          setLastAttempt(data.lastAttempt);
+        } else {
+          setError(data.error || '問題の取得に失敗しました');
+        }
+      })
+      .catch(() => setError('問題の取得に失敗しました'));
+  }, [unitId]);
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await authFetch(`/api/content/units/${encodeURIComponent(unitId)}/quiz`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ answers }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        setError(data.error || '採点に失敗しました');
+        return;
+      }
+
+      setResult(data.result);
+      setLastAttempt({ score: data.result.score, earned: data.result.earned, possible: data.result.possible, submittedAt: new Date().toISOString() });
+      onSubmitted?.(data.progress);
+    } catch (submitError) {
+      setError('採点に失敗しました');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!quiz || (!quiz.questions.length && !showEmpty)) {
+    return error && showEmpty ? <p className="mt-6 text-sm text-red-600">{error}</p> : null;
+  }
+
+  const resultsById = Object.fromEntries((result?.results || []).map((entry) => [entry.questionId, entry]));
+  const answeredCount = quiz.questions.filter((question) => {
+    const answer = answers[question.id];
+    return answer && (typeof answer !== 'object' || Object.values(answer).some(Boolean));
+  }).length;
+
+  return (
+    <section className="mt-6 rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900">
+          <ClipboardList className="h-5 w-5 text-blue-600" />
+          演習問題
+        </h2>
+        <span className="text-sm text-gray-500">
+          全{quiz.questions.length}問・{quiz.totalPoints}点満点
+          {lastAttempt ? ` ／ 前回 ${lastAttempt.score}点` : ''}
+        </span>
+      </div>
+
+      {!quiz.questions.length ? (
+        <p className="text-sm text-gray-500">この単元の問題は準備中です。</p>
+      ) : (
+        <>
+          {result && (
+            <div className="mb-6 rounded-xl bg-blue-50 p-4 text-blue-900">
+              <p className="text-2xl font-bold">{result.score}点</p>
+              <p className="text-sm">
+                {result.correctCount} / {result.total}問正解（{result.earned} / {result.possible}点）。スコアを学習記録に保存しました。
+              </p>
+            </div>
+          )}
+
+          <ol className="space-y-8">
+            {quiz.questions.map((question, index) => {
+              const InputComponent = QUESTION_INPUTS[question.type];
+
+              return (
+                <li key={question.id}>
+                  <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+                    <span className="font-bold text-gray-900">問{index + 1}</span>
+                    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${QUESTION_TYPE_BADGE_CLASSES[question.type]}`}>
+                      {getQuestionTypeLabel(question.type)}
+                    </span>
+                    <span className="text-gray-500">{question.points}点</span>
+                    {question.source ? <span className="text-gray-400">{question.source}</span> : null}
+                  </div>
+                  <p className="mb-4 whitespace-pre-wrap text-gray-800">{question.prompt}</p>
+                  <InputComponent
+                    question={question}
+                    value={answers[question.id]}
+                    onChange={(value) => setAnswers((current) => ({ ...current, [question.id]: value }))}
+                    disabled={Boolean(result)}
+                  />
+                  {resultsById[question.id] && <QuestionResult question={question} result={resultsById[question.id]} />}
+                </li>
+              );
+            })}
+          </ol>
+
+          {error && <p className="mt-6 text-sm text-red-600">{error}</p>}
+
+          <div className="mt-8 flex flex-wrap items-center gap-3">
+            {!isAuthenticated ? (
+              <p className="text-sm text-gray-600">
+                採点するには<Link href="/auth/login" className="text-blue-600 hover:text-blue-700">ログイン</Link>してください。
+              </p>
+            ) : result ? (
+              <button
+                onClick={() => {
+                  setAnswers({});
+                  setResult(null);
+                }}
+                className="flex items-center gap-2 rounded-xl border border-blue-200 px-5 py-3 font-medium text-blue-700 hover:bg-blue-50"
+              >
+                <RotateCcw className="h-4 w-4" />
+                もう一度解く
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={submit}
+                  disabled={submitting}
+                  className="rounded-xl bg-blue-600 px-5 py-3 font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {submitting ? '採点中...' : '解答を提出して採点'}
+                </button>
+                <span className="text-sm text-gray-500">{answeredCount} / {quiz.questions.length}問回答済み</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
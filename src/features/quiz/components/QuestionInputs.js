@@ -0,0 +1,123 @@
+import { CheckCircle, XCircle } from 'lucide-react';
+import { QUESTION_TYPES, normalizeAnswerText } from '@/features/quiz/lib/questionTypes';
+
+function choiceText(question, choiceId) {
+  return question.choices?.find((choice) => choice.id === choiceId)?.text || '未回答';
+}
+
+export function SingleChoiceInput({ question, value, onChange, disabled }) {
+  return (
+    <div className="space-y-2">
+      {question.choices.map((choice) => (
+        <label
+          key={choice.id}
+          className={`flex cursor-pointer items-start gap-3 rounded-lg border px-4 py-3 text-sm ${
+            value === choice.id ? 'border-blue-400 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+          }`}
+        >
+          <input
+            type="radio"
+            name={question.id}
+            value={choice.id}
+            checked={value === choice.id}
+            onChange={() => onChange(choice.id)}
+            disabled={disabled}
+            className="mt-1"
+          />
+          <span className="font-medium text-gray-500">{choice.id}</span>
+          <span className="text-gray-800">{choice.text}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export function MultipleChoiceInput({ question, value = {}, onChange, disabled }) {
+  return (
+    <div className="space-y-4">
+      <ol className="grid grid-cols-2 gap-x-6 gap-y-1 rounded-lg bg-gray-50 p-4 text-sm text-gray-700 md:grid-cols-4">
+        {question.choices.map((choice) => (
+          <li key={choice.id}><span className="mr-1 text-gray-400">{choice.id}</span>{choice.text}</li>
+        ))}
+      </ol>
+      <div className="grid gap-3 md:grid-cols-2">
+        {question.blanks.map((blank) => (
+          <label key={blank.id} className="flex items-center gap-3 text-sm">
+            <span className="w-6 font-bold text-gray-700">{blank.id}</span>
+            <select
+              value={value[blank.id] || ''}
+              onChange={(event) => onChange({ ...value, [blank.id]: event.target.value || null })}
+              disabled={disabled}
+              className="flex-1 rounded-lg border border-gray-200 px-3 py-2"
+            >
+              <option value="">選択してください</option>
+              {question.choices.map((choice) => (
+                <option key={choice.id} value={choice.id}>{choice.id}. {choice.text}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function ShortAnswerInput({ question, value = '', onChange, disabled }) {
+  const length = normalizeAnswerText(value).length;
+
+  return (
+    <div>
+      <textarea
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+        rows={3}
+        placeholder={`${question.maxLength}字程度で記述してください`}
+        className="w-full rounded-lg border border-gray-200 px-4 py-3 text-sm"
+      />
+      <p className={`mt-1 text-right text-xs ${length > question.maxLength ? 'text-red-600' : 'text-gray-500'}`}>
+        {length} / {question.maxLength}字
+      </p>
+    </div>
+  );
+}
+
+export function QuestionResult({ question, result }) {
+  let correctAnswer = result.correctAnswer;
+  if (question.type === QUESTION_TYPES.SINGLE_CHOICE) {
+    correctAnswer = `${result.correctAnswer}. ${choiceText(question, result.correctAnswer)}`;
+  } else if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    correctAnswer = result.blanks
+      .map((blank) => `${blank.id}: ${choiceText(question, blank.answer)}`)
+      .join(' / ');
+  }
+
+  return (
+    <div className={`mt-4 rounded-lg border p-4 text-sm ${result.correct ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
+      <div className="mb-2 flex items-center justify-between">
+        <span className={`flex items-center gap-1 font-semibold ${result.correct ? 'text-green-700' : 'text-red-700'}`}>
+          {result.correct ? <CheckCircle className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+          {result.correct ? '正解' : '不正解'}
+        </span>
+        <span className="text-gray-600">{result.earned} / {result.points}点</span>
+      </div>
+      <p className="text-gray-700"><span className="font-medium">正答:</span> {correctAnswer}</p>
+      {result.matchedKeywords?.length ? (
+        <p className="mt-1 text-gray-600">加点キーワード: {result.matchedKeywords.join('、')}</p>
+      ) : null}
+      {result.tooLong ? <p className="mt-1 text-red-600">字数制限を超えているため採点されませんでした</p> : null}
+      {result.explanation ? (
+        <div className="mt-3 border-t border-gray-200 pt-3 text-gray-700">
+          <p className="mb-1 font-medium">解説</p>
+          <p className="whitespace-pre-wrap">{result.explanation}</p>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export const QUESTION_INPUTS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: SingleChoiceInput,
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: MultipleChoiceInput,
+  [QUESTION_TYPES.SHORT_ANSWER]: ShortAnswerInput,
+};
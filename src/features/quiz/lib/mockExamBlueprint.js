@@ -0,0 +1,65 @@
+import { QUESTION_TYPES } from '@/features/quiz/lib/questionTypes';
+
+export const MOCK_EXAM_DURATION_MINUTES = 180;
+
+export const EXAM_SECTIONS = {
+  LAW: 'law',
+  GENERAL: 'general',
+};
+
+export const EXAM_SECTION_LABELS = {
+  [EXAM_SECTIONS.LAW]: '法令等',
+  [EXAM_SECTIONS.GENERAL]: '基礎知識',
+};
+
+const ADMINISTRATIVE_LAW_SUBJECTS = [
+  'administrative-law-general',
+  'administrative-procedure-law',
+  'administrative-appeal-law',
+  'administrative-litigation-law',
+  'state-redress-law',
+  'local-autonomy-law',
+];
+
+const GENERAL_KNOWLEDGE_SUBJECTS = [
+  'gyoseishoshi-law',
+  'family-register-law',
+  'resident-register-law',
+  'personal-information-protection-law',
+  'digital-society-law',
+  'immigration-law',
+];
+
+// 本試験の出題数と配点（60問・300点）。基礎法学は法令等に含まれる点に注意
+// 並び順が問題番号の順（五肢択一 → 多肢選択 → 記述 → 基礎知識）になる
+export const MOCK_EXAM_BLUEPRINT = [
+  { key: 'basic-jurisprudence', section: EXAM_SECTIONS.LAW, label: '基礎法学', type: QUESTION_TYPES.SINGLE_CHOICE, count: 2, points: 4, subjectIds: ['basic-jurisprudence'] },
+  { key: 'constitutional-law', section: EXAM_SECTIONS.LAW, label: '憲法', type: QUESTION_TYPES.SINGLE_CHOICE, count: 5, points: 4, subjectIds: ['constitutional-law'] },
+  { key: 'administrative-law', section: EXAM_SECTIONS.LAW, label: '行政法', type: QUESTION_TYPES.SINGLE_CHOICE, count: 19, points: 4, subjectIds: ADMINISTRATIVE_LAW_SUBJECTS },
+  { key: 'civil-law', section: EXAM_SECTIONS.LAW, label: '民法', type: QUESTION_TYPES.SINGLE_CHOICE, count: 9, points: 4, subjectIds: ['civil-law'] },
+  { key: 'commercial-law', section: EXAM_SECTIONS.LAW, label: '商法・会社法', type: QUESTION_TYPES.SINGLE_CHOICE, count: 5, points: 4, subjectIds: ['commercial-law', 'company-law'] },
+  { key: 'constitutional-law-multiple', section: EXAM_SECTIONS.LAW, label: '憲法', type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 1, points: 8, subjectIds: ['constitutional-law'] },
+  { key: 'administrative-law-multiple', section: EXAM_SECTIONS.LAW, label: '行政法', type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 2, points: 8, subjectIds: ADMINISTRATIVE_LAW_SUBJECTS },
+  { key: 'administrative-law-written', section: EXAM_SECTIONS.LAW, label: '行政法', type: QUESTION_TYPES.SHORT_ANSWER, count: 1, points: 20, subjectIds: ADMINISTRATIVE_LAW_SUBJECTS },
+  { key: 'civil-law-written', section: EXAM_SECTIONS.LAW, label: '民法', type: QUESTION_TYPES.SHORT_ANSWER, count: 2, points: 20, subjectIds: ['civil-law'] },
+  { key: 'general-knowledge', section: EXAM_SECTIONS.GENERAL, label: '基礎知識', type: QUESTION_TYPES.SINGLE_CHOICE, count: 14, points: 4, subjectIds: GENERAL_KNOWLEDGE_SUBJECTS },
+];
+
+export const MOCK_EXAM_MAX_POINTS = {
+  total: MOCK_EXAM_BLUEPRINT.reduce((sum, slot) => sum + slot.count * slot.points, 0),
+  [EXAM_SECTIONS.LAW]: MOCK_EXAM_BLUEPRINT
+    .filter((slot) => slot.section === EXAM_SECTIONS.LAW)
+    .reduce((sum, slot) => sum + slot.count * slot.points, 0),
+  [EXAM_SECTIONS.GENERAL]: MOCK_EXAM_BLUEPRINT
+    .filter((slot) => slot.section === EXAM_SECTIONS.GENERAL)
+    .reduce((sum, slot) => sum + slot.count * slot.points, 0),
+};
+
+// 合格基準: 全体 180/300 以上、法令等 122/244 以上、基礎知識 24/56 以上（すべて満たすこと）
+export const MOCK_EXAM_PASS_CRITERIA = [
+  { key: 'total', label: '合計', minimum: 180 },
+  { key: EXAM_SECTIONS.LAW, label: '法令等', minimum: 122 },
+  { key: EXAM_SECTIONS.GENERAL, label: '基礎知識', minimum: 24 },
+];
+
+export const MOCK_EXAM_QUESTION_COUNT = MOCK_EXAM_BLUEPRINT.reduce((sum, slot) => sum + slot.count, 0);
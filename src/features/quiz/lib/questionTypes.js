@@ -0,0 +1,43 @@
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'single_choice',
+  MULTIPLE_CHOICE: 'multiple_choice',
+  SHORT_ANSWER: 'short_answer',
+};
+
+export const QUESTION_TYPE_OPTIONS = [
+  { value: QUESTION_TYPES.SINGLE_CHOICE, label: '五肢択一式' },
+  { value: QUESTION_TYPES.MULTIPLE_CHOICE, label: '多肢選択式' },
+  { value: QUESTION_TYPES.SHORT_ANSWER, label: '記述式' },
+];
+
+// 本試験の配点（五肢択一 4点、多肢選択 1問8点＝空欄1つ2点、記述 20点）
+export const DEFAULT_QUESTION_POINTS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: 4,
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 8,
+  [QUESTION_TYPES.SHORT_ANSWER]: 20,
+};
+
+export const SINGLE_CHOICE_COUNT = 5;
+export const MULTIPLE_CHOICE_BLANK_LABELS = ['ア', 'イ', 'ウ', 'エ'];
+export const SHORT_ANSWER_MAX_LENGTH = 45;
+
+export const QUESTION_TYPE_LABELS = Object.fromEntries(
+  QUESTION_TYPE_OPTIONS.map((option) => [option.value, option.label])
+);
+
+export const QUESTION_TYPE_BADGE_CLASSES = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: 'bg-blue-100 text-blue-700',
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'bg-purple-100 text-purple-700',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'bg-amber-100 text-amber-700',
+};
+
+export function getQuestionTypeLabel(type) {
+  return QUESTION_TYPE_LABELS[type] || type;
+}
+
+// 記述式の採点・文字数カウントで使う正規化（全角半角・空白・句読点の差を無視する）
+export function normalizeAnswerText(text = '') {
+  return String(text)
+    .normalize('NFKC')
+    .replace(/[\s、。，．,.「」『』]/g, '');
+}
@@ -0,0 +1,137 @@
+import { QUESTION_TYPES, normalizeAnswerText } from '@/features/quiz/lib/questionTypes';
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function gradeSingleChoice(question, response) {
+  const selected = response === undefined || response === null ? null : String(response);
+  const correct = selected !== null && selected === question.answer;
+
+  return {
+    correct,
+    earned: correct ? question.points : 0,
+    response: selected,
+    correctAnswer: question.answer,
+  };
+}
+
+// 空欄ごとに部分点（配点 ÷ 空欄数）
+function gradeMultipleChoice(question, response) {
+  const responses = response && typeof response === 'object' ? response : {};
+  const pointsPerBlank = question.blanks.length ? question.points / question.blanks.length : 0;
+  const blanks = question.blanks.map((blank) => {
+    const selected = responses[blank.id] === undefined || responses[blank.id] === null
+      ? null
+      : String(responses[blank.id]);
+    return {
+      id: blank.id,
+      response: selected,
+      answer: blank.answer,
+      correct: selected === blank.answer,
+    };
+  });
+  const correctBlanks = blanks.filter((blank) => blank.correct).length;
+
+  return {
+    correct: correctBlanks === blanks.length,
+    earned: roundPoints(pointsPerBlank * correctBlanks),
+    response: Object.fromEntries(blanks.map((blank) => [blank.id, blank.response])),
+    correctAnswer: Object.fromEntries(blanks.map((blank) => [blank.id, blank.answer])),
+    blanks,
+  };
+}
+
+// 模範解答と一致すれば満点、そうでなければ含まれているキーワードの配点を合計する
+function gradeShortAnswer(question, response) {
+  const text = typeof response === 'string' ? response : '';
+  const normalized = normalizeAnswerText(text);
+  const tooLong = normalized.length > question.maxLength;
+
+  if (!normalized || tooLong) {
+    return {
+      correct: false,
+      earned: 0,
+      response: text,
+      correctAnswer: question.acceptedAnswers[0] || null,
+      matchedKeywords: [],
+      tooLong,
+    };
+  }
+
+  const exactMatch = question.acceptedAnswers
+    .some((answer) => normalizeAnswerText(answer) === normalized);
+  const matchedKeywords = question.keywords
+    .filter((keyword) => normalized.includes(normalizeAnswerText(keyword.text)));
+  const keywordPoints = matchedKeywords.reduce((sum, keyword) => sum + keyword.points, 0);
+  const earned = exactMatch ? question.points : Math.min(question.points, keywordPoints);
+
+  return {
+    correct: earned >= question.points,
+    earned: roundPoints(earned),
+    response: text,
+    correctAnswer: question.acceptedAnswers[0] || null,
+    matchedKeywords: matchedKeywords.map((keyword) => keyword.text),
+    tooLong,
+  };
+}
+
+const GRADERS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: gradeSingleChoice,
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: gradeMultipleChoice,
+  [QUESTION_TYPES.SHORT_ANSWER]: gradeShortAnswer,
+};
+
+export function gradeQuestion(question, response) {
+  const grader = GRADERS[question.type];
+  if (!grader) {
+    throw new Error(`Unsupported question type: ${question.type}`);
+  }
+
+  return {
+    questionId: question.id,
+    type: question.type,
+    points: question.points,
+    ...grader(question, response),
+    explanation: question.explanation || '',
+  };
+}
+
+// answers は { [questionId]: 回答 }。未回答は不正解として採点する
+export function gradeQuiz(questions, answers = {}) {
+  const results = questions.map((question) => gradeQuestion(question, answers[question.id]));
+  const earned = roundPoints(results.reduce((sum, result) => sum + result.earned, 0));
+  const possible = roundPoints(questions.reduce((sum, question) => sum + question.points, 0));
+
+  return {
+    results,
+    earned,
+    possible,
+    score: possible ? Math.round((earned / possible) * 100) : 0,
+    correctCount: results.filter((result) => result.correct).length,
+    total: results.length,
+  };
+}
+
+// 出題用。正答・解説・採点用キーワードは提出後まで返さない
+export function toPublicQuestion(question) {
+  const publicQuestion = {
+    id: question.id,
+    type: question.type,
+    prompt: question.prompt,
+    points: question.points,
+    source: question.source || null,
+  };
+
+  if (question.type === QUESTION_TYPES.SINGLE_CHOICE || question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    publicQuestion.choices = question.choices;
+  }
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    publicQuestion.blanks = question.blanks.map((blank) => ({ id: blank.id }));
+  }
+  if (question.type === QUESTION_TYPES.SHORT_ANSWER) {
+    publicQuestion.maxLength = question.maxLength;
+  }
+
+  return publicQuestion;
+}
@@ -0,0 +1,175 @@
+import questionRepository from '@/server/repositories/questionRepository';
+import mockExamRepository, { MOCK_EXAM_STATUSES } from '@/server/repositories/mockExamRepository';
+import { gradeQuiz, toPublicQuestion } from '@/features/quiz/server/grading';
+import {
+  EXAM_SECTIONS,
+  MOCK_EXAM_BLUEPRINT,
+  MOCK_EXAM_DURATION_MINUTES,
+  MOCK_EXAM_MAX_POINTS,
+  MOCK_EXAM_PASS_CRITERIA,
+} from '@/features/quiz/lib/mockExamBlueprint';
+import { hasPremiumAccess } from '@/shared/lib/entitlements';
+import { hasPermission, PERMISSIONS } from '@/shared/lib/permissions';
+
+// 通信の遅れで締切直後に届いた提出は受け付ける
+const SUBMIT_GRACE_MS = 60 * 1000;
+
+// 模擬試験はプレミアム会員向け。管理画面で問題を確認できるスタッフも受験できる
+export function canTakeMockExam(user) {
+  return hasPremiumAccess(user) || hasPermission(user, PERMISSIONS.CONTENT_READ);
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let index = result.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+  }
+  return result;
+}
+
+/**
+ * 問題バンクから本試験の出題数どおりに問題を選ぶ。
+ * 配点は問題ごとの設定ではなく本試験の配点（MOCK_EXAM_BLUEPRINT）を使う。
+ * 足りない枠があれば shortages に { key, label, type, required, available } を返す。
+ */
+export function assembleMockExam({ random = Math.random } = {}) {
+  const usedIds = new Set();
+  const shortages = [];
+  const questions = [];
+
+  MOCK_EXAM_BLUEPRINT.forEach((slot) => {
+    const candidates = slot.subjectIds
+      .flatMap((subjectId) => questionRepository.listQuestions({ subjectId, type: slot.type }))
+      .filter((question) => !usedIds.has(question.id));
+
+    if (candidates.length < slot.count) {
+      shortages.push({ key: slot.key, label: slot.label, type: slot.type, required: slot.count, available: candidates.length });
+      return;
+    }
+
+    shuffle(candidates, random).slice(0, slot.count).forEach((question) => {
+      usedIds.add(question.id);
+      questions.push({
+        ...question,
+        points: slot.points,
+        section: slot.section,
+        field: slot.label,
+      });
+    });
+  });
+
+  return {
+    questions: questions.map((question, index) => ({ ...question, number: index + 1 })),
+    shortages,
+  };
+}
+
+export function gradeMockExam(questions, answers = {}) {
+  const grading = gradeQuiz(questions, answers);
+  const questionsById = Object.fromEntries(questions.map((question) => [question.id, question]));
+
+  const sections = Object.fromEntries(Object.values(EXAM_SECTIONS).map((section) => [section, {
+    earned: Math.round(grading.results
+      .filter((result) => questionsById[result.questionId].section === section)
+      .reduce((sum, result) => sum + result.earned, 0) * 100) / 100,
+    max: MOCK_EXAM_MAX_POINTS[section],
+  }]));
+  const totals = {
+    total: grading.earned,
+    ...Object.fromEntries(Object.entries(sections).map(([section, value]) => [section, value.earned])),
+  };
+
+  const criteria = MOCK_EXAM_PASS_CRITERIA.map((criterion) => ({
+    ...criterion,
+    earned: totals[criterion.key],
+    max: MOCK_EXAM_MAX_POINTS[criterion.key],
+    met: totals[criterion.key] >= criterion.minimum,
+  }));
+  const missedCriteria = criteria.filter((criterion) => !criterion.met);
+
+  return {
+    totalPoints: grading.earned,
+    maxPoints: MOCK_EXAM_MAX_POINTS.total,
+    correctCount: grading.correctCount,
+    questionCount: grading.total,
+    sections,
+    criteria,
+    missedCriteria: missedCriteria.map(({ key, label, minimum, earned }) => ({ key, label, minimum, earned })),
+    passed: missedCriteria.length === 0,
+    results: grading.results.map((result) => ({
+      ...result,
+      number: questionsById[result.questionId].number,
+      section: questionsById[result.questionId].section,
+      field: questionsById[result.questionId].field,
+    })),
+  };
+}
+
+export function startMockExam(userId, options = {}) {
+  const { questions, shortages } = assembleMockExam(options);
+  if (shortages.length) {
+    return { attempt: null, shortages };
+  }
+
+  return {
+    attempt: mockExamRepository.createAttempt(userId, questions, { durationMinutes: MOCK_EXAM_DURATION_MINUTES }),
+    shortages,
+  };
+}
+
+/**
+ * 提出を採点して受験記録を確定する。
+ * 締切（＋猶予）を過ぎてからの提出では送られてきた回答を使わず、締切までに保存された回答で採点する。
+ */
+export function submitMockExam(attempt, answers, { now = Date.now() } = {}) {
+  const deadline = new Date(attempt.expiresAt).getTime();
+  const timedOut = now > deadline + SUBMIT_GRACE_MS;
+  const finalAnswers = timedOut || !answers ? attempt.answers : answers;
+  const result = {
+    ...gradeMockExam(attempt.questions, finalAnswers),
+    timedOut,
+  };
+
+  return mockExamRepository.completeAttempt(attempt.userId, attempt.id, {
+    answers: finalAnswers,
+    result,
+    submittedAt: new Date(Math.min(now, deadline)).toISOString(),
+  }) || mockExamRepository.findAttempt(attempt.userId, attempt.id);
+}
+
+// 締切を過ぎたまま放置された受験は、読み込んだ時点で保存済みの回答を採点して確定する
+export function finalizeIfExpired(attempt, { now = Date.now() } = {}) {
+  if (!attempt || attempt.status !== MOCK_EXAM_STATUSES.IN_PROGRESS) {
+    return attempt;
+  }
+
+  if (now <= new Date(attempt.expiresAt).getTime() + SUBMIT_GRACE_MS) {
+    return attempt;
+  }
+
+  return submitMockExam(attempt, null, { now });
+}
+
+export function toPublicAttempt(attempt) {
+  const base = {
+    id: attempt.id,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    answers: attempt.answers,
+  };
+
+  const questions = attempt.questions.map((question) => ({
+    ...toPublicQuestion(question),
+    number: question.number,
+    section: question.section,
+    field: question.field,
+  }));
+
+  // 正答と解説は採点後の result にだけ含まれる
+  return attempt.status === MOCK_EXAM_STATUSES.IN_PROGRESS
+    ? { ...base, questions }
+    : { ...base, questions, result: attempt.result };
+}
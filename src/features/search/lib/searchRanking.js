@@ -0,0 +1,119 @@
+import { buildSnippet, containsAllTerms, normalizeSearchText } from '@/features/search/lib/searchText';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// 検索語が単元のタイトル・節の見出しに含まれるときの加点
+const TITLE_MATCH_BONUS = 4;
+const HEADING_MATCH_BONUS = 2;
+// 単元の得点は最もよく当たった節の得点に、ほかの節の得点を割り引いて足したもの
+const OTHER_SECTION_WEIGHT = 0.2;
+const MAX_SECTION_HITS = 3;
+
+export const SEARCH_FACET_KEYS = ['subjectId', 'type', 'difficulty'];
+
+function toSectionKey(unitId, ordinal) {
+  return `${unitId}:${ordinal}`;
+}
+
+function bm25(tf, df, length, { documentCount, averageLength }) {
+  const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+  return idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * (length / averageLength))));
+}
+
+function scoreSection(section, terms, termFrequencies, documentFrequencies, stats) {
+  return terms
+    .filter((term) => section.normalizedText.includes(term.text))
+    .reduce((total, term) => total
+      + term.tokens.reduce((sum, token) => sum + bm25(
+        termFrequencies.get(`${toSectionKey(section.unitId, section.ordinal)}\n${token}`) || 0,
+        documentFrequencies.get(token) || 0,
+        section.length,
+        stats
+      ), 0)
+      + (section.sectionTitle && normalizeSearchText(section.sectionTitle).text.includes(term.text) ? HEADING_MATCH_BONUS : 0), 0);
+}
+
+/**
+ * 索引から引いた節を BM25 で採点し、単元ごとにまとめて得点順に並べる。
+ * bigram は語順を見ないので、検索語がそのまま含まれているかを節の本文で確かめ、
+ * 空白で区切った検索語がすべて単元のタイトルか本文のどこかに含まれる単元だけを返す。
+ *
+ * units: 検索対象の単元、sections: 索引の節（本文付き）、postings: [{ token, unitId, ordinal, tf }]、
+ * stats: 検索対象の単元全体の { documentCount, averageLength }
+ */
+export function rankSearchHits({ terms, units, sections, postings, stats }) {
+  const termFrequencies = new Map();
+  const documentFrequencies = new Map();
+  postings.forEach((posting) => {
+    termFrequencies.set(`${toSectionKey(posting.unitId, posting.ordinal)}\n${posting.token}`, posting.tf);
+    documentFrequencies.set(posting.token, (documentFrequencies.get(posting.token) || 0) + 1);
+  });
+
+  const sectionsByUnit = new Map();
+  sections.forEach((section) => {
+    const normalizedSection = { ...section, normalizedText: normalizeSearchText(section.text).text };
+    sectionsByUnit.set(section.unitId, [...(sectionsByUnit.get(section.unitId) || []), normalizedSection]);
+  });
+
+  return units
+    .map((unit) => {
+      const normalizedTitle = normalizeSearchText(unit.title).text;
+      const unitSections = sectionsByUnit.get(unit.id) || [];
+      const searchable = [normalizedTitle, ...unitSections.map((section) => section.normalizedText)].join('\n');
+      if (!containsAllTerms(searchable, terms)) {
+        return null;
+      }
+
+      const hits = unitSections
+        .map((section) => ({ section, score: scoreSection(section, terms, termFrequencies, documentFrequencies, stats) }))
+        .filter((hit) => hit.score > 0)
+        .sort((left, right) => right.score - left.score);
+      const titleBonus = terms.filter((term) => normalizedTitle.includes(term.text)).length * TITLE_MATCH_BONUS;
+      const score = (hits[0]?.score || 0)
+        + hits.slice(1).reduce((sum, hit) => sum + hit.score, 0) * OTHER_SECTION_WEIGHT
+        + titleBonus;
+
+      return {
+        unit,
+        score,
+        sections: hits.slice(0, MAX_SECTION_HITS).map(({ section, score: sectionScore }) => ({
+          sectionId: section.sectionId,
+          sectionTitle: section.sectionTitle,
+          score: sectionScore,
+          snippet: buildSnippet(section.text, terms),
+        })),
+      };
+    })
+    .filter(Boolean)
+    .sort((left, right) => right.score - left.score);
+}
+
+export function matchesSearchFilters(unit, filters = {}, ignoredKey = null) {
+  return SEARCH_FACET_KEYS
+    .filter((key) => key !== ignoredKey)
+    .every((key) => !filters[key] || unit[key] === filters[key]);
+}
+
+/**
+ * 科目・種別・難易度ごとの件数。それぞれ自分以外の絞り込みだけを適用して数えるので、
+ * 選択中の値を外したときに何件になるかも分かる。
+ */
+export function buildSearchFacets(hits, filters = {}) {
+  return Object.fromEntries(SEARCH_FACET_KEYS.map((key) => {
+    const counts = new Map();
+    hits
+      .filter((hit) => matchesSearchFilters(hit.unit, filters, key))
+      .forEach((hit) => counts.set(hit.unit[key], (counts.get(hit.unit[key]) || 0) + 1));
+
+    return [key, [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((left, right) => right.count - left.count)];
+  }));
+}
+
+export function getSectionKeys(postings) {
+  return [...new Map(postings.map((posting) => [
+    toSectionKey(posting.unitId, posting.ordinal),
+    [posting.unitId, posting.ordinal],
+  ])).values()];
+}
@@ -0,0 +1,220 @@
+// 法令・判例の引用に出てくる旧字体を新字体にそろえる（NFKC では変換されないもの）
+const KANJI_VARIANTS = new Map(Object.entries({
+  國: '国',
+  條: '条',
+  權: '権',
+  號: '号',
+  會: '会',
+  證: '証',
+  擔: '担',
+  賣: '売',
+  讓: '譲',
+  辯: '弁',
+  辨: '弁',
+  舊: '旧',
+  體: '体',
+  實: '実',
+  經: '経',
+  從: '従',
+  價: '価',
+  當: '当',
+  對: '対',
+  廳: '庁',
+  縣: '県',
+  區: '区',
+  與: '与',
+  關: '関',
+  續: '続',
+  處: '処',
+  變: '変',
+  擧: '挙',
+  禮: '礼',
+  險: '険',
+  澤: '沢',
+  邊: '辺',
+  髙: '高',
+  﨑: '崎',
+}));
+
+const SOUND_MARK_PATTERN = /^[\u3099\u309a]$/;
+const CJK_RUN_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}ー々〆]+$/u;
+const TOKEN_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}ー々〆]+|(?:(?![\p{Script=Han}\p{Script=Hiragana}ー々〆])[\p{L}\p{N}])+/gu;
+
+const MAX_QUERY_TERMS = 8;
+
+function toHiragana(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : char;
+}
+
+function normalizeChar(char) {
+  return KANJI_VARIANTS.get(char) || toHiragana(char);
+}
+
+/**
+ * 検索用の正規化。全角英数・半角カナを NFKC でそろえ、英字を小文字に、カタカナをひらがなに、旧字体を新字体にする。
+ * starts / ends は正規化後の各文字が元の文字列のどこから来たか（スニペットの切り出しに使う）。
+ */
+export function normalizeSearchText(value = '') {
+  const source = String(value || '');
+  let text = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (const char of source) {
+    const next = offset + char.length;
+    const normalized = char.normalize('NFKC').toLowerCase();
+
+    // 半角カナの濁点・半濁点は単独の結合文字になるので、直前の文字と合成する
+    if (SOUND_MARK_PATTERN.test(normalized) && text) {
+      const combined = `${text.slice(-1)}${normalized}`.normalize('NFC');
+      if (combined.length === 1) {
+        text = `${text.slice(0, -1)}${combined}`;
+        ends[ends.length - 1] = next;
+        offset = next;
+        continue;
+      }
+    }
+
+    for (const normalizedChar of normalized) {
+      const mapped = /\s/.test(normalizedChar) ? ' ' : normalizeChar(normalizedChar);
+      text += mapped;
+      for (let index = 0; index < mapped.length; index += 1) {
+        starts.push(offset);
+        ends.push(next);
+      }
+    }
+    offset = next;
+  }
+
+  return { text, starts, ends };
+}
+
+// 漢字・かなの連続は bigram、英数字の連続は語として扱う
+function splitRuns(normalizedText) {
+  return (normalizedText.match(TOKEN_RUN_PATTERN) || []).map((run) => ({
+    run,
+    isCjk: CJK_RUN_PATTERN.test(run),
+  }));
+}
+
+function toBigrams(run) {
+  const chars = Array.from(run);
+  return chars.slice(0, -1).map((char, index) => `${char}${chars[index + 1]}`);
+}
+
+/**
+ * 索引に載せるトークンと出現回数。漢字・かなは1文字検索にも当たるよう unigram も載せる。
+ * length は BM25 の文書長（トークンの総数）。
+ */
+export function tokenizeSearchText(value = '') {
+  const tokens = new Map();
+  let length = 0;
+  const add = (token) => {
+    tokens.set(token, (tokens.get(token) || 0) + 1);
+    length += 1;
+  };
+
+  splitRuns(normalizeSearchText(value).text).forEach(({ run, isCjk }) => {
+    if (!isCjk) {
+      add(run);
+      return;
+    }
+
+    Array.from(run).forEach(add);
+    toBigrams(run).forEach(add);
+  });
+
+  return { tokens, length };
+}
+
+// 検索語側は2文字以上の連続なら bigram だけを使う
+function getQueryTokens(term) {
+  return [...new Set(splitRuns(term).flatMap(({ run, isCjk }) => {
+    if (!isCjk || Array.from(run).length === 1) {
+      return [run];
+    }
+    return toBigrams(run);
+  }))];
+}
+
+/**
+ * 検索キーワードを空白で区切り、正規化した語とそのトークンにする。記号だけの語は捨てる。
+ */
+export function parseSearchQuery(query = '') {
+  const seen = new Set();
+
+  return normalizeSearchText(query).text
+    .split(' ')
+    .filter((term) => {
+      if (!term || seen.has(term)) {
+        return false;
+      }
+      seen.add(term);
+      return true;
+    })
+    .map((term) => ({ text: term, tokens: getQueryTokens(term) }))
+    .filter((term) => term.tokens.length)
+    .slice(0, MAX_QUERY_TERMS);
+}
+
+function findMatchRanges(source, terms) {
+  const { text, starts, ends } = source;
+  const ranges = [];
+
+  terms.forEach((term) => {
+    let index = text.indexOf(term.text);
+    while (index !== -1) {
+      ranges.push([starts[index], ends[index + term.text.length - 1]]);
+      index = text.indexOf(term.text, index + term.text.length);
+    }
+  });
+
+  return ranges.sort((left, right) => left[0] - right[0] || right[1] - left[1]);
+}
+
+/**
+ * 正規化した text に、検索語がすべて含まれているか
+ */
+export function containsAllTerms(normalizedText, terms) {
+  return terms.every((term) => normalizedText.includes(term.text));
+}
+
+/**
+ * 最初に検索語が出てくる位置の前後を切り出す。HTML は返さず、
+ * 表示側で強調できるよう [{ text, match }] の断片に分けて返す。
+ */
+export function buildSnippet(value = '', terms = [], { maxLength = 120, leading = 30 } = {}) {
+  const text = String(value || '');
+  const ranges = findMatchRanges(normalizeSearchText(text), terms);
+  const start = ranges.length ? Math.max(0, ranges[0][0] - leading) : 0;
+  const end = Math.min(text.length, start + maxLength);
+  const segments = [];
+  let cursor = start;
+
+  ranges
+    .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+    .forEach(([rangeStart, rangeEnd]) => {
+      if (rangeStart < cursor) {
+        return;
+      }
+      if (rangeStart > cursor) {
+        segments.push({ text: text.slice(cursor, rangeStart), match: false });
+      }
+      segments.push({ text: text.slice(rangeStart, rangeEnd), match: true });
+      cursor = rangeEnd;
+    });
+
+  if (cursor < end) {
+    segments.push({ text: text.slice(cursor, end), match: false });
+  }
+  if (start > 0) {
+    segments.unshift({ text: '…', match: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: '…', match: false });
+  }
+
+  return segments;
+}
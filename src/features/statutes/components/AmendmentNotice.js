@@ -0,0 +1,55 @@
+import { AlertTriangle } from 'lucide-react';
+
+function formatDate(value) {
+  return value ? new Date(`${value}T00:00:00`).toLocaleDateString('ja-JP') : '';
+}
+
+/**
+ * 単元ページのお知らせ。今年の試験で出題範囲に入る法改正より前の内容で書かれている単元・節を知らせる。
+ * notice は単元 API の lawNotice。onSelectSection(sectionId) で該当する節へ移動する。
+ */
+export default function AmendmentNotice({ notice, onSelectSection }) {
+  if (!notice?.amendments?.length) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 rounded-2xl border border-amber-200 bg-amber-50 p-5 text-sm text-amber-900">
+      <p className="flex items-center gap-2 font-medium">
+        <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+        この単元には、{notice.examYear}年度試験の基準日（{formatDate(notice.referenceDate)}）までに施行される法改正の前の内容が含まれています
+      </p>
+      <ul className="mt-3 space-y-3">
+        {notice.amendments.map((amendment) => (
+          <li key={amendment.id}>
+            <p>
+              <span className="font-medium">{amendment.lawName}：{amendment.title}</span>
+              <span className="ml-2 text-xs text-amber-700">
+                {formatDate(amendment.effectiveFrom)}施行{amendment.isNew ? `・${notice.examYear}年度試験から出題範囲` : ''}
+              </span>
+            </p>
+            <p className="mt-1 text-xs">
+              該当する条文: {amendment.articles.join('、')}
+            </p>
+            {amendment.sections.some((section) => section.sectionId) && (
+              <p className="mt-1 flex flex-wrap gap-2 text-xs">
+                該当する節:
+                {amendment.sections.filter((section) => section.sectionId).map((section) => (
+                  <button
+                    key={section.sectionId}
+                    type="button"
+                    onClick={() => onSelectSection?.(section.sectionId)}
+                    className="underline hover:text-amber-700"
+                  >
+                    {section.sectionTitle}
+                  </button>
+                ))}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+      <p className="mt-3 text-xs text-amber-700">改正後の条文を確認しながら学習してください。</p>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useMemo } from 'react';
+import { extractSectionTexts } from '@/features/content/lib/htmlUtils';
+import { extractMarkdownSectionTexts } from '@/features/content/lib/markdownUtils';
+import { MAX_LAW_VERSION_LENGTH } from '@/features/statutes/lib/amendments';
+import { Plus, X } from 'lucide-react';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * 単元編集の「法令の基準日」。本文がいつの法令に基づくか（単元全体と、節ごとの上書き）を入力する。
+ * formData の lawVersion / effectiveFrom / sectionLawVersions を onChange(field, value) で更新する。
+ */
+export default function LawVersionFields({ formData, onChange }) {
+  const sections = useMemo(() => {
+    const texts = formData.contentFormat === 'html'
+      ? extractSectionTexts(formData.content)
+      : extractMarkdownSectionTexts(formData.content);
+    return texts.filter((section) => section.sectionId);
+  }, [formData.content, formData.contentFormat]);
+
+  const overrides = formData.sectionLawVersions || [];
+  const availableSections = sections.filter((section) => !overrides.some((entry) => entry.sectionId === section.sectionId));
+
+  function updateOverride(index, field, value) {
+    onChange('sectionLawVersions', overrides.map((entry, entryIndex) => (entryIndex === index ? { ...entry, [field]: value } : entry)));
+  }
+
+  function addOverride() {
+    onChange('sectionLawVersions', [
+      ...overrides,
+      { sectionId: availableSections[0].sectionId, lawVersion: '', effectiveFrom: formData.effectiveFrom || '' },
+    ]);
+  }
+
+  function removeOverride(index) {
+    onChange('sectionLawVersions', overrides.filter((_, entryIndex) => entryIndex !== index));
+  }
+
+  return (
+    <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <h3 className="mb-1 text-sm font-medium text-gray-700">法令の基準日</h3>
+      <p className="mb-4 text-xs text-gray-500">本文がいつ時点の法令に基づくか。引用している条文の改正の施行日より前なら「法改正の影響」に出ます。</p>
+      <div className="space-y-3">
+        <input
+          type="text"
+          value={formData.lawVersion || ''}
+          onChange={(event) => onChange('lawVersion', event.target.value)}
+          maxLength={MAX_LAW_VERSION_LENGTH}
+          placeholder="例: 令和2年4月1日施行の債権法改正に対応"
+          className={INPUT_CLASS}
+        />
+        <input
+          type="date"
+          value={formData.effectiveFrom || ''}
+          onChange={(event) => onChange('effectiveFrom', event.target.value)}
+          aria-label="法令の基準日"
+          className={INPUT_CLASS}
+        />
+
+        {overrides.map((entry, index) => (
+          <div key={entry.sectionId} className="space-y-2 rounded-lg bg-gray-50 p-3">
+            <div className="flex items-center gap-2">
+              <select
+                value={entry.sectionId}
+                onChange={(event) => updateOverride(index, 'sectionId', event.target.value)}
+                className={INPUT_CLASS}
+              >
+                {!sections.some((section) => section.sectionId === entry.sectionId) && (
+                  <option value={entry.sectionId}>{entry.sectionId}（本文にない節）</option>
+                )}
+                {sections
+                  .filter((section) => section.sectionId === entry.sectionId || availableSections.includes(section))
+                  .map((section) => <option key={section.sectionId} value={section.sectionId}>{section.sectionTitle}</option>)}
+              </select>
+              <button type="button" onClick={() => removeOverride(index)} aria-label="節の基準日を削除" className="p-1 text-gray-400 hover:text-red-600">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <input
+              type="date"
+              value={entry.effectiveFrom || ''}
+              onChange={(event) => updateOverride(index, 'effectiveFrom', event.target.value)}
+              aria-label="節の法令の基準日"
+              className={INPUT_CLASS}
+            />
+            <input
+              type="text"
+              value={entry.lawVersion || ''}
+              onChange={(event) => updateOverride(index, 'lawVersion', event.target.value)}
+              maxLength={MAX_LAW_VERSION_LENGTH}
+              placeholder="節の法令の版（任意）"
+              className={INPUT_CLASS}
+            />
+          </div>
+        ))}
+
+        {availableSections.length > 0 && (
+          <button type="button" onClick={addOverride} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+            <Plus className="h-4 w-4" />
+            節ごとの基準日を追加
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { LAWS } from '@/features/statutes/lib/laws';
+import { formatArticle } from '@/features/statutes/lib/citations';
+
+// 行政書士試験は、試験を行う年の4月1日現在施行されている法令に基づいて出題される
+const EXAM_REFERENCE_MONTH_DAY = '04-01';
+// 本試験は11月。12月からは翌年の試験に向けた学習として扱う
+const EXAM_YEAR_ROLLOVER_MONTH = 11;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const MAX_LAW_VERSION_LENGTH = 100;
+
+// laws.js の amendments に載っている法改正。施行日の新しい順。
+// articles がない改正（全部改正など）は、その法令のどの条文も改正の対象として扱う
+export const KNOWN_AMENDMENTS = LAWS
+  .flatMap((law) => (law.amendments || []).map((amendment) => ({
+    id: amendment.id,
+    title: amendment.title,
+    effectiveFrom: amendment.effectiveFrom,
+    articles: amendment.articles || null,
+    lawId: law.id,
+    lawName: law.name,
+    subjectId: law.subjectId,
+  })))
+  .sort((left, right) => right.effectiveFrom.localeCompare(left.effectiveFrom));
+
+function toLocalDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function getCurrentExamYear(now = new Date()) {
+  return now.getMonth() >= EXAM_YEAR_ROLLOVER_MONTH ? now.getFullYear() + 1 : now.getFullYear();
+}
+
+// その年の試験で基準になる日（この日までに施行された改正が出題範囲）
+export function getExamReferenceDate(examYear) {
+  return `${examYear}-${EXAM_REFERENCE_MONTH_DAY}`;
+}
+
+export function isAmendmentInScope(amendment, examYear) {
+  return amendment.effectiveFrom <= getExamReferenceDate(examYear);
+}
+
+// 前年の試験の基準日より後に施行された改正（その年の試験で初めて出題範囲に入る）
+export function isAmendmentNewForExamYear(amendment, examYear) {
+  return isAmendmentInScope(amendment, examYear)
+    && amendment.effectiveFrom > getExamReferenceDate(examYear - 1);
+}
+
+export function amendmentCoversArticle(amendment, lawId, article) {
+  return amendment.lawId === lawId && (!amendment.articles || amendment.articles.includes(article));
+}
+
+export function formatAmendmentArticles(amendment) {
+  return amendment.articles
+    ? amendment.articles.map((article) => formatArticle(article)).join('、')
+    : '全体';
+}
+
+export function findAmendment(id) {
+  return KNOWN_AMENDMENTS.find((amendment) => amendment.id === id) || null;
+}
+
+// 'YYYY-MM-DD'（<input type="date"> の値）にそろえる。日付として読めなければ null
+export function normalizeLawDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (DATE_PATTERN.test(text)) {
+    return Number.isNaN(new Date(`${text}T00:00:00`).getTime()) ? null : text;
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : toLocalDateString(date);
+}
+
+export function normalizeLawVersion(value) {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, MAX_LAW_VERSION_LENGTH) : null;
+}
+
+/**
+ * 節ごとの法令の基準日（[{ sectionId, lawVersion, effectiveFrom }]）。フォームからは JSON 文字列でも受け取る。
+ * 節 ID のないもの・基準日も版の説明もないものは捨て、同じ節は後のものを使う。
+ */
+export function normalizeSectionLawVersions(value) {
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value || '[]');
+    } catch {
+      entries = [];
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const bySection = new Map();
+  entries.forEach((entry) => {
+    const sectionId = String(entry?.sectionId || '').trim();
+    const normalized = {
+      sectionId,
+      lawVersion: normalizeLawVersion(entry?.lawVersion),
+      effectiveFrom: normalizeLawDate(entry?.effectiveFrom),
+    };
+    if (sectionId && (normalized.lawVersion || normalized.effectiveFrom)) {
+      bySection.set(sectionId, normalized);
+    }
+  });
+  return [...bySection.values()];
+}
+
+// 節の内容がいつの法令に基づくか。節ごとの指定がなければ単元の基準日を使う（どちらもなければ null）
+export function resolveSectionEffectiveFrom(unit, sectionId) {
+  const override = sectionId
+    ? (unit?.sectionLawVersions || []).find((entry) => entry.sectionId === sectionId)
+    : null;
+  return override?.effectiveFrom || unit?.effectiveFrom || null;
+}
@@ -0,0 +1,196 @@
+import { LAWS } from '@/features/statutes/lib/laws';
+import { JAPANESE_NUMBER_PATTERN, parseJapaneseNumber } from '@/shared/lib/japaneseNumbers';
+
+// 「民法93条1項ただし書」「日本国憲法第21条第1項前段」「会社法423条の2」のような条文の引用を見つける
+
+const NUMBER = JAPANESE_NUMBER_PATTERN;
+const ARTICLE = `第?(${NUMBER})条(?:の(${NUMBER}))?(?:第?(${NUMBER})項)?(?:第?(${NUMBER})号)?(ただし書|但書|本文|前段|後段|柱書)?`;
+
+// laws.js に載っている法令。略称も同じ法令として扱う
+export const KNOWN_LAWS = LAWS.map((law) => ({
+  id: law.id,
+  name: law.name,
+  aliases: law.aliases || [],
+  subjectId: law.subjectId,
+}));
+
+const LAWS_BY_NAME = new Map(KNOWN_LAWS.flatMap((law) => [law.name, ...law.aliases].map((name) => [name, law])));
+const KNOWN_NAMES = [...LAWS_BY_NAME.keys()].sort((left, right) => right.length - left.length);
+
+// 既知の法令名を優先し、それ以外は「…法」で終わる語を未知の法令名の候補にする
+const CITATION_PATTERN = new RegExp(
+  `(${KNOWN_NAMES.join('|')}|[\\p{Script=Han}\\p{Script=Katakana}ー]{1,20}?法)${ARTICLE}`,
+  'gu',
+);
+// 「民法93条、94条・95条」のように法令名を省いて続く条文
+const CONTINUATION_PATTERN = new RegExp(`[、・]${ARTICLE}`, 'uy');
+
+// 他の条文を指す語や旧法は引用として扱わない
+const RELATIVE_LAW_NAMES = new Set(['同法', '本法', '旧法', '新法', '当該法']);
+const HISTORICAL_PREFIX_PATTERN = /(旧|改正前|大日本帝国)$/;
+const CURRENT_PREFIX_PATTERN = /(現行|改正後?|新)$/;
+
+export const CITATION_PART_LABELS = {
+  ただし書: 'ただし書',
+  但書: 'ただし書',
+  本文: '本文',
+  前段: '前段',
+  後段: '後段',
+  柱書: '柱書',
+};
+
+// 引用として扱わない語（同法・旧民法など）は null。
+// 「平成29年改正民法」のように前置きが付いたものは、既知の法令名の部分だけを lawName にする
+function resolveLawName(name) {
+  if (RELATIVE_LAW_NAMES.has(name)) {
+    return null;
+  }
+
+  if (LAWS_BY_NAME.has(name)) {
+    return { lawName: name, law: LAWS_BY_NAME.get(name) };
+  }
+
+  const knownSuffix = KNOWN_NAMES.find((knownName) => name.endsWith(knownName));
+  if (knownSuffix) {
+    const prefix = name.slice(0, -knownSuffix.length);
+    if (HISTORICAL_PREFIX_PATTERN.test(prefix)) {
+      return null;
+    }
+    if (CURRENT_PREFIX_PATTERN.test(prefix)) {
+      return { lawName: knownSuffix, law: LAWS_BY_NAME.get(knownSuffix) };
+    }
+  }
+
+  return { lawName: name, law: null };
+}
+
+// groups は ARTICLE の捕捉グループ（条・枝番号・項・号・ただし書等）
+function toCitation(groups, { start, text, lawName, law }) {
+  const [articleNumber, branchNumber, paragraph, item, part] = groups;
+
+  return {
+    start,
+    end: start + text.length,
+    text,
+    lawName,
+    law,
+    article: `${parseJapaneseNumber(articleNumber)}${branchNumber ? `の${parseJapaneseNumber(branchNumber)}` : ''}`,
+    paragraph: paragraph ? parseJapaneseNumber(paragraph) : null,
+    item: item ? parseJapaneseNumber(item) : null,
+    part: part ? CITATION_PART_LABELS[part] : null,
+  };
+}
+
+/**
+ * 文中の条文引用を出現順に返す。law は KNOWN_LAWS の要素で、laws.js にない法令なら null。
+ * 「同法」「旧民法」のように今の法令の条文を特定できないものは返さない。
+ * start / end は text 内の位置（法令名を省いた続きの条文は「94条」の部分だけを指す）。
+ */
+export function parseStatuteCitations(text = '') {
+  const citations = [];
+  const source = String(text);
+  const pattern = new RegExp(CITATION_PATTERN);
+  const continuationPattern = new RegExp(CONTINUATION_PATTERN);
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const [matchedText, candidate, ...groups] = match;
+    const resolved = resolveLawName(candidate);
+    if (!resolved) {
+      continue;
+    }
+
+    const { lawName, law } = resolved;
+    const prefixLength = candidate.length - lawName.length;
+    citations.push(toCitation(groups, {
+      start: match.index + prefixLength,
+      text: matchedText.slice(prefixLength),
+      lawName,
+      law,
+    }));
+
+    continuationPattern.lastIndex = pattern.lastIndex;
+    let continuation;
+    while ((continuation = continuationPattern.exec(source))) {
+      const [continuationText, ...continuationGroups] = continuation;
+      // 先頭の区切り文字（、・）は引用に含めない
+      citations.push(toCitation(continuationGroups, {
+        start: continuation.index + 1,
+        text: continuationText.slice(1),
+        lawName,
+        law,
+      }));
+      pattern.lastIndex = continuationPattern.lastIndex;
+    }
+  }
+
+  return citations;
+}
+
+/**
+ * 本文を「ただの文字列」と「リンクにする条文引用」の断片に分ける（HTML・Markdown の描画用）。
+ * 未知の法令の引用はリンクにせず文字列のまま残す。
+ */
+export function splitByStatuteCitations(text = '') {
+  const segments = [];
+  let cursor = 0;
+
+  parseStatuteCitations(text)
+    .filter((citation) => citation.law)
+    .forEach((citation) => {
+      if (citation.start > cursor) {
+        segments.push({ text: text.slice(cursor, citation.start) });
+      }
+      segments.push({ text: citation.text, citation });
+      cursor = citation.end;
+    });
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor) });
+  }
+
+  return segments;
+}
+
+export function getArticleKey(lawId, article) {
+  return `${lawId}:${article}`;
+}
+
+export function getArticleAnchorId(lawId, article) {
+  return `article-${lawId}-${String(article).replace(/の/g, '-')}`;
+}
+
+// 「94条の2」
+export function formatArticle(article) {
+  const [number, branch] = String(article).split('の');
+  return `${number}条${branch ? `の${branch}` : ''}`;
+}
+
+export function getArticleHref(citation) {
+  return `/articles#${getArticleAnchorId(citation.law.id, citation.article)}`;
+}
+
+// 「民法93条1項ただし書」のように正規化した表記。枝番号の直後の項・号は「242条の2第1項」と第を付ける
+export function formatCitation(citation) {
+  const subdivisions = [
+    citation.paragraph ? `${citation.paragraph}項` : '',
+    citation.item ? `${citation.item}号` : '',
+  ].filter(Boolean);
+  if (subdivisions.length && String(citation.article).includes('の')) {
+    subdivisions[0] = `第${subdivisions[0]}`;
+  }
+
+  return [
+    citation.law?.name || citation.lawName,
+    formatArticle(citation.article),
+    ...subdivisions,
+    citation.part || '',
+  ].join('');
+}
+
+// 条番号の順（94条 < 94条の2 < 95条）
+export function compareArticles(left, right) {
+  const [leftArticle, leftBranch = 0] = String(left).split('の').map(Number);
+  const [rightArticle, rightBranch = 0] = String(right).split('の').map(Number);
+  return leftArticle - rightArticle || leftBranch - rightBranch;
+}
@@ -0,0 +1,193 @@
+// 条文リンク・条文索引・法改正の追跡で扱う法令（subjectId はその法令を主に学ぶ科目）。
+// amendments は法改正（施行日 effectiveFrom、改正された条 articles。articles がなければ法令全体が対象）。
+// 引用の解析規則と結びついているので、科目データ（管理画面で編集する）とは分けてコードで管理する
+export const LAWS = [
+  {
+    "id": "civil-code",
+    "name": "民法",
+    "subjectId": "civil-law",
+    "amendments": [
+      {
+        "id": "civil-code-2019-holographic-will",
+        "title": "相続法改正：自筆証書遺言の方式緩和（平成30年法律第72号）",
+        "effectiveFrom": "2019-01-13",
+        "articles": ["968"]
+      },
+      {
+        "id": "civil-code-2019-succession",
+        "title": "相続法改正：遺産分割・遺留分・特別の寄与（平成30年法律第72号）",
+        "effectiveFrom": "2019-07-01",
+        "articles": ["899の2", "903", "906の2", "909の2", "1013", "1014", "1015", "1046", "1047", "1048", "1050"]
+      },
+      {
+        "id": "civil-code-2020-obligations",
+        "title": "債権法改正（平成29年法律第44号）",
+        "effectiveFrom": "2020-04-01",
+        "articles": ["3の2", "90", "93", "95", "96", "98の2", "101", "102", "107", "108", "109", "110", "112", "117", "121の2", "145", "147", "148", "149", "150", "151", "152", "166", "167", "404", "412の2", "413の2", "415", "416", "419", "420", "422の2", "423", "423の7", "424", "466", "466の5", "467", "469", "482", "505", "520の2", "533", "536", "541", "542", "543", "548の2", "548の3", "548の4", "562", "563", "564", "565", "566", "587の2", "601", "605の4", "611", "613", "622の2", "634", "637", "641", "648の2", "662", "724", "724の2"]
+      },
+      {
+        "id": "civil-code-2020-spousal-residence",
+        "title": "相続法改正：配偶者居住権（平成30年法律第72号）",
+        "effectiveFrom": "2020-04-01",
+        "articles": ["1028", "1029", "1030", "1031", "1032", "1033", "1034", "1035", "1036", "1037", "1038", "1039", "1040", "1041"]
+      },
+      {
+        "id": "civil-code-2022-majority",
+        "title": "成年年齢の引下げ（平成30年法律第59号）",
+        "effectiveFrom": "2022-04-01",
+        "articles": ["4", "731", "737", "753", "792"]
+      },
+      {
+        "id": "civil-code-2022-discipline",
+        "title": "懲戒権の見直し（令和4年法律第102号）",
+        "effectiveFrom": "2022-12-16",
+        "articles": ["821", "822"]
+      },
+      {
+        "id": "civil-code-2023-property",
+        "title": "物権法・相続法の見直し（令和3年法律第24号）",
+        "effectiveFrom": "2023-04-01",
+        "articles": ["209", "213の2", "213の3", "233", "251", "252", "252の2", "258", "258の2", "262の2", "262の3", "264の2", "264の3", "264の8", "264の9", "264の14", "897の2", "898", "904の3", "940"]
+      },
+      {
+        "id": "civil-code-2024-parentage",
+        "title": "嫡出推定・嫡出否認の見直し（令和4年法律第102号）",
+        "effectiveFrom": "2024-04-01",
+        "articles": ["733", "772", "774", "775", "776", "777", "778", "778の2", "778の3", "778の4", "783", "786"]
+      },
+      {
+        "id": "civil-code-2026-family",
+        "title": "父母の離婚後の子の養育に関する見直し（令和6年法律第33号）",
+        "effectiveFrom": "2026-04-01",
+        "articles": ["306", "308の2", "766", "766の2", "766の3", "768", "817の12", "817の13", "819", "824の2", "824の3"]
+      }
+    ]
+  },
+  {
+    "id": "constitution",
+    "name": "日本国憲法",
+    "aliases": ["憲法"],
+    "subjectId": "constitutional-law"
+  },
+  {
+    "id": "national-government-organization-act",
+    "name": "国家行政組織法",
+    "subjectId": "administrative-law-general"
+  },
+  {
+    "id": "administrative-execution-act",
+    "name": "行政代執行法",
+    "subjectId": "administrative-law-general"
+  },
+  {
+    "id": "administrative-procedure-act",
+    "name": "行政手続法",
+    "aliases": ["行手法"],
+    "subjectId": "administrative-procedure-law",
+    "amendments": [
+      {
+        "id": "administrative-procedure-act-2015",
+        "title": "行政指導の中止等の求め・処分等の求めの新設（平成26年法律第70号）",
+        "effectiveFrom": "2015-04-01",
+        "articles": ["4", "35", "36の2", "36の3"]
+      }
+    ]
+  },
+  {
+    "id": "administrative-complaint-review-act",
+    "name": "行政不服審査法",
+    "aliases": ["行審法"],
+    "subjectId": "administrative-appeal-law",
+    "amendments": [
+      {
+        "id": "administrative-complaint-review-act-2016",
+        "title": "全部改正（平成26年法律第68号）",
+        "effectiveFrom": "2016-04-01"
+      }
+    ]
+  },
+  {
+    "id": "administrative-case-litigation-act",
+    "name": "行政事件訴訟法",
+    "aliases": ["行訴法"],
+    "subjectId": "administrative-litigation-law"
+  },
+  {
+    "id": "state-redress-act",
+    "name": "国家賠償法",
+    "aliases": ["国賠法"],
+    "subjectId": "state-redress-law"
+  },
+  {
+    "id": "local-autonomy-act",
+    "name": "地方自治法",
+    "aliases": ["地自法"],
+    "subjectId": "local-autonomy-law"
+  },
+  {
+    "id": "commercial-code",
+    "name": "商法",
+    "subjectId": "commercial-law"
+  },
+  {
+    "id": "companies-act",
+    "name": "会社法",
+    "subjectId": "company-law",
+    "amendments": [
+      {
+        "id": "companies-act-2021",
+        "title": "令和元年改正（令和元年法律第70号）",
+        "effectiveFrom": "2021-03-01",
+        "articles": ["305", "327の2", "348の2", "361", "399の13", "430の2", "430の3", "774の2", "774の3", "774の4", "774の5", "774の6", "774の7", "774の8", "774の9", "774の10", "774の11"]
+      },
+      {
+        "id": "companies-act-2022-electronic-provision",
+        "title": "株主総会資料の電子提供制度（令和元年法律第70号）",
+        "effectiveFrom": "2022-09-01",
+        "articles": ["325の2", "325の3", "325の4", "325の5", "325の6", "325の7"]
+      }
+    ]
+  },
+  {
+    "id": "personal-information-protection-act",
+    "name": "個人情報の保護に関する法律",
+    "aliases": ["個人情報保護法"],
+    "subjectId": "personal-information-protection-law",
+    "amendments": [
+      {
+        "id": "personal-information-protection-act-2022",
+        "title": "個人情報保護制度の官民一元化（令和3年法律第37号）",
+        "effectiveFrom": "2022-04-01"
+      }
+    ]
+  },
+  {
+    "id": "gyoseishoshi-act",
+    "name": "行政書士法",
+    "subjectId": "gyoseishoshi-law"
+  },
+  {
+    "id": "family-register-act",
+    "name": "戸籍法",
+    "subjectId": "family-register-law"
+  },
+  {
+    "id": "basic-resident-registration-act",
+    "name": "住民基本台帳法",
+    "aliases": ["住基法"],
+    "subjectId": "resident-register-law"
+  },
+  {
+    "id": "digital-society-formation-basic-act",
+    "name": "デジタル社会形成基本法",
+    "subjectId": "digital-society-law"
+  },
+  {
+    "id": "immigration-control-act",
+    "name": "出入国管理及び難民認定法",
+    "aliases": ["入管法"],
+    "subjectId": "immigration-law"
+  }
+];
+
+export default LAWS;
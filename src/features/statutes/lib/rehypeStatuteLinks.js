@@ -0,0 +1,45 @@
+import { formatCitation, getArticleHref, splitByStatuteCitations } from '@/features/statutes/lib/citations';
+
+// 見出しやコード、既存のリンクの中はそのままにする
+const SKIPPED_TAGS = new Set(['a', 'code', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+function linkTextNode(node) {
+  const segments = splitByStatuteCitations(node.value);
+  if (!segments.some((segment) => segment.citation)) {
+    return [node];
+  }
+
+  return segments.map((segment) => (segment.citation
+    ? {
+      type: 'element',
+      tagName: 'a',
+      properties: {
+        href: getArticleHref(segment.citation),
+        className: ['statute-ref'],
+        title: formatCitation(segment.citation),
+      },
+      children: [{ type: 'text', value: segment.text }],
+    }
+    : { type: 'text', value: segment.text }));
+}
+
+function linkChildren(node) {
+  node.children = node.children.flatMap((child) => {
+    if (child.type === 'text') {
+      return linkTextNode(child);
+    }
+    if (child.type === 'element' && !SKIPPED_TAGS.has(child.tagName) && child.children) {
+      linkChildren(child);
+    }
+    return [child];
+  });
+}
+
+/**
+ * react-markdown 用の rehype プラグイン。本文中の条文引用（「民法93条1項」など）を条文索引へのリンクにする。
+ */
+export default function rehypeStatuteLinks() {
+  return (tree) => {
+    linkChildren(tree);
+  };
+}
@@ -0,0 +1,146 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import { getUnitCitations } from '@/features/statutes/server/articleIndex';
+import { compareArticles, formatArticle } from '@/features/statutes/lib/citations';
+import {
+  KNOWN_AMENDMENTS,
+  amendmentCoversArticle,
+  formatAmendmentArticles,
+  getCurrentExamYear,
+  getExamReferenceDate,
+  isAmendmentInScope,
+  isAmendmentNewForExamYear,
+  resolveSectionEffectiveFrom,
+} from '@/features/statutes/lib/amendments';
+
+// outdated: 改正の施行日より前の法令に基づく節がある / unknown: 基準日が設定されていない / current: 改正に対応済み
+export const IMPACT_STATES = {
+  OUTDATED: 'outdated',
+  UNKNOWN: 'unknown',
+  CURRENT: 'current',
+};
+
+function getSectionState(unit, sectionId, amendment) {
+  const effectiveFrom = resolveSectionEffectiveFrom(unit, sectionId);
+  if (!effectiveFrom) {
+    return IMPACT_STATES.UNKNOWN;
+  }
+
+  return effectiveFrom < amendment.effectiveFrom ? IMPACT_STATES.OUTDATED : IMPACT_STATES.CURRENT;
+}
+
+function summarizeState(states) {
+  if (states.includes(IMPACT_STATES.OUTDATED)) {
+    return IMPACT_STATES.OUTDATED;
+  }
+
+  return states.includes(IMPACT_STATES.UNKNOWN) ? IMPACT_STATES.UNKNOWN : IMPACT_STATES.CURRENT;
+}
+
+/**
+ * 単元が改正された条文を引用していれば、改正ごとに引用している条文・節と対応状況を返す（引用していなければ null）。
+ * 節ごとの状態は、その節の基準日（なければ単元の基準日）と改正の施行日を比べて決める。
+ */
+function getUnitImpact(unit, citations, amendment) {
+  const matched = citations.filter((citation) => citation.law
+    && amendmentCoversArticle(amendment, citation.law.id, citation.article));
+  if (!matched.length) {
+    return null;
+  }
+
+  const sections = new Map();
+  matched.forEach((citation) => {
+    const key = citation.sectionId || '';
+    const entry = sections.get(key) || {
+      sectionId: citation.sectionId,
+      sectionTitle: citation.sectionTitle,
+      effectiveFrom: resolveSectionEffectiveFrom(unit, citation.sectionId),
+      state: getSectionState(unit, citation.sectionId, amendment),
+      articles: new Set(),
+    };
+    entry.articles.add(citation.article);
+    sections.set(key, entry);
+  });
+
+  const articles = [...new Set(matched.map((citation) => citation.article))].sort(compareArticles);
+  const sectionList = [...sections.values()].map((section) => ({
+    ...section,
+    articles: [...section.articles].sort(compareArticles).map((article) => formatArticle(article)),
+  }));
+
+  return {
+    unitId: unit.id,
+    unitTitle: unit.title,
+    subjectId: unit.subjectId,
+    status: unit.status,
+    lawVersion: unit.lawVersion || null,
+    effectiveFrom: unit.effectiveFrom || null,
+    state: summarizeState(sectionList.map((section) => section.state)),
+    articles: articles.map((article) => formatArticle(article)),
+    sections: sectionList,
+  };
+}
+
+function toAmendmentSummary(amendment, examYear) {
+  return {
+    id: amendment.id,
+    title: amendment.title,
+    lawId: amendment.lawId,
+    lawName: amendment.lawName,
+    subjectId: amendment.subjectId,
+    effectiveFrom: amendment.effectiveFrom,
+    articles: formatAmendmentArticles(amendment),
+    inScope: isAmendmentInScope(amendment, examYear),
+    isNew: isAmendmentNewForExamYear(amendment, examYear),
+  };
+}
+
+/**
+ * 単元ページのお知らせ。今年の試験の出題範囲に入る改正のうち、この単元が改正前の法令に基づいて説明している
+ * （節の基準日が施行日より前の）ものを返す。基準日のわからない単元・節には出さない。
+ */
+export function getUnitAmendmentNotices(unit, { examYear = getCurrentExamYear() } = {}) {
+  const amendments = KNOWN_AMENDMENTS.filter((amendment) => isAmendmentInScope(amendment, examYear));
+  if (!amendments.length) {
+    return [];
+  }
+
+  const citations = getUnitCitations(unit);
+  return amendments
+    .map((amendment) => ({ amendment, impact: getUnitImpact(unit, citations, amendment) }))
+    .filter(({ impact }) => impact?.state === IMPACT_STATES.OUTDATED)
+    .map(({ amendment, impact }) => {
+      const sections = impact.sections.filter((section) => section.state === IMPACT_STATES.OUTDATED);
+      return {
+        ...toAmendmentSummary(amendment, examYear),
+        articles: [...new Set(sections.flatMap((section) => section.articles))],
+        sections: sections.map(({ sectionId, sectionTitle }) => ({ sectionId, sectionTitle })),
+      };
+    });
+}
+
+/**
+ * 管理画面の「改正の影響」。法改正ごとに、改正された条文を引用している単元（下書きも含む）と対応状況を返す。
+ * examYear の試験の基準日（4月1日）までに施行される改正に inScope、その年に新しく範囲に入る改正に isNew を付ける。
+ */
+export function getAmendmentImpactReport({ examYear = getCurrentExamYear() } = {}) {
+  const units = contentRepository.listUnits({}, { includeDraft: true }).units
+    .map((unit) => ({ unit, citations: getUnitCitations(unit) }));
+
+  return {
+    examYear,
+    referenceDate: getExamReferenceDate(examYear),
+    amendments: KNOWN_AMENDMENTS.map((amendment) => {
+      const impacts = units
+        .map(({ unit, citations }) => getUnitImpact(unit, citations, amendment))
+        .filter(Boolean)
+        .sort((left, right) => Object.values(IMPACT_STATES).indexOf(left.state) - Object.values(IMPACT_STATES).indexOf(right.state));
+
+      return {
+        ...toAmendmentSummary(amendment, examYear),
+        counts: Object.fromEntries(Object.values(IMPACT_STATES)
+          .map((state) => [state, impacts.filter((impact) => impact.state === state).length])),
+        units: impacts,
+      };
+    }),
+  };
+}
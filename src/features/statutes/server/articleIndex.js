@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import contentRepository from '@/server/repositories/contentRepository';
+import { extractSectionTexts } from '@/features/content/lib/htmlUtils';
+import { extractMarkdownSectionTexts } from '@/features/content/lib/markdownUtils';
+import {
+  KNOWN_LAWS,
+  compareArticles,
+  formatArticle,
+  formatCitation,
+  getArticleAnchorId,
+  getArticleKey,
+  parseStatuteCitations,
+} from '@/features/statutes/lib/citations';
+
+// 単元ごとの引用一覧。本文のハッシュが変わったときだけ解析し直す
+const unitCitationCache = new Map();
+
+function getSectionTexts(unit, body) {
+  return unit.contentFormat === 'html'
+    ? extractSectionTexts(body)
+    : extractMarkdownSectionTexts(body);
+}
+
+// 単元本文の引用（節の ID・見出しつき）。法改正の影響の判定でも使う
+export function getUnitCitations(unit) {
+  const body = contentRepository.getUnitBody(unit.id);
+  if (!body) {
+    unitCitationCache.delete(unit.id);
+    return [];
+  }
+
+  const signature = crypto.createHash('sha1').update(body).digest('hex');
+  const cached = unitCitationCache.get(unit.id);
+  if (cached?.signature === signature) {
+    return cached.citations;
+  }
+
+  const citations = getSectionTexts(unit, body).flatMap((section) => parseStatuteCitations(section.text)
+    .map((citation) => ({ ...citation, sectionId: section.sectionId, sectionTitle: section.sectionTitle })));
+  unitCitationCache.set(unit.id, { signature, citations });
+  return citations;
+}
+
+/**
+ * 公開中の単元が触れている条文の索引。法令（laws.js の順）→ 条番号順に、
+ * その条文を引用している単元と引用回数・最初に引用している節を並べる。項・号は条にまとめる。
+ */
+export function getArticleIndex() {
+  const articles = new Map();
+
+  contentRepository.listUnits().units.forEach((unit) => {
+    getUnitCitations(unit)
+      .filter((citation) => citation.law)
+      .forEach((citation) => {
+        const key = getArticleKey(citation.law.id, citation.article);
+        const entry = articles.get(key) || { lawId: citation.law.id, article: citation.article, units: new Map() };
+        const unitEntry = entry.units.get(unit.id) || {
+          unitId: unit.id,
+          unitTitle: unit.title,
+          subjectId: unit.subjectId,
+          sectionId: citation.sectionId,
+          sectionTitle: citation.sectionTitle,
+          count: 0,
+        };
+        unitEntry.count += 1;
+        entry.units.set(unit.id, unitEntry);
+        articles.set(key, entry);
+      });
+  });
+
+  return KNOWN_LAWS
+    .map((law) => ({
+      id: law.id,
+      name: law.name,
+      subjectId: law.subjectId,
+      articles: [...articles.values()]
+        .filter((entry) => entry.lawId === law.id)
+        .sort((left, right) => compareArticles(left.article, right.article))
+        .map((entry) => ({
+          key: getArticleKey(law.id, entry.article),
+          anchorId: getArticleAnchorId(law.id, entry.article),
+          article: entry.article,
+          label: `${law.name}${formatArticle(entry.article)}`,
+          units: [...entry.units.values()].sort((left, right) => right.count - left.count),
+        })),
+    }))
+    .filter((law) => law.articles.length);
+}
+
+/**
+ * 著者向けのレポート。laws.js にない法令を引用している箇所を、下書きも含めて単元ごとに返す。
+ * 法令を laws に追加するか、本文の法令名を正式名称・登録済みの略称に直すとリンクされる。
+ */
+export function getUnresolvedCitationReport() {
+  return contentRepository.listUnits({}, { includeDraft: true }).units
+    .map((unit) => {
+      const byLawName = new Map();
+      getUnitCitations(unit)
+        .filter((citation) => !citation.law)
+        .forEach((citation) => {
+          const entry = byLawName.get(citation.lawName) || { lawName: citation.lawName, count: 0, examples: [] };
+          entry.count += 1;
+          const example = formatCitation(citation);
+          if (entry.examples.length < 3 && !entry.examples.includes(example)) {
+            entry.examples.push(example);
+          }
+          byLawName.set(citation.lawName, entry);
+        });
+
+      return {
+        unitId: unit.id,
+        unitTitle: unit.title,
+        subjectId: unit.subjectId,
+        status: unit.status,
+        unresolved: [...byLawName.values()].sort((left, right) => right.count - left.count),
+      };
+    })
+    .filter((unit) => unit.unresolved.length);
+}
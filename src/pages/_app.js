@@ -1,10 +1,13 @@
 import '../styles/globals.css';
 import { AuthProvider } from '@/features/auth/context/AuthContext';
+import { SubjectCatalogueProvider } from '@/features/content/context/SubjectCatalogueContext';
 
 function MyApp({ Component, pageProps }) {
   return (
     <AuthProvider>
-      <Component {...pageProps} />
+      <SubjectCatalogueProvider>
+        <Component {...pageProps} />
+      </SubjectCatalogueProvider>
     </AuthProvider>
   );
 }
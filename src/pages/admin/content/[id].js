@@ -1,6 +1,9 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 import {
   ACCESS_LEVEL_OPTIONS,
   CONTENT_FORMAT_OPTIONS,
@@ -8,24 +11,40 @@ import {
   CONTENT_MARKDOWN_TEMPLATE,
   CONTENT_TYPE_OPTIONS,
   DIFFICULTY_OPTIONS,
-  STATUS_OPTIONS,
+  getStatusLabel,
   getSubjectOptions,
   unitToEditorFormData,
 } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
 import { Save, Eye, ArrowLeft, Trash2, Upload, FileText, Music, AlertCircle, CheckCircle, Loader2, Info } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import HtmlContentRenderer from '@/features/content/components/HtmlContentRenderer';
+import LawVersionFields from '@/features/statutes/components/LawVersionFields';
+import PrerequisiteFields from '@/features/content/components/PrerequisiteFields';
+import RevisionHistory from '@/features/content/components/RevisionHistory';
+import EditorialWorkflowPanel from '@/features/content/components/EditorialWorkflowPanel';
+import {
+  CONTENT_STATUSES,
+  getSelectableStatuses,
+  getStatusPermission,
+  normalizePublishAt,
+  toDateTimeLocalValue,
+} from '@/features/content/lib/editorialWorkflow';
 import { parseHtmlContentDocument } from '@/features/content/lib/htmlUtils';
 
-const subjectOptions = getSubjectOptions();
-
-export default function EditContent() {
+function EditContent() {
+  const { subjects } = useSubjectCatalogue();
+  const subjectOptions = getSubjectOptions({ subjects });
   const router = useRouter();
+  const { hasPermission } = useAuth();
   const { id } = router.query;
+  const [savedStatus, setSavedStatus] = useState('draft');
+  const [workflowKey, setWorkflowKey] = useState(0);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('edit');
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
+  const [revisionRefreshKey, setRevisionRefreshKey] = useState(0);
   const [formData, setFormData] = useState({
     title: '',
     subjectId: subjectOptions[0]?.value || '',
@@ -34,6 +53,11 @@ export default function EditContent() {
     estimatedTime: 30,
     accessLevel: 'free',
     status: 'draft',
+    publishAt: null,
+    lawVersion: '',
+    effectiveFrom: '',
+    sectionLawVersions: [],
+    prerequisites: [],
     contentFormat: 'markdown',
     content: '',
     audioFile: null,
@@ -45,34 +69,49 @@ export default function EditContent() {
     pdfUrl: null,
   });
 
-  useEffect(() => {
-    async function loadContent() {
-      if (!id) {
-        return;
-      }
+  const loadContent = useCallback(async () => {
+    if (!id) {
+      return;
+    }
 
-      setLoading(true);
-      try {
-        const res = await fetch(`/api/admin/content/${encodeURIComponent(id)}`);
-        const data = await res.json();
-        if (!res.ok || !data.success) {
-          throw new Error(data.error || 'コンテンツの読み込みに失敗しました');
-        }
-
-        setFormData({
-          ...unitToEditorFormData(data.unit),
-          audioUrl: data.unit.audioUrl,
-          pdfUrl: data.unit.pdfUrl,
-        });
-      } catch (error) {
-        setMessage({ type: 'error', text: error.message || 'コンテンツの読み込みに失敗しました' });
-      } finally {
-        setLoading(false);
+    setLoading(true);
+    try {
+      const res = await authFetch(`/api/admin/content/${encodeURIComponent(id)}`);
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error(data.error || 'コンテンツの読み込みに失敗しました');
       }
+
+      setFormData({
+        ...unitToEditorFormData(data.unit),
+        audioUrl: data.unit.audioUrl,
+        pdfUrl: data.unit.pdfUrl,
+      });
+      setSavedStatus(data.unit.status);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'コンテンツの読み込みに失敗しました' });
+    } finally {
+      setLoading(false);
     }
+  }, [id]);
 
+  useEffect(() => {
     loadContent();
-  }, [id]);
+  }, [loadContent]);
+
+  async function handleRolledBack(unit, revision) {
+    await loadContent();
+    setWorkflowKey((key) => key + 1);
+    setMessage({ type: 'success', text: `版 ${revision.number} の内容に戻しました` });
+  }
+
+  // ワークフローで状態を変えたときは、編集中の本文はそのままで状態だけを反映する
+  function handleStatusChanged(unit) {
+    setFormData((prev) => ({ ...prev, status: unit.status, publishAt: unit.publishAt || null }));
+    setSavedStatus(unit.status);
+    setRevisionRefreshKey((key) => key + 1);
+    setMessage({ type: 'success', text: `状態を「${getStatusLabel(unit.status)}」にしました` });
+  }
 
   function handleChange(field, value) {
     setFormData((prev) => ({ ...prev, [field]: value }));
@@ -128,6 +167,11 @@ export default function EditContent() {
       estimatedTime: String(formData.estimatedTime),
       accessLevel: formData.accessLevel,
       status: formData.status,
+      publishAt: formData.status === CONTENT_STATUSES.SCHEDULED ? formData.publishAt || '' : '',
+      lawVersion: formData.lawVersion,
+      effectiveFrom: formData.effectiveFrom,
+      sectionLawVersions: JSON.stringify(formData.sectionLawVersions),
+      prerequisites: JSON.stringify(formData.prerequisites),
       contentFormat: formData.contentFormat,
       content: formData.content,
     }).forEach(([key, value]) => payload.append(key, value));
@@ -143,7 +187,7 @@ export default function EditContent() {
     }
 
     try {
-      const res = await fetch(`/api/admin/content/${encodeURIComponent(id)}`, {
+      const res = await authFetch(`/api/admin/content/${encodeURIComponent(id)}`, {
         method: 'PUT',
         body: payload,
       });
@@ -163,6 +207,11 @@ export default function EditContent() {
         htmlFile: null,
       }));
       setMessage({ type: 'success', text: 'コンテンツを更新しました' });
+      setRevisionRefreshKey((key) => key + 1);
+      if (data.unit.status !== savedStatus) {
+        setSavedStatus(data.unit.status);
+        setWorkflowKey((key) => key + 1);
+      }
     } catch (error) {
       setMessage({ type: 'error', text: error.message || '更新に失敗しました' });
     } finally {
@@ -171,11 +220,11 @@ export default function EditContent() {
   }
 
   async function handleDelete() {
-    if (!confirm('このコンテンツを削除しますか？')) {
+    if (!confirm('このコンテンツを削除しますか？\n保存した版は一定期間残り、「削除した単元」から復元できます。')) {
       return;
     }
 
-    const res = await fetch(`/api/admin/content/${encodeURIComponent(id)}`, {
+    const res = await authFetch(`/api/admin/content/${encodeURIComponent(id)}`, {
       method: 'DELETE',
     });
     const data = await res.json();
@@ -207,10 +256,12 @@ export default function EditContent() {
           戻る
         </button>
         <div className="flex items-center gap-3">
-          <button type="button" onClick={handleDelete} className="flex items-center gap-2 rounded-lg border border-red-200 px-4 py-2 text-red-600 hover:bg-red-50">
-            <Trash2 className="h-4 w-4" />
-            削除
-          </button>
+          {hasPermission(PERMISSIONS.CONTENT_DELETE) && (
+            <button type="button" onClick={handleDelete} className="flex items-center gap-2 rounded-lg border border-red-200 px-4 py-2 text-red-600 hover:bg-red-50">
+              <Trash2 className="h-4 w-4" />
+              削除
+            </button>
+          )}
           <button type="button" onClick={() => setActiveTab(activeTab === 'edit' ? 'preview' : 'edit')} className="flex items-center gap-2 rounded-lg border border-gray-200 px-4 py-2 hover:bg-gray-50">
             <Eye className="h-4 w-4" />
             {activeTab === 'edit' ? 'プレビュー' : '編集'}
@@ -283,8 +334,27 @@ export default function EditContent() {
                   {ACCESS_LEVEL_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
                 </select>
                 <select data-testid="content-status-select" value={formData.status} onChange={(event) => handleChange('status', event.target.value)} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                  {STATUS_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  {getSelectableStatuses(savedStatus).map((status) => (
+                    <option
+                      key={status}
+                      value={status}
+                      disabled={!hasPermission(getStatusPermission(status))}
+                    >
+                      {getStatusLabel(status)}
+                    </option>
+                  ))}
                 </select>
+                {formData.status === CONTENT_STATUSES.SCHEDULED && (
+                  <label className="block text-xs text-gray-500">
+                    公開日時
+                    <input
+                      type="datetime-local"
+                      value={toDateTimeLocalValue(formData.publishAt)}
+                      onChange={(event) => handleChange('publishAt', normalizePublishAt(event.target.value))}
+                      className="mt-1 w-full rounded-lg border border-gray-200 px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </label>
+                )}
                 <select data-testid="content-format-select" value={formData.contentFormat} onChange={(event) => handleFormatChange(event.target.value)} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
                   {CONTENT_FORMAT_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
                 </select>
@@ -292,6 +362,19 @@ export default function EditContent() {
               </div>
             </div>
 
+            <LawVersionFields formData={formData} onChange={handleChange} />
+
+            <PrerequisiteFields unitId={id} formData={formData} onChange={handleChange} />
+
+            <EditorialWorkflowPanel key={workflowKey} unitId={id} onStatusChanged={handleStatusChanged} />
+
+            <RevisionHistory
+              unitId={id}
+              refreshKey={revisionRefreshKey}
+              canRollback={(status) => hasPermission(PERMISSIONS.CONTENT_EDIT) && hasPermission(getStatusPermission(status))}
+              onRolledBack={handleRolledBack}
+            />
+
             <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
               <h3 className="mb-4 text-sm font-medium text-gray-700">ファイル添付</h3>
               <div className="space-y-4">
@@ -344,3 +427,5 @@ export default function EditContent() {
     </AdminLayout>
   );
 }
+
+export default withPermission(EditContent, PERMISSIONS.CONTENT_READ);
@@ -0,0 +1,191 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import AdminLayout from '@/features/admin/components/AdminLayout';
+import { withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { STATUS_BADGE_CLASSES, getStatusLabel, getSubjectName } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { getCurrentExamYear } from '@/features/statutes/lib/amendments';
+import { AlertCircle, Edit, ScrollText } from 'lucide-react';
+
+const IMPACT_STATE_LABELS = {
+  outdated: '改正前の内容',
+  unknown: '基準日未設定',
+  current: '対応済み',
+};
+
+const IMPACT_STATE_CLASSES = {
+  outdated: 'bg-red-100 text-red-700',
+  unknown: 'bg-amber-100 text-amber-700',
+  current: 'bg-green-100 text-green-700',
+};
+
+const STATE_FILTER_OPTIONS = [
+  { value: 'attention', label: '要確認（改正前・基準日未設定）' },
+  { value: 'outdated', label: '改正前の内容のみ' },
+  { value: 'all', label: 'すべて' },
+];
+
+function matchesStateFilter(unit, filter) {
+  if (filter === 'all') {
+    return true;
+  }
+
+  return filter === 'outdated' ? unit.state === 'outdated' : unit.state !== 'current';
+}
+
+function AmendmentBadges({ amendment, examYear }) {
+  if (!amendment.inScope) {
+    return <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600">{examYear}年度試験では施行前</span>;
+  }
+
+  return amendment.isNew
+    ? <span className="rounded-full bg-blue-100 px-2 py-0.5 text-xs font-medium text-blue-700">{examYear}年度試験から出題範囲</span>
+    : <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600">出題範囲</span>;
+}
+
+function AmendmentImpactPage() {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [examYear, setExamYear] = useState(getCurrentExamYear());
+  const [stateFilter, setStateFilter] = useState('attention');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function loadReport() {
+      setReport(null);
+      setError('');
+      const res = await authFetch(`/api/admin/content/amendments?examYear=${examYear}`);
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setReport(data);
+      } else {
+        setError(data.error || '法改正の影響レポートの取得に失敗しました');
+      }
+    }
+
+    loadReport();
+  }, [examYear]);
+
+  const currentExamYear = getCurrentExamYear();
+  const amendments = (report?.amendments || [])
+    .map((amendment) => ({ ...amendment, visibleUnits: amendment.units.filter((unit) => matchesStateFilter(unit, stateFilter)) }))
+    .filter((amendment) => amendment.visibleUnits.length);
+
+  return (
+    <AdminLayout title="法改正の影響">
+      <div className="mb-6">
+        <h2 className="text-lg font-semibold text-gray-800">法改正の影響</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          法令データ（<code>src/features/statutes/lib/laws.js</code> の <code>amendments</code>）に登録した改正ごとに、
+          改正された条文を引用している単元です。単元・節の「法令の基準日」が改正の施行日より前なら改正前の内容として扱い、
+          試験の基準日（{report?.referenceDate || `${examYear}-04-01`}）までに施行される改正なら単元ページにお知らせを出します。
+        </p>
+      </div>
+
+      <div className="mb-6 flex flex-wrap gap-4">
+        <label className="text-sm text-gray-600">
+          試験年度
+          <select value={examYear} onChange={(event) => setExamYear(Number(event.target.value))} className="ml-2 rounded-lg border border-gray-200 px-3 py-2 text-sm">
+            {[currentExamYear - 1, currentExamYear, currentExamYear + 1].map((year) => (
+              <option key={year} value={year}>{year}年度</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600">
+          表示
+          <select value={stateFilter} onChange={(event) => setStateFilter(event.target.value)} className="ml-2 rounded-lg border border-gray-200 px-3 py-2 text-sm">
+            {STATE_FILTER_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-6 flex items-center gap-3 rounded-lg bg-red-50 p-4 text-red-700">
+          <AlertCircle className="h-5 w-5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!report && !error ? (
+        <div className="py-12 text-center text-gray-500">読み込み中...</div>
+      ) : amendments.length ? (
+        <div className="space-y-6">
+          {amendments.map((amendment) => (
+            <section key={amendment.id} className="overflow-hidden rounded-xl border border-gray-100 bg-white shadow-sm">
+              <div className="border-b border-gray-100 p-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  <ScrollText className="h-4 w-4 text-gray-500" />
+                  <h3 className="font-medium text-gray-800">{amendment.lawName}：{amendment.title}</h3>
+                  <AmendmentBadges amendment={amendment} examYear={report.examYear} />
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  施行日 {amendment.effectiveFrom} / 対象条文 {amendment.articles}
+                </p>
+                <p className="mt-1 text-xs text-gray-500">
+                  {Object.entries(IMPACT_STATE_LABELS).map(([state, label]) => `${label} ${amendment.counts[state]}件`).join(' / ')}
+                </p>
+              </div>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-xs uppercase text-gray-500">
+                  <tr>
+                    <th className="px-6 py-3">単元</th>
+                    <th className="px-6 py-3">対応状況</th>
+                    <th className="px-6 py-3">引用している節</th>
+                    <th className="px-6 py-3" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {amendment.visibleUnits.map((unit) => (
+                    <tr key={unit.unitId} className="align-top hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <p className="font-medium text-gray-800">{unit.unitTitle}</p>
+                        <p className="text-xs text-gray-500">ID: {unit.unitId} / {getSubjectName(unit.subjectId, getSubjectById)}</p>
+                        <span className={`mt-1 inline-block rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_BADGE_CLASSES[unit.status] || 'bg-gray-100 text-gray-700'}`}>
+                          {getStatusLabel(unit.status)}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`rounded-full px-2 py-1 text-xs font-medium ${IMPACT_STATE_CLASSES[unit.state]}`}>
+                          {IMPACT_STATE_LABELS[unit.state]}
+                        </span>
+                        <p className="mt-1 text-xs text-gray-500">
+                          基準日 {unit.effectiveFrom || '未設定'}
+                          {unit.lawVersion && <span className="block">{unit.lawVersion}</span>}
+                        </p>
+                      </td>
+                      <td className="px-6 py-4">
+                        <ul className="space-y-1">
+                          {unit.sections.map((section) => (
+                            <li key={section.sectionId || ''}>
+                              <span className={`mr-2 inline-block h-2 w-2 rounded-full ${IMPACT_STATE_CLASSES[section.state].split(' ')[0]}`} />
+                              <span className="text-gray-800">{section.sectionTitle || '（冒頭）'}</span>
+                              <span className="ml-1 text-xs text-gray-500">
+                                {section.articles.join('、')} / 基準日 {section.effectiveFrom || '未設定'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        <Link href={`/admin/content/${unit.unitId}`} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700">
+                          <Edit className="h-4 w-4" />
+                          編集
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          ))}
+        </div>
+      ) : report && (
+        <div className="rounded-lg bg-gray-50 p-4 text-sm text-gray-500">条件に合う単元はありません</div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default withPermission(AmendmentImpactPage, PERMISSIONS.CONTENT_READ);
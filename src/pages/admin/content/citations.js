@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import AdminLayout from '@/features/admin/components/AdminLayout';
+import { withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { STATUS_BADGE_CLASSES, getStatusLabel, getSubjectName } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { AlertCircle, CheckCircle, Edit } from 'lucide-react';
+
+function CitationReportPage() {
+  const { getSubjectById } = useSubjectCatalogue();
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function loadReport() {
+      const res = await authFetch('/api/admin/content/citations');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setReport(data);
+      } else {
+        setError(data.error || '条文引用レポートの取得に失敗しました');
+      }
+    }
+
+    loadReport();
+  }, []);
+
+  return (
+    <AdminLayout title="条文リンクの確認">
+      <div className="mb-6">
+        <h2 className="text-lg font-semibold text-gray-800">リンクできなかった条文の引用</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          本文中の「○○法△条」のうち、法令データ（<code>src/features/statutes/lib/laws.js</code>）に登録されていない法令の引用です。
+          正式名称か登録済みの略称に直すか、法令を法令データに追加すると条文索引にリンクされます。
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 flex items-center gap-3 rounded-lg bg-red-50 p-4 text-red-700">
+          <AlertCircle className="h-5 w-5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {report && (
+        <details className="mb-6 rounded-xl border border-gray-100 bg-white p-4 text-sm shadow-sm">
+          <summary className="cursor-pointer font-medium text-gray-700">登録済みの法令（{report.knownLaws.length}件）</summary>
+          <ul className="mt-3 grid gap-1 text-gray-600 md:grid-cols-2">
+            {report.knownLaws.map((law) => (
+              <li key={law.id}>
+                {law.name}
+                {law.aliases.length > 0 && <span className="text-gray-400">（{law.aliases.join('・')}）</span>}
+                <span className="ml-2 text-xs text-gray-400">{getSubjectName(law.subjectId, getSubjectById)}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {!report && !error ? (
+        <div className="py-12 text-center text-gray-500">読み込み中...</div>
+      ) : report?.units.length ? (
+        <div className="overflow-hidden rounded-xl border border-gray-100 bg-white shadow-sm">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="px-6 py-3">単元</th>
+                <th className="px-6 py-3">状態</th>
+                <th className="px-6 py-3">未登録の法令</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.units.map((unit) => (
+                <tr key={unit.unitId} className="align-top hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <p className="font-medium text-gray-800">{unit.unitTitle}</p>
+                    <p className="text-xs text-gray-500">ID: {unit.unitId} / {getSubjectName(unit.subjectId, getSubjectById)}</p>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`rounded-full px-2 py-1 text-xs font-medium ${STATUS_BADGE_CLASSES[unit.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {getStatusLabel(unit.status)}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <ul className="space-y-1">
+                      {unit.unresolved.map((entry) => (
+                        <li key={entry.lawName}>
+                          <span className="font-medium text-gray-800">{entry.lawName}</span>
+                          <span className="ml-1 text-xs text-gray-500">{entry.count}件（例: {entry.examples.join('、')}）</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <Link href={`/admin/content/${unit.unitId}`} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700">
+                      <Edit className="h-4 w-4" />
+                      編集
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : report && (
+        <div className="flex items-center gap-3 rounded-lg bg-green-50 p-4 text-green-700">
+          <CheckCircle className="h-5 w-5" />
+          <span>すべての条文の引用が登録済みの法令にリンクされています</span>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default withPermission(CitationReportPage, PERMISSIONS.CONTENT_READ);
@@ -1,6 +1,9 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 import {
   ACCESS_LEVEL_OPTIONS,
   CONTENT_FORMAT_OPTIONS,
@@ -8,23 +11,28 @@ import {
   CONTENT_MARKDOWN_TEMPLATE,
   CONTENT_TYPE_OPTIONS,
   DIFFICULTY_OPTIONS,
-  STATUS_OPTIONS,
   createEmptyContentFormData,
+  getStatusLabel,
   getSubjectOptions,
 } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { CONTENT_STATUSES, getSelectableStatuses, getStatusPermission } from '@/features/content/lib/editorialWorkflow';
 import { Save, Eye, ArrowLeft, Upload, FileText, Music, AlertCircle, CheckCircle, Info } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import HtmlContentRenderer from '@/features/content/components/HtmlContentRenderer';
+import LawVersionFields from '@/features/statutes/components/LawVersionFields';
+import PrerequisiteFields from '@/features/content/components/PrerequisiteFields';
 import { parseHtmlContentDocument } from '@/features/content/lib/htmlUtils';
 
-const subjectOptions = getSubjectOptions();
-
-export default function CreateContent() {
+function CreateContent() {
+  const { subjects } = useSubjectCatalogue();
+  const subjectOptions = getSubjectOptions({ subjects });
   const router = useRouter();
+  const { hasPermission } = useAuth();
   const [activeTab, setActiveTab] = useState('edit');
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
-  const [formData, setFormData] = useState(createEmptyContentFormData());
+  const [formData, setFormData] = useState(() => createEmptyContentFormData({ subjectId: subjectOptions[0]?.value }));
 
   function handleChange(field, value) {
     setFormData((prev) => ({ ...prev, [field]: value }));
@@ -85,6 +93,10 @@ export default function CreateContent() {
       estimatedTime: String(formData.estimatedTime),
       accessLevel: formData.accessLevel,
       status: formData.status,
+      lawVersion: formData.lawVersion,
+      effectiveFrom: formData.effectiveFrom,
+      sectionLawVersions: JSON.stringify(formData.sectionLawVersions),
+      prerequisites: JSON.stringify(formData.prerequisites),
       contentFormat: formData.contentFormat,
       content: formData.content,
     }).forEach(([key, value]) => payload.append(key, value));
@@ -100,7 +112,7 @@ export default function CreateContent() {
     }
 
     try {
-      const res = await fetch('/api/admin/content', {
+      const res = await authFetch('/api/admin/content', {
         method: 'POST',
         body: payload,
       });
@@ -199,7 +211,15 @@ export default function CreateContent() {
                   {ACCESS_LEVEL_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
                 </select>
                 <select data-testid="content-status-select" value={formData.status} onChange={(event) => handleChange('status', event.target.value)} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                  {STATUS_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  {getSelectableStatuses(CONTENT_STATUSES.DRAFT).filter((status) => status !== CONTENT_STATUSES.ARCHIVED).map((status) => (
+                    <option
+                      key={status}
+                      value={status}
+                      disabled={!hasPermission(getStatusPermission(status))}
+                    >
+                      {getStatusLabel(status)}
+                    </option>
+                  ))}
                 </select>
                 <select data-testid="content-format-select" value={formData.contentFormat} onChange={(event) => handleFormatChange(event.target.value)} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
                   {CONTENT_FORMAT_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
@@ -208,6 +228,10 @@ export default function CreateContent() {
               </div>
             </div>
 
+            <LawVersionFields formData={formData} onChange={handleChange} />
+
+            <PrerequisiteFields formData={formData} onChange={handleChange} />
+
             <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
               <h3 className="mb-4 text-sm font-medium text-gray-700">ファイル添付</h3>
               <div className="space-y-4">
@@ -246,3 +270,5 @@ export default function CreateContent() {
     </AdminLayout>
   );
 }
+
+export default withPermission(CreateContent, PERMISSIONS.CONTENT_EDIT);
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { getStatusLabel } from '@/features/content/lib/contentMetadata';
+import { getStatusPermission } from '@/features/content/lib/editorialWorkflow';
+import { AlertCircle, Loader2, RotateCcw } from 'lucide-react';
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP') : '';
+}
+
+function DeletedUnitsPage() {
+  const router = useRouter();
+  const { hasPermission } = useAuth();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    async function loadDeletedUnits() {
+      const res = await authFetch('/api/admin/content/deleted');
+      const payload = await res.json();
+      if (res.ok && payload.success) {
+        setData(payload);
+      } else {
+        setError(payload.error || '削除した単元の取得に失敗しました');
+      }
+    }
+
+    loadDeletedUnits();
+  }, []);
+
+  async function handleRestore(unit) {
+    if (!confirm(`「${unit.title || unit.unitId}」を最後に保存した版（版 ${unit.latestRevision.number}）から復元しますか？`)) {
+      return;
+    }
+
+    setRestoringId(unit.unitId);
+    try {
+      const res = await authFetch(`/api/admin/content/${encodeURIComponent(unit.unitId)}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revisionId: unit.latestRevision.id }),
+      });
+      const payload = await res.json();
+      if (!res.ok || !payload.success) {
+        throw new Error(payload.error || '復元に失敗しました');
+      }
+
+      router.push(`/admin/content/${encodeURIComponent(unit.unitId)}`);
+    } catch (restoreError) {
+      setError(restoreError.message);
+      setRestoringId(null);
+    }
+  }
+
+  const canRestore = (unit) => hasPermission(PERMISSIONS.CONTENT_EDIT)
+    && hasPermission(getStatusPermission(unit.latestRevision.status));
+
+  return (
+    <AdminLayout title="削除した単元">
+      <div className="mb-6">
+        <h2 className="text-lg font-semibold text-gray-800">削除した単元</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          削除した単元の版は{data ? `${data.retentionDays}日間` : '一定期間'}残ります。復元すると最後に保存した版の内容で単元を作り直します（音声・PDF は復元されません）。
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 flex items-center gap-3 rounded-lg bg-red-50 p-4 text-red-700">
+          <AlertCircle className="h-5 w-5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!data && !error ? (
+        <div className="py-12 text-center text-gray-500">読み込み中...</div>
+      ) : data?.units.length ? (
+        <div className="overflow-hidden rounded-xl border border-gray-100 bg-white shadow-sm">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs uppercase text-gray-500">
+              <tr>
+                <th className="px-6 py-3">単元</th>
+                <th className="px-6 py-3">削除日時</th>
+                <th className="px-6 py-3">最後の版</th>
+                <th className="px-6 py-3">保持期限</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {data.units.map((unit) => (
+                <tr key={unit.unitId} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <p className="font-medium text-gray-800">{unit.title || unit.latestRevision.title || '（無題）'}</p>
+                    <p className="text-xs text-gray-500">ID: {unit.unitId}</p>
+                  </td>
+                  <td className="px-6 py-4 text-gray-600">
+                    {formatDateTime(unit.deletedAt)}
+                    {unit.deletedBy && <span className="block text-xs text-gray-400">{unit.deletedBy}</span>}
+                  </td>
+                  <td className="px-6 py-4 text-gray-600">
+                    版 {unit.latestRevision.number}（全{unit.revisionCount}版）
+                    {unit.latestRevision.status && <span className="block text-xs text-gray-400">{getStatusLabel(unit.latestRevision.status)}</span>}
+                  </td>
+                  <td className="px-6 py-4 text-gray-600">{formatDateTime(unit.expiresAt)}</td>
+                  <td className="px-6 py-4 text-right">
+                    {canRestore(unit) && (
+                      <button
+                        onClick={() => handleRestore(unit)}
+                        disabled={restoringId === unit.unitId}
+                        className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                      >
+                        {restoringId === unit.unitId ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+                        復元
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : data && (
+        <div className="rounded-lg bg-gray-50 p-4 text-sm text-gray-500">削除した単元はありません</div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default withPermission(DeletedUnitsPage, PERMISSIONS.CONTENT_READ);
@@ -1,6 +1,10 @@
 import { useCallback, useEffect, useState } from 'react';
 import Link from 'next/link';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import ReviewQueue from '@/features/content/components/ReviewQueue';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 import {
   ACCESS_LEVEL_BADGE_CLASSES,
   ACCESS_LEVEL_OPTIONS,
@@ -17,6 +21,7 @@ import {
   getSubjectOptions,
   getTypeLabel,
 } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
 import {
   Search,
   Plus,
@@ -34,7 +39,6 @@ import {
   Info,
 } from 'lucide-react';
 
-const subjectOptions = getSubjectOptions({ includeAll: true });
 const typeOptions = [{ value: '', label: 'すべてのタイプ' }, ...CONTENT_TYPE_OPTIONS];
 const difficultyOptions = [{ value: '', label: 'すべての難易度' }, ...DIFFICULTY_OPTIONS];
 const accessLevelOptions = [{ value: '', label: 'すべての公開範囲' }, ...ACCESS_LEVEL_OPTIONS];
@@ -49,7 +53,8 @@ function formatDate(value) {
   return new Date(value).toLocaleDateString('ja-JP');
 }
 
-function ContentRow({ content, onDelete }) {
+function ContentRow({ content, onDelete, canDelete }) {
+  const { getSubjectById } = useSubjectCatalogue();
   const [menuOpen, setMenuOpen] = useState(false);
   const previewHref = `/subjects/${content.subjectId}/${content.id}?adminPreview=1`;
 
@@ -73,7 +78,7 @@ function ContentRow({ content, onDelete }) {
           </div>
         </div>
       </td>
-      <td className="px-6 py-4 text-sm text-gray-600">{getSubjectName(content.subjectId)}</td>
+      <td className="px-6 py-4 text-sm text-gray-600">{getSubjectName(content.subjectId, getSubjectById)}</td>
       <td className="px-6 py-4">
         <span className={`rounded-full px-2 py-1 text-xs font-medium ${CONTENT_TYPE_BADGE_CLASSES[content.type] || 'bg-gray-100 text-gray-700'}`}>
           {getTypeLabel(content.type)}
@@ -93,6 +98,9 @@ function ContentRow({ content, onDelete }) {
         <span className={`rounded-full px-2 py-1 text-xs font-medium ${STATUS_BADGE_CLASSES[content.status] || 'bg-gray-100 text-gray-700'}`}>
           {getStatusLabel(content.status)}
         </span>
+        {content.status === 'scheduled' && content.publishAt && (
+          <span className="mt-1 block text-xs text-gray-500">{new Date(content.publishAt).toLocaleString('ja-JP')}</span>
+        )}
       </td>
       <td className="px-6 py-4">
         <div className="flex items-center gap-2">
@@ -119,16 +127,18 @@ function ContentRow({ content, onDelete }) {
                   <Edit className="h-4 w-4" />
                   編集
                 </Link>
-                <button
-                  onClick={() => {
-                    setMenuOpen(false);
-                    onDelete(content.id);
-                  }}
-                  className="flex w-full items-center gap-2 px-4 py-2 text-sm text-red-600 hover:bg-red-50"
-                >
-                  <Trash2 className="h-4 w-4" />
-                  削除
-                </button>
+                {canDelete && (
+                  <button
+                    onClick={() => {
+                      setMenuOpen(false);
+                      onDelete(content.id);
+                    }}
+                    className="flex w-full items-center gap-2 px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    削除
+                  </button>
+                )}
               </div>
             </>
           )}
@@ -138,7 +148,11 @@ function ContentRow({ content, onDelete }) {
   );
 }
 
-export default function ContentList() {
+function ContentList() {
+  const { subjects, getSubjectById } = useSubjectCatalogue();
+  const subjectOptions = getSubjectOptions({ subjects, includeAll: true });
+  const { hasPermission } = useAuth();
+  const canDelete = hasPermission(PERMISSIONS.CONTENT_DELETE);
   const [contents, setContents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
@@ -168,7 +182,7 @@ export default function ContentList() {
         }
       });
 
-      const res = await fetch(`/api/admin/content?${params.toString()}`);
+      const res = await authFetch(`/api/admin/content?${params.toString()}`);
       const data = await res.json();
 
       if (!res.ok || !data.success) {
@@ -178,7 +192,7 @@ export default function ContentList() {
       const query = searchQuery.trim().toLowerCase();
       const matched = query
         ? data.units.filter((unit) =>
-            [unit.title, getSubjectName(unit.subjectId), unit.id].join(' ').toLowerCase().includes(query)
+            [unit.title, getSubjectName(unit.subjectId, getSubjectById), unit.id].join(' ').toLowerCase().includes(query)
           )
         : data.units;
 
@@ -197,7 +211,7 @@ export default function ContentList() {
     } finally {
       setLoading(false);
     }
-  }, [filters, pagination.page, searchQuery]);
+  }, [filters, getSubjectById, pagination.page, searchQuery]);
 
   useEffect(() => {
     loadContents();
@@ -208,7 +222,7 @@ export default function ContentList() {
       return;
     }
 
-    const res = await fetch(`/api/admin/content/${encodeURIComponent(id)}`, {
+    const res = await authFetch(`/api/admin/content/${encodeURIComponent(id)}`, {
       method: 'DELETE',
     });
     const data = await res.json();
@@ -242,6 +256,8 @@ export default function ContentList() {
         </div>
       )}
 
+      <ReviewQueue />
+
       <div className="mb-6 rounded-xl border border-gray-100 bg-white p-4 shadow-sm">
         <div className="flex flex-col gap-4 lg:flex-row">
           <div className="flex-1">
@@ -313,7 +329,7 @@ export default function ContentList() {
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-100">
-                  {contents.map((content) => <ContentRow key={content.id} content={content} onDelete={handleDelete} />)}
+                  {contents.map((content) => <ContentRow key={content.id} content={content} onDelete={handleDelete} canDelete={canDelete} />)}
                 </tbody>
               </table>
             </div>
@@ -338,3 +354,5 @@ export default function ContentList() {
     </AdminLayout>
   );
 }
+
+export default withPermission(ContentList, PERMISSIONS.CONTENT_READ);
@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import { withPermission } from '@/features/auth/context/AuthContext';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 import {
   BookOpen,
   Users,
@@ -89,7 +91,7 @@ function QuickAction({ icon: Icon, title, href, color }) {
   );
 }
 
-export default function AdminDashboard() {
+function AdminDashboard() {
   const [stats, setStats] = useState({
     totalUnits: 0,
     totalUsers: 0,
@@ -284,3 +286,5 @@ export default function AdminDashboard() {
     </AdminLayout>
   );
 }
+
+export default withPermission(AdminDashboard, PERMISSIONS.ADMIN_ACCESS);
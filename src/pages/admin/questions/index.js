@@ -0,0 +1,431 @@
+import { useCallback, useEffect, useState } from 'react';
+import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { getSubjectName, getSubjectOptions, PUBLICATION_STATUS_OPTIONS, getStatusLabel, STATUS_BADGE_CLASSES } from '@/features/content/lib/contentMetadata';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import {
+  DEFAULT_QUESTION_POINTS,
+  MULTIPLE_CHOICE_BLANK_LABELS,
+  QUESTION_TYPES,
+  QUESTION_TYPE_BADGE_CLASSES,
+  QUESTION_TYPE_OPTIONS,
+  SHORT_ANSWER_MAX_LENGTH,
+  SINGLE_CHOICE_COUNT,
+  getQuestionTypeLabel,
+} from '@/features/quiz/lib/questionTypes';
+import { Plus, Edit, Trash2, Filter, ClipboardList, AlertCircle, Info, X } from 'lucide-react';
+
+const EMPTY_FILTERS = { subjectId: '', unitId: '', type: '' };
+const typeFilterOptions = [{ value: '', label: 'すべての形式' }, ...QUESTION_TYPE_OPTIONS];
+const inputClassName = 'w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// subjectOptions は科目を選んでいないときの既定値に使う（useSubjectCatalogue の subjects から作ったもの）
+function createEmptyForm(defaults = {}, subjectOptions = getSubjectOptions()) {
+  return {
+    id: null,
+    subjectId: defaults.subjectId || subjectOptions[0]?.value || '',
+    unitId: defaults.unitId || '',
+    type: QUESTION_TYPES.SINGLE_CHOICE,
+    status: 'published',
+    points: '',
+    source: '',
+    prompt: '',
+    explanation: '',
+    choices: Array.from({ length: SINGLE_CHOICE_COUNT }, () => ''),
+    answer: '1',
+    choiceLines: '',
+    blanks: MULTIPLE_CHOICE_BLANK_LABELS.map((id) => ({ id, answer: '' })),
+    acceptedAnswerLines: '',
+    keywordLines: '',
+    maxLength: SHORT_ANSWER_MAX_LENGTH,
+  };
+}
+
+function questionToForm(question) {
+  const form = {
+    ...createEmptyForm(question),
+    id: question.id,
+    type: question.type,
+    status: question.status,
+    points: question.points,
+    source: question.source || '',
+    prompt: question.prompt,
+    explanation: question.explanation || '',
+  };
+
+  if (question.type === QUESTION_TYPES.SINGLE_CHOICE) {
+    form.choices = question.choices.map((choice) => choice.text);
+    form.answer = question.answer;
+  } else if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    form.choiceLines = question.choices.map((choice) => choice.text).join('\n');
+    form.blanks = question.blanks;
+  } else {
+    form.acceptedAnswerLines = question.acceptedAnswers.join('\n');
+    form.keywordLines = question.keywords.map((keyword) => `${keyword.text}:${keyword.points}`).join('\n');
+    form.maxLength = question.maxLength;
+  }
+
+  return form;
+}
+
+function splitLines(value) {
+  return value.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+function formToPayload(form) {
+  const payload = {
+    subjectId: form.subjectId,
+    unitId: form.unitId.trim() || null,
+    type: form.type,
+    status: form.status,
+    points: form.points,
+    source: form.source,
+    prompt: form.prompt,
+    explanation: form.explanation,
+  };
+
+  if (form.type === QUESTION_TYPES.SINGLE_CHOICE) {
+    payload.choices = form.choices;
+    payload.answer = form.answer;
+  } else if (form.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    payload.choices = splitLines(form.choiceLines);
+    payload.blanks = form.blanks;
+  } else {
+    payload.acceptedAnswers = splitLines(form.acceptedAnswerLines);
+    // 「キーワード:配点」を1行ずつ
+    payload.keywords = splitLines(form.keywordLines).map((line) => {
+      const separator = line.lastIndexOf(':');
+      return separator > 0
+        ? { text: line.slice(0, separator), points: Number(line.slice(separator + 1)) }
+        : { text: line, points: 0 };
+    });
+    payload.maxLength = form.maxLength;
+  }
+
+  return payload;
+}
+
+function QuestionEditor({ form, setForm, onSave, onCancel, saving }) {
+  const { subjects } = useSubjectCatalogue();
+  const subjectOptions = getSubjectOptions({ subjects });
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const multipleChoices = splitLines(form.choiceLines);
+
+  return (
+    <div className="mb-6 rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <div className="mb-4 flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-800">{form.id ? '問題を編集' : '問題を追加'}</h3>
+        <button onClick={onCancel} className="rounded-lg p-2 text-gray-500 hover:bg-gray-100"><X className="h-4 w-4" /></button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <label className="text-sm text-gray-700">
+          科目
+          <select value={form.subjectId} onChange={(event) => update('subjectId', event.target.value)} className={inputClassName}>
+            {subjectOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          単元ID（任意）
+          <input value={form.unitId} onChange={(event) => update('unitId', event.target.value)} placeholder="例: 101" className={inputClassName} />
+        </label>
+        <label className="text-sm text-gray-700">
+          形式
+          <select value={form.type} onChange={(event) => update('type', event.target.value)} className={inputClassName}>
+            {QUESTION_TYPE_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          配点
+          <input type="number" min="0" step="0.5" value={form.points} onChange={(event) => update('points', event.target.value)} placeholder={String(DEFAULT_QUESTION_POINTS[form.type])} className={inputClassName} />
+        </label>
+        <label className="text-sm text-gray-700">
+          出典（任意）
+          <input value={form.source} onChange={(event) => update('source', event.target.value)} placeholder="例: 令和5年度 問8" className={inputClassName} />
+        </label>
+        <label className="text-sm text-gray-700">
+          状態
+          <select value={form.status} onChange={(event) => update('status', event.target.value)} className={inputClassName}>
+            {PUBLICATION_STATUS_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <label className="mt-4 block text-sm text-gray-700">
+        問題文
+        <textarea rows={4} value={form.prompt} onChange={(event) => update('prompt', event.target.value)} className={inputClassName} />
+      </label>
+
+      {form.type === QUESTION_TYPES.SINGLE_CHOICE && (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-gray-700">選択肢（正解を選択）</p>
+          {form.choices.map((choice, index) => (
+            <div key={index} className="flex items-center gap-3">
+              <input
+                type="radio"
+                name="answer"
+                checked={form.answer === String(index + 1)}
+                onChange={() => update('answer', String(index + 1))}
+              />
+              <span className="w-4 text-sm text-gray-500">{index + 1}</span>
+              <input
+                value={choice}
+                onChange={(event) => update('choices', form.choices.map((current, position) => (position === index ? event.target.value : current)))}
+                className={inputClassName}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {form.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+        <div className="mt-4 grid gap-4 md:grid-cols-2">
+          <label className="text-sm text-gray-700">
+            語群（1行に1語、上から 1, 2, 3...）
+            <textarea rows={10} value={form.choiceLines} onChange={(event) => update('choiceLines', event.target.value)} className={inputClassName} />
+          </label>
+          <div className="space-y-2">
+            <p className="text-sm text-gray-700">空欄の正解</p>
+            {form.blanks.map((blank, index) => (
+              <div key={blank.id} className="flex items-center gap-3">
+                <span className="w-6 font-bold text-gray-700">{blank.id}</span>
+                <select
+                  value={blank.answer}
+                  onChange={(event) => update('blanks', form.blanks.map((current, position) => (position === index ? { ...current, answer: event.target.value } : current)))}
+                  className={inputClassName}
+                >
+                  <option value="">選択してください</option>
+                  {multipleChoices.map((choice, choiceIndex) => (
+                    <option key={choiceIndex} value={String(choiceIndex + 1)}>{choiceIndex + 1}. {choice}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {form.type === QUESTION_TYPES.SHORT_ANSWER && (
+        <div className="mt-4 grid gap-4 md:grid-cols-3">
+          <label className="text-sm text-gray-700 md:col-span-2">
+            模範解答（1行に1つ。一致すれば満点）
+            <textarea rows={3} value={form.acceptedAnswerLines} onChange={(event) => update('acceptedAnswerLines', event.target.value)} className={inputClassName} />
+          </label>
+          <label className="text-sm text-gray-700">
+            字数上限
+            <input type="number" min="1" value={form.maxLength} onChange={(event) => update('maxLength', event.target.value)} className={inputClassName} />
+          </label>
+          <label className="text-sm text-gray-700 md:col-span-3">
+            部分点キーワード（「キーワード:配点」を1行に1つ）
+            <textarea rows={3} value={form.keywordLines} onChange={(event) => update('keywordLines', event.target.value)} placeholder={'取消訴訟:8\n処分の取消し:4'} className={inputClassName} />
+          </label>
+        </div>
+      )}
+
+      <label className="mt-4 block text-sm text-gray-700">
+        解説（採点後に表示）
+        <textarea rows={4} value={form.explanation} onChange={(event) => update('explanation', event.target.value)} className={inputClassName} />
+      </label>
+
+      <div className="mt-6 flex justify-end gap-3">
+        <button onClick={onCancel} className="rounded-lg border border-gray-200 px-4 py-2 text-gray-700 hover:bg-gray-50">キャンセル</button>
+        <button onClick={onSave} disabled={saving} className="rounded-lg bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 disabled:opacity-50">
+          {saving ? '保存中...' : '保存'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function AdminQuestionsPage() {
+  const { subjects, getSubjectById } = useSubjectCatalogue();
+  const subjectFilterOptions = getSubjectOptions({ subjects, includeAll: true });
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission(PERMISSIONS.CONTENT_EDIT);
+  const canDelete = hasPermission(PERMISSIONS.CONTENT_DELETE);
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // filters は入力中の絞り込み、appliedFilters は「絞り込み」ボタンで反映して一覧に使っているもの
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const loadQuestions = useCallback(async () => {
+    setLoading(true);
+    const params = new URLSearchParams(Object.entries(appliedFilters).filter(([, value]) => value));
+    try {
+      const res = await authFetch(`/api/admin/questions?${params.toString()}`);
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setQuestions(data.questions);
+      } else {
+        setNotice({ type: 'error', message: data.error || '問題の取得に失敗しました' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  const saveQuestion = async () => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      const res = await authFetch(form.id ? `/api/admin/questions/${encodeURIComponent(form.id)}` : '/api/admin/questions', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formToPayload(form)),
+      });
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setNotice({ type: 'info', message: '問題を保存しました' });
+        setForm(null);
+        loadQuestions();
+      } else {
+        setNotice({ type: 'error', message: data.error || '問題の保存に失敗しました' });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteQuestion = async (id) => {
+    if (!window.confirm('この問題を削除しますか？')) {
+      return;
+    }
+
+    const res = await authFetch(`/api/admin/questions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    const data = await res.json();
+    setNotice(res.ok && data.success
+      ? { type: 'info', message: '問題を削除しました' }
+      : { type: 'error', message: data.error || '問題の削除に失敗しました' });
+    loadQuestions();
+  };
+
+  return (
+    <AdminLayout title="問題バンク">
+      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">問題一覧</h2>
+          <p className="text-sm text-gray-500">全 {questions.length} 問</p>
+        </div>
+        {canEdit && !form && (
+          <button
+            onClick={() => setForm(createEmptyForm(filters, getSubjectOptions({ subjects })))}
+            className="inline-flex items-center gap-2 rounded-lg bg-blue-600 px-4 py-2 text-white transition-colors hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4" />
+            問題を追加
+          </button>
+        )}
+      </div>
+
+      {notice && (
+        <div className={`mb-6 flex items-center gap-3 rounded-lg p-4 ${notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-blue-700'}`}>
+          {notice.type === 'error' ? <AlertCircle className="h-5 w-5" /> : <Info className="h-5 w-5" />}
+          <span>{notice.message}</span>
+        </div>
+      )}
+
+      {form && <QuestionEditor form={form} setForm={setForm} onSave={saveQuestion} onCancel={() => setForm(null)} saving={saving} />}
+
+      <div className="mb-6 rounded-xl border border-gray-100 bg-white p-4 shadow-sm">
+        <div className="flex flex-wrap gap-3">
+          <select value={filters.subjectId} onChange={(event) => setFilters((prev) => ({ ...prev, subjectId: event.target.value }))} className="rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            {subjectFilterOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <input
+            value={filters.unitId}
+            onChange={(event) => setFilters((prev) => ({ ...prev, unitId: event.target.value }))}
+            placeholder="単元ID"
+            className="rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select value={filters.type} onChange={(event) => setFilters((prev) => ({ ...prev, type: event.target.value }))} className="rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            {typeFilterOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          {/* 条件が同じでも読み込み直すよう、新しいオブジェクトにして反映する */}
+          <button onClick={() => setAppliedFilters({ ...filters })} className="flex items-center gap-2 rounded-lg bg-gray-100 px-4 py-2 text-gray-700 transition-colors hover:bg-gray-200">
+            <Filter className="h-4 w-4" />
+            絞り込み
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-hidden rounded-xl border border-gray-100 bg-white shadow-sm">
+        {loading ? (
+          <div className="flex h-64 items-center justify-center">
+            <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-blue-600" />
+          </div>
+        ) : questions.length === 0 ? (
+          <div className="flex h-64 flex-col items-center justify-center text-gray-500">
+            <ClipboardList className="mb-4 h-12 w-12 text-gray-300" />
+            <p>問題が登録されていません</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-100 bg-gray-50 text-left text-xs font-medium uppercase text-gray-500">
+                  <th className="px-6 py-3">問題文</th>
+                  <th className="px-6 py-3">科目 / 単元</th>
+                  <th className="px-6 py-3">形式</th>
+                  <th className="px-6 py-3">配点</th>
+                  <th className="px-6 py-3">状態</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {questions.map((question) => (
+                  <tr key={question.id} className="hover:bg-gray-50">
+                    <td className="max-w-md px-6 py-4">
+                      <p className="truncate text-sm text-gray-800">{question.prompt}</p>
+                      {question.source && <p className="text-xs text-gray-500">{question.source}</p>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {getSubjectName(question.subjectId, getSubjectById)}
+                      <span className="block text-xs text-gray-400">{question.unitId || '単元なし'}</span>
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`rounded-full px-2 py-1 text-xs font-medium ${QUESTION_TYPE_BADGE_CLASSES[question.type]}`}>
+                        {getQuestionTypeLabel(question.type)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">{question.points}点</td>
+                    <td className="px-6 py-4">
+                      <span className={`rounded-full px-2 py-1 text-xs font-medium ${STATUS_BADGE_CLASSES[question.status]}`}>
+                        {getStatusLabel(question.status)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-1">
+                        {canEdit && (
+                          <button onClick={() => setForm(questionToForm(question))} className="rounded-lg p-2 text-gray-500 hover:bg-gray-100">
+                            <Edit className="h-4 w-4" />
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button onClick={() => deleteQuestion(question.id)} className="rounded-lg p-2 text-red-500 hover:bg-red-50">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </AdminLayout>
+  );
+}
+
+export default withPermission(AdminQuestionsPage, PERMISSIONS.CONTENT_READ);
@@ -0,0 +1,404 @@
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import {
+  DIFFICULTY_OPTIONS,
+  STATUS_BADGE_CLASSES,
+  getDifficultyLabel,
+  getStatusLabel,
+  getTypeLabel,
+} from '@/features/content/lib/contentMetadata';
+import { SUBJECT_CATEGORY_OPTIONS, SUBJECT_COLOR_OPTIONS } from '@/features/content/lib/subjects';
+import { DEFAULT_SUBJECT_ICON, SUBJECT_ICON_NAMES, getSubjectIcon } from '@/features/content/lib/subjectIcons';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { AlertCircle, Archive, ArchiveRestore, ArrowDown, ArrowUp, Edit, GripVertical, Info, Plus, X } from 'lucide-react';
+
+const inputClassName = 'w-full rounded-lg border border-gray-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+function getCategoryLabel(category) {
+  return SUBJECT_CATEGORY_OPTIONS.find((option) => option.value === category)?.label || category;
+}
+
+function createEmptyForm() {
+  return {
+    isNew: true,
+    id: '',
+    name: '',
+    description: '',
+    category: SUBJECT_CATEGORY_OPTIONS[0].value,
+    difficulty: DIFFICULTY_OPTIONS[0].value,
+    estimatedHours: 30,
+    color: SUBJECT_COLOR_OPTIONS[0],
+    icon: DEFAULT_SUBJECT_ICON,
+  };
+}
+
+function subjectToForm(subject) {
+  return {
+    isNew: false,
+    id: subject.id,
+    name: subject.name,
+    description: subject.description || '',
+    category: subject.category,
+    difficulty: subject.difficulty,
+    estimatedHours: subject.estimatedHours,
+    color: subject.color,
+    icon: subject.icon || DEFAULT_SUBJECT_ICON,
+  };
+}
+
+function SubjectEditor({ form, setForm, onSave, onCancel, saving }) {
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const PreviewIcon = getSubjectIcon(form.icon);
+
+  return (
+    <div className="mb-6 rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
+      <div className="mb-4 flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">{form.isNew ? '科目を追加' : `科目を編集（${form.id}）`}</h3>
+        <button onClick={onCancel} aria-label="閉じる" className="p-1 text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {form.isNew && (
+          <label className="text-sm text-gray-700">
+            科目 ID
+            <input value={form.id} onChange={(event) => update('id', event.target.value)} placeholder="例: civil-law" className={`${inputClassName} mt-1`} />
+            <span className="mt-1 block text-xs text-gray-500">URL に使います。あとから変更できません。</span>
+          </label>
+        )}
+        <label className="text-sm text-gray-700">
+          科目名
+          <input value={form.name} onChange={(event) => update('name', event.target.value)} className={`${inputClassName} mt-1`} />
+        </label>
+        <label className="text-sm text-gray-700 md:col-span-2">
+          説明
+          <textarea value={form.description} onChange={(event) => update('description', event.target.value)} rows={2} className={`${inputClassName} mt-1`} />
+        </label>
+        <label className="text-sm text-gray-700">
+          区分
+          <select value={form.category} onChange={(event) => update('category', event.target.value)} className={`${inputClassName} mt-1`}>
+            {SUBJECT_CATEGORY_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          難易度
+          <select value={form.difficulty} onChange={(event) => update('difficulty', event.target.value)} className={`${inputClassName} mt-1`}>
+            {DIFFICULTY_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          目安の学習時間（時間）
+          <input type="number" min={0} value={form.estimatedHours} onChange={(event) => update('estimatedHours', event.target.value)} className={`${inputClassName} mt-1`} />
+        </label>
+        <label className="text-sm text-gray-700">
+          アイコン
+          <select value={form.icon} onChange={(event) => update('icon', event.target.value)} className={`${inputClassName} mt-1`}>
+            {SUBJECT_ICON_NAMES.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <div className="text-sm text-gray-700 md:col-span-2">
+          色
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            {SUBJECT_COLOR_OPTIONS.map((color) => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => update('color', color)}
+                aria-label={color}
+                className={`h-8 w-8 rounded-lg ${color} ${form.color === color ? 'ring-2 ring-blue-500 ring-offset-2' : ''}`}
+              />
+            ))}
+            <span className={`ml-4 flex h-10 w-10 items-center justify-center rounded-lg text-white ${form.color}`}>
+              <PreviewIcon className="h-5 w-5" />
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-6 flex justify-end gap-3">
+        <button onClick={onCancel} className="rounded-lg border border-gray-200 px-4 py-2 text-gray-700 hover:bg-gray-50">キャンセル</button>
+        <button onClick={onSave} disabled={saving} className="rounded-lg bg-blue-600 px-4 py-2 text-white hover:bg-blue-700 disabled:opacity-50">
+          {saving ? '保存中...' : '保存'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 科目内の単元。canEdit のときはドラッグして並べ替え・ほかの科目へ移動できる
+ * （単元の上に落とすとその前に、一覧の余白に落とすと末尾に入る）。
+ */
+function SubjectUnits({ subject, canEdit, dragging, onDragStart, onDragEnd, onDrop }) {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const handleDragOver = (event, target) => {
+    if (!dragging) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    setDropTarget(target);
+  };
+
+  const handleDrop = (event, beforeUnitId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDropTarget(null);
+    onDrop(subject.id, beforeUnitId);
+  };
+
+  return (
+    <ul
+      onDragOver={(event) => handleDragOver(event, 'end')}
+      onDragLeave={() => setDropTarget(null)}
+      onDrop={(event) => handleDrop(event, null)}
+      className={`min-h-[3rem] divide-y divide-gray-100 border-t border-gray-100 ${dropTarget === 'end' ? 'bg-blue-50' : ''}`}
+    >
+      {subject.units.map((unit) => (
+        <li
+          key={unit.id}
+          draggable={canEdit}
+          onDragStart={(event) => {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', unit.id);
+            onDragStart(unit.id);
+          }}
+          onDragEnd={onDragEnd}
+          onDragOver={(event) => handleDragOver(event, unit.id)}
+          onDrop={(event) => handleDrop(event, unit.id)}
+          className={`flex items-center gap-3 px-4 py-2 text-sm ${dragging === unit.id ? 'opacity-40' : ''} ${dropTarget === unit.id ? 'border-t-2 border-t-blue-500' : ''}`}
+        >
+          {canEdit && <GripVertical className="h-4 w-4 flex-shrink-0 cursor-move text-gray-400" />}
+          <div className="min-w-0 flex-1">
+            <Link href={`/admin/content/${unit.id}`} className="truncate text-gray-800 hover:text-blue-600">{unit.title}</Link>
+            <p className="text-xs text-gray-500">ID: {unit.id} / {getTypeLabel(unit.type)} / {getDifficultyLabel(unit.difficulty)}</p>
+          </div>
+          <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_BADGE_CLASSES[unit.status] || 'bg-gray-100 text-gray-700'}`}>
+            {getStatusLabel(unit.status)}
+          </span>
+        </li>
+      ))}
+      {!subject.units.length && (
+        <li className="px-4 py-3 text-sm text-gray-400">単元はありません{canEdit ? '（ここに単元をドラッグして移動できます）' : ''}</li>
+      )}
+    </ul>
+  );
+}
+
+function AdminSubjectsPage() {
+  const { hasPermission } = useAuth();
+  const { reload: reloadCatalogue } = useSubjectCatalogue();
+  const canEdit = hasPermission(PERMISSIONS.CONTENT_PUBLISH);
+  const [subjects, setSubjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [draggingUnitId, setDraggingUnitId] = useState(null);
+
+  const loadSubjects = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await authFetch('/api/admin/subjects');
+      const data = await res.json();
+      if (res.ok && data.success) {
+        setSubjects(data.subjects);
+      } else {
+        setNotice({ type: 'error', message: data.error || '科目の取得に失敗しました' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubjects();
+  }, [loadSubjects]);
+
+  // 保存後は管理画面の一覧と、サイト全体で使う科目データの両方を読み込み直す
+  const request = async (url, options, successMessage) => {
+    setNotice(null);
+    const res = await authFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(options.body),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) {
+      setNotice({ type: 'error', message: data.error || '科目の保存に失敗しました' });
+      return false;
+    }
+
+    if (data.subjects) {
+      setSubjects(data.subjects);
+    } else {
+      await loadSubjects();
+    }
+    reloadCatalogue();
+    if (successMessage) {
+      setNotice({ type: 'info', message: successMessage });
+    }
+    return true;
+  };
+
+  const saveSubject = async () => {
+    setSaving(true);
+    try {
+      const { isNew, ...payload } = form;
+      const saved = await request(
+        isNew ? '/api/admin/subjects' : `/api/admin/subjects/${encodeURIComponent(form.id)}`,
+        { method: isNew ? 'POST' : 'PUT', body: { ...payload, estimatedHours: Number(payload.estimatedHours) } },
+        '科目を保存しました'
+      );
+      if (saved) {
+        setForm(null);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const moveSubject = (index, offset) => {
+    const order = subjects.map((subject) => subject.id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+    request('/api/admin/subjects', { method: 'PUT', body: { order } });
+  };
+
+  const toggleRetired = (subject) => {
+    const message = subject.retired
+      ? `「${subject.name}」を再開しますか？`
+      : `「${subject.name}」を廃止しますか？科目一覧に表示されなくなりますが、単元と学習記録は残ります。`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    request(
+      `/api/admin/subjects/${encodeURIComponent(subject.id)}`,
+      { method: 'PUT', body: { retired: !subject.retired } },
+      subject.retired ? '科目を再開しました' : '科目を廃止しました'
+    );
+  };
+
+  const dropUnit = (subjectId, beforeUnitId) => {
+    const unitId = draggingUnitId;
+    setDraggingUnitId(null);
+    if (!unitId || unitId === beforeUnitId) {
+      return;
+    }
+
+    const target = subjects.find((subject) => subject.id === subjectId);
+    const unitIds = target.units.map((unit) => unit.id).filter((id) => id !== unitId);
+    const index = beforeUnitId ? unitIds.indexOf(beforeUnitId) : -1;
+    unitIds.splice(index === -1 ? unitIds.length : index, 0, unitId);
+
+    const moved = !target.units.some((unit) => unit.id === unitId);
+    request(
+      `/api/admin/subjects/${encodeURIComponent(subjectId)}/units`,
+      { method: 'PUT', body: { unitIds } },
+      moved ? `単元を「${target.name}」へ移動しました` : null
+    );
+  };
+
+  return (
+    <AdminLayout title="科目管理">
+      <div className="mb-6 flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">科目一覧</h2>
+          <p className="text-sm text-gray-500">
+            科目の並び順と、科目ごとの単元の並び順はサイトの科目一覧・単元の前後の案内に使われます。
+            {canEdit && '単元はドラッグしてほかの科目へ移動できます。'}
+          </p>
+        </div>
+        {canEdit && !form && (
+          <button
+            onClick={() => setForm(createEmptyForm())}
+            className="inline-flex items-center gap-2 rounded-lg bg-blue-600 px-4 py-2 text-white transition-colors hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4" />
+            科目を追加
+          </button>
+        )}
+      </div>
+
+      {notice && (
+        <div className={`mb-6 flex items-center gap-3 rounded-lg p-4 ${notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-blue-700'}`}>
+          {notice.type === 'error' ? <AlertCircle className="h-5 w-5" /> : <Info className="h-5 w-5" />}
+          <span>{notice.message}</span>
+        </div>
+      )}
+
+      {form && <SubjectEditor form={form} setForm={setForm} onSave={saveSubject} onCancel={() => setForm(null)} saving={saving} />}
+
+      {loading && !subjects.length ? (
+        <div className="py-12 text-center text-gray-500">読み込み中...</div>
+      ) : (
+        <div className="space-y-4">
+          {subjects.map((subject, index) => {
+            const Icon = getSubjectIcon(subject.icon);
+            // 単元をドラッグしている間は、移動先に選べるようすべての科目の単元を開く
+            const open = expanded[subject.id] || Boolean(draggingUnitId);
+
+            return (
+              <section key={subject.id} className={`overflow-hidden rounded-xl border border-gray-100 bg-white shadow-sm ${subject.retired ? 'opacity-60' : ''}`}>
+                <div className="flex flex-wrap items-center gap-4 p-4">
+                  <span className={`flex h-10 w-10 flex-shrink-0 items-center justify-center rounded-lg text-white ${subject.color}`}>
+                    <Icon className="h-5 w-5" />
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setExpanded((prev) => ({ ...prev, [subject.id]: !prev[subject.id] }))}
+                    className="min-w-0 flex-1 text-left"
+                  >
+                    <p className="font-medium text-gray-800">
+                      {subject.name}
+                      {subject.retired && <span className="ml-2 rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600">廃止</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      ID: {subject.id} / {getCategoryLabel(subject.category)} / {getDifficultyLabel(subject.difficulty)} / 約{subject.estimatedHours}時間 / {subject.units.length}単元
+                    </p>
+                  </button>
+                  {canEdit && (
+                    <div className="flex items-center gap-1">
+                      <button onClick={() => moveSubject(index, -1)} disabled={index === 0} aria-label="上へ" className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-30">
+                        <ArrowUp className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => moveSubject(index, 1)} disabled={index === subjects.length - 1} aria-label="下へ" className="p-2 text-gray-500 hover:text-blue-600 disabled:opacity-30">
+                        <ArrowDown className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => setForm(subjectToForm(subject))} aria-label="編集" className="p-2 text-gray-500 hover:text-blue-600">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => toggleRetired(subject)} aria-label={subject.retired ? '再開' : '廃止'} className="p-2 text-gray-500 hover:text-red-600">
+                        {subject.retired ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {open && (
+                  <SubjectUnits
+                    subject={subject}
+                    canEdit={canEdit}
+                    dragging={draggingUnitId}
+                    onDragStart={setDraggingUnitId}
+                    onDragEnd={() => setDraggingUnitId(null)}
+                    onDrop={dropUnit}
+                  />
+                )}
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
+
+export default withPermission(AdminSubjectsPage, PERMISSIONS.CONTENT_READ);
@@ -1,5 +1,8 @@
 import { useEffect, useState } from 'react';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 import { Upload, FileText, Music, Trash2, FolderOpen, HardDrive, AlertCircle, CheckCircle } from 'lucide-react';
 
 const fileTypes = {
@@ -17,7 +20,7 @@ function formatFileSize(bytes) {
   return `${parseFloat((bytes / 1024 ** index).toFixed(2))} ${sizes[index]}`;
 }
 
-function ExistingFile({ file, onDelete }) {
+function ExistingFile({ file, onDelete, canDelete }) {
   const Icon = file.type === 'audio' ? Music : FileText;
   const colorClass = file.type === 'audio' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100';
 
@@ -31,15 +34,22 @@ function ExistingFile({ file, onDelete }) {
         <p className="text-xs text-gray-500">
           {formatFileSize(file.size)} • {file.unitTitle ? `${file.unitTitle} (${file.unitId})` : '未割当'}
         </p>
+        {file.legacyPublic && (
+          <p className="text-xs text-amber-600">public/ に残っています（npm run migrate:assets で移行してください）</p>
+        )}
       </div>
-      <button onClick={() => onDelete(file.path)} className="rounded-lg p-2 text-red-500 transition-colors hover:bg-red-50">
-        <Trash2 className="h-4 w-4" />
-      </button>
+      {canDelete && (
+        <button onClick={() => onDelete(file.path)} className="rounded-lg p-2 text-red-500 transition-colors hover:bg-red-50">
+          <Trash2 className="h-4 w-4" />
+        </button>
+      )}
     </div>
   );
 }
 
-export default function UploadPage() {
+function UploadPage() {
+  const { hasPermission } = useAuth();
+  const canDelete = hasPermission(PERMISSIONS.ASSETS_DELETE);
   const [activeTab, setActiveTab] = useState('upload');
   const [fileType, setFileType] = useState('pdf');
   const [unitId, setUnitId] = useState('');
@@ -49,7 +59,7 @@ export default function UploadPage() {
   const [existingFiles, setExistingFiles] = useState([]);
 
   async function loadFiles() {
-    const res = await fetch('/api/upload');
+    const res = await authFetch('/api/upload');
     const data = await res.json();
     if (res.ok && data.success) {
       setExistingFiles(data.files);
@@ -75,7 +85,7 @@ export default function UploadPage() {
     payload.append('file', selectedFile);
 
     try {
-      const res = await fetch('/api/upload', {
+      const res = await authFetch('/api/upload', {
         method: 'POST',
         body: payload,
       });
@@ -100,7 +110,7 @@ export default function UploadPage() {
       return;
     }
 
-    const res = await fetch(`/api/upload?path=${encodeURIComponent(filePath)}`, {
+    const res = await authFetch(`/api/upload?path=${encodeURIComponent(filePath)}`, {
       method: 'DELETE',
     });
     const data = await res.json();
@@ -212,7 +222,7 @@ export default function UploadPage() {
       ) : (
         <div className="rounded-xl border border-gray-100 bg-white p-6 shadow-sm">
           <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
-            {existingFiles.map((file) => <ExistingFile key={file.id} file={file} onDelete={deleteFile} />)}
+            {existingFiles.map((file) => <ExistingFile key={file.id} file={file} onDelete={deleteFile} canDelete={canDelete} />)}
           </div>
           {existingFiles.length === 0 && (
             <div className="py-12 text-center text-gray-500">
@@ -225,3 +235,5 @@ export default function UploadPage() {
     </AdminLayout>
   );
 }
+
+export default withPermission(UploadPage, PERMISSIONS.ASSETS_READ);
@@ -1,5 +1,10 @@
 import { useCallback, useEffect, useState } from 'react';
 import AdminLayout from '@/features/admin/components/AdminLayout';
+import StudyEventLogDialog from '@/features/admin/components/StudyEventLogDialog';
+import { useAuth, withPermission } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { PERMISSIONS, ROLE_OPTIONS, getRoleLabel } from '@/shared/lib/permissions';
+import { USER_STATUSES, USER_STATUS_OPTIONS, getUserStatusLabel } from '@/shared/lib/userStatus';
 import {
   Search,
   Filter,
@@ -11,19 +16,18 @@ import {
   UserCheck,
   TrendingUp,
   Crown,
+  History,
+  ShieldCheck,
 } from 'lucide-react';
 
 const roleOptions = [
   { value: '', label: 'すべての権限' },
-  { value: 'admin', label: '管理者' },
-  { value: 'user', label: '一般会員' },
+  ...ROLE_OPTIONS,
 ];
 
 const statusOptions = [
   { value: '', label: 'すべてのステータス' },
-  { value: 'active', label: 'アクティブ' },
-  { value: 'inactive', label: '非アクティブ' },
-  { value: 'suspended', label: '停止中' },
+  ...USER_STATUS_OPTIONS,
 ];
 
 function StatsCard({ icon: Icon, title, value, color }) {
@@ -47,10 +51,14 @@ function roleBadge(user) {
     return 'bg-yellow-100 text-yellow-700';
   }
 
-  return user.role === 'admin' ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-700';
+  return user.role && user.role !== 'user' ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-700';
 }
 
-export default function UsersPage() {
+function UsersPage() {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManage = hasPermission(PERMISSIONS.USERS_MANAGE);
+  const [notice, setNotice] = useState(null);
+  const [historyUser, setHistoryUser] = useState(null);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
@@ -60,7 +68,7 @@ export default function UsersPage() {
   const loadUsers = useCallback(async () => {
     setLoading(true);
     try {
-      const res = await fetch('/api/admin/users');
+      const res = await authFetch('/api/admin/users');
       const data = await res.json();
       if (res.ok && data.success) {
         let nextUsers = data.users;
@@ -95,15 +103,48 @@ export default function UsersPage() {
     loadUsers();
   }, [loadUsers]);
 
+  async function updateUser(target, updates) {
+    const res = await authFetch(`/api/admin/users/${encodeURIComponent(target.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...updates, version: target.version }),
+    });
+    const data = await res.json();
+    setNotice(res.ok && data.success
+      ? { type: 'success', text: `${target.name} を更新しました` }
+      : { type: 'error', text: data.error || '更新に失敗しました' });
+    await loadUsers();
+  }
+
+  // 認証アプリとリカバリーコードをなくしたユーザーの二段階認証を解除する
+  async function resetTwoFactor(target) {
+    if (!window.confirm(`${target.name} の二段階認証を解除しますか？${target.role !== 'user' ? '次のログインで設定し直しが必要になります。' : ''}`)) {
+      return;
+    }
+
+    const res = await authFetch(`/api/admin/users/${encodeURIComponent(target.id)}/two-factor`, { method: 'DELETE' });
+    const data = await res.json();
+    setNotice(res.ok && data.success
+      ? { type: 'success', text: `${target.name} の二段階認証を解除しました` }
+      : { type: 'error', text: data.error || '二段階認証の解除に失敗しました' });
+    await loadUsers();
+  }
+
   const stats = {
     total: users.length,
-    active: users.filter((user) => user.status === 'active').length,
+    active: users.filter((user) => user.status === USER_STATUSES.ACTIVE).length,
     premium: users.filter((user) => user.isPremium).length,
     avgProgress: users.length ? Math.round(users.reduce((sum, user) => sum + user.progress, 0) / users.length) : 0,
   };
 
   return (
     <AdminLayout title="ユーザー管理">
+      {notice && (
+        <div className={`mb-6 rounded-lg p-4 text-sm ${notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+          {notice.text}
+        </div>
+      )}
+
       <div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
         <StatsCard icon={Users} title="総ユーザー数" value={stats.total} color="bg-blue-600" />
         <StatsCard icon={UserCheck} title="アクティブ" value={stats.active} color="bg-green-600" />
@@ -161,7 +202,9 @@ export default function UsersPage() {
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">ユーザー</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">権限</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">ステータス</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">二段階認証</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">進捗</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">学習履歴</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">最終ログイン</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">登録日</th>
                     <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">連絡</th>
@@ -182,14 +225,57 @@ export default function UsersPage() {
                         </div>
                       </td>
                       <td className="px-6 py-4">
-                        <span className={`rounded-full px-2 py-1 text-xs font-medium ${roleBadge(user)}`}>
-                          {user.isPremium ? 'プレミアム' : user.role === 'admin' ? '管理者' : '一般会員'}
-                        </span>
+                        {canManage && user.id !== currentUser?.id ? (
+                          <select
+                            value={user.role}
+                            onChange={(event) => updateUser(user, { role: event.target.value })}
+                            className="rounded-lg border border-gray-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {ROLE_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                          </select>
+                        ) : (
+                          <span className={`rounded-full px-2 py-1 text-xs font-medium ${roleBadge(user)}`}>
+                            {user.isPremium && user.role === 'user' ? 'プレミアム' : getRoleLabel(user.role)}
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4">
-                        <span className={`rounded-full px-2 py-1 text-xs font-medium ${user.status === 'active' ? 'bg-green-100 text-green-700' : user.status === 'suspended' ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-700'}`}>
-                          {user.status === 'active' ? 'アクティブ' : user.status === 'suspended' ? '停止中' : '非アクティブ'}
-                        </span>
+                        {canManage && user.id !== currentUser?.id ? (
+                          <select
+                            value={user.status}
+                            onChange={(event) => updateUser(user, { status: event.target.value })}
+                            className="rounded-lg border border-gray-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {statusOptions.filter((option) => option.value).map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                          </select>
+                        ) : (
+                          <span className={`rounded-full px-2 py-1 text-xs font-medium ${user.status === USER_STATUSES.ACTIVE ? 'bg-green-100 text-green-700' : user.status === USER_STATUSES.SUSPENDED ? 'bg-red-100 text-red-700' : user.status === USER_STATUSES.PENDING_VERIFICATION ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-700'}`}>
+                            {getUserStatusLabel(user.status)}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        {user.twoFactorEnabled ? (
+                          <div className="flex items-center gap-2">
+                            <span className="inline-flex items-center gap-1 rounded-full bg-green-100 px-2 py-1 text-xs font-medium text-green-700">
+                              <ShieldCheck className="h-3 w-3" />
+                              有効
+                            </span>
+                            {canManage && user.id !== currentUser?.id && (
+                              <button
+                                type="button"
+                                onClick={() => resetTwoFactor(user)}
+                                className="text-xs text-red-600 hover:text-red-700"
+                              >
+                                解除
+                              </button>
+                            )}
+                          </div>
+                        ) : (
+                          <span className={`rounded-full px-2 py-1 text-xs font-medium ${user.role !== 'user' ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-700'}`}>
+                            {user.role !== 'user' ? '未設定（必須）' : '未設定'}
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4">
                         <div className="text-sm text-gray-600">
@@ -199,6 +285,16 @@ export default function UsersPage() {
                           </div>
                         </div>
                       </td>
+                      <td className="px-6 py-4">
+                        <button
+                          type="button"
+                          onClick={() => setHistoryUser(user)}
+                          className="inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700"
+                        >
+                          <History className="h-4 w-4" />
+                          表示
+                        </button>
+                      </td>
                       <td className="px-6 py-4 text-sm text-gray-500">{user.lastLogin ? new Date(user.lastLogin).toLocaleDateString('ja-JP') : '-'}</td>
                       <td className="px-6 py-4 text-sm text-gray-500">{new Date(user.registeredAt).toLocaleDateString('ja-JP')}</td>
                       <td className="px-6 py-4">
@@ -230,6 +326,10 @@ export default function UsersPage() {
           </>
         )}
       </div>
+
+      {historyUser && <StudyEventLogDialog user={historyUser} onClose={() => setHistoryUser(null)} />}
     </AdminLayout>
   );
 }
+
+export default withPermission(UsersPage, PERMISSIONS.USERS_READ);
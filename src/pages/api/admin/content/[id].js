@@ -1,7 +1,11 @@
 import fs from 'fs';
 import contentRepository from '@/server/repositories/contentRepository';
 import { parseMultipartForm } from '@/server/api/multipart';
-import { saveAsset, deletePublicAsset } from '@/server/api/assets';
+import { saveAsset, deleteAsset } from '@/server/api/assets';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { assertStatusChange } from '@/server/api/contentWorkflow';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 
 export const config = {
   api: {
@@ -26,12 +30,19 @@ function normalizePayload(fields) {
     estimatedTime: pickFirst(fields.estimatedTime),
     accessLevel: pickFirst(fields.accessLevel),
     status: pickFirst(fields.status),
+    publishAt: pickFirst(fields.publishAt),
+    lawVersion: pickFirst(fields.lawVersion),
+    effectiveFrom: pickFirst(fields.effectiveFrom),
+    // 節ごとの法令の基準日は JSON 文字列で受け取る
+    sectionLawVersions: pickFirst(fields.sectionLawVersions),
+    // 前提の単元も JSON 文字列（単元 ID の配列）で受け取る
+    prerequisites: pickFirst(fields.prerequisites),
     contentFormat: pickFirst(fields.contentFormat) || 'markdown',
     content: pickFirst(fields.content) || pickFirst(fields.markdown),
   };
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const { id } = req.query;
 
   if (req.method === 'GET') {
@@ -52,12 +63,12 @@ export default async function handler(req, res) {
   if (req.method === 'DELETE') {
     const existing = contentRepository.getUnit(String(id), { includeDraft: true });
     if (existing?.audioUrl) {
-      deletePublicAsset(existing.audioUrl);
+      deleteAsset(existing.audioUrl);
     }
     if (existing?.pdfUrl) {
-      deletePublicAsset(existing.pdfUrl);
+      deleteAsset(existing.pdfUrl);
     }
-    contentRepository.deleteUnit(String(id));
+    contentRepository.deleteUnit(String(id), { author: getRequestAuthor(req) });
 
     return res.status(200).json({
       success: true,
@@ -92,14 +103,31 @@ export default async function handler(req, res) {
       payload.content = fs.readFileSync(htmlFile.filepath, 'utf8');
     }
 
+    // 状態は許された変更だけを受け付け、移る先の状態の権限が必要（公開中の単元を編集者が更新する場合は下書きかレビュー中に戻す）
+    payload.status = payload.status || existing.status;
+    payload.publishAt = payload.publishAt ?? existing.publishAt;
+    // 法令の基準日を送らない更新では今の値を引き継ぐ
+    payload.lawVersion = payload.lawVersion ?? existing.lawVersion;
+    payload.effectiveFrom = payload.effectiveFrom ?? existing.effectiveFrom;
+    payload.sectionLawVersions = payload.sectionLawVersions ?? existing.sectionLawVersions;
+    payload.prerequisites = payload.prerequisites ?? existing.prerequisites;
+    if (!assertStatusChange(req, res, {
+      unitId: String(id),
+      from: existing.status,
+      to: payload.status,
+      publishAt: payload.publishAt,
+    })) {
+      return;
+    }
+
     const nextAudioUrl = audioFile ? saveAsset(audioFile, 'audio', String(id)) : existing.audioUrl;
     const nextPdfUrl = pdfFile ? saveAsset(pdfFile, 'pdf', String(id)) : existing.pdfUrl;
 
     if (audioFile && existing.audioUrl && existing.audioUrl !== nextAudioUrl) {
-      deletePublicAsset(existing.audioUrl);
+      deleteAsset(existing.audioUrl);
     }
     if (pdfFile && existing.pdfUrl && existing.pdfUrl !== nextPdfUrl) {
-      deletePublicAsset(existing.pdfUrl);
+      deleteAsset(existing.pdfUrl);
     }
 
     const unit = contentRepository.saveUnit({
@@ -108,13 +136,20 @@ export default async function handler(req, res) {
       id: String(id),
       audioUrl: nextAudioUrl,
       pdfUrl: nextPdfUrl,
-    });
+    }, { author: getRequestAuthor(req) });
 
     return res.status(200).json({
       success: true,
       unit,
     });
   } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error('Update content error:', error);
     return res.status(500).json({
       success: false,
@@ -122,3 +157,9 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  PUT: PERMISSIONS.CONTENT_EDIT,
+  DELETE: PERMISSIONS.CONTENT_DELETE,
+}, handler);
@@ -0,0 +1,48 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import reviewRepository from '@/server/repositories/reviewRepository';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { MAX_REVIEW_COMMENT_LENGTH } from '@/features/content/lib/editorialWorkflow';
+
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+  const body = String(req.body?.body || '').trim();
+
+  if (!body) {
+    return res.status(400).json({
+      success: false,
+      error: 'コメントを入力してください',
+    });
+  }
+
+  if (body.length > MAX_REVIEW_COMMENT_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `コメントは${MAX_REVIEW_COMMENT_LENGTH}文字以内で入力してください`,
+    });
+  }
+
+  try {
+    if (!contentRepository.getUnit(unitId, { includeDraft: true })) {
+      return res.status(404).json({
+        success: false,
+        error: 'コンテンツが見つかりません',
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      comment: reviewRepository.addComment(unitId, { author: getRequestAuthor(req), body }),
+    });
+  } catch (error) {
+    console.error('Add review comment error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'コメントの投稿に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  POST: PERMISSIONS.CONTENT_EDIT,
+}, handler);
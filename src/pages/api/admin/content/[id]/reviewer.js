@@ -0,0 +1,43 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import reviewRepository from '@/server/repositories/reviewRepository';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { listReviewers } from '@/server/api/contentWorkflow';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+// レビュー担当者を決める（reviewerId を空にすると担当を外す）
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+  const reviewerId = req.body?.reviewerId ? String(req.body.reviewerId) : null;
+
+  try {
+    if (!contentRepository.getUnit(unitId, { includeDraft: true })) {
+      return res.status(404).json({
+        success: false,
+        error: 'コンテンツが見つかりません',
+      });
+    }
+
+    const reviewer = reviewerId ? listReviewers().find((candidate) => candidate.id === reviewerId) : null;
+    if (reviewerId && !reviewer) {
+      return res.status(400).json({
+        success: false,
+        error: 'レビュー担当者に選べないユーザーです',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      assignment: reviewRepository.assignReviewer(unitId, reviewer, { assignedBy: getRequestAuthor(req)?.name }),
+    });
+  } catch (error) {
+    console.error('Assign reviewer error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'レビュー担当者の設定に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  PUT: PERMISSIONS.CONTENT_EDIT,
+}, handler);
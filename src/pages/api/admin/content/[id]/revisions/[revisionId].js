@@ -0,0 +1,61 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import revisionRepository from '@/server/repositories/revisionRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { diffRevisionBodies, diffRevisionMeta } from '@/features/content/lib/revisionDiff';
+
+const REVISION_COMPARE_TARGETS = {
+  PREVIOUS: 'previous',
+  CURRENT: 'current',
+};
+
+// 比較の基準（左側）。直前の版、現在保存されている内容、または別の版の ID
+function resolveBase(unitId, revision, compare) {
+  if (compare === REVISION_COMPARE_TARGETS.CURRENT) {
+    const body = revisionRepository.findDeletion(unitId) ? null : contentRepository.getUnitBody(unitId);
+    return body === null
+      ? null
+      : { label: '現在の内容', meta: contentRepository.getUnit(unitId, { includeDraft: true }), body };
+  }
+
+  const base = compare && compare !== REVISION_COMPARE_TARGETS.PREVIOUS
+    ? revisionRepository.findRevision(unitId, compare)
+    : revisionRepository.findPreviousRevision(unitId, revision.number);
+  return base ? { label: `版 ${base.number}`, revisionId: base.id, meta: base.meta, body: base.body } : null;
+}
+
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+
+  try {
+    const revision = revisionRepository.findRevision(unitId, req.query.revisionId);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: '指定した版が見つかりません',
+      });
+    }
+
+    const base = resolveBase(unitId, revision, req.query.compare ? String(req.query.compare) : REVISION_COMPARE_TARGETS.PREVIOUS);
+
+    return res.status(200).json({
+      success: true,
+      revision,
+      base: base ? { label: base.label, revisionId: base.revisionId || null } : null,
+      diff: {
+        meta: diffRevisionMeta(base?.meta || {}, revision.meta),
+        body: diffRevisionBodies(base?.body || '', revision.body),
+      },
+    });
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '版の比較に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
@@ -0,0 +1,25 @@
+import revisionRepository from '@/server/repositories/revisionRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+
+  try {
+    return res.status(200).json({
+      success: true,
+      revisions: revisionRepository.listRevisions(unitId),
+      deletion: revisionRepository.findDeletion(unitId),
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '版の履歴の取得に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
@@ -0,0 +1,42 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import revisionRepository from '@/server/repositories/revisionRepository';
+import { withPermission, assertPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { getStatusPermission } from '@/features/content/lib/editorialWorkflow';
+
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+  const revisionId = req.body?.revisionId ? String(req.body.revisionId) : null;
+
+  try {
+    const revision = revisionId ? revisionRepository.findRevision(unitId, revisionId) : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: '指定した版が見つかりません',
+      });
+    }
+
+    // 版の状態で保存し直すので、その状態で保存するのと同じ権限が必要（公開中・公開予約の版なら公開権限）
+    if (!assertPermission(req, res, getStatusPermission(revision.meta.status))) {
+      return;
+    }
+
+    const unit = contentRepository.rollbackUnit(unitId, revision.id, { author: getRequestAuthor(req) });
+
+    return res.status(200).json({
+      success: true,
+      unit,
+    });
+  } catch (error) {
+    console.error('Rollback content error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '版の復元に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  POST: PERMISSIONS.CONTENT_EDIT,
+}, handler);
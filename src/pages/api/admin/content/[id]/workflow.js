@@ -0,0 +1,80 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import reviewRepository from '@/server/repositories/reviewRepository';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { assertStatusChange, listReviewers } from '@/server/api/contentWorkflow';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { MAX_REVIEW_COMMENT_LENGTH } from '@/features/content/lib/editorialWorkflow';
+
+function buildWorkflow(unit) {
+  return {
+    status: unit.status,
+    publishAt: unit.publishAt || null,
+    assignment: reviewRepository.getAssignment(unit.id),
+    comments: reviewRepository.listComments(unit.id),
+  };
+}
+
+async function handler(req, res) {
+  const unitId = String(req.query.id);
+
+  try {
+    const unit = contentRepository.getUnit(unitId, { includeDraft: true });
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: 'コンテンツが見つかりません',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        workflow: buildWorkflow(unit),
+        reviewers: listReviewers(),
+      });
+    }
+
+    const status = String(req.body?.status || '');
+    const comment = String(req.body?.comment || '').trim();
+    if (comment.length > MAX_REVIEW_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `コメントは${MAX_REVIEW_COMMENT_LENGTH}文字以内で入力してください`,
+      });
+    }
+
+    if (!assertStatusChange(req, res, {
+      unitId,
+      from: unit.status,
+      to: status,
+      publishAt: req.body?.publishAt,
+    })) {
+      return;
+    }
+
+    const updated = contentRepository.changeUnitStatus(unitId, {
+      status,
+      publishAt: req.body?.publishAt,
+    }, {
+      author: getRequestAuthor(req),
+      comment,
+    });
+
+    return res.status(200).json({
+      success: true,
+      unit: updated,
+      workflow: buildWorkflow(updated),
+    });
+  } catch (error) {
+    console.error('Content workflow error:', error);
+    return res.status(500).json({
+      success: false,
+      error: req.method === 'GET' ? 'ワークフローの取得に失敗しました' : '状態の変更に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  POST: PERMISSIONS.CONTENT_EDIT,
+}, handler);
@@ -0,0 +1,31 @@
+import { withPermission } from '@/features/auth/server/authorization';
+import { getAmendmentImpactReport } from '@/features/statutes/server/amendmentImpact';
+import { getCurrentExamYear } from '@/features/statutes/lib/amendments';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  const examYear = req.query.examYear ? Number(req.query.examYear) : getCurrentExamYear();
+  if (!Number.isInteger(examYear) || examYear < 2000 || examYear > 2100) {
+    return res.status(400).json({
+      success: false,
+      error: '試験年度が正しくありません',
+    });
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      ...getAmendmentImpactReport({ examYear }),
+    });
+  } catch (error) {
+    console.error('Amendment impact report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '法改正の影響レポートの作成に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
@@ -0,0 +1,24 @@
+import { withPermission } from '@/features/auth/server/authorization';
+import { getUnresolvedCitationReport } from '@/features/statutes/server/articleIndex';
+import { KNOWN_LAWS } from '@/features/statutes/lib/citations';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      knownLaws: KNOWN_LAWS,
+      units: getUnresolvedCitationReport(),
+    });
+  } catch (error) {
+    console.error('Citation report error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '条文引用レポートの作成に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
@@ -0,0 +1,23 @@
+import revisionRepository, { getRevisionRetentionDays } from '@/server/repositories/revisionRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  try {
+    return res.status(200).json({
+      success: true,
+      retentionDays: getRevisionRetentionDays(),
+      units: revisionRepository.listDeletedUnits(),
+    });
+  } catch (error) {
+    console.error('Deleted units error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '削除した単元の取得に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
@@ -2,6 +2,10 @@ import fs from 'fs';
 import contentRepository from '@/server/repositories/contentRepository';
 import { parseMultipartForm } from '@/server/api/multipart';
 import { saveAsset } from '@/server/api/assets';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { assertStatusChange } from '@/server/api/contentWorkflow';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 
 export const config = {
   api: {
@@ -26,12 +30,19 @@ function normalizePayload(fields) {
     estimatedTime: pickFirst(fields.estimatedTime),
     accessLevel: pickFirst(fields.accessLevel),
     status: pickFirst(fields.status),
+    publishAt: pickFirst(fields.publishAt),
+    lawVersion: pickFirst(fields.lawVersion),
+    effectiveFrom: pickFirst(fields.effectiveFrom),
+    // 節ごとの法令の基準日は JSON 文字列で受け取る
+    sectionLawVersions: pickFirst(fields.sectionLawVersions),
+    // 前提の単元も JSON 文字列（単元 ID の配列）で受け取る
+    prerequisites: pickFirst(fields.prerequisites),
     contentFormat: pickFirst(fields.contentFormat) || 'markdown',
     content: pickFirst(fields.content) || pickFirst(fields.markdown),
   };
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method === 'GET') {
     const includeDraft = req.query.includeDraft !== 'false';
     const result = contentRepository.listUnits(req.query, {
@@ -71,6 +82,12 @@ export default async function handler(req, res) {
       });
     }
 
+    // 新しい単元は下書きから始まったものとして状態の変更を確かめる（公開には公開権限が必要）
+    payload.status = payload.status || 'draft';
+    if (!assertStatusChange(req, res, { from: 'draft', to: payload.status, publishAt: payload.publishAt })) {
+      return;
+    }
+
     const provisionalId = contentRepository.generateUnitId(payload.subjectId);
     const audioFile = pickFirst(files.audioFile);
     const pdfFile = pickFirst(files.pdfFile);
@@ -80,13 +97,20 @@ export default async function handler(req, res) {
       id: provisionalId,
       audioUrl: audioFile ? saveAsset(audioFile, 'audio', provisionalId) : null,
       pdfUrl: pdfFile ? saveAsset(pdfFile, 'pdf', provisionalId) : null,
-    });
+    }, { author: getRequestAuthor(req) });
 
     return res.status(201).json({
       success: true,
       unit,
     });
   } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     console.error('Create content error:', error);
     return res.status(500).json({
       success: false,
@@ -94,3 +118,8 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  POST: PERMISSIONS.CONTENT_EDIT,
+}, handler);
@@ -0,0 +1,56 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import reviewRepository from '@/server/repositories/reviewRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+import { CONTENT_STATUSES } from '@/features/content/lib/editorialWorkflow';
+
+function listByStatus(status) {
+  return contentRepository.listUnits({ status }, { includeDraft: true }).units;
+}
+
+function toQueueItem(unit, assignments, submissions) {
+  const submission = submissions.get(unit.id);
+  return {
+    id: unit.id,
+    title: unit.title,
+    subjectId: unit.subjectId,
+    status: unit.status,
+    publishAt: unit.publishAt || null,
+    updatedAt: unit.updatedAt,
+    reviewer: assignments.get(unit.id)?.reviewer || null,
+    submittedAt: submission?.createdAt || null,
+    submittedBy: submission?.author?.name || null,
+  };
+}
+
+/**
+ * レビュー待ち（古く出された順）・承認済み・公開予約（公開日時の早い順）の単元
+ */
+async function handler(req, res) {
+  try {
+    const inReview = listByStatus(CONTENT_STATUSES.IN_REVIEW);
+    const approved = listByStatus(CONTENT_STATUSES.APPROVED);
+    const scheduled = listByStatus(CONTENT_STATUSES.SCHEDULED);
+    const unitIds = [...inReview, ...approved, ...scheduled].map((unit) => unit.id);
+    const assignments = reviewRepository.getAssignments(unitIds);
+    const submissions = reviewRepository.findLatestTransitions(unitIds, CONTENT_STATUSES.IN_REVIEW);
+    const toItems = (units) => units.map((unit) => toQueueItem(unit, assignments, submissions));
+
+    return res.status(200).json({
+      success: true,
+      inReview: toItems(inReview).sort((a, b) => String(a.submittedAt || a.updatedAt).localeCompare(String(b.submittedAt || b.updatedAt))),
+      approved: toItems(approved),
+      scheduled: toItems(scheduled).sort((a, b) => String(a.publishAt).localeCompare(String(b.publishAt))),
+    });
+  } catch (error) {
+    console.error('Review queue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'レビュー待ちの一覧の取得に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+}, handler);
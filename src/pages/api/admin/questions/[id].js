@@ -0,0 +1,63 @@
+import questionRepository from '@/server/repositories/questionRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  const { id } = req.query;
+  const existing = questionRepository.getQuestion(String(id));
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: '問題が見つかりません',
+    });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      question: existing,
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    questionRepository.deleteQuestion(existing.id);
+    return res.status(200).json({
+      success: true,
+      message: '問題を削除しました',
+    });
+  }
+
+  try {
+    const question = questionRepository.saveQuestion({
+      ...existing,
+      ...(req.body || {}),
+      id: existing.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      question,
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Update question error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '問題の更新に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  PUT: PERMISSIONS.CONTENT_EDIT,
+  DELETE: PERMISSIONS.CONTENT_DELETE,
+}, handler);
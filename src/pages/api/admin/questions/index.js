@@ -0,0 +1,47 @@
+import questionRepository from '@/server/repositories/questionRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    const questions = questionRepository.listQuestions({
+      unitId: req.query.unitId,
+      subjectId: req.query.subjectId,
+      type: req.query.type,
+    }, { includeDraft: true });
+
+    return res.status(200).json({
+      success: true,
+      questions,
+    });
+  }
+
+  try {
+    const { id, ...payload } = req.body || {};
+    const question = questionRepository.saveQuestion(payload);
+
+    return res.status(201).json({
+      success: true,
+      question,
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Create question error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '問題の作成に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  POST: PERMISSIONS.CONTENT_EDIT,
+}, handler);
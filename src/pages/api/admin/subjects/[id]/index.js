@@ -0,0 +1,49 @@
+import subjectRepository from '@/server/repositories/subjectRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  const { id } = req.query;
+  const existing = subjectRepository.getSubject(String(id));
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: '科目が見つかりません',
+    });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      subject: existing,
+    });
+  }
+
+  try {
+    const subject = subjectRepository.updateSubject(existing.id, req.body || {});
+    return res.status(200).json({
+      success: true,
+      subject,
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Update subject error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '科目の更新に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  PUT: PERMISSIONS.CONTENT_PUBLISH,
+}, handler);
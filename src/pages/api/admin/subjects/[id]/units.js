@@ -0,0 +1,49 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import subjectRepository from '@/server/repositories/subjectRepository';
+import { buildAdminSubjects } from '@/server/api/subjects';
+import { withPermission, getRequestAuthor } from '@/features/auth/server/authorization';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+// 科目の単元の並びを保存する。unitIds にほかの科目の単元があれば、この科目へ移す
+async function handler(req, res) {
+  const { id } = req.query;
+  if (!subjectRepository.getSubject(String(id))) {
+    return res.status(404).json({
+      success: false,
+      error: '科目が見つかりません',
+    });
+  }
+
+  if (!Array.isArray(req.body?.unitIds)) {
+    return res.status(400).json({
+      success: false,
+      error: '単元の並びを指定してください',
+    });
+  }
+
+  try {
+    contentRepository.arrangeSubjectUnits(String(id), req.body.unitIds, { author: getRequestAuthor(req) });
+    return res.status(200).json({
+      success: true,
+      subjects: buildAdminSubjects(),
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Arrange subject units error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '単元の並びの保存に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  PUT: PERMISSIONS.CONTENT_PUBLISH,
+}, handler);
@@ -0,0 +1,49 @@
+import subjectRepository from '@/server/repositories/subjectRepository';
+import { buildAdminSubjects } from '@/server/api/subjects';
+import { withPermission } from '@/features/auth/server/authorization';
+import { isValidationError } from '@/server/repositories/errors';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      subjects: buildAdminSubjects(),
+    });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const subject = subjectRepository.createSubject(req.body || {});
+      return res.status(201).json({
+        success: true,
+        subject,
+      });
+    }
+
+    subjectRepository.reorderSubjects(req.body?.order);
+    return res.status(200).json({
+      success: true,
+      subjects: buildAdminSubjects(),
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Save subjects error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '科目の保存に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.CONTENT_READ,
+  POST: PERMISSIONS.CONTENT_PUBLISH,
+  PUT: PERMISSIONS.CONTENT_PUBLISH,
+}, handler);
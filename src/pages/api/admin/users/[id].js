@@ -0,0 +1,96 @@
+import userManager from '@/features/auth/server/userManager';
+import { withPermission } from '@/features/auth/server/authorization';
+import { revokeSessionsForDisabledAccount } from '@/features/auth/server/sessions';
+import { isVersionConflict } from '@/server/repositories/errors';
+import { PERMISSIONS, ROLE_OPTIONS } from '@/shared/lib/permissions';
+import { USER_STATUS_OPTIONS, canSignIn } from '@/shared/lib/userStatus';
+
+async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const user = await userManager.findById(String(id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'ユーザーが見つかりません',
+      });
+    }
+
+    const { role, status, version } = req.body || {};
+    const updates = {};
+
+    if (role !== undefined) {
+      if (!ROLE_OPTIONS.some((option) => option.value === role)) {
+        return res.status(400).json({
+          success: false,
+          error: '不正な権限です',
+        });
+      }
+      updates.role = role;
+    }
+
+    if (status !== undefined) {
+      if (!USER_STATUS_OPTIONS.some((option) => option.value === status)) {
+        return res.status(400).json({
+          success: false,
+          error: '不正なステータスです',
+        });
+      }
+      updates.status = status;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '更新する内容がありません',
+      });
+    }
+
+    // 自分自身の権限を外して管理画面から締め出されるのを防ぐ
+    if (user.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: '自分自身の権限・ステータスは変更できません',
+      });
+    }
+
+    const updated = await userManager.update(
+      user.id,
+      updates,
+      version !== undefined ? { expectedVersion: version } : {}
+    );
+
+    // 停止・非アクティブにしたら、ログイン中の端末もすべてログアウトさせる
+    if (!canSignIn(updated)) {
+      revokeSessionsForDisabledAccount(updated.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      user: {
+        id: updated.id,
+        role: updated.role,
+        status: updated.status,
+        version: updated.version,
+      },
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error('Admin user update error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'ユーザーの更新に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  PATCH: PERMISSIONS.USERS_MANAGE,
+}, handler);
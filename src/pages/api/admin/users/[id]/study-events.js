@@ -0,0 +1,45 @@
+import userManager from '@/features/auth/server/userManager';
+import contentRepository from '@/server/repositories/contentRepository';
+import studyEventRepository from '@/server/repositories/studyEventRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+// 学習者の学習のイベント（新しい順）。unitId で単元を絞り込み、before で続きを読む
+async function handler(req, res) {
+  try {
+    const user = await userManager.findById(String(req.query.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'ユーザーが見つかりません',
+      });
+    }
+
+    const { events, nextBefore } = studyEventRepository.list(user.id, {
+      unitId: req.query.unitId,
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+    const units = Object.fromEntries([...new Set(events.map((event) => event.unitId))].map((unitId) => {
+      const unit = contentRepository.getUnit(unitId, { includeDraft: true });
+      return [unitId, unit ? { id: unit.id, title: unit.title, subjectId: unit.subjectId } : null];
+    }));
+
+    return res.status(200).json({
+      success: true,
+      events,
+      units,
+      nextBefore,
+    });
+  } catch (error) {
+    console.error('Admin study events error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習履歴の取得に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  GET: PERMISSIONS.USERS_READ,
+}, handler);
@@ -0,0 +1,47 @@
+import userManager from '@/features/auth/server/userManager';
+import { withPermission } from '@/features/auth/server/authorization';
+import { resetTwoFactor } from '@/features/auth/server/twoFactor';
+import { PERMISSIONS } from '@/shared/lib/permissions';
+
+// ユーザーの二段階認証を解除する（認証アプリとリカバリーコードをなくしたときなど）
+async function handler(req, res) {
+  try {
+    const user = await userManager.findById(String(req.query.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'ユーザーが見つかりません',
+      });
+    }
+
+    // 自分の二段階認証は、設定画面から本人の確認をして変える
+    if (user.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: '自分自身の二段階認証は解除できません',
+      });
+    }
+
+    if (!resetTwoFactor(user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'このユーザーは二段階認証を設定していません',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '二段階認証を解除しました',
+    });
+  } catch (error) {
+    console.error('Admin two-factor reset error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '二段階認証の解除に失敗しました',
+    });
+  }
+}
+
+export default withPermission({
+  DELETE: PERMISSIONS.USERS_MANAGE,
+}, handler);
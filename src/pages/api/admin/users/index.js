@@ -1,7 +1,10 @@
 import userManager from '@/features/auth/server/userManager';
 import progressRepository from '@/server/repositories/progressRepository';
+import twoFactorRepository from '@/server/repositories/twoFactorRepository';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({
       success: false,
@@ -11,6 +14,7 @@ export default async function handler(req, res) {
 
   try {
     const users = await userManager.listUsers();
+    const twoFactorUserIds = twoFactorRepository.listEnabledUserIds();
     const rows = users.map((user) => {
       const summary = progressRepository.getSummary(user.id);
       return {
@@ -18,9 +22,11 @@ export default async function handler(req, res) {
         name: user.name,
         email: user.email,
         role: user.role || 'user',
+        version: user.version,
         status: user.status || 'active',
         membership: user.membership || 'free',
         isPremium: Boolean(user.isPremium),
+        twoFactorEnabled: twoFactorUserIds.has(user.id),
         progress: summary.overall.completionRate,
         completedUnits: summary.overall.completedUnits,
         totalTrackedUnits: summary.overall.totalUnits,
@@ -43,3 +49,7 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withPermission({
+  GET: PERMISSIONS.USERS_READ,
+}, handler);
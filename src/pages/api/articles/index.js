@@ -0,0 +1,23 @@
+import { getArticleIndex } from '@/features/statutes/server/articleIndex';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      laws: getArticleIndex(),
+    });
+  } catch (error) {
+    console.error('Article index error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '条文索引の取得に失敗しました',
+    });
+  }
+}
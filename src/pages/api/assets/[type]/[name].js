@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { findAssetOwner, verifyAssetSignature } from '@/server/api/assets';
+import { buildAssetUrl, getAssetContentType, resolveAssetFile } from '@/server/storage/assets';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+import { hasPermission, PERMISSIONS } from '@/shared/lib/permissions';
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+// "bytes=start-end" / "bytes=start-" / "bytes=-suffix" のうち先頭の範囲だけを扱う
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)/.exec(String(header).trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+}
+
+function authorizeAsset(req, assetUrl) {
+  const user = getOptionalRequestUser(req);
+  if (hasPermission(user, PERMISSIONS.ASSETS_READ)) {
+    return { allowed: true };
+  }
+
+  if (verifyAssetSignature(assetUrl, req.query.expires, req.query.signature)) {
+    return { allowed: true };
+  }
+
+  const unit = findAssetOwner(assetUrl);
+  if (!unit || unit.status !== 'published') {
+    return { allowed: false, status: 404, error: 'ファイルが見つかりません' };
+  }
+
+  if (!canAccessUnit(user, unit)) {
+    return user
+      ? { allowed: false, status: 403, error: 'プレミアム会員限定の資料です' }
+      : { allowed: false, status: 401, error: '認証が必要です' };
+  }
+
+  return { allowed: true, isPublic: unit.accessLevel !== 'premium' };
+}
+
+export default function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  const { type, name } = req.query;
+  const filePath = resolveAssetFile(String(type), String(name));
+  if (!filePath) {
+    return res.status(404).json({
+      success: false,
+      error: 'ファイルが見つかりません',
+    });
+  }
+
+  const access = authorizeAsset(req, buildAssetUrl(String(type), String(name)));
+  if (!access.allowed) {
+    return res.status(access.status).json({
+      success: false,
+      error: access.error,
+    });
+  }
+
+  const { size } = fs.statSync(filePath);
+  res.setHeader('Content-Type', getAssetContentType(filePath));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', access.isPublic ? 'public, max-age=300' : 'private, no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (req.query.download === '1') {
+    res.setHeader('Content-Disposition', `attachment; filename="${String(name)}"`);
+  }
+
+  const range = req.headers.range ? parseRange(req.headers.range, size) : null;
+  if (range?.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+  if (range) {
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.status(range ? 206 : 200);
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  return new Promise((resolve) => {
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (error) => {
+      console.error('Asset stream error:', error);
+      res.destroy(error);
+      resolve();
+    });
+    stream.on('end', resolve);
+    res.on('close', () => {
+      stream.destroy();
+      resolve();
+    });
+    stream.pipe(res);
+  });
+}
@@ -0,0 +1,40 @@
+import { requestPasswordReset } from '@/features/auth/server/passwordReset';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default async function handler(req, res) {
+  // POSTメソッドのみ許可
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const email = typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({
+      success: false,
+      error: '有効なメールアドレスを入力してください'
+    });
+  }
+
+  // 送信元と宛先の両方で回数を数える（同じアドレスへの大量送信も防ぐ）
+  if (!enforceRateLimit(req, res, 'PASSWORD_RECOVERY', [`email:${email}`])) {
+    return undefined;
+  }
+
+  // メールの送信は待たない（応答までの時間からも登録の有無がわからないように）
+  try {
+    requestPasswordReset(email);
+  } catch (error) {
+    // 登録の有無が応答からわからないよう、失敗もログに残すだけにする
+    console.error('Password reset request error:', error);
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: '登録済みのメールアドレスであれば、パスワード再設定用のリンクを送信しました'
+  });
+}
@@ -1,17 +1,34 @@
 import userManager from '@/features/auth/server/userManager';
-import { generateToken, setAuthCookie } from '@/features/auth/server/auth';
+import { startSession } from '@/features/auth/server/sessions';
+import {
+  TWO_FACTOR_STEPS,
+  confirmTwoFactorSetup,
+  isTwoFactorEnabled,
+  issueTwoFactorChallenge,
+  readTwoFactorChallenge,
+  verifySecondFactor
+} from '@/features/auth/server/twoFactor';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+import { isValidationError } from '@/server/repositories/errors';
+import { getRole, getPermissions, requiresTwoFactor } from '@/shared/lib/permissions';
+import { canSignIn, isEmailVerified } from '@/shared/lib/userStatus';
 
 export default async function handler(req, res) {
   // POSTメソッドのみ許可
   if (req.method !== 'POST') {
-    return res.status(405).json({ 
-      success: false, 
-      error: 'Method not allowed' 
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
     });
   }
 
   try {
-    const { email, password } = req.body;
+    const { email, password, twoFactorToken } = req.body;
+
+    // 2段階目（二段階認証のコード・設定の確認）
+    if (twoFactorToken) {
+      return await completeTwoFactorLogin(req, res);
+    }
 
     // バリデーション
     if (!email || !password) {
@@ -34,30 +51,28 @@ export default async function handler(req, res) {
       });
     }
 
-    // プレミアムステータスのチェック
-    await userManager.checkPremiumStatus(user.id);
-
-    // トークン生成
-    const refreshedUser = await userManager.findById(user.id);
-    const token = generateToken(refreshedUser);
-
-    // Cookieにトークンを設定
-    setAuthCookie(res, token);
-
-    return res.status(200).json({
-      success: true,
-      message: 'ログインしました',
-      user: {
-        id: refreshedUser.id,
-        email: refreshedUser.email,
-        name: refreshedUser.name,
-        isPremium: refreshedUser.isPremium,
-        membership: refreshedUser.membership
-      },
-      token
-    });
+    // 二段階認証を有効にしているか、必須のロールなら、まだログインさせずに2段階目へ進める
+    const challenge = issueTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.step === TWO_FACTOR_STEPS.SETUP
+          ? '管理画面を使うアカウントは二段階認証の設定が必要です'
+          : '認証アプリの確認コードを入力してください',
+        twoFactor: challenge
+      });
+    }
+
+    return respondWithSession(req, res, user);
 
   } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Login error:', error);
     return res.status(500).json({
       success: false,
@@ -65,3 +80,76 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * パスワードのあとに送られてくる2段階目。
+ * - verify: { twoFactorToken, code } か { twoFactorToken, recoveryCode } を確かめる
+ * - setup: /api/auth/two-factor-setup で始めた設定を { twoFactorToken, code } で有効にし、リカバリーコードも返す
+ */
+async function completeTwoFactorLogin(req, res) {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+  const challenge = readTwoFactorChallenge(twoFactorToken);
+  if (!challenge) {
+    return res.status(401).json({
+      success: false,
+      error: 'ログインの有効期限が切れました。もう一度メールアドレスとパスワードを入力してください',
+      code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+    });
+  }
+
+  if (!enforceRateLimit(req, res, 'TWO_FACTOR_VERIFICATION', [`user:${challenge.userId}`])) {
+    return undefined;
+  }
+
+  const user = await userManager.findById(challenge.userId);
+  if (!canSignIn(user)) {
+    return res.status(401).json({
+      success: false,
+      error: 'このアカウントではログインできません'
+    });
+  }
+
+  if (challenge.step === TWO_FACTOR_STEPS.SETUP) {
+    const recoveryCodes = confirmTwoFactorSetup(user.id, code);
+    return respondWithSession(req, res, user, { recoveryCodes });
+  }
+
+  if (!verifySecondFactor(user.id, { code, recoveryCode })) {
+    return res.status(401).json({
+      success: false,
+      error: recoveryCode ? 'リカバリーコードが正しくないか、使用済みです' : '確認コードが正しくありません'
+    });
+  }
+
+  return respondWithSession(req, res, user);
+}
+
+// この端末のセッションを作り、トークンを Cookie に設定してログインしたユーザーを返す
+async function respondWithSession(req, res, user, extra = {}) {
+  // プレミアムステータスのチェック
+  await userManager.checkPremiumStatus(user.id);
+
+  const refreshedUser = await userManager.findById(user.id);
+  const { accessToken: token, accessTokenExpiresAt } = startSession(req, res, refreshedUser);
+
+  return res.status(200).json({
+    success: true,
+    message: 'ログインしました',
+    user: {
+      id: refreshedUser.id,
+      email: refreshedUser.email,
+      name: refreshedUser.name,
+      isPremium: refreshedUser.isPremium,
+      membership: refreshedUser.membership,
+      status: refreshedUser.status,
+      emailVerified: isEmailVerified(refreshedUser),
+      role: getRole(refreshedUser),
+      permissions: getPermissions(refreshedUser),
+      twoFactorEnabled: isTwoFactorEnabled(refreshedUser.id),
+      twoFactorRequired: requiresTwoFactor(refreshedUser)
+    },
+    token,
+    accessTokenExpiresAt,
+    ...extra
+  });
+}
@@ -1,4 +1,4 @@
-import { clearAuthCookie } from '@/features/auth/server/auth';
+import { endSession } from '@/features/auth/server/sessions';
 
 export default async function handler(req, res) {
   // POSTメソッドのみ許可
@@ -10,8 +10,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Cookieからトークンを削除
-    clearAuthCookie(res);
+    // この端末のセッションを無効にして、Cookieからトークンを削除
+    endSession(req, res);
 
     return res.status(200).json({
       success: true,
@@ -1,6 +1,9 @@
 import userManager from '@/features/auth/server/userManager';
 import { withAuth } from '@/features/auth/server/auth';
+import { isTwoFactorEnabled } from '@/features/auth/server/twoFactor';
 import progressRepository from '@/server/repositories/progressRepository';
+import { getRole, getPermissions, requiresTwoFactor } from '@/shared/lib/permissions';
+import { isEmailVerified } from '@/shared/lib/userStatus';
 
 async function handler(req, res) {
   // GETメソッドのみ許可
@@ -39,11 +42,20 @@ async function handler(req, res) {
         name: user.name,
         isPremium: user.isPremium,
         membership: user.membership,
+        status: user.status,
+        emailVerified: isEmailVerified(user),
+        role: getRole(user),
+        permissions: getPermissions(user),
+        twoFactorEnabled: isTwoFactorEnabled(user.id),
+        twoFactorRequired: requiresTwoFactor(user),
+        // 外部アカウントで登録したユーザーはパスワードを持たない
+        hasPassword: Boolean(user.password),
         premiumExpiresAt: user.premiumExpiresAt,
         settings: user.settings,
         createdAt: user.createdAt
       },
-      progress: summary.overall
+      progress: summary.overall,
+      accessTokenExpiresAt: req.user.exp * 1000
     });
 
   } catch (error) {
@@ -0,0 +1,90 @@
+import { startSession } from '@/features/auth/server/sessions';
+import {
+  OIDC_FLOW_MODES,
+  clearOidcFlow,
+  completeOidcFlow,
+  getOidcProvider,
+  isOidcLoginError,
+  readOidcFlow
+} from '@/features/auth/server/oidc';
+import { linkExternalIdentity, resolveExternalSignIn } from '@/features/auth/server/externalAccounts';
+import { issueTwoFactorChallenge } from '@/features/auth/server/twoFactor';
+import { OIDC_ERRORS } from '@/features/auth/lib/oidcErrors';
+import userRepository from '@/server/repositories/userRepository';
+import { canSignIn } from '@/shared/lib/userStatus';
+
+const LINKED_ACCOUNTS_PATH = '/mypage/settings?tab=accounts';
+
+/**
+ * プロバイダーの認可画面から戻ってくる先（redirect_uri）。
+ * - login: ログインする（二段階認証が必要ならログイン画面の2段階目へ）か、確認済みのメールアドレスでアカウントを作る
+ * - link: ログイン中のユーザーに連携して設定画面へ戻る
+ * 失敗したときは ?oidcError=<理由> を付けて、ログイン画面か設定画面へ戻す。
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const providerId = String(req.query.provider);
+  const flow = readOidcFlow(req, providerId);
+
+  try {
+    const provider = getOidcProvider(providerId);
+    if (!provider) {
+      return redirectWithError(res, flow, OIDC_ERRORS.PROVIDER_UNAVAILABLE);
+    }
+
+    const claims = await completeOidcFlow(provider, flow, req.query);
+
+    if (flow.mode === OIDC_FLOW_MODES.LINK) {
+      if (!canSignIn(userRepository.findById(flow.userId))) {
+        return redirectWithError(res, flow, OIDC_ERRORS.ACCOUNT_DISABLED);
+      }
+      linkExternalIdentity(flow.userId, provider, claims);
+      return finish(res, `${LINKED_ACCOUNTS_PATH}&linked=${encodeURIComponent(provider.id)}`);
+    }
+
+    const user = await resolveExternalSignIn(provider, claims);
+
+    // 二段階認証はパスワードでのログインと同じく求める。2段階目のトークンはサーバーのログに残らないよう # に載せる
+    const challenge = issueTwoFactorChallenge(user);
+    if (challenge) {
+      const fragment = new URLSearchParams({ twoFactorStep: challenge.step, twoFactorToken: challenge.token });
+      return finish(res, `/auth/login?redirect=${encodeURIComponent(flow.redirect)}#${fragment}`);
+    }
+
+    await userRepository.recordLogin(user.id);
+    await userRepository.checkPremiumStatus(user.id);
+    startSession(req, res, userRepository.findById(user.id));
+    return finish(res, flow.redirect);
+  } catch (error) {
+    if (isOidcLoginError(error)) {
+      if (error.cause) {
+        console.warn(`OIDC callback failed (${providerId}):`, error.cause.message || error.cause);
+      }
+      return redirectWithError(res, flow, error.reason);
+    }
+
+    console.error('OIDC callback error:', error);
+    return redirectWithError(res, flow, OIDC_ERRORS.AUTHENTICATION_FAILED);
+  }
+}
+
+// フローの Cookie を消してリダイレクトする（startSession が Set-Cookie を設定し直すので、最後に追加する）
+function finish(res, location) {
+  clearOidcFlow(res);
+  return res.redirect(302, location);
+}
+
+function redirectWithError(res, flow, reason) {
+  if (flow?.mode === OIDC_FLOW_MODES.LINK) {
+    return finish(res, `${LINKED_ACCOUNTS_PATH}&oidcError=${reason}`);
+  }
+
+  const redirect = flow?.redirect ? `&redirect=${encodeURIComponent(flow.redirect)}` : '';
+  return finish(res, `/auth/login?oidcError=${reason}${redirect}`);
+}
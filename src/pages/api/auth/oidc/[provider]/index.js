@@ -0,0 +1,29 @@
+import { beginOidcFlow, getOidcProvider, isOidcLoginError } from '@/features/auth/server/oidc';
+import { OIDC_ERRORS } from '@/features/auth/lib/oidcErrors';
+
+/**
+ * 外部アカウントでのログインを始める。ログイン画面のボタンからの遷移で、プロバイダーの認可画面へリダイレクトする。
+ * ?redirect= はログイン後に戻るサイト内のパス。
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const provider = getOidcProvider(String(req.query.provider));
+  if (!provider) {
+    return res.redirect(302, `/auth/login?oidcError=${OIDC_ERRORS.PROVIDER_UNAVAILABLE}`);
+  }
+
+  try {
+    const authorizationUrl = await beginOidcFlow(res, provider, { redirect: req.query.redirect });
+    return res.redirect(302, authorizationUrl);
+  } catch (error) {
+    console.error(`OIDC login start error (${provider.id}):`, error.cause || error);
+    const reason = isOidcLoginError(error) ? error.reason : OIDC_ERRORS.PROVIDER_UNAVAILABLE;
+    return res.redirect(302, `/auth/login?oidcError=${reason}`);
+  }
+}
@@ -0,0 +1,16 @@
+import { listOidcProviders } from '@/features/auth/server/oidc';
+
+// ログイン画面に出す、外部アカウントでのログインの一覧
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    providers: listOidcProviders()
+  });
+}
@@ -0,0 +1,34 @@
+import { refreshSession } from '@/features/auth/server/sessions';
+
+export default async function handler(req, res) {
+  // POSTメソッドのみ許可
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Cookie のリフレッシュトークンを取り替えて、新しいアクセストークンを Cookie に設定する
+    const refreshed = await refreshSession(req, res);
+    if (!refreshed) {
+      return res.status(401).json({
+        success: false,
+        error: 'ログインの有効期限が切れました。もう一度ログインしてください'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      token: refreshed.accessToken,
+      accessTokenExpiresAt: refreshed.accessTokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'ログインの更新に失敗しました'
+    });
+  }
+}
@@ -1,5 +1,8 @@
 import userManager from '@/features/auth/server/userManager';
-import { generateToken, setAuthCookie } from '@/features/auth/server/auth';
+import { startSession } from '@/features/auth/server/sessions';
+import { sendVerificationEmail } from '@/features/auth/server/emailVerification';
+import { getRole, getPermissions } from '@/shared/lib/permissions';
+import { isEmailVerified } from '@/shared/lib/userStatus';
 
 export default async function handler(req, res) {
   // POSTメソッドのみ許可
@@ -53,23 +56,37 @@ export default async function handler(req, res) {
       name: name.trim()
     });
 
-    // トークン生成
-    const token = generateToken(user);
+    // 確認メールの送信（失敗しても登録は済んでいるので、再送から送り直せる）
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      verificationEmailSent = false;
+    }
 
-    // Cookieにトークンを設定
-    setAuthCookie(res, token);
+    // この端末のセッションを作り、トークンを Cookie に設定
+    const { accessToken: token, accessTokenExpiresAt } = startSession(req, res, user);
 
     return res.status(201).json({
       success: true,
-      message: 'ユーザー登録が完了しました',
+      message: verificationEmailSent
+        ? 'ユーザー登録が完了しました。確認メールのリンクを開いて、メールアドレスを確認してください'
+        : 'ユーザー登録が完了しました。確認メールを送れなかったため、時間をおいて再送してください',
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
         isPremium: user.isPremium,
-        membership: user.membership
+        membership: user.membership,
+        status: user.status,
+        emailVerified: isEmailVerified(user),
+        role: getRole(user),
+        permissions: getPermissions(user)
       },
-      token
+      verificationEmailSent,
+      token,
+      accessTokenExpiresAt
     });
 
   } catch (error) {
@@ -0,0 +1,43 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { resendVerificationEmail } from '@/features/auth/server/emailVerification';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+import { isValidationError } from '@/server/repositories/errors';
+
+async function handler(req, res) {
+  // POSTメソッドのみ許可
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const userId = req.user.userId;
+  if (!enforceRateLimit(req, res, 'EMAIL_VERIFICATION_RESEND', [`user:${userId}`])) {
+    return undefined;
+  }
+
+  try {
+    await resendVerificationEmail(userId);
+
+    return res.status(200).json({
+      success: true,
+      message: '確認メールを送信しました'
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '確認メールの送信に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,54 @@
+import { isPasswordResetTokenValid, resetPassword } from '@/features/auth/server/passwordReset';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+import { isValidationError } from '@/server/repositories/errors';
+
+export default async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return handleGet(req, res);
+    case 'POST':
+      return handlePost(req, res);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+// 再設定のページを開いたときに、リンクがまだ使えるかを確かめる
+async function handleGet(req, res) {
+  return res.status(200).json({
+    success: true,
+    valid: isPasswordResetTokenValid(req.query.token)
+  });
+}
+
+async function handlePost(req, res) {
+  if (!enforceRateLimit(req, res, 'PASSWORD_RECOVERY')) {
+    return undefined;
+  }
+
+  try {
+    const { token, password } = req.body || {};
+    await resetPassword(token, password);
+
+    return res.status(200).json({
+      success: true,
+      message: 'パスワードを再設定しました。新しいパスワードでログインしてください'
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'パスワードの再設定に失敗しました'
+    });
+  }
+}
@@ -0,0 +1,47 @@
+import userManager from '@/features/auth/server/userManager';
+import { TWO_FACTOR_STEPS, beginTwoFactorSetup, readTwoFactorChallenge } from '@/features/auth/server/twoFactor';
+import { isValidationError } from '@/server/repositories/errors';
+
+// 二段階認証が必須なのに未設定のアカウントが、ログインの途中（login が返した twoFactorToken）で設定を始める
+export default async function handler(req, res) {
+  // POSTメソッドのみ許可
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const { twoFactorToken } = req.body || {};
+    const challenge = readTwoFactorChallenge(twoFactorToken);
+    const user = challenge?.step === TWO_FACTOR_STEPS.SETUP ? await userManager.findById(challenge.userId) : null;
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'ログインの有効期限が切れました。もう一度メールアドレスとパスワードを入力してください',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const setup = await beginTwoFactorSetup(user);
+
+    return res.status(200).json({
+      success: true,
+      setup
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '二段階認証の設定を始められませんでした'
+    });
+  }
+}
@@ -0,0 +1,49 @@
+import { verifyEmail } from '@/features/auth/server/emailVerification';
+import { isValidationError, isVersionConflict } from '@/server/repositories/errors';
+import { isEmailVerified } from '@/shared/lib/userStatus';
+
+export default async function handler(req, res) {
+  // POSTメソッドのみ許可（メールのリンクはページを開き、ページからこの API を呼ぶ）
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const { token } = req.body || {};
+    const user = await verifyEmail(token);
+
+    return res.status(200).json({
+      success: true,
+      message: 'メールアドレスを確認しました',
+      user: {
+        id: user.id,
+        email: user.email,
+        status: user.status,
+        emailVerified: isEmailVerified(user)
+      }
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'メールアドレスの確認に失敗しました'
+    });
+  }
+}
@@ -0,0 +1,24 @@
+import { getPrerequisiteGraphReport } from '@/features/content/server/learningPath';
+
+// 公開中の単元の前提のグラフ。valid が false なら cycles に循環している単元の ID を返す
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      ...getPrerequisiteGraphReport()
+    });
+  } catch (error) {
+    console.error('Get prerequisites error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '前提の単元の取得に失敗しました'
+    });
+  }
+}
@@ -1,5 +1,29 @@
 import contentRepository from '@/server/repositories/contentRepository';
 import { subjects, getSubjectById } from '@/features/content/lib/subjects';
+import { getDifficultyLabel, getTypeLabel } from '@/features/content/lib/contentMetadata';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+import { containsAllTerms, normalizeSearchText, parseSearchQuery } from '@/features/search/lib/searchText';
+
+const FACET_LABELS = {
+  subjectId: (value) => getSubjectById(value)?.name || value,
+  type: getTypeLabel,
+  difficulty: getDifficultyLabel
+};
+
+function getUnitHref(unit, sectionId) {
+  return `/subjects/${unit.subjectId}/${unit.id}${sectionId ? `#${encodeURIComponent(sectionId)}` : ''}`;
+}
+
+// プレミアム単元は閲覧できない利用者に本文の抜粋を見せず、どの節に当たったかだけ返す
+function toSectionHit(unit, section, locked) {
+  return {
+    sectionId: section.sectionId,
+    sectionTitle: section.sectionTitle,
+    href: getUnitHref(unit, section.sectionId),
+    snippet: locked ? null : section.snippet
+  };
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -10,7 +34,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { q, type, subjectId, limit = 10 } = req.query;
+    const { q, type, subjectId, difficulty, limit = 10 } = req.query;
 
     // クエリが空の場合
     if (!q || q.trim().length === 0) {
@@ -22,35 +46,40 @@ export default async function handler(req, res) {
 
     const query = q.trim();
 
-    // コンテンツマネージャーで検索
-    const searchParams = {
+    const user = getOptionalRequestUser(req);
+    const terms = parseSearchQuery(query);
+    const search = contentRepository.searchUnits({
       query,
       type,
       subjectId,
+      difficulty,
       limit: parseInt(limit)
-    };
-
-    const unitResults = contentRepository.searchUnits(searchParams);
+    });
 
     // 科目名でも検索
-    const matchingSubjects = subjects.filter(subject => 
-      subject.name.includes(query) || 
-      subject.description.includes(query)
-    ).map(subject => {
-      const { icon, ...subjectWithoutIcon } = subject;
-      return {
-        type: 'subject',
-        ...subjectWithoutIcon,
-        iconName: icon?.displayName || icon?.name || null
-      };
-    });
+    const matchingSubjects = subjects.filter(subject =>
+      terms.length > 0 &&
+      containsAllTerms(normalizeSearchText(`${subject.name} ${subject.description}`).text, terms)
+    ).map(subject => ({
+      type: 'subject',
+      ...subject,
+      iconName: subject.icon || null
+    }));
 
-    // 単元結果に科目情報を追加
-    const enrichedUnitResults = unitResults.map(result => {
+    // 単元結果に科目情報と節へのリンクを追加
+    const enrichedUnitResults = search.units.map(result => {
       const subject = getSubjectById(result.subjectId);
+      const locked = !canAccessUnit(user, result);
+      const sections = result.sections.map(section => toSectionHit(result, section, locked));
       return {
-        type: 'unit',
         ...result,
+        // 結果の種類（subject / unit）と単元の種別（講義・演習）を取り違えないよう分ける
+        type: 'unit',
+        unitType: result.type,
+        href: sections[0]?.href || getUnitHref(result),
+        snippet: sections[0]?.snippet || null,
+        sections,
+        locked,
         subjectName: subject?.name || null,
         subjectColor: subject?.color || null
       };
@@ -62,13 +91,19 @@ export default async function handler(req, res) {
       ...enrichedUnitResults
     ];
 
+    const facets = Object.fromEntries(Object.entries(search.facets).map(([key, values]) => [
+      key,
+      values.map(facet => ({ ...facet, label: FACET_LABELS[key](facet.value) }))
+    ]));
+
     return res.status(200).json({
       success: true,
       query,
       results: allResults,
+      facets,
       counts: {
         subjects: matchingSubjects.length,
-        units: enrichedUnitResults.length,
+        units: search.total,
         total: allResults.length
       }
     });
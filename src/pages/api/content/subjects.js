@@ -1,5 +1,16 @@
-import { subjects, getSubjectById } from '@/features/content/lib/subjects';
+import subjectRepository from '@/server/repositories/subjectRepository';
 import contentRepository from '@/server/repositories/contentRepository';
+import { SUBJECT_CATEGORY_OPTIONS } from '@/features/content/lib/subjects';
+
+// 学習者に見せる科目データ。単元は公開中のものだけを並べる（下書きの単元は前後の単元の案内にも出さない）
+function toPublicSubject(subject, publishedUnitIds) {
+  const units = (subject.units || []).filter((unit) => publishedUnitIds.has(unit.id));
+  return {
+    ...subject,
+    units,
+    iconName: subject.icon || null,
+  };
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -11,10 +22,12 @@ export default async function handler(req, res) {
 
   try {
     const { id } = req.query;
+    const publishedUnits = contentRepository.listUnits({}, { includeDraft: false }).units;
+    const publishedUnitIds = new Set(publishedUnits.map((unit) => unit.id));
 
     // 特定の科目を取得
     if (id) {
-      const subject = getSubjectById(id);
+      const subject = subjectRepository.getSubject(id);
       
       if (!subject) {
         return res.status(404).json({
@@ -23,45 +36,35 @@ export default async function handler(req, res) {
         });
       }
 
-      // アイコンはシリアライズできないので除外
-      const { icon, ...subjectWithoutIcon } = subject;
-
       return res.status(200).json({
         success: true,
-        subject: {
-          ...subjectWithoutIcon,
-          iconName: icon?.displayName || icon?.name || null
-        }
+        subject: toPublicSubject(subject, publishedUnitIds)
       });
     }
 
-    // 全科目を取得
-    const publishedUnits = contentRepository.listUnits({}, { includeDraft: false }).units;
-    const subjectsData = subjects.map(subject => {
-      const { icon, ...subjectWithoutIcon } = subject;
-      return {
-        ...subjectWithoutIcon,
-        iconName: icon?.displayName || icon?.name || null,
-        unitCount: publishedUnits.filter((unit) => unit.subjectId === subject.id).length
-      };
-    });
+    // 全科目を取得（廃止した科目も retired 付きで返す。既存の単元・学習記録から科目名を引けるように）
+    const catalogue = subjectRepository.listSubjects().map((subject) => ({
+      ...toPublicSubject(subject, publishedUnitIds),
+      unitCount: publishedUnits.filter((unit) => unit.subjectId === subject.id).length
+    }));
+    const subjectsData = catalogue.filter((subject) => !subject.retired);
 
     // カテゴリ別に分類
-    const categorized = {
-      law: subjectsData.filter(s => s.category === 'law'),
-      general: subjectsData.filter(s => s.category === 'general')
-    };
+    const categorized = Object.fromEntries(
+      SUBJECT_CATEGORY_OPTIONS.map((option) => [option.value, subjectsData.filter((s) => s.category === option.value)])
+    );
 
     // 統計情報
     const stats = {
-      totalSubjects: subjects.length,
+      totalSubjects: subjectsData.length,
       totalUnits: publishedUnits.length,
-      totalHours: subjects.reduce((sum, s) => sum + s.estimatedHours, 0)
+      totalHours: subjectsData.reduce((sum, s) => sum + s.estimatedHours, 0)
     };
 
     return res.status(200).json({
       success: true,
       subjects: subjectsData,
+      catalogue,
       categorized,
       stats
     });
@@ -1,19 +1,17 @@
 import contentRepository from '@/server/repositories/contentRepository';
 import { getSubjectById } from '@/features/content/lib/subjects';
-import { getTokenFromRequest, verifyToken } from '@/features/auth/server/auth';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
 import { canAccessUnit } from '@/shared/lib/entitlements';
+import { createSignedAssetUrl } from '@/server/api/assets';
+import { hasPermission, PERMISSIONS } from '@/shared/lib/permissions';
+import { getUnitGlossary } from '@/features/glossary/server/glossary';
+import { getUnitAmendmentNotices } from '@/features/statutes/server/amendmentImpact';
+import { getCurrentExamYear, getExamReferenceDate } from '@/features/statutes/lib/amendments';
 
-function getOptionalUser(req) {
-  const token = getTokenFromRequest(req);
-  if (!token) {
-    return null;
-  }
-
-  return verifyToken(token);
-}
-
-function isAdminPreviewRequest(req) {
-  return req.query.adminPreview === '1' && req.headers['x-admin-preview'] === '1';
+function isAdminPreviewRequest(req, user) {
+  return req.query.adminPreview === '1'
+    && req.headers['x-admin-preview'] === '1'
+    && hasPermission(user, PERMISSIONS.CONTENT_READ);
 }
 
 export default async function handler(req, res) {
@@ -26,7 +24,8 @@ export default async function handler(req, res) {
 
   try {
     const { id } = req.query;
-    const includeDraft = req.query.includeDraft === 'true';
+    const user = getOptionalRequestUser(req);
+    const includeDraft = req.query.includeDraft === 'true' && hasPermission(user, PERMISSIONS.CONTENT_READ);
     const unit = contentRepository.getUnit(id, { includeDraft });
 
     if (!unit) {
@@ -36,8 +35,7 @@ export default async function handler(req, res) {
       });
     }
 
-    const user = getOptionalUser(req);
-    const bypassPremiumForAdminPreview = isAdminPreviewRequest(req);
+    const bypassPremiumForAdminPreview = isAdminPreviewRequest(req, user);
 
     if (!bypassPremiumForAdminPreview && !canAccessUnit(user, unit)) {
       return res.status(403).json({
@@ -53,19 +51,29 @@ export default async function handler(req, res) {
     }
 
     const subject = getSubjectById(unit.subjectId);
-    const { icon, ...subjectWithoutIcon } = subject || {};
+    const examYear = getCurrentExamYear();
 
     return res.status(200).json({
       success: true,
       unit: {
         ...unit,
+        // 閲覧権限を確認済みなので、音声・PDF は期限付きの署名 URL で返す
+        audioUrl: unit.audioUrl ? createSignedAssetUrl(unit.audioUrl) : null,
+        pdfUrl: unit.pdfUrl ? createSignedAssetUrl(unit.pdfUrl) : null,
         subject: subject
           ? {
-              ...subjectWithoutIcon,
-              iconName: icon?.displayName || icon?.name || null,
+              ...subject,
+              iconName: subject.icon || null,
             }
           : null,
       },
+      glossary: unit.contentFormat === 'html' ? getUnitGlossary(user, unit.id) : [],
+      // 今年の試験の基準日までに施行される改正のうち、この単元が改正前の内容で説明しているもの
+      lawNotice: {
+        examYear,
+        referenceDate: getExamReferenceDate(examYear),
+        amendments: getUnitAmendmentNotices(unit, { examYear }),
+      },
     });
   } catch (error) {
     console.error('Get unit error:', error);
@@ -0,0 +1,130 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import questionRepository from '@/server/repositories/questionRepository';
+import quizAttemptRepository from '@/server/repositories/quizAttemptRepository';
+import progressRepository from '@/server/repositories/progressRepository';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { gradeQuiz, toPublicQuestion } from '@/features/quiz/server/grading';
+import { STUDY_EVENT_TYPES } from '@/features/progress/lib/studyEvents';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+import { hasPermission, PERMISSIONS } from '@/shared/lib/permissions';
+
+function loadUnit(req, res, user) {
+  const canPreview = hasPermission(user, PERMISSIONS.CONTENT_READ);
+  const unit = contentRepository.getUnit(String(req.query.id), { includeDraft: canPreview });
+
+  if (!unit) {
+    res.status(404).json({
+      success: false,
+      error: '単元が見つかりません',
+    });
+    return null;
+  }
+
+  if (!canPreview && !canAccessUnit(user, unit)) {
+    res.status(403).json({
+      success: false,
+      error: 'プレミアム会員限定の単元です',
+    });
+    return null;
+  }
+
+  return unit;
+}
+
+function handleGet(req, res, user) {
+  const unit = loadUnit(req, res, user);
+  if (!unit) {
+    return undefined;
+  }
+
+  const questions = questionRepository.getQuizQuestions(unit.id);
+  const lastAttempt = user ? quizAttemptRepository.listAttempts(user.id, { unitId: unit.id, limit: 1 })[0] || null : null;
+
+  return res.status(200).json({
+    success: true,
+    quiz: {
+      unitId: unit.id,
+      title: unit.title,
+      totalPoints: questions.reduce((sum, question) => sum + question.points, 0),
+      questions: questions.map(toPublicQuestion),
+    },
+    lastAttempt: lastAttempt
+      ? { score: lastAttempt.score, earned: lastAttempt.earned, possible: lastAttempt.possible, submittedAt: lastAttempt.submittedAt }
+      : null,
+  });
+}
+
+async function handlePost(req, res, user) {
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: '認証が必要です',
+    });
+  }
+
+  const unit = loadUnit(req, res, user);
+  if (!unit) {
+    return undefined;
+  }
+
+  const { answers } = req.body || {};
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return res.status(400).json({
+      success: false,
+      error: '回答が送信されていません',
+    });
+  }
+
+  const questions = questionRepository.getQuizQuestions(unit.id);
+  if (!questions.length) {
+    return res.status(404).json({
+      success: false,
+      error: 'この単元には問題が登録されていません',
+    });
+  }
+
+  const grading = gradeQuiz(questions, answers);
+  const attempt = quizAttemptRepository.recordAttempt(user.id, unit.id, grading);
+  const progress = progressRepository.recordEvents(user.id, unit.id, () => [{
+    type: STUDY_EVENT_TYPES.QUIZ_SUBMITTED,
+    payload: { attemptId: attempt.id, score: grading.score },
+  }]);
+
+  return res.status(200).json({
+    success: true,
+    result: {
+      attemptId: attempt.id,
+      score: grading.score,
+      earned: grading.earned,
+      possible: grading.possible,
+      correctCount: grading.correctCount,
+      total: grading.total,
+      results: grading.results,
+    },
+    progress,
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    const user = getOptionalRequestUser(req);
+
+    switch (req.method) {
+      case 'GET':
+        return handleGet(req, res, user);
+      case 'POST':
+        return await handlePost(req, res, user);
+      default:
+        return res.status(405).json({
+          success: false,
+          error: 'Method not allowed',
+        });
+    }
+  } catch (error) {
+    console.error('Quiz error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '演習の処理に失敗しました',
+    });
+  }
+}
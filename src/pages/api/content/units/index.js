@@ -1,5 +1,7 @@
 import contentRepository from '@/server/repositories/contentRepository';
 import { getSubjectById } from '@/features/content/lib/subjects';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { hasPermission, PERMISSIONS } from '@/shared/lib/permissions';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -11,7 +13,8 @@ export default async function handler(req, res) {
 
   try {
     const { subjectId, type, difficulty, accessLevel, status, page, limit } = req.query;
-    const includeDraft = req.query.includeDraft === 'true';
+    const includeDraft = req.query.includeDraft === 'true'
+      && hasPermission(getOptionalRequestUser(req), PERMISSIONS.CONTENT_READ);
 
     const result = contentRepository.listUnits(
       {
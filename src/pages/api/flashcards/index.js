@@ -0,0 +1,33 @@
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { getReviewQueue } from '@/features/flashcards/server/deck';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  const user = getOptionalRequestUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: '認証が必要です',
+    });
+  }
+
+  try {
+    const subjectId = req.query.subjectId ? String(req.query.subjectId) : undefined;
+    return res.status(200).json({
+      success: true,
+      ...getReviewQueue(user, { subjectId }),
+    });
+  } catch (error) {
+    console.error('Flashcard queue error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '復習カードの取得に失敗しました',
+    });
+  }
+}
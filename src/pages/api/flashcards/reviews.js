@@ -0,0 +1,49 @@
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { reviewFlashcard } from '@/features/flashcards/server/deck';
+import { isValidReviewGrade } from '@/features/flashcards/lib/scheduler';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  const user = getOptionalRequestUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: '認証が必要です',
+    });
+  }
+
+  const { cardId, grade } = req.body || {};
+  if (!cardId || !isValidReviewGrade(grade)) {
+    return res.status(400).json({
+      success: false,
+      error: 'カードと評価を指定してください',
+    });
+  }
+
+  try {
+    const review = reviewFlashcard(user, String(cardId), Number(grade));
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'カードが見つかりません',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      review,
+    });
+  } catch (error) {
+    console.error('Flashcard review error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '復習結果の保存に失敗しました',
+    });
+  }
+}
@@ -0,0 +1,25 @@
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { getGlossary } from '@/features/glossary/server/glossary';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  try {
+    const user = getOptionalRequestUser(req);
+    return res.status(200).json({
+      success: true,
+      ...getGlossary(user),
+    });
+  } catch (error) {
+    console.error('Glossary error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '用語集の取得に失敗しました',
+    });
+  }
+}
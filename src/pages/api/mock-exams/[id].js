@@ -0,0 +1,81 @@
+import mockExamRepository, { MOCK_EXAM_STATUSES } from '@/server/repositories/mockExamRepository';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { finalizeIfExpired, submitMockExam, toPublicAttempt } from '@/features/quiz/server/mockExam';
+
+function readAnswers(body) {
+  const answers = body?.answers;
+  return answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : null;
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  const user = getOptionalRequestUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: '認証が必要です',
+    });
+  }
+
+  try {
+    const attempt = finalizeIfExpired(mockExamRepository.findAttempt(user.id, String(req.query.id)));
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: '受験記録が見つかりません',
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        attempt: toPublicAttempt(attempt),
+      });
+    }
+
+    if (attempt.status !== MOCK_EXAM_STATUSES.IN_PROGRESS) {
+      return res.status(409).json({
+        success: false,
+        error: 'この模擬試験は既に採点済みです',
+        attempt: toPublicAttempt(attempt),
+      });
+    }
+
+    const answers = readAnswers(req.body);
+
+    // PUT: 途中保存（締切後の採点はここで保存された回答を使う）
+    if (req.method === 'PUT') {
+      if (!answers) {
+        return res.status(400).json({
+          success: false,
+          error: '回答が送信されていません',
+        });
+      }
+
+      mockExamRepository.saveAnswers(user.id, attempt.id, answers);
+      return res.status(200).json({
+        success: true,
+        savedAt: new Date().toISOString(),
+      });
+    }
+
+    // POST: 提出して採点
+    const completed = submitMockExam(attempt, answers);
+    return res.status(200).json({
+      success: true,
+      attempt: toPublicAttempt(completed),
+    });
+  } catch (error) {
+    console.error('Mock exam attempt error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '模擬試験の処理に失敗しました',
+    });
+  }
+}
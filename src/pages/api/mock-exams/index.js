@@ -0,0 +1,74 @@
+import mockExamRepository, { MOCK_EXAM_STATUSES } from '@/server/repositories/mockExamRepository';
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { canTakeMockExam, finalizeIfExpired, startMockExam, toPublicAttempt } from '@/features/quiz/server/mockExam';
+import { getQuestionTypeLabel } from '@/features/quiz/lib/questionTypes';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  const user = getOptionalRequestUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: '認証が必要です',
+    });
+  }
+
+  try {
+    const activeAttempt = finalizeIfExpired(mockExamRepository.findActiveAttempt(user.id));
+    const inProgress = activeAttempt?.status === MOCK_EXAM_STATUSES.IN_PROGRESS ? activeAttempt : null;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        canTake: canTakeMockExam(user),
+        activeAttemptId: inProgress?.id || null,
+        attempts: mockExamRepository.listAttempts(user.id),
+      });
+    }
+
+    if (!canTakeMockExam(user)) {
+      return res.status(403).json({
+        success: false,
+        error: '模擬試験はプレミアム会員限定です',
+      });
+    }
+
+    // 受験中のものがあれば新しく作らずに再開させる
+    if (inProgress) {
+      return res.status(200).json({
+        success: true,
+        resumed: true,
+        attempt: toPublicAttempt(inProgress),
+      });
+    }
+
+    const { attempt, shortages } = startMockExam(user.id);
+    if (!attempt) {
+      return res.status(409).json({
+        success: false,
+        error: `問題バンクの問題数が不足しているため模擬試験を作成できません（${shortages
+          .map((shortage) => `${shortage.label}・${getQuestionTypeLabel(shortage.type)} ${shortage.available}/${shortage.required}問`)
+          .join('、')}）`,
+        shortages,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      resumed: false,
+      attempt: toPublicAttempt(attempt),
+    });
+  } catch (error) {
+    console.error('Mock exam error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '模擬試験の処理に失敗しました',
+    });
+  }
+}
@@ -0,0 +1,33 @@
+import { getOptionalRequestUser } from '@/features/auth/server/authorization';
+import { getPrecedents } from '@/features/precedents/server/precedents';
+
+function getQueryValue(value) {
+  return value ? String(value).trim() : undefined;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  }
+
+  try {
+    const user = getOptionalRequestUser(req);
+    return res.status(200).json({
+      success: true,
+      ...getPrecedents(user, {
+        subjectId: getQueryValue(req.query.subjectId),
+        court: getQueryValue(req.query.court),
+        q: getQueryValue(req.query.q),
+      }),
+    });
+  } catch (error) {
+    console.error('Precedents error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '判例集の取得に失敗しました',
+    });
+  }
+}
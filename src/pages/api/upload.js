@@ -1,5 +1,7 @@
 import { parseMultipartForm } from '@/server/api/multipart';
-import { saveAsset, listUploadedAssets, deletePublicAsset } from '@/server/api/assets';
+import { saveAsset, listUploadedAssets, deleteAsset } from '@/server/api/assets';
+import { withPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS } from '@/shared/lib/permissions';
 
 export const config = {
   api: {
@@ -15,7 +17,7 @@ function pickFirst(value) {
   return value;
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method === 'GET') {
     return res.status(200).json({
       success: true,
@@ -32,7 +34,7 @@ export default async function handler(req, res) {
       });
     }
 
-    deletePublicAsset(String(path));
+    deleteAsset(String(path));
     return res.status(200).json({
       success: true,
       message: 'ファイルを削除しました',
@@ -84,3 +86,9 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withPermission({
+  GET: PERMISSIONS.ASSETS_READ,
+  POST: PERMISSIONS.ASSETS_UPLOAD,
+  DELETE: PERMISSIONS.ASSETS_DELETE,
+}, handler);
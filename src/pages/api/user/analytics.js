@@ -0,0 +1,27 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { getLearningAnalytics } from '@/features/analytics/server/learningAnalytics';
+
+// 学習時間・連続学習日数・ヒートマップ・得点の推移・苦手な単元と科目
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    return res.status(200).json({
+      success: true,
+      analytics: getLearningAnalytics(req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get learning analytics error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習の分析の取得に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,44 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { unlinkExternalIdentity } from '@/features/auth/server/externalAccounts';
+import userManager from '@/features/auth/server/userManager';
+import { isValidationError } from '@/server/repositories/errors';
+
+// 外部アカウントとの連携を解除する
+async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const user = await userManager.findById(req.user.userId);
+    if (!user || !unlinkExternalIdentity(user, String(req.query.provider))) {
+      return res.status(404).json({
+        success: false,
+        error: '連携しているアカウントが見つかりません'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '連携を解除しました'
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Unlink identity error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '連携の解除に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,84 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { OIDC_FLOW_MODES, beginOidcFlow, getOidcProvider, isOidcLoginError } from '@/features/auth/server/oidc';
+import { getLinkedAccounts } from '@/features/auth/server/externalAccounts';
+import userManager from '@/features/auth/server/userManager';
+
+async function handler(req, res) {
+  switch (req.method) {
+    case 'GET':
+      return handleGet(req, res);
+    case 'POST':
+      return handlePost(req, res);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+// 使える外部アカウントと連携の状態、パスワードを設定しているか
+async function handleGet(req, res) {
+  try {
+    const user = await userManager.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'ユーザーが見つかりません'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...getLinkedAccounts(user)
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '連携アカウントの取得に失敗しました'
+    });
+  }
+}
+
+/**
+ * { provider } の外部アカウントとの連携を始める。ブラウザは返した authorizationUrl へ移動し、
+ * 戻ってきたコールバックがログイン中のユーザーに連携する。
+ */
+async function handlePost(req, res) {
+  const provider = getOidcProvider(String(req.body?.provider || ''));
+  if (!provider) {
+    return res.status(400).json({
+      success: false,
+      error: 'このサービスとは連携できません'
+    });
+  }
+
+  try {
+    const authorizationUrl = await beginOidcFlow(res, provider, {
+      mode: OIDC_FLOW_MODES.LINK,
+      userId: req.user.userId
+    });
+
+    return res.status(200).json({
+      success: true,
+      authorizationUrl
+    });
+  } catch (error) {
+    if (isOidcLoginError(error)) {
+      console.error(`OIDC link start error (${provider.id}):`, error.cause || error);
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Start identity link error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '連携を始められませんでした'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,29 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { getLearningPath } from '@/features/content/server/learningPath';
+
+// 単元ごとの状態（前提の単元が未完了 / 学習できる / 完了）と「次のおすすめ」
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const learningPath = getLearningPath(req.user.userId, { limit: req.query.limit });
+
+    return res.status(200).json({
+      success: true,
+      ...learningPath
+    });
+  } catch (error) {
+    console.error('Get learning path error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習の道筋の取得に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,78 @@
+import { withAuth } from '@/features/auth/server/auth';
+import noteRepository from '@/server/repositories/noteRepository';
+import { isValidationError } from '@/server/repositories/errors';
+
+async function handler(req, res) {
+  const userId = req.user.userId;
+  const noteId = String(req.query.id);
+
+  switch (req.method) {
+    case 'PUT':
+      return handlePut(req, res, userId, noteId);
+    case 'DELETE':
+      return handleDelete(req, res, userId, noteId);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+function sendNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'メモが見つかりません'
+  });
+}
+
+// メモの本文と色を変える
+async function handlePut(req, res, userId, noteId) {
+  try {
+    const { body, color } = req.body || {};
+    const note = noteRepository.update(userId, noteId, { body, color });
+    if (!note) {
+      return sendNotFound(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'メモを更新しました',
+      note
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Update note error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'メモの更新に失敗しました'
+    });
+  }
+}
+
+async function handleDelete(req, res, userId, noteId) {
+  try {
+    if (!noteRepository.delete(userId, noteId)) {
+      return sendNotFound(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'メモを削除しました'
+    });
+  } catch (error) {
+    console.error('Delete note error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'メモの削除に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,88 @@
+import { withAuth } from '@/features/auth/server/auth';
+import contentRepository from '@/server/repositories/contentRepository';
+import userRepository from '@/server/repositories/userRepository';
+import { isValidationError } from '@/server/repositories/errors';
+import { createNote, listNotes } from '@/features/notes/server/notes';
+import { canAccessUnit } from '@/shared/lib/entitlements';
+
+async function handler(req, res) {
+  const userId = req.user.userId;
+
+  switch (req.method) {
+    case 'GET':
+      return handleGet(req, res, userId);
+    case 'POST':
+      return handlePost(req, res, userId);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+// 自分のメモの一覧（?unitId= でその単元のものだけ）
+async function handleGet(req, res, userId) {
+  try {
+    const unitId = typeof req.query.unitId === 'string' && req.query.unitId ? req.query.unitId : undefined;
+
+    return res.status(200).json({
+      success: true,
+      ...listNotes(userId, { unitId })
+    });
+  } catch (error) {
+    console.error('List notes error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'メモの取得に失敗しました'
+    });
+  }
+}
+
+// 本文で選んだ文章にハイライト（とメモ）を付ける
+async function handlePost(req, res, userId) {
+  try {
+    const { unitId, sectionId, quote, text, body, color } = req.body || {};
+    const unit = unitId ? contentRepository.getUnit(String(unitId)) : null;
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        error: '単元が見つかりません'
+      });
+    }
+
+    if (!canAccessUnit(userRepository.findById(userId), unit)) {
+      return res.status(403).json({
+        success: false,
+        error: 'プレミアム会員限定の単元です'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'メモを追加しました',
+      note: createNote(userId, unit, {
+        sectionId: typeof sectionId === 'string' ? sectionId : null,
+        quote,
+        text: typeof text === 'string' ? text : '',
+        body,
+        color
+      })
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Create note error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'メモの追加に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -1,5 +1,7 @@
 import userManager from '@/features/auth/server/userManager';
 import { withAuth } from '@/features/auth/server/auth';
+import { revokeSessionsAfterPasswordChange } from '@/features/auth/server/sessions';
+import { isVersionConflict } from '@/server/repositories/errors';
 
 async function handler(req, res) {
   const userId = req.user.userId;
@@ -40,7 +42,8 @@ async function handleGet(req, res, userId) {
         premiumExpiresAt: user.premiumExpiresAt,
         settings: user.settings,
         createdAt: user.createdAt,
-        updatedAt: user.updatedAt
+        updatedAt: user.updatedAt,
+        version: user.version
       }
     });
 
@@ -56,7 +59,7 @@ async function handleGet(req, res, userId) {
 // プロフィール更新
 async function handlePut(req, res, userId) {
   try {
-    const { name, settings, currentPassword, newPassword } = req.body;
+    const { name, settings, currentPassword, newPassword, version } = req.body;
     const updates = {};
 
     // 名前の更新
@@ -118,22 +121,41 @@ async function handlePut(req, res, userId) {
     }
 
     // プロフィールの更新
-    const updatedUser = await userManager.update(userId, updates);
+    // version を送ってきた場合は、読み込み後に別の更新が入っていれば 409 で弾く
+    const updatedUser = await userManager.update(
+      userId,
+      updates,
+      version !== undefined ? { expectedVersion: version } : {}
+    );
+
+    // パスワードを変えたら、この端末以外はログアウトさせる
+    const revokedSessions = updates.password
+      ? revokeSessionsAfterPasswordChange(userId, req.user.sid)
+      : 0;
 
     return res.status(200).json({
       success: true,
       message: 'プロフィールを更新しました',
+      revokedSessions,
       user: {
         id: updatedUser.id,
         email: updatedUser.email,
         name: updatedUser.name,
         isPremium: updatedUser.isPremium,
         membership: updatedUser.membership,
-        settings: updatedUser.settings
+        settings: updatedUser.settings,
+        version: updatedUser.version
       }
     });
 
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('Update profile error:', error);
     return res.status(500).json({
       success: false,
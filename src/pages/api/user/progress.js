@@ -1,6 +1,8 @@
 import userManager from '@/features/auth/server/userManager';
 import { withAuth } from '@/features/auth/server/auth';
 import progressRepository from '@/server/repositories/progressRepository';
+import mockExamRepository from '@/server/repositories/mockExamRepository';
+import { MAX_EVENTS_PER_REQUEST, getStudyEventError, toStudyEventPayload } from '@/features/progress/lib/studyEvents';
 
 async function handler(req, res) {
   const userId = req.user.userId;
@@ -39,7 +41,8 @@ async function handleGet(req, res, userId) {
       overall: summary.overall,
       recent: summary.recent,
       bySubject: summary.bySubject,
-      byUnit: summary.byUnit
+      byUnit: summary.byUnit,
+      mockExams: mockExamRepository.getSummary(userId)
     });
 
   } catch (error) {
@@ -51,10 +54,12 @@ async function handleGet(req, res, userId) {
   }
 }
 
-// 進捗更新
+// 進捗更新。events（学習のイベントの配列）を送る。以前の形式（completed / timeSpent / currentPosition）も受け付け、
+// 今の進捗との差をイベントに直して記録する
 async function handlePost(req, res, userId) {
   try {
-    const { unitId, completed, score, timeSpent, currentPosition } = req.body;
+    // score は演習の採点 API（/api/content/units/[id]/quiz）だけが書き込む
+    const { unitId, events, completed, timeSpent, currentPosition } = req.body;
 
     // バリデーション
     if (!unitId) {
@@ -64,44 +69,40 @@ async function handlePost(req, res, userId) {
       });
     }
 
-    // 進捗データの構築
-    const progressData = {};
-
-    if (completed !== undefined) {
-      progressData.completed = Boolean(completed);
-      if (completed) {
-        progressData.completedAt = new Date().toISOString();
-      }
-    }
-
-    if (score !== undefined) {
-      const numScore = Number(score);
-      if (isNaN(numScore) || numScore < 0 || numScore > 100) {
+    let update;
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
         return res.status(400).json({
           success: false,
-          error: 'スコアは0〜100の数値で入力してください'
+          error: `イベントは1〜${MAX_EVENTS_PER_REQUEST}件で送信してください`
         });
       }
-      progressData.score = numScore;
-    }
 
-    if (timeSpent !== undefined) {
-      const numTimeSpent = Number(timeSpent);
-      if (isNaN(numTimeSpent) || numTimeSpent < 0) {
+      const eventError = events.map(getStudyEventError).find(Boolean);
+      if (eventError) {
         return res.status(400).json({
           success: false,
-          error: '学習時間は0以上の数値で入力してください'
+          error: eventError
         });
       }
-      progressData.timeSpent = numTimeSpent;
-    }
 
-    if (currentPosition !== undefined) {
-      progressData.currentPosition = currentPosition;
+      update = { events: events.map((event) => ({ type: event.type, payload: toStudyEventPayload(event) })) };
+    } else {
+      if (timeSpent !== undefined) {
+        const numTimeSpent = Number(timeSpent);
+        if (isNaN(numTimeSpent) || numTimeSpent < 0) {
+          return res.status(400).json({
+            success: false,
+            error: '学習時間は0以上の数値で入力してください'
+          });
+        }
+      }
+
+      update = { progressData: { completed, timeSpent, currentPosition } };
     }
 
     // 進捗の更新
-    const updatedProgress = await userManager.updateProgress(userId, unitId, progressData);
+    const updatedProgress = await userManager.updateProgress(userId, unitId, update);
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,42 @@
+import { clearAuthCookies, withAuth } from '@/features/auth/server/auth';
+import { revokeSession } from '@/features/auth/server/sessions';
+
+// 端末を1つログアウトさせる。この端末を選んだときは Cookie も消す
+async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const sessionId = String(req.query.id);
+
+  try {
+    if (!revokeSession(req.user.userId, sessionId)) {
+      return res.status(404).json({
+        success: false,
+        error: '端末が見つかりません'
+      });
+    }
+
+    const current = sessionId === req.user.sid;
+    if (current) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: '端末をログアウトしました',
+      current
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '端末のログアウトに失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,56 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { listSessions, revokeOtherSessions } from '@/features/auth/server/sessions';
+
+async function handler(req, res) {
+  const userId = req.user.userId;
+  const currentSessionId = req.user.sid;
+
+  switch (req.method) {
+    case 'GET':
+      return handleGet(req, res, userId, currentSessionId);
+    case 'DELETE':
+      return handleDelete(req, res, userId, currentSessionId);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+// ログイン中の端末の一覧（この端末には current: true）
+async function handleGet(req, res, userId, currentSessionId) {
+  try {
+    return res.status(200).json({
+      success: true,
+      sessions: listSessions(userId, currentSessionId)
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'ログイン中の端末の取得に失敗しました'
+    });
+  }
+}
+
+// この端末以外をすべてログアウトさせる
+async function handleDelete(req, res, userId, currentSessionId) {
+  try {
+    const revoked = revokeOtherSessions(userId, currentSessionId);
+
+    return res.status(200).json({
+      success: true,
+      message: revoked ? `${revoked}台の端末をログアウトしました` : 'ほかにログイン中の端末はありません',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '端末のログアウトに失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,35 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { getStudyPlanCalendar } from '@/features/planner/server/studyPlanner';
+
+// 学習計画を iCalendar（.ics）ファイルとして書き出す
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const calendar = getStudyPlanCalendar(req.user.userId);
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: '学習計画が作成されていません'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="study-plan.ics"');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(calendar);
+  } catch (error) {
+    console.error('Export study plan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習計画の書き出しに失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
@@ -0,0 +1,81 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { isValidationError } from '@/server/repositories/errors';
+import { deleteStudyPlan, getStudyPlan, saveStudyPlanSettings } from '@/features/planner/server/studyPlanner';
+
+async function handler(req, res) {
+  const userId = req.user.userId;
+
+  switch (req.method) {
+    case 'GET':
+      return handleGet(req, res, userId);
+    case 'PUT':
+      return handlePut(req, res, userId);
+    case 'DELETE':
+      return handleDelete(req, res, userId);
+    default:
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+  }
+}
+
+// 学習計画の取得（遅れていれば作り直して返す）。未設定なら studyPlan は null
+async function handleGet(req, res, userId) {
+  try {
+    return res.status(200).json({
+      success: true,
+      studyPlan: getStudyPlan(userId)
+    });
+  } catch (error) {
+    console.error('Get study plan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習計画の取得に失敗しました'
+    });
+  }
+}
+
+// 試験日と1週間に使える時間を保存して、今日から計画を作り直す
+async function handlePut(req, res, userId) {
+  try {
+    const { examDate, weeklyHours } = req.body || {};
+
+    return res.status(200).json({
+      success: true,
+      message: '学習計画を作成しました',
+      studyPlan: saveStudyPlanSettings(userId, { examDate, weeklyHours })
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Save study plan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習計画の作成に失敗しました'
+    });
+  }
+}
+
+async function handleDelete(req, res, userId) {
+  try {
+    deleteStudyPlan(userId);
+    return res.status(200).json({
+      success: true,
+      message: '学習計画を削除しました'
+    });
+  } catch (error) {
+    console.error('Delete study plan error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '学習計画の削除に失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
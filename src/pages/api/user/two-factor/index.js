@@ -0,0 +1,98 @@
+import userManager from '@/features/auth/server/userManager';
+import { withAuth } from '@/features/auth/server/auth';
+import {
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  getTwoFactorStatus
+} from '@/features/auth/server/twoFactor';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+import { isValidationError } from '@/server/repositories/errors';
+
+async function handler(req, res) {
+  const user = await userManager.findById(req.user.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'ユーザーが見つかりません'
+    });
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({
+          success: true,
+          twoFactor: getTwoFactorStatus(user)
+        });
+      case 'POST':
+        return await handlePost(req, res, user);
+      case 'PUT':
+        return handlePut(req, res, user);
+      case 'DELETE':
+        return handleDelete(req, res, user);
+      default:
+        return res.status(405).json({
+          success: false,
+          error: 'Method not allowed'
+        });
+    }
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Two-factor settings error:', error);
+    return res.status(500).json({
+      success: false,
+      error: '二段階認証の設定に失敗しました'
+    });
+  }
+}
+
+// 設定を始める（QR コードと秘密鍵を返す）
+async function handlePost(req, res, user) {
+  const setup = await beginTwoFactorSetup(user);
+
+  return res.status(200).json({
+    success: true,
+    setup
+  });
+}
+
+// 認証アプリのコード（code）で有効にする。リカバリーコードはこの応答でしか返さない
+function handlePut(req, res, user) {
+  if (!enforceRateLimit(req, res, 'TWO_FACTOR_VERIFICATION', [`user:${user.id}`])) {
+    return undefined;
+  }
+
+  const recoveryCodes = confirmTwoFactorSetup(user.id, req.body?.code);
+
+  return res.status(200).json({
+    success: true,
+    message: '二段階認証を有効にしました',
+    recoveryCodes,
+    twoFactor: getTwoFactorStatus(user)
+  });
+}
+
+// 認証アプリのコード（code）かリカバリーコード（recoveryCode）で無効にする
+function handleDelete(req, res, user) {
+  if (!enforceRateLimit(req, res, 'TWO_FACTOR_VERIFICATION', [`user:${user.id}`])) {
+    return undefined;
+  }
+
+  const { code, recoveryCode } = req.body || {};
+  disableTwoFactor(user, { code, recoveryCode });
+
+  return res.status(200).json({
+    success: true,
+    message: '二段階認証を無効にしました',
+    twoFactor: getTwoFactorStatus(user)
+  });
+}
+
+export default withAuth(handler);
@@ -0,0 +1,44 @@
+import { withAuth } from '@/features/auth/server/auth';
+import { regenerateRecoveryCodes } from '@/features/auth/server/twoFactor';
+import { enforceRateLimit } from '@/server/api/rateLimit';
+import { isValidationError } from '@/server/repositories/errors';
+
+// 認証アプリのコード（code）を確かめて、リカバリーコードを作り直す（前のコードは使えなくなる）
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const userId = req.user.userId;
+  if (!enforceRateLimit(req, res, 'TWO_FACTOR_VERIFICATION', [`user:${userId}`])) {
+    return undefined;
+  }
+
+  try {
+    const recoveryCodes = regenerateRecoveryCodes(userId, req.body?.code);
+
+    return res.status(200).json({
+      success: true,
+      message: 'リカバリーコードを作り直しました',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'リカバリーコードの作り直しに失敗しました'
+    });
+  }
+}
+
+export default withAuth(handler);
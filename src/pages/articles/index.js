@@ -0,0 +1,144 @@
+import { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { AlertCircle, ScrollText, Search } from 'lucide-react';
+
+function unitHref(unit) {
+  return `/subjects/${unit.subjectId}/${unit.unitId}${unit.sectionId ? `#${encodeURIComponent(unit.sectionId)}` : ''}`;
+}
+
+// 「93」「93条」「民法93条」のどれでも引けるようにする
+function matchesQuery(article, query) {
+  const normalizedQuery = query.normalize('NFKC').replace(/\s+/g, '');
+  if (!normalizedQuery) {
+    return true;
+  }
+
+  return article.label.includes(normalizedQuery) || article.label.replace(/^\D+/, '').startsWith(normalizedQuery);
+}
+
+export default function ArticlesPage() {
+  const [laws, setLaws] = useState(null);
+  const [lawId, setLawId] = useState('');
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function loadArticles() {
+      const response = await fetch('/api/articles');
+      const payload = await response.json();
+      if (payload.success) {
+        setLaws(payload.laws);
+      } else {
+        setError(payload.error || '条文索引の取得に失敗しました');
+      }
+    }
+
+    loadArticles();
+  }, []);
+
+  // 本文の条文リンク（`#article-...`）から来たとき、一覧を描画してからその条文まで送る
+  useEffect(() => {
+    const targetId = decodeURIComponent(window.location.hash.slice(1));
+    if (laws && targetId) {
+      document.getElementById(targetId)?.scrollIntoView();
+    }
+  }, [laws]);
+
+  const visibleLaws = useMemo(() => (laws || [])
+    .filter((law) => !lawId || law.id === lawId)
+    .map((law) => ({ ...law, articles: law.articles.filter((article) => matchesQuery(article, query)) }))
+    .filter((law) => law.articles.length), [laws, lawId, query]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>条文索引 | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+          <div className="py-8">
+            <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+              <ScrollText className="h-6 w-6 text-blue-600" />
+              条文索引
+            </h1>
+            <p className="mt-2 text-sm text-gray-600">
+              各単元が本文で引用している条文と、その条文を扱っている単元の一覧です。
+            </p>
+          </div>
+
+          <div className="mb-6 flex flex-col gap-3 md:flex-row">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+              <input
+                type="search"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="条番号で絞り込み（例: 94、民法94条）"
+                className="w-full rounded-xl border border-gray-200 bg-white py-2 pl-9 pr-3 text-sm"
+              />
+            </div>
+            <select
+              value={lawId}
+              onChange={(event) => setLawId(event.target.value)}
+              className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm"
+            >
+              <option value="">すべての法令</option>
+              {(laws || []).map((law) => (
+                <option key={law.id} value={law.id}>{law.name}（{law.articles.length}）</option>
+              ))}
+            </select>
+          </div>
+
+          {error && (
+            <p className="mb-4 flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </p>
+          )}
+
+          {!laws && !error ? (
+            <div className="py-16 text-center text-gray-500">読み込み中...</div>
+          ) : visibleLaws.length ? (
+            <div className="space-y-10">
+              {visibleLaws.map((law) => (
+                <section key={law.id}>
+                  <h2 className="mb-4 border-b border-gray-200 pb-2 text-xl font-bold text-gray-900">{law.name}</h2>
+                  <div className="divide-y divide-gray-100 rounded-2xl border border-gray-100 bg-white shadow-sm">
+                    {law.articles.map((article) => (
+                      <div key={article.key} id={article.anchorId} className="scroll-mt-28 px-5 py-3 target:bg-yellow-50">
+                        <p className="font-medium text-gray-900">{article.label}</p>
+                        <ul className="mt-1 space-y-0.5 text-sm">
+                          {article.units.map((unit) => (
+                            <li key={unit.unitId}>
+                              <Link href={unitHref(unit)} className="text-blue-600 hover:text-blue-700">
+                                {unit.unitTitle}
+                              </Link>
+                              <span className="ml-2 text-xs text-gray-500">
+                                {unit.sectionTitle && `${unit.sectionTitle} / `}{unit.count}か所
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              ))}
+            </div>
+          ) : laws && (
+            <div className="py-16 text-center text-gray-500">
+              {laws.length ? '該当する条文がありません' : '条文を引用している単元がまだ公開されていません'}
+            </div>
+          )}
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
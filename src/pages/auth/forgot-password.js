@@ -22,12 +22,24 @@ export default function ForgotPasswordPage() {
     setError('');
     setLoading(true);
 
-    // TODO: 実際のパスワードリセット機能を実装
-    // 現在はダミーの成功表示
-    setTimeout(() => {
-      setSent(true);
+    try {
+      const res = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        setSent(true);
+      } else {
+        setError(data.error || 'リセットメールの送信に失敗しました');
+      }
+    } catch (submitError) {
+      setError('リセットメールの送信に失敗しました');
+    } finally {
       setLoading(false);
-    }, 1500);
+    }
   };
 
   return (
@@ -66,8 +78,8 @@ export default function ForgotPasswordPage() {
                 メールを送信しました
               </h3>
               <p className="text-sm text-gray-600 mb-6">
-                {email} にパスワードリセット用のリンクを送信しました。
-                メールに記載されたリンクからパスワードを再設定してください。
+                {email} が登録済みのメールアドレスであれば、パスワードリセット用のリンクを送信しました。
+                メールに記載されたリンクから30分以内にパスワードを再設定してください。
               </p>
               <p className="text-xs text-gray-500 mb-6">
                 ※ メールが届かない場合は、迷惑メールフォルダをご確認ください
@@ -18,7 +18,7 @@ import {
 
 export default function RegisterPage() {
   const router = useRouter();
-  const { register, isAuthenticated, loading: authLoading } = useAuth();
+  const { user, register, isAuthenticated, loading: authLoading } = useAuth();
   
   const [formData, setFormData] = useState({
     name: '',
@@ -34,13 +34,15 @@ export default function RegisterPage() {
 
   // リダイレクト先の取得
   const redirectTo = router.query.redirect || '/subjects';
+  // メールアドレスの確認がまだなら、確認メールの案内を挟む
+  const verifyEmailPath = `/auth/verify-email?redirect=${encodeURIComponent(redirectTo)}`;
 
   // 既にログインしている場合はリダイレクト
   useEffect(() => {
     if (!authLoading && isAuthenticated) {
-      router.push(redirectTo);
+      router.push(user?.emailVerified === false ? verifyEmailPath : redirectTo);
     }
-  }, [authLoading, isAuthenticated, router, redirectTo]);
+  }, [authLoading, isAuthenticated, user, router, redirectTo, verifyEmailPath]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -97,7 +99,7 @@ export default function RegisterPage() {
       const result = await register(formData.email, formData.password, formData.name);
       
       if (result.success) {
-        router.push(redirectTo);
+        router.push(result.user?.emailVerified === false ? verifyEmailPath : redirectTo);
       } else {
         setError(result.error);
       }
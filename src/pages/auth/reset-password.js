@@ -0,0 +1,252 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import {
+  Lock,
+  ArrowLeft,
+  CheckCircle,
+  AlertCircle,
+  Loader2,
+  BookOpen,
+  Eye,
+  EyeOff,
+  KeyRound
+} from 'lucide-react';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function ResetPasswordPage() {
+  const router = useRouter();
+  const token = typeof router.query.token === 'string' ? router.query.token : '';
+  const [tokenValid, setTokenValid] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [completed, setCompleted] = useState(false);
+  const [error, setError] = useState('');
+
+  // リンクがまだ使えるかを先に確かめる
+  useEffect(() => {
+    if (!router.isReady) {
+      return;
+    }
+    if (!token) {
+      setTokenValid(false);
+      return;
+    }
+
+    async function checkToken() {
+      try {
+        const res = await fetch(`/api/auth/reset-password?token=${encodeURIComponent(token)}`);
+        const data = await res.json();
+        setTokenValid(Boolean(res.ok && data.valid));
+      } catch (checkError) {
+        setTokenValid(false);
+      }
+    }
+
+    checkToken();
+  }, [router.isReady, token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`パスワードは${MIN_PASSWORD_LENGTH}文字以上で設定してください`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('パスワードが一致しません');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        setCompleted(true);
+      } else {
+        setError(data.error || 'パスワードの再設定に失敗しました');
+      }
+    } catch (submitError) {
+      setError('パスワードの再設定に失敗しました');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <Head>
+        <title>パスワードの再設定 | 行政書士試験対策</title>
+        <meta name="description" content="新しいパスワードを設定" />
+      </Head>
+
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        {/* Logo */}
+        <Link href="/" className="flex items-center justify-center gap-2 mb-6">
+          <div className="w-12 h-12 bg-blue-600 rounded-xl flex items-center justify-center">
+            <BookOpen className="w-7 h-7 text-white" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">行政書士試験対策</span>
+        </Link>
+
+        <h2 className="text-center text-3xl font-bold text-gray-900">
+          パスワードの再設定
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          新しいパスワードを入力してください
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-xl rounded-2xl sm:px-10">
+          {tokenValid === null && (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          )}
+
+          {tokenValid === false && !completed && (
+            // 使えないリンク
+            <div className="text-center">
+              <div className="mx-auto w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mb-4">
+                <AlertCircle className="w-8 h-8 text-red-600" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                リンクが無効です
+              </h3>
+              <p className="text-sm text-gray-600 mb-6">
+                再設定のリンクが無効か、有効期限が切れています。お手数ですが、もう一度お手続きください。
+              </p>
+              <Link
+                href="/auth/forgot-password"
+                className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-500"
+              >
+                パスワードリセットをやり直す
+              </Link>
+            </div>
+          )}
+
+          {completed && (
+            // 再設定完了メッセージ
+            <div className="text-center">
+              <div className="mx-auto w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mb-4">
+                <CheckCircle className="w-8 h-8 text-green-600" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                パスワードを再設定しました
+              </h3>
+              <p className="text-sm text-gray-600 mb-6">
+                新しいパスワードでログインしてください。
+              </p>
+              <Link
+                href="/auth/login"
+                className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-500"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                ログインページへ
+              </Link>
+            </div>
+          )}
+
+          {tokenValid && !completed && (
+            // 入力フォーム
+            <>
+              {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-start gap-3">
+                  <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-red-700">{error}</p>
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    新しいパスワード
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="new-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="appearance-none block w-full pl-10 pr-12 py-3 border border-gray-300 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      placeholder="8文字以上"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                    新しいパスワード（確認）
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="confirmPassword"
+                      name="confirmPassword"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="new-password"
+                      required
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className="appearance-none block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-xl placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      placeholder="パスワードを再入力"
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full flex justify-center items-center gap-2 py-3 px-4 border border-transparent rounded-xl shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                      設定中...
+                    </>
+                  ) : (
+                    <>
+                      <KeyRound className="w-5 h-5" />
+                      パスワードを再設定
+                    </>
+                  )}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useAuth } from '@/features/auth/context/AuthContext';
+import EmailVerificationNotice from '@/features/auth/components/EmailVerificationNotice';
+import {
+  ArrowRight,
+  CheckCircle,
+  AlertCircle,
+  Loader2,
+  BookOpen,
+  Mail
+} from 'lucide-react';
+
+export default function VerifyEmailPage() {
+  const router = useRouter();
+  const { user, isAuthenticated, refreshUser } = useAuth();
+  const token = typeof router.query.token === 'string' ? router.query.token : '';
+  const redirectTo = typeof router.query.redirect === 'string' && router.query.redirect.startsWith('/')
+    ? router.query.redirect
+    : '/subjects';
+  // idle: リンクからではない（登録直後の案内）/ verifying / verified / failed
+  const [state, setState] = useState('idle');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady || !token) {
+      return;
+    }
+
+    async function verify() {
+      setState('verifying');
+      try {
+        const res = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token }),
+        });
+        const data = await res.json();
+
+        if (res.ok && data.success) {
+          setState('verified');
+          await refreshUser();
+        } else {
+          setState('failed');
+          setError(data.error || 'メールアドレスの確認に失敗しました');
+        }
+      } catch (verifyError) {
+        setState('failed');
+        setError('メールアドレスの確認に失敗しました');
+      }
+    }
+
+    verify();
+  }, [router.isReady, token, refreshUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <Head>
+        <title>メールアドレスの確認 | 行政書士試験対策</title>
+        <meta name="description" content="メールアドレスの確認" />
+      </Head>
+
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        {/* Logo */}
+        <Link href="/" className="flex items-center justify-center gap-2 mb-6">
+          <div className="w-12 h-12 bg-blue-600 rounded-xl flex items-center justify-center">
+            <BookOpen className="w-7 h-7 text-white" />
+          </div>
+          <span className="text-2xl font-bold text-gray-800">行政書士試験対策</span>
+        </Link>
+
+        <h2 className="text-center text-3xl font-bold text-gray-900">
+          メールアドレスの確認
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow-xl rounded-2xl sm:px-10">
+          {(state === 'verifying' || (token && state === 'idle')) && (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          )}
+
+          {!token && state === 'idle' && (
+            // 登録直後の案内
+            <div className="text-center">
+              <div className="mx-auto w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mb-4">
+                <Mail className="w-8 h-8 text-blue-600" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                確認メールを送信しました
+              </h3>
+              <p className="text-sm text-gray-600 mb-6">
+                {user?.email ? `${user.email} ` : ''}に届いたメールのリンクを開いて、登録を完了してください。メールが届かない場合は、迷惑メールフォルダもご確認ください。
+              </p>
+              <EmailVerificationNotice className="mb-6 text-left" />
+              <Link
+                href={redirectTo}
+                className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-500"
+              >
+                学習を始める
+                <ArrowRight className="w-4 h-4" />
+              </Link>
+            </div>
+          )}
+
+          {state === 'verified' && (
+            <div className="text-center">
+              <div className="mx-auto w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mb-4">
+                <CheckCircle className="w-8 h-8 text-green-600" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                メールアドレスを確認しました
+              </h3>
+              <p className="text-sm text-gray-600 mb-6">
+                すべての機能をご利用いただけます。
+              </p>
+              <Link
+                href={isAuthenticated ? redirectTo : '/auth/login'}
+                className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-500"
+              >
+                {isAuthenticated ? '学習を始める' : 'ログインページへ'}
+                <ArrowRight className="w-4 h-4" />
+              </Link>
+            </div>
+          )}
+
+          {state === 'failed' && (
+            <div className="text-center">
+              <div className="mx-auto w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mb-4">
+                <AlertCircle className="w-8 h-8 text-red-600" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                確認できませんでした
+              </h3>
+              <p className="text-sm text-gray-600 mb-6">{error}</p>
+              {isAuthenticated ? (
+                <EmailVerificationNotice className="text-left" />
+              ) : (
+                <Link
+                  href={`/auth/login?redirect=${encodeURIComponent('/auth/verify-email')}`}
+                  className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-500"
+                >
+                  ログインして確認メールを再送する
+                  <ArrowRight className="w-4 h-4" />
+                </Link>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
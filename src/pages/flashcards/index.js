@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import UnitHtmlFragment from '@/features/content/components/UnitHtmlFragment';
+import {
+  NEW_CARDS_PER_DAY,
+  REVIEW_GRADE_OPTIONS,
+  formatInterval,
+  scheduleReview,
+} from '@/features/flashcards/lib/scheduler';
+import { AlertCircle, CheckCircle, ChevronRight, Layers, RotateCcw } from 'lucide-react';
+
+function FlashcardsPage() {
+  const { subjects } = useSubjectCatalogue();
+  const [subjectId, setSubjectId] = useState('');
+  const [data, setData] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const query = subjectId ? `?subjectId=${encodeURIComponent(subjectId)}` : '';
+      const response = await authFetch(`/api/flashcards${query}`);
+      const payload = await response.json();
+      if (payload.success) {
+        setData(payload);
+        setPosition(0);
+        setRevealed(false);
+      } else {
+        setError(payload.error || '復習カードの取得に失敗しました');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [subjectId]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const card = data?.queue?.[position];
+
+  const grade = async (value) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await authFetch('/api/flashcards/reviews', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cardId: card.id, grade: value }),
+      });
+      const payload = await response.json();
+      if (!payload.success) {
+        setError(payload.error || '復習結果の保存に失敗しました');
+        return;
+      }
+
+      setReviewedCount((count) => count + 1);
+      // 手元のキューを出し切ったら取り直す（「もう一度」にしたカードは今日のキューに戻っている）
+      if (position + 1 >= data.queue.length) {
+        await loadQueue();
+      } else {
+        setPosition(position + 1);
+        setRevealed(false);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>暗記カード | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-3xl px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col gap-4 py-8 md:flex-row md:items-end md:justify-between">
+            <div>
+              <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+                <Layers className="h-6 w-6 text-blue-600" />
+                今日の暗記カード
+              </h1>
+              <p className="mt-2 text-sm text-gray-600">
+                単元の「重要用語」から自動で作られたカードを、忘れかけた頃に復習します。新しいカードは1日{NEW_CARDS_PER_DAY}枚まで、頻出の用語から出題します。
+              </p>
+            </div>
+            <select
+              value={subjectId}
+              onChange={(event) => setSubjectId(event.target.value)}
+              className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm"
+            >
+              <option value="">すべての科目</option>
+              {subjects.map((subject) => (
+                <option key={subject.id} value={subject.id}>{subject.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {data && (
+            <div className="mb-6 grid grid-cols-3 gap-3 text-center">
+              <div className="rounded-2xl border border-gray-100 bg-white p-4 shadow-sm">
+                <p className="text-xs text-gray-500">復習</p>
+                <p className="text-2xl font-bold text-blue-600">{data.counts.due}</p>
+              </div>
+              <div className="rounded-2xl border border-gray-100 bg-white p-4 shadow-sm">
+                <p className="text-xs text-gray-500">新しいカード</p>
+                <p className="text-2xl font-bold text-green-600">{data.counts.new}</p>
+              </div>
+              <div className="rounded-2xl border border-gray-100 bg-white p-4 shadow-sm">
+                <p className="text-xs text-gray-500">学習済み / 全カード</p>
+                <p className="text-2xl font-bold text-gray-900">{data.counts.learned}<span className="text-sm font-normal text-gray-500"> / {data.counts.total}</span></p>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <p className="mb-4 flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </p>
+          )}
+
+          {loading && !card ? (
+            <div className="py-16 text-center text-gray-500">読み込み中...</div>
+          ) : card ? (
+            <div className="rounded-2xl border border-gray-100 bg-white shadow-sm">
+              <div className="flex items-center justify-between border-b border-gray-100 px-6 py-3 text-xs text-gray-500">
+                <span>{card.unitTitle}</span>
+                <span className="flex items-center gap-2">
+                  {card.isNew && <span className="rounded-full bg-green-100 px-2 py-0.5 font-medium text-green-700">NEW</span>}
+                  {card.frequency && <span className="rounded-full bg-orange-100 px-2 py-0.5 font-medium text-orange-700">{card.frequency}</span>}
+                </span>
+              </div>
+
+              <div className="px-6 py-10 text-center">
+                <p className="text-2xl font-bold text-gray-900">{card.term}</p>
+                {revealed && card.reading && <p className="mt-1 text-sm text-gray-500">{card.reading}</p>}
+              </div>
+
+              {revealed ? (
+                <>
+                  <div className="border-t border-gray-100 px-6 py-4">
+                    <UnitHtmlFragment html={card.definitionHtml} />
+                    <Link
+                      href={`/subjects/${card.subjectId}/${card.unitId}${card.sectionId ? `#${encodeURIComponent(card.sectionId)}` : ''}`}
+                      className="mt-3 inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      単元で確認する
+                      <ChevronRight className="h-4 w-4" />
+                    </Link>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 border-t border-gray-100 p-4 md:grid-cols-4">
+                    {REVIEW_GRADE_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        onClick={() => grade(option.value)}
+                        disabled={saving}
+                        className={`rounded-xl px-3 py-2 text-white disabled:opacity-50 ${option.className}`}
+                      >
+                        <span className="block font-medium">{option.label}</span>
+                        <span className="block text-xs opacity-80">
+                          {formatInterval(scheduleReview(card.state, option.value, { today: data.today }).intervalDays)}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <div className="border-t border-gray-100 p-4">
+                  <button
+                    onClick={() => setRevealed(true)}
+                    className="w-full rounded-xl bg-gray-900 px-4 py-3 font-medium text-white hover:bg-gray-800"
+                  >
+                    答えを見る
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="rounded-2xl border border-gray-100 bg-white py-16 text-center shadow-sm">
+              <CheckCircle className="mx-auto mb-3 h-12 w-12 text-green-500" />
+              <p className="font-medium text-gray-900">今日の復習は完了です</p>
+              <p className="mt-1 text-sm text-gray-500">
+                {reviewedCount ? `${reviewedCount}枚復習しました。` : ''}
+                {data?.counts?.total ? '' : '暗記カードを作れる単元がまだ公開されていません。'}
+              </p>
+              <button
+                onClick={loadQueue}
+                className="mt-4 inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700"
+              >
+                <RotateCcw className="h-4 w-4" />
+                再読み込み
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
+
+export default withAuth(FlashcardsPage);
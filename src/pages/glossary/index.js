@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { normalizeTermKey, toHiragana } from '@/features/glossary/lib/terms';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertCircle, BookMarked, Lock, Search } from 'lucide-react';
+
+function unitHref(link) {
+  return `/subjects/${link.subjectId}/${link.unitId}${link.sectionId ? `#${encodeURIComponent(link.sectionId)}` : ''}`;
+}
+
+// 漢字表記でも読みでも引けるようにする
+function matchesQuery(entry, query) {
+  if (!query) {
+    return true;
+  }
+
+  return normalizeTermKey(entry.term).includes(normalizeTermKey(query))
+    || Boolean(entry.reading && entry.reading.includes(toHiragana(query).replace(/\s+/g, '')));
+}
+
+function GlossaryEntry({ entry }) {
+  const { getSubjectById } = useSubjectCatalogue();
+
+  return (
+    <article id={`term-${entry.key}`} className="scroll-mt-28 rounded-2xl border border-gray-100 bg-white p-5 shadow-sm">
+      <h3 className="text-lg font-bold text-gray-900">{entry.term}</h3>
+      {entry.reading && <p className="text-xs text-gray-500">{entry.reading}</p>}
+
+      <div className="mt-3 space-y-3">
+        {entry.definitions.map((definition) => (
+          <div key={`${definition.unitId}:${definition.sectionId || ''}`} className="rounded-xl bg-gray-50 p-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-gray-500">{getSubjectById(definition.subjectId)?.name}</span>
+              <Link href={unitHref(definition)} className="font-medium text-blue-600 hover:text-blue-700">
+                {definition.unitTitle}
+              </Link>
+              {definition.frequency && (
+                <span className="rounded-full bg-orange-100 px-2 py-0.5 font-medium text-orange-700">{definition.frequency}</span>
+              )}
+            </div>
+            {definition.locked ? (
+              <p className="mt-2 flex items-center gap-1 text-sm text-gray-500">
+                <Lock className="h-4 w-4" />
+                解説はプレミアム会員限定の単元にあります
+              </p>
+            ) : (
+              <p className="mt-2 text-sm leading-relaxed text-gray-700">{definition.summary}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {entry.mentions.length > 0 && (
+        <div className="mt-3 text-xs text-gray-500">
+          <span className="mr-1">この用語が出てくる単元:</span>
+          {entry.mentions.map((mention, index) => (
+            <span key={mention.unitId}>
+              {index > 0 && '、'}
+              <Link href={unitHref(mention)} className="text-blue-600 hover:text-blue-700">
+                {mention.unitTitle}
+              </Link>
+            </span>
+          ))}
+        </div>
+      )}
+    </article>
+  );
+}
+
+export default function GlossaryPage() {
+  const [glossary, setGlossary] = useState(null);
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function loadGlossary() {
+      const response = await authFetch('/api/glossary');
+      const payload = await response.json();
+      if (payload.success) {
+        setGlossary({ total: payload.total, rows: payload.rows });
+      } else {
+        setError(payload.error || '用語集の取得に失敗しました');
+      }
+    }
+
+    loadGlossary();
+  }, []);
+
+  // 一覧を描画してから `#term-...` の用語まで送る
+  useEffect(() => {
+    const targetId = decodeURIComponent(window.location.hash.slice(1));
+    if (glossary && targetId) {
+      document.getElementById(targetId)?.scrollIntoView();
+    }
+  }, [glossary]);
+
+  const rows = useMemo(() => (glossary?.rows || [])
+    .map((row) => ({ ...row, entries: row.entries.filter((entry) => matchesQuery(entry, query)) }))
+    .filter((row) => row.entries.length), [glossary, query]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>用語集 | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+          <div className="py-8">
+            <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+              <BookMarked className="h-6 w-6 text-blue-600" />
+              用語集
+            </h1>
+            <p className="mt-2 text-sm text-gray-600">
+              各単元の「重要用語」を五十音順にまとめています。{glossary ? `全${glossary.total}語。` : ''}
+            </p>
+          </div>
+
+          <div className="sticky top-16 z-10 -mx-4 mb-6 bg-gray-50/95 px-4 py-3 backdrop-blur">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+              <input
+                type="search"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="用語・読みで絞り込み"
+                className="w-full rounded-xl border border-gray-200 bg-white py-2 pl-9 pr-3 text-sm"
+              />
+            </div>
+            <nav className="mt-3 flex flex-wrap gap-2 text-sm">
+              {rows.map((row) => (
+                <a
+                  key={row.key}
+                  href={`#row-${row.key}`}
+                  className="rounded-full bg-white px-3 py-1 text-gray-700 shadow-sm hover:text-blue-600"
+                >
+                  {row.label}
+                </a>
+              ))}
+            </nav>
+          </div>
+
+          {error && (
+            <p className="mb-4 flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </p>
+          )}
+
+          {!glossary && !error ? (
+            <div className="py-16 text-center text-gray-500">読み込み中...</div>
+          ) : rows.length ? (
+            <div className="space-y-10">
+              {rows.map((row) => (
+                <section key={row.key} id={`row-${row.key}`} className="scroll-mt-44">
+                  <h2 className="mb-4 border-b border-gray-200 pb-2 text-xl font-bold text-gray-900">{row.label}</h2>
+                  <div className="space-y-4">
+                    {row.entries.map((entry) => (
+                      <GlossaryEntry key={entry.key} entry={entry} />
+                    ))}
+                  </div>
+                </section>
+              ))}
+            </div>
+          ) : glossary && (
+            <div className="py-16 text-center text-gray-500">
+              {query ? '該当する用語がありません' : '用語集に載せられる単元がまだ公開されていません'}
+            </div>
+          )}
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
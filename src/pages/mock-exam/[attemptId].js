@@ -0,0 +1,279 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { QUESTION_INPUTS, QuestionResult } from '@/features/quiz/components/QuestionInputs';
+import { QUESTION_TYPE_BADGE_CLASSES, getQuestionTypeLabel } from '@/features/quiz/lib/questionTypes';
+import { EXAM_SECTION_LABELS } from '@/features/quiz/lib/mockExamBlueprint';
+import { AlertTriangle, CheckCircle, ChevronLeft, Clock, XCircle } from 'lucide-react';
+
+const AUTOSAVE_INTERVAL_MS = 30 * 1000;
+
+function formatRemaining(milliseconds) {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function isAnswered(answer) {
+  return Boolean(answer) && (typeof answer !== 'object' || Object.values(answer).some(Boolean));
+}
+
+function QuestionHeader({ question }) {
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-bold text-gray-900">問題{question.number}</span>
+      <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${QUESTION_TYPE_BADGE_CLASSES[question.type]}`}>
+        {getQuestionTypeLabel(question.type)}
+      </span>
+      <span className="text-gray-500">{EXAM_SECTION_LABELS[question.section]}・{question.field}</span>
+      <span className="text-gray-400">{question.points}点</span>
+    </div>
+  );
+}
+
+function ResultSummary({ result }) {
+  return (
+    <div className="mb-8 rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+      <div className={`mb-6 flex items-center gap-3 rounded-xl p-4 ${result.passed ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+        {result.passed ? <CheckCircle className="h-8 w-8" /> : <XCircle className="h-8 w-8" />}
+        <div>
+          <p className="text-xl font-bold">{result.passed ? '合格基準を満たしました' : '合格基準に届きませんでした'}</p>
+          <p className="text-sm">
+            {result.totalPoints} / {result.maxPoints}点（{result.correctCount} / {result.questionCount}問正解）
+            {result.timedOut ? '・時間切れのため締切までに保存された回答で採点しました' : ''}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-3">
+        {result.criteria.map((criterion) => (
+          <div key={criterion.key} className={`rounded-xl border p-4 ${criterion.met ? 'border-green-200' : 'border-red-200 bg-red-50'}`}>
+            <p className="text-sm text-gray-500">{criterion.label}</p>
+            <p className="text-2xl font-bold text-gray-900">{criterion.earned}<span className="text-sm font-normal text-gray-500"> / {criterion.max}点</span></p>
+            <p className={`text-sm ${criterion.met ? 'text-green-700' : 'text-red-700'}`}>
+              基準 {criterion.minimum}点{criterion.met ? ' クリア' : `まであと${Math.round((criterion.minimum - criterion.earned) * 100) / 100}点`}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function MockExamAttemptPage() {
+  const router = useRouter();
+  const { attemptId } = router.query;
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const dirtyRef = useRef(false);
+  const answersRef = useRef({});
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!attemptId) {
+      return;
+    }
+
+    authFetch(`/api/mock-exams/${encodeURIComponent(attemptId)}`)
+      .then((response) => response.json())
+      .then((payload) => {
+        if (payload.success) {
+          setAttempt(payload.attempt);
+          setAnswers(payload.attempt.answers || {});
+          answersRef.current = payload.attempt.answers || {};
+        } else {
+          setError(payload.error || '模擬試験の取得に失敗しました');
+        }
+      });
+  }, [attemptId]);
+
+  const inProgress = attempt?.status === 'in_progress';
+
+  const saveAnswers = useCallback(async () => {
+    if (!dirtyRef.current || !attemptId) {
+      return;
+    }
+
+    dirtyRef.current = false;
+    const response = await authFetch(`/api/mock-exams/${encodeURIComponent(attemptId)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers: answersRef.current }),
+    });
+    if (response.ok) {
+      setSavedAt(new Date());
+    } else {
+      dirtyRef.current = true;
+    }
+  }, [attemptId]);
+
+  const submit = useCallback(async ({ confirm = true } = {}) => {
+    if (submittedRef.current) {
+      return;
+    }
+    if (confirm && !window.confirm('解答を提出して採点します。よろしいですか？')) {
+      return;
+    }
+
+    submittedRef.current = true;
+    setSubmitting(true);
+    try {
+      const response = await authFetch(`/api/mock-exams/${encodeURIComponent(attemptId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answers: answersRef.current }),
+      });
+      const payload = await response.json();
+      if (payload.attempt) {
+        setAttempt(payload.attempt);
+        window.scrollTo({ top: 0 });
+      } else {
+        submittedRef.current = false;
+        setError(payload.error || '提出に失敗しました');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  }, [attemptId]);
+
+  useEffect(() => {
+    if (!inProgress) {
+      return undefined;
+    }
+
+    const tickId = window.setInterval(() => setNow(Date.now()), 1000);
+    const saveId = window.setInterval(saveAnswers, AUTOSAVE_INTERVAL_MS);
+    return () => {
+      window.clearInterval(tickId);
+      window.clearInterval(saveId);
+    };
+  }, [inProgress, saveAnswers]);
+
+  const remaining = attempt ? new Date(attempt.expiresAt).getTime() - now : 0;
+
+  // 時間切れで自動提出
+  useEffect(() => {
+    if (inProgress && remaining <= 0) {
+      submit({ confirm: false });
+    }
+  }, [inProgress, remaining, submit]);
+
+  const updateAnswer = (questionId, value) => {
+    const next = { ...answersRef.current, [questionId]: value };
+    answersRef.current = next;
+    dirtyRef.current = true;
+    setAnswers(next);
+  };
+
+  if (error && !attempt) {
+    return (
+      <div className="flex min-h-screen flex-col items-center justify-center gap-4 bg-gray-50">
+        <p className="text-gray-700">{error}</p>
+        <Link href="/mock-exam" className="text-blue-600 hover:text-blue-700">模擬試験トップへ</Link>
+      </div>
+    );
+  }
+
+  if (!attempt) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50">
+        <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  const resultsById = Object.fromEntries((attempt.result?.results || []).map((result) => [result.questionId, result]));
+  const answeredCount = attempt.questions.filter((question) => isAnswered(answers[question.id])).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>模擬試験 | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+          <div className="py-6">
+            <Link href="/mock-exam" className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700">
+              <ChevronLeft className="h-4 w-4" />
+              模擬試験トップ
+            </Link>
+          </div>
+
+          {inProgress ? (
+            <div className="sticky top-16 z-20 mb-6 rounded-2xl border border-gray-100 bg-white/95 p-4 shadow-sm backdrop-blur">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <span className={`flex items-center gap-2 text-lg font-bold ${remaining < 10 * 60 * 1000 ? 'text-red-600' : 'text-gray-900'}`}>
+                  <Clock className="h-5 w-5" />
+                  残り {formatRemaining(remaining)}
+                </span>
+                <span className="text-sm text-gray-500">
+                  {answeredCount} / {attempt.questions.length}問回答
+                  {savedAt ? `・${savedAt.toLocaleTimeString('ja-JP')} 保存済み` : ''}
+                </span>
+                <button
+                  onClick={() => submit()}
+                  disabled={submitting}
+                  className="rounded-xl bg-blue-600 px-5 py-2 font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {submitting ? '採点中...' : '提出して採点'}
+                </button>
+              </div>
+              <div className="mt-3 flex flex-wrap gap-1">
+                {attempt.questions.map((question) => (
+                  <a
+                    key={question.id}
+                    href={`#question-${question.number}`}
+                    className={`flex h-7 w-7 items-center justify-center rounded text-xs ${
+                      isAnswered(answers[question.id]) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600'
+                    }`}
+                  >
+                    {question.number}
+                  </a>
+                ))}
+              </div>
+              {error && <p className="mt-2 flex items-center gap-1 text-sm text-red-600"><AlertTriangle className="h-4 w-4" />{error}</p>}
+            </div>
+          ) : (
+            attempt.result && <ResultSummary result={attempt.result} />
+          )}
+
+          <ol className="space-y-6">
+            {attempt.questions.map((question) => {
+              const InputComponent = QUESTION_INPUTS[question.type];
+              return (
+                <li key={question.id} id={`question-${question.number}`} className="scroll-mt-48 rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+                  <QuestionHeader question={question} />
+                  <p className="mb-4 whitespace-pre-wrap text-gray-800">{question.prompt}</p>
+                  <InputComponent
+                    question={question}
+                    value={answers[question.id]}
+                    onChange={(value) => updateAnswer(question.id, value)}
+                    disabled={!inProgress}
+                  />
+                  {resultsById[question.id] && <QuestionResult question={question} result={resultsById[question.id]} />}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
+
+export default withAuth(MockExamAttemptPage);
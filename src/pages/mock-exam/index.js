@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { getQuestionTypeLabel } from '@/features/quiz/lib/questionTypes';
+import MockExamResultBadge from '@/features/quiz/components/MockExamResultBadge';
+import {
+  EXAM_SECTION_LABELS,
+  MOCK_EXAM_BLUEPRINT,
+  MOCK_EXAM_DURATION_MINUTES,
+  MOCK_EXAM_MAX_POINTS,
+  MOCK_EXAM_PASS_CRITERIA,
+  MOCK_EXAM_QUESTION_COUNT,
+} from '@/features/quiz/lib/mockExamBlueprint';
+import { AlertCircle, Clock, Crown, FileText, Play, Award } from 'lucide-react';
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('ja-JP', { dateStyle: 'short', timeStyle: 'short' }) : '-';
+}
+
+function MockExamPage() {
+  const router = useRouter();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    authFetch('/api/mock-exams')
+      .then((response) => response.json())
+      .then((payload) => {
+        if (payload.success) {
+          setData(payload);
+        } else {
+          setError(payload.error || '受験履歴の取得に失敗しました');
+        }
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const start = async () => {
+    setStarting(true);
+    setError('');
+    try {
+      const response = await authFetch('/api/mock-exams', { method: 'POST' });
+      const payload = await response.json();
+      if (response.ok && payload.success) {
+        router.push(`/mock-exam/${payload.attempt.id}`);
+      } else {
+        setError(payload.error || '模擬試験を開始できませんでした');
+      }
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const sections = Object.keys(EXAM_SECTION_LABELS);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>模擬試験 | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-5xl px-4 sm:px-6 lg:px-8">
+          <div className="py-8">
+            <h1 className="text-2xl font-bold text-gray-900">本試験形式の模擬試験</h1>
+            <p className="mt-2 text-gray-600">
+              試験時間{MOCK_EXAM_DURATION_MINUTES / 60}時間・全{MOCK_EXAM_QUESTION_COUNT}問・{MOCK_EXAM_MAX_POINTS.total}点満点。問題は問題バンクから本試験の出題配分どおりに選ばれます。
+            </p>
+          </div>
+
+          <div className="mb-6 grid gap-6 md:grid-cols-2">
+            <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+              <h2 className="mb-4 flex items-center gap-2 font-bold text-gray-900">
+                <FileText className="h-5 w-5 text-blue-600" />
+                出題構成
+              </h2>
+              <table className="w-full text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {MOCK_EXAM_BLUEPRINT.map((slot) => (
+                    <tr key={slot.key}>
+                      <td className="py-2 text-gray-500">{EXAM_SECTION_LABELS[slot.section]}</td>
+                      <td className="py-2 text-gray-800">{slot.label}</td>
+                      <td className="py-2 text-gray-600">{getQuestionTypeLabel(slot.type)}</td>
+                      <td className="py-2 text-right text-gray-800">{slot.count}問 × {slot.points}点</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+              <h2 className="mb-4 flex items-center gap-2 font-bold text-gray-900">
+                <Award className="h-5 w-5 text-orange-600" />
+                合格基準（すべてを満たすこと）
+              </h2>
+              <ul className="space-y-2 text-sm text-gray-700">
+                {MOCK_EXAM_PASS_CRITERIA.map((criterion) => (
+                  <li key={criterion.key} className="flex justify-between rounded-lg bg-gray-50 px-4 py-2">
+                    <span>{criterion.label}</span>
+                    <span className="font-medium">{criterion.minimum} / {MOCK_EXAM_MAX_POINTS[criterion.key]}点以上</span>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="mt-6">
+                {loading ? null : data?.canTake ? (
+                  <button
+                    onClick={start}
+                    disabled={starting}
+                    className="inline-flex items-center gap-2 rounded-xl bg-blue-600 px-5 py-3 font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {data.activeAttemptId ? <Clock className="h-5 w-5" /> : <Play className="h-5 w-5" />}
+                    {data.activeAttemptId ? '受験中の模擬試験を再開' : '模擬試験を開始'}
+                  </button>
+                ) : (
+                  <Link href="/pricing" className="inline-flex items-center gap-2 rounded-xl bg-amber-500 px-5 py-3 font-medium text-white hover:bg-amber-600">
+                    <Crown className="h-5 w-5" />
+                    プレミアム会員で受験できます
+                  </Link>
+                )}
+                {error && (
+                  <p className="mt-3 flex items-start gap-2 text-sm text-red-600">
+                    <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+                    {error}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+            <h2 className="mb-4 font-bold text-gray-900">受験履歴</h2>
+            {loading ? (
+              <p className="py-8 text-center text-gray-500">読み込み中...</p>
+            ) : data?.attempts?.length ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-100 text-left text-xs text-gray-500">
+                      <th className="py-2">受験日時</th>
+                      <th className="py-2">合計</th>
+                      {sections.map((section) => <th key={section} className="py-2">{EXAM_SECTION_LABELS[section]}</th>)}
+                      <th className="py-2">判定</th>
+                      <th className="py-2">未達の基準</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {data.attempts.map((attempt) => (
+                      <tr key={attempt.id} className="hover:bg-gray-50">
+                        <td className="py-3">
+                          <Link href={`/mock-exam/${attempt.id}`} className="text-blue-600 hover:text-blue-700">
+                            {formatDateTime(attempt.startedAt)}
+                          </Link>
+                        </td>
+                        <td className="py-3 font-medium text-gray-900">{attempt.totalPoints ?? '-'}</td>
+                        {sections.map((section) => (
+                          <td key={section} className="py-3 text-gray-700">{attempt.sections?.[section]?.earned ?? '-'}</td>
+                        ))}
+                        <td className="py-3"><MockExamResultBadge attempt={attempt} /></td>
+                        <td className="py-3 text-gray-600">
+                          {attempt.missedCriteria.map((criterion) => criterion.label).join('、') || '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="py-8 text-center text-gray-500">まだ受験記録がありません</p>
+            )}
+          </div>
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
+
+export default withAuth(MockExamPage);
@@ -5,7 +5,15 @@ import { useRouter } from 'next/router';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
 import { useAuth, withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import MockExamResultBadge from '@/features/quiz/components/MockExamResultBadge';
+import LearningPathCard from '@/features/content/components/LearningPathCard';
+import TodayPlanCard from '@/features/planner/components/TodayPlanCard';
+import EmailVerificationNotice from '@/features/auth/components/EmailVerificationNotice';
+import LearningAnalyticsPanel from '@/features/analytics/components/LearningAnalyticsPanel';
+import { MOCK_EXAM_MAX_POINTS } from '@/features/quiz/lib/mockExamBlueprint';
 import {
+  BookMarked,
   BookOpen,
   Target,
   Clock,
@@ -16,6 +24,10 @@ import {
   Crown,
   BarChart3,
   Play,
+  FileText,
+  Gavel,
+  Layers,
+  Bookmark,
 } from 'lucide-react';
 
 function MyPage() {
@@ -27,12 +39,7 @@ function MyPage() {
   useEffect(() => {
     async function fetchProgress() {
       try {
-        const token = localStorage.getItem('token');
-        const res = await fetch('/api/user/progress', {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        const res = await authFetch('/api/user/progress');
 
         if (res.ok) {
           const data = await res.json();
@@ -118,6 +125,8 @@ function MyPage() {
             </div>
           </div>
 
+          <EmailVerificationNotice className="mb-8" />
+
           <div className="mb-8 grid grid-cols-2 gap-4 lg:grid-cols-4">
             <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
               <div className="mb-3 flex items-center gap-3">
@@ -160,6 +169,10 @@ function MyPage() {
             </div>
           </div>
 
+          <div className="mb-8">
+            <LearningAnalyticsPanel />
+          </div>
+
           <div className="grid gap-6 lg:grid-cols-3">
             <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm lg:col-span-2">
               <div className="mb-6 flex items-center justify-between">
@@ -235,6 +248,58 @@ function MyPage() {
                 </Link>
               </div>
 
+              <TodayPlanCard />
+
+              <LearningPathCard />
+
+              <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+                <div className="mb-4 flex items-center justify-between">
+                  <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900">
+                    <FileText className="h-5 w-5 text-blue-600" />
+                    模擬試験
+                  </h2>
+                  <Link href="/mock-exam" className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+                    受験する
+                    <ChevronRight className="h-4 w-4" />
+                  </Link>
+                </div>
+                {summary?.mockExams?.attemptCount ? (
+                  <>
+                    <div className="mb-4 grid grid-cols-2 gap-3 text-center">
+                      <div className="rounded-xl bg-gray-50 p-3">
+                        <p className="text-xs text-gray-500">最高点</p>
+                        <p className="text-xl font-bold text-gray-900">
+                          {summary.mockExams.bestTotalPoints}
+                          <span className="text-xs font-normal text-gray-500"> / {MOCK_EXAM_MAX_POINTS.total}</span>
+                        </p>
+                      </div>
+                      <div className="rounded-xl bg-gray-50 p-3">
+                        <p className="text-xs text-gray-500">合格判定</p>
+                        <p className="text-xl font-bold text-gray-900">
+                          {summary.mockExams.passedCount}
+                          <span className="text-xs font-normal text-gray-500"> / {summary.mockExams.attemptCount}回</span>
+                        </p>
+                      </div>
+                    </div>
+                    <div className="space-y-2">
+                      {summary.mockExams.recent.map((attempt) => (
+                        <Link
+                          key={attempt.id}
+                          href={`/mock-exam/${attempt.id}`}
+                          className="flex items-center justify-between rounded-xl p-2 text-sm transition-colors hover:bg-gray-50"
+                        >
+                          <span className="text-gray-600">{new Date(attempt.startedAt).toLocaleDateString('ja-JP')}</span>
+                          <span className="font-medium text-gray-900">{attempt.totalPoints}点</span>
+                          <MockExamResultBadge attempt={attempt} />
+                        </Link>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">本試験と同じ60問・3時間の形式で実力を確認できます。</p>
+                )}
+              </div>
+
               {!user?.isPremium && (
                 <div className="rounded-2xl bg-gradient-to-br from-yellow-400 to-orange-500 p-6 text-white">
                   <div className="mb-3 flex items-center gap-2">
@@ -264,6 +329,41 @@ function MyPage() {
                     </div>
                     <ChevronRight className="h-5 w-5 text-gray-400" />
                   </Link>
+                  <Link href="/flashcards" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
+                    <div className="flex items-center gap-3">
+                      <Layers className="h-5 w-5 text-green-600" />
+                      <span className="text-gray-700">今日の暗記カード</span>
+                    </div>
+                    <ChevronRight className="h-5 w-5 text-gray-400" />
+                  </Link>
+                  <Link href="/glossary" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
+                    <div className="flex items-center gap-3">
+                      <BookMarked className="h-5 w-5 text-blue-600" />
+                      <span className="text-gray-700">用語集</span>
+                    </div>
+                    <ChevronRight className="h-5 w-5 text-gray-400" />
+                  </Link>
+                  <Link href="/precedents?mode=quiz" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
+                    <div className="flex items-center gap-3">
+                      <Gavel className="h-5 w-5 text-orange-600" />
+                      <span className="text-gray-700">判例クイズ</span>
+                    </div>
+                    <ChevronRight className="h-5 w-5 text-gray-400" />
+                  </Link>
+                  <Link href="/mock-exam" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
+                    <div className="flex items-center gap-3">
+                      <FileText className="h-5 w-5 text-blue-600" />
+                      <span className="text-gray-700">模擬試験</span>
+                    </div>
+                    <ChevronRight className="h-5 w-5 text-gray-400" />
+                  </Link>
+                  <Link href="/mypage/notes" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
+                    <div className="flex items-center gap-3">
+                      <Bookmark className="h-5 w-5 text-yellow-600" />
+                      <span className="text-gray-700">マイノート</span>
+                    </div>
+                    <ChevronRight className="h-5 w-5 text-gray-400" />
+                  </Link>
                   <Link href="/mypage/settings" className="flex items-center justify-between rounded-xl p-3 transition-colors hover:bg-gray-50">
                     <div className="flex items-center gap-3">
                       <Settings className="h-5 w-5 text-gray-600" />
@@ -0,0 +1,137 @@
+import { useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import NoteCard from '@/features/notes/components/NoteCard';
+import { NOTE_ANCHOR_STATUSES } from '@/features/notes/lib/textQuote';
+import { AlertTriangle, Bookmark, ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+
+// 単元ごとにまとめる（単元の順は最後にメモを付けた順）
+function groupNotesByUnit(notes) {
+  const groups = new Map();
+  notes.forEach((note) => {
+    const group = groups.get(note.unitId) || { unitId: note.unitId, notes: [], latest: '' };
+    group.notes.push(note);
+    group.latest = note.createdAt > group.latest ? note.createdAt : group.latest;
+    groups.set(note.unitId, group);
+  });
+  return [...groups.values()].sort((left, right) => right.latest.localeCompare(left.latest));
+}
+
+function MyNotesPage() {
+  const [notes, setNotes] = useState([]);
+  const [units, setUnits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    async function fetchNotes() {
+      try {
+        const res = await authFetch('/api/user/notes');
+        const data = await res.json();
+        if (res.ok && data.success) {
+          setNotes(data.notes);
+          setUnits(data.units);
+        } else {
+          setError(data.error || 'メモの取得に失敗しました');
+        }
+      } catch (fetchError) {
+        setError('メモの取得に失敗しました');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchNotes();
+  }, []);
+
+  const groups = useMemo(() => groupNotesByUnit(notes), [notes]);
+  const orphanedCount = notes.filter((note) => note.status === NOTE_ANCHOR_STATUSES.ORPHANED).length;
+
+  const handleUpdated = (updated) => setNotes((previous) => previous.map((note) => (note.id === updated.id ? updated : note)));
+  const handleDeleted = (id) => setNotes((previous) => previous.filter((note) => note.id !== id));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>マイノート | 行政書士試験対策</title>
+        <meta name="description" content="単元の本文に付けたハイライトとメモの一覧" />
+      </Head>
+
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+          <div className="py-8">
+            <Link href="/mypage" className="mb-4 inline-flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700">
+              <ChevronLeft className="h-4 w-4" />
+              マイページに戻る
+            </Link>
+            <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+              <Bookmark className="h-6 w-6 text-yellow-600" />
+              マイノート
+            </h1>
+            <p className="mt-1 text-sm text-gray-600">単元の本文で文章を選択すると、ハイライトやメモを付けられます。</p>
+          </div>
+
+          {loading && (
+            <div className="flex h-32 items-center justify-center">
+              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+            </div>
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!loading && !error && notes.length === 0 && (
+            <div className="rounded-2xl border border-gray-100 bg-white p-8 text-center text-gray-600 shadow-sm">
+              まだメモはありません。
+              <Link href="/subjects" className="ml-2 text-blue-600 hover:text-blue-700">科目一覧へ</Link>
+            </div>
+          )}
+
+          {orphanedCount > 0 && (
+            <div className="mb-6 flex items-start gap-2 rounded-xl bg-amber-50 p-4 text-sm text-amber-800">
+              <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+              単元の改訂により、{orphanedCount}件のメモの位置が本文から見つからなくなりました。引用とメモはそのまま残っています。
+            </div>
+          )}
+
+          <div className="space-y-6">
+            {groups.map((group) => {
+              const unit = units[group.unitId];
+              return (
+                <section key={group.unitId} className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
+                  <div className="mb-4 flex items-center justify-between gap-4">
+                    <div>
+                      {unit?.subjectName && <p className="text-xs text-gray-500">{unit.subjectName}</p>}
+                      <h2 className="font-semibold text-gray-800">{unit?.title || '公開されていない単元'}</h2>
+                    </div>
+                    {unit && (
+                      <Link
+                        href={`/subjects/${unit.subjectId}/${unit.id}`}
+                        className="inline-flex shrink-0 items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        単元を開く
+                        <ChevronRight className="h-4 w-4" />
+                      </Link>
+                    )}
+                  </div>
+                  <ul className="space-y-3">
+                    {group.notes.map((note) => (
+                      <NoteCard key={note.id} note={note} onUpdated={handleUpdated} onDeleted={handleDeleted} />
+                    ))}
+                  </ul>
+                </section>
+              );
+            })}
+          </div>
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
+
+export default withAuth(MyNotesPage);
@@ -5,6 +5,12 @@ import { useRouter } from 'next/router';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
 import { useAuth, withAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import StudyPlanPanel from '@/features/planner/components/StudyPlanPanel';
+import ActiveSessionsPanel from '@/features/auth/components/ActiveSessionsPanel';
+import TwoFactorPanel from '@/features/auth/components/TwoFactorPanel';
+import LinkedAccountsPanel from '@/features/auth/components/LinkedAccountsPanel';
+import { getOidcErrorMessage } from '@/features/auth/lib/oidcErrors';
 import {
   User,
   Mail,
@@ -19,7 +25,11 @@ import {
   Eye,
   EyeOff,
   Crown,
-  Calendar
+  Calendar,
+  CalendarDays,
+  Monitor,
+  ShieldCheck,
+  Link2
 } from 'lucide-react';
 
 function SettingsPage() {
@@ -67,23 +77,44 @@ function SettingsPage() {
     }
   }, [user]);
 
+  // マイページの学習計画から ?tab=study-plan、管理画面の案内から ?tab=two-factor、
+  // 外部アカウントの連携から戻ってきたときは ?tab=accounts で開く
+  useEffect(() => {
+    if (['study-plan', 'two-factor', 'accounts'].includes(router.query.tab)) {
+      setActiveTab(router.query.tab);
+    }
+  }, [router.query.tab]);
+
   const showMessage = (type, text) => {
     setMessage({ type, text });
     setTimeout(() => setMessage({ type: '', text: '' }), 5000);
   };
 
+  // 連携の結果（?linked / ?oidcError）は一度だけ表示して、URL から外す
+  useEffect(() => {
+    const { linked, oidcError } = router.query;
+    if (!linked && !oidcError) {
+      return;
+    }
+
+    if (oidcError) {
+      showMessage('error', getOidcErrorMessage(oidcError));
+    } else {
+      showMessage('success', 'アカウントを連携しました');
+    }
+    router.replace('/mypage/settings?tab=accounts', undefined, { shallow: true });
+  }, [router]);
+
   // プロフィール更新
   const handleProfileSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch('/api/user/profile', {
+      const res = await authFetch('/api/user/profile', {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ name: profileData.name })
       });
@@ -120,12 +151,10 @@ function SettingsPage() {
     setLoading(true);
 
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch('/api/user/profile', {
+      const res = await authFetch('/api/user/profile', {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           currentPassword: passwordData.currentPassword,
@@ -136,7 +165,9 @@ function SettingsPage() {
       const data = await res.json();
 
       if (res.ok && data.success) {
-        showMessage('success', 'パスワードを更新しました');
+        showMessage('success', data.revokedSessions
+          ? `パスワードを更新しました。ほかの${data.revokedSessions}台の端末はログアウトしました`
+          : 'パスワードを更新しました');
         setPasswordData({
           currentPassword: '',
           newPassword: '',
@@ -158,12 +189,10 @@ function SettingsPage() {
     setLoading(true);
 
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch('/api/user/profile', {
+      const res = await authFetch('/api/user/profile', {
         method: 'PUT',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ settings })
       });
@@ -186,7 +215,11 @@ function SettingsPage() {
   const tabs = [
     { id: 'profile', label: 'プロフィール', icon: User },
     { id: 'password', label: 'パスワード', icon: Lock },
+    { id: 'two-factor', label: '二段階認証', icon: ShieldCheck },
+    { id: 'accounts', label: '連携アカウント', icon: Link2 },
+    { id: 'sessions', label: 'ログイン中の端末', icon: Monitor },
     { id: 'settings', label: '通知設定', icon: Bell },
+    { id: 'study-plan', label: '学習計画', icon: CalendarDays },
     { id: 'subscription', label: '会員情報', icon: Crown }
   ];
 
@@ -314,7 +347,17 @@ function SettingsPage() {
               )}
 
               {/* Password Tab */}
-              {activeTab === 'password' && (
+              {activeTab === 'password' && user?.hasPassword === false && (
+                <div className="p-4 bg-gray-50 border border-gray-200 rounded-xl text-sm text-gray-600">
+                  <p className="font-medium text-gray-800">パスワードは設定されていません</p>
+                  <p className="mt-1">
+                    外部アカウントで登録したため、パスワードはありません。パスワードでもログインしたい場合は、
+                    <Link href="/auth/forgot-password" className="text-blue-600 hover:text-blue-500">パスワードの再設定</Link>
+                    から、登録済みのメールアドレスに届くリンクで設定してください。
+                  </p>
+                </div>
+              )}
+              {activeTab === 'password' && user?.hasPassword !== false && (
                 <form onSubmit={handlePasswordSubmit} className="space-y-6">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -418,6 +461,21 @@ function SettingsPage() {
                 </form>
               )}
 
+              {/* Two-Factor Tab */}
+              {activeTab === 'two-factor' && (
+                <TwoFactorPanel onMessage={showMessage} />
+              )}
+
+              {/* Linked Accounts Tab */}
+              {activeTab === 'accounts' && (
+                <LinkedAccountsPanel onMessage={showMessage} />
+              )}
+
+              {/* Sessions Tab */}
+              {activeTab === 'sessions' && (
+                <ActiveSessionsPanel onMessage={showMessage} />
+              )}
+
               {/* Settings Tab */}
               {activeTab === 'settings' && (
                 <form onSubmit={handleSettingsSubmit} className="space-y-6">
@@ -477,6 +535,11 @@ function SettingsPage() {
                 </form>
               )}
 
+              {/* Study Plan Tab */}
+              {activeTab === 'study-plan' && (
+                <StudyPlanPanel onMessage={showMessage} />
+              )}
+
               {/* Subscription Tab */}
               {activeTab === 'subscription' && (
                 <div className="space-y-6">
@@ -0,0 +1,339 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import UnitHtmlFragment from '@/features/content/components/UnitHtmlFragment';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { getCourtLevelLabel } from '@/features/precedents/lib/caseMeta';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertCircle, CheckCircle, Gavel, List, Lock, RotateCcw, Search, Shuffle } from 'lucide-react';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+function unitHref(citation) {
+  return `/subjects/${citation.subjectId}/${citation.unitId}${citation.sectionId ? `#${encodeURIComponent(citation.sectionId)}` : ''}`;
+}
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(Math.random() * (index + 1));
+    [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+  }
+  return shuffled;
+}
+
+function PrecedentHeading({ precedent }) {
+  return (
+    <>
+      <p className="text-xs text-gray-500">
+        {[precedent.court, precedent.decisionDate, precedent.docketNumber, precedent.reporter].filter(Boolean).join('　') || precedent.meta}
+      </p>
+      <h3 className="mt-1 text-lg font-bold text-gray-900">{precedent.title}</h3>
+      <div className="mt-2 flex flex-wrap gap-1 text-xs">
+        {precedent.importance > 0 && (
+          <span className="rounded-full bg-yellow-100 px-2 py-0.5 font-medium text-yellow-800">{'★'.repeat(precedent.importance)}</span>
+        )}
+        {precedent.frequency && (
+          <span className="rounded-full bg-orange-100 px-2 py-0.5 font-medium text-orange-700">{precedent.frequency}</span>
+        )}
+        {precedent.laws.map((law) => (
+          <span key={law} className="rounded-full bg-blue-50 px-2 py-0.5 text-blue-700">{law}</span>
+        ))}
+      </div>
+    </>
+  );
+}
+
+function LockedNote() {
+  return (
+    <p className="mt-3 flex items-center gap-1 text-sm text-gray-500">
+      <Lock className="h-4 w-4" />
+      判旨はプレミアム会員限定の単元に掲載されています
+    </p>
+  );
+}
+
+function PrecedentCard({ precedent }) {
+  const { getSubjectById } = useSubjectCatalogue();
+
+  return (
+    <article id={`precedent-${precedent.id}`} className="scroll-mt-28 rounded-2xl border border-gray-100 bg-white p-5 shadow-sm">
+      <PrecedentHeading precedent={precedent} />
+
+      {precedent.locked ? <LockedNote /> : (
+        <>
+          <div className="mt-4">
+            <p className="text-sm font-bold text-gray-700">判旨</p>
+            <UnitHtmlFragment html={precedent.holdingHtml} />
+          </div>
+          {precedent.factsHtml && (
+            <details className="mt-2 text-sm">
+              <summary className="cursor-pointer text-gray-600">事実の概要</summary>
+              <UnitHtmlFragment html={precedent.factsHtml} />
+            </details>
+          )}
+        </>
+      )}
+
+      <div className="mt-3 text-xs text-gray-500">
+        <span className="mr-1">掲載単元:</span>
+        {precedent.citations.map((citation, index) => (
+          <span key={`${citation.unitId}:${citation.sectionId || ''}`}>
+            {index > 0 && '、'}
+            <Link href={unitHref(citation)} className="text-blue-600 hover:text-blue-700">
+              {getSubjectById(citation.subjectId)?.name} / {citation.unitTitle}
+            </Link>
+          </span>
+        ))}
+      </div>
+    </article>
+  );
+}
+
+// 判旨を伏せて1件ずつ出題する。「もう一度」にした判例はキューの最後に回す
+function PrecedentQuiz({ precedents }) {
+  const [queue, setQueue] = useState([]);
+  const [revealed, setRevealed] = useState(false);
+  const [rememberedCount, setRememberedCount] = useState(0);
+
+  const start = useCallback(() => {
+    setQueue(shuffle(precedents.filter((precedent) => !precedent.locked)));
+    setRevealed(false);
+    setRememberedCount(0);
+  }, [precedents]);
+
+  useEffect(() => {
+    start();
+  }, [start]);
+
+  const current = queue[0];
+  const lockedCount = precedents.filter((precedent) => precedent.locked).length;
+
+  const answer = (remembered) => {
+    setQueue(([head, ...rest]) => (remembered ? rest : [...rest, head]));
+    setRememberedCount((count) => count + (remembered ? 1 : 0));
+    setRevealed(false);
+  };
+
+  if (!current) {
+    return (
+      <div className="rounded-2xl border border-gray-100 bg-white py-16 text-center shadow-sm">
+        <CheckCircle className="mx-auto mb-3 h-12 w-12 text-green-500" />
+        <p className="font-medium text-gray-900">
+          {rememberedCount ? `${rememberedCount}件の判例を確認しました` : '出題できる判例がありません'}
+        </p>
+        {lockedCount > 0 && <p className="mt-1 text-sm text-gray-500">プレミアム限定の判例{lockedCount}件は出題から除いています。</p>}
+        <button onClick={start} className="mt-4 inline-flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700">
+          <RotateCcw className="h-4 w-4" />
+          最初から
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-2xl border border-gray-100 bg-white shadow-sm">
+      <div className="border-b border-gray-100 px-6 py-3 text-xs text-gray-500">
+        残り {queue.length}件 / 確認済み {rememberedCount}件
+      </div>
+      <div className="px-6 py-6">
+        <PrecedentHeading precedent={current} />
+        {current.factsHtml && (
+          <div className="mt-4">
+            <p className="text-sm font-bold text-gray-700">事実の概要</p>
+            <UnitHtmlFragment html={current.factsHtml} />
+          </div>
+        )}
+        <p className="mt-4 text-sm text-gray-600">この事件で裁判所はどう判断したでしょうか。</p>
+      </div>
+
+      {revealed ? (
+        <>
+          <div className="border-t border-gray-100 px-6 py-4">
+            <p className="text-sm font-bold text-gray-700">判旨</p>
+            <UnitHtmlFragment html={current.holdingHtml} />
+            {current.significanceHtml && (
+              <details className="mt-2 text-sm">
+                <summary className="cursor-pointer text-gray-600">試験上の意義</summary>
+                <UnitHtmlFragment html={current.significanceHtml} />
+              </details>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-2 border-t border-gray-100 p-4">
+            <button onClick={() => answer(false)} className="rounded-xl bg-red-500 px-3 py-2 font-medium text-white hover:bg-red-600">
+              もう一度
+            </button>
+            <button onClick={() => answer(true)} className="rounded-xl bg-green-600 px-3 py-2 font-medium text-white hover:bg-green-700">
+              覚えた
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="border-t border-gray-100 p-4">
+          <button
+            onClick={() => setRevealed(true)}
+            className="w-full rounded-xl bg-gray-900 px-4 py-3 font-medium text-white hover:bg-gray-800"
+          >
+            判旨を見る
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PrecedentsPage() {
+  const router = useRouter();
+  const { getSubjectById } = useSubjectCatalogue();
+  const [subjectId, setSubjectId] = useState('');
+  const [court, setCourt] = useState('');
+  const [query, setQuery] = useState('');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const quizMode = router.query.mode === 'quiz';
+
+  useEffect(() => {
+    const timer = window.setTimeout(async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const params = new URLSearchParams();
+        if (subjectId) params.set('subjectId', subjectId);
+        if (court) params.set('court', court);
+        if (query.trim()) params.set('q', query.trim());
+        const response = await authFetch(`/api/precedents?${params}`);
+        const payload = await response.json();
+        if (payload.success) {
+          setData(payload);
+        } else {
+          setError(payload.error || '判例集の取得に失敗しました');
+        }
+      } finally {
+        setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => window.clearTimeout(timer);
+  }, [subjectId, court, query]);
+
+  const setMode = (mode) => {
+    router.replace({ pathname: router.pathname, query: mode ? { mode } : {} }, undefined, { shallow: true });
+  };
+
+  const precedents = useMemo(() => data?.precedents || [], [data]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>判例集 | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col gap-4 py-8 md:flex-row md:items-end md:justify-between">
+            <div>
+              <h1 className="flex items-center gap-2 text-2xl font-bold text-gray-900">
+                <Gavel className="h-6 w-6 text-blue-600" />
+                判例集
+              </h1>
+              <p className="mt-2 text-sm text-gray-600">
+                各単元の「重要判例」を判決日順にまとめています。クイズでは判旨を伏せて出題します。
+              </p>
+            </div>
+            <div className="inline-flex rounded-xl bg-white p-1 shadow-sm">
+              <button
+                onClick={() => setMode(null)}
+                className={`flex items-center gap-1 rounded-lg px-3 py-1.5 text-sm ${quizMode ? 'text-gray-600' : 'bg-blue-600 text-white'}`}
+              >
+                <List className="h-4 w-4" />
+                一覧
+              </button>
+              <button
+                onClick={() => setMode('quiz')}
+                className={`flex items-center gap-1 rounded-lg px-3 py-1.5 text-sm ${quizMode ? 'bg-blue-600 text-white' : 'text-gray-600'}`}
+              >
+                <Shuffle className="h-4 w-4" />
+                クイズ
+              </button>
+            </div>
+          </div>
+
+          <div className="mb-6 space-y-3">
+            <div className="flex flex-col gap-3 md:flex-row">
+              <div className="relative flex-1">
+                <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(event) => setQuery(event.target.value)}
+                  placeholder="事件名・条文・裁判所で検索"
+                  className="w-full rounded-xl border border-gray-200 bg-white py-2 pl-9 pr-3 text-sm"
+                />
+              </div>
+              <select
+                value={subjectId}
+                onChange={(event) => setSubjectId(event.target.value)}
+                className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm"
+              >
+                <option value="">すべての科目</option>
+                {(data?.facets.subjects || []).map((facet) => (
+                  <option key={facet.id} value={facet.id}>
+                    {getSubjectById(facet.id)?.name || facet.id}（{facet.count}）
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <button
+                onClick={() => setCourt('')}
+                className={`rounded-full px-3 py-1 shadow-sm ${court ? 'bg-white text-gray-700' : 'bg-blue-600 text-white'}`}
+              >
+                すべての裁判所
+              </button>
+              {(data?.facets.courts || []).map((facet) => (
+                <button
+                  key={facet.key}
+                  onClick={() => setCourt(facet.key)}
+                  className={`rounded-full px-3 py-1 shadow-sm ${court === facet.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                >
+                  {getCourtLevelLabel(facet.key)}（{facet.count}）
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && (
+            <p className="mb-4 flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </p>
+          )}
+
+          {loading && !data ? (
+            <div className="py-16 text-center text-gray-500">読み込み中...</div>
+          ) : quizMode ? (
+            <PrecedentQuiz precedents={precedents} />
+          ) : precedents.length ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">{precedents.length}件</p>
+              {precedents.map((precedent) => (
+                <PrecedentCard key={precedent.id} precedent={precedent} />
+              ))}
+            </div>
+          ) : data && (
+            <div className="py-16 text-center text-gray-500">
+              {data.total ? '条件に合う判例がありません' : '判例が掲載された単元がまだ公開されていません'}
+            </div>
+          )}
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
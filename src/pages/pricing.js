@@ -3,6 +3,7 @@ import Link from 'next/link';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
 import { useAuth } from '@/features/auth/context/AuthContext';
+import EmailVerificationNotice from '@/features/auth/components/EmailVerificationNotice';
 import {
   Check,
   X,
@@ -118,6 +119,7 @@ export default function PricingPage() {
         {/* Pricing Cards */}
         <section className="py-16 -mt-8">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <EmailVerificationNotice className="max-w-5xl mx-auto mb-12" />
             <div className="grid md:grid-cols-3 gap-8 max-w-5xl mx-auto">
               {plans.map((plan) => (
                 <div
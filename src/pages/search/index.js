@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import Header from '@/shared/layout/Header';
+import Footer from '@/shared/layout/Footer';
+import { authFetch } from '@/features/auth/lib/authFetch';
+import { AlertCircle, Lock, Search } from 'lucide-react';
+
+const RESULT_LIMIT = 30;
+const FACET_GROUPS = [
+  { key: 'subjectId', label: '科目' },
+  { key: 'type', label: '種別' },
+  { key: 'difficulty', label: '難易度' },
+];
+
+function getQueryValue(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function Snippet({ segments }) {
+  if (!segments?.length) {
+    return null;
+  }
+
+  return (
+    <p className="text-sm leading-relaxed text-gray-600">
+      {segments.map((segment, index) => (segment.match ? (
+        <mark key={index} className="rounded bg-yellow-100 px-0.5 text-gray-900">{segment.text}</mark>
+      ) : (
+        <span key={index}>{segment.text}</span>
+      )))}
+    </p>
+  );
+}
+
+function UnitResult({ result }) {
+  return (
+    <article className="rounded-2xl border border-gray-100 bg-white p-5 shadow-sm">
+      <p className="text-xs text-gray-500">{result.subjectName || result.subjectId}</p>
+      <h2 className="mt-1 flex items-center gap-2 text-lg font-bold text-gray-900">
+        <Link href={result.href} className="hover:text-blue-600">{result.title}</Link>
+        {result.locked && <Lock className="h-4 w-4 text-amber-500" aria-label="プレミアム限定" />}
+      </h2>
+
+      {result.sections.length ? (
+        <ul className="mt-3 space-y-3">
+          {result.sections.map((section, index) => (
+            <li key={index}>
+              <Link href={section.href} className="text-sm font-medium text-blue-600 hover:text-blue-700">
+                {section.sectionTitle || '冒頭'}
+              </Link>
+              <Snippet segments={section.snippet} />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2 text-sm text-gray-600">{result.summary}</p>
+      )}
+      {result.locked && (
+        <p className="mt-3 text-xs text-gray-500">本文の抜粋はプレミアム会員のみ表示されます</p>
+      )}
+    </article>
+  );
+}
+
+export default function SearchPage() {
+  const router = useRouter();
+  const query = getQueryValue(router.query.q);
+  const [input, setInput] = useState('');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  useEffect(() => {
+    if (!router.isReady || !query.trim()) {
+      setData(null);
+      return;
+    }
+
+    async function loadResults() {
+      setLoading(true);
+      setError('');
+      try {
+        const params = new URLSearchParams({ q: query, limit: String(RESULT_LIMIT) });
+        FACET_GROUPS.forEach(({ key }) => {
+          const value = getQueryValue(router.query[key]);
+          if (value) params.set(key, value);
+        });
+        const response = await authFetch(`/api/content/search?${params}`);
+        const payload = await response.json();
+        if (payload.success) {
+          setData(payload);
+        } else {
+          setError(payload.error || '検索に失敗しました');
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadResults();
+  }, [router.isReady, router.query, query]);
+
+  const updateQuery = (changes) => {
+    const next = { ...router.query, ...changes };
+    Object.keys(next).forEach((key) => {
+      if (!next[key]) delete next[key];
+    });
+    router.push({ pathname: router.pathname, query: next }, undefined, { shallow: true });
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    updateQuery({ q: input.trim() });
+  };
+
+  const subjectResults = (data?.results || []).filter((result) => result.type === 'subject');
+  const unitResults = (data?.results || []).filter((result) => result.type === 'unit');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>{query ? `「${query}」の検索結果` : '検索'} | 行政書士試験対策</title>
+      </Head>
+      <Header />
+
+      <main className="pt-20 pb-12">
+        <div className="mx-auto max-w-5xl px-4 sm:px-6 lg:px-8">
+          <form onSubmit={handleSubmit} className="py-8">
+            <div className="relative">
+              <Search className="absolute left-4 top-1/2 h-5 w-5 -translate-y-1/2 text-gray-400" />
+              <input
+                type="search"
+                value={input}
+                onChange={(event) => setInput(event.target.value)}
+                placeholder="用語・条文・判例名などで本文を検索（空白で区切るとすべてを含む単元）"
+                className="w-full rounded-2xl border border-gray-200 bg-white py-3 pl-12 pr-4 shadow-sm"
+              />
+            </div>
+          </form>
+
+          {error && (
+            <p className="mb-4 flex items-center gap-2 text-sm text-red-600">
+              <AlertCircle className="h-4 w-4" />
+              {error}
+            </p>
+          )}
+
+          {!query ? (
+            <div className="py-16 text-center text-gray-500">キーワードを入力してください</div>
+          ) : loading && !data ? (
+            <div className="py-16 text-center text-gray-500">検索中...</div>
+          ) : data && (
+            <div className="grid gap-8 md:grid-cols-[200px_1fr]">
+              <aside className="space-y-6 text-sm">
+                {FACET_GROUPS.map(({ key, label }) => {
+                  const selected = getQueryValue(router.query[key]);
+                  return (
+                    <div key={key}>
+                      <p className="mb-2 font-bold text-gray-700">{label}</p>
+                      <ul className="space-y-1">
+                        <li>
+                          <button onClick={() => updateQuery({ [key]: '' })} className={selected ? 'text-gray-600 hover:text-blue-600' : 'font-medium text-blue-600'}>
+                            すべて
+                          </button>
+                        </li>
+                        {data.facets[key].map((facet) => (
+                          <li key={facet.value}>
+                            <button
+                              onClick={() => updateQuery({ [key]: facet.value })}
+                              className={selected === facet.value ? 'font-medium text-blue-600' : 'text-gray-600 hover:text-blue-600'}
+                            >
+                              {facet.label}（{facet.count}）
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </aside>
+
+              <div className="space-y-4">
+                {subjectResults.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {subjectResults.map((subject) => (
+                      <Link key={subject.id} href={`/subjects/${subject.id}`} className="rounded-full bg-white px-3 py-1 text-sm text-blue-700 shadow-sm hover:bg-blue-50">
+                        科目: {subject.name}
+                      </Link>
+                    ))}
+                  </div>
+                )}
+                <p className="text-sm text-gray-500">{data.counts.units}件の単元</p>
+                {unitResults.length ? unitResults.map((result) => (
+                  <UnitResult key={result.id} result={result} />
+                )) : (
+                  <div className="py-16 text-center text-gray-500">該当する単元がありません</div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
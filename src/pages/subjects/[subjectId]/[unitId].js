@@ -3,12 +3,18 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import ReactMarkdown from 'react-markdown';
+import rehypeStatuteLinks from '@/features/statutes/lib/rehypeStatuteLinks';
 import HtmlContentRenderer from '@/features/content/components/HtmlContentRenderer';
+import PracticeQuiz from '@/features/quiz/components/PracticeQuiz';
+import AmendmentNotice from '@/features/statutes/components/AmendmentNotice';
+import UnitNotes from '@/features/notes/components/UnitNotes';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
-import { getSubjectById } from '@/features/content/lib/subjects';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
 import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch, hasStoredSession } from '@/features/auth/lib/authFetch';
 import { hasPremiumAccess } from '@/shared/lib/entitlements';
+import { STUDY_EVENT_TYPES } from '@/features/progress/lib/studyEvents';
 import {
   BookOpen,
   ChevronRight,
@@ -49,7 +55,7 @@ function headingId(text = '') {
     .replace(/\s+/g, '-');
 }
 
-function AudioPlayer({ audioUrl }) {
+function AudioPlayer({ audioUrl, onPlay }) {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -72,6 +78,7 @@ function AudioPlayer({ audioUrl }) {
       audioRef.current.pause();
     } else {
       audioRef.current.play();
+      onPlay?.(Math.floor(audioRef.current.currentTime));
     }
     setIsPlaying((prev) => !prev);
   };
@@ -227,16 +234,22 @@ export default function UnitPage() {
   const router = useRouter();
   const { subjectId, unitId } = router.query;
   const { user, isAuthenticated } = useAuth();
+  const { getSubjectById } = useSubjectCatalogue();
   const [unit, setUnit] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showToc, setShowToc] = useState(false);
   const [activeSection, setActiveSection] = useState(0);
   const [unitProgress, setUnitProgress] = useState(null);
-  const [scoreInput, setScoreInput] = useState('');
   const [saveMessage, setSaveMessage] = useState('');
+  const [glossary, setGlossary] = useState([]);
+  const [lawNotice, setLawNotice] = useState(null);
   const sessionSecondsRef = useRef(0);
   const contentReadyRef = useRef(false);
   const contentRendererRef = useRef(null);
+  const markdownContentRef = useRef(null);
+  const [showNotes, setShowNotes] = useState(false);
+  const [noteCount, setNoteCount] = useState(0);
+  const [contentRenderCount, setContentRenderCount] = useState(0);
 
   const subject = getSubjectById(subjectId);
   const sections = useMemo(() => unit?.content?.sections || [], [unit?.content?.sections]);
@@ -265,28 +278,48 @@ export default function UnitPage() {
     setActiveSection(index);
   }, [sections, unit?.contentFormat]);
 
-  const persistProgress = useCallback(async ({ completed, score, silent = false } = {}) => {
+  // 用語集や暗記カードから `#見出しID` 付きで来たとき、本文の描画後にその見出しまで送る
+  const scrollToLocationHash = useCallback(() => {
+    const targetId = decodeURIComponent(window.location.hash.slice(1));
+    if (targetId) {
+      contentRendererRef.current?.scrollToHeading(targetId, ANCHOR_SCROLL_OFFSET);
+    }
+  }, []);
+
+  const initialHashHandledRef = useRef(false);
+  const handleContentRender = useCallback(() => {
+    setContentRenderCount((count) => count + 1);
+    if (!initialHashHandledRef.current) {
+      initialHashHandledRef.current = true;
+      scrollToLocationHash();
+    }
+  }, [scrollToLocationHash]);
+
+  useEffect(() => {
+    initialHashHandledRef.current = false;
+  }, [unitId]);
+
+  // メモのハイライトを塗る本文の要素（HTML 単元はシャドウ DOM の中）
+  const getContentRoot = useCallback(() => (
+    unit?.contentFormat === 'html' ? contentRendererRef.current?.getContentRoot() : markdownContentRef.current
+  ), [unit?.contentFormat]);
+
+  useEffect(() => {
+    router.events.on('hashChangeComplete', scrollToLocationHash);
+    return () => router.events.off('hashChangeComplete', scrollToLocationHash);
+  }, [router.events, scrollToLocationHash]);
+
+  const recordStudyEvents = useCallback(async (events, { silent = true } = {}) => {
     if (!isAuthenticated || !unitId) {
       return;
     }
 
-    const token = localStorage.getItem('token');
-    const nextTimeSpent = Number(unitProgress?.timeSpent || 0) + sessionSecondsRef.current;
-    sessionSecondsRef.current = 0;
-
-    const response = await fetch('/api/user/progress', {
+    const response = await authFetch('/api/user/progress', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({
-        unitId,
-        completed: completed ?? unitProgress?.completed ?? false,
-        score: score ?? (scoreInput === '' ? unitProgress?.score : Number(scoreInput)),
-        timeSpent: nextTimeSpent,
-        currentPosition: activeSection,
-      }),
+      body: JSON.stringify({ unitId, events }),
     });
 
     const data = await response.json();
@@ -298,13 +331,23 @@ export default function UnitPage() {
     } else if (!silent) {
       setSaveMessage(data.error || '進捗の保存に失敗しました');
     }
-  }, [activeSection, isAuthenticated, scoreInput, unitId, unitProgress]);
+  }, [isAuthenticated, unitId]);
+
+  // 前回の保存から今のセクションで過ごした時間と、completed を渡したときは完了の記録を送る
+  const persistProgress = useCallback(({ completed, silent = false } = {}) => {
+    const events = [{ type: STUDY_EVENT_TYPES.SECTION_VIEWED, section: activeSection, seconds: sessionSecondsRef.current }];
+    sessionSecondsRef.current = 0;
+    if (completed !== undefined && completed !== Boolean(unitProgress?.completed)) {
+      events.push({ type: STUDY_EVENT_TYPES.COMPLETED, completed });
+    }
+
+    return recordStudyEvents(events, { silent });
+  }, [activeSection, recordStudyEvents, unitProgress?.completed]);
 
   useEffect(() => {
     contentReadyRef.current = false;
     sessionSecondsRef.current = 0;
     setUnitProgress(null);
-    setScoreInput('');
   }, [unitId]);
 
   useEffect(() => {
@@ -317,15 +360,12 @@ export default function UnitPage() {
       setSaveMessage('');
 
       const headers = {};
-      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const signedIn = hasStoredSession();
       const hasAdminPreviewSession =
         adminPreview &&
         typeof window !== 'undefined' &&
         window.sessionStorage.getItem('admin-unit-preview') === '1';
 
-      if (token) {
-        headers.Authorization = `Bearer ${token}`;
-      }
       if (hasAdminPreviewSession) {
         headers['X-Admin-Preview'] = '1';
       }
@@ -336,7 +376,7 @@ export default function UnitPage() {
           params.set('adminPreview', '1');
         }
 
-        const unitRes = await fetch(
+        const unitRes = await authFetch(
           `/api/content/units/${encodeURIComponent(unitId)}${params.toString() ? `?${params.toString()}` : ''}`,
           { headers }
         );
@@ -356,30 +396,22 @@ export default function UnitPage() {
         }
 
         setUnit(unitData.unit);
+        setGlossary(unitData.glossary || []);
+        setLawNotice(unitData.lawNotice || null);
 
-        if (token) {
-          const progressRes = await fetch(`/api/user/progress?unitId=${encodeURIComponent(unitId)}`, {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          });
+        if (signedIn) {
+          const progressRes = await authFetch(`/api/user/progress?unitId=${encodeURIComponent(unitId)}`);
           const progressData = await progressRes.json();
           if (progressRes.ok && progressData.success) {
             setUnitProgress(progressData.progress);
-            setScoreInput(progressData.progress?.score !== undefined ? String(progressData.progress.score) : '');
           }
 
-          await fetch('/api/user/progress', {
+          await authFetch('/api/user/progress', {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
-              Authorization: `Bearer ${token}`,
             },
-            body: JSON.stringify({
-              unitId,
-              currentPosition: progressData?.progress?.currentPosition || 0,
-              timeSpent: progressData?.progress?.timeSpent || 0,
-            }),
+            body: JSON.stringify({ unitId, events: [{ type: STUDY_EVENT_TYPES.OPENED }] }),
           });
         }
       } finally {
@@ -513,7 +545,20 @@ export default function UnitPage() {
                     <h1 className="text-2xl font-bold text-gray-800 md:text-3xl">{unit.title}</h1>
                   </div>
                   <div className="flex items-center gap-2">
-                    <button className="p-2 text-gray-400 transition-colors hover:text-gray-600"><Bookmark className="h-5 w-5" /></button>
+                    <button
+                      type="button"
+                      onClick={() => setShowNotes((current) => !current)}
+                      aria-label="この単元のメモ"
+                      aria-pressed={showNotes}
+                      className={`relative p-2 transition-colors ${showNotes ? 'text-blue-600' : 'text-gray-400 hover:text-gray-600'}`}
+                    >
+                      <Bookmark className="h-5 w-5" />
+                      {noteCount > 0 && (
+                        <span className="absolute -right-0.5 -top-0.5 min-w-[1.125rem] rounded-full bg-blue-600 px-1 text-center text-[10px] font-medium leading-[1.125rem] text-white">
+                          {noteCount}
+                        </span>
+                      )}
+                    </button>
                     <button className="p-2 text-gray-400 transition-colors hover:text-gray-600"><Share2 className="h-5 w-5" /></button>
                     <button className="p-2 text-gray-400 transition-colors hover:text-gray-600"><Printer className="h-5 w-5" /></button>
                   </div>
@@ -534,6 +579,12 @@ export default function UnitPage() {
                     <FileText className="h-4 w-4" />
                     テキストあり
                   </span>
+                  {(unit.lawVersion || unit.effectiveFrom) && (
+                    <span className="flex items-center gap-1">
+                      <History className="h-4 w-4" />
+                      {unit.lawVersion || `${unit.effectiveFrom} 時点の法令`}
+                    </span>
+                  )}
                   {unit.hasPdf && premium && (
                     <a href={unit.pdfUrl} download className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700">
                       <Download className="h-4 w-4" />
@@ -554,7 +605,29 @@ export default function UnitPage() {
                 )}
               </div>
 
-              {unit.hasAudio && <div className="mb-6"><AudioPlayer audioUrl={unit.audioUrl || '/audio/sample.mp3'} /></div>}
+              <UnitNotes
+                unitId={unit.id}
+                isAuthenticated={isAuthenticated}
+                open={showNotes}
+                onClose={() => setShowNotes(false)}
+                getContentRoot={getContentRoot}
+                renderKey={`${unit.id}:${contentRenderCount}`}
+                onCountChange={setNoteCount}
+              />
+
+              <AmendmentNotice
+                notice={lawNotice}
+                onSelectSection={(sectionId) => scrollToSection(sections.findIndex((section) => section.id === sectionId))}
+              />
+
+              {unit.hasAudio && (
+                <div className="mb-6">
+                  <AudioPlayer
+                    audioUrl={unit.audioUrl || '/audio/sample.mp3'}
+                    onPlay={(position) => recordStudyEvents([{ type: STUDY_EVENT_TYPES.AUDIO_PLAYED, position }])}
+                  />
+                </div>
+              )}
 
               <div className="rounded-2xl border border-gray-100 bg-white p-6 shadow-sm md:p-8">
                 {unit.contentFormat === 'html' ? (
@@ -563,10 +636,13 @@ export default function UnitPage() {
                     html={unit.content?.html || ''}
                     css={unit.content?.css || ''}
                     stylesheets={unit.content?.stylesheets || []}
+                    glossary={glossary}
+                    onRender={handleContentRender}
                   />
                 ) : (
-                  <div className="prose prose-lg max-w-none">
+                  <div ref={markdownContentRef} className="prose prose-lg max-w-none">
                     <ReactMarkdown
+                      rehypePlugins={[rehypeStatuteLinks]}
                       components={{
                         h2: ({ node, className = '', ...props }) => (
                           <h2
@@ -590,6 +666,13 @@ export default function UnitPage() {
                 )}
               </div>
 
+              <PracticeQuiz
+                unitId={unit.id}
+                isAuthenticated={isAuthenticated}
+                showEmpty={unit.type === 'practice'}
+                onSubmitted={(progress) => setUnitProgress(progress)}
+              />
+
               {isAuthenticated && (
                 <div className="mt-6 rounded-2xl border border-gray-100 bg-white p-6 shadow-sm">
                   <div className="flex flex-wrap items-center gap-3">
@@ -599,24 +682,8 @@ export default function UnitPage() {
                     >
                       完了として記録
                     </button>
-                    {unit.type === 'practice' && (
-                      <>
-                        <input
-                          type="number"
-                          min="0"
-                          max="100"
-                          value={scoreInput}
-                          onChange={(event) => setScoreInput(event.target.value)}
-                          placeholder="演習スコア"
-                          className="rounded-xl border border-gray-200 px-4 py-3"
-                        />
-                        <button
-                          onClick={() => persistProgress({ score: Number(scoreInput) })}
-                          className="rounded-xl border border-blue-200 px-5 py-3 font-medium text-blue-700 hover:bg-blue-50"
-                        >
-                          スコアを保存
-                        </button>
-                      </>
+                    {typeof unitProgress?.score === 'number' && (
+                      <span className="text-sm text-gray-600">演習スコア: {unitProgress.score}点</span>
                     )}
                   </div>
                 </div>
@@ -4,9 +4,13 @@ import Head from 'next/head';
 import Link from 'next/link';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
-import { getSubjectById } from '@/features/content/lib/subjects';
+import { getSubjectIcon } from '@/features/content/lib/subjectIcons';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
+import { getStatusLabel } from '@/features/content/lib/contentMetadata';
 import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
 import { hasPremiumAccess, getEntitlementLabel } from '@/shared/lib/entitlements';
+import { UNIT_PATH_STATE_BADGE_CLASSES, UNIT_PATH_STATE_LABELS, UNIT_PATH_STATES } from '@/features/content/lib/prerequisites';
 import {
   Clock,
   BookOpen,
@@ -20,7 +24,8 @@ import {
   Crown,
 } from 'lucide-react';
 
-function UnitCard({ unit, subjectId, index, progress, isLocked }) {
+// pathState は /api/user/learning-path の単元ごとの状態（ログインしていなければ null）。前提が未完了でも開けるようにしておく
+function UnitCard({ unit, subjectId, index, progress, pathState, isLocked }) {
   const isCompleted = Boolean(progress?.completed);
 
   if (isLocked) {
@@ -83,11 +88,21 @@ function UnitCard({ unit, subjectId, index, progress, isLocked }) {
               <span className={`rounded px-2 py-0.5 text-xs font-medium ${unit.accessLevel === 'premium' ? 'bg-amber-100 text-amber-700' : 'bg-emerald-100 text-emerald-700'}`}>
                 {getEntitlementLabel(unit.accessLevel)}
               </span>
-              <span className={`rounded px-2 py-0.5 text-xs font-medium ${unit.status === 'draft' ? 'bg-gray-100 text-gray-700' : 'bg-slate-100 text-slate-700'}`}>
-                {unit.status === 'draft' ? '下書き' : '公開中'}
+              <span className={`rounded px-2 py-0.5 text-xs font-medium ${unit.status === 'published' ? 'bg-slate-100 text-slate-700' : 'bg-gray-100 text-gray-700'}`}>
+                {getStatusLabel(unit.status)}
               </span>
+              {pathState && (
+                <span className={`rounded px-2 py-0.5 text-xs font-medium ${UNIT_PATH_STATE_BADGE_CLASSES[pathState.state]}`}>
+                  {UNIT_PATH_STATE_LABELS[pathState.state]}
+                </span>
+              )}
             </div>
             <h3 className="mb-2 font-medium text-gray-800 transition-colors group-hover:text-blue-600">{unit.title}</h3>
+            {pathState?.state === UNIT_PATH_STATES.LOCKED && (
+              <p className="mb-2 text-sm text-gray-500">
+                先に学習: {pathState.missingPrerequisites.map((prerequisite) => prerequisite.title).join('、')}
+              </p>
+            )}
 
             <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500">
               <span className="flex items-center gap-1">
@@ -120,8 +135,10 @@ export default function SubjectDetail() {
   const { user, isAuthenticated } = useAuth();
   const [units, setUnits] = useState([]);
   const [progressByUnit, setProgressByUnit] = useState({});
+  const [pathStates, setPathStates] = useState({});
   const [loading, setLoading] = useState(true);
 
+  const { loaded: subjectsLoaded, getSubjectById } = useSubjectCatalogue();
   const subject = getSubjectById(subjectId);
 
   useEffect(() => {
@@ -132,25 +149,28 @@ export default function SubjectDetail() {
     async function load() {
       setLoading(true);
       try {
-        const unitsRes = await fetch(`/api/content/units?subjectId=${encodeURIComponent(subjectId)}`);
+        const unitsRes = await authFetch(`/api/content/units?subjectId=${encodeURIComponent(subjectId)}`);
         const unitsData = await unitsRes.json();
         if (unitsRes.ok && unitsData.success) {
           setUnits(unitsData.units);
         }
 
         if (isAuthenticated) {
-          const token = localStorage.getItem('token');
-          const progressRes = await fetch('/api/user/progress', {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          });
+          const [progressRes, pathRes] = await Promise.all([
+            authFetch('/api/user/progress'),
+            authFetch('/api/user/learning-path'),
+          ]);
           const progressData = await progressRes.json();
           if (progressRes.ok && progressData.success) {
             setProgressByUnit(progressData.byUnit || {});
           }
+          const pathData = await pathRes.json();
+          if (pathRes.ok && pathData.success) {
+            setPathStates(pathData.states || {});
+          }
         } else {
           setProgressByUnit({});
+          setPathStates({});
         }
       } finally {
         setLoading(false);
@@ -173,7 +193,8 @@ export default function SubjectDetail() {
     };
   }, [units, progressByUnit]);
 
-  if (loading || !subjectId) {
+  // 管理画面で追加した科目は、保存された科目データを読み込むまで見つからない
+  if (loading || !subjectId || (!subject && !subjectsLoaded)) {
     return (
       <div className="flex min-h-screen items-center justify-center bg-gray-50">
         <div className="h-12 w-12 animate-spin rounded-full border-b-2 border-blue-600" />
@@ -199,7 +220,7 @@ export default function SubjectDetail() {
     );
   }
 
-  const Icon = subject.icon;
+  const Icon = getSubjectIcon(subject.icon);
   const premium = hasPremiumAccess(user);
 
   return (
@@ -285,6 +306,7 @@ export default function SubjectDetail() {
                       subjectId={subjectId}
                       index={index}
                       progress={progressByUnit[unit.id]}
+                      pathState={pathStates[unit.id] || null}
                       isLocked={unit.accessLevel === 'premium' && !premium}
                     />
                   ))}
@@ -307,6 +329,7 @@ export default function SubjectDetail() {
                       subjectId={subjectId}
                       index={lectureUnits.length + index}
                       progress={progressByUnit[unit.id]}
+                      pathState={pathStates[unit.id] || null}
                       isLocked={unit.accessLevel === 'premium' && !premium}
                     />
                   ))}
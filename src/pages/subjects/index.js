@@ -3,8 +3,10 @@ import Link from 'next/link';
 import { useEffect, useState } from 'react';
 import Header from '@/shared/layout/Header';
 import Footer from '@/shared/layout/Footer';
-import { subjects } from '@/features/content/lib/subjects';
+import { getSubjectIcon } from '@/features/content/lib/subjectIcons';
+import { useSubjectCatalogue } from '@/features/content/context/SubjectCatalogueContext';
 import { useAuth } from '@/features/auth/context/AuthContext';
+import { authFetch } from '@/features/auth/lib/authFetch';
 import {
   Clock,
   BookOpen,
@@ -15,7 +17,7 @@ import {
 
 // Subject Card Component
 function SubjectCard({ subject, progress }) {
-  const Icon = subject.icon;
+  const Icon = getSubjectIcon(subject.icon);
   const totalUnits = subject.units?.length || 0;
   const lectureUnits = subject.units?.filter(u => u.type === 'lecture').length || 0;
   const practiceUnits = subject.units?.filter(u => u.type === 'practice').length || 0;
@@ -119,6 +121,7 @@ function StatsCard({ icon: Icon, label, value, color }) {
 
 export default function SubjectsPage() {
   const { isAuthenticated } = useAuth();
+  const { subjects } = useSubjectCatalogue();
   const [overallCompletionRate, setOverallCompletionRate] = useState(0);
   const [progressBySubject, setProgressBySubject] = useState({});
 
@@ -129,12 +132,7 @@ export default function SubjectsPage() {
         return;
       }
 
-      const token = localStorage.getItem('token');
-      const res = await fetch('/api/user/progress', {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      const res = await authFetch('/api/user/progress');
       const data = await res.json();
       if (res.ok && data.success) {
         setOverallCompletionRate(data.overall?.completionRate || 0);
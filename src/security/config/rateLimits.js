@@ -111,6 +111,36 @@ const RATE_LIMITS = {
     standardHeaders: true,
     legacyHeaders: false,
     skip: () => false
+  },
+
+  // Resending the email verification link
+  EMAIL_VERIFICATION_RESEND: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: isDevelopment ? 10 : 3, // Maximum 3 verification emails per hour
+    message: {
+      error: '確認メールの再送回数の制限を超えました。1時間後に再度お試しください。',
+      code: 'EMAIL_VERIFICATION_RATE_LIMIT_EXCEEDED',
+      retryAfter: 60 * 60,
+      details: '確認メールの再送は1時間に3回までに制限されています。'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => false
+  },
+
+  // Two-factor code attempts (login second step and settings)
+  TWO_FACTOR_VERIFICATION: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: isDevelopment ? 20 : 5, // Maximum 5 code attempts per 15 minutes
+    message: {
+      error: '確認コードの入力回数の制限を超えました。15分後に再度お試しください。',
+      code: 'TWO_FACTOR_RATE_LIMIT_EXCEEDED',
+      retryAfter: 15 * 60,
+      details: 'セキュリティのため、確認コードの入力は15分間に5回までに制限されています。'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => false
   }
 };
 
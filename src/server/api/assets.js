@@ -1,10 +1,17 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import contentRepository from '@/server/repositories/contentRepository';
+import {
+  ASSET_TYPES,
+  buildAssetUrl,
+  getAssetDirectory,
+  getLegacyAssetDirectory,
+  parseAssetUrl,
+} from '@/server/storage/assets';
 
-const PUBLIC_DIR = path.join(process.cwd(), 'public');
-const AUDIO_DIR = path.join(PUBLIC_DIR, 'audio');
-const PDF_DIR = path.join(PUBLIC_DIR, 'pdf');
+const SIGNING_SECRET = process.env.ASSET_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+export const SIGNED_URL_TTL_SECONDS = 10 * 60;
 
 function ensureDirectory(directory) {
   if (!fs.existsSync(directory)) {
@@ -21,7 +28,8 @@ export function saveAsset(file, type, unitId) {
     return null;
   }
 
-  const targetDirectory = type === 'audio' ? AUDIO_DIR : PDF_DIR;
+  const assetType = type === 'audio' ? 'audio' : 'pdf';
+  const targetDirectory = getAssetDirectory(assetType);
   ensureDirectory(targetDirectory);
 
   const extension = path.extname(file.originalFilename || file.newFilename || '');
@@ -29,19 +37,65 @@ export function saveAsset(file, type, unitId) {
   const targetPath = path.join(targetDirectory, safeName);
   fs.copyFileSync(file.filepath, targetPath);
 
-  return `${type === 'audio' ? '/audio' : '/pdf'}/${safeName}`;
+  return buildAssetUrl(assetType, safeName);
 }
 
-export function deletePublicAsset(assetPath) {
-  if (!assetPath) {
+export function deleteAsset(assetUrl) {
+  const parsed = parseAssetUrl(assetUrl);
+  if (!parsed) {
     return;
   }
 
-  const normalized = assetPath.replace(/^\//, '');
-  const resolvedPath = path.join(PUBLIC_DIR, normalized);
-  if (resolvedPath.startsWith(PUBLIC_DIR) && fs.existsSync(resolvedPath)) {
-    fs.unlinkSync(resolvedPath);
+  [getAssetDirectory(parsed.type), getLegacyAssetDirectory(parsed.type)].forEach((directory) => {
+    const filePath = path.join(directory, parsed.fileName);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+// 音声・PDF の URL から、その資料を持つ単元を探す（下書きも含む）
+export function findAssetOwner(assetUrl) {
+  const parsed = parseAssetUrl(assetUrl);
+  if (!parsed) {
+    return null;
+  }
+
+  const target = buildAssetUrl(parsed.type, parsed.fileName);
+  return contentRepository.listUnits({}, { includeDraft: true }).units
+    .find((unit) => unit.audioUrl === target || unit.pdfUrl === target) || null;
+}
+
+function signAssetPath(assetPath, expires) {
+  return crypto
+    .createHmac('sha256', SIGNING_SECRET)
+    .update(`${assetPath}:${expires}`)
+    .digest('base64url');
+}
+
+// 閲覧権限を確認した後にだけ発行する。期限が切れたら単元 API から取り直す
+export function createSignedAssetUrl(assetUrl, { ttlSeconds = SIGNED_URL_TTL_SECONDS, now = Date.now() } = {}) {
+  const parsed = parseAssetUrl(assetUrl);
+  if (!parsed) {
+    return assetUrl || null;
   }
+
+  const assetPath = buildAssetUrl(parsed.type, parsed.fileName);
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const signature = signAssetPath(assetPath, expires);
+  return `${assetPath}?expires=${expires}&signature=${signature}`;
+}
+
+export function verifyAssetSignature(assetUrl, expires, signature, now = Date.now()) {
+  const parsed = parseAssetUrl(assetUrl);
+  const expiresAt = Number(expires);
+  if (!parsed || !signature || !Number.isInteger(expiresAt) || expiresAt * 1000 < now) {
+    return false;
+  }
+
+  const expected = Buffer.from(signAssetPath(buildAssetUrl(parsed.type, parsed.fileName), expiresAt));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 }
 
 export function listUploadedAssets() {
@@ -57,30 +111,38 @@ export function listUploadedAssets() {
     }
   });
 
-  return ['/audio', '/pdf']
-    .flatMap((routePrefix) => {
-      const directory = path.join(PUBLIC_DIR, routePrefix.replace(/^\//, ''));
-      if (!fs.existsSync(directory)) {
-        return [];
+  const seen = new Set();
+
+  return ASSET_TYPES
+    .flatMap((type) => [getAssetDirectory(type), getLegacyAssetDirectory(type)]
+      .filter((directory) => fs.existsSync(directory))
+      .flatMap((directory) => fs.readdirSync(directory)
+        .filter((fileName) => !fileName.startsWith('.'))
+        .map((fileName) => ({ type, directory, fileName }))))
+    .filter(({ type, fileName }) => {
+      const key = buildAssetUrl(type, fileName);
+      if (seen.has(key)) {
+        return false;
       }
+      seen.add(key);
+      return true;
+    })
+    .map(({ type, directory, fileName }) => {
+      const assetUrl = buildAssetUrl(type, fileName);
+      const stats = fs.statSync(path.join(directory, fileName));
+      const linked = unitsByAsset.get(assetUrl);
 
-      return fs.readdirSync(directory).map((fileName) => {
-        const absolutePath = path.join(directory, fileName);
-        const relativePath = `${routePrefix}/${fileName}`;
-        const stats = fs.statSync(absolutePath);
-        const linked = unitsByAsset.get(relativePath);
-
-        return {
-          id: relativePath,
-          name: fileName,
-          path: relativePath,
-          type: routePrefix === '/audio' ? 'audio' : 'pdf',
-          size: stats.size,
-          updatedAt: stats.mtime.toISOString(),
-          unitId: linked?.unitId || null,
-          unitTitle: linked?.title || null,
-        };
-      });
+      return {
+        id: assetUrl,
+        name: fileName,
+        path: assetUrl,
+        type,
+        size: stats.size,
+        updatedAt: stats.mtime.toISOString(),
+        unitId: linked?.unitId || null,
+        unitTitle: linked?.title || null,
+        legacyPublic: directory === getLegacyAssetDirectory(type),
+      };
     })
     .sort((left, right) => new Date(right.updatedAt) - new Date(left.updatedAt));
 }
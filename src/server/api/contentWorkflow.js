@@ -0,0 +1,44 @@
+import reviewRepository from '@/server/repositories/reviewRepository';
+import userRepository from '@/server/repositories/userRepository';
+import { assertPermission } from '@/features/auth/server/authorization';
+import { PERMISSIONS, hasPermission } from '@/shared/lib/permissions';
+import { CONTENT_STATUSES, getStatusPermission, validateStatusChange } from '@/features/content/lib/editorialWorkflow';
+
+/**
+ * 単元の状態の変更を確かめる。許されなければ 400 / 403 を返して false を返す。
+ * 移る先の状態ごとの権限に加え、担当者が決まっている単元の承認は担当者（か公開権限を持つ人）に限る。
+ */
+export function assertStatusChange(req, res, { unitId, from, to, publishAt }) {
+  const error = validateStatusChange({ from, to, publishAt });
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error,
+    });
+    return false;
+  }
+
+  if (!assertPermission(req, res, getStatusPermission(to))) {
+    return false;
+  }
+
+  if (unitId && from !== to && to === CONTENT_STATUSES.APPROVED && !hasPermission(req.user, PERMISSIONS.CONTENT_PUBLISH)) {
+    const assignment = reviewRepository.getAssignment(unitId);
+    if (assignment && assignment.reviewer.id !== String(req.user.userId)) {
+      res.status(403).json({
+        success: false,
+        error: 'この単元の承認は担当のレビュアーが行います',
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// レビュー担当者に選べるユーザー（承認の権限を持つ有効なユーザー）
+export function listReviewers() {
+  return userRepository.listUsers()
+    .filter((user) => (!user.status || user.status === 'active') && hasPermission(user, PERMISSIONS.CONTENT_REVIEW))
+    .map((user) => ({ id: user.id, name: user.name || user.email }));
+}
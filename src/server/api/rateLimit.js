@@ -0,0 +1,28 @@
+import rateLimitRepository from '@/server/repositories/rateLimitRepository';
+import { PROXY_CONFIG, RATE_LIMITS } from '@/security/config/rateLimits';
+
+/**
+ * security/config/rateLimits.js の RATE_LIMITS[configName]（windowMs・max・message）で回数を制限する。
+ * 送信元の IP アドレスと keys（メールアドレスなど、ほかに数えたいもの）ごとに数え、
+ * どれかが上限に達していれば 429 を返して false を返す（呼び出し側はそのまま終わる）。
+ */
+export function enforceRateLimit(req, res, configName, keys = []) {
+  const config = RATE_LIMITS[configName];
+  const limitKeys = [`ip:${PROXY_CONFIG.keyGenerator(req)}`, ...keys];
+
+  for (const key of limitKeys) {
+    const { allowed, retryAfter } = rateLimitRepository.hit(configName, key, config);
+    if (!allowed) {
+      res.setHeader('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: config.message.error,
+        code: config.message.code,
+        retryAfter
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
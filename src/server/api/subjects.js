@@ -0,0 +1,20 @@
+import contentRepository from '@/server/repositories/contentRepository';
+import subjectRepository from '@/server/repositories/subjectRepository';
+
+// 管理画面の科目一覧。units は科目に属する単元（下書きや科目データに載っていない単元も含む）を並び順どおりに返す
+export function buildAdminSubjects() {
+  const units = contentRepository.listUnits({}, { includeDraft: true }).units;
+
+  return subjectRepository.listSubjects().map((subject) => ({
+    ...subject,
+    units: units
+      .filter((unit) => unit.subjectId === subject.id)
+      .map((unit) => ({
+        id: unit.id,
+        title: unit.title,
+        type: unit.type,
+        difficulty: unit.difficulty,
+        status: unit.status,
+      })),
+  }));
+}
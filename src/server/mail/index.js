@@ -0,0 +1,66 @@
+import { buildMailMessage } from '@/server/mail/message';
+import { OutboxMailTransport } from '@/server/mail/outboxTransport';
+import { SmtpMailTransport } from '@/server/mail/smtpTransport';
+
+export const MAIL_TRANSPORTS = {
+  OUTBOX: 'outbox',
+  SMTP: 'smtp',
+};
+
+const DEFAULT_FROM_ADDRESS = 'no-reply@localhost';
+const DEFAULT_FROM_NAME = '行政書士試験対策';
+
+function resolveTransport(transport) {
+  const resolvedTransport = transport || MAIL_TRANSPORTS.OUTBOX;
+  if (!Object.values(MAIL_TRANSPORTS).includes(resolvedTransport)) {
+    throw new Error(`未対応の MAIL_TRANSPORT です: ${resolvedTransport}`);
+  }
+
+  return resolvedTransport;
+}
+
+class Mailer {
+  constructor(transport, { fromAddress, fromName }) {
+    this.transport = transport;
+    this.from = { address: fromAddress, name: fromName };
+  }
+
+  // text はプレーンテキストの本文。宛先や件名に改行を含むもの（ヘッダーの差し込み）は送らない
+  async send({ to, subject, text }) {
+    if (/[\r\n]/.test(`${to}${subject}`) || !/^[^\s@<>]+@[^\s@<>]+$/.test(to)) {
+      throw new Error('メールの宛先または件名が不正です');
+    }
+
+    const raw = buildMailMessage({ from: this.from, to, subject, text });
+    return this.transport.send({ from: this.from.address, to, raw });
+  }
+}
+
+/**
+ * メールを送る Mailer を生成する。MAIL_TRANSPORT で送り方を選ぶ。
+ *
+ * - outbox（既定）: 送らずに MAIL_OUTBOX_PATH（既定は data/outbox）へ .eml として保存する（開発用）
+ * - smtp: SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS のサーバーから送る
+ *
+ * どの Mailer も send({ to, subject, text }) を持つ。差出人は MAIL_FROM / MAIL_FROM_NAME。
+ */
+export function createMailer({ transport = process.env.MAIL_TRANSPORT } = {}) {
+  const mailTransport = resolveTransport(transport) === MAIL_TRANSPORTS.SMTP
+    ? new SmtpMailTransport()
+    : new OutboxMailTransport();
+
+  return new Mailer(mailTransport, {
+    fromAddress: process.env.MAIL_FROM || DEFAULT_FROM_ADDRESS,
+    fromName: process.env.MAIL_FROM_NAME || DEFAULT_FROM_NAME,
+  });
+}
+
+let mailer = null;
+
+export function getMailer() {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+
+  return mailer;
+}
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// 日本語を含むヘッダーは MIME の encoded-word（UTF-8 / Base64）にする
+export function encodeHeaderValue(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+export function formatAddress(address, name) {
+  return name ? `${encodeHeaderValue(name)} <${address}>` : address;
+}
+
+/**
+ * テキストのメール1通分（RFC 5322）。本文は UTF-8 を Base64 にして76文字ごとに折り返す。
+ */
+export function buildMailMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = from.address.split('@')[1] || 'localhost';
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+  return [
+    `From: ${formatAddress(from.address, from.name)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_OUTBOX_PATH = 'data/outbox';
+
+/**
+ * 送らずに MAIL_OUTBOX_PATH へ .eml として保存する開発用のトランスポート。
+ * 保存したファイルはメールソフトで開くか、そのまま読んでリンクを確かめられる。
+ */
+export class OutboxMailTransport {
+  constructor({ directory = process.env.MAIL_OUTBOX_PATH || DEFAULT_OUTBOX_PATH } = {}) {
+    this.directory = path.resolve(process.cwd(), directory);
+  }
+
+  async send({ to, raw }) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+    const filePath = path.join(this.directory, fileName);
+    fs.writeFileSync(filePath, raw);
+    console.info(`Mail to ${to} saved to outbox: ${filePath}`);
+
+    return { id: fileName };
+  }
+}
@@ -0,0 +1,189 @@
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_SMTP_PORT = 587;
+
+/**
+ * SMTP の1回の接続。応答（複数行を含む）を1つずつ順に読み、STARTTLS で TLS に切り替えられる。
+ */
+class SmtpConnection {
+  constructor(host) {
+    this.host = host;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+  }
+
+  attach(socket) {
+    // STARTTLS で TLS に包み直すので、ソケットには文字コードを設定しない（応答は ASCII）
+    this.socket = socket;
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP サーバーの応答がありません')));
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP サーバーとの接続が切れました')));
+  }
+
+  async connect({ port, secure }) {
+    const socket = secure
+      ? tls.connect({ host: this.host, port, servername: this.host })
+      : net.connect({ host: this.host, port });
+    this.attach(socket);
+    await this.expect([220]);
+  }
+
+  async startTls() {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+
+    const secured = tls.connect({ socket: plain, servername: this.host });
+    await new Promise((resolve, reject) => {
+      secured.once('secureConnect', resolve);
+      secured.once('error', reject);
+    });
+    this.attach(secured);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let index = this.buffer.indexOf('\r\n');
+    while (index !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line.slice(4));
+
+      // "250-..." は続きがあり、"250 ..." で1つの応答が終わる
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) {
+          waiter.resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+      index = this.buffer.indexOf('\r\n');
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.waiters.splice(0).forEach((waiter) => waiter.reject(this.error));
+  }
+
+  read() {
+    if (this.replies.length) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  async expect(codes, command = '接続') {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP サーバーが ${command} を受け付けませんでした: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  // label はエラーに出す名前（認証情報をエラーに含めないため）
+  async command(line, codes, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, label);
+  }
+
+  close() {
+    this.socket?.end();
+  }
+}
+
+function hasExtension(reply, name) {
+  return reply.lines.some((line) => line.toUpperCase().split(' ')[0] === name);
+}
+
+function supportsAuth(reply, mechanism) {
+  return reply.lines.some((line) => /^AUTH[ =]/i.test(line) && line.toUpperCase().split(/[ =]/).includes(mechanism));
+}
+
+// 本文中の "." で始まる行は "." を重ねる（"." だけの行がデータの終わりのため）
+function toDataBlock(raw) {
+  return `${raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..').replace(/\r\n$/, '')}\r\n.`;
+}
+
+/**
+ * SMTP でメールを送るトランスポート。SMTP_SECURE=true なら最初から TLS（465 番）、
+ * そうでなければ STARTTLS が使えるときに TLS へ切り替える。SMTP_USER があれば AUTH PLAIN / LOGIN で認証する
+ * （TLS でない接続では認証情報を送らない）。
+ */
+export class SmtpMailTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    password = process.env.SMTP_PASS,
+  } = {}) {
+    if (!host) {
+      throw new Error('MAIL_TRANSPORT=smtp には SMTP_HOST の設定が必要です');
+    }
+
+    Object.assign(this, { host, port, secure, user, password });
+  }
+
+  async authenticate(connection, ehlo) {
+    if (supportsAuth(ehlo, 'PLAIN')) {
+      const credentials = Buffer.from(`\0${this.user}\0${this.password}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      return;
+    }
+
+    await connection.command('AUTH LOGIN', [334]);
+    await connection.command(Buffer.from(this.user, 'utf8').toString('base64'), [334], 'AUTH LOGIN');
+    await connection.command(Buffer.from(this.password || '', 'utf8').toString('base64'), [235], 'AUTH LOGIN');
+  }
+
+  async send({ from, to, raw }) {
+    const connection = new SmtpConnection(this.host);
+    try {
+      await connection.connect({ port: this.port, secure: this.secure });
+      let ehlo = await connection.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+      let encrypted = this.secure;
+
+      if (!encrypted && hasExtension(ehlo, 'STARTTLS')) {
+        await connection.command('STARTTLS', [220]);
+        await connection.startTls();
+        encrypted = true;
+        ehlo = await connection.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+      }
+
+      if (this.user) {
+        if (!encrypted) {
+          throw new Error('SMTP サーバーが TLS に対応していないため、認証情報を送れません');
+        }
+        await this.authenticate(connection, ehlo);
+      }
+
+      await connection.command(`MAIL FROM:<${from}>`, [250]);
+      await connection.command(`RCPT TO:<${to}>`, [250, 251]);
+      await connection.command('DATA', [354]);
+      const accepted = await connection.command(toDataBlock(raw), [250], 'DATA');
+      await connection.command('QUIT', [221]).catch(() => null);
+
+      return { id: accepted.lines.join(' ') };
+    } finally {
+      connection.close();
+    }
+  }
+}
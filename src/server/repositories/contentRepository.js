@@ -1,104 +1,47 @@
-import fs from 'fs';
-import path from 'path';
-import { subjects, getSubjectById } from '@/features/content/lib/subjects';
-import { CONTENT_HTML_TEMPLATE, CONTENT_MARKDOWN_TEMPLATE } from '@/features/content/lib/contentMetadata';
-import { parseHtmlContentDocument } from '@/features/content/lib/htmlUtils';
-import { extractMarkdownSections, extractMarkdownSummary } from '@/features/content/lib/markdownUtils';
-
-const CONTENT_DIR = path.join(process.cwd(), 'content', 'units');
-
-function ensureDirectory() {
-  if (!fs.existsSync(CONTENT_DIR)) {
-    fs.mkdirSync(CONTENT_DIR, { recursive: true });
-  }
-}
-
-function getMarkdownPath(id) {
-  return path.join(CONTENT_DIR, `${id}.md`);
-}
-
-function getMetaPath(id) {
-  return path.join(CONTENT_DIR, `${id}.meta.json`);
-}
-
-function getHtmlPath(id) {
-  return path.join(CONTENT_DIR, `${id}.html`);
-}
-
-function readJsonIfExists(filePath) {
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
-
-  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-}
-
-function readTextIfExists(filePath) {
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
-
-  return fs.readFileSync(filePath, 'utf8');
-}
-
-function buildDefaultMarkdown(unit) {
-  return CONTENT_MARKDOWN_TEMPLATE.replace('# タイトル', `# ${unit.title}`);
-}
-
-function buildDefaultHtml(unit) {
-  return CONTENT_HTML_TEMPLATE.replace('<title>タイトル</title>', `<title>${unit.title}</title>`);
-}
-
+import { createContentStore } from '@/server/storage/content';
+import { buildDefaultBody, buildNewUnitDefaults, mergeUnitMeta, parseUnitBody } from '@/server/storage/content/unitDocument';
+import { toAssetUrl } from '@/server/storage/assets';
+import { ValidationError } from '@/server/repositories/errors';
+import subjectRepository from '@/server/repositories/subjectRepository';
+import glossaryRepository from '@/server/repositories/glossaryRepository';
+import searchIndexRepository from '@/server/repositories/searchIndexRepository';
+import noteRepository from '@/server/repositories/noteRepository';
+import revisionRepository, { REVISION_ACTIONS } from '@/server/repositories/revisionRepository';
+import reviewRepository from '@/server/repositories/reviewRepository';
+import { CONTENT_STATUSES, normalizePublishAt, resolveUnitStatus } from '@/features/content/lib/editorialWorkflow';
+import { normalizeLawDate, normalizeLawVersion, normalizeSectionLawVersions } from '@/features/statutes/lib/amendments';
+import { buildPrerequisiteGraph, findPrerequisiteCycles, formatPrerequisiteCycle, normalizePrerequisites } from '@/features/content/lib/prerequisites';
+import { parseSearchQuery } from '@/features/search/lib/searchText';
+import { buildSearchFacets, getSectionKeys, matchesSearchFilters, rankSearchHits } from '@/features/search/lib/searchRanking';
+
+// 旧形式の /audio/... や /pdf/... も配信ルート経由の URL にそろえる
 function normalizeAssetPath(assetPath) {
   if (!assetPath) {
     return null;
   }
 
-  return assetPath.startsWith('/') ? assetPath : `/${assetPath.replace(/\\/g, '/')}`;
+  return toAssetUrl(assetPath.startsWith('/') ? assetPath : `/${assetPath.replace(/\\/g, '/')}`);
 }
 
-function getSeedAccessLevel(unit, index) {
-  if (unit.type === 'practice') {
-    return 'premium';
-  }
-
-  if (index < 2 || unit.difficulty === 'beginner') {
-    return 'free';
-  }
-
-  return 'premium';
-}
-
-function getSeedEstimatedTime(unit) {
-  if (unit.type === 'practice') {
-    return 20;
-  }
-
-  if (unit.difficulty === 'advanced') {
-    return 45;
-  }
-
-  if (unit.difficulty === 'intermediate') {
-    return 35;
-  }
-
-  return 25;
-}
-
-function buildSeedMap() {
-  const map = new Map();
+// 科目データに載っている単元。未保存の単元は、保存されるまでこの内容（公開中・既定の本文）で表示する
+function buildSeedMap(subjects, map = new Map()) {
+  map.clear();
 
   subjects.forEach((subject) => {
-    subject.units.forEach((unit, index) => {
+    (subject.units || []).forEach((unit) => {
       map.set(unit.id, {
         id: unit.id,
         title: unit.title,
         subjectId: subject.id,
         difficulty: unit.difficulty,
         type: unit.type,
-        estimatedTime: getSeedEstimatedTime(unit),
-        accessLevel: getSeedAccessLevel(unit, index),
+        estimatedTime: unit.estimatedTime || 30,
+        accessLevel: unit.accessLevel || 'free',
         status: 'published',
+        lawVersion: unit.lawVersion || null,
+        effectiveFrom: unit.effectiveFrom || null,
+        sectionLawVersions: [],
+        prerequisites: unit.prerequisites || [],
         hasAudio: false,
         hasPdf: false,
         audioUrl: null,
@@ -112,78 +55,48 @@ function buildSeedMap() {
   return map;
 }
 
-function sortUnits(units) {
-  return [...units].sort((left, right) =>
-    String(left.id).localeCompare(String(right.id), 'ja', { numeric: true })
-  );
-}
-
 class ContentRepository {
-  constructor() {
-    ensureDirectory();
-    this.seedMap = buildSeedMap();
+  constructor(store) {
+    this.seedMap = buildSeedMap(subjectRepository.listSubjects());
+    this.store = store || createContentStore({ seeds: this.seedMap });
+    this.store.setUnitOrder(subjectRepository.getUnitOrder());
+    // ストアは seedMap を参照で持っているので、中身を入れ替えてから反映させる
+    subjectRepository.onChange((subjects) => {
+      buildSeedMap(subjects, this.seedMap);
+      this.store.syncSeeds();
+      this.store.setUnitOrder(subjectRepository.getUnitOrder());
+    });
   }
 
   getAllUnitIds() {
-    ensureDirectory();
-    const ids = new Set(this.seedMap.keys());
-
-    fs.readdirSync(CONTENT_DIR).forEach((fileName) => {
-      if (fileName.endsWith('.meta.json')) {
-        ids.add(fileName.replace(/\.meta\.json$/, ''));
-      }
-    });
-
-    return [...ids];
+    return this.store.listUnitIds();
   }
 
   buildUnitRecord(id) {
-    const seed = this.seedMap.get(id) || {
-      id,
-      title: `新規単元 ${id}`,
-      subjectId: subjects[0]?.id || '',
-      difficulty: 'beginner',
-      type: 'lecture',
-      estimatedTime: 30,
-      accessLevel: 'free',
-      status: 'draft',
-      hasAudio: false,
-      hasPdf: false,
-      audioUrl: null,
-      pdfUrl: null,
-      createdAt: null,
-      updatedAt: null,
-    };
+    const stored = this.store.readUnit(id);
+    const record = stored?.record || mergeUnitMeta(id, null, buildNewUnitDefaults(id));
+    const rawContent = stored?.body ?? buildDefaultBody(record);
 
-    const meta = readJsonIfExists(getMetaPath(id));
-    const contentFormat = meta?.contentFormat === 'html' ? 'html' : 'markdown';
-    const rawContent = contentFormat === 'html'
-      ? ((meta ? readTextIfExists(getHtmlPath(id)) : null) ?? buildDefaultHtml({ ...seed, ...(meta || {}) }))
-      : ((meta ? meta.markdown ?? readTextIfExists(getMarkdownPath(id)) : null) ?? buildDefaultMarkdown({ ...seed, ...(meta || {}) }));
+    const unit = this.toUnitSummary(record);
+    unit.content = parseUnitBody(unit.contentFormat, rawContent);
+    return unit;
+  }
+
+  // 本文の生データ（未保存の単元は null）。本文から派生データを作る機能が解析結果をキャッシュするのに使う
+  getUnitBody(id) {
+    return this.store.readUnit(id)?.body ?? null;
+  }
 
+  toUnitSummary(record) {
     const unit = {
-      ...seed,
-      ...(meta || {}),
-      id,
-      contentFormat,
-      audioUrl: normalizeAssetPath(meta?.audioUrl || seed.audioUrl),
-      pdfUrl: normalizeAssetPath(meta?.pdfUrl || seed.pdfUrl),
+      ...record,
+      status: resolveUnitStatus(record),
+      audioUrl: normalizeAssetPath(record.audioUrl),
+      pdfUrl: normalizeAssetPath(record.pdfUrl),
     };
 
     unit.hasAudio = Boolean(unit.audioUrl || unit.hasAudio);
     unit.hasPdf = Boolean(unit.pdfUrl || unit.hasPdf);
-    unit.content = contentFormat === 'html'
-      ? {
-          ...parseHtmlContentDocument(rawContent),
-          raw: rawContent,
-        }
-      : {
-          markdown: rawContent,
-          sections: extractMarkdownSections(rawContent),
-          summary: extractMarkdownSummary(rawContent),
-          raw: rawContent,
-        };
-
     return unit;
   }
 
@@ -197,7 +110,10 @@ class ContentRepository {
       return null;
     }
 
-    const relatedUnits = this.listUnits({ subjectId: unit.subjectId }, { includeDraft: options.includeDraft }).units
+    const relatedUnits = this.listUnits(
+      { subjectId: unit.subjectId },
+      { includeDraft: options.includeDraft, limit: 6 }
+    ).units
       .filter((candidate) => candidate.id !== unit.id)
       .slice(0, 5)
       .map((candidate) => ({
@@ -215,47 +131,33 @@ class ContentRepository {
     };
   }
 
+  // 一覧では本文を解析せず、ストアが保持する summary / sections だけを content に載せる
   listUnits(filters = {}, options = {}) {
     const includeDraft = options.includeDraft ?? false;
     const limit = options.limit ? Number(options.limit) : undefined;
     const page = options.page ? Number(options.page) : 1;
+    const queryFilters = {
+      subjectId: filters.subjectId,
+      type: filters.type,
+      difficulty: filters.difficulty,
+      accessLevel: filters.accessLevel,
+      status: filters.status,
+    };
 
-    let units = this.getAllUnitIds()
-      .map((id) => this.buildUnitRecord(id))
-      .filter(Boolean)
-      .filter((unit) => includeDraft || unit.status === 'published');
-
-    if (filters.subjectId) {
-      units = units.filter((unit) => unit.subjectId === filters.subjectId);
-    }
-
-    if (filters.type) {
-      units = units.filter((unit) => unit.type === filters.type);
-    }
-
-    if (filters.difficulty) {
-      units = units.filter((unit) => unit.difficulty === filters.difficulty);
-    }
-
-    if (filters.accessLevel) {
-      units = units.filter((unit) => unit.accessLevel === filters.accessLevel);
-    }
-
-    if (filters.status) {
-      units = units.filter((unit) => unit.status === filters.status);
-    }
-
-    units = sortUnits(units);
-
-    const total = units.length;
+    const total = this.store.countUnits(queryFilters, { includeDraft });
     const effectiveLimit = limit || total || 1;
     const totalPages = Math.max(1, Math.ceil(total / effectiveLimit));
     const currentPage = Math.min(Math.max(page, 1), totalPages);
-    const start = (currentPage - 1) * effectiveLimit;
-    const pagedUnits = limit ? units.slice(start, start + effectiveLimit) : units;
+    const offset = limit ? (currentPage - 1) * effectiveLimit : 0;
+
+    const units = this.store.findUnits(queryFilters, { includeDraft, limit, offset })
+      .map(({ summary, sections, ...record }) => ({
+        ...this.toUnitSummary(record),
+        content: { summary, sections },
+      }));
 
     return {
-      units: pagedUnits,
+      units,
       pagination: {
         page: currentPage,
         limit: effectiveLimit,
@@ -265,20 +167,49 @@ class ContentRepository {
     };
   }
 
-  searchUnits({ query, type, subjectId, limit = 10 }, options = {}) {
-    const normalizedQuery = query.trim().toLowerCase();
-    return this.listUnits({ type, subjectId }, { includeDraft: options.includeDraft }).units
-      .map((unit) => {
-        const haystack = [unit.title, unit.subjectId, unit.content.summary, unit.markdown].join(' ').toLowerCase();
-        const score = haystack.includes(normalizedQuery)
-          ? (unit.title.toLowerCase().includes(normalizedQuery) ? 3 : 1)
-          : 0;
-        return { unit, score };
-      })
-      .filter((entry) => entry.score > 0)
-      .sort((left, right) => right.score - left.score)
-      .slice(0, Number(limit))
-      .map(({ unit }) => ({
+  // 索引が未作成か、トークン化の変更で古くなっていれば全単元から作り直す
+  ensureSearchIndex() {
+    if (searchIndexRepository.isIndexCurrent()) {
+      return;
+    }
+
+    searchIndexRepository.rebuild(
+      this.listUnits({}, { includeDraft: true }).units.map((unit) => ({
+        id: unit.id,
+        contentFormat: unit.contentFormat,
+        body: this.getUnitBody(unit.id),
+      }))
+    );
+  }
+
+  /**
+   * 本文の全文検索。空白で区切った語をすべて含む単元を BM25 の得点順に返す。
+   * facets は科目・種別・難易度ごとの件数、total は絞り込み後の件数（limit を適用する前）。
+   */
+  searchUnits({ query, type, subjectId, difficulty, limit = 10 }, options = {}) {
+    const filters = { subjectId, type, difficulty };
+    const terms = parseSearchQuery(query);
+    if (!terms.length) {
+      return { units: [], total: 0, facets: buildSearchFacets([], filters) };
+    }
+
+    this.ensureSearchIndex();
+    const units = this.listUnits({}, { includeDraft: options.includeDraft }).units;
+    const unitIds = units.map((unit) => unit.id);
+    const postings = searchIndexRepository.findPostings([...new Set(terms.flatMap((term) => term.tokens))], unitIds);
+    const hits = rankSearchHits({
+      terms,
+      units,
+      sections: searchIndexRepository.getSections(getSectionKeys(postings)),
+      postings,
+      stats: searchIndexRepository.getStats(unitIds),
+    });
+    const matched = hits.filter((hit) => matchesSearchFilters(hit.unit, filters));
+
+    return {
+      total: matched.length,
+      facets: buildSearchFacets(hits, filters),
+      units: matched.slice(0, Number(limit)).map(({ unit, score, sections }) => ({
         id: unit.id,
         title: unit.title,
         subjectId: unit.subjectId,
@@ -289,8 +220,11 @@ class ContentRepository {
         status: unit.status,
         hasAudio: unit.hasAudio,
         hasPdf: unit.hasPdf,
-        snippet: unit.content.summary,
-      }));
+        summary: unit.content.summary,
+        score,
+        sections,
+      })),
+    };
   }
 
   generateUnitId(subjectId) {
@@ -298,13 +232,58 @@ class ContentRepository {
     return `${prefix}-${Date.now()}`;
   }
 
-  saveUnit(input) {
-    ensureDirectory();
+  /**
+   * 前提の単元をそろえる。削除などでなくなった単元は外し、前提をたどって自分に戻る（循環する）なら ValidationError。
+   */
+  resolvePrerequisites(id, title, value) {
+    const units = this.listUnits({}, { includeDraft: true }).units.filter((unit) => unit.id !== id);
+    const titles = new Map(units.map((unit) => [unit.id, unit.title]));
+    const prerequisites = normalizePrerequisites(value, id).filter((prerequisiteId) => titles.has(prerequisiteId));
+    if (!prerequisites.length) {
+      return [];
+    }
+
+    const graph = buildPrerequisiteGraph([...units, { id, prerequisites }]);
+    const cycle = findPrerequisiteCycles(graph).find((candidate) => candidate.includes(id));
+    if (cycle) {
+      titles.set(id, title || 'この単元');
+      throw new ValidationError(`前提の単元が循環しています: ${formatPrerequisiteCycle(cycle, (unitId) => titles.get(unitId))}`);
+    }
+
+    return prerequisites;
+  }
+
+  // 版の履歴を取り始める前に保存されていた本文も戻せるよう、最初の版として記録しておく
+  recordBaselineRevision(id, stored) {
+    if (stored?.body == null || revisionRepository.hasRevisions(id)) {
+      return;
+    }
+
+    revisionRepository.createRevision(id, {
+      action: REVISION_ACTIONS.BASELINE,
+      meta: stored.record,
+      contentFormat: stored.record.contentFormat,
+      body: stored.body,
+    });
+  }
+
+  /**
+   * 単元を保存し、保存した内容を新しい版として記録する。状態が変わったときはレビューの経緯にも残す。
+   * options.author は版に残す保存者（{ id, name }）、revisionAction / sourceRevisionId は版の種類と戻し元、
+   * comment は状態の変更に添えるコメント。lawVersion / effectiveFrom / sectionLawVersions は本文がいつの法令に基づくか（法改正の影響の判定に使う）。
+   * prerequisites は先に学習しておくべき単元の ID（循環すると ValidationError）。
+   */
+  saveUnit(input, options = {}) {
     const now = new Date().toISOString();
     const id = input.id || this.generateUnitId(input.subjectId);
-    const existing = readJsonIfExists(getMetaPath(id));
-    const subject = getSubjectById(input.subjectId);
+    const stored = this.store.readUnit(id);
+    const existing = stored?.record;
+    const subject = subjectRepository.getSubject(input.subjectId);
+    if (!subject) {
+      throw new ValidationError('科目が見つかりません');
+    }
     const contentFormat = input.contentFormat === 'html' ? 'html' : 'markdown';
+    const status = input.status || CONTENT_STATUSES.DRAFT;
 
     const meta = {
       id,
@@ -314,7 +293,12 @@ class ContentRepository {
       difficulty: input.difficulty,
       estimatedTime: Number(input.estimatedTime) || 30,
       accessLevel: input.accessLevel || 'free',
-      status: input.status || 'draft',
+      status,
+      publishAt: status === CONTENT_STATUSES.SCHEDULED ? normalizePublishAt(input.publishAt) : null,
+      lawVersion: normalizeLawVersion(input.lawVersion),
+      effectiveFrom: normalizeLawDate(input.effectiveFrom),
+      sectionLawVersions: normalizeSectionLawVersions(input.sectionLawVersions),
+      prerequisites: this.resolvePrerequisites(id, input.title, input.prerequisites),
       contentFormat,
       audioUrl: normalizeAssetPath(input.audioUrl),
       pdfUrl: normalizeAssetPath(input.pdfUrl),
@@ -325,39 +309,137 @@ class ContentRepository {
       subjectName: subject?.name || null,
     };
 
-    fs.writeFileSync(getMetaPath(id), JSON.stringify(meta, null, 2));
-    if (contentFormat === 'html') {
-      fs.writeFileSync(getHtmlPath(id), input.content || input.html || buildDefaultHtml(meta));
-      if (fs.existsSync(getMarkdownPath(id))) {
-        fs.unlinkSync(getMarkdownPath(id));
-      }
-    } else {
-      fs.writeFileSync(getMarkdownPath(id), input.content || input.markdown || buildDefaultMarkdown(meta));
-      if (fs.existsSync(getHtmlPath(id))) {
-        fs.unlinkSync(getHtmlPath(id));
-      }
-    }
+    const body = contentFormat === 'html'
+      ? input.content || input.html || buildDefaultBody(meta)
+      : input.content || input.markdown || buildDefaultBody(meta);
 
+    this.recordBaselineRevision(id, stored);
+    this.store.writeUnit(meta, body);
+    subjectRepository.upsertUnitEntry(subject.id, meta);
+    revisionRepository.createRevision(id, {
+      action: options.revisionAction || REVISION_ACTIONS.SAVE,
+      meta,
+      contentFormat,
+      body,
+      author: options.author,
+      sourceRevisionId: options.sourceRevisionId,
+    });
+    const previousStatus = existing ? resolveUnitStatus(existing) : null;
+    if (previousStatus !== status) {
+      reviewRepository.addComment(id, {
+        author: options.author,
+        body: options.comment,
+        fromStatus: previousStatus,
+        toStatus: status,
+      });
+    }
+    glossaryRepository.indexUnit(id, { contentFormat, body });
+    searchIndexRepository.indexUnit(id, { contentFormat, body });
+    noteRepository.reanchorUnit(id, { contentFormat, body });
     return this.getUnit(id, { includeDraft: true });
   }
 
-  deleteUnit(id) {
-    const markdownPath = getMarkdownPath(id);
-    const htmlPath = getHtmlPath(id);
-    const metaPath = getMetaPath(id);
-
-    if (fs.existsSync(markdownPath)) {
-      fs.unlinkSync(markdownPath);
+  /**
+   * 版を指定して単元を戻す。削除済みの単元なら復元する。
+   * 音声・PDF は版で管理していないので、今の添付を引き継ぐ（削除済みの単元は添付なしで戻る）。
+   */
+  rollbackUnit(id, revisionId, options = {}) {
+    const revision = revisionRepository.findRevision(id, revisionId);
+    if (!revision) {
+      return null;
     }
 
-    if (fs.existsSync(htmlPath)) {
-      fs.unlinkSync(htmlPath);
+    const deleted = Boolean(revisionRepository.findDeletion(id));
+    const current = deleted ? null : this.store.readUnit(id)?.record;
+
+    return this.saveUnit({
+      ...revision.meta,
+      id: String(id),
+      contentFormat: revision.contentFormat,
+      content: revision.body,
+      audioUrl: current?.audioUrl || null,
+      pdfUrl: current?.pdfUrl || null,
+    }, {
+      author: options.author,
+      revisionAction: deleted ? REVISION_ACTIONS.RESTORE : REVISION_ACTIONS.ROLLBACK,
+      sourceRevisionId: revision.id,
+    });
+  }
+
+  // 本文は変えずに状態（と公開予約の日時）だけを変える。変更は版にも残す（options.comment は経緯に添えるコメント）
+  changeUnitStatus(id, { status, publishAt }, options = {}) {
+    const stored = this.store.readUnit(id);
+    if (!stored) {
+      return null;
     }
 
-    if (fs.existsSync(metaPath)) {
-      fs.unlinkSync(metaPath);
+    return this.saveUnit({
+      ...stored.record,
+      id: String(id),
+      status,
+      publishAt,
+      content: stored.body,
+    }, {
+      author: options.author,
+      revisionAction: REVISION_ACTIONS.STATUS,
+      comment: options.comment,
+    });
+  }
+
+  /**
+   * 科目の単元を unitIds の順に並べる。ほかの科目の単元が含まれていればこの科目へ移す
+   * （保存済みの単元は科目を変えて保存し、版にも残す。未保存の単元は科目データだけを書き換える）。
+   */
+  arrangeSubjectUnits(subjectId, unitIds, options = {}) {
+    const subject = subjectRepository.getSubject(subjectId);
+    if (!subject) {
+      throw new ValidationError('科目が見つかりません');
     }
 
+    const ids = (unitIds || []).map(String);
+    ids.forEach((id) => {
+      const stored = this.store.readUnit(id);
+      if (!stored) {
+        throw new ValidationError(`単元が見つかりません: ${id}`);
+      }
+
+      // 科目データができる前に保存された単元は、科目データに載せるだけ
+      if (stored.record.subjectId === subject.id) {
+        if (subjectRepository.findUnitSubject(id)?.id !== subject.id) {
+          subjectRepository.upsertUnitEntry(subject.id, stored.record);
+        }
+        return;
+      }
+
+      if (stored.body == null) {
+        subjectRepository.upsertUnitEntry(subject.id, stored.record);
+        return;
+      }
+
+      this.saveUnit({
+        ...stored.record,
+        id,
+        subjectId: subject.id,
+        content: stored.body,
+      }, { author: options.author });
+    });
+
+    subjectRepository.reorderUnits(subject.id, ids);
+    return subjectRepository.getSubject(subject.id);
+  }
+
+  // 削除しても版は残し、保持期間のあいだは rollbackUnit で復元できる
+  deleteUnit(id, options = {}) {
+    const stored = this.store.readUnit(id);
+    this.recordBaselineRevision(id, stored);
+    if (revisionRepository.hasRevisions(id)) {
+      revisionRepository.markDeleted(id, { title: stored?.record?.title, deletedBy: options.author?.name });
+    }
+    subjectRepository.removeUnitEntry(id);
+    this.store.removeUnit(id);
+    glossaryRepository.removeUnit(id);
+    searchIndexRepository.removeUnit(id);
+    noteRepository.orphanUnit(id);
     return true;
   }
 }
@@ -365,3 +447,4 @@ class ContentRepository {
 const contentRepository = new ContentRepository();
 
 export default contentRepository;
+export { ContentRepository };
@@ -0,0 +1,38 @@
+// 楽観的ロックの version が一致しなかったときのエラー（API では 409 を返す）
+export class VersionConflictError extends Error {
+  constructor(message = '他の操作で更新されたため保存できませんでした。最新の内容を読み込み直してください') {
+    super(message);
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+  }
+}
+
+export function isVersionConflict(error) {
+  return error?.code === 'VERSION_CONFLICT';
+}
+
+// 入力値が不正なときのエラー（API では 400 を返す）
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+  }
+}
+
+export function isValidationError(error) {
+  return error?.code === 'VALIDATION_ERROR';
+}
+
+// メールアドレスを確認していないアカウントに許していない操作（API では 403 を返す）
+export class EmailNotVerifiedError extends Error {
+  constructor(message = 'メールアドレスの確認が完了していません。確認メールのリンクを開いてください') {
+    super(message);
+    this.name = 'EmailNotVerifiedError';
+    this.code = 'EMAIL_NOT_VERIFIED';
+  }
+}
+
+export function isEmailNotVerified(error) {
+  return error?.code === 'EMAIL_NOT_VERIFIED';
+}
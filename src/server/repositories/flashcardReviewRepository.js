@@ -0,0 +1,84 @@
+import userRepository from '@/server/repositories/userRepository';
+
+function toReviewState(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    cardId: row.card_id,
+    unitId: row.unit_id,
+    easeFactor: row.ease_factor,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    reviewCount: row.review_count,
+    dueDate: row.due_date,
+    lastGrade: row.last_grade,
+    introducedOn: row.introduced_on,
+    lastReviewedAt: row.last_reviewed_at,
+  };
+}
+
+// ユーザーごとの暗記カードの復習状態。カード本体は単元 HTML から導出するため、ここには ID だけを持つ
+class FlashcardReviewRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  getStates(userId) {
+    return new Map(
+      this.db.prepare('SELECT * FROM flashcard_reviews WHERE user_id = ?')
+        .all(String(userId))
+        .map((row) => [row.card_id, toReviewState(row)])
+    );
+  }
+
+  getState(userId, cardId) {
+    return toReviewState(
+      this.db.prepare('SELECT * FROM flashcard_reviews WHERE user_id = ? AND card_id = ?').get(String(userId), String(cardId))
+    );
+  }
+
+  countIntroducedOn(userId, studyDate) {
+    return this.db.prepare('SELECT COUNT(*) FROM flashcard_reviews WHERE user_id = ? AND introduced_on = ?')
+      .pluck()
+      .get(String(userId), studyDate);
+  }
+
+  saveState(userId, { cardId, unitId, grade, schedule, studyDate, reviewedAt }) {
+    this.db.prepare(`
+      INSERT INTO flashcard_reviews (
+        user_id, card_id, unit_id, ease_factor, interval_days, repetitions, lapses,
+        review_count, due_date, last_grade, introduced_on, last_reviewed_at
+      ) VALUES (
+        @userId, @cardId, @unitId, @easeFactor, @intervalDays, @repetitions, @lapses,
+        1, @dueDate, @grade, @studyDate, @reviewedAt
+      )
+      ON CONFLICT (user_id, card_id) DO UPDATE SET
+        unit_id = excluded.unit_id,
+        ease_factor = excluded.ease_factor,
+        interval_days = excluded.interval_days,
+        repetitions = excluded.repetitions,
+        lapses = excluded.lapses,
+        review_count = flashcard_reviews.review_count + 1,
+        due_date = excluded.due_date,
+        last_grade = excluded.last_grade,
+        last_reviewed_at = excluded.last_reviewed_at
+    `).run({
+      userId: String(userId),
+      cardId: String(cardId),
+      unitId: String(unitId),
+      ...schedule,
+      grade,
+      studyDate,
+      reviewedAt,
+    });
+
+    return this.getState(userId, cardId);
+  }
+}
+
+const flashcardReviewRepository = new FlashcardReviewRepository();
+
+export default flashcardReviewRepository;
@@ -0,0 +1,117 @@
+import { getDatabase } from '@/server/storage/sqlite';
+import { extractGlossaryTerms } from '@/features/content/lib/htmlUtils';
+import { getDisplayTerm, normalizeTermKey, resolveTermReading } from '@/features/glossary/lib/terms';
+
+export const GLOSSARY_OCCURRENCE_KINDS = {
+  DEFINITION: 'definition',
+  MENTION: 'mention',
+};
+
+// 用語の抽出・正規化の方法を変えたら上げる。次に用語集を参照したときに全単元を索引し直す
+export const GLOSSARY_INDEX_VERSION = 1;
+const INDEX_VERSION_STATE_KEY = 'glossary_index_version';
+
+function toOccurrence(row) {
+  return {
+    unitId: row.unit_id,
+    termKey: row.term_key,
+    kind: row.kind,
+    term: row.term,
+    reading: row.reading,
+    sectionId: row.section_id,
+    summary: row.summary,
+    frequency: row.frequency,
+  };
+}
+
+function buildOccurrenceRows(unitId, { contentFormat, body }) {
+  if (contentFormat !== 'html' || !body) {
+    return [];
+  }
+
+  const { definitions, mentions } = extractGlossaryTerms(body);
+  const toRow = (kind, occurrence) => ({
+    unitId: String(unitId),
+    termKey: normalizeTermKey(occurrence.term),
+    kind,
+    term: getDisplayTerm(occurrence.term),
+    reading: resolveTermReading(occurrence.term, occurrence.reading),
+    sectionId: occurrence.sectionId || null,
+    summary: occurrence.summary || null,
+    frequency: occurrence.frequency || null,
+  });
+
+  return [
+    ...definitions.map((definition) => toRow(GLOSSARY_OCCURRENCE_KINDS.DEFINITION, definition)),
+    ...mentions.map((mention) => toRow(GLOSSARY_OCCURRENCE_KINDS.MENTION, mention)),
+  ].filter((row) => row.termKey);
+}
+
+/**
+ * 用語集の索引。単元ごとに「どの用語を定義し、どの用語に言及しているか」を保存する。
+ * contentRepository.saveUnit / deleteUnit のたびにその単元の行を入れ替える。
+ */
+class GlossaryRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  writeUnitRows(unitId, rows) {
+    this.db.prepare('DELETE FROM glossary_occurrences WHERE unit_id = ?').run(String(unitId));
+
+    // 同じ単元で同じ用語が複数回定義されていれば最初のものを使う
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO glossary_occurrences (unit_id, term_key, kind, term, reading, section_id, summary, frequency)
+      VALUES (@unitId, @termKey, @kind, @term, @reading, @sectionId, @summary, @frequency)
+    `);
+    rows.forEach((row) => insert.run(row));
+  }
+
+  indexUnit(unitId, source) {
+    const rows = buildOccurrenceRows(unitId, source);
+    this.db.transaction(() => this.writeUnitRows(unitId, rows))();
+  }
+
+  removeUnit(unitId) {
+    this.db.prepare('DELETE FROM glossary_occurrences WHERE unit_id = ?').run(String(unitId));
+  }
+
+  isIndexCurrent() {
+    const version = this.db.prepare('SELECT value FROM storage_state WHERE key = ?').pluck().get(INDEX_VERSION_STATE_KEY);
+    return Number(version) === GLOSSARY_INDEX_VERSION;
+  }
+
+  // sources: [{ id, contentFormat, body }]
+  rebuild(sources) {
+    const rowsByUnit = sources.map((source) => [source.id, buildOccurrenceRows(source.id, source)]);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM glossary_occurrences').run();
+      rowsByUnit.forEach(([unitId, rows]) => this.writeUnitRows(unitId, rows));
+      this.db.prepare('INSERT OR REPLACE INTO storage_state (key, value) VALUES (?, ?)')
+        .run(INDEX_VERSION_STATE_KEY, String(GLOSSARY_INDEX_VERSION));
+    })();
+  }
+
+  listOccurrences({ unitId } = {}) {
+    const rows = unitId
+      ? this.db.prepare('SELECT * FROM glossary_occurrences WHERE unit_id = ?').all(String(unitId))
+      : this.db.prepare('SELECT * FROM glossary_occurrences').all();
+    return rows.map(toOccurrence);
+  }
+
+  listDefinitions(termKeys) {
+    if (!termKeys.length) {
+      return [];
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM glossary_occurrences
+      WHERE kind = ? AND term_key IN (SELECT value FROM json_each(?))
+    `).all(GLOSSARY_OCCURRENCE_KINDS.DEFINITION, JSON.stringify(termKeys)).map(toOccurrence);
+  }
+}
+
+const glossaryRepository = new GlossaryRepository();
+
+export default glossaryRepository;
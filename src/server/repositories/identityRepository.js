@@ -0,0 +1,67 @@
+import userRepository from '@/server/repositories/userRepository';
+
+function toIdentity(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    provider: row.provider,
+    subject: row.subject,
+    userId: row.user_id,
+    email: row.email,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+/**
+ * 外部の ID プロバイダー（OpenID Connect）のアカウントとの連携。プロバイダーの sub で引き、
+ * 1人のユーザーが連携できるのはプロバイダーごとに1アカウントまで。
+ */
+class IdentityRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  find(provider, subject) {
+    return toIdentity(this.db.prepare(`
+      SELECT * FROM user_identities WHERE provider = ? AND subject = ?
+    `).get(provider, String(subject)));
+  }
+
+  listByUser(userId) {
+    return this.db.prepare(`
+      SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at
+    `).all(String(userId)).map(toIdentity);
+  }
+
+  // 連携する。そのアカウントが連携済みか、ユーザーが同じプロバイダーのほかのアカウントと連携済みなら false
+  link(userId, provider, subject, { email = null, now = new Date() } = {}) {
+    const timestamp = now.toISOString();
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO user_identities (provider, subject, user_id, email, created_at, last_used_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(provider, String(subject), String(userId), email, timestamp, timestamp);
+    return result.changes > 0;
+  }
+
+  // ログインに使った日時と、プロバイダー側で変わったメールアドレスを記録する
+  recordUse(provider, subject, { email = null, now = new Date() } = {}) {
+    this.db.prepare(`
+      UPDATE user_identities SET last_used_at = ?, email = COALESCE(?, email) WHERE provider = ? AND subject = ?
+    `).run(now.toISOString(), email, provider, String(subject));
+  }
+
+  // 連携を解除する。解除したら true
+  unlink(userId, provider) {
+    const result = this.db.prepare(`
+      DELETE FROM user_identities WHERE user_id = ? AND provider = ?
+    `).run(String(userId), provider);
+    return result.changes > 0;
+  }
+}
+
+const identityRepository = new IdentityRepository();
+
+export default identityRepository;
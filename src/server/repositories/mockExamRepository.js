@@ -0,0 +1,128 @@
+import userRepository from '@/server/repositories/userRepository';
+
+export const MOCK_EXAM_STATUSES = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+};
+
+function toAttempt(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    startedAt: row.started_at,
+    expiresAt: row.expires_at,
+    submittedAt: row.submitted_at,
+    totalPoints: row.total_points,
+    passed: row.passed === null ? null : Boolean(row.passed),
+    questions: JSON.parse(row.questions_json),
+    answers: JSON.parse(row.answers_json || '{}'),
+    result: row.result_json ? JSON.parse(row.result_json) : null,
+  };
+}
+
+// 一覧用。出題・回答・採点明細は含めない
+function toAttemptSummary(attempt) {
+  return {
+    id: attempt.id,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    totalPoints: attempt.totalPoints,
+    passed: attempt.passed,
+    sections: attempt.result?.sections || null,
+    missedCriteria: attempt.result?.missedCriteria || [],
+    timedOut: Boolean(attempt.result?.timedOut),
+  };
+}
+
+// 模擬試験の受験記録。出題した問題（正答を含む）を受験ごとに複製して保存し、後から問題が編集されても採点結果が変わらないようにする
+class MockExamRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  createAttempt(userId, questions, { durationMinutes, now = new Date() }) {
+    const startedAt = now.toISOString();
+    const expiresAt = new Date(now.getTime() + durationMinutes * 60 * 1000).toISOString();
+    const id = `mx-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    this.db.prepare(`
+      INSERT INTO mock_exam_attempts (id, user_id, status, started_at, expires_at, questions_json, answers_json)
+      VALUES (?, ?, ?, ?, ?, ?, '{}')
+    `).run(id, String(userId), MOCK_EXAM_STATUSES.IN_PROGRESS, startedAt, expiresAt, JSON.stringify(questions));
+
+    return this.findAttempt(userId, id);
+  }
+
+  findAttempt(userId, id) {
+    return toAttempt(
+      this.db.prepare('SELECT * FROM mock_exam_attempts WHERE id = ? AND user_id = ?').get(String(id), String(userId))
+    );
+  }
+
+  findActiveAttempt(userId) {
+    return toAttempt(
+      this.db.prepare('SELECT * FROM mock_exam_attempts WHERE user_id = ? AND status = ? ORDER BY started_at DESC LIMIT 1')
+        .get(String(userId), MOCK_EXAM_STATUSES.IN_PROGRESS)
+    );
+  }
+
+  saveAnswers(userId, id, answers) {
+    const result = this.db.prepare(`
+      UPDATE mock_exam_attempts SET answers_json = ?
+      WHERE id = ? AND user_id = ? AND status = ?
+    `).run(JSON.stringify(answers), String(id), String(userId), MOCK_EXAM_STATUSES.IN_PROGRESS);
+
+    return result.changes > 0;
+  }
+
+  // 採点済みにする。二重提出で結果が上書きされないよう、受験中の行だけを更新する
+  completeAttempt(userId, id, { answers, result, submittedAt }) {
+    const updated = this.db.prepare(`
+      UPDATE mock_exam_attempts
+      SET status = @completed, submitted_at = @submittedAt, total_points = @totalPoints, passed = @passed,
+          answers_json = @answersJson, result_json = @resultJson
+      WHERE id = @id AND user_id = @userId AND status = @inProgress
+    `).run({
+      id: String(id),
+      userId: String(userId),
+      completed: MOCK_EXAM_STATUSES.COMPLETED,
+      inProgress: MOCK_EXAM_STATUSES.IN_PROGRESS,
+      submittedAt,
+      totalPoints: result.totalPoints,
+      passed: result.passed ? 1 : 0,
+      answersJson: JSON.stringify(answers),
+      resultJson: JSON.stringify(result),
+    });
+
+    return updated.changes > 0 ? this.findAttempt(userId, id) : null;
+  }
+
+  listAttempts(userId, { limit = 20 } = {}) {
+    return this.db.prepare('SELECT * FROM mock_exam_attempts WHERE user_id = ? ORDER BY started_at DESC LIMIT ?')
+      .all(String(userId), Number(limit))
+      .map((row) => toAttemptSummary(toAttempt(row)));
+  }
+
+  getSummary(userId) {
+    const completed = this.listAttempts(userId, { limit: 100 })
+      .filter((attempt) => attempt.status === MOCK_EXAM_STATUSES.COMPLETED);
+
+    return {
+      attemptCount: completed.length,
+      passedCount: completed.filter((attempt) => attempt.passed).length,
+      bestTotalPoints: completed.length ? Math.max(...completed.map((attempt) => attempt.totalPoints)) : null,
+      recent: completed.slice(0, 5),
+    };
+  }
+}
+
+const mockExamRepository = new MockExamRepository();
+
+export default mockExamRepository;
@@ -0,0 +1,174 @@
+import userRepository from '@/server/repositories/userRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { extractSectionTexts } from '@/features/content/lib/htmlUtils';
+import { extractMarkdownSectionTexts } from '@/features/content/lib/markdownUtils';
+import {
+  DEFAULT_NOTE_COLOR,
+  NOTE_ANCHOR_STATUSES,
+  QUOTE_CONTEXT_LENGTH,
+  anchorTextQuote,
+  getNoteInputError,
+  normalizeQuoteText,
+  toDisplayQuote,
+} from '@/features/notes/lib/textQuote';
+
+// 単元のページで見出しに id を付けているのと同じ h2・h3 で節に分ける
+const NOTE_HEADING_LEVELS = [2, 3];
+
+// 単元の本文を見出しごとの節にする（メモの位置を確かめる・付け直すのに使う）
+export function extractNoteSections({ contentFormat, body }) {
+  if (!body) {
+    return [];
+  }
+
+  return contentFormat === 'html'
+    ? extractSectionTexts(body, { headingLevels: NOTE_HEADING_LEVELS })
+    : extractMarkdownSectionTexts(body, { headingLevels: NOTE_HEADING_LEVELS });
+}
+
+function toNote(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    unitId: row.unit_id,
+    sectionId: row.section_id,
+    quote: {
+      exact: row.quote_exact,
+      prefix: row.quote_prefix,
+      suffix: row.quote_suffix,
+    },
+    text: row.quote_text,
+    body: row.body,
+    color: row.color,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    reanchoredAt: row.reanchored_at,
+  };
+}
+
+/**
+ * 学習者が単元の本文に付けたハイライトとメモ。位置は見出しの id とテキスト引用で持ち、
+ * 単元を保存するたびに reanchorUnit で付け直す（見つからなくなったメモは orphaned にして残す）。
+ */
+class NoteRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  list(userId, { unitId } = {}) {
+    const rows = unitId
+      ? this.db.prepare('SELECT * FROM unit_notes WHERE user_id = ? AND unit_id = ? ORDER BY created_at').all(String(userId), String(unitId))
+      : this.db.prepare('SELECT * FROM unit_notes WHERE user_id = ? ORDER BY unit_id, created_at').all(String(userId));
+    return rows.map(toNote);
+  }
+
+  get(userId, id) {
+    const row = this.db.prepare('SELECT * FROM unit_notes WHERE id = ? AND user_id = ?').get(String(id), String(userId));
+    return row ? toNote(row) : null;
+  }
+
+  /**
+   * メモを追加する。sections は extractNoteSections の結果で、選んだ文章が今の本文に見つからなければ ValidationError。
+   */
+  create(userId, unitId, input, sections) {
+    const error = getNoteInputError(input);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const quote = {
+      exact: normalizeQuoteText(input.quote.exact),
+      prefix: normalizeQuoteText(input.quote.prefix || '').slice(-QUOTE_CONTEXT_LENGTH),
+      suffix: normalizeQuoteText(input.quote.suffix || '').slice(0, QUOTE_CONTEXT_LENGTH),
+    };
+    const anchor = anchorTextQuote(sections, { sectionId: input.sectionId || null, quote });
+    if (anchor.status !== NOTE_ANCHOR_STATUSES.ANCHORED) {
+      throw new ValidationError('選択した文章が単元の本文に見つかりません');
+    }
+
+    const id = `note-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO unit_notes (
+        id, user_id, unit_id, section_id, quote_exact, quote_prefix, quote_suffix, quote_text, body, color, status, created_at, updated_at
+      ) VALUES (
+        @id, @userId, @unitId, @sectionId, @exact, @prefix, @suffix, @text, @body, @color, @status, @now, @now
+      )
+    `).run({
+      id,
+      userId: String(userId),
+      unitId: String(unitId),
+      sectionId: anchor.sectionId,
+      ...quote,
+      text: toDisplayQuote(input.text) || quote.exact,
+      body: input.body || '',
+      color: input.color || DEFAULT_NOTE_COLOR,
+      status: anchor.status,
+      now,
+    });
+
+    return this.get(userId, id);
+  }
+
+  // メモの本文と色だけを変える（位置は変えられない）。見つからなければ null
+  update(userId, id, { body, color }) {
+    const error = getNoteInputError({ body, color }, { requireQuote: false });
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const existing = this.get(userId, id);
+    if (!existing) {
+      return null;
+    }
+
+    this.db.prepare('UPDATE unit_notes SET body = ?, color = ?, updated_at = ? WHERE id = ?').run(
+      body ?? existing.body,
+      color ?? existing.color,
+      new Date().toISOString(),
+      existing.id
+    );
+    return this.get(userId, id);
+  }
+
+  delete(userId, id) {
+    return this.db.prepare('DELETE FROM unit_notes WHERE id = ? AND user_id = ?').run(String(id), String(userId)).changes > 0;
+  }
+
+  /**
+   * 改訂した本文に全員のメモを付け直す。別の見出しへ移ったものは見出しを変え、見つからないものは orphaned にする。
+   * 位置が変わったメモの数を返す。
+   */
+  reanchorUnit(unitId, source) {
+    const rows = this.db.prepare('SELECT * FROM unit_notes WHERE unit_id = ?').all(String(unitId));
+    if (!rows.length) {
+      return 0;
+    }
+
+    const sections = extractNoteSections(source);
+    const update = this.db.prepare('UPDATE unit_notes SET section_id = ?, status = ?, reanchored_at = ? WHERE id = ?');
+    const now = new Date().toISOString();
+
+    return this.db.transaction(() => rows.map(toNote).reduce((changed, note) => {
+      const anchor = anchorTextQuote(sections, note);
+      if (anchor.status === note.status && anchor.sectionId === note.sectionId) {
+        return changed;
+      }
+
+      update.run(anchor.sectionId, anchor.status, now, note.id);
+      return changed + 1;
+    }, 0))();
+  }
+
+  // 単元を削除したときは、メモを消さずに orphaned にする（単元を復元すれば reanchorUnit で戻る）
+  orphanUnit(unitId) {
+    this.db.prepare(`
+      UPDATE unit_notes SET status = ?, reanchored_at = ? WHERE unit_id = ? AND status != ?
+    `).run(NOTE_ANCHOR_STATUSES.ORPHANED, new Date().toISOString(), String(unitId), NOTE_ANCHOR_STATUSES.ORPHANED);
+  }
+}
+
+const noteRepository = new NoteRepository();
+
+export default noteRepository;
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import userRepository from '@/server/repositories/userRepository';
+
+// メールで送るのは元のトークンだけで、保存するのは SHA-256 のハッシュ
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * パスワード再設定のトークン。1回だけ使え、期限を過ぎるか新しいトークンを発行すると使えなくなる。
+ */
+class PasswordResetRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  // 新しいトークンを発行して元の値を返す。そのユーザーの使っていないトークンは無効にする
+  issue(userId, { ttlMs, now = new Date() }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = now.toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL').run(String(userId));
+      this.db.prepare(`
+        INSERT INTO password_reset_tokens (token_hash, user_id, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+      `).run(hashToken(token), String(userId), createdAt, new Date(now.getTime() + ttlMs).toISOString());
+    })();
+
+    return token;
+  }
+
+  // 使えるトークンならユーザー ID（使用済み・期限切れ・不明なら null）
+  findUserId(token, { now = new Date() } = {}) {
+    const row = this.db.prepare(`
+      SELECT user_id FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+    `).get(hashToken(token), now.toISOString());
+    return row ? row.user_id : null;
+  }
+
+  /**
+   * トークンを使用済みにしてユーザー ID を返す（使えないトークンなら null）。
+   * 同じユーザーのほかのトークンも無効にする。
+   */
+  consume(token, { now = new Date() } = {}) {
+    return this.db.transaction(() => {
+      const userId = this.findUserId(token, { now });
+      if (!userId) {
+        return null;
+      }
+
+      this.db.prepare('UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ?').run(now.toISOString(), hashToken(token));
+      this.db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL').run(userId);
+      return userId;
+    }).immediate();
+  }
+}
+
+const passwordResetRepository = new PasswordResetRepository();
+
+export default passwordResetRepository;
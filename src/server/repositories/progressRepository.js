@@ -1,43 +1,84 @@
 import userRepository from '@/server/repositories/userRepository';
 import contentRepository from '@/server/repositories/contentRepository';
+import studyEventRepository from '@/server/repositories/studyEventRepository';
+import studyTimeRepository from '@/server/repositories/studyTimeRepository';
+import { toStudyDate } from '@/features/flashcards/lib/scheduler';
+import { STUDY_EVENT_TYPES, applyStudyEvent, eventsFromProgressUpdate } from '@/features/progress/lib/studyEvents';
 
+// 学習の記録は study_events に追記し、単元ごとの進捗はそれを畳み込んだ結果として user_progress に1行ずつ持つ
+// （ユーザー本体のドキュメントは書き換えない）。セクションで過ごした秒数は日ごとの学習時間（study_time_daily）にも足す
 class ProgressRepository {
-  getByUser(userId) {
-    const user = userRepository.findById(userId);
-    if (!user) {
+  get db() {
+    return userRepository.db;
+  }
+
+  assertUserExists(userId) {
+    if (!userRepository.findById(userId)) {
       throw new Error('ユーザーが見つかりません');
     }
-
-    return user.progress || {};
   }
 
-  getUnitProgress(userId, unitId) {
-    const progress = this.getByUser(userId);
-    return progress[unitId] || null;
+  getByUser(userId) {
+    this.assertUserExists(userId);
+
+    return Object.fromEntries(
+      this.db.prepare('SELECT unit_id, data_json FROM user_progress WHERE user_id = ?')
+        .all(String(userId))
+        .map((row) => [row.unit_id, JSON.parse(row.data_json)])
+    );
   }
 
-  async upsertUnitProgress(userId, unitId, progressData) {
-    const user = userRepository.findById(userId);
-    if (!user) {
-      throw new Error('ユーザーが見つかりません');
-    }
+  getUnitProgress(userId, unitId) {
+    this.assertUserExists(userId);
 
-    const current = user.progress?.[unitId] || {};
-    const next = {
-      ...current,
-      ...progressData,
-      timeSpent: Number(progressData.timeSpent ?? current.timeSpent ?? 0),
-      lastAccessed: new Date().toISOString(),
-    };
+    const row = this.db.prepare('SELECT data_json FROM user_progress WHERE user_id = ? AND unit_id = ?')
+      .get(String(userId), String(unitId));
+    return row ? JSON.parse(row.data_json) : null;
+  }
 
-    await userRepository.update(userId, {
-      progress: {
-        ...(user.progress || {}),
-        [unitId]: next,
-      },
-    });
+  /**
+   * 単元の学習のイベントを記録し、それを当てはめた進捗を返す。
+   * buildEvents(current) は今の進捗（なければ null）から記録するイベント（{ type, payload }）の配列を作る。
+   * イベントの追記と、進捗・日ごとの学習時間の更新は1つのトランザクションで行う。
+   */
+  recordEvents(userId, unitId, buildEvents) {
+    this.assertUserExists(userId);
+
+    const db = this.db;
+    return db.transaction(() => {
+      const row = db.prepare('SELECT data_json FROM user_progress WHERE user_id = ? AND unit_id = ?')
+        .get(String(userId), String(unitId));
+      let next = row ? JSON.parse(row.data_json) : null;
+
+      buildEvents(next).forEach((input) => {
+        const event = studyEventRepository.append(userId, unitId, input);
+        next = applyStudyEvent(next, event);
+        if (event.type === STUDY_EVENT_TYPES.SECTION_VIEWED) {
+          studyTimeRepository.addSeconds(userId, unitId, toStudyDate(event.occurredAt), event.payload.seconds);
+        }
+      });
+
+      db.prepare(`
+        INSERT INTO user_progress (user_id, unit_id, version, data_json, last_accessed)
+        VALUES (@userId, @unitId, 1, @dataJson, @lastAccessed)
+        ON CONFLICT (user_id, unit_id) DO UPDATE SET
+          version = user_progress.version + 1,
+          data_json = excluded.data_json,
+          last_accessed = excluded.last_accessed
+      `).run({
+        userId: String(userId),
+        unitId: String(unitId),
+        dataJson: JSON.stringify(next),
+        lastAccessed: next.lastAccessed,
+      });
+
+      return next;
+    }).immediate();
+  }
 
-    return next;
+  // 以前の形式の進捗の更新（累計の timeSpent など）を、今の進捗との差のイベントにして記録する
+  recordProgressUpdate(userId, unitId, progressData) {
+    return this.recordEvents(userId, unitId, (current) => eventsFromProgressUpdate(current, progressData));
   }
 
   getSummary(userId) {
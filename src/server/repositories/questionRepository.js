@@ -0,0 +1,262 @@
+import { getDatabase } from '@/server/storage/sqlite';
+import { getSubjectById } from '@/features/content/lib/subjects';
+import contentRepository from '@/server/repositories/contentRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import {
+  DEFAULT_QUESTION_POINTS,
+  QUESTION_TYPES,
+  SHORT_ANSWER_MAX_LENGTH,
+  SINGLE_CHOICE_COUNT,
+} from '@/features/quiz/lib/questionTypes';
+
+const QUESTION_STATUSES = ['published', 'draft'];
+const COLUMN_FIELDS = ['id', 'unitId', 'subjectId', 'type', 'status', 'sortOrder', 'createdAt', 'updatedAt'];
+
+function toQuestion(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...JSON.parse(row.data_json),
+    id: row.id,
+    unitId: row.unit_id,
+    subjectId: row.subject_id,
+    type: row.type,
+    status: row.status,
+    sortOrder: row.sort_order,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toDocument(question) {
+  const document = { ...question };
+  COLUMN_FIELDS.forEach((field) => {
+    delete document[field];
+  });
+  return document;
+}
+
+function trimText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// 選択肢は文字列の配列でも { id, text } の配列でも受け付け、id が無ければ 1 からの連番を振る
+function normalizeChoices(choices) {
+  if (!Array.isArray(choices)) {
+    return [];
+  }
+
+  return choices.map((choice, index) => {
+    const text = typeof choice === 'string' ? choice : choice?.text;
+    const id = typeof choice === 'object' && choice?.id ? String(choice.id) : String(index + 1);
+    return { id, text: trimText(text) };
+  });
+}
+
+function assertChoices(choices, { exactCount } = {}) {
+  if (exactCount && choices.length !== exactCount) {
+    throw new ValidationError(`選択肢は${exactCount}つ必要です`);
+  }
+  if (!choices.length || choices.some((choice) => !choice.text)) {
+    throw new ValidationError('空の選択肢があります');
+  }
+  if (new Set(choices.map((choice) => choice.id)).size !== choices.length) {
+    throw new ValidationError('選択肢の ID が重複しています');
+  }
+}
+
+function normalizeTypeFields(type, input) {
+  if (type === QUESTION_TYPES.SINGLE_CHOICE) {
+    const choices = normalizeChoices(input.choices);
+    assertChoices(choices, { exactCount: SINGLE_CHOICE_COUNT });
+
+    const answer = input.answer === undefined || input.answer === null ? '' : String(input.answer);
+    if (!choices.some((choice) => choice.id === answer)) {
+      throw new ValidationError('正解の選択肢を指定してください');
+    }
+
+    return { choices, answer };
+  }
+
+  if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    const choices = normalizeChoices(input.choices);
+    assertChoices(choices);
+
+    const blanks = (Array.isArray(input.blanks) ? input.blanks : []).map((blank) => ({
+      id: trimText(blank?.id),
+      answer: blank?.answer === undefined || blank?.answer === null ? '' : String(blank.answer),
+    }));
+    if (!blanks.length) {
+      throw new ValidationError('空欄を1つ以上指定してください');
+    }
+    if (blanks.some((blank) => !blank.id || !choices.some((choice) => choice.id === blank.answer))) {
+      throw new ValidationError('各空欄の正解を選択肢から指定してください');
+    }
+
+    return { choices, blanks };
+  }
+
+  const acceptedAnswers = (Array.isArray(input.acceptedAnswers) ? input.acceptedAnswers : [])
+    .map(trimText)
+    .filter(Boolean);
+  const keywords = (Array.isArray(input.keywords) ? input.keywords : [])
+    .map((keyword) => ({ text: trimText(keyword?.text), points: Number(keyword?.points) }))
+    .filter((keyword) => keyword.text);
+  if (!acceptedAnswers.length) {
+    throw new ValidationError('記述式の模範解答を1つ以上入力してください');
+  }
+  if (keywords.some((keyword) => !(keyword.points > 0))) {
+    throw new ValidationError('キーワードの配点は正の数で入力してください');
+  }
+
+  const maxLength = Number(input.maxLength) || SHORT_ANSWER_MAX_LENGTH;
+  return { acceptedAnswers, keywords, maxLength };
+}
+
+class QuestionRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  generateQuestionId() {
+    return `q-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  getQuestion(id) {
+    return toQuestion(this.db.prepare('SELECT * FROM questions WHERE id = ?').get(String(id)));
+  }
+
+  listQuestions(filters = {}, options = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (filters.unitId) {
+      clauses.push('unit_id = @unitId');
+      params.unitId = String(filters.unitId);
+    }
+    if (filters.subjectId) {
+      clauses.push('subject_id = @subjectId');
+      params.subjectId = String(filters.subjectId);
+    }
+    if (filters.type) {
+      clauses.push('type = @type');
+      params.type = String(filters.type);
+    }
+    if (!options.includeDraft) {
+      clauses.push("status = 'published'");
+    }
+
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`
+      SELECT * FROM questions ${where}
+      ORDER BY subject_id, unit_id, sort_order, created_at
+    `).all(params).map(toQuestion);
+  }
+
+  // 単元の演習として出題する問題（公開中のもの）
+  getQuizQuestions(unitId) {
+    return this.listQuestions({ unitId }, { includeDraft: false });
+  }
+
+  countByUnit() {
+    return Object.fromEntries(
+      this.db.prepare("SELECT unit_id, COUNT(*) AS count FROM questions WHERE status = 'published' AND unit_id IS NOT NULL GROUP BY unit_id")
+        .all()
+        .map((row) => [row.unit_id, row.count])
+    );
+  }
+
+  normalizeQuestion(input, existing = null) {
+    const unitId = trimText(input.unitId) || null;
+    if (unitId && !contentRepository.getAllUnitIds().includes(unitId)) {
+      throw new ValidationError('指定された単元が見つかりません');
+    }
+
+    const unitSubjectId = unitId ? contentRepository.buildUnitRecord(unitId)?.subjectId : null;
+    const subjectId = trimText(input.subjectId) || unitSubjectId;
+    if (!subjectId || !getSubjectById(subjectId)) {
+      throw new ValidationError('科目を指定してください');
+    }
+
+    const type = input.type;
+    if (!Object.values(QUESTION_TYPES).includes(type)) {
+      throw new ValidationError('問題形式が不正です');
+    }
+
+    const prompt = trimText(input.prompt);
+    if (!prompt) {
+      throw new ValidationError('問題文を入力してください');
+    }
+
+    const points = input.points === undefined || input.points === '' || input.points === null
+      ? DEFAULT_QUESTION_POINTS[type]
+      : Number(input.points);
+    if (!(points > 0)) {
+      throw new ValidationError('配点は正の数で入力してください');
+    }
+
+    const status = input.status || existing?.status || 'published';
+    if (!QUESTION_STATUSES.includes(status)) {
+      throw new ValidationError('ステータスが不正です');
+    }
+
+    return {
+      unitId,
+      subjectId,
+      type,
+      status,
+      sortOrder: Number(input.sortOrder ?? existing?.sortOrder ?? 0) || 0,
+      prompt,
+      points,
+      explanation: trimText(input.explanation),
+      source: trimText(input.source) || null,
+      ...normalizeTypeFields(type, input),
+    };
+  }
+
+  saveQuestion(input) {
+    const existing = input.id ? this.getQuestion(input.id) : null;
+    const now = new Date().toISOString();
+    const question = {
+      ...this.normalizeQuestion(input, existing),
+      id: existing?.id || input.id || this.generateQuestionId(),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+
+    this.db.prepare(`
+      INSERT INTO questions (id, unit_id, subject_id, type, status, sort_order, data_json, created_at, updated_at)
+      VALUES (@id, @unit_id, @subject_id, @type, @status, @sort_order, @data_json, @created_at, @updated_at)
+      ON CONFLICT (id) DO UPDATE SET
+        unit_id = excluded.unit_id,
+        subject_id = excluded.subject_id,
+        type = excluded.type,
+        status = excluded.status,
+        sort_order = excluded.sort_order,
+        data_json = excluded.data_json,
+        updated_at = excluded.updated_at
+    `).run({
+      id: question.id,
+      unit_id: question.unitId,
+      subject_id: question.subjectId,
+      type: question.type,
+      status: question.status,
+      sort_order: question.sortOrder,
+      data_json: JSON.stringify(toDocument(question)),
+      created_at: question.createdAt,
+      updated_at: question.updatedAt,
+    });
+
+    return this.getQuestion(question.id);
+  }
+
+  deleteQuestion(id) {
+    return this.db.prepare('DELETE FROM questions WHERE id = ?').run(String(id)).changes > 0;
+  }
+}
+
+const questionRepository = new QuestionRepository();
+
+export default questionRepository;
@@ -0,0 +1,78 @@
+import userRepository from '@/server/repositories/userRepository';
+
+function toAttempt(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    unitId: row.unit_id,
+    score: row.score,
+    earned: row.earned_points,
+    possible: row.possible_points,
+    results: JSON.parse(row.results_json),
+    submittedAt: row.submitted_at,
+  };
+}
+
+// 演習の提出履歴。単元の進捗（user_progress）には最新の score だけを書き込む
+class QuizAttemptRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  recordAttempt(userId, unitId, grading) {
+    const attempt = {
+      id: `qa-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      userId: String(userId),
+      unitId: String(unitId),
+      score: grading.score,
+      earned: grading.earned,
+      possible: grading.possible,
+      results: grading.results.map((result) => ({
+        questionId: result.questionId,
+        type: result.type,
+        correct: result.correct,
+        earned: result.earned,
+        points: result.points,
+      })),
+      submittedAt: new Date().toISOString(),
+    };
+
+    this.db.prepare(`
+      INSERT INTO quiz_attempts (id, user_id, unit_id, score, earned_points, possible_points, results_json, submitted_at)
+      VALUES (@id, @userId, @unitId, @score, @earned, @possible, @resultsJson, @submittedAt)
+    `).run({
+      ...attempt,
+      resultsJson: JSON.stringify(attempt.results),
+    });
+
+    return attempt;
+  }
+
+  listAttempts(userId, { unitId, limit = 20 } = {}) {
+    const rows = unitId
+      ? this.db.prepare('SELECT * FROM quiz_attempts WHERE user_id = ? AND unit_id = ? ORDER BY submitted_at DESC LIMIT ?')
+        .all(String(userId), String(unitId), Number(limit))
+      : this.db.prepare('SELECT * FROM quiz_attempts WHERE user_id = ? ORDER BY submitted_at DESC LIMIT ?')
+        .all(String(userId), Number(limit));
+
+    return rows.map(toAttempt);
+  }
+
+  // since（ISO 日時）以降の提出を古い順に。学習の分析で得点の推移を出すのに使う
+  listAttemptsSince(userId, since) {
+    return this.db.prepare('SELECT * FROM quiz_attempts WHERE user_id = ? AND submitted_at >= ? ORDER BY submitted_at')
+      .all(String(userId), since)
+      .map(toAttempt);
+  }
+
+  // 演習を提出した日（日本時間、昇順）。連続学習日数の計算に使う
+  listAttemptDates(userId) {
+    return this.db.prepare("SELECT DISTINCT date(submitted_at, '+9 hours') FROM quiz_attempts WHERE user_id = ? ORDER BY 1")
+      .pluck()
+      .all(String(userId));
+  }
+}
+
+const quizAttemptRepository = new QuizAttemptRepository();
+
+export default quizAttemptRepository;
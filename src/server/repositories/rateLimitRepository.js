@@ -0,0 +1,35 @@
+import { getDatabase } from '@/server/storage/sqlite';
+
+/**
+ * 回数制限の記録。bucket（制限の種類）と key（IP アドレスやメールアドレス）ごとに、
+ * 直近 windowMs の間の試行を数える。複数のプロセスで共有できるよう SQLite に持つ。
+ */
+class RateLimitRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  /**
+   * 試行を1回記録する。すでに max 回に達していれば記録せず、allowed: false と
+   * 次に試せるまでの秒数（retryAfter）を返す。
+   */
+  hit(bucket, key, { windowMs, max }, now = Date.now()) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM rate_limit_hits WHERE bucket = ? AND hit_at <= ?').run(bucket, now - windowMs);
+
+      const hits = this.db.prepare(`
+        SELECT hit_at FROM rate_limit_hits WHERE bucket = ? AND key = ? ORDER BY hit_at
+      `).pluck().all(bucket, String(key));
+      if (hits.length >= max) {
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000)) };
+      }
+
+      this.db.prepare('INSERT INTO rate_limit_hits (bucket, key, hit_at) VALUES (?, ?, ?)').run(bucket, String(key), now);
+      return { allowed: true, retryAfter: 0 };
+    }).immediate();
+  }
+}
+
+const rateLimitRepository = new RateLimitRepository();
+
+export default rateLimitRepository;
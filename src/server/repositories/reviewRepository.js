@@ -0,0 +1,114 @@
+import { getDatabase } from '@/server/storage/sqlite';
+
+function toAssignment(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    unitId: row.unit_id,
+    reviewer: { id: row.reviewer_id, name: row.reviewer_name },
+    assignedBy: row.assigned_by,
+    assignedAt: row.assigned_at,
+  };
+}
+
+function toComment(row) {
+  return {
+    id: row.id,
+    unitId: row.unit_id,
+    author: row.author_id || row.author_name ? { id: row.author_id, name: row.author_name } : null,
+    body: row.body || '',
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * 編集ワークフローのレビュー担当者とコメント。
+ * 状態の変更もコメント（from_status / to_status 付き、本文は省略可）として記録し、単元ごとの経緯を一列に並べる。
+ * 単元を削除しても残す（版の履歴から復元したときに経緯をたどれるように）。
+ */
+class ReviewRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  getAssignment(unitId) {
+    return toAssignment(this.db.prepare('SELECT * FROM unit_review_assignments WHERE unit_id = ?').get(String(unitId)));
+  }
+
+  // 単元 ID → 担当者の Map（レビュー待ちの一覧用）
+  getAssignments(unitIds) {
+    const ids = unitIds.map(String);
+    if (!ids.length) {
+      return new Map();
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM unit_review_assignments WHERE unit_id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(ids));
+    return new Map(rows.map((row) => [row.unit_id, toAssignment(row)]));
+  }
+
+  // reviewer: { id, name }。null なら担当を外す
+  assignReviewer(unitId, reviewer, { assignedBy, now = new Date() } = {}) {
+    if (!reviewer) {
+      this.db.prepare('DELETE FROM unit_review_assignments WHERE unit_id = ?').run(String(unitId));
+      return null;
+    }
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO unit_review_assignments (unit_id, reviewer_id, reviewer_name, assigned_by, assigned_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(String(unitId), String(reviewer.id), reviewer.name || null, assignedBy || null, now.toISOString());
+    return this.getAssignment(unitId);
+  }
+
+  addComment(unitId, { author, body, fromStatus = null, toStatus = null, now = new Date() }) {
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO unit_review_comments (unit_id, author_id, author_name, body, from_status, to_status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      String(unitId),
+      author?.id ? String(author.id) : null,
+      author?.name || null,
+      body || null,
+      fromStatus,
+      toStatus,
+      now.toISOString()
+    );
+
+    return toComment(this.db.prepare('SELECT * FROM unit_review_comments WHERE id = ?').get(lastInsertRowid));
+  }
+
+  // 古い順
+  listComments(unitId) {
+    return this.db.prepare('SELECT * FROM unit_review_comments WHERE unit_id = ? ORDER BY id')
+      .all(String(unitId))
+      .map(toComment);
+  }
+
+  // 単元 ID → その状態に最後に移したときの記録（レビューに出した日時・人を一覧に出すのに使う）
+  findLatestTransitions(unitIds, toStatus) {
+    const ids = unitIds.map(String);
+    if (!ids.length) {
+      return new Map();
+    }
+
+    const rows = this.db.prepare(`
+      SELECT c.* FROM unit_review_comments c
+      JOIN (
+        SELECT unit_id, MAX(id) AS id FROM unit_review_comments
+        WHERE to_status = ? AND unit_id IN (SELECT value FROM json_each(?))
+        GROUP BY unit_id
+      ) latest ON latest.id = c.id
+    `).all(toStatus, JSON.stringify(ids));
+    return new Map(rows.map((row) => [row.unit_id, toComment(row)]));
+  }
+}
+
+const reviewRepository = new ReviewRepository();
+
+export default reviewRepository;
@@ -0,0 +1,178 @@
+import { getDatabase } from '@/server/storage/sqlite';
+
+export const REVISION_ACTIONS = {
+  BASELINE: 'baseline',
+  SAVE: 'save',
+  ROLLBACK: 'rollback',
+  RESTORE: 'restore',
+  STATUS: 'status',
+};
+
+// 削除した単元の版を残しておく日数（CONTENT_REVISION_RETENTION_DAYS で変更可）
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getRevisionRetentionDays() {
+  const days = Number(process.env.CONTENT_REVISION_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function toRevisionSummary(row) {
+  const meta = JSON.parse(row.meta_json);
+  return {
+    id: row.id,
+    unitId: row.unit_id,
+    number: row.revision_number,
+    action: row.action,
+    createdAt: row.created_at,
+    author: row.author_id || row.author_name ? { id: row.author_id, name: row.author_name } : null,
+    contentFormat: row.content_format,
+    title: meta.title || null,
+    status: meta.status || null,
+    size: row.body.length,
+    sourceRevisionId: row.source_revision_id,
+  };
+}
+
+function toRevision(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...toRevisionSummary(row),
+    meta: JSON.parse(row.meta_json),
+    body: row.body,
+  };
+}
+
+function getExpiresAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + getRevisionRetentionDays() * DAY_MS).toISOString();
+}
+
+/**
+ * 単元の版の履歴。保存のたびにメタ情報と本文をそのまま複製して追記し、書き換えはしない。
+ * 単元を削除しても版は残し、保持期間を過ぎたものだけを消す。
+ */
+class RevisionRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  hasRevisions(unitId) {
+    return Boolean(this.db.prepare('SELECT 1 FROM unit_revisions WHERE unit_id = ? LIMIT 1').get(String(unitId)));
+  }
+
+  // author: { id, name }（管理画面以外からの保存では省略）
+  createRevision(unitId, { action, meta, contentFormat, body, author, sourceRevisionId = null, now = new Date() }) {
+    const id = `rev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    this.db.transaction(() => {
+      const lastNumber = this.db.prepare('SELECT MAX(revision_number) FROM unit_revisions WHERE unit_id = ?')
+        .pluck()
+        .get(String(unitId)) || 0;
+
+      this.db.prepare(`
+        INSERT INTO unit_revisions (
+          id, unit_id, revision_number, action, created_at, author_id, author_name,
+          content_format, meta_json, body, source_revision_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        String(unitId),
+        lastNumber + 1,
+        action,
+        now.toISOString(),
+        author?.id ? String(author.id) : null,
+        author?.name || null,
+        contentFormat,
+        JSON.stringify(meta),
+        body ?? '',
+        sourceRevisionId
+      );
+
+      // 保存できたということは単元が存在するので、削除の記録は取り消す
+      this.db.prepare('DELETE FROM unit_deletions WHERE unit_id = ?').run(String(unitId));
+    })();
+
+    return this.findRevision(unitId, id);
+  }
+
+  // 新しい版から順に、本文を除いて返す
+  listRevisions(unitId) {
+    return this.db.prepare('SELECT * FROM unit_revisions WHERE unit_id = ? ORDER BY revision_number DESC')
+      .all(String(unitId))
+      .map(toRevisionSummary);
+  }
+
+  findRevision(unitId, revisionId) {
+    return toRevision(this.db.prepare('SELECT * FROM unit_revisions WHERE unit_id = ? AND id = ?')
+      .get(String(unitId), String(revisionId)));
+  }
+
+  findPreviousRevision(unitId, revisionNumber) {
+    return toRevision(this.db.prepare(`
+      SELECT * FROM unit_revisions
+      WHERE unit_id = ? AND revision_number < ?
+      ORDER BY revision_number DESC
+      LIMIT 1
+    `).get(String(unitId), revisionNumber));
+  }
+
+  findLatestRevision(unitId) {
+    return toRevision(this.db.prepare(`
+      SELECT * FROM unit_revisions WHERE unit_id = ? ORDER BY revision_number DESC LIMIT 1
+    `).get(String(unitId)));
+  }
+
+  markDeleted(unitId, { title, deletedBy, now = new Date() } = {}) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO unit_deletions (unit_id, title, deleted_at, deleted_by) VALUES (?, ?, ?, ?)
+    `).run(String(unitId), title || null, now.toISOString(), deletedBy || null);
+    this.purgeExpired(now);
+  }
+
+  findDeletion(unitId) {
+    const row = this.db.prepare('SELECT * FROM unit_deletions WHERE unit_id = ?').get(String(unitId));
+    return row ? { unitId: row.unit_id, title: row.title, deletedAt: row.deleted_at, deletedBy: row.deleted_by, expiresAt: getExpiresAt(row.deleted_at) } : null;
+  }
+
+  // 削除した単元のうち、版が残っているもの（新しく削除した順）
+  listDeletedUnits(now = new Date()) {
+    this.purgeExpired(now);
+
+    return this.db.prepare(`
+      SELECT d.*, COUNT(r.id) AS revision_count
+      FROM unit_deletions d
+      JOIN unit_revisions r ON r.unit_id = d.unit_id
+      GROUP BY d.unit_id
+      ORDER BY d.deleted_at DESC
+    `).all().map((row) => ({
+      unitId: row.unit_id,
+      title: row.title,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by,
+      expiresAt: getExpiresAt(row.deleted_at),
+      revisionCount: row.revision_count,
+      latestRevision: toRevisionSummary(this.db.prepare(`
+        SELECT * FROM unit_revisions WHERE unit_id = ? ORDER BY revision_number DESC LIMIT 1
+      `).get(row.unit_id)),
+    }));
+  }
+
+  purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - getRevisionRetentionDays() * DAY_MS).toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM unit_revisions
+        WHERE unit_id IN (SELECT unit_id FROM unit_deletions WHERE deleted_at < ?)
+      `).run(cutoff);
+      this.db.prepare('DELETE FROM unit_deletions WHERE deleted_at < ?').run(cutoff);
+    })();
+  }
+}
+
+const revisionRepository = new RevisionRepository();
+
+export default revisionRepository;
@@ -0,0 +1,138 @@
+import { getDatabase } from '@/server/storage/sqlite';
+import { extractSectionTexts } from '@/features/content/lib/htmlUtils';
+import { extractMarkdownSectionTexts } from '@/features/content/lib/markdownUtils';
+import { tokenizeSearchText } from '@/features/search/lib/searchText';
+
+// 正規化・トークン化・節の分け方を変えたら上げる。次に検索したときに全単元を索引し直す
+export const SEARCH_INDEX_VERSION = 1;
+const INDEX_VERSION_STATE_KEY = 'search_index_version';
+const SEARCH_HEADING_LEVELS = [2, 3];
+
+function toSection(row) {
+  return {
+    unitId: row.unit_id,
+    ordinal: row.ordinal,
+    sectionId: row.section_id,
+    sectionTitle: row.section_title,
+    text: row.text,
+    length: row.length,
+  };
+}
+
+function buildSectionRows(unitId, { contentFormat, body }) {
+  if (!body) {
+    return [];
+  }
+
+  const sections = contentFormat === 'html'
+    ? extractSectionTexts(body, { headingLevels: SEARCH_HEADING_LEVELS })
+    : extractMarkdownSectionTexts(body, { headingLevels: SEARCH_HEADING_LEVELS });
+
+  return sections.map((section, ordinal) => ({
+    unitId: String(unitId),
+    ordinal,
+    sectionId: section.sectionId,
+    sectionTitle: section.sectionTitle,
+    text: section.text,
+    ...tokenizeSearchText(section.text),
+  }));
+}
+
+/**
+ * 全文検索の転置索引。単元の本文を見出し（h2・h3）ごとの節に分け、節ごとのトークンの出現回数を保存する。
+ * contentRepository.saveUnit / deleteUnit のたびにその単元の行を入れ替える。
+ */
+class SearchIndexRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  writeUnitRows(unitId, rows) {
+    this.db.prepare('DELETE FROM search_postings WHERE unit_id = ?').run(String(unitId));
+    this.db.prepare('DELETE FROM search_sections WHERE unit_id = ?').run(String(unitId));
+
+    const insertSection = this.db.prepare(`
+      INSERT INTO search_sections (unit_id, ordinal, section_id, section_title, text, length)
+      VALUES (@unitId, @ordinal, @sectionId, @sectionTitle, @text, @length)
+    `);
+    const insertPosting = this.db.prepare(`
+      INSERT INTO search_postings (token, unit_id, ordinal, tf) VALUES (?, ?, ?, ?)
+    `);
+
+    rows.forEach(({ tokens, ...section }) => {
+      insertSection.run(section);
+      tokens.forEach((tf, token) => insertPosting.run(token, section.unitId, section.ordinal, tf));
+    });
+  }
+
+  indexUnit(unitId, source) {
+    const rows = buildSectionRows(unitId, source);
+    this.db.transaction(() => this.writeUnitRows(unitId, rows))();
+  }
+
+  removeUnit(unitId) {
+    this.db.transaction(() => this.writeUnitRows(unitId, []))();
+  }
+
+  isIndexCurrent() {
+    const version = this.db.prepare('SELECT value FROM storage_state WHERE key = ?').pluck().get(INDEX_VERSION_STATE_KEY);
+    return Number(version) === SEARCH_INDEX_VERSION;
+  }
+
+  // sources: [{ id, contentFormat, body }]
+  rebuild(sources) {
+    const rowsByUnit = sources.map((source) => [source.id, buildSectionRows(source.id, source)]);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM search_postings').run();
+      this.db.prepare('DELETE FROM search_sections').run();
+      rowsByUnit.forEach(([unitId, rows]) => this.writeUnitRows(unitId, rows));
+      this.db.prepare('INSERT OR REPLACE INTO storage_state (key, value) VALUES (?, ?)')
+        .run(INDEX_VERSION_STATE_KEY, String(SEARCH_INDEX_VERSION));
+    })();
+  }
+
+  // BM25 の文書数と平均文書長（対象の単元の節だけで数える）
+  getStats(unitIds) {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS documentCount, AVG(length) AS averageLength
+      FROM search_sections
+      WHERE unit_id IN (SELECT value FROM json_each(?))
+    `).get(JSON.stringify(unitIds.map(String)));
+
+    return {
+      documentCount: row.documentCount,
+      averageLength: row.averageLength || 1,
+    };
+  }
+
+  findPostings(tokens, unitIds) {
+    if (!tokens.length || !unitIds.length) {
+      return [];
+    }
+
+    return this.db.prepare(`
+      SELECT token, unit_id, ordinal, tf FROM search_postings
+      WHERE token IN (SELECT value FROM json_each(?))
+        AND unit_id IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(tokens), JSON.stringify(unitIds.map(String)))
+      .map((row) => ({ token: row.token, unitId: row.unit_id, ordinal: row.ordinal, tf: row.tf }));
+  }
+
+  // keys: [[unitId, ordinal], ...]
+  getSections(keys) {
+    if (!keys.length) {
+      return [];
+    }
+
+    return this.db.prepare(`
+      SELECT s.* FROM search_sections s
+      JOIN json_each(?) k
+        ON s.unit_id = json_extract(k.value, '$[0]') AND s.ordinal = json_extract(k.value, '$[1]')
+    `).all(JSON.stringify(keys)).map(toSection);
+  }
+}
+
+const searchIndexRepository = new SearchIndexRepository();
+
+export default searchIndexRepository;
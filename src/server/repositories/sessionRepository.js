@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { getDatabase } from '@/server/storage/sqlite';
+
+export const SESSION_REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  PASSWORD_CHANGED: 'password_changed',
+  TOKEN_REUSE: 'token_reuse',
+  ACCOUNT_DISABLED: 'account_disabled',
+};
+
+// Cookie に入れるのは元のリフレッシュトークンだけで、保存するのは SHA-256 のハッシュ
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function toSession(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokeReason: row.revoke_reason,
+  };
+}
+
+/**
+ * ログインのセッション（端末ごと）。リフレッシュトークンは使うたびに新しいものへ取り替え、
+ * 取り替え済みのトークンが猶予（graceMs）を過ぎてから使われたら盗まれたとみなしてセッションごと無効にする。
+ */
+class SessionRepository {
+  get db() {
+    return getDatabase();
+  }
+
+  // 新しいセッションを作り、セッションと元のリフレッシュトークンを返す。期限切れのセッションはここで片付ける
+  create(userId, { userAgent = null, ipAddress = null, ttlMs, now = new Date() }) {
+    const id = `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const refreshToken = createRefreshToken();
+    const timestamp = now.toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM auth_sessions WHERE user_id = ? AND expires_at <= ?').run(String(userId), timestamp);
+      this.db.prepare(`
+        INSERT INTO auth_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+        VALUES (@id, @user_id, @refresh_token_hash, @user_agent, @ip_address, @created_at, @created_at, @expires_at)
+      `).run({
+        id,
+        user_id: String(userId),
+        refresh_token_hash: hashToken(refreshToken),
+        user_agent: userAgent ? String(userAgent).slice(0, 512) : null,
+        ip_address: ipAddress,
+        created_at: timestamp,
+        expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+      });
+    })();
+
+    return { session: this.get(id), refreshToken };
+  }
+
+  get(id) {
+    return toSession(this.db.prepare('SELECT * FROM auth_sessions WHERE id = ?').get(String(id)));
+  }
+
+  // 使えるリフレッシュトークンのセッション（ログアウトで使う）
+  findByRefreshToken(refreshToken, now = new Date()) {
+    return toSession(this.db.prepare(`
+      SELECT * FROM auth_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+    `).get(hashToken(refreshToken), now.toISOString()));
+  }
+
+  isActive(id, now = new Date()) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?
+    `).get(String(id), now.toISOString()));
+  }
+
+  /**
+   * リフレッシュトークンを新しいものに取り替える。
+   * - rotated: 取り替えた（refreshToken が新しいトークン。期限も ttlMs 延ばす）
+   * - grace: 取り替えた直後の古いトークン（同時に開いたタブなど）。取り替えずにセッションだけ返す
+   * - reused: 取り替え済みのトークンが猶予を過ぎて使われた。セッションを無効にした
+   * 不明・期限切れ・無効にしたセッションのトークンなら null。
+   */
+  rotate(refreshToken, { ttlMs, graceMs, ipAddress = null, now = new Date() }) {
+    const tokenHash = hashToken(refreshToken);
+    const timestamp = now.toISOString();
+
+    return this.db.transaction(() => {
+      const current = this.db.prepare(`
+        SELECT * FROM auth_sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+      `).get(tokenHash, timestamp);
+
+      if (current) {
+        const nextToken = createRefreshToken();
+        this.db.prepare(`
+          UPDATE auth_sessions
+          SET refresh_token_hash = @next_hash, previous_token_hash = @previous_hash, rotated_at = @now,
+              last_used_at = @now, expires_at = @expires_at, ip_address = COALESCE(@ip_address, ip_address)
+          WHERE id = @id
+        `).run({
+          id: current.id,
+          next_hash: hashToken(nextToken),
+          previous_hash: tokenHash,
+          now: timestamp,
+          expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+          ip_address: ipAddress,
+        });
+        return { status: 'rotated', session: this.get(current.id), refreshToken: nextToken };
+      }
+
+      const previous = this.db.prepare(`
+        SELECT * FROM auth_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+      `).get(tokenHash, timestamp);
+      if (!previous) {
+        return null;
+      }
+
+      if (now.getTime() - new Date(previous.rotated_at).getTime() <= graceMs) {
+        return { status: 'grace', session: toSession(previous) };
+      }
+
+      this.revoke(previous.user_id, previous.id, SESSION_REVOKE_REASONS.TOKEN_REUSE, now);
+      return { status: 'reused', session: this.get(previous.id) };
+    }).immediate();
+  }
+
+  // 使えるセッションを最後に使った順に
+  listActive(userId, now = new Date()) {
+    return this.db.prepare(`
+      SELECT * FROM auth_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `).all(String(userId), now.toISOString()).map(toSession);
+  }
+
+  // ユーザーのセッションを1つ無効にする。無効にしたら true
+  revoke(userId, id, reason = SESSION_REVOKE_REASONS.REVOKED, now = new Date()) {
+    const result = this.db.prepare(`
+      UPDATE auth_sessions SET revoked_at = ?, revoke_reason = ?
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(now.toISOString(), reason, String(id), String(userId));
+    return result.changes > 0;
+  }
+
+  // ユーザーのセッションをすべて（exceptId を渡せばそれ以外を）無効にして、無効にした数を返す
+  revokeAll(userId, { exceptId = null, reason = SESSION_REVOKE_REASONS.REVOKED, now = new Date() } = {}) {
+    const result = this.db.prepare(`
+      UPDATE auth_sessions SET revoked_at = ?, revoke_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+    `).run(now.toISOString(), reason, String(userId), exceptId);
+    return result.changes;
+  }
+}
+
+const sessionRepository = new SessionRepository();
+
+export default sessionRepository;
@@ -0,0 +1,75 @@
+import userRepository from '@/server/repositories/userRepository';
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+function toStudyEvent(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    unitId: row.unit_id,
+    type: row.type,
+    payload: JSON.parse(row.payload_json),
+    occurredAt: row.occurred_at,
+  };
+}
+
+// 学習のイベントの記録。追記だけで、書き換え・削除はしない（ユーザーを消したときだけ一緒に消える）
+class StudyEventRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  // progressRepository のトランザクションの中から呼ぶ
+  append(userId, unitId, { type, payload }, occurredAt = new Date().toISOString()) {
+    const result = this.db.prepare(`
+      INSERT INTO study_events (user_id, unit_id, type, payload_json, occurred_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(String(userId), String(unitId), type, JSON.stringify(payload || {}), occurredAt);
+
+    return {
+      id: Number(result.lastInsertRowid),
+      userId: String(userId),
+      unitId: String(unitId),
+      type,
+      payload: payload || {},
+      occurredAt,
+    };
+  }
+
+  /**
+   * 新しい順のイベント。unitId で単元を絞り込み、before（イベント ID）より前を limit 件返す。
+   * nextBefore は続きを読むときに before に渡す値（続きがなければ null）。
+   */
+  list(userId, { unitId, before, limit = DEFAULT_LIST_LIMIT } = {}) {
+    const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+    const conditions = ['user_id = @userId'];
+    if (unitId) {
+      conditions.push('unit_id = @unitId');
+    }
+    if (before) {
+      conditions.push('id < @before');
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM study_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT @limit
+    `).all({
+      userId: String(userId),
+      unitId: unitId ? String(unitId) : null,
+      before: Number(before) || null,
+      limit: pageSize + 1,
+    });
+
+    return {
+      events: rows.slice(0, pageSize).map(toStudyEvent),
+      nextBefore: rows.length > pageSize ? rows[pageSize - 1].id : null,
+    };
+  }
+}
+
+const studyEventRepository = new StudyEventRepository();
+
+export default studyEventRepository;
@@ -0,0 +1,73 @@
+import userRepository from '@/server/repositories/userRepository';
+import { ValidationError } from '@/server/repositories/errors';
+import { getStudyPlanSettingsError, normalizeWeeklyHours } from '@/features/planner/lib/studyPlan';
+
+function toStudyPlan(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    examDate: row.exam_date,
+    weeklyHours: row.weekly_hours,
+    ...JSON.parse(row.plan_json),
+    generatedAt: row.generated_at,
+    replannedAt: row.replanned_at,
+  };
+}
+
+// ユーザーごとの学習計画（試験日・1週間に使える時間と、作った時点の日ごとの予定）。1ユーザー1件
+class StudyPlanRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  get(userId) {
+    return toStudyPlan(this.db.prepare('SELECT * FROM study_plans WHERE user_id = ?').get(String(userId)));
+  }
+
+  // 保存する前に試験日と時間を確かめる（today は日本時間の日付）
+  normalizeSettings({ examDate, weeklyHours }, today) {
+    const error = getStudyPlanSettingsError({ examDate, weeklyHours }, today);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    return { examDate, weeklyHours: normalizeWeeklyHours(weeklyHours) };
+  }
+
+  /**
+   * 計画を保存する。plan は buildStudyPlan の結果（days / summary）に startDate を足したもの。
+   * replanned を渡すと、遅れに合わせて作り直した日時として replanned_at を更新する（設定を変えたときは消す）。
+   */
+  save(userId, { examDate, weeklyHours, plan, replanned = false }) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO study_plans (user_id, exam_date, weekly_hours, plan_json, generated_at, replanned_at)
+      VALUES (@userId, @examDate, @weeklyHours, @planJson, @generatedAt, @replannedAt)
+      ON CONFLICT (user_id) DO UPDATE SET
+        exam_date = excluded.exam_date,
+        weekly_hours = excluded.weekly_hours,
+        plan_json = excluded.plan_json,
+        generated_at = excluded.generated_at,
+        replanned_at = excluded.replanned_at
+    `).run({
+      userId: String(userId),
+      examDate,
+      weeklyHours,
+      planJson: JSON.stringify(plan),
+      generatedAt: now,
+      replannedAt: replanned ? now : null,
+    });
+
+    return this.get(userId);
+  }
+
+  delete(userId) {
+    return this.db.prepare('DELETE FROM study_plans WHERE user_id = ?').run(String(userId)).changes > 0;
+  }
+}
+
+const studyPlanRepository = new StudyPlanRepository();
+
+export default studyPlanRepository;
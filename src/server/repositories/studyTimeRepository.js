@@ -0,0 +1,49 @@
+import userRepository from '@/server/repositories/userRepository';
+
+// ユーザー・日付（日本時間）・単元ごとの学習時間（秒）。セクションを閲覧したイベントの秒数を足していく
+class StudyTimeRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  // progressRepository.recordEvents のトランザクションの中から呼ぶ
+  addSeconds(userId, unitId, studyDate, seconds) {
+    const recorded = Math.floor(Number(seconds) || 0);
+    if (recorded <= 0) {
+      return;
+    }
+
+    this.db.prepare(`
+      INSERT INTO study_time_daily (user_id, study_date, unit_id, seconds)
+      VALUES (@userId, @studyDate, @unitId, @seconds)
+      ON CONFLICT (user_id, study_date, unit_id) DO UPDATE SET
+        seconds = study_time_daily.seconds + excluded.seconds
+    `).run({
+      userId: String(userId),
+      studyDate,
+      unitId: String(unitId),
+      seconds: recorded,
+    });
+  }
+
+  // from 以降（from を含む）の [{ studyDate, unitId, seconds }]
+  listSince(userId, from) {
+    return this.db.prepare(`
+      SELECT study_date AS studyDate, unit_id AS unitId, seconds
+      FROM study_time_daily
+      WHERE user_id = ? AND study_date >= ?
+      ORDER BY study_date
+    `).all(String(userId), from);
+  }
+
+  // 学習した日（日付の昇順）。連続学習日数の計算に使う
+  listStudyDates(userId) {
+    return this.db.prepare('SELECT DISTINCT study_date FROM study_time_daily WHERE user_id = ? AND seconds > 0 ORDER BY study_date')
+      .pluck()
+      .all(String(userId));
+  }
+}
+
+const studyTimeRepository = new StudyTimeRepository();
+
+export default studyTimeRepository;
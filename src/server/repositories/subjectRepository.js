@@ -0,0 +1,235 @@
+import { createSubjectStore } from '@/server/storage/content';
+import { ValidationError } from '@/server/repositories/errors';
+import {
+  SUBJECT_CATEGORY_OPTIONS,
+  SUBJECT_COLOR_OPTIONS,
+  getAllSubjects,
+  getDefaultSubjects,
+  getSubjectById,
+  setSubjectCatalogue,
+} from '@/features/content/lib/subjects';
+import { DIFFICULTY_OPTIONS } from '@/features/content/lib/contentMetadata';
+import { DEFAULT_SUBJECT_ICON, SUBJECT_ICON_NAMES } from '@/features/content/lib/subjectIcons';
+
+const SUBJECT_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SUBJECT_ID_LENGTH = 50;
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_ESTIMATED_HOURS = 1000;
+// 科目データに残す単元の項目（種データとして使う項目と、一覧に出す項目）
+const UNIT_ENTRY_FIELDS = ['id', 'title', 'type', 'difficulty', 'estimatedTime', 'accessLevel', 'lawVersion', 'effectiveFrom', 'prerequisites'];
+
+function trimText(value) {
+  return String(value ?? '').trim();
+}
+
+function cloneCatalogue(subjects) {
+  return subjects.map((subject) => ({ ...subject, units: [...(subject.units || [])] }));
+}
+
+function isSameIdSet(left, right) {
+  return left.length === right.length
+    && new Set(left).size === left.length
+    && left.every((id) => right.includes(id));
+}
+
+function toUnitEntry(unit) {
+  return Object.fromEntries(
+    UNIT_ENTRY_FIELDS
+      .filter((field) => unit[field] !== undefined && unit[field] !== null)
+      .map((field) => [field, field === 'id' ? String(unit[field]) : unit[field]])
+  );
+}
+
+/**
+ * 科目データ（科目の一覧と、科目ごとの単元の並び）。単元と同じストレージに保存し、
+ * 保存がなければ data/subjects.json の既定値を使う。
+ *
+ * 読み込んだ内容は setSubjectCatalogue で subjects.js に反映するので、getSubjectById などはそのまま使える。
+ * 変更のたびに onChange のリスナー（contentRepository の種データと並び順の更新）を呼ぶ。
+ */
+class SubjectRepository {
+  constructor(store) {
+    this.store = store || createSubjectStore();
+    this.listeners = new Set();
+    setSubjectCatalogue(this.store.readSubjects() || getDefaultSubjects());
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  listSubjects({ includeRetired = true } = {}) {
+    const subjects = getAllSubjects();
+    return includeRetired ? subjects : subjects.filter((subject) => !subject.retired);
+  }
+
+  getSubject(id) {
+    return getSubjectById(id) || null;
+  }
+
+  // 単元 ID を科目データの並び順（科目の順 → 科目内の順）で返す
+  getUnitOrder() {
+    return getAllSubjects().flatMap((subject) => (subject.units || []).map((unit) => unit.id));
+  }
+
+  findUnitSubject(unitId) {
+    return getAllSubjects().find((subject) => (subject.units || []).some((unit) => unit.id === String(unitId))) || null;
+  }
+
+  writeCatalogue(subjects) {
+    this.store.writeSubjects(subjects);
+    setSubjectCatalogue(subjects);
+    this.listeners.forEach((listener) => listener(subjects));
+  }
+
+  requireSubject(subjects, id) {
+    const subject = subjects.find((candidate) => candidate.id === id);
+    if (!subject) {
+      throw new ValidationError('科目が見つかりません');
+    }
+    return subject;
+  }
+
+  normalizeSubject(input, existing = null) {
+    const name = trimText(input.name ?? existing?.name);
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new ValidationError(`科目名は1〜${MAX_NAME_LENGTH}文字で入力してください`);
+    }
+
+    const description = trimText(input.description ?? existing?.description);
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new ValidationError(`説明は${MAX_DESCRIPTION_LENGTH}文字以内で入力してください`);
+    }
+
+    const category = input.category ?? existing?.category;
+    if (!SUBJECT_CATEGORY_OPTIONS.some((option) => option.value === category)) {
+      throw new ValidationError('区分が不正です');
+    }
+
+    const difficulty = input.difficulty ?? existing?.difficulty;
+    if (!DIFFICULTY_OPTIONS.some((option) => option.value === difficulty)) {
+      throw new ValidationError('難易度が不正です');
+    }
+
+    const estimatedHours = Number(input.estimatedHours ?? existing?.estimatedHours);
+    if (!Number.isInteger(estimatedHours) || estimatedHours < 0 || estimatedHours > MAX_ESTIMATED_HOURS) {
+      throw new ValidationError(`目安の学習時間は0〜${MAX_ESTIMATED_HOURS}の整数で入力してください`);
+    }
+
+    const color = input.color ?? existing?.color;
+    if (!SUBJECT_COLOR_OPTIONS.includes(color)) {
+      throw new ValidationError('色が不正です');
+    }
+
+    const icon = input.icon ?? existing?.icon ?? DEFAULT_SUBJECT_ICON;
+    if (!SUBJECT_ICON_NAMES.includes(icon)) {
+      throw new ValidationError('アイコンが不正です');
+    }
+
+    return { name, description, category, difficulty, estimatedHours, color, icon };
+  }
+
+  createSubject(input) {
+    const id = trimText(input.id);
+    if (!SUBJECT_ID_PATTERN.test(id) || id.length > MAX_SUBJECT_ID_LENGTH) {
+      throw new ValidationError('科目 ID は半角英小文字・数字とハイフンで入力してください（例: civil-law）');
+    }
+
+    const subjects = cloneCatalogue(getAllSubjects());
+    if (subjects.some((subject) => subject.id === id)) {
+      throw new ValidationError('同じ ID の科目がすでにあります');
+    }
+
+    const subject = { id, ...this.normalizeSubject(input), units: [], retired: false };
+    this.writeCatalogue([...subjects, subject]);
+    return subject;
+  }
+
+  // ID と単元の並びは変えない。retired を渡すと廃止・再開する
+  updateSubject(id, input) {
+    const subjects = cloneCatalogue(getAllSubjects());
+    const subject = this.requireSubject(subjects, id);
+
+    Object.assign(subject, this.normalizeSubject(input, subject));
+    if (input.retired !== undefined) {
+      subject.retired = Boolean(input.retired);
+    }
+
+    this.writeCatalogue(subjects);
+    return subject;
+  }
+
+  // subjectIds は全科目（廃止した科目を含む）の ID を新しい順に並べたもの
+  reorderSubjects(subjectIds) {
+    const subjects = getAllSubjects();
+    const ids = (subjectIds || []).map(String);
+    if (!isSameIdSet(ids, subjects.map((subject) => subject.id))) {
+      throw new ValidationError('科目の並びにすべての科目を1回ずつ指定してください');
+    }
+
+    this.writeCatalogue(ids.map((id) => subjects.find((subject) => subject.id === id)));
+  }
+
+  // unitIds はその科目の単元 ID を新しい順に並べたもの。別の科目への移動は upsertUnitEntry で行う
+  reorderUnits(subjectId, unitIds) {
+    const subjects = cloneCatalogue(getAllSubjects());
+    const subject = this.requireSubject(subjects, subjectId);
+    const ids = (unitIds || []).map(String);
+    if (!isSameIdSet(ids, subject.units.map((unit) => unit.id))) {
+      throw new ValidationError('単元の並びにその科目のすべての単元を1回ずつ指定してください');
+    }
+
+    subject.units = ids.map((id) => subject.units.find((unit) => unit.id === id));
+    this.writeCatalogue(subjects);
+  }
+
+  /**
+   * 単元を科目データに載せる（contentRepository.saveUnit から呼ぶ）。
+   * 同じ科目にあればその位置のまま内容を更新し、別の科目にあれば移して末尾に加える。
+   */
+  upsertUnitEntry(subjectId, unit) {
+    const subjects = cloneCatalogue(getAllSubjects());
+    const target = this.requireSubject(subjects, subjectId);
+    const entry = toUnitEntry(unit);
+
+    let updated = false;
+    subjects.forEach((subject) => {
+      const index = subject.units.findIndex((candidate) => candidate.id === entry.id);
+      if (index === -1) {
+        return;
+      }
+
+      if (subject === target) {
+        subject.units[index] = { ...subject.units[index], ...entry };
+        updated = true;
+      } else {
+        subject.units.splice(index, 1);
+      }
+    });
+
+    if (!updated) {
+      target.units.push(entry);
+    }
+
+    this.writeCatalogue(subjects);
+  }
+
+  removeUnitEntry(unitId) {
+    const id = String(unitId);
+    if (!this.findUnitSubject(id)) {
+      return;
+    }
+
+    this.writeCatalogue(cloneCatalogue(getAllSubjects()).map((subject) => ({
+      ...subject,
+      units: subject.units.filter((unit) => unit.id !== id),
+    })));
+  }
+}
+
+const subjectRepository = new SubjectRepository();
+
+export default subjectRepository;
+export { SubjectRepository };
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import userRepository from '@/server/repositories/userRepository';
+
+// 読み間違えやすい文字（0/o、1/l/i）を除いた英数字
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+// 入力の揺れ（大文字・ハイフン・空白）をならしてから比べる
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// 控えてもらうのは元のコードだけで、保存するのは SHA-256 のハッシュ
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function createRecoveryCode() {
+  const chars = Array.from(crypto.randomBytes(RECOVERY_CODE_LENGTH), (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+function toTwoFactor(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    userId: row.user_id,
+    secret: row.secret,
+    enabled: Boolean(row.enabled_at),
+    enabledAt: row.enabled_at,
+    lastUsedStep: row.last_used_step,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 二段階認証（TOTP）の秘密鍵とリカバリーコード。設定を始めると秘密鍵だけを保存し（enabled_at は null）、
+ * 認証アプリのコードを確かめてから有効にする。
+ */
+class TwoFactorRepository {
+  get db() {
+    return userRepository.db;
+  }
+
+  get(userId) {
+    return toTwoFactor(this.db.prepare('SELECT * FROM user_two_factor WHERE user_id = ?').get(String(userId)));
+  }
+
+  // 有効にしているユーザーの ID（管理画面の一覧用）
+  listEnabledUserIds() {
+    return new Set(this.db.prepare('SELECT user_id FROM user_two_factor WHERE enabled_at IS NOT NULL').all().map((row) => row.user_id));
+  }
+
+  // 設定を始める（やり直す）。有効にしているあいだは呼ばない
+  saveSecret(userId, secret, now = new Date()) {
+    const timestamp = now.toISOString();
+    this.db.prepare(`
+      INSERT INTO user_two_factor (user_id, secret, enabled_at, last_used_step, created_at, updated_at)
+      VALUES (@user_id, @secret, NULL, NULL, @now, @now)
+      ON CONFLICT (user_id) DO UPDATE SET secret = @secret, enabled_at = NULL, last_used_step = NULL, updated_at = @now
+    `).run({ user_id: String(userId), secret, now: timestamp });
+    return this.get(userId);
+  }
+
+  // 有効にして、新しいリカバリーコード（元の値）を返す。最初のコードのステップも記録する
+  enable(userId, step, { count, now = new Date() }) {
+    return this.db.transaction(() => {
+      const timestamp = now.toISOString();
+      this.db.prepare(`
+        UPDATE user_two_factor SET enabled_at = ?, last_used_step = ?, updated_at = ? WHERE user_id = ?
+      `).run(timestamp, step, timestamp, String(userId));
+      return this.replaceRecoveryCodes(userId, { count });
+    }).immediate();
+  }
+
+  /**
+   * コードのステップを使用済みにする。記録済みのステップ以前なら（同じコードの使い回し）false。
+   */
+  useStep(userId, step, now = new Date()) {
+    const result = this.db.prepare(`
+      UPDATE user_two_factor SET last_used_step = ?, updated_at = ?
+      WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+    `).run(step, now.toISOString(), String(userId), step);
+    return result.changes > 0;
+  }
+
+  // リカバリーコードを作り直して元の値を返す（前のコードは使えなくなる）
+  replaceRecoveryCodes(userId, { count }) {
+    const codes = Array.from({ length: count }, createRecoveryCode);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(String(userId));
+      const insert = this.db.prepare('INSERT OR IGNORE INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+      codes.forEach((code) => insert.run(String(userId), hashRecoveryCode(code)));
+    })();
+    return codes;
+  }
+
+  // 使っていないリカバリーコードなら使用済みにして true
+  consumeRecoveryCode(userId, code, now = new Date()) {
+    if (!normalizeRecoveryCode(code)) {
+      return false;
+    }
+
+    const result = this.db.prepare(`
+      UPDATE two_factor_recovery_codes SET used_at = ?
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(now.toISOString(), String(userId), hashRecoveryCode(code));
+    return result.changes > 0;
+  }
+
+  countRemainingRecoveryCodes(userId) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL
+    `).get(String(userId)).count;
+  }
+
+  // 秘密鍵とリカバリーコードを消す（無効にする・管理者が解除する）。消したら true
+  remove(userId) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM two_factor_recovery_codes WHERE user_id = ?').run(String(userId));
+      return this.db.prepare('DELETE FROM user_two_factor WHERE user_id = ?').run(String(userId)).changes > 0;
+    })();
+  }
+}
+
+const twoFactorRepository = new TwoFactorRepository();
+
+export default twoFactorRepository;
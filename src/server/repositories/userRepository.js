@@ -1,29 +1,35 @@
-import fs from 'fs';
-import path from 'path';
 import { hashPassword, verifyPassword } from '@/features/auth/server/auth';
 import { MEMBERSHIP_TIERS } from '@/shared/lib/entitlements';
+import { USER_STATUSES } from '@/shared/lib/userStatus';
+import { getDatabase } from '@/server/storage/sqlite';
+import { hasImportedLegacyUsers, importLegacyUsers } from '@/server/storage/legacyUsers';
+import { VersionConflictError } from '@/server/repositories/errors';
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
+// id / email / role / status / version は列として持ち、それ以外はドキュメントとして data_json に保存する
+const COLUMN_FIELDS = ['id', 'email', 'role', 'status', 'version'];
 
-function ensureStorage() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-
-  if (!fs.existsSync(USERS_FILE)) {
-    fs.writeFileSync(USERS_FILE, JSON.stringify([], null, 2));
+function toUser(row) {
+  if (!row) {
+    return null;
   }
-}
 
-function readUsers() {
-  ensureStorage();
-  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  return {
+    ...JSON.parse(row.data_json),
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    status: row.status,
+    version: row.version,
+  };
 }
 
-function writeUsers(users) {
-  ensureStorage();
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+function toDocument(user) {
+  const document = { ...user };
+  COLUMN_FIELDS.forEach((field) => {
+    delete document[field];
+  });
+  delete document.progress;
+  return document;
 }
 
 function sanitizeUser(user) {
@@ -36,20 +42,33 @@ function sanitizeUser(user) {
 }
 
 class UserRepository {
+  // 初回アクセス時に data/users.json（旧形式）を取り込む
+  get db() {
+    const db = getDatabase();
+    if (!this.legacyImportChecked) {
+      if (!hasImportedLegacyUsers(db)) {
+        importLegacyUsers(db);
+      }
+      this.legacyImportChecked = true;
+    }
+
+    return db;
+  }
+
   findByEmail(email) {
-    const users = readUsers();
-    return users.find((user) => user.email === email) || null;
+    return toUser(this.db.prepare('SELECT * FROM users WHERE email = ?').get(email));
   }
 
   findById(id) {
-    const users = readUsers();
-    return users.find((user) => user.id === id) || null;
+    return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(String(id)));
   }
 
-  async create(userData) {
-    const users = readUsers();
-    const existing = users.find((user) => user.email === userData.email);
-    if (existing) {
+  /**
+   * 新規登録はメールアドレスの確認待ち（pending_verification）で作る。確認は markEmailVerified。
+   * options.emailVerified は外部の ID プロバイダーが確認済みのアドレスで作るとき。パスワードなしでも作れる。
+   */
+  async create(userData, { emailVerified = false } = {}) {
+    if (this.findByEmail(userData.email)) {
       throw new Error('このメールアドレスは既に登録されています');
     }
 
@@ -58,30 +77,46 @@ class UserRepository {
       id: String(Date.now()),
       email: userData.email,
       name: userData.name,
-      password: await hashPassword(userData.password),
+      password: userData.password ? await hashPassword(userData.password) : null,
       role: userData.role || 'user',
-      status: 'active',
+      status: emailVerified ? USER_STATUSES.ACTIVE : USER_STATUSES.PENDING_VERIFICATION,
+      emailVerifiedAt: emailVerified ? now : null,
       membership: MEMBERSHIP_TIERS.FREE,
       isPremium: false,
       premiumExpiresAt: null,
       lastLoginAt: null,
       createdAt: now,
       updatedAt: now,
-      progress: {},
       settings: {
         emailNotifications: true,
         darkMode: false,
       },
     };
 
-    users.push(newUser);
-    writeUsers(users);
-    return sanitizeUser(newUser);
+    const inserted = this.db.prepare(`
+      INSERT OR IGNORE INTO users (id, email, role, status, version, data_json, created_at, updated_at)
+      VALUES (@id, @email, @role, @status, 1, @data_json, @created_at, @updated_at)
+    `).run({
+      id: newUser.id,
+      email: newUser.email,
+      role: newUser.role,
+      status: newUser.status,
+      data_json: JSON.stringify(toDocument(newUser)),
+      created_at: now,
+      updated_at: now,
+    });
+
+    if (!inserted.changes) {
+      throw new Error('このメールアドレスは既に登録されています');
+    }
+
+    return sanitizeUser(this.findById(newUser.id));
   }
 
   async authenticate(email, password) {
     const user = this.findByEmail(email);
-    if (!user) {
+    // 外部アカウントで登録したユーザーはパスワードを持たない
+    if (!user || !user.password) {
       return null;
     }
 
@@ -93,26 +128,76 @@ class UserRepository {
     return sanitizeUser(user);
   }
 
-  async update(id, updates) {
-    const users = readUsers();
-    const index = users.findIndex((user) => user.id === id);
-    if (index === -1) {
-      throw new Error('ユーザーが見つかりません');
-    }
-
+  /**
+   * 1ユーザー分だけをトランザクション内で読み替えて保存する。
+   * options.expectedVersion を渡すと、読み込み後に他の更新が入っていた場合 VersionConflictError を投げる。
+   */
+  async update(id, updates, options = {}) {
     const next = { ...updates };
     if (next.password) {
       next.password = await hashPassword(next.password);
     }
 
-    users[index] = {
-      ...users[index],
-      ...next,
-      updatedAt: new Date().toISOString(),
-    };
+    const db = this.db;
+    const updated = db.transaction(() => {
+      const current = this.findById(id);
+      if (!current) {
+        throw new Error('ユーザーが見つかりません');
+      }
+
+      if (options.expectedVersion !== undefined && Number(options.expectedVersion) !== current.version) {
+        throw new VersionConflictError();
+      }
+
+      const merged = {
+        ...current,
+        ...next,
+        id: current.id,
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = db.prepare(`
+        UPDATE users
+        SET email = @email, role = @role, status = @status, version = version + 1,
+            data_json = @data_json, updated_at = @updated_at
+        WHERE id = @id AND version = @version
+      `).run({
+        id: current.id,
+        email: merged.email,
+        role: merged.role || 'user',
+        status: merged.status || 'active',
+        version: current.version,
+        data_json: JSON.stringify(toDocument(merged)),
+        updated_at: merged.updatedAt,
+      });
+
+      if (!result.changes) {
+        throw new VersionConflictError();
+      }
+
+      return this.findById(current.id);
+    }).immediate();
+
+    return sanitizeUser(updated);
+  }
 
-    writeUsers(users);
-    return sanitizeUser(users[index]);
+  /**
+   * メールアドレスを確認済みにする。確認のリンクを送った後にアドレスが変わっていれば何もしない（null を返す）。
+   * 確認待ちでないユーザー（確認済み・停止中など）は状態を変えずにそのまま返す。
+   */
+  async markEmailVerified(id, email) {
+    const user = this.findById(id);
+    if (!user || user.email !== email) {
+      return null;
+    }
+    if (user.status !== USER_STATUSES.PENDING_VERIFICATION) {
+      return sanitizeUser(user);
+    }
+
+    return this.update(id, {
+      status: USER_STATUSES.ACTIVE,
+      emailVerifiedAt: new Date().toISOString(),
+    }, { expectedVersion: user.version });
   }
 
   async recordLogin(id) {
@@ -120,7 +205,8 @@ class UserRepository {
   }
 
   listUsers() {
-    return readUsers().map((user) => sanitizeUser(user));
+    return this.db.prepare('SELECT * FROM users ORDER BY created_at').all()
+      .map((row) => sanitizeUser(toUser(row)));
   }
 
   async updateMembership(id, membership, premiumExpiresAt = null) {
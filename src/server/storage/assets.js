@@ -0,0 +1,102 @@
+/**
+ * Protected asset storage
+ *
+ * Uploaded audio / PDF files live outside public/ and are only reachable
+ * through the streaming route at /api/assets/[type]/[name]. Kept in CommonJS
+ * so that scripts/migrate-assets.js can share the same path rules.
+ *
+ * Stored URLs look like `/api/assets/audio/101-1700000000000.mp3`. Legacy
+ * values (`/audio/...`, `/pdf/...`) written before the move are mapped to the
+ * same route by toAssetUrl().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSET_TYPES = ['audio', 'pdf'];
+const ASSET_ROUTE_PREFIX = '/api/assets';
+const DEFAULT_ASSET_DIR = path.join(process.cwd(), 'data', 'assets');
+const LEGACY_PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.pdf': 'application/pdf',
+};
+
+function getAssetDirectory(type) {
+  const root = process.env.ASSET_STORAGE_PATH
+    ? path.resolve(process.env.ASSET_STORAGE_PATH)
+    : DEFAULT_ASSET_DIR;
+  return path.join(root, type);
+}
+
+function getLegacyAssetDirectory(type) {
+  return path.join(LEGACY_PUBLIC_DIR, type);
+}
+
+function isSafeFileName(fileName) {
+  return typeof fileName === 'string'
+    && fileName.length > 0
+    && fileName === path.basename(fileName)
+    && !fileName.startsWith('.');
+}
+
+// `/api/assets/pdf/x.pdf`, `/pdf/x.pdf`, `pdf/x.pdf` → { type: 'pdf', fileName: 'x.pdf' }
+function parseAssetUrl(assetUrl) {
+  if (!assetUrl || typeof assetUrl !== 'string') {
+    return null;
+  }
+
+  const withoutQuery = assetUrl.split('?')[0].replace(/\\/g, '/');
+  const relative = withoutQuery
+    .replace(/^\/+/, '')
+    .replace(new RegExp(`^${ASSET_ROUTE_PREFIX.replace(/^\//, '')}/`), '');
+  const [type, fileName, ...rest] = relative.split('/');
+
+  if (rest.length || !ASSET_TYPES.includes(type) || !isSafeFileName(fileName)) {
+    return null;
+  }
+
+  return { type, fileName };
+}
+
+function buildAssetUrl(type, fileName) {
+  return `${ASSET_ROUTE_PREFIX}/${type}/${fileName}`;
+}
+
+// 保存済みの値を配信ルートの URL にそろえる。解釈できない値（外部 URL など）はそのまま返す
+function toAssetUrl(assetUrl) {
+  const parsed = parseAssetUrl(assetUrl);
+  return parsed ? buildAssetUrl(parsed.type, parsed.fileName) : assetUrl || null;
+}
+
+// 移行前のファイルが public/ に残っていればそちらを使う
+function resolveAssetFile(type, fileName) {
+  if (!ASSET_TYPES.includes(type) || !isSafeFileName(fileName)) {
+    return null;
+  }
+
+  const candidates = [getAssetDirectory(type), getLegacyAssetDirectory(type)]
+    .map((directory) => path.join(directory, fileName));
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+function getAssetContentType(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+  ASSET_TYPES,
+  ASSET_ROUTE_PREFIX,
+  DEFAULT_ASSET_DIR,
+  getAssetDirectory,
+  getLegacyAssetDirectory,
+  parseAssetUrl,
+  buildAssetUrl,
+  toAssetUrl,
+  resolveAssetFile,
+  getAssetContentType,
+};
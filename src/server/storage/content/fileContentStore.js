@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import { buildUnitIndex, matchesUnitFilters, mergeUnitMeta } from '@/server/storage/content/unitDocument';
+
+const CONTENT_DIR = path.join(process.cwd(), 'content', 'units');
+
+// unitOrder（単元 ID → 並び順）にある単元を先に、残りは ID 順に並べる
+function sortUnits(units, unitOrder) {
+  const positionOf = (unit) => unitOrder.get(String(unit.id)) ?? Infinity;
+  return [...units].sort((left, right) =>
+    positionOf(left) - positionOf(right)
+    || String(left.id).localeCompare(String(right.id), 'ja', { numeric: true })
+  );
+}
+
+function readJsonIfExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function readTextIfExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function getModifiedTime(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+}
+
+/**
+ * content/units 配下の `{id}.meta.json` + `{id}.md` / `{id}.html` をそのまま使うストア。
+ * 一覧はファイルの更新時刻をキーにしたキャッシュから組み立て、変更のない単元の HTML は再解析しない。
+ */
+export class FileContentStore {
+  constructor({ seeds = new Map(), directory = CONTENT_DIR } = {}) {
+    this.seeds = seeds;
+    this.directory = directory;
+    this.indexCache = new Map();
+    this.unitOrder = new Map();
+    this.ensureDirectory();
+  }
+
+  // 種データだけの単元はキャッシュのキーになる更新時刻がないので、種データが変わったらキャッシュを捨てる
+  syncSeeds() {
+    this.indexCache.clear();
+  }
+
+  setUnitOrder(unitIds) {
+    this.unitOrder = new Map(unitIds.map((id, position) => [String(id), position]));
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  getMarkdownPath(id) {
+    return path.join(this.directory, `${id}.md`);
+  }
+
+  getMetaPath(id) {
+    return path.join(this.directory, `${id}.meta.json`);
+  }
+
+  getHtmlPath(id) {
+    return path.join(this.directory, `${id}.html`);
+  }
+
+  listUnitIds() {
+    this.ensureDirectory();
+    const ids = new Set(this.seeds.keys());
+
+    fs.readdirSync(this.directory).forEach((fileName) => {
+      if (fileName.endsWith('.meta.json')) {
+        ids.add(fileName.replace(/\.meta\.json$/, ''));
+      }
+    });
+
+    return sortUnits([...ids].map((id) => ({ id })), this.unitOrder).map((unit) => unit.id);
+  }
+
+  readMeta(id) {
+    return readJsonIfExists(this.getMetaPath(id));
+  }
+
+  readBody(id, record, meta) {
+    if (!meta) {
+      return null;
+    }
+
+    return record.contentFormat === 'html'
+      ? readTextIfExists(this.getHtmlPath(id))
+      : meta.markdown ?? readTextIfExists(this.getMarkdownPath(id));
+  }
+
+  readUnit(id) {
+    const meta = this.readMeta(id);
+    const record = mergeUnitMeta(id, this.seeds.get(id), meta);
+    if (!record) {
+      return null;
+    }
+
+    return {
+      record,
+      body: this.readBody(id, record, meta),
+    };
+  }
+
+  getIndexedEntry(id) {
+    const cacheKey = [
+      getModifiedTime(this.getMetaPath(id)),
+      getModifiedTime(this.getHtmlPath(id)),
+      getModifiedTime(this.getMarkdownPath(id)),
+    ].join(':');
+    const cached = this.indexCache.get(id);
+    if (cached?.cacheKey === cacheKey) {
+      return cached.entry;
+    }
+
+    const stored = this.readUnit(id);
+    if (!stored) {
+      this.indexCache.delete(id);
+      return null;
+    }
+
+    const entry = {
+      ...stored.record,
+      ...buildUnitIndex(stored.record, stored.body),
+    };
+    this.indexCache.set(id, { cacheKey, entry });
+    return entry;
+  }
+
+  scanUnits(filters, options) {
+    return this.listUnitIds()
+      .map((id) => this.getIndexedEntry(id))
+      .filter(Boolean)
+      .filter((entry) => matchesUnitFilters(entry, filters, options));
+  }
+
+  countUnits(filters = {}, options = {}) {
+    return this.scanUnits(filters, options).length;
+  }
+
+  findUnits(filters = {}, options = {}) {
+    const units = sortUnits(this.scanUnits(filters, options), this.unitOrder);
+    const offset = Number(options.offset) || 0;
+    return options.limit ? units.slice(offset, offset + Number(options.limit)) : units.slice(offset);
+  }
+
+  writeUnit(meta, body) {
+    this.ensureDirectory();
+    const { id } = meta;
+
+    fs.writeFileSync(this.getMetaPath(id), JSON.stringify(meta, null, 2));
+    if (meta.contentFormat === 'html') {
+      fs.writeFileSync(this.getHtmlPath(id), body);
+      if (fs.existsSync(this.getMarkdownPath(id))) {
+        fs.unlinkSync(this.getMarkdownPath(id));
+      }
+    } else {
+      fs.writeFileSync(this.getMarkdownPath(id), body);
+      if (fs.existsSync(this.getHtmlPath(id))) {
+        fs.unlinkSync(this.getHtmlPath(id));
+      }
+    }
+
+    this.indexCache.delete(id);
+  }
+
+  removeUnit(id) {
+    [this.getMarkdownPath(id), this.getHtmlPath(id), this.getMetaPath(id)].forEach((filePath) => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    this.indexCache.delete(id);
+  }
+}
+
+export { CONTENT_DIR };
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+
+const SUBJECTS_PATH = path.join(process.cwd(), 'content', 'subjects.json');
+
+/**
+ * content/subjects.json に科目一覧（単元の並びを含む）を保存するストア。
+ * ファイルがなければ readSubjects() は null を返し、既定の科目データを使う。
+ */
+export class FileSubjectStore {
+  constructor({ filePath = SUBJECTS_PATH } = {}) {
+    this.filePath = filePath;
+  }
+
+  readSubjects() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  writeSubjects(subjects) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify(subjects, null, 2)}\n`);
+  }
+}
+
+export { SUBJECTS_PATH };
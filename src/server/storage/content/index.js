@@ -0,0 +1,54 @@
+import { FileContentStore } from '@/server/storage/content/fileContentStore';
+import { SqliteContentStore } from '@/server/storage/content/sqliteContentStore';
+import { FileSubjectStore } from '@/server/storage/content/fileSubjectStore';
+import { SqliteSubjectStore } from '@/server/storage/content/sqliteSubjectStore';
+
+export const CONTENT_STORAGE_DRIVERS = {
+  FILE: 'file',
+  SQLITE: 'sqlite',
+};
+
+function resolveDriver(driver) {
+  const resolvedDriver = driver || CONTENT_STORAGE_DRIVERS.FILE;
+  if (!Object.values(CONTENT_STORAGE_DRIVERS).includes(resolvedDriver)) {
+    throw new Error(`未対応の CONTENT_STORAGE です: ${resolvedDriver}`);
+  }
+
+  return resolvedDriver;
+}
+
+/**
+ * ContentRepository が使うストレージアダプタを生成する。
+ *
+ * どのアダプタも次のメソッドを持つ:
+ * - listUnitIds(): string[]
+ * - readUnit(id): { record, body } | null （record は種データとメタをマージしたもの、body は未保存なら null）
+ * - countUnits(filters, { includeDraft, now }): number
+ * - findUnits(filters, { includeDraft, now, limit, offset }): 一覧用レコード（summary / sections 付き、本文なし）
+ *   （公開予約の日時が now を過ぎた単元は公開中として絞り込む）
+ * - writeUnit(meta, body): void
+ * - removeUnit(id): void
+ * - syncSeeds(): void （種データ（科目データの単元）が変わったあとに呼ぶ）
+ * - setUnitOrder(unitIds): void （listUnitIds / findUnits をこの順に並べる。含まれない単元は ID 順で後ろに並ぶ）
+ */
+export function createContentStore({ seeds, driver = process.env.CONTENT_STORAGE } = {}) {
+  if (resolveDriver(driver) === CONTENT_STORAGE_DRIVERS.SQLITE) {
+    return new SqliteContentStore({ seeds });
+  }
+
+  return new FileContentStore({ seeds });
+}
+
+/**
+ * SubjectRepository が使う科目一覧のストアを生成する。単元と同じ CONTENT_STORAGE で保存先を選ぶ。
+ *
+ * - readSubjects(): 科目の配列（並び順どおり、retired 付き）| null （未保存なら null）
+ * - writeSubjects(subjects): void
+ */
+export function createSubjectStore({ driver = process.env.CONTENT_STORAGE } = {}) {
+  if (resolveDriver(driver) === CONTENT_STORAGE_DRIVERS.SQLITE) {
+    return new SqliteSubjectStore();
+  }
+
+  return new FileSubjectStore();
+}
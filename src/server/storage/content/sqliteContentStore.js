@@ -0,0 +1,201 @@
+import { getDatabase } from '@/server/storage/sqlite';
+import { toUnitRow, UPSERT_UNIT_SQL } from '@/server/storage/content/unitRows';
+import { UNIT_INDEX_VERSION, buildUnitIndex, mergeUnitMeta } from '@/server/storage/content/unitDocument';
+
+const FILTER_COLUMNS = {
+  subjectId: 'subject_id',
+  type: 'type',
+  difficulty: 'difficulty',
+  accessLevel: 'access_level',
+};
+
+// 公開予約の日時を過ぎた単元も公開中に含める（matchesUnitFilters と同じ判定）
+const LIVE_CLAUSE = "(status = 'published' OR (status = 'scheduled' AND publish_at <= @now))";
+const PENDING_SCHEDULE_CLAUSE = "(status = 'scheduled' AND (publish_at IS NULL OR publish_at > @now))";
+
+// setUnitOrder の並び（JSON 配列の添字）を先に、含まれない単元は sort_key 順で後ろに並べる
+const UNIT_ORDER_CTE = 'WITH unit_order AS (SELECT value AS unit_id, key AS position FROM json_each(@unitOrder))';
+const UNIT_ORDER_JOIN = 'LEFT JOIN unit_order ON unit_order.unit_id = units.id';
+const UNIT_ORDER_BY = 'unit_order.position IS NULL, unit_order.position, sort_key';
+
+function buildWhereClause(filters = {}, { includeDraft = false, now = new Date() } = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (!includeDraft || filters.status === 'published' || filters.status === 'scheduled') {
+    params.now = now.toISOString();
+  }
+
+  if (!includeDraft) {
+    clauses.push(LIVE_CLAUSE);
+  }
+
+  Object.entries(FILTER_COLUMNS).forEach(([key, column]) => {
+    if (filters[key]) {
+      clauses.push(`${column} = @${key}`);
+      params[key] = String(filters[key]);
+    }
+  });
+
+  if (filters.status === 'published') {
+    clauses.push(LIVE_CLAUSE);
+  } else if (filters.status === 'scheduled') {
+    clauses.push(PENDING_SCHEDULE_CLAUSE);
+  } else if (filters.status) {
+    clauses.push('status = @status');
+    params.status = String(filters.status);
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * 埋め込み SQLite の `units` テーブルを使うストア。
+ * 絞り込み列と一覧用の summary / sections を保存時に書き込み、一覧・件数はインデックス付きクエリで返す。
+ */
+export class SqliteContentStore {
+  constructor({ seeds = new Map(), databasePath } = {}) {
+    this.seeds = seeds;
+    this.unitOrderJson = '[]';
+    this.db = getDatabase(databasePath);
+    this.upsertStatement = this.db.prepare(UPSERT_UNIT_SQL);
+    this.syncSeeds();
+    this.reindexStaleRows();
+  }
+
+  // 科目データの単元（種データ）を未保存の単元として反映する（保存済みの行は上書きしない）。
+  // 科目データから外れた種データの行は消す
+  syncSeeds() {
+    const existing = new Map(
+      this.db.prepare('SELECT id, is_seed FROM units').all().map((row) => [row.id, row.is_seed])
+    );
+
+    this.db.transaction(() => {
+      this.seeds.forEach((seed, id) => {
+        if (existing.has(id) && existing.get(id) !== 1) {
+          return;
+        }
+
+        this.upsertStatement.run(this.buildSeedRow(id));
+      });
+
+      existing.forEach((isSeed, id) => {
+        if (isSeed === 1 && !this.seeds.has(id)) {
+          this.db.prepare('DELETE FROM units WHERE id = ?').run(id);
+        }
+      });
+    })();
+  }
+
+  setUnitOrder(unitIds) {
+    this.unitOrderJson = JSON.stringify(unitIds.map(String));
+  }
+
+  buildSeedRow(id) {
+    const record = mergeUnitMeta(id, this.seeds.get(id), null);
+    return toUnitRow(record, {
+      index: buildUnitIndex(record, null),
+      indexVersion: UNIT_INDEX_VERSION,
+      isSeed: true,
+    });
+  }
+
+  // 移行スクリプトで取り込んだ行や、導出ロジック変更前の行の summary / sections を作り直す
+  reindexStaleRows() {
+    const staleRows = this.db
+      .prepare('SELECT id, meta_json, body, is_seed FROM units WHERE index_version < ?')
+      .all(UNIT_INDEX_VERSION);
+
+    if (!staleRows.length) {
+      return;
+    }
+
+    this.db.transaction(() => {
+      staleRows.forEach((row) => {
+        if (row.is_seed) {
+          this.upsertStatement.run(this.buildSeedRow(row.id));
+          return;
+        }
+
+        const meta = JSON.parse(row.meta_json || '{}');
+        this.writeUnit({ ...meta, id: row.id }, row.body);
+      });
+    })();
+  }
+
+  listUnitIds() {
+    return this.db
+      .prepare(`${UNIT_ORDER_CTE} SELECT id FROM units ${UNIT_ORDER_JOIN} ORDER BY ${UNIT_ORDER_BY}`)
+      .pluck()
+      .all({ unitOrder: this.unitOrderJson });
+  }
+
+  toRecord(row) {
+    const meta = row.is_seed ? null : JSON.parse(row.meta_json || '{}');
+    return mergeUnitMeta(row.id, this.seeds.get(row.id), meta);
+  }
+
+  readUnit(id) {
+    const row = this.db
+      .prepare('SELECT id, meta_json, body, is_seed FROM units WHERE id = ?')
+      .get(String(id));
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      record: this.toRecord(row),
+      body: row.body,
+    };
+  }
+
+  countUnits(filters = {}, options = {}) {
+    const { where, params } = buildWhereClause(filters, options);
+    return this.db.prepare(`SELECT COUNT(*) FROM units ${where}`).pluck().get(params);
+  }
+
+  findUnits(filters = {}, options = {}) {
+    const { where, params } = buildWhereClause(filters, options);
+    const limit = options.limit ? Number(options.limit) : -1;
+    const offset = Number(options.offset) || 0;
+
+    return this.db
+      .prepare(`
+        ${UNIT_ORDER_CTE}
+        SELECT id, meta_json, is_seed, summary, sections_json
+        FROM units ${UNIT_ORDER_JOIN} ${where}
+        ORDER BY ${UNIT_ORDER_BY}
+        LIMIT @limit OFFSET @offset
+      `)
+      .all({ ...params, unitOrder: this.unitOrderJson, limit, offset })
+      .map((row) => ({
+        ...this.toRecord(row),
+        summary: row.summary || '',
+        sections: JSON.parse(row.sections_json || '[]'),
+      }));
+  }
+
+  writeUnit(meta, body) {
+    const record = mergeUnitMeta(meta.id, this.seeds.get(meta.id), meta);
+    this.upsertStatement.run(toUnitRow(record, {
+      meta,
+      body,
+      index: buildUnitIndex(record, body),
+      indexVersion: UNIT_INDEX_VERSION,
+    }));
+  }
+
+  // 種データのある単元は未保存状態に戻す（ファイルストアで .meta.json を消したときと同じ挙動）
+  removeUnit(id) {
+    if (this.seeds.has(id)) {
+      this.upsertStatement.run(this.buildSeedRow(id));
+      return;
+    }
+
+    this.db.prepare('DELETE FROM units WHERE id = ?').run(String(id));
+  }
+}
@@ -0,0 +1,21 @@
+import { getDatabase } from '@/server/storage/sqlite';
+import { fromSubjectRow, replaceSubjectRows } from '@/server/storage/content/subjectRows';
+
+/**
+ * 埋め込み SQLite の `subjects` テーブルに科目一覧を保存するストア。
+ * 1科目1行で、並び順と廃止フラグを列に、それ以外（単元の並びを含む）を data_json に持つ。
+ */
+export class SqliteSubjectStore {
+  constructor({ databasePath } = {}) {
+    this.db = getDatabase(databasePath);
+  }
+
+  readSubjects() {
+    const rows = this.db.prepare('SELECT id, retired, data_json FROM subjects ORDER BY position').all();
+    return rows.length ? rows.map(fromSubjectRow) : null;
+  }
+
+  writeSubjects(subjects) {
+    replaceSubjectRows(this.db, subjects);
+  }
+}
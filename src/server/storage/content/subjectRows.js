@@ -0,0 +1,54 @@
+/**
+ * Row mapping for the SQLite `subjects` table
+ *
+ * Shared by the SQLite subject store and scripts/migrate-content-to-sqlite.js,
+ * hence CommonJS like src/server/storage/sqlite.js.
+ */
+
+const INSERT_SUBJECT_SQL = `
+  INSERT INTO subjects (id, position, retired, data_json, updated_at)
+  VALUES (@id, @position, @retired, @data_json, @updated_at)
+`;
+
+/**
+ * @param {object} subject 科目（units に単元の並びを持つ）
+ * @param {number} position 科目の並び順
+ * @param {string} updatedAt 書き込んだ日時
+ */
+function toSubjectRow(subject, position, updatedAt = new Date().toISOString()) {
+  const { id, retired, ...data } = subject;
+  return {
+    id: String(id),
+    position,
+    retired: retired ? 1 : 0,
+    data_json: JSON.stringify(data),
+    updated_at: updatedAt,
+  };
+}
+
+function fromSubjectRow(row) {
+  return {
+    ...JSON.parse(row.data_json),
+    id: row.id,
+    retired: Boolean(row.retired),
+  };
+}
+
+// 科目一覧をまるごと書き換える（並び順は配列の順）
+function replaceSubjectRows(db, subjects) {
+  const insert = db.prepare(INSERT_SUBJECT_SQL);
+  const updatedAt = new Date().toISOString();
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM subjects').run();
+    subjects.forEach((subject, position) => {
+      insert.run(toSubjectRow(subject, position, updatedAt));
+    });
+  })();
+}
+
+module.exports = {
+  fromSubjectRow,
+  replaceSubjectRows,
+  toSubjectRow,
+};
@@ -0,0 +1,97 @@
+import { subjects } from '@/features/content/lib/subjects';
+import { CONTENT_HTML_TEMPLATE, CONTENT_MARKDOWN_TEMPLATE } from '@/features/content/lib/contentMetadata';
+import { parseHtmlContentDocument } from '@/features/content/lib/htmlUtils';
+import { extractMarkdownSections, extractMarkdownSummary } from '@/features/content/lib/markdownUtils';
+import { resolveUnitStatus } from '@/features/content/lib/editorialWorkflow';
+
+// 一覧用の派生フィールド（summary / sections）の算出方法を変えたら上げる
+export const UNIT_INDEX_VERSION = 1;
+
+export function resolveContentFormat(unit) {
+  return unit?.contentFormat === 'html' ? 'html' : 'markdown';
+}
+
+export function buildDefaultBody(unit) {
+  if (resolveContentFormat(unit) === 'html') {
+    return CONTENT_HTML_TEMPLATE.replace('<title>タイトル</title>', `<title>${unit.title}</title>`);
+  }
+
+  return CONTENT_MARKDOWN_TEMPLATE.replace('# タイトル', `# ${unit.title}`);
+}
+
+// 種データにない単元（管理画面から作成した単元など）の既定値
+export function buildNewUnitDefaults(id) {
+  return {
+    id,
+    title: `新規単元 ${id}`,
+    subjectId: subjects[0]?.id || '',
+    difficulty: 'beginner',
+    type: 'lecture',
+    estimatedTime: 30,
+    accessLevel: 'free',
+    status: 'draft',
+    lawVersion: null,
+    effectiveFrom: null,
+    sectionLawVersions: [],
+    prerequisites: [],
+    hasAudio: false,
+    hasPdf: false,
+    audioUrl: null,
+    pdfUrl: null,
+    createdAt: null,
+    updatedAt: null,
+  };
+}
+
+export function mergeUnitMeta(id, seed, meta) {
+  if (!seed && !meta) {
+    return null;
+  }
+
+  const merged = {
+    ...(seed || buildNewUnitDefaults(id)),
+    ...(meta || {}),
+    id,
+  };
+
+  return {
+    ...merged,
+    contentFormat: resolveContentFormat(merged),
+  };
+}
+
+export function parseUnitBody(contentFormat, rawContent) {
+  if (contentFormat === 'html') {
+    return {
+      ...parseHtmlContentDocument(rawContent),
+      raw: rawContent,
+    };
+  }
+
+  return {
+    markdown: rawContent,
+    sections: extractMarkdownSections(rawContent),
+    summary: extractMarkdownSummary(rawContent),
+    raw: rawContent,
+  };
+}
+
+export function buildUnitIndex(record, body) {
+  const content = parseUnitBody(record.contentFormat, body ?? buildDefaultBody(record));
+  return {
+    summary: content.summary,
+    sections: content.sections,
+  };
+}
+
+// 状態は公開予約の日時を反映したもので比べる（日時を過ぎた予約は published）
+export function matchesUnitFilters(record, filters = {}, { includeDraft = false, now = new Date() } = {}) {
+  const status = resolveUnitStatus(record, now);
+  if (!includeDraft && status !== 'published') {
+    return false;
+  }
+
+  return ['subjectId', 'type', 'difficulty', 'accessLevel']
+    .every((key) => !filters[key] || record[key] === filters[key])
+    && (!filters.status || status === filters.status);
+}
@@ -0,0 +1,73 @@
+/**
+ * Row mapping for the SQLite `units` table
+ *
+ * Shared by the SQLite content store and scripts/migrate-content-to-sqlite.js,
+ * hence CommonJS like src/server/storage/sqlite.js.
+ */
+
+const SORT_KEY_DIGITS = 20;
+
+// ID の数字部分をゼロ埋めし、localeCompare(..., { numeric: true }) と同じ順序で並ぶようにする
+function buildSortKey(id) {
+  return String(id).replace(/\d+/g, (digits) => digits.padStart(SORT_KEY_DIGITS, '0'));
+}
+
+/**
+ * @param {object} record 種データとメタをマージした単元レコード
+ * @param {object} options
+ * @param {object} options.meta 保存されたメタ（種データのみの単元は空オブジェクト）
+ * @param {string|null} options.body 本文（未保存なら null）
+ * @param {{ summary: string, sections: Array }|null} options.index 本文から導出した検索用フィールド
+ * @param {number} options.indexVersion index を導出したときのバージョン（0 は未導出）
+ * @param {boolean} options.isSeed 科目データの単元（種データ）由来の行かどうか
+ */
+function toUnitRow(record, { meta = {}, body = null, index = null, indexVersion = 0, isSeed = false } = {}) {
+  return {
+    id: String(record.id),
+    sort_key: buildSortKey(record.id),
+    subject_id: record.subjectId || null,
+    type: record.type || null,
+    difficulty: record.difficulty || null,
+    access_level: record.accessLevel || null,
+    status: record.status || null,
+    publish_at: record.publishAt || null,
+    content_format: record.contentFormat === 'html' ? 'html' : 'markdown',
+    meta_json: JSON.stringify(meta || {}),
+    body,
+    summary: index ? index.summary : null,
+    sections_json: index ? JSON.stringify(index.sections || []) : null,
+    index_version: index ? indexVersion : 0,
+    is_seed: isSeed ? 1 : 0,
+  };
+}
+
+const UPSERT_UNIT_SQL = `
+  INSERT INTO units (
+    id, sort_key, subject_id, type, difficulty, access_level, status, publish_at, content_format,
+    meta_json, body, summary, sections_json, index_version, is_seed
+  ) VALUES (
+    @id, @sort_key, @subject_id, @type, @difficulty, @access_level, @status, @publish_at, @content_format,
+    @meta_json, @body, @summary, @sections_json, @index_version, @is_seed
+  )
+  ON CONFLICT (id) DO UPDATE SET
+    sort_key = excluded.sort_key,
+    subject_id = excluded.subject_id,
+    type = excluded.type,
+    difficulty = excluded.difficulty,
+    access_level = excluded.access_level,
+    status = excluded.status,
+    publish_at = excluded.publish_at,
+    content_format = excluded.content_format,
+    meta_json = excluded.meta_json,
+    body = excluded.body,
+    summary = excluded.summary,
+    sections_json = excluded.sections_json,
+    index_version = excluded.index_version,
+    is_seed = excluded.is_seed
+`;
+
+module.exports = {
+  buildSortKey,
+  toUnitRow,
+  UPSERT_UNIT_SQL,
+};
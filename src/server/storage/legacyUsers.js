@@ -0,0 +1,110 @@
+/**
+ * Import of the legacy data/users.json file into SQLite
+ *
+ * The JSON file stored every user with their progress embedded. Users go into
+ * `users`, the embedded progress map is split into `user_progress` rows.
+ * The import runs after every migration, so it also writes what the migrations
+ * derive from existing progress: one 'imported' study event per row and the
+ * row's time spent as daily study time on the day it was last opened.
+ * Shared by UserRepository (automatic first-run import) and
+ * scripts/migrate-users-to-sqlite.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_USERS_FILE = path.join(process.cwd(), 'data', 'users.json');
+const LEGACY_IMPORT_STATE_KEY = 'legacy_users_imported_at';
+
+function readLegacyUsers(filePath = LEGACY_USERS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(users) ? users : [];
+}
+
+function hasImportedLegacyUsers(db) {
+  return Boolean(
+    db.prepare('SELECT value FROM storage_state WHERE key = ?').pluck().get(LEGACY_IMPORT_STATE_KEY)
+  );
+}
+
+/**
+ * @returns {{ users: number, progress: number, skipped: number }}
+ */
+function importLegacyUsers(db, { filePath = LEGACY_USERS_FILE } = {}) {
+  const legacyUsers = readLegacyUsers(filePath);
+  const insertUser = db.prepare(`
+    INSERT OR IGNORE INTO users (id, email, role, status, version, data_json, created_at, updated_at)
+    VALUES (@id, @email, @role, @status, 1, @data_json, @created_at, @updated_at)
+  `);
+  const insertProgress = db.prepare(`
+    INSERT OR IGNORE INTO user_progress (user_id, unit_id, version, data_json, last_accessed)
+    VALUES (?, ?, 1, ?, ?)
+  `);
+  // Same baseline event as the study_events migration: the progress as it was before the log
+  const insertImportedEvent = db.prepare(`
+    INSERT INTO study_events (user_id, unit_id, type, payload_json, occurred_at)
+    VALUES (?, ?, 'imported', ?, COALESCE(?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')))
+  `);
+  // Same backfill as the study_time_daily migration (the last-opened day in Japan time)
+  const insertStudyTime = db.prepare(`
+    INSERT OR IGNORE INTO study_time_daily (user_id, study_date, unit_id, seconds)
+    VALUES (?, date(?, '+9 hours'), ?, ?)
+  `);
+  const result = { users: 0, progress: 0, skipped: 0 };
+
+  db.transaction(() => {
+    legacyUsers.forEach((legacyUser) => {
+      if (!legacyUser?.id || !legacyUser?.email) {
+        result.skipped += 1;
+        return;
+      }
+
+      const { progress = {}, version, ...user } = legacyUser;
+      const inserted = insertUser.run({
+        id: String(user.id),
+        email: user.email,
+        role: user.role || 'user',
+        status: user.status || 'active',
+        data_json: JSON.stringify(user),
+        created_at: user.createdAt || null,
+        updated_at: user.updatedAt || null,
+      });
+
+      if (!inserted.changes) {
+        result.skipped += 1;
+        return;
+      }
+
+      result.users += 1;
+      Object.entries(progress || {}).forEach(([unitId, unitProgress]) => {
+        const dataJson = JSON.stringify(unitProgress || {});
+        const lastAccessed = unitProgress?.lastAccessed || null;
+        if (!insertProgress.run(String(user.id), String(unitId), dataJson, lastAccessed).changes) {
+          return;
+        }
+
+        insertImportedEvent.run(String(user.id), String(unitId), dataJson, lastAccessed);
+        const seconds = Math.floor(Number(unitProgress?.timeSpent) || 0);
+        if (lastAccessed && seconds > 0) {
+          insertStudyTime.run(String(user.id), lastAccessed, String(unitId), seconds);
+        }
+        result.progress += 1;
+      });
+    });
+
+    db.prepare('INSERT OR REPLACE INTO storage_state (key, value) VALUES (?, ?)')
+      .run(LEGACY_IMPORT_STATE_KEY, new Date().toISOString());
+  })();
+
+  return result;
+}
+
+module.exports = {
+  LEGACY_USERS_FILE,
+  hasImportedLegacyUsers,
+  importLegacyUsers,
+};
@@ -0,0 +1,394 @@
+/**
+ * Embedded SQLite connection
+ *
+ * Opens (and migrates) the application database shared by the SQLite-backed
+ * stores. Kept in CommonJS so that maintenance scripts under scripts/ can
+ * require the same schema as the Next.js API routes.
+ *
+ * Usage:
+ *   const { getDatabase } = require('./src/server/storage/sqlite');
+ *   const db = getDatabase();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATABASE_PATH = path.join(process.cwd(), 'data', 'gyoseishoshi.db');
+
+// 追記のみ。既存の要素は書き換えないこと（user_version で適用済みを管理）
+const MIGRATIONS = [
+  `
+    CREATE TABLE units (
+      id TEXT PRIMARY KEY,
+      sort_key TEXT NOT NULL,
+      subject_id TEXT,
+      type TEXT,
+      difficulty TEXT,
+      access_level TEXT,
+      status TEXT,
+      content_format TEXT NOT NULL DEFAULT 'markdown',
+      meta_json TEXT NOT NULL DEFAULT '{}',
+      body TEXT,
+      summary TEXT,
+      sections_json TEXT,
+      index_version INTEGER NOT NULL DEFAULT 0,
+      is_seed INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX units_subject_sort ON units (subject_id, sort_key);
+    CREATE INDEX units_status_sort ON units (status, sort_key);
+    CREATE INDEX units_type ON units (type);
+    CREATE INDEX units_difficulty ON units (difficulty);
+    CREATE INDEX units_access_level ON units (access_level);
+    CREATE INDEX units_index_version ON units (index_version);
+  `,
+  `
+    CREATE TABLE storage_state (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+    CREATE TABLE users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL DEFAULT 'user',
+      status TEXT NOT NULL DEFAULT 'active',
+      version INTEGER NOT NULL DEFAULT 1,
+      data_json TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    );
+    CREATE TABLE user_progress (
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      unit_id TEXT NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      data_json TEXT NOT NULL,
+      last_accessed TEXT,
+      PRIMARY KEY (user_id, unit_id)
+    );
+    CREATE INDEX user_progress_last_accessed ON user_progress (user_id, last_accessed);
+  `,
+  `
+    CREATE TABLE questions (
+      id TEXT PRIMARY KEY,
+      unit_id TEXT,
+      subject_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'published',
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      data_json TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    );
+    CREATE INDEX questions_unit ON questions (unit_id, sort_order);
+    CREATE INDEX questions_subject ON questions (subject_id, type);
+    CREATE TABLE quiz_attempts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      unit_id TEXT NOT NULL,
+      score INTEGER NOT NULL,
+      earned_points REAL NOT NULL,
+      possible_points REAL NOT NULL,
+      results_json TEXT NOT NULL,
+      submitted_at TEXT NOT NULL
+    );
+    CREATE INDEX quiz_attempts_user ON quiz_attempts (user_id, submitted_at);
+  `,
+  `
+    CREATE TABLE mock_exam_attempts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      status TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      submitted_at TEXT,
+      total_points REAL,
+      passed INTEGER,
+      questions_json TEXT NOT NULL,
+      answers_json TEXT NOT NULL DEFAULT '{}',
+      result_json TEXT
+    );
+    CREATE INDEX mock_exam_attempts_user ON mock_exam_attempts (user_id, started_at);
+  `,
+  `
+    CREATE TABLE flashcard_reviews (
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      card_id TEXT NOT NULL,
+      unit_id TEXT NOT NULL,
+      ease_factor REAL NOT NULL,
+      interval_days INTEGER NOT NULL,
+      repetitions INTEGER NOT NULL,
+      lapses INTEGER NOT NULL DEFAULT 0,
+      review_count INTEGER NOT NULL DEFAULT 0,
+      due_date TEXT NOT NULL,
+      last_grade INTEGER,
+      introduced_on TEXT NOT NULL,
+      last_reviewed_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, card_id)
+    );
+    CREATE INDEX flashcard_reviews_due ON flashcard_reviews (user_id, due_date);
+  `,
+  `
+    CREATE TABLE glossary_occurrences (
+      unit_id TEXT NOT NULL,
+      term_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      term TEXT NOT NULL,
+      reading TEXT,
+      section_id TEXT,
+      summary TEXT,
+      frequency TEXT,
+      PRIMARY KEY (unit_id, term_key, kind)
+    );
+    CREATE INDEX glossary_occurrences_term ON glossary_occurrences (term_key, kind);
+  `,
+  `
+    CREATE TABLE search_sections (
+      unit_id TEXT NOT NULL,
+      ordinal INTEGER NOT NULL,
+      section_id TEXT,
+      section_title TEXT,
+      text TEXT NOT NULL,
+      length INTEGER NOT NULL,
+      PRIMARY KEY (unit_id, ordinal)
+    );
+    CREATE TABLE search_postings (
+      token TEXT NOT NULL,
+      unit_id TEXT NOT NULL,
+      ordinal INTEGER NOT NULL,
+      tf INTEGER NOT NULL,
+      PRIMARY KEY (token, unit_id, ordinal)
+    ) WITHOUT ROWID;
+    CREATE INDEX search_postings_unit ON search_postings (unit_id);
+  `,
+  `
+    CREATE TABLE unit_revisions (
+      id TEXT PRIMARY KEY,
+      unit_id TEXT NOT NULL,
+      revision_number INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      author_id TEXT,
+      author_name TEXT,
+      content_format TEXT NOT NULL,
+      meta_json TEXT NOT NULL,
+      body TEXT NOT NULL,
+      source_revision_id TEXT,
+      UNIQUE (unit_id, revision_number)
+    );
+    CREATE TABLE unit_deletions (
+      unit_id TEXT PRIMARY KEY,
+      title TEXT,
+      deleted_at TEXT NOT NULL,
+      deleted_by TEXT
+    );
+    CREATE INDEX unit_deletions_deleted_at ON unit_deletions (deleted_at);
+  `,
+  `
+    ALTER TABLE units ADD COLUMN publish_at TEXT;
+    UPDATE units SET publish_at = json_extract(meta_json, '$.publishAt') WHERE json_valid(meta_json);
+    CREATE INDEX units_status_publish_at ON units (status, publish_at);
+    CREATE TABLE unit_review_assignments (
+      unit_id TEXT PRIMARY KEY,
+      reviewer_id TEXT NOT NULL,
+      reviewer_name TEXT,
+      assigned_by TEXT,
+      assigned_at TEXT NOT NULL
+    );
+    CREATE TABLE unit_review_comments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      unit_id TEXT NOT NULL,
+      author_id TEXT,
+      author_name TEXT,
+      body TEXT,
+      from_status TEXT,
+      to_status TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX unit_review_comments_unit ON unit_review_comments (unit_id, id);
+  `,
+  `
+    CREATE TABLE subjects (
+      id TEXT PRIMARY KEY,
+      position INTEGER NOT NULL,
+      retired INTEGER NOT NULL DEFAULT 0,
+      data_json TEXT NOT NULL,
+      updated_at TEXT
+    );
+  `,
+  `
+    CREATE TABLE study_plans (
+      user_id TEXT PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      exam_date TEXT NOT NULL,
+      weekly_hours REAL NOT NULL,
+      plan_json TEXT NOT NULL,
+      generated_at TEXT NOT NULL,
+      replanned_at TEXT
+    );
+  `,
+  `
+    CREATE TABLE study_time_daily (
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      study_date TEXT NOT NULL,
+      unit_id TEXT NOT NULL,
+      seconds INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, study_date, unit_id)
+    );
+    -- 日ごとの記録を始める前の学習時間は、その単元を最後に開いた日（日本時間）にまとめて計上する
+    INSERT INTO study_time_daily (user_id, study_date, unit_id, seconds)
+      SELECT user_id, date(last_accessed, '+9 hours'), unit_id, CAST(json_extract(data_json, '$.timeSpent') AS INTEGER)
+      FROM user_progress
+      WHERE last_accessed IS NOT NULL AND json_valid(data_json) AND json_extract(data_json, '$.timeSpent') > 0;
+  `,
+  `
+    CREATE TABLE study_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      unit_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      occurred_at TEXT NOT NULL
+    );
+    CREATE INDEX study_events_user_unit ON study_events (user_id, unit_id, id);
+    CREATE INDEX study_events_user_id ON study_events (user_id, id);
+    -- 記録を始める前の進捗は、その時点の内容を imported のイベントとして1件ずつ残す
+    INSERT INTO study_events (user_id, unit_id, type, payload_json, occurred_at)
+      SELECT user_id, unit_id, 'imported', data_json, COALESCE(last_accessed, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      FROM user_progress
+      WHERE json_valid(data_json)
+      ORDER BY last_accessed;
+  `,
+  `
+    CREATE TABLE unit_notes (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      unit_id TEXT NOT NULL,
+      section_id TEXT,
+      quote_exact TEXT NOT NULL,
+      quote_prefix TEXT NOT NULL DEFAULT '',
+      quote_suffix TEXT NOT NULL DEFAULT '',
+      quote_text TEXT NOT NULL,
+      body TEXT NOT NULL DEFAULT '',
+      color TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'anchored',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      reanchored_at TEXT
+    );
+    CREATE INDEX unit_notes_user_unit ON unit_notes (user_id, unit_id, created_at);
+    CREATE INDEX unit_notes_unit ON unit_notes (unit_id);
+  `,
+  `
+    CREATE TABLE password_reset_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT
+    );
+    CREATE INDEX password_reset_tokens_user ON password_reset_tokens (user_id);
+    CREATE TABLE rate_limit_hits (
+      bucket TEXT NOT NULL,
+      key TEXT NOT NULL,
+      hit_at INTEGER NOT NULL
+    );
+    CREATE INDEX rate_limit_hits_bucket_key ON rate_limit_hits (bucket, key, hit_at);
+  `,
+  `
+    CREATE TABLE auth_sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      previous_token_hash TEXT,
+      rotated_at TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      revoke_reason TEXT
+    );
+    CREATE INDEX auth_sessions_user ON auth_sessions (user_id, last_used_at);
+    CREATE INDEX auth_sessions_previous_token ON auth_sessions (previous_token_hash);
+  `,
+  `
+    CREATE TABLE user_two_factor (
+      user_id TEXT PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      secret TEXT NOT NULL,
+      enabled_at TEXT,
+      last_used_step INTEGER,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE two_factor_recovery_codes (
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      code_hash TEXT NOT NULL,
+      used_at TEXT,
+      PRIMARY KEY (user_id, code_hash)
+    );
+  `,
+  `
+    CREATE TABLE user_identities (
+      provider TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      email TEXT,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      PRIMARY KEY (provider, subject)
+    );
+    CREATE UNIQUE INDEX user_identities_user_provider ON user_identities (user_id, provider);
+  `,
+];
+
+const connections = new Map();
+
+function resolveDatabasePath(filePath) {
+  const configured = filePath || process.env.SQLITE_DATABASE_PATH;
+  return configured ? path.resolve(process.cwd(), configured) : DEFAULT_DATABASE_PATH;
+}
+
+function migrate(db) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  for (let index = currentVersion; index < MIGRATIONS.length; index += 1) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[index]);
+      db.pragma(`user_version = ${index + 1}`);
+    })();
+  }
+}
+
+function getDatabase(filePath) {
+  const databasePath = resolveDatabasePath(filePath);
+  if (connections.has(databasePath)) {
+    return connections.get(databasePath);
+  }
+
+  fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+
+  // ネイティブモジュールのため、SQLite を使う場合のみ読み込む
+  const Database = require('better-sqlite3');
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  connections.set(databasePath, db);
+  return db;
+}
+
+function closeDatabase(filePath) {
+  const databasePath = resolveDatabasePath(filePath);
+  const db = connections.get(databasePath);
+  if (db) {
+    db.close();
+    connections.delete(databasePath);
+  }
+}
+
+module.exports = {
+  DEFAULT_DATABASE_PATH,
+  getDatabase,
+  closeDatabase,
+};
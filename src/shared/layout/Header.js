@@ -2,7 +2,7 @@ import { useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useAuth } from '@/features/auth/context/AuthContext';
-import { User, LogOut, Settings, BookOpen, ChevronDown, Menu, X, Crown } from 'lucide-react';
+import { User, LogOut, Settings, BookOpen, ChevronDown, Menu, X, Crown, Search } from 'lucide-react';
 
 export default function Header() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -65,6 +65,15 @@ export default function Header() {
                 <Link href="/subjects" className="text-gray-600 hover:text-blue-600 transition-colors">
                   科目一覧
                 </Link>
+                <Link href="/glossary" className="text-gray-600 hover:text-blue-600 transition-colors">
+                  用語集
+                </Link>
+                <Link href="/precedents" className="text-gray-600 hover:text-blue-600 transition-colors">
+                  判例集
+                </Link>
+                <Link href="/articles" className="text-gray-600 hover:text-blue-600 transition-colors">
+                  条文索引
+                </Link>
                 <Link href="/#pricing" className="text-gray-600 hover:text-blue-600 transition-colors">
                   料金
                 </Link>
@@ -74,6 +83,9 @@ export default function Header() {
 
           {/* Auth Section - Desktop */}
           <div className="hidden md:flex items-center space-x-3">
+            <Link href="/search" aria-label="検索" className="p-2 rounded-xl text-gray-600 hover:bg-gray-100 hover:text-blue-600 transition-colors">
+              <Search className="w-5 h-5" />
+            </Link>
             {loading ? (
               <div className="w-8 h-8 rounded-full bg-gray-200 animate-pulse" />
             ) : isAuthenticated ? (
@@ -198,6 +210,18 @@ export default function Header() {
                   <Link href="/subjects" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
                     科目一覧
                   </Link>
+                  <Link href="/search" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
+                    検索
+                  </Link>
+                  <Link href="/glossary" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
+                    用語集
+                  </Link>
+                  <Link href="/precedents" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
+                    判例集
+                  </Link>
+                  <Link href="/articles" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
+                    条文索引
+                  </Link>
                   <Link href="/#pricing" className="text-gray-700 hover:text-blue-600 py-2" onClick={() => setMobileMenuOpen(false)}>
                     料金プラン
                   </Link>
@@ -1,3 +1,5 @@
+import { isEmailVerified } from '@/shared/lib/userStatus';
+
 export const MEMBERSHIP_TIERS = {
   FREE: 'free',
   PREMIUM_MONTHLY: 'premium_monthly',
@@ -16,7 +18,12 @@ export function getMembershipTier(user) {
   return user.isPremium ? MEMBERSHIP_TIERS.PREMIUM_MONTHLY : MEMBERSHIP_TIERS.FREE;
 }
 
+// メールアドレスを確認していないアカウントはプレミアムの機能を使えない
 export function hasPremiumAccess(user) {
+  if (user && !isEmailVerified(user)) {
+    return false;
+  }
+
   const tier = getMembershipTier(user);
   return tier === MEMBERSHIP_TIERS.PREMIUM_MONTHLY || tier === MEMBERSHIP_TIERS.PREMIUM_ANNUAL;
 }
@@ -0,0 +1,31 @@
+const KANJI_DIGITS = {
+  〇: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9,
+};
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+// 正規表現に埋め込む数字の文字クラス（算用数字・全角数字・漢数字）
+export const JAPANESE_NUMBER_PATTERN = '[0-9０-９〇一二三四五六七八九十百千]+';
+
+// 「45」「４５」「四十五」「一一一六」のどれでも数値にする
+export function parseJapaneseNumber(value = '') {
+  const text = String(value).normalize('NFKC');
+  if (/^[0-9]+$/.test(text)) {
+    return Number(text);
+  }
+
+  if (!/[十百千]/.test(text)) {
+    return Number([...text].map((char) => KANJI_DIGITS[char]).join(''));
+  }
+
+  let total = 0;
+  let digit = 0;
+  [...text].forEach((char) => {
+    if (char in KANJI_UNITS) {
+      total += (digit || 1) * KANJI_UNITS[char];
+      digit = 0;
+    } else {
+      digit = KANJI_DIGITS[char];
+    }
+  });
+  return total + digit;
+}
@@ -0,0 +1,68 @@
+export const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  SUPPORT: 'support',
+};
+
+export const ROLE_OPTIONS = [
+  { value: ROLES.USER, label: '一般' },
+  { value: ROLES.ADMIN, label: '管理者' },
+  { value: ROLES.EDITOR, label: '編集者' },
+  { value: ROLES.SUPPORT, label: 'サポート' },
+];
+
+export const PERMISSIONS = {
+  ADMIN_ACCESS: 'admin:access',
+  CONTENT_READ: 'content:read',
+  CONTENT_EDIT: 'content:edit',
+  CONTENT_REVIEW: 'content:review',
+  CONTENT_PUBLISH: 'content:publish',
+  CONTENT_DELETE: 'content:delete',
+  ASSETS_READ: 'assets:read',
+  ASSETS_UPLOAD: 'assets:upload',
+  ASSETS_DELETE: 'assets:delete',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+};
+
+// 編集者は下書きの保存とレビュー（承認・差し戻し）まで、サポートは閲覧のみ。公開・削除・ユーザー管理は管理者だけが行える
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.EDITOR]: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.CONTENT_READ,
+    PERMISSIONS.CONTENT_EDIT,
+    PERMISSIONS.CONTENT_REVIEW,
+    PERMISSIONS.ASSETS_READ,
+    PERMISSIONS.ASSETS_UPLOAD,
+  ],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.CONTENT_READ,
+    PERMISSIONS.ASSETS_READ,
+    PERMISSIONS.USERS_READ,
+  ],
+  [ROLES.USER]: [],
+};
+
+export function getRole(user) {
+  return user?.role && ROLE_PERMISSIONS[user.role] ? user.role : ROLES.USER;
+}
+
+export function getPermissions(user) {
+  return ROLE_PERMISSIONS[getRole(user)];
+}
+
+export function hasPermission(user, permission) {
+  return getPermissions(user).includes(permission);
+}
+
+// 管理画面を使うロール（user 以外）は、二段階認証を設定しないとログインも管理 API も使えない
+export function requiresTwoFactor(user) {
+  return getRole(user) !== ROLES.USER;
+}
+
+export function getRoleLabel(role) {
+  return ROLE_OPTIONS.find((option) => option.value === role)?.label || role;
+}
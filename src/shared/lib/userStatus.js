@@ -0,0 +1,27 @@
+export const USER_STATUSES = {
+  ACTIVE: 'active',
+  PENDING_VERIFICATION: 'pending_verification',
+  INACTIVE: 'inactive',
+  SUSPENDED: 'suspended',
+};
+
+export const USER_STATUS_OPTIONS = [
+  { value: USER_STATUSES.ACTIVE, label: 'アクティブ' },
+  { value: USER_STATUSES.PENDING_VERIFICATION, label: 'メール確認待ち' },
+  { value: USER_STATUSES.INACTIVE, label: '非アクティブ' },
+  { value: USER_STATUSES.SUSPENDED, label: '停止中' },
+];
+
+export function getUserStatusLabel(status) {
+  return USER_STATUS_OPTIONS.find((option) => option.value === (status || USER_STATUSES.ACTIVE))?.label || status;
+}
+
+// メールアドレスの確認を始める前に登録したユーザーは、確認済みとして扱う（pending_verification だけが未確認）
+export function isEmailVerified(user) {
+  return Boolean(user) && user.status !== USER_STATUSES.PENDING_VERIFICATION;
+}
+
+// ログインできる状態。メールアドレスの確認待ちでもログインはできる（プレミアムの機能などは entitlements で制限する）
+export function canSignIn(user) {
+  return Boolean(user) && (!user.status || user.status === USER_STATUSES.ACTIVE || user.status === USER_STATUSES.PENDING_VERIFICATION);
+}
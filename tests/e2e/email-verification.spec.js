@@ -0,0 +1,79 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, registerUser, setUserRole } = require('./helpers/auth');
+const { extractToken, listMail, waitForMail } = require('./helpers/mail');
+
+const VERIFY_PATH = '/auth/verify-email';
+// 上限より十分多い回数（開発サーバーの上限は security/config/rateLimits.js の EMAIL_VERIFICATION_RESEND）
+const RESEND_ATTEMPTS = 30;
+
+async function getMe(request) {
+  const response = await request.get('/api/auth/me');
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).user;
+}
+
+test.describe('Email verification', () => {
+  test.beforeEach(() => {
+    clearRateLimits();
+  });
+
+  test('new accounts stay pending until the mailed link is opened', async ({ request }) => {
+    const account = await registerUser(request);
+
+    const pending = await getMe(request);
+    expect(pending.status).toBe('pending_verification');
+    expect(pending.emailVerified).toBe(false);
+
+    const mail = await waitForMail(account.email, { match: VERIFY_PATH });
+    const token = extractToken(mail.text, VERIFY_PATH);
+    expect(token).toBeTruthy();
+
+    const tampered = await request.post('/api/auth/verify-email', { data: { token: `${token}x` } });
+    expect(tampered.status()).toBe(400);
+
+    const verified = await request.post('/api/auth/verify-email', { data: { token } });
+    expect(verified.ok()).toBeTruthy();
+    expect((await verified.json()).user.emailVerified).toBe(true);
+
+    const me = await getMe(request);
+    expect(me.status).toBe('active');
+    expect(me.emailVerified).toBe(true);
+
+    // 確認済みなら送り直さない
+    const resend = await request.post('/api/auth/resend-verification');
+    expect(resend.status()).toBe(400);
+  });
+
+  test('pending accounts cannot use staff APIs', async ({ request }) => {
+    const account = await registerUser(request);
+    setUserRole(account.email, 'admin');
+
+    const response = await request.get('/api/admin/users');
+    expect(response.status()).toBe(403);
+    expect((await response.json()).error).toContain('メールアドレスの確認');
+  });
+
+  test('resending the link is throttled', async ({ request }) => {
+    const account = await registerUser(request);
+    await waitForMail(account.email, { match: VERIFY_PATH });
+
+    let sent = 0;
+    let throttled = null;
+    for (let attempt = 0; attempt < RESEND_ATTEMPTS && !throttled; attempt += 1) {
+      const response = await request.post('/api/auth/resend-verification');
+      if (response.status() === 429) {
+        throttled = response;
+      } else {
+        expect(response.ok()).toBeTruthy();
+        sent += 1;
+      }
+    }
+
+    expect(sent).toBeGreaterThan(0);
+    expect(throttled).not.toBeNull();
+    expect(Number(throttled.headers()['retry-after'])).toBeGreaterThan(0);
+    expect((await throttled.json()).code).toBe('EMAIL_VERIFICATION_RATE_LIMIT_EXCEEDED');
+    // 登録時の1通と、制限に達するまでに送り直した分だけ
+    expect(listMail(account.email, { match: VERIFY_PATH })).toHaveLength(sent + 1);
+  });
+});
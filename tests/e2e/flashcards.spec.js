@@ -0,0 +1,160 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, newDevice, registerUser, signInAsAdmin } = require('./helpers/auth');
+
+const AGAIN = 1;
+const HARD = 3;
+const GOOD = 4;
+const EASY = 5;
+const NEW_CARDS_PER_DAY = 20;
+const SUBJECT_ID = 'immigration-law';
+
+// 頻出度の低い順に並べた用語（キューでは頻出度の高い順になる）
+const TERMS = [
+  { term: '在留資格', frequency: null },
+  { term: '上陸許可', frequency: '重要' },
+  { term: '退去強制', frequency: '最頻出' },
+  { term: '在留カード', frequency: '頻出' },
+];
+
+function buildUnitHtml(title) {
+  const boxes = TERMS.map(({ term, frequency }) => `
+    <div class="box box--definition">
+      <div class="box__hd">
+        <span class="box__term">${term}</span>
+        ${frequency ? `<span class="badge badge--freq">${frequency}</span>` : ''}
+      </div>
+      <div class="box__bd"><p>${term}の定義です。</p></div>
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="UTF-8"><title>${title}</title></head>
+<body>
+  <section>
+    <h2>重要用語</h2>${boxes}
+  </section>
+</body>
+</html>`;
+}
+
+// 用語定義ボックスのある HTML 単元を公開で作る（テストの最後に削除する）
+async function createHtmlUnit(admin, accessLevel) {
+  const title = `E2E 暗記カード ${accessLevel} ${Date.now()}`;
+  const response = await admin.post('/api/admin/content', {
+    multipart: {
+      title,
+      subjectId: SUBJECT_ID,
+      accessLevel,
+      status: 'published',
+      contentFormat: 'html',
+      content: buildUnitHtml(title),
+    },
+  });
+  expect(response.status()).toBe(201);
+  return (await response.json()).unit.id;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+async function getQueue(request) {
+  const response = await request.get(`/api/flashcards?subjectId=${SUBJECT_ID}`);
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+async function review(request, cardId, grade) {
+  const response = await request.post('/api/flashcards/reviews', { data: { cardId, grade } });
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).review;
+}
+
+test.describe('Flashcards', () => {
+  let admin;
+  let unitIds = [];
+
+  test.beforeEach(async ({ playwright }) => {
+    clearRateLimits();
+    admin = await newDevice(playwright);
+    await signInAsAdmin(admin);
+    unitIds = [await createHtmlUnit(admin, 'free'), await createHtmlUnit(admin, 'premium')];
+  });
+
+  test.afterEach(async () => {
+    for (const id of unitIds) {
+      await admin.delete(`/api/admin/content/${id}`);
+    }
+    await admin.dispose();
+  });
+
+  test('makes cards from definition boxes, most frequent first, only from units the member can open', async ({ request }) => {
+    const [freeUnitId, premiumUnitId] = unitIds;
+    expect((await request.get('/api/flashcards')).status()).toBe(401);
+    await registerUser(request);
+
+    const { queue, counts } = await getQueue(request);
+    expect(queue.length).toBeLessThanOrEqual(NEW_CARDS_PER_DAY);
+    expect(counts).toMatchObject({ due: 0, new: queue.length, learned: 0 });
+    queue.forEach((card) => expect(card.isNew).toBe(true));
+    queue.slice(1).forEach((card, index) => {
+      expect(card.priority).toBeLessThanOrEqual(queue[index].priority);
+    });
+
+    // 無料会員にはプレミアム単元のカードを出さない
+    expect(queue.map((card) => card.unitId)).not.toContain(premiumUnitId);
+    const cards = queue.filter((card) => card.unitId === freeUnitId);
+    expect(cards.map((card) => card.term)).toEqual(['退去強制', '在留カード', '上陸許可', '在留資格']);
+    expect(cards.map((card) => card.frequency)).toEqual(['最頻出', '頻出', '重要', null]);
+    cards.forEach((card) => {
+      expect(card.id.startsWith(`${freeUnitId}:`)).toBe(true);
+      expect(card.sectionTitle).toBe('重要用語');
+      expect(card.definitionHtml).toContain(`${card.term}の定義です。`);
+    });
+  });
+
+  test('schedules reviews with SM-2 intervals and ease factors', async ({ request }) => {
+    await registerUser(request);
+    const { today, queue } = await getQueue(request);
+    const [remembered, forgotten] = queue.filter((card) => card.unitId === unitIds[0]);
+
+    // 正解を重ねると 1日 → 6日 → 前回の間隔 × 容易度
+    let state = await review(request, remembered.id, EASY);
+    expect(state).toMatchObject({ repetitions: 1, intervalDays: 1, easeFactor: 2.6, dueDate: addDays(today, 1), lapses: 0 });
+    state = await review(request, remembered.id, EASY);
+    expect(state).toMatchObject({ repetitions: 2, intervalDays: 6, easeFactor: 2.7, dueDate: addDays(today, 6) });
+    state = await review(request, remembered.id, HARD);
+    expect(state).toMatchObject({ repetitions: 3, intervalDays: 16, easeFactor: 2.56, dueDate: addDays(today, 16) });
+    expect(state.reviewCount).toBe(3);
+
+    // 「もう一度」は連続正解をリセットして今日中に出し直し、容易度は 1.3 より下げない
+    state = await review(request, forgotten.id, AGAIN);
+    expect(state).toMatchObject({ repetitions: 0, intervalDays: 0, easeFactor: 1.96, dueDate: today, lapses: 0 });
+    state = await review(request, forgotten.id, AGAIN);
+    expect(state).toMatchObject({ easeFactor: 1.42, lapses: 1 });
+    state = await review(request, forgotten.id, AGAIN);
+    expect(state).toMatchObject({ easeFactor: 1.3, lapses: 2 });
+    state = await review(request, forgotten.id, GOOD);
+    expect(state).toMatchObject({ repetitions: 1, intervalDays: 1, easeFactor: 1.3, lapses: 2 });
+    state = await review(request, forgotten.id, AGAIN);
+    expect(state).toMatchObject({ repetitions: 0, intervalDays: 0, dueDate: today, lapses: 3 });
+
+    // 今日が期限のカードは未学習のカードより先に出す
+    const next = await getQueue(request);
+    expect(next.queue[0]).toMatchObject({ id: forgotten.id, isNew: false });
+    expect(next.queue.map((card) => card.id)).not.toContain(remembered.id);
+    expect(next.counts).toMatchObject({ due: 1, learned: 2 });
+    expect(next.counts.new).toBe(Math.min(NEW_CARDS_PER_DAY - 2, next.counts.unseen));
+  });
+
+  test('rejects unknown cards and grades', async ({ request }) => {
+    await registerUser(request);
+    const [card] = (await getQueue(request)).queue;
+
+    expect((await request.post('/api/flashcards/reviews', { data: { cardId: card.id, grade: 2 } })).status()).toBe(400);
+    expect((await request.post('/api/flashcards/reviews', { data: { grade: GOOD } })).status()).toBe(400);
+    expect((await request.post('/api/flashcards/reviews', { data: { cardId: `${unitIds[1]}:term`, grade: GOOD } })).status()).toBe(404);
+  });
+});
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { expect, test } = require('@playwright/test');
+const { closeDatabase, getDatabase } = require('../../../src/server/storage/sqlite');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+
+function decodeBase32(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// 認証アプリの代わりに確認コードを作る（RFC 6238: SHA-1・6桁・30秒）。offset はずらすステップ数
+function generateTotpCode(secret, { offset = 0, now = Date.now() } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / TOTP_PERIOD_SECONDS) + offset));
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const position = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(position) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+function uniqueEmail(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+}
+
+async function registerUser(request, { email = uniqueEmail('e2e-user'), password = 'e2e-user-password', name = 'E2E User' } = {}) {
+  const response = await request.post('/api/auth/register', { data: { email, password, name } });
+  expect(response.ok()).toBeTruthy();
+  return { email, password };
+}
+
+// scripts/set-user-role.js で権限を変え、verify なら確認待ちのアカウントを確認済みにする
+function setUserRole(email, role, { verify = false } = {}) {
+  const args = ['scripts/set-user-role.js', '--email', email, '--role', role];
+  execFileSync('node', verify ? [...args, '--verify'] : args, { cwd: process.cwd() });
+}
+
+/**
+ * 回数制限（rate_limit_hits）を消す。開発サーバーは接続元の IP アドレスで数えるので、
+ * テストを続けて実行すると上限に達するため、制限を確かめるテストの前などに呼ぶ。
+ */
+function clearRateLimits() {
+  getDatabase().prepare('DELETE FROM rate_limit_hits').run();
+  closeDatabase();
+}
+
+// Cookie を共有しない別の端末（ブラウザ）。options は newContext にそのまま渡す（storageState など）。使い終わったら dispose する
+async function newDevice(playwright, options = {}) {
+  return playwright.request.newContext({ baseURL: test.info().project.use.baseURL, ...options });
+}
+
+/**
+ * 二段階認証が必須のアカウントで、ログインの途中に設定を済ませる。
+ * パスワードでのログインが返した設定の challenge から秘密鍵を受け取り、確認コードを計算して有効にする。
+ */
+async function completeTwoFactorSetup(request, { email, password }) {
+  const loginResponse = await request.post('/api/auth/login', { data: { email, password } });
+  const login = await loginResponse.json();
+  expect(login.twoFactor?.step).toBe('setup');
+
+  const setupResponse = await request.post('/api/auth/two-factor-setup', {
+    data: { twoFactorToken: login.twoFactor.token },
+  });
+  const { setup } = await setupResponse.json();
+  expect(setup?.secret).toBeTruthy();
+
+  const confirmResponse = await request.post('/api/auth/login', {
+    data: { twoFactorToken: login.twoFactor.token, code: generateTotpCode(setup.secret) },
+  });
+  expect(confirmResponse.ok()).toBeTruthy();
+  const confirmed = await confirmResponse.json();
+  expect(confirmed.recoveryCodes).toHaveLength(10);
+
+  return { secret: setup.secret, recoveryCodes: confirmed.recoveryCodes };
+}
+
+/**
+ * 管理 API は権限・メールアドレスの確認・二段階認証が必要なため、テスト用ユーザーを登録して確認済みの管理者に昇格させ、
+ * 二段階認証を設定してログインする。request はページの page.request を渡せば Cookie をページと共有する。
+ */
+async function signInAsAdmin(request) {
+  const account = await registerUser(request, {
+    email: uniqueEmail('e2e-admin'),
+    password: 'e2e-admin-password',
+    name: 'E2E Admin',
+  });
+  setUserRole(account.email, 'admin', { verify: true });
+
+  return { ...account, ...(await completeTwoFactorSetup(request, account)) };
+}
+
+module.exports = {
+  clearRateLimits,
+  completeTwoFactorSetup,
+  generateTotpCode,
+  newDevice,
+  registerUser,
+  setUserRole,
+  signInAsAdmin,
+  uniqueEmail,
+};
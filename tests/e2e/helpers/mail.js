@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// サーバーの MAIL_TRANSPORT=outbox（既定）が .eml を保存する場所
+const OUTBOX_PATH = path.resolve(process.cwd(), process.env.MAIL_OUTBOX_PATH || 'data/outbox');
+
+// 保存された .eml（本文は UTF-8 の Base64）を宛先と本文にする
+function readMail(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const separator = raw.indexOf('\r\n\r\n');
+  const headers = raw.slice(0, separator);
+  const to = (headers.match(/^To: (.+)$/m) || [])[1]?.trim();
+  const text = Buffer.from(raw.slice(separator + 4).replace(/\s+/g, ''), 'base64').toString('utf8');
+  return { to, text, file: path.basename(filePath) };
+}
+
+// to 宛てのメールを古い順に。match を渡すと、本文にその文字列（リンクのパスなど）を含むものだけ
+function listMail(to, { match } = {}) {
+  if (!fs.existsSync(OUTBOX_PATH)) {
+    return [];
+  }
+
+  return fs.readdirSync(OUTBOX_PATH)
+    .filter((file) => file.endsWith('.eml'))
+    .sort()
+    .map((file) => readMail(path.join(OUTBOX_PATH, file)))
+    .filter((mail) => mail.to === to && (!match || mail.text.includes(match)));
+}
+
+// to 宛てのメール（match は listMail と同じ）が count 通になるまで待ち、最新の1通を返す
+async function waitForMail(to, { match, count = 1, timeout = 10000 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const mails = listMail(to, { match });
+    if (mails.length >= count) {
+      return mails[mails.length - 1];
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  throw new Error(`No mail to ${to} in ${OUTBOX_PATH}`);
+}
+
+// 本文のリンク（pathname で始まるもの）の token パラメーター
+function extractToken(text, pathname) {
+  const link = text.split(/\s+/).find((word) => word.includes(`${pathname}?`));
+  return link ? new URL(link).searchParams.get('token') : null;
+}
+
+module.exports = {
+  extractToken,
+  listMail,
+  waitForMail,
+};
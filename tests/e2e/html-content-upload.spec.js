@@ -1,5 +1,6 @@
 const path = require('path');
 const { test, expect } = require('@playwright/test');
+const { signInAsAdmin } = require('./helpers/auth');
 
 async function gotoWithRetry(page, url, attempts = 3) {
   let lastError = null;
@@ -18,6 +19,10 @@ async function gotoWithRetry(page, url, attempts = 3) {
 }
 
 test.describe('HTML content flow', () => {
+  test.beforeEach(async ({ page }) => {
+    await signInAsAdmin(page.request);
+  });
+
   test('uploads HTML content from admin and renders it on the unit page', async ({ page, request }) => {
     test.setTimeout(180000);
     const sampleHtmlPath = path.join(process.cwd(), 'SampleHTML', 'gyosei_minpo_kihon_1-4.html');
@@ -105,7 +110,7 @@ test.describe('HTML content flow', () => {
       await expect(page.locator('text=更新済み')).toBeVisible();
     } finally {
       if (createdId) {
-        const response = await request.delete(`/api/admin/content/${createdId}`);
+        const response = await page.request.delete(`/api/admin/content/${createdId}`);
         expect(response.ok()).toBeTruthy();
       }
     }
@@ -154,7 +159,7 @@ test.describe('HTML content flow', () => {
       await expect(page.getByRole('heading', { name: '比較表① 近代民法3大原則の内容と修正' })).toBeVisible();
     } finally {
       if (createdId) {
-        const response = await request.delete(`/api/admin/content/${createdId}`);
+        const response = await page.request.delete(`/api/admin/content/${createdId}`);
         expect(response.ok()).toBeTruthy();
       }
     }
@@ -0,0 +1,198 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, newDevice, registerUser, signInAsAdmin } = require('./helpers/auth');
+
+const SINGLE_CHOICE = 'single_choice';
+const MULTIPLE_CHOICE = 'multiple_choice';
+const SHORT_ANSWER = 'short_answer';
+
+// 本試験の出題数（科目と問題形式ごと）。模擬試験を作れるだけの問題を用意する
+const SEED_SLOTS = [
+  { subjectId: 'basic-jurisprudence', type: SINGLE_CHOICE, count: 2 },
+  { subjectId: 'constitutional-law', type: SINGLE_CHOICE, count: 5 },
+  { subjectId: 'administrative-law-general', type: SINGLE_CHOICE, count: 19 },
+  { subjectId: 'civil-law', type: SINGLE_CHOICE, count: 9 },
+  { subjectId: 'commercial-law', type: SINGLE_CHOICE, count: 5 },
+  { subjectId: 'constitutional-law', type: MULTIPLE_CHOICE, count: 1 },
+  { subjectId: 'administrative-law-general', type: MULTIPLE_CHOICE, count: 2 },
+  { subjectId: 'administrative-law-general', type: SHORT_ANSWER, count: 1 },
+  { subjectId: 'civil-law', type: SHORT_ANSWER, count: 2 },
+  { subjectId: 'gyoseishoshi-law', type: SINGLE_CHOICE, count: 14 },
+];
+
+function buildQuestion(subjectId, type, index) {
+  const base = { subjectId, type, prompt: `E2E 模擬試験の問題 ${subjectId} ${type} ${index + 1}` };
+  if (type === SINGLE_CHOICE) {
+    return { ...base, choices: ['選択肢1', '選択肢2', '選択肢3', '選択肢4', '選択肢5'], answer: '3' };
+  }
+  if (type === MULTIPLE_CHOICE) {
+    return {
+      ...base,
+      choices: ['語句1', '語句2', '語句3', '語句4', '語句5', '語句6'],
+      blanks: [{ id: 'ア', answer: '1' }, { id: 'イ', answer: '2' }, { id: 'ウ', answer: '3' }, { id: 'エ', answer: '4' }],
+    };
+  }
+  return { ...base, acceptedAnswers: ['模範解答の文'], keywords: [{ text: '模範解答', points: 10 }] };
+}
+
+// 管理 API で問題を作り、作った問題の ID を返す（テストの最後に deleteQuestions で消す）
+async function seedQuestions(request) {
+  const ids = [];
+  for (const slot of SEED_SLOTS) {
+    for (let index = 0; index < slot.count; index += 1) {
+      const response = await request.post('/api/admin/questions', { data: buildQuestion(slot.subjectId, slot.type, index) });
+      expect(response.status()).toBe(201);
+      ids.push((await response.json()).question.id);
+    }
+  }
+  return ids;
+}
+
+async function deleteQuestions(request, ids) {
+  for (const id of ids) {
+    await request.delete(`/api/admin/questions/${id}`);
+  }
+}
+
+// 問題バンクの全問の正答（以前からある問題が出題されても答えられるよう、管理 API から読む）
+async function loadAnswerBook(request) {
+  const response = await request.get('/api/admin/questions');
+  expect(response.ok()).toBeTruthy();
+  return Object.fromEntries((await response.json()).questions.map((question) => {
+    if (question.type === MULTIPLE_CHOICE) {
+      return [question.id, Object.fromEntries(question.blanks.map((blank) => [blank.id, blank.answer]))];
+    }
+    return [question.id, question.type === SHORT_ANSWER ? question.acceptedAnswers[0] : question.answer];
+  }));
+}
+
+async function startAttempt(request) {
+  const response = await request.post('/api/mock-exams');
+  expect(response.status()).toBe(201);
+  return (await response.json()).attempt;
+}
+
+async function submitAttempt(request, attempt, answers) {
+  const response = await request.post(`/api/mock-exams/${attempt.id}`, { data: { answers } });
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).attempt.result;
+}
+
+// 選んだ問題だけ正答し、残りは未回答にする
+function answerCorrectly(answerBook, questions) {
+  return Object.fromEntries(questions.map((question) => [question.id, answerBook[question.id]]));
+}
+
+function metCriteria(result) {
+  return Object.fromEntries(result.criteria.map((criterion) => [criterion.key, criterion.met]));
+}
+
+test.describe('Mock exam', () => {
+  test.beforeEach(() => {
+    clearRateLimits();
+  });
+
+  test('is limited to premium members and staff and hides answers until submitted', async ({ request, playwright }) => {
+    await signInAsAdmin(request);
+    const seeded = await seedQuestions(request);
+    const member = await newDevice(playwright);
+
+    try {
+      await registerUser(member);
+      const memberStatus = await (await member.get('/api/mock-exams')).json();
+      expect(memberStatus.canTake).toBe(false);
+      expect((await member.post('/api/mock-exams')).status()).toBe(403);
+
+      const status = await (await request.get('/api/mock-exams')).json();
+      expect(status.canTake).toBe(true);
+      expect(status.activeAttemptId).toBeNull();
+
+      const attempt = await startAttempt(request);
+      expect(attempt.questions).toHaveLength(60);
+      expect(attempt.questions.map((question) => question.number)).toEqual(attempt.questions.map((_, index) => index + 1));
+      expect(new Date(attempt.expiresAt) - new Date(attempt.startedAt)).toBe(180 * 60 * 1000);
+      expect(attempt.result).toBeUndefined();
+      attempt.questions.forEach((question) => {
+        expect(question.answer).toBeUndefined();
+        expect(question.acceptedAnswers).toBeUndefined();
+        (question.blanks || []).forEach((blank) => expect(blank.answer).toBeUndefined());
+      });
+
+      // 配点は本試験どおり（法令等 244点・基礎知識 56点）
+      const points = (section) => attempt.questions
+        .filter((question) => question.section === section)
+        .reduce((sum, question) => sum + question.points, 0);
+      expect(points('law')).toBe(244);
+      expect(points('general')).toBe(56);
+
+      // 受験中に申し込むと同じ受験を再開する
+      const resumed = await request.post('/api/mock-exams');
+      expect(resumed.ok()).toBeTruthy();
+      expect((await resumed.json()).attempt.id).toBe(attempt.id);
+      expect((await (await request.get('/api/mock-exams')).json()).activeAttemptId).toBe(attempt.id);
+
+      await submitAttempt(request, attempt, {});
+      const resubmitted = await request.post(`/api/mock-exams/${attempt.id}`, { data: { answers: {} } });
+      expect(resubmitted.status()).toBe(409);
+    } finally {
+      await member.dispose();
+      await deleteQuestions(request, seeded);
+    }
+  });
+
+  test('passes only when the total and both sections reach their minimums', async ({ request }) => {
+    await signInAsAdmin(request);
+    const seeded = await seedQuestions(request);
+
+    try {
+      const answerBook = await loadAnswerBook(request);
+
+      // 法令等だけ満点: 合計 244点でも基礎知識が 24点に届かず不合格
+      let attempt = await startAttempt(request);
+      let result = await submitAttempt(request, attempt, answerCorrectly(
+        answerBook,
+        attempt.questions.filter((question) => question.section === 'law')
+      ));
+      expect(result.totalPoints).toBe(244);
+      expect(result.maxPoints).toBe(300);
+      expect(result.sections).toEqual({ law: { earned: 244, max: 244 }, general: { earned: 0, max: 56 } });
+      expect(metCriteria(result)).toEqual({ total: true, law: true, general: false });
+      expect(result.missedCriteria).toEqual([{ key: 'general', label: '基礎知識', minimum: 24, earned: 0 }]);
+      expect(result.passed).toBe(false);
+
+      // 法令等 122点・基礎知識 56点: 科目群の基準は満たすが合計 178点で不合格
+      attempt = await startAttempt(request);
+      const lawSingleChoice = attempt.questions.filter((question) => question.section === 'law' && question.type === SINGLE_CHOICE);
+      const multipleChoice = attempt.questions.find((question) => question.type === MULTIPLE_CHOICE);
+      const [firstBlank] = Object.entries(answerBook[multipleChoice.id]);
+      result = await submitAttempt(request, attempt, {
+        ...answerCorrectly(answerBook, lawSingleChoice.slice(0, 30)),
+        ...answerCorrectly(answerBook, attempt.questions.filter((question) => question.section === 'general')),
+        [multipleChoice.id]: Object.fromEntries([firstBlank]),
+      });
+      expect(result.sections.law.earned).toBe(122);
+      expect(result.sections.general.earned).toBe(56);
+      expect(result.totalPoints).toBe(178);
+      expect(metCriteria(result)).toEqual({ total: false, law: true, general: true });
+      expect(result.missedCriteria.map((criterion) => criterion.key)).toEqual(['total']);
+      expect(result.passed).toBe(false);
+
+      // 合計 180点・基礎知識 24点ちょうどで合格
+      attempt = await startAttempt(request);
+      result = await submitAttempt(request, attempt, answerCorrectly(answerBook, [
+        ...attempt.questions.filter((question) => question.section === 'law' && question.type === SINGLE_CHOICE).slice(0, 39),
+        ...attempt.questions.filter((question) => question.section === 'general').slice(0, 6),
+      ]));
+      expect(result.sections.law.earned).toBe(156);
+      expect(result.sections.general.earned).toBe(24);
+      expect(result.totalPoints).toBe(180);
+      expect(metCriteria(result)).toEqual({ total: true, law: true, general: true });
+      expect(result.missedCriteria).toEqual([]);
+      expect(result.passed).toBe(true);
+
+      const attempts = (await (await request.get('/api/mock-exams')).json()).attempts;
+      expect(attempts).toHaveLength(3);
+    } finally {
+      await deleteQuestions(request, seeded);
+    }
+  });
+});
@@ -0,0 +1,223 @@
+const { test, expect } = require('@playwright/test');
+const { generateTotpCode, newDevice, registerUser, signInAsAdmin, uniqueEmail } = require('./helpers/auth');
+const { extractToken, waitForMail } = require('./helpers/mail');
+
+// playwright.config.js の webServer で起動する scripts/mock-oidc-provider.js
+const PROVIDER = 'mock';
+const MOCK_ISSUER = 'http://localhost:4010';
+const VERIFY_PATH = '/auth/verify-email';
+
+// リダイレクトをたどらずに受け取り、Location をリクエストした URL からの絶対 URL にする
+async function expectRedirect(response) {
+  expect(response.status()).toBe(302);
+  return new URL(response.headers().location, response.url());
+}
+
+/**
+ * 認可画面のフォームを送ったことにして（decision は allow か deny）、アプリのコールバックの URL を返す。
+ * sub は送らないので、モックはメールアドレスから決まった sub を返す。
+ */
+async function authorizeAtProvider(device, authorizationUrl, { email, emailVerified = true, decision = 'allow' }) {
+  const form = { ...Object.fromEntries(authorizationUrl.searchParams), email, name: 'OIDC User', decision };
+  if (emailVerified) {
+    form.email_verified = 'true';
+  }
+  return expectRedirect(await device.post(`${MOCK_ISSUER}/authorize`, { form, maxRedirects: 0 }));
+}
+
+async function startSignIn(device, redirect = '/mypage') {
+  return expectRedirect(await device.get(`/api/auth/oidc/${PROVIDER}?redirect=${encodeURIComponent(redirect)}`, { maxRedirects: 0 }));
+}
+
+// ログインを始めてから、コールバックがリダイレクトした先までをたどる
+async function signInWithProvider(device, profile, { redirect } = {}) {
+  const callbackUrl = await authorizeAtProvider(device, await startSignIn(device, redirect), profile);
+  return expectRedirect(await device.get(callbackUrl.toString(), { maxRedirects: 0 }));
+}
+
+// ログイン中のユーザーに連携する（設定画面の「連携する」と同じ API）
+async function linkWithProvider(device, profile) {
+  const started = await device.post('/api/user/identities', { data: { provider: PROVIDER } });
+  expect(started.ok()).toBeTruthy();
+  const callbackUrl = await authorizeAtProvider(device, new URL((await started.json()).authorizationUrl), profile);
+  return expectRedirect(await device.get(callbackUrl.toString(), { maxRedirects: 0 }));
+}
+
+async function getMe(device) {
+  const response = await device.get('/api/auth/me');
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).user;
+}
+
+async function getLinkedAccount(device) {
+  const data = await (await device.get('/api/user/identities')).json();
+  return { hasPassword: data.hasPassword, ...data.providers.find((provider) => provider.id === PROVIDER) };
+}
+
+test.describe('Sign-in with an external account', () => {
+  test.beforeEach(async ({ request }) => {
+    const { providers } = await (await request.get('/api/auth/oidc')).json();
+    test.skip(!providers.some((provider) => provider.id === PROVIDER), 'OIDC_PROVIDERS に mock を設定したサーバーで実行する');
+  });
+
+  test('uses PKCE and creates a password-less account that the same identity signs back in to', async ({ playwright }) => {
+    const email = uniqueEmail('e2e-oidc');
+    const device = await newDevice(playwright);
+
+    try {
+      const authorizationUrl = await startSignIn(device);
+      expect(authorizationUrl.origin).toBe(MOCK_ISSUER);
+      const params = authorizationUrl.searchParams;
+      expect(params.get('response_type')).toBe('code');
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(params.get('state')).toBeTruthy();
+      expect(params.get('nonce')).toBeTruthy();
+      expect(params.get('redirect_uri')).toBe(new URL(`/api/auth/oidc/${PROVIDER}/callback`, test.info().project.use.baseURL).toString());
+
+      const callbackUrl = await authorizeAtProvider(device, authorizationUrl, { email });
+      const landed = await expectRedirect(await device.get(callbackUrl.toString(), { maxRedirects: 0 }));
+      expect(landed.pathname).toBe('/mypage');
+
+      const created = await getMe(device);
+      expect(created.email).toBe(email);
+      expect(created.status).toBe('active');
+      expect(created.emailVerified).toBe(true);
+      expect(created.hasPassword).toBe(false);
+
+      // 同じコールバックはもう使えない（フローの Cookie は消えている）
+      const replayed = await expectRedirect(await device.get(callbackUrl.toString(), { maxRedirects: 0 }));
+      expect(replayed.searchParams.get('oidcError')).toBe('flow_expired');
+
+      // パスワードでは入れない
+      expect((await device.post('/api/auth/login', { data: { email, password: 'e2e-user-password' } })).status()).toBe(401);
+
+      expect((await device.post('/api/auth/logout')).ok()).toBeTruthy();
+      const again = await signInWithProvider(device, { email });
+      expect(again.pathname).toBe('/mypage');
+      expect((await getMe(device)).id).toBe(created.id);
+
+      // 最後のログイン方法は解除できない
+      const unlink = await device.delete(`/api/user/identities/${PROVIDER}`);
+      expect(unlink.status()).toBe(400);
+      expect((await getLinkedAccount(device)).linked).toBe(true);
+    } finally {
+      await device.dispose();
+    }
+  });
+
+  test('links to an existing account only once its email address is verified', async ({ request, playwright }) => {
+    const account = await registerUser(request);
+    const registered = await getMe(request);
+    const device = await newDevice(playwright);
+
+    try {
+      // 確認待ちのアカウントには連携しない（先に他人が同じアドレスで登録していた場合の乗っ取りを防ぐ）
+      const pending = await signInWithProvider(device, { email: account.email });
+      expect(pending.pathname).toBe('/auth/login');
+      expect(pending.searchParams.get('oidcError')).toBe('account_not_verified');
+
+      const mail = await waitForMail(account.email, { match: VERIFY_PATH });
+      const verified = await request.post('/api/auth/verify-email', { data: { token: extractToken(mail.text, VERIFY_PATH) } });
+      expect(verified.ok()).toBeTruthy();
+
+      // プロバイダーが確認していないアドレスでは連携しない
+      const unverified = await signInWithProvider(device, { email: account.email, emailVerified: false });
+      expect(unverified.searchParams.get('oidcError')).toBe('email_not_verified');
+
+      const linked = await signInWithProvider(device, { email: account.email });
+      expect(linked.pathname).toBe('/mypage');
+      expect((await getMe(device)).id).toBe(registered.id);
+
+      const identity = await getLinkedAccount(request);
+      expect(identity.hasPassword).toBe(true);
+      expect(identity.linked).toBe(true);
+      expect(identity.email).toBe(account.email);
+    } finally {
+      await device.dispose();
+    }
+  });
+
+  test('refuses denied consent and tampered state, and ignores off-site redirects', async ({ playwright }) => {
+    const email = uniqueEmail('e2e-oidc');
+    const device = await newDevice(playwright);
+
+    try {
+      const deniedCallback = await authorizeAtProvider(device, await startSignIn(device), { email, decision: 'deny' });
+      const denied = await expectRedirect(await device.get(deniedCallback.toString(), { maxRedirects: 0 }));
+      expect(denied.pathname).toBe('/auth/login');
+      expect(denied.searchParams.get('oidcError')).toBe('access_denied');
+      expect(denied.searchParams.get('redirect')).toBe('/mypage');
+
+      const callbackUrl = await authorizeAtProvider(device, await startSignIn(device), { email });
+      callbackUrl.searchParams.set('state', 'forged');
+      const forged = await expectRedirect(await device.get(callbackUrl.toString(), { maxRedirects: 0 }));
+      expect(forged.searchParams.get('oidcError')).toBe('flow_expired');
+      expect((await device.get('/api/auth/me')).status()).toBe(401);
+
+      // ログイン後の戻り先はサイト内のパスだけ
+      const offSite = await signInWithProvider(device, { email }, { redirect: '//evil.example.com/phish' });
+      expect(offSite.origin).toBe(new URL(test.info().project.use.baseURL).origin);
+      expect(offSite.pathname).toBe('/subjects');
+    } finally {
+      await device.dispose();
+    }
+  });
+
+  test('links an external account from the settings page and unlinks it again', async ({ request, playwright }) => {
+    await registerUser(request);
+    const externalEmail = uniqueEmail('e2e-oidc-link');
+    const otherDevice = await newDevice(playwright);
+
+    try {
+      // ほかのユーザーが使っている外部アカウントは連携できない
+      const otherEmail = uniqueEmail('e2e-oidc-other');
+      expect((await signInWithProvider(otherDevice, { email: otherEmail })).pathname).toBe('/mypage');
+      const taken = await linkWithProvider(request, { email: otherEmail });
+      expect(taken.pathname).toBe('/mypage/settings');
+      expect(taken.searchParams.get('oidcError')).toBe('linked_to_other_account');
+
+      // ログイン中のユーザーには、メールアドレスが違う外部アカウントも連携できる
+      const linked = await linkWithProvider(request, { email: externalEmail });
+      expect(linked.pathname).toBe('/mypage/settings');
+      expect(linked.searchParams.get('tab')).toBe('accounts');
+      expect(linked.searchParams.get('linked')).toBe(PROVIDER);
+      const identity = await getLinkedAccount(request);
+      expect(identity.linked).toBe(true);
+      expect(identity.email).toBe(externalEmail);
+
+      // パスワードがあるので解除できる
+      expect((await request.delete(`/api/user/identities/${PROVIDER}`)).ok()).toBeTruthy();
+      expect((await request.delete(`/api/user/identities/${PROVIDER}`)).status()).toBe(404);
+      expect((await getLinkedAccount(request)).linked).toBe(false);
+    } finally {
+      await otherDevice.dispose();
+    }
+  });
+
+  test('still asks for the second factor when the account has two-factor authentication', async ({ request, playwright }) => {
+    const admin = await signInAsAdmin(request);
+    const externalEmail = uniqueEmail('e2e-oidc-admin');
+    expect((await linkWithProvider(request, { email: externalEmail })).searchParams.get('linked')).toBe(PROVIDER);
+    const device = await newDevice(playwright);
+
+    try {
+      const challenged = await signInWithProvider(device, { email: externalEmail }, { redirect: '/admin' });
+      expect(challenged.pathname).toBe('/auth/login');
+      expect(challenged.searchParams.get('redirect')).toBe('/admin');
+      // 2段階目のトークンはサーバーに送られない # に載る
+      const fragment = new URLSearchParams(challenged.hash.slice(1));
+      expect(fragment.get('twoFactorStep')).toBe('verify');
+      expect((await device.get('/api/auth/me')).status()).toBe(401);
+
+      // 設定したときのステップは使用済みなので、次のステップのコードを使う
+      const signedIn = await device.post('/api/auth/login', {
+        data: { twoFactorToken: fragment.get('twoFactorToken'), code: generateTotpCode(admin.secret, { offset: 1 }) },
+      });
+      expect(signedIn.ok()).toBeTruthy();
+      expect((await getMe(device)).email).toBe(admin.email);
+    } finally {
+      await device.dispose();
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, newDevice, registerUser, uniqueEmail } = require('./helpers/auth');
+const { extractToken, listMail, waitForMail } = require('./helpers/mail');
+
+const NEW_PASSWORD = 'e2e-new-password';
+const RESET_PATH = '/auth/reset-password';
+
+// 再設定のメールを申し込み、届いたリンクのトークンを返す
+async function requestResetToken(request, email) {
+  const sent = listMail(email, { match: RESET_PATH }).length;
+  const response = await request.post('/api/auth/forgot-password', { data: { email } });
+  expect(response.ok()).toBeTruthy();
+
+  const mail = await waitForMail(email, { match: RESET_PATH, count: sent + 1 });
+  const token = extractToken(mail.text, RESET_PATH);
+  expect(token).toBeTruthy();
+  return token;
+}
+
+test.describe('Password reset', () => {
+  test.beforeEach(() => {
+    clearRateLimits();
+  });
+
+  test('resets the password with a single-use link and signs out every device', async ({ request, playwright }) => {
+    const account = await registerUser(request);
+    const otherDevice = await newDevice(playwright);
+
+    try {
+      const otherLogin = await otherDevice.post('/api/auth/login', { data: account });
+      expect(otherLogin.ok()).toBeTruthy();
+      expect((await request.get('/api/auth/me')).ok()).toBeTruthy();
+
+      const token = await requestResetToken(request, account.email);
+      expect((await (await request.get(`/api/auth/reset-password?token=${encodeURIComponent(token)}`)).json()).valid).toBe(true);
+
+      // 短いパスワードは受け付けず、リンクもまだ使える
+      const tooShort = await request.post('/api/auth/reset-password', { data: { token, password: 'short' } });
+      expect(tooShort.status()).toBe(400);
+
+      const reset = await request.post('/api/auth/reset-password', { data: { token, password: NEW_PASSWORD } });
+      expect(reset.ok()).toBeTruthy();
+
+      // リンクは1回だけ
+      const reused = await request.post('/api/auth/reset-password', { data: { token, password: 'e2e-another-password' } });
+      expect(reused.status()).toBe(400);
+      expect((await (await request.get(`/api/auth/reset-password?token=${encodeURIComponent(token)}`)).json()).valid).toBe(false);
+
+      // どちらの端末のセッションも無効になる
+      expect((await request.get('/api/auth/me')).status()).toBe(401);
+      expect((await otherDevice.get('/api/auth/me')).status()).toBe(401);
+      expect((await otherDevice.post('/api/auth/refresh')).status()).toBe(401);
+
+      const oldPassword = await request.post('/api/auth/login', { data: account });
+      expect(oldPassword.status()).toBe(401);
+      const newPassword = await request.post('/api/auth/login', { data: { email: account.email, password: NEW_PASSWORD } });
+      expect(newPassword.ok()).toBeTruthy();
+    } finally {
+      await otherDevice.dispose();
+    }
+  });
+
+  test('requesting a new link invalidates the previous one', async ({ request }) => {
+    const account = await registerUser(request);
+    const firstToken = await requestResetToken(request, account.email);
+    const secondToken = await requestResetToken(request, account.email);
+    expect(secondToken).not.toBe(firstToken);
+
+    const stale = await request.post('/api/auth/reset-password', { data: { token: firstToken, password: NEW_PASSWORD } });
+    expect(stale.status()).toBe(400);
+
+    const reset = await request.post('/api/auth/reset-password', { data: { token: secondToken, password: NEW_PASSWORD } });
+    expect(reset.ok()).toBeTruthy();
+  });
+
+  test('answers the same for unknown addresses without sending mail', async ({ request }) => {
+    const email = uniqueEmail('e2e-unknown');
+    const response = await request.post('/api/auth/forgot-password', { data: { email } });
+
+    expect(response.ok()).toBeTruthy();
+    expect((await response.json()).success).toBe(true);
+    expect(listMail(email)).toHaveLength(0);
+  });
+});
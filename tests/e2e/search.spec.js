@@ -0,0 +1,134 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, newDevice, signInAsAdmin } = require('./helpers/auth');
+
+const SUBJECT_ID = 'local-autonomy-law';
+const FILLER = '地方公共団体の事務の区分と条例制定権の範囲を確認します。';
+
+// ほかの単元に出てこない検索語（英字の語として索引される）
+function uniqueWord(prefix) {
+  return `${prefix}${Math.random().toString(36).replace(/[^a-z]/g, '').slice(0, 8)}`;
+}
+
+function section(heading, ...sentences) {
+  return `## ${heading}\n\n${sentences.join('')}\n`;
+}
+
+// 検索用の単元を Markdown で公開する（テストの最後に削除する）
+async function createUnit(admin, { title, content, difficulty = 'beginner', accessLevel = 'free' }) {
+  const response = await admin.post('/api/admin/content', {
+    multipart: {
+      title,
+      subjectId: SUBJECT_ID,
+      difficulty,
+      accessLevel,
+      status: 'published',
+      contentFormat: 'markdown',
+      content,
+    },
+  });
+  expect(response.status()).toBe(201);
+  return (await response.json()).unit.id;
+}
+
+async function search(request, query, params = {}) {
+  const response = await request.get('/api/content/search', { params: { q: query, limit: 50, ...params } });
+  expect(response.ok()).toBeTruthy();
+  return response.json();
+}
+
+function unitResults(body) {
+  return body.results.filter((result) => result.type === 'unit');
+}
+
+test.describe('Search', () => {
+  const word = uniqueWord('e2ezq');
+  const otherWord = uniqueWord('e2exv');
+  const units = {};
+  let admin;
+
+  test.beforeAll(async ({ playwright }) => {
+    clearRateLimits();
+    admin = await newDevice(playwright);
+    await signInAsAdmin(admin);
+
+    // どれも検索語を含む同じ長さの節を持ち、1か所だけ条件を変える
+    units.baseline = await createUnit(admin, {
+      title: 'E2E 検索 基準',
+      content: section('概要', FILLER, `${word}。`, FILLER) + section('補足', FILLER),
+    });
+    units.frequent = await createUnit(admin, {
+      title: 'E2E 検索 出現回数',
+      content: section('概要', `${word}。`, `${word}。`, `${word}。`) + section('補足', FILLER),
+      difficulty: 'advanced',
+    });
+    units.title = await createUnit(admin, {
+      title: `E2E 検索 ${word}`,
+      content: section('概要', FILLER, `${word}。`, FILLER) + section('補足', FILLER),
+      difficulty: 'advanced',
+    });
+    units.heading = await createUnit(admin, {
+      title: 'E2E 検索 見出し',
+      content: section('補足', FILLER) + section(`${word}の要件`, FILLER, `${word}。`, FILLER),
+    });
+    units.premium = await createUnit(admin, {
+      title: 'E2E 検索 プレミアム',
+      content: section('概要', FILLER, `${word}と${otherWord}。`, FILLER),
+      accessLevel: 'premium',
+    });
+  });
+
+  test.afterAll(async () => {
+    for (const id of Object.values(units)) {
+      await admin.delete(`/api/admin/content/${id}`);
+    }
+    await admin.dispose();
+  });
+
+  test('ranks units by BM25 with title and heading bonuses', async ({ request }) => {
+    const body = await search(request, word);
+    const results = unitResults(body);
+    expect(results.map((result) => result.id).sort()).toEqual(Object.values(units).sort());
+    expect(body.counts.units).toBe(5);
+
+    const scores = Object.fromEntries(results.map((result) => [result.id, result.score]));
+    results.slice(1).forEach((result, index) => expect(result.score).toBeLessThanOrEqual(results[index].score));
+    expect(scores[units.frequent]).toBeGreaterThan(scores[units.baseline]);
+    expect(scores[units.title]).toBeGreaterThan(scores[units.baseline]);
+    expect(scores[units.heading]).toBeGreaterThan(scores[units.baseline]);
+
+    // 当たった節へのリンクと、検索語に印を付けた抜粋
+    const heading = results.find((result) => result.id === units.heading);
+    expect(heading.sections[0].sectionTitle).toBe(`${word}の要件`);
+    expect(heading.href).toBe(`/subjects/${SUBJECT_ID}/${units.heading}#${encodeURIComponent(heading.sections[0].sectionId)}`);
+    expect(heading.snippet).toContainEqual({ text: word, match: true });
+  });
+
+  test('matches every term after normalising width and case', async ({ request }) => {
+    const fullWidth = otherWord.toUpperCase().replace(/[A-Z]/g, (char) => String.fromCharCode(char.charCodeAt(0) + 0xfee0));
+    const both = unitResults(await search(request, `${fullWidth}　${word}`));
+    expect(both.map((result) => result.id)).toEqual([units.premium]);
+
+    expect(unitResults(await search(request, `${word} ${uniqueWord('e2enone')}`))).toEqual([]);
+    expect((await request.get('/api/content/search', { params: { q: '  ' } })).status()).toBe(400);
+  });
+
+  test('hides premium snippets from guests', async ({ request }) => {
+    const [premium] = unitResults(await search(request, otherWord));
+    expect(premium).toMatchObject({ id: units.premium, locked: true, snippet: null });
+    premium.sections.forEach((hit) => expect(hit.snippet).toBeNull());
+
+    const [free] = unitResults(await search(request, `${word} 基準`));
+    expect(free).toMatchObject({ id: units.baseline, locked: false });
+    expect(free.snippet).toContainEqual({ text: word, match: true });
+  });
+
+  test('counts facets without applying their own filter', async ({ request }) => {
+    const filtered = await search(request, word, { difficulty: 'advanced' });
+    expect(unitResults(filtered).map((result) => result.id).sort()).toEqual([units.frequent, units.title].sort());
+    expect(filtered.counts.units).toBe(2);
+
+    const difficulty = Object.fromEntries(filtered.facets.difficulty.map((facet) => [facet.value, facet.count]));
+    expect(difficulty).toEqual({ beginner: 3, advanced: 2 });
+    expect(filtered.facets.subjectId).toEqual([expect.objectContaining({ value: SUBJECT_ID, count: 2 })]);
+  });
+});
@@ -0,0 +1,89 @@
+const { test, expect } = require('@playwright/test');
+const { newDevice, registerUser } = require('./helpers/auth');
+
+// sessions.js の REFRESH_GRACE_MS（同時に開いたタブからの更新として受け付ける間）より少し長く
+const PAST_GRACE_MS = 31 * 1000;
+
+async function getRefreshCookie(context) {
+  const { cookies } = await context.storageState();
+  return cookies.find((cookie) => cookie.name === 'refresh_token');
+}
+
+// 取り替える前のリフレッシュトークンだけを持った端末（盗まれたトークンを使う側）
+async function deviceWithRefreshCookie(playwright, cookie) {
+  return newDevice(playwright, { storageState: { cookies: [cookie], origins: [] } });
+}
+
+test.describe('Login sessions', () => {
+  test('rotates the refresh token, tolerates a replay within the grace window and revokes the session on reuse', async ({ request, playwright }) => {
+    test.setTimeout(120000);
+    await registerUser(request);
+
+    const original = await getRefreshCookie(request);
+    expect(original).toBeTruthy();
+    expect(original.httpOnly).toBe(true);
+    expect(original.path).toBe('/api/auth');
+
+    const refreshed = await request.post('/api/auth/refresh');
+    expect(refreshed.ok()).toBeTruthy();
+    const rotated = await getRefreshCookie(request);
+    expect(rotated.value).not.toBe(original.value);
+    expect((await request.get('/api/auth/me')).ok()).toBeTruthy();
+
+    const replay = await deviceWithRefreshCookie(playwright, original);
+    try {
+      // 猶予のうちは、同時に開いたタブからの更新として受け付ける
+      expect((await replay.post('/api/auth/refresh')).ok()).toBeTruthy();
+
+      // 猶予を過ぎてから使われたら盗まれたものとみなし、セッションごと無効にする
+      await new Promise((resolve) => setTimeout(resolve, PAST_GRACE_MS));
+      expect((await replay.post('/api/auth/refresh')).status()).toBe(401);
+    } finally {
+      await replay.dispose();
+    }
+
+    expect((await request.get('/api/auth/me')).status()).toBe(401);
+    expect((await request.post('/api/auth/refresh')).status()).toBe(401);
+  });
+
+  test('lists devices and signs them out one by one or all at once', async ({ request, playwright }) => {
+    const account = await registerUser(request);
+    const laptop = await newDevice(playwright);
+    const phone = await newDevice(playwright, { userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile Safari/604.1' });
+
+    try {
+      expect((await laptop.post('/api/auth/login', { data: account })).ok()).toBeTruthy();
+      expect((await phone.post('/api/auth/login', { data: account })).ok()).toBeTruthy();
+
+      const listed = await (await request.get('/api/user/sessions')).json();
+      expect(listed.sessions).toHaveLength(3);
+      expect(listed.sessions.filter((session) => session.current)).toHaveLength(1);
+
+      // 1台だけログアウトさせる
+      const phoneSessions = await (await phone.get('/api/user/sessions')).json();
+      const phoneSession = phoneSessions.sessions.find((session) => session.current);
+      const revoked = await request.delete(`/api/user/sessions/${encodeURIComponent(phoneSession.id)}`);
+      expect(revoked.ok()).toBeTruthy();
+      expect((await revoked.json()).current).toBe(false);
+      expect((await phone.get('/api/auth/me')).status()).toBe(401);
+      expect((await phone.post('/api/auth/refresh')).status()).toBe(401);
+      expect((await laptop.get('/api/auth/me')).ok()).toBeTruthy();
+
+      // ほかの端末をまとめてログアウトさせても、この端末は残る
+      const others = await request.delete('/api/user/sessions');
+      expect((await others.json()).revoked).toBe(1);
+      expect((await laptop.get('/api/auth/me')).status()).toBe(401);
+      expect((await request.get('/api/auth/me')).ok()).toBeTruthy();
+
+      // ログアウトしたセッションのトークンは期限内でも使えない
+      const { cookies } = await request.storageState();
+      const accessToken = cookies.find((cookie) => cookie.name === 'token').value;
+      expect((await request.post('/api/auth/logout')).ok()).toBeTruthy();
+      const stale = await laptop.get('/api/auth/me', { headers: { Authorization: `Bearer ${accessToken}` } });
+      expect(stale.status()).toBe(401);
+    } finally {
+      await laptop.dispose();
+      await phone.dispose();
+    }
+  });
+});
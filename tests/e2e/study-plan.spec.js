@@ -0,0 +1,231 @@
+const { test, expect } = require('@playwright/test');
+const { closeDatabase, getDatabase } = require('../../src/server/storage/sqlite');
+const { clearRateLimits, registerUser } = require('./helpers/auth');
+
+const PLAN_DAYS = 60;
+const WEEKLY_HOURS = 7;
+const MAX_LINE_OCTETS = 75;
+
+// サーバーと同じく、日付は日本時間で数える
+function studyDate(offsetDays = 0) {
+  return new Date(Date.now() + 9 * 60 * 60 * 1000 + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function getUserId(request) {
+  const response = await request.get('/api/auth/me');
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).user.id;
+}
+
+async function savePlan(request, settings) {
+  const response = await request.put('/api/user/study-plan', { data: settings });
+  expect(response.ok()).toBeTruthy();
+  return (await response.json()).studyPlan;
+}
+
+// 保存した計画の日付を days 日前にずらし、予定の日を過ぎたまま完了していない状態を作る
+function shiftPlanIntoPast(userId, days) {
+  const shift = (date) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() - days);
+    return shifted.toISOString().slice(0, 10);
+  };
+
+  const db = getDatabase();
+  const row = db.prepare('SELECT plan_json FROM study_plans WHERE user_id = ?').get(String(userId));
+  const plan = JSON.parse(row.plan_json);
+  plan.startDate = shift(plan.startDate);
+  plan.days = plan.days.map((day) => ({ ...day, date: shift(day.date) }));
+  db.prepare('UPDATE study_plans SET plan_json = ? WHERE user_id = ?').run(JSON.stringify(plan), String(userId));
+  closeDatabase();
+}
+
+// 折り返しを戻した論理行
+function unfold(text) {
+  return text.replace(/\r\n /g, '').split('\r\n');
+}
+
+function studyItems(day) {
+  return day.items.filter((item) => item.kind === 'study');
+}
+
+// 単元ごとに、学習の予定が最後に入っている日の番号（分けて入れた単元は最後の日）
+function lastStudyDayIndexes(days) {
+  const indexes = new Map();
+  days.forEach((day, index) => studyItems(day).forEach((item) => indexes.set(item.unitId, index)));
+  return indexes;
+}
+
+test.describe('Study plan', () => {
+  test.beforeEach(() => {
+    clearRateLimits();
+  });
+
+  test('rejects invalid settings and starts without a plan', async ({ request }) => {
+    await registerUser(request);
+
+    const empty = await request.get('/api/user/study-plan');
+    expect(empty.ok()).toBeTruthy();
+    expect((await empty.json()).studyPlan).toBeNull();
+    expect((await request.get('/api/user/study-plan/calendar')).status()).toBe(404);
+
+    const invalid = [
+      { weeklyHours: WEEKLY_HOURS },
+      { examDate: studyDate(0), weeklyHours: WEEKLY_HOURS },
+      { examDate: studyDate(800), weeklyHours: WEEKLY_HOURS },
+      { examDate: studyDate(PLAN_DAYS), weeklyHours: 0 },
+      { examDate: studyDate(PLAN_DAYS), weeklyHours: 81 },
+    ];
+    for (const settings of invalid) {
+      const response = await request.put('/api/user/study-plan', { data: settings });
+      expect(response.status()).toBe(400);
+      expect((await response.json()).success).toBe(false);
+    }
+
+    expect((await (await request.get('/api/user/study-plan')).json()).studyPlan).toBeNull();
+  });
+
+  test('plans every day until the exam with reviews and a final review period', async ({ request }) => {
+    await registerUser(request);
+    const examDate = studyDate(PLAN_DAYS);
+    const plan = await savePlan(request, { examDate, weeklyHours: WEEKLY_HOURS });
+
+    expect(plan.settings).toEqual({ examDate, weeklyHours: WEEKLY_HOURS });
+    expect(plan.startDate).toBe(studyDate());
+    expect(plan.summary.dailyMinutes).toBe(60);
+    expect(plan.summary.totalDays).toBe(PLAN_DAYS);
+    expect(plan.summary.compressed).toBe(plan.summary.requiredMinutes > plan.summary.capacityMinutes);
+    expect(plan.summary.plannedUnits).toBeGreaterThan(0);
+    expect(plan.replanned).toBe(false);
+
+    // 今日から試験日の前日まで、1日ずつ
+    expect(plan.days).toHaveLength(PLAN_DAYS);
+    plan.days.forEach((day, index) => {
+      expect(day.date).toBe(studyDate(index));
+      expect(day.items.reduce((total, item) => total + item.minutes, 0)).toBeLessThanOrEqual(plan.summary.dailyMinutes);
+    });
+
+    // 最後の期間は総復習だけ
+    const finalReviewDays = plan.days.filter((day) => day.date >= plan.summary.finalReviewFrom);
+    expect(finalReviewDays.length).toBeGreaterThan(0);
+    expect(finalReviewDays.length).toBeLessThanOrEqual(14);
+    finalReviewDays.forEach((day) => {
+      expect(day.items.length).toBeGreaterThan(0);
+      day.items.forEach((item) => expect(item.kind).toBe('final-review'));
+    });
+
+    // 学習し終えた単元は1日後・7日後・28日後に復習する
+    const studyDays = plan.days.filter((day) => day.date < plan.summary.finalReviewFrom);
+    // 1日60分のうち2割（12分）は復習にあてる
+    expect(plan.summary.capacityMinutes).toBe(studyDays.length * (60 - 12));
+    const reviewedOn = studyDays.map((day) => day.items
+      .filter((item) => item.kind === 'review')
+      .flatMap((item) => item.unitIds));
+    const finishedOn = lastStudyDayIndexes(studyDays);
+    expect(finishedOn.size).toBeGreaterThan(0);
+    finishedOn.forEach((index, unitId) => {
+      [1, 7, 28]
+        .filter((interval) => index + interval < studyDays.length)
+        .forEach((interval) => expect(reviewedOn[index + interval]).toContain(unitId));
+    });
+
+    studyDays.flatMap(studyItems).forEach((item) => {
+      expect(item.completed).toBe(false);
+      expect(plan.units[item.unitId]?.title).toBeTruthy();
+    });
+
+    const saved = await (await request.get('/api/user/study-plan')).json();
+    expect(saved.studyPlan.days).toEqual(plan.days);
+    expect(saved.studyPlan.replanned).toBe(false);
+  });
+
+  test('leaves out completed units and replans overdue ones from today', async ({ request }) => {
+    await registerUser(request);
+    const userId = await getUserId(request);
+    const examDate = studyDate(PLAN_DAYS);
+    const plan = await savePlan(request, { examDate, weeklyHours: WEEKLY_HOURS });
+    const [completedItem] = studyItems(plan.days[0]);
+
+    const progress = await request.post('/api/user/progress', { data: { unitId: completedItem.unitId, completed: true } });
+    expect(progress.ok()).toBeTruthy();
+    const marked = await (await request.get('/api/user/study-plan')).json();
+    expect(studyItems(marked.studyPlan.days[0])[0]).toMatchObject({ unitId: completedItem.unitId, completed: true });
+
+    // 作り直すと完了済みの単元は入らない
+    const replanned = await savePlan(request, { examDate, weeklyHours: WEEKLY_HOURS });
+    const plannedUnitIds = replanned.days.flatMap(studyItems).map((item) => item.unitId);
+    expect(plannedUnitIds).not.toContain(completedItem.unitId);
+
+    // 予定の日を過ぎた単元があれば、開いたときに今日からの計画に作り直す
+    const expectedOverdueIds = [...lastStudyDayIndexes(replanned.days)]
+      .filter(([, index]) => index < 3)
+      .map(([unitId]) => unitId);
+    expect(expectedOverdueIds.length).toBeGreaterThan(0);
+    shiftPlanIntoPast(userId, 3);
+    const overdue = (await (await request.get('/api/user/study-plan')).json()).studyPlan;
+    expect(overdue.replanned).toBe(true);
+    expect(overdue.replannedAt).toBeTruthy();
+    expect(overdue.startDate).toBe(studyDate());
+    expect(overdue.days[0].date).toBe(studyDate());
+    expect(overdue.days).toHaveLength(PLAN_DAYS);
+    const overdueIds = overdue.overdueUnits.map((unit) => unit.id);
+    expect(overdueIds.sort()).toEqual(expectedOverdueIds.sort());
+    expect(overdue.days.flatMap(studyItems).map((item) => item.unitId)).toEqual(expect.arrayContaining(overdueIds));
+
+    // 作り直した計画はもう遅れていない
+    const again = (await (await request.get('/api/user/study-plan')).json()).studyPlan;
+    expect(again.replanned).toBe(false);
+    expect(again.days).toEqual(overdue.days);
+  });
+
+  test('exports the plan as an iCalendar file with one event per day', async ({ request, baseURL }) => {
+    await registerUser(request);
+    const userId = await getUserId(request);
+    const examDate = studyDate(PLAN_DAYS);
+    const plan = await savePlan(request, { examDate, weeklyHours: WEEKLY_HOURS });
+    const host = new URL(baseURL).hostname;
+
+    const response = await request.get('/api/user/study-plan/calendar');
+    expect(response.ok()).toBeTruthy();
+    expect(response.headers()['content-type']).toContain('text/calendar');
+    expect(response.headers()['content-disposition']).toContain('attachment');
+    expect(response.headers()['content-disposition']).toContain('.ics');
+
+    // 改行はすべて CRLF で、どの行も75オクテット以内。続きの行は空白で始まる
+    const body = await response.text();
+    expect(body).not.toMatch(/[^\r]\n/);
+    expect(body.endsWith('\r\n')).toBe(true);
+    const physicalLines = body.slice(0, -2).split('\r\n');
+    physicalLines.forEach((line) => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(MAX_LINE_OCTETS);
+    });
+    expect(physicalLines.some((line) => line.startsWith(' '))).toBe(true);
+
+    const lines = unfold(body.slice(0, -2));
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(lines.some((line) => Buffer.byteLength(line, 'utf8') > MAX_LINE_OCTETS)).toBe(true);
+
+    // 予定のある日ごとに1件、日付とユーザーから決まる UID。ほかに試験日の1件
+    const uids = lines.filter((line) => line.startsWith('UID:')).map((line) => line.slice('UID:'.length));
+    const expectedUids = plan.days
+      .filter((day) => day.items.length > 0)
+      .map((day) => `${day.date.replace(/-/g, '')}-${userId}@${host}`);
+    const examUid = `exam-${examDate.replace(/-/g, '')}-${userId}@${host}`;
+    expect(uids).toEqual([...expectedUids, examUid]);
+    expect(new Set(uids).size).toBe(uids.length);
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(uids.length);
+    expect(lines).toContain(`DTSTART;VALUE=DATE:${plan.days[0].date.replace(/-/g, '')}`);
+    expect(lines).toContain(`DTSTART;VALUE=DATE:${examDate.replace(/-/g, '')}`);
+
+    // 取り込み直しても同じ予定を上書きできるよう、UID は毎回同じ
+    const again = unfold(await (await request.get('/api/user/study-plan/calendar')).text());
+    expect(again.filter((line) => line.startsWith('UID:')).map((line) => line.slice('UID:'.length))).toEqual(uids);
+
+    const deleted = await request.delete('/api/user/study-plan');
+    expect(deleted.ok()).toBeTruthy();
+    expect((await (await request.get('/api/user/study-plan')).json()).studyPlan).toBeNull();
+    expect((await request.get('/api/user/study-plan/calendar')).status()).toBe(404);
+  });
+});
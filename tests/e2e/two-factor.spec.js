@@ -0,0 +1,126 @@
+const { test, expect } = require('@playwright/test');
+const { clearRateLimits, generateTotpCode, newDevice, registerUser, signInAsAdmin } = require('./helpers/auth');
+
+// ログイン中のユーザーが設定画面と同じ API で二段階認証を有効にする。有効にしたステップのコードはもう使えない
+async function enableTwoFactor(request) {
+  const started = await request.post('/api/user/two-factor');
+  expect(started.ok()).toBeTruthy();
+  const { setup } = await started.json();
+
+  // 時計のずれとして受け付ける範囲の外のコード
+  const wrong = await request.put('/api/user/two-factor', { data: { code: generateTotpCode(setup.secret, { offset: 5 }) } });
+  expect(wrong.status()).toBe(400);
+
+  const enabled = await request.put('/api/user/two-factor', { data: { code: generateTotpCode(setup.secret) } });
+  expect(enabled.ok()).toBeTruthy();
+  const data = await enabled.json();
+  expect(data.twoFactor.enabled).toBe(true);
+  expect(data.recoveryCodes).toHaveLength(10);
+
+  return { secret: setup.secret, recoveryCodes: data.recoveryCodes };
+}
+
+// パスワードでログインして、2段階目の challenge を返す
+async function startLogin(device, account) {
+  const response = await device.post('/api/auth/login', { data: account });
+  expect(response.ok()).toBeTruthy();
+  const { twoFactor } = await response.json();
+  expect(twoFactor?.step).toBe('verify');
+  return twoFactor;
+}
+
+async function finishLogin(device, challenge, secondFactor) {
+  return device.post('/api/auth/login', { data: { twoFactorToken: challenge.token, ...secondFactor } });
+}
+
+test.describe('Two-factor authentication', () => {
+  test.beforeEach(() => {
+    clearRateLimits();
+  });
+
+  test('asks for an authenticator code after the password and refuses a replayed code', async ({ request, playwright }) => {
+    const account = await registerUser(request);
+    const { secret } = await enableTwoFactor(request);
+    const device = await newDevice(playwright);
+
+    try {
+      const challenge = await startLogin(device, account);
+      // 2段階目を済ませるまではログインしていない
+      expect((await device.get('/api/auth/me')).status()).toBe(401);
+      expect((await finishLogin(device, challenge, { code: '12345' })).status()).toBe(401);
+
+      // 有効にしたときのステップは使用済みなので、時計のずれとして受け付ける次のステップのコードを使う
+      const code = generateTotpCode(secret, { offset: 1 });
+      const signedIn = await finishLogin(device, challenge, { code });
+      expect(signedIn.ok()).toBeTruthy();
+      expect((await device.get('/api/auth/me')).ok()).toBeTruthy();
+
+      const replay = await finishLogin(device, await startLogin(device, account), { code });
+      expect(replay.status()).toBe(401);
+    } finally {
+      await device.dispose();
+    }
+  });
+
+  test('recovery codes work once each until they are used up, and regenerating replaces them', async ({ request, playwright }) => {
+    const account = await registerUser(request);
+    const { secret, recoveryCodes } = await enableTwoFactor(request);
+    const device = await newDevice(playwright);
+
+    try {
+      for (const recoveryCode of recoveryCodes) {
+        const response = await finishLogin(device, await startLogin(device, account), { recoveryCode });
+        expect(response.ok()).toBeTruthy();
+      }
+      expect((await (await request.get('/api/user/two-factor')).json()).twoFactor.recoveryCodesRemaining).toBe(0);
+
+      const usedUp = await finishLogin(device, await startLogin(device, account), { recoveryCode: recoveryCodes[0] });
+      expect(usedUp.status()).toBe(401);
+
+      const regenerated = await request.post('/api/user/two-factor/recovery-codes', {
+        data: { code: generateTotpCode(secret, { offset: 1 }) },
+      });
+      expect(regenerated.ok()).toBeTruthy();
+      const { recoveryCodes: freshCodes } = await regenerated.json();
+      expect(freshCodes).toHaveLength(10);
+      expect((await (await request.get('/api/user/two-factor')).json()).twoFactor.recoveryCodesRemaining).toBe(10);
+
+      const fresh = await finishLogin(device, await startLogin(device, account), { recoveryCode: freshCodes[0] });
+      expect(fresh.ok()).toBeTruthy();
+    } finally {
+      await device.dispose();
+    }
+  });
+
+  test('staff cannot turn it off, and an admin can reset it for another user', async ({ request, playwright }) => {
+    const admin = await signInAsAdmin(request);
+    const disable = await request.delete('/api/user/two-factor', {
+      data: { code: generateTotpCode(admin.secret, { offset: 1 }) },
+    });
+    expect(disable.status()).toBe(400);
+
+    const me = await (await request.get('/api/auth/me')).json();
+    const selfReset = await request.delete(`/api/admin/users/${me.user.id}/two-factor`);
+    expect(selfReset.status()).toBe(400);
+
+    const learner = await newDevice(playwright);
+    try {
+      const account = await registerUser(learner);
+      await enableTwoFactor(learner);
+      const learnerId = (await (await learner.get('/api/auth/me')).json()).user.id;
+
+      const reset = await request.delete(`/api/admin/users/${learnerId}/two-factor`);
+      expect(reset.ok()).toBeTruthy();
+      // 設定していないユーザーは解除できない
+      expect((await request.delete(`/api/admin/users/${learnerId}/two-factor`)).status()).toBe(400);
+
+      const login = await learner.post('/api/auth/login', { data: account });
+      expect(login.ok()).toBeTruthy();
+      const body = await login.json();
+      expect(body.twoFactor).toBeUndefined();
+      expect(body.user.twoFactorEnabled).toBe(false);
+    } finally {
+      await learner.dispose();
+    }
+  });
+});